@@ -0,0 +1,84 @@
+const {
+  SubscriptionError,
+  validateSubscription,
+  getSubscription,
+  createSubscription,
+  verifySubscription,
+  deleteSubscription
+} = require('../services/alerts/subscriptions');
+const { runAlertEvaluation } = require('../services/alerts/evaluator');
+const webpushSink = require('../services/alerts/sinks/webpush');
+
+// The subscription routes run behind requireUserId (middleware/userId.js); other browsers' subscriptions answer 404
+
+// POST /api/alerts/subscriptions  { latitude, longitude, crop, district?, name?, alertTypes?, sinks? }
+exports.createSubscription = async (req, res) => {
+  try {
+    const { subscription, issues } = validateSubscription(req.body || {});
+    if (issues.length) return res.status(400).json({ error: 'Invalid subscription', details: issues });
+    const created = await createSubscription(req.userId, subscription);
+    return res.status(201).json({ subscription: created });
+  } catch (err) {
+    if (err instanceof SubscriptionError) return res.status(err.status).json({ error: err.message });
+    console.error('Alert subscription error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to save subscription' });
+  }
+};
+
+// POST /api/alerts/subscriptions/:id/verify  { code }  confirms the subscription's SMS numbers
+exports.verifySubscription = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code || !/^\d{6}$/.test(String(code).trim())) {
+      return res.status(400).json({ error: 'Invalid verification', details: ['code must be the 6-digit code sent by SMS'] });
+    }
+    const subscription = await verifySubscription(req.userId, req.params.id, code);
+    if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
+    return res.json({ subscription });
+  } catch (err) {
+    if (err instanceof SubscriptionError) return res.status(err.status).json({ error: err.message });
+    console.error('Alert subscription error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to verify subscription' });
+  }
+};
+
+// GET /api/alerts/subscriptions/:id
+exports.getSubscription = async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.userId, req.params.id);
+    if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
+    return res.json({ subscription });
+  } catch (err) {
+    console.error('Alert subscription error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load subscription' });
+  }
+};
+
+// DELETE /api/alerts/subscriptions/:id
+exports.deleteSubscription = async (req, res) => {
+  try {
+    const removed = await deleteSubscription(req.userId, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Subscription not found' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Alert subscription error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to delete subscription' });
+  }
+};
+
+// POST /api/alerts/run  runs one evaluation pass now (also used by external cron on serverless hosts)
+exports.run = async (req, res) => {
+  try {
+    const summary = await runAlertEvaluation();
+    return res.json(summary);
+  } catch (err) {
+    console.error('Alert evaluation error:', err?.message || err);
+    return res.status(500).json({ error: 'Alert evaluation failed' });
+  }
+};
+
+// GET /api/alerts/push-key  VAPID public key for PushManager.subscribe()
+exports.pushKey = (req, res) => {
+  if (!webpushSink.publicKey) return res.status(404).json({ error: 'Web push is not configured' });
+  return res.json({ publicKey: webpushSink.publicKey });
+};
@@ -1,57 +1,46 @@
 const axios = require('axios');
-
-const GEOCODE_URL = 'https://geocoding-api.open-meteo.com/v1/search';
-const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
-
-// Use GEMINI_API_URL and GEMINI_API_KEY from process.env (loaded via dotenv in server.js)
-// Default to the official Google Generative Language endpoint for Gemini
-const GEMINI_API_URL = process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+const { geocode } = require('../services/geocode');
+const { validateForecastOptions, getForecast } = require('../services/forecast');
+const gemini = require('../services/gemini');
+const { answerWithTools } = require('../services/assistantTools');
+const { withKnowledge, citedSources } = require('../services/knowledge');
+const { diagnoseImage } = require('../services/diagnosis');
+const { transcribeAudio } = require('../services/transcription');
+const { generateStructured, SchemaValidationError } = require('../services/structured');
+const { getSchema, listSchemas } = require('../schemas');
 
 exports.geocode = async (req, res) => {
   try {
     const { name, count = 1, language = 'en', countrycodes } = req.query;
     if (!name) return res.status(400).json({ error: 'Missing `name` query parameter' });
 
-    const params = { name, count, language };
-    if (countrycodes) params.countrycodes = countrycodes;
-
-    const response = await axios.get(GEOCODE_URL, { params });
-    return res.json(response.data);
+    const result = await geocode({ name, count, language, countrycodes });
+    res.set('X-Cache', result.cache);
+    return res.json(result.value);
   } catch (err) {
     console.error('Geocode error:', err?.response?.data || err.message || err);
     return res.status(500).json({ error: 'Geocoding failed' });
   }
 };
 
+// GET /api/weather?latitude=..&longitude=..[&days=1-16][&bundles=basic,spray,...]
+// Without `days` / `bundles` this is the 7-day "agronomy" forecast the pages have always used.
 exports.weather = async (req, res) => {
   try {
-    const { latitude, longitude } = req.query;
+    const { latitude, longitude, days, bundles } = req.query;
     if (!latitude || !longitude) return res.status(400).json({ error: 'Missing latitude or longitude' });
 
-    const dailyParams = [
-      'temperature_2m_max', 'temperature_2m_min', 'weathercode',
-      'relative_humidity_2m_max', 'relative_humidity_2m_min',
-      'sunrise', 'sunset', 'precipitation_sum', 'rain_sum'
-    ].join(',');
-
-    const hourlyParams = [
-      'temperature_2m', 'relative_humidity_2m', 'rain', 'weathercode',
-      'soil_temperature_0cm', 'et0_fao_evapotranspiration'
-    ].join(',');
-
-    const params = {
-      latitude,
-      longitude,
-      daily: dailyParams,
-      hourly: hourlyParams,
-      current_weather: true,
-      timezone: 'auto',
-      forecast_days: 7
+    const options = {
+      days: days === undefined || days === '' ? undefined : Number(days),
+      bundles: bundles === undefined ? undefined : String(bundles).split(',').map((v) => v.trim()).filter(Boolean)
     };
+    const issues = validateForecastOptions(options);
+    if (issues.length) return res.status(400).json({ error: 'Invalid forecast request', details: issues });
 
-    const response = await axios.get(WEATHER_URL, { params });
-    return res.json(response.data);
+    const result = await getForecast(latitude, longitude, options);
+    if (!result) return res.status(400).json({ error: 'Invalid latitude or longitude' });
+    res.set('X-Cache', result.cache);
+    return res.json(result.value);
   } catch (err) {
     console.error('Weather fetch error:', err?.response?.data || err.message || err);
     return res.status(500).json({ error: 'Weather fetch failed' });
@@ -60,106 +49,27 @@ exports.weather = async (req, res) => {
 
 exports.gemini = async (req, res) => {
   try {
-    // Log incoming request for diagnostics (do not print secrets)
-    try {
-      const bodyPreview = req.body && (typeof req.body === 'object' ? JSON.stringify(req.body).slice(0, 500) : String(req.body).slice(0,500));
-      console.log(`[Gemini] ${new Date().toISOString()} ${req.method} ${req.originalUrl} bodyPreview=${bodyPreview}`);
-    } catch (e) {
-      console.log('[Gemini] incoming request (could not stringify body)');
-    }
-    // Accept two shapes from frontend:
-    // 1) full Gemini request body (contains systemInstruction and contents) -> forward as-is
-    // 2) shorthand { prompt, generationConfig } -> wrap into the expected Gemini body
+    logGeminiRequest(req);
     const incoming = req.body || {};
 
-    if (!GEMINI_API_KEY) {
-      return res.status(500).json({ error: 'Server-side Gemini API key not configured' });
-    }
+    const configError = gemini.getConfigError();
+    if (configError) return res.status(500).json({ error: configError });
 
-    let forwardBody;
-    if (incoming.systemInstruction || incoming.contents) {
-      forwardBody = incoming; // forward the full request body as-is
-    } else if (incoming.prompt) {
-      forwardBody = {
-        systemInstruction: { parts: [{ text: "You are AgriGuide, a concise agricultural expert." }] },
-        contents: [{ parts: [{ text: incoming.prompt }] }],
-        generationConfig: incoming.generationConfig || { temperature: 0.2, maxOutputTokens: 1200 }
-      };
-    } else {
-      return res.status(400).json({ error: 'Missing prompt or full request body' });
-    }
+    let forwardBody = gemini.buildRequestBody(incoming);
+    if (!forwardBody) return res.status(400).json({ error: 'Missing prompt or full request body' });
+    // Passages from the knowledge library; the reply lists the ones the answer cites as `sources`
+    let offered = null;
+    if (incoming.useKnowledge === true) ({ body: forwardBody, sources: offered } = await withKnowledge(forwardBody));
+    const withSources = (reply, text) => (offered ? { ...reply, sources: citedSources(text, offered) } : reply);
 
-    // Prepare headers. Prefer Authorization Bearer header for API keys;
-    // some providers accept `?key=` but headers are more common and safer.
-    const headers = { 'Content-Type': 'application/json' };
-
-    let axiosUrl = GEMINI_API_URL;
-    // If the configured URL is a placeholder, provide a helpful error.
-    if (!axiosUrl || axiosUrl.includes('your-gemini-endpoint') || axiosUrl.includes('example')) {
-      console.error('Gemini proxy misconfigured: GEMINI_API_URL looks like a placeholder:', axiosUrl);
-      return res.status(500).json({ error: 'Server misconfiguration: GEMINI_API_URL is not set correctly' });
-    }
-
-    // Handle common provider patterns:
-    // - Google Generative Language: expects POST to a model generate endpoint and allows API key via ?key=API_KEY
-    // - Other providers may accept Authorization: Bearer <key>
     try {
-      let resp;
-
-      if (GEMINI_API_KEY && axiosUrl.includes('generativelanguage.googleapis.com')) {
-        // Google-style API key usage via query param
-        const urlWithKey = axiosUrl.includes('?') ? `${axiosUrl}&key=${GEMINI_API_KEY}` : `${axiosUrl}?key=${GEMINI_API_KEY}`;
-        resp = await axios.post(urlWithKey, forwardBody, { headers, timeout: 20000 });
-      } else {
-        if (GEMINI_API_KEY) {
-          headers['Authorization'] = `Bearer ${GEMINI_API_KEY}`;
-        }
-        resp = await axios.post(axiosUrl, forwardBody, { headers, timeout: 20000 });
-      }
-
-      // Normalize response so frontend can reliably read the text at
-      // candidates[0].content.parts[0].text (existing frontend expects this shape).
-      const upstream = resp.data || {};
-
-      // If provider already returns 'candidates' in expected shape, forward as-is.
-      if (upstream.candidates && Array.isArray(upstream.candidates) && upstream.candidates.length > 0) {
-        return res.json(upstream);
+      if (incoming.useTools === true) {
+        // Same response shape, plus the tool calls the answer is based on
+        const { text, finishReason, toolCalls } = await answerWithTools(forwardBody);
+        return res.json(withSources({ candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason }], toolCalls }, text));
       }
-
-      // Otherwise, try to extract any text content from common fields.
-      const tryExtractText = (obj) => {
-        try {
-          if (!obj) return null;
-          if (typeof obj === 'string') return obj;
-          // Common Google-style outputs
-          if (obj.output && Array.isArray(obj.output) && obj.output[0]?.content) {
-            // output[0].content may be an array of content pieces
-            const c = obj.output[0].content;
-            if (Array.isArray(c)) {
-              for (const item of c) {
-                if (item?.text) return item.text;
-                if (item?.mimeType === 'text/plain' && item?.text) return item.text;
-              }
-            } else if (c.text) return c.text;
-          }
-          if (obj.outputs && Array.isArray(obj.outputs) && obj.outputs[0]?.content) {
-            const c = obj.outputs[0].content;
-            if (Array.isArray(c) && c[0]?.text) return c[0].text;
-          }
-          if (obj.generated_text) return obj.generated_text;
-          if (obj.text) return obj.text;
-          if (obj.choices && Array.isArray(obj.choices) && obj.choices[0]?.text) return obj.choices[0].text;
-          // Fallback: stringify a short summary
-          const s = JSON.stringify(obj);
-          return s.length > 0 ? (s.length > 1000 ? s.slice(0, 1000) : s) : null;
-        } catch (e) {
-          return null;
-        }
-      }
-
-      const extracted = tryExtractText(upstream) || '';
-      const normalized = { candidates: [{ content: { parts: [{ text: extracted }] } }] };
-      return res.json(normalized);
+      const normalized = await gemini.generate(forwardBody);
+      return res.json(withSources(normalized, gemini.candidateText(normalized)));
     } catch (err) {
       // Log helpful debug information but avoid printing secrets
       const status = err?.response?.status;
@@ -168,10 +78,10 @@ exports.gemini = async (req, res) => {
       console.error('Gemini upstream error:', { status, upstreamSummary: upstreamMsg });
 
       // Helpful automatic check: if model not found for Google GL, attempt to list available models
-      if (status === 404 && axios && GEMINI_API_KEY) {
+      if (status === 404 && gemini.GEMINI_API_KEY) {
         try {
           const listUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
-          const listResp = await axios.get(`${listUrl}?key=${GEMINI_API_KEY}`, { timeout: 10000 });
+          const listResp = await axios.get(`${listUrl}?key=${gemini.GEMINI_API_KEY}`, { timeout: 10000 });
           const models = (listResp.data && listResp.data.models) || [];
           const names = models.map(m => m.name).slice(0, 50);
           console.warn('Available models (truncated):', names.slice(0,20));
@@ -191,3 +101,149 @@ exports.gemini = async (req, res) => {
     return res.status(500).json({ error: 'AI generation failed' });
   }
 };
+
+// Streaming variant of the proxy. Relays model text over Server-Sent Events:
+//   event: token  data: { text }                     (one per chunk, in order)
+//   event: tool   data: { id, name, args, status }   (with `useTools: true`: a tool call starting, then
+//                                                     finished with status 'done' or 'error')
+//   event: done   data: { text, finishReason, toolCalls?, sources? } (full text once the model is finished;
+//                                                     `sources`: with `useKnowledge: true`, the cited passages)
+//   event: error  data: { error, details }
+// Closing the connection (client abort / Stop button) cancels the upstream request.
+exports.geminiStream = async (req, res) => {
+  logGeminiRequest(req);
+
+  const configError = gemini.getConfigError();
+  if (configError) return res.status(500).json({ error: configError });
+
+  let forwardBody = gemini.buildRequestBody(req.body || {});
+  if (!forwardBody) return res.status(400).json({ error: 'Missing prompt or full request body' });
+  let offered = null;
+  if (req.body.useKnowledge === true) ({ body: forwardBody, sources: offered } = await withKnowledge(forwardBody));
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx) so tokens arrive as they are sent
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  // Comment lines keep idle connections open through proxies while the model is thinking
+  const heartbeat = setInterval(() => { if (!res.writableEnded) res.write(': ping\n\n'); }, 15000);
+
+  try {
+    const onText = (text) => send('token', { text });
+    const result = req.body.useTools === true
+      ? await answerWithTools(forwardBody, { signal: controller.signal, onText, onTool: (call) => send('tool', call) })
+      : await gemini.streamGenerate(forwardBody, { signal: controller.signal, onText }).then(({ text, finishReason }) => ({ text, finishReason }));
+    send('done', offered ? { ...result, sources: citedSources(result.text, offered) } : result);
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log('[Gemini] stream cancelled by client');
+    } else {
+      const { status, message } = gemini.describeUpstreamError(err);
+      console.error('Gemini stream error:', { status, message });
+      send('error', { error: 'AI generation failed', details: message, status: status || 500 });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+};
+
+// POST /api/gemini/json  { schema: 'advisory', prompt | contents, systemInstruction?, generationConfig? }
+// Responds { schema, data, attempts } with `data` validated against the named schema, or 422 with
+// code SCHEMA_VALIDATION_FAILED and the validation problems in `details`.
+exports.geminiJson = async (req, res) => {
+  try {
+    logGeminiRequest(req);
+    const { schema, ...incoming } = req.body || {};
+
+    if (!schema || !getSchema(schema)) {
+      return res.status(400).json({ error: schema ? `Unknown schema: ${schema}` : 'Missing `schema`', availableSchemas: listSchemas() });
+    }
+
+    const configError = gemini.getConfigError();
+    if (configError) return res.status(500).json({ error: configError });
+
+    const forwardBody = gemini.buildRequestBody(incoming);
+    if (!forwardBody) return res.status(400).json({ error: 'Missing prompt or full request body' });
+
+    const { data, attempts } = await generateStructured(schema, forwardBody);
+    return res.json({ schema, data, attempts });
+  } catch (err) {
+    if (err instanceof SchemaValidationError) {
+      console.warn('Structured output validation failed:', err.schema, err.issues);
+      return res.status(422).json({ error: err.message, code: err.code, schema: err.schema, details: err.issues, attempts: err.attempts });
+    }
+    const { status, message } = gemini.describeUpstreamError(err);
+    console.error('Gemini JSON error:', { status, message });
+    return res.status(status || 500).json({ error: 'AI generation failed', details: message });
+  }
+};
+
+// GET /api/gemini/schemas -> names and descriptions of the response schemas accepted by /api/gemini/json
+exports.geminiSchemas = (req, res) => {
+  return res.json({ schemas: listSchemas() });
+};
+
+// POST /api/diagnose (multipart: image, optional crop/notes/lang) -> { diagnosis }
+// A reply that does not match the diagnosis schema is reported as 502 with code DIAGNOSIS_SCHEMA_MISMATCH.
+exports.diagnose = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Missing `image` file field' });
+
+    const configError = gemini.getConfigError();
+    if (configError) return res.status(500).json({ error: configError });
+
+    console.log(`[Diagnose] ${new Date().toISOString()} ${req.file.mimetype} ${req.file.size} bytes crop=${req.body?.crop || '-'}`);
+    const diagnosis = await diagnoseImage(req.file, { crop: req.body?.crop, notes: req.body?.notes, lang: req.body?.lang });
+    return res.json({ diagnosis });
+  } catch (err) {
+    if (err instanceof SchemaValidationError) {
+      console.warn('Diagnosis schema mismatch:', err.issues, err.raw.slice(0, 200));
+      return res.status(502).json({ error: err.message, code: err.code, details: err.issues });
+    }
+    const { status, message } = gemini.describeUpstreamError(err);
+    console.error('Diagnose error:', { status, message });
+    return res.status(status || 500).json({ error: 'Diagnosis failed', details: message });
+  }
+};
+
+// POST /api/transcribe (multipart: audio, optional lang) -> { text }
+// text is '' when no speech was recognized; the page asks the farmer to try again.
+exports.transcribe = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Missing `audio` file field' });
+
+    const configError = gemini.getConfigError();
+    if (configError) return res.status(500).json({ error: configError });
+
+    console.log(`[Transcribe] ${new Date().toISOString()} ${req.file.mimetype} ${req.file.size} bytes lang=${req.body?.lang || '-'}`);
+    const result = await transcribeAudio(req.file, { lang: req.body?.lang });
+    return res.json(result);
+  } catch (err) {
+    const { status, message } = gemini.describeUpstreamError(err);
+    console.error('Transcribe error:', { status, message });
+    return res.status(status || 500).json({ error: 'Transcription failed', details: message });
+  }
+};
+
+// Log incoming request for diagnostics (do not print secrets)
+function logGeminiRequest(req) {
+  try {
+    const bodyPreview = req.body && (typeof req.body === 'object' ? JSON.stringify(req.body).slice(0, 500) : String(req.body).slice(0,500));
+    console.log(`[Gemini] ${new Date().toISOString()} ${req.method} ${req.originalUrl} bodyPreview=${bodyPreview}`);
+  } catch (e) {
+    console.log('[Gemini] incoming request (could not stringify body)');
+  }
+}
@@ -0,0 +1,168 @@
+const gemini = require('../services/gemini');
+const { answerWithTools } = require('../services/assistantTools');
+const { withKnowledge, citedSources } = require('../services/knowledge');
+const {
+  validateConversation, validateTitle, validateQuestion, describeConversation,
+  listConversations, getConversation, createConversation, renameConversation, deleteConversation,
+  askContext, saveTurn
+} = require('../services/conversations');
+
+// Every route runs behind requireUserId (middleware/userId.js); other users' threads answer 404
+
+// GET /api/conversations
+exports.list = async (req, res) => {
+  try {
+    return res.json({ conversations: await listConversations(req.userId) });
+  } catch (err) {
+    console.error('Conversations error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load conversations' });
+  }
+};
+
+// GET /api/conversations/:id
+exports.get = async (req, res) => {
+  try {
+    const conversation = await getConversation(req.userId, req.params.id);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    return res.json({ conversation });
+  } catch (err) {
+    console.error('Conversations error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load conversation' });
+  }
+};
+
+// POST /api/conversations  { title?, messages?: [{ role: 'user' | 'model', text, at? }] }
+exports.create = async (req, res) => {
+  try {
+    const { conversation, issues } = validateConversation(req.body || {});
+    if (issues.length) return res.status(400).json({ error: 'Invalid conversation', details: issues });
+    return res.status(201).json({ conversation: await createConversation(req.userId, conversation) });
+  } catch (err) {
+    console.error('Conversations error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to save conversation' });
+  }
+};
+
+// PATCH /api/conversations/:id  { title }
+exports.rename = async (req, res) => {
+  try {
+    const { title, issues } = validateTitle(req.body || {});
+    if (issues.length) return res.status(400).json({ error: 'Invalid conversation', details: issues });
+    const conversation = await renameConversation(req.userId, req.params.id, title);
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+    return res.json({ conversation });
+  } catch (err) {
+    console.error('Conversations error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to save conversation' });
+  }
+};
+
+// DELETE /api/conversations/:id
+exports.remove = async (req, res) => {
+  try {
+    const removed = await deleteConversation(req.userId, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Conversation not found' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Conversations error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+};
+
+// POST /api/conversations/:id/messages  { text, system?, lang? }
+// The assistant can call the forecast and suitability tools (services/assistantTools.js) here, and is
+// given the matching passages of the knowledge library (services/knowledge/) to cite.
+// Answers with the same Server-Sent Events as /api/gemini/stream with `useTools` and `useKnowledge` when
+// the client accepts text/event-stream (`done` also carries the saved `message` and the thread's list
+// entry), and with JSON { message, finishReason, toolCalls, sources, conversation } otherwise (e.g.
+// questions replayed from the offline outbox).
+// The question and answer are saved once the answer is complete; an answer stopped by the client is
+// saved as far as it got, failed or empty answers are not saved.
+exports.ask = async (req, res) => {
+  const { userId } = req;
+
+  const configError = gemini.getConfigError();
+  if (configError) return res.status(500).json({ error: configError });
+
+  const { question, issues } = validateQuestion(req.body || {});
+  if (issues.length) return res.status(400).json({ error: 'Invalid question', details: issues });
+
+  let context;
+  let knowledge;
+  try {
+    context = await askContext(userId, req.params.id, question);
+    if (!context) return res.status(404).json({ error: 'Conversation not found' });
+    knowledge = await withKnowledge(context.body, question.text);
+  } catch (err) {
+    console.error('Conversations error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load conversation' });
+  }
+
+  const save = async (answer, toolCalls = []) => {
+    const sources = citedSources(answer, knowledge.sources);
+    const updated = answer.trim() ? await saveTurn(userId, req.params.id, question.text, answer.trim(), { toolCalls, sources }) : null;
+    return {
+      sources,
+      message: updated ? updated.messages[updated.messages.length - 1] : null,
+      conversation: updated ? describeConversation(updated) : describeConversation(context.conversation)
+    };
+  };
+
+  if (!/text\/event-stream/.test(req.get('accept') || '')) {
+    try {
+      const { text, finishReason, toolCalls } = await answerWithTools(knowledge.body);
+      return res.json({ ...(await save(text, toolCalls)), finishReason, toolCalls });
+    } catch (err) {
+      const { status, message } = gemini.describeUpstreamError(err);
+      console.error('Conversation answer error:', { status, message });
+      return res.status(status || 500).json({ error: 'AI generation failed', details: message });
+    }
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const heartbeat = setInterval(() => { if (!res.writableEnded) res.write(': ping\n\n'); }, 15000);
+
+  let partial = '';
+  const calls = [];
+  try {
+    const result = await answerWithTools(knowledge.body, {
+      signal: controller.signal,
+      onText: (text) => {
+        partial += text;
+        send('token', { text });
+      },
+      onTool: ({ id, ...call }) => {
+        calls[id] = call;
+        send('tool', { id, ...call });
+      }
+    });
+    send('done', { ...result, ...(await save(result.text || '', result.toolCalls)) });
+  } catch (err) {
+    if (controller.signal.aborted) {
+      console.log('[Conversations] answer stopped by client');
+      await save(partial, calls).catch((saveErr) => console.error('Conversations error:', saveErr?.message || saveErr));
+    } else {
+      const { status, message } = gemini.describeUpstreamError(err);
+      console.error('Conversation stream error:', { status, message });
+      send('error', { error: 'AI generation failed', details: message, status: status || 500 });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+};
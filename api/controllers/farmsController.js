@@ -0,0 +1,64 @@
+const { FarmError, validateFarm, listFarms, getFarm, createFarm, updateFarm, deleteFarm } = require('../services/farms');
+
+// Every route runs behind requireUserId (middleware/userId.js); other browsers' farms answer 404
+
+// GET /api/farms
+exports.list = async (req, res) => {
+  try {
+    return res.json({ farms: await listFarms(req.userId) });
+  } catch (err) {
+    console.error('Farms error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load farms' });
+  }
+};
+
+// GET /api/farms/:id
+exports.get = async (req, res) => {
+  try {
+    const farm = await getFarm(req.userId, req.params.id);
+    if (!farm) return res.status(404).json({ error: 'Farm not found' });
+    return res.json({ farm });
+  } catch (err) {
+    console.error('Farms error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load farm' });
+  }
+};
+
+// POST /api/farms  { name, owner?, district?, fields: [{ name, latitude, longitude, areaAcres, crop, variety?, sowingDate?, irrigationSource? }] }
+exports.create = async (req, res) => {
+  try {
+    const { farm, issues } = validateFarm(req.body || {});
+    if (issues.length) return res.status(400).json({ error: 'Invalid farm', details: issues });
+    return res.status(201).json({ farm: await createFarm(req.userId, farm) });
+  } catch (err) {
+    if (err instanceof FarmError) return res.status(err.status).json({ error: err.message });
+    console.error('Farms error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to save farm' });
+  }
+};
+
+// PUT /api/farms/:id  same body as POST; replaces the whole profile
+exports.update = async (req, res) => {
+  try {
+    const { farm, issues } = validateFarm(req.body || {});
+    if (issues.length) return res.status(400).json({ error: 'Invalid farm', details: issues });
+    const updated = await updateFarm(req.userId, req.params.id, farm);
+    if (!updated) return res.status(404).json({ error: 'Farm not found' });
+    return res.json({ farm: updated });
+  } catch (err) {
+    console.error('Farms error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to save farm' });
+  }
+};
+
+// DELETE /api/farms/:id
+exports.remove = async (req, res) => {
+  try {
+    const removed = await deleteFarm(req.userId, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Farm not found' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Farms error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to delete farm' });
+  }
+};
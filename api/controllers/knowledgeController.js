@@ -0,0 +1,58 @@
+const {
+  DocumentError, validateDocumentMeta, listDocuments, addDocument, deleteDocument, searchKnowledge
+} = require('../services/knowledge');
+
+const MAX_SEARCH_RESULTS = 20;
+
+// GET /api/knowledge/documents
+exports.list = async (req, res) => {
+  try {
+    return res.json({ documents: await listDocuments() });
+  } catch (err) {
+    console.error('Knowledge error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load the knowledge library' });
+  }
+};
+
+// POST /api/knowledge/documents  multipart/form-data: file (PDF, Markdown or HTML), title?, source?, url?, region?
+exports.create = async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Missing `file` upload (PDF, Markdown or HTML)' });
+    const { meta, issues } = validateDocumentMeta(req.body || {});
+    if (issues.length) return res.status(400).json({ error: 'Invalid document', details: issues });
+    console.log(`[Knowledge] ${new Date().toISOString()} ${req.file.originalname} ${req.file.size} bytes`);
+    return res.status(201).json({ document: await addDocument(req.file, meta) });
+  } catch (err) {
+    if (err instanceof DocumentError) return res.status(err.status).json({ error: 'Invalid document', details: err.message });
+    console.error('Knowledge error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to save document' });
+  }
+};
+
+// DELETE /api/knowledge/documents/:id  (uploaded documents; bundled ones live in KNOWLEDGE_DIR)
+exports.remove = async (req, res) => {
+  try {
+    if (req.params.id.startsWith('bundled:')) {
+      return res.status(400).json({ error: 'Bundled documents are removed from the knowledge folder, not through the API' });
+    }
+    const removed = await deleteDocument(req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Document not found' });
+    return res.status(204).end();
+  } catch (err) {
+    console.error('Knowledge error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to delete document' });
+  }
+};
+
+// GET /api/knowledge/search?q=...&limit=5  -> the passages the assistant would be given, best first
+exports.search = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ error: 'Missing `q` query parameter' });
+    const limit = Math.min(MAX_SEARCH_RESULTS, Math.max(1, Number.parseInt(req.query.limit, 10) || 5));
+    return res.json({ query: q, passages: await searchKnowledge(q, { limit }) });
+  } catch (err) {
+    console.error('Knowledge error:', err?.message || err);
+    return res.status(500).json({ error: 'Knowledge search failed' });
+  }
+};
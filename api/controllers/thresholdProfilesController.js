@@ -0,0 +1,73 @@
+const {
+  ProfileError, validateThresholdProfile, listThresholdProfiles, getThresholdProfile,
+  publishThresholdProfile, updateThresholdProfile, deleteThresholdProfile
+} = require('../services/thresholdProfiles');
+const { validateUserId } = require('../middleware/userId');
+
+// GET /api/threshold-profiles?district=Multan[&tehsil=Shujabad]  (X-User-Id optional: marks the caller's own as `mine`)
+exports.list = async (req, res) => {
+  try {
+    const profiles = await listThresholdProfiles({
+      district: req.query.district ? String(req.query.district) : null,
+      tehsil: req.query.tehsil ? String(req.query.tehsil) : null,
+      userId: validateUserId(req.get('x-user-id'))
+    });
+    return res.json({ profiles });
+  } catch (err) {
+    console.error('Threshold profiles error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load threshold profiles' });
+  }
+};
+
+// GET /api/threshold-profiles/:id  -> the profile document (importable as-is) with its revision
+exports.get = async (req, res) => {
+  try {
+    const profile = await getThresholdProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Threshold profile not found' });
+    return res.json({ profile });
+  } catch (err) {
+    console.error('Threshold profiles error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to load threshold profile' });
+  }
+};
+
+// POST /api/threshold-profiles  { district, tehsil, name?, publisher?, notes?, thresholds: { 'Punjab::wheat': {...} } }
+exports.create = async (req, res) => {
+  try {
+    const { profile, issues } = validateThresholdProfile(req.body || {});
+    if (issues.length) return res.status(400).json({ error: 'Invalid threshold profile', details: issues });
+    return res.status(201).json({ profile: await publishThresholdProfile(req.userId, profile) });
+  } catch (err) {
+    if (err instanceof ProfileError) return res.status(err.status).json({ error: err.message });
+    console.error('Threshold profiles error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to publish threshold profile' });
+  }
+};
+
+// PUT /api/threshold-profiles/:id  same body as POST; replaces the profile and bumps its revision
+exports.update = async (req, res) => {
+  try {
+    const { profile, issues } = validateThresholdProfile(req.body || {});
+    if (issues.length) return res.status(400).json({ error: 'Invalid threshold profile', details: issues });
+    const updated = await updateThresholdProfile(req.userId, req.params.id, profile);
+    if (!updated) return res.status(404).json({ error: 'Threshold profile not found' });
+    return res.json({ profile: updated });
+  } catch (err) {
+    if (err instanceof ProfileError) return res.status(err.status).json({ error: err.message });
+    console.error('Threshold profiles error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to publish threshold profile' });
+  }
+};
+
+// DELETE /api/threshold-profiles/:id  (withdraws it; subscribers keep their last copy)
+exports.remove = async (req, res) => {
+  try {
+    const removed = await deleteThresholdProfile(req.userId, req.params.id);
+    if (!removed) return res.status(404).json({ error: 'Threshold profile not found' });
+    return res.status(204).end();
+  } catch (err) {
+    if (err instanceof ProfileError) return res.status(err.status).json({ error: err.message });
+    console.error('Threshold profiles error:', err?.message || err);
+    return res.status(500).json({ error: 'Failed to withdraw threshold profile' });
+  }
+};
@@ -0,0 +1,39 @@
+const multer = require('multer');
+
+// Push-to-talk questions are short (a minute of Opus is well under 1 MB); keep them in memory, they are
+// sent straight on to the model. Browsers record WebM/Opus (Chrome, Firefox) or MP4/AAC (Safari).
+const MAX_AUDIO_BYTES = (Number(process.env.TRANSCRIBE_MAX_AUDIO_MB) || 10) * 1024 * 1024;
+const ALLOWED_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/aac', 'audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/flac'];
+
+// 'audio/webm;codecs=opus' -> 'audio/webm'
+function baseType(mimetype) {
+  return String(mimetype || '').split(';')[0].trim().toLowerCase();
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AUDIO_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES.includes(baseType(file.mimetype))) return cb(null, true);
+    const err = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    err.message = `Unsupported audio type: ${file.mimetype}. Use WebM, OGG, MP4/AAC, MP3, WAV or FLAC.`;
+    return cb(err);
+  }
+});
+
+// Accepts a single multipart field named `audio` and turns upload problems into JSON 4xx responses.
+// req.file.mimetype is reduced to its base type, which is what the model expects.
+module.exports = function audioUpload(req, res, next) {
+  upload.single('audio')(req, res, (err) => {
+    if (!err) {
+      if (req.file) req.file.mimetype = baseType(req.file.mimetype);
+      return next();
+    }
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const details = err.code === 'LIMIT_FILE_SIZE' ? `Audio is larger than ${MAX_AUDIO_BYTES / (1024 * 1024)} MB` : err.message;
+      return res.status(status).json({ error: 'Invalid audio upload', details });
+    }
+    return next(err);
+  });
+};
@@ -0,0 +1,31 @@
+const multer = require('multer');
+const { documentType } = require('../services/knowledge/parsers');
+
+// Extension bulletins and guides for the knowledge library; kept in memory, they are parsed and only
+// their text is stored. Browsers often send Markdown as text/plain or application/octet-stream, so the
+// file extension decides the type when it is known.
+const MAX_DOCUMENT_BYTES = (Number(process.env.KNOWLEDGE_MAX_FILE_MB) || 15) * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (documentType(file.originalname, file.mimetype)) return cb(null, true);
+    const err = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    err.message = `Unsupported document type: ${file.originalname || file.mimetype}. Use PDF, Markdown or HTML.`;
+    return cb(err);
+  }
+});
+
+// Accepts a single multipart field named `file` and turns upload problems into JSON 4xx responses.
+module.exports = function documentUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const details = err.code === 'LIMIT_FILE_SIZE' ? `Document is larger than ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB` : err.message;
+      return res.status(status).json({ error: 'Invalid document upload', details });
+    }
+    return next(err);
+  });
+};
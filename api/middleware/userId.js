@@ -0,0 +1,19 @@
+/** The X-User-Id value when it looks like a browser-generated id (8-64 letters, digits, '-' or '_'), else null. */
+function validateUserId(value) {
+  return typeof value === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(value) ? value : null;
+}
+
+// There are no accounts: the browser generates a random id once and sends it as X-User-Id, and
+// per-user data (assistant conversations, farm profiles, alert subscriptions) is scoped to it. Sets req.userId or answers 400.
+function requireUserId(req, res, next) {
+  const userId = validateUserId(req.get('x-user-id'));
+  if (!userId) {
+    return res.status(400).json({ error: 'Missing or invalid X-User-Id header', details: ['X-User-Id must be 8-64 letters, digits, - or _'] });
+  }
+  req.userId = userId;
+  return next();
+}
+
+module.exports = requireUserId;
+// For routes where the id is optional (e.g. marking a browser's own entries in a public list)
+module.exports.validateUserId = validateUserId;
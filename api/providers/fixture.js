@@ -0,0 +1,134 @@
+// Offline weather provider: serves a recorded, already-normalized forecast from disk.
+// Dates are shifted so the first forecast day is today, which keeps "next 5 days" logic
+// meaningful however old the recording is; longer horizons repeat the recorded days, and
+// requested variables the recording lacks (wind, dew point, radiation, ...) come back as nulls.
+// Select with WEATHER_PROVIDER=fixture and optionally point WEATHER_FIXTURE_FILE at another
+// recording. Hourly history repeats the recording's whole days back in time, so it is
+// deterministic but not seasonal. Daily history replays a one-year daily recording
+// (WEATHER_ARCHIVE_FIXTURE_FILE, default fixtures/archive-multan.json) by calendar day, so every
+// year looks the same.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_FORECAST_DAYS, UNITS, resolveBundles } = require('./variables');
+
+const DEFAULT_FIXTURE = path.resolve(__dirname, '..', 'fixtures', 'forecast-multan.json');
+const DEFAULT_ARCHIVE_FIXTURE = path.resolve(__dirname, '..', 'fixtures', 'archive-multan.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const loaded = {}; // file -> parsed recording
+
+function readRecording(file) {
+  if (!loaded[file]) loaded[file] = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return loaded[file];
+}
+
+function loadFixture() {
+  return readRecording(process.env.WEATHER_FIXTURE_FILE ? path.resolve(process.env.WEATHER_FIXTURE_FILE) : DEFAULT_FIXTURE);
+}
+
+function loadArchiveFixture() {
+  return readRecording(process.env.WEATHER_ARCHIVE_FIXTURE_FILE ? path.resolve(process.env.WEATHER_ARCHIVE_FIXTURE_FILE) : DEFAULT_ARCHIVE_FIXTURE);
+}
+
+// Shift a local ISO date/time string ('YYYY-MM-DD' or 'YYYY-MM-DDTHH:MM') by whole days
+function shiftIso(value, days) {
+  if (typeof value !== 'string' || !days) return value;
+  const [datePart, timePart] = value.split('T');
+  const shifted = new Date(Date.parse(`${datePart}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  return timePart ? `${shifted}T${timePart}` : shifted;
+}
+
+function rebase(data, today = new Date().toISOString().slice(0, 10)) {
+  const first = data.daily && data.daily.time && data.daily.time[0];
+  if (!first) return data;
+  const days = Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${first}T00:00:00Z`)) / DAY_MS);
+  const out = JSON.parse(JSON.stringify(data));
+  ['time', 'sunrise', 'sunset'].forEach((k) => {
+    if (Array.isArray(out.daily[k])) out.daily[k] = out.daily[k].map((v) => shiftIso(v, days));
+  });
+  if (out.hourly && Array.isArray(out.hourly.time)) out.hourly.time = out.hourly.time.map((v) => shiftIso(v, days));
+  if (out.current && out.current.time) out.current.time = shiftIso(out.current.time, days);
+  return out;
+}
+
+// Cut or extend a daily (perDay 1) or hourly (perDay 24) block to `days` days with only the
+// requested variables. Days past the recording repeat it; variables it lacks are null.
+function fitBlock(block, names, days, perDay) {
+  const length = Math.floor((block.time || []).length / perDay) * perDay;
+  if (!length) throw new Error('Fixture has no forecast data');
+  const out = { time: [] };
+  names.forEach((name) => { out[name] = []; });
+  for (let j = 0; j < days * perDay; j++) {
+    const src = j % length;
+    const shift = Math.floor(j / length) * (length / perDay);
+    out.time.push(shiftIso(block.time[src], shift));
+    names.forEach((name) => {
+      const value = block[name] ? block[name][src] ?? null : null;
+      out[name].push(name === 'sunrise' || name === 'sunset' ? shiftIso(value, shift) : value);
+    });
+  }
+  return out;
+}
+
+async function getForecast({ latitude, longitude, days = DEFAULT_FORECAST_DAYS, daily, hourly }) {
+  const defaults = resolveBundles();
+  const forecast = rebase(loadFixture());
+  forecast.units = UNITS;
+  forecast.daily = fitBlock(forecast.daily, daily || defaults.daily, days, 1);
+  forecast.hourly = fitBlock(forecast.hourly, hourly || defaults.hourly, days, 24);
+  // Report the requested point so callers can tell which lookup produced the response
+  forecast.location = { ...forecast.location, latitude: Number(latitude), longitude: Number(longitude) };
+  forecast.provider = 'fixture';
+  return forecast;
+}
+
+async function getHourlyHistory({ latitude, longitude, startDate, endDate }) {
+  const { hourly, location } = loadFixture();
+  const days = Math.floor((hourly.time || []).length / 24);
+  if (!days) throw new Error('Fixture has no hourly data');
+  const start = Date.parse(`${startDate}T00:00:00Z`) / DAY_MS;
+  const end = Date.parse(`${endDate}T00:00:00Z`) / DAY_MS;
+
+  const time = [];
+  const temperature = [];
+  for (let day = start; day <= end; day++) {
+    const date = new Date(day * DAY_MS).toISOString().slice(0, 10);
+    const src = (((day - start) % days) + days) % days;
+    for (let h = 0; h < 24; h++) {
+      time.push(`${date}T${String(h).padStart(2, '0')}:00`);
+      temperature.push(hourly.temperature[src * 24 + h] ?? null);
+    }
+  }
+  return {
+    provider: 'fixture',
+    location: { ...location, latitude: Number(latitude), longitude: Number(longitude) },
+    hourly: { time, temperature }
+  };
+}
+
+async function getDailyHistory({ latitude, longitude, startDate, endDate }) {
+  const { daily, location } = loadArchiveFixture();
+  const byMonthDay = {};
+  (daily.time || []).forEach((t, i) => { byMonthDay[t.slice(5, 10)] = i; });
+  if (!Object.keys(byMonthDay).length) throw new Error('Archive fixture has no daily data');
+  const start = Date.parse(`${startDate}T00:00:00Z`) / DAY_MS;
+  const end = Date.parse(`${endDate}T00:00:00Z`) / DAY_MS;
+
+  const out = { time: [], temperatureMax: [], temperatureMin: [], temperatureMean: [], precipitation: [] };
+  for (let day = start; day <= end; day++) {
+    const date = new Date(day * DAY_MS).toISOString().slice(0, 10);
+    const md = date.slice(5, 10);
+    const src = byMonthDay[md] ?? byMonthDay[md === '02-29' ? '02-28' : md];
+    out.time.push(date);
+    ['temperatureMax', 'temperatureMin', 'temperatureMean', 'precipitation'].forEach((k) => {
+      out[k].push(src === undefined || !daily[k] ? null : daily[k][src] ?? null);
+    });
+  }
+  return {
+    provider: 'fixture',
+    location: { ...location, latitude: Number(latitude), longitude: Number(longitude) },
+    daily: out
+  };
+}
+
+module.exports = { name: 'fixture', getForecast, getHourlyHistory, getDailyHistory, rebase };
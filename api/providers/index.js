@@ -0,0 +1,47 @@
+// Weather provider registry.
+//
+// Every adapter exposes `name` and `getForecast({ latitude, longitude, days, daily, hourly })`,
+// resolving to the normalized forecast below for `days` days (default 7, at most 16) with the
+// `daily` / `hourly` variables named (normalized names from ./variables; default: the "agronomy"
+// bundle), and `getHourlyHistory({ latitude, longitude, startDate, endDate })`
+// (YYYY-MM-DD, inclusive), resolving to { provider, location, hourly: { time[], temperature[] } }.
+// `getDailyHistory` takes the same arguments and resolves to { provider, location, daily: { time[],
+// temperatureMax[], temperatureMin[], temperatureMean[], precipitation[] } }. Controllers and the
+// frontend only ever read these shapes, so a new source (e.g. PMD) is added by writing an adapter
+// and registering it here.
+//
+// Normalized forecast:
+// {
+//   provider: 'open-meteo',
+//   location: { latitude, longitude, elevation, timezone },
+//   units: { temperature: '°C', precipitation: 'mm', windSpeed: 'km/h', windDirection: '°', humidity: '%',
+//            precipitationProbability: '%', et0: 'mm', radiationDaily: 'MJ/m²', radiationHourly: 'W/m²' },
+//   current: { time, temperature, windSpeed, windDirection, weatherCode },
+//   daily:  { time[], temperatureMax[], temperatureMin[], weatherCode[], humidityMax[], humidityMin[],
+//             sunrise[], sunset[], precipitation[], rain[] },
+//   hourly: { time[], temperature[], humidity[], rain[], weatherCode[], soilTemperature[], et0[] }
+// }
+// daily / hourly hold `time` plus exactly the requested variables; the blocks above are the
+// "agronomy" bundle. The other allowed variables are daily precipitationProbability[],
+// windSpeedMax[], windGustsMax[], windDirection[], radiation[], et0[] and hourly dewPoint[],
+// precipitationProbability[], windSpeed[], windGusts[], windDirection[], radiation[].
+// Weather codes use the WMO 4677 table (what Open-Meteo already returns); adapters for other
+// sources map their condition codes onto it. Times are local ISO strings without offset.
+
+const openMeteo = require('./openMeteo');
+const fixture = require('./fixture');
+
+const PROVIDERS = {
+  [openMeteo.name]: openMeteo,
+  [fixture.name]: fixture
+};
+
+function getProvider(name = process.env.WEATHER_PROVIDER || openMeteo.name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown weather provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+module.exports = { getProvider, providers: PROVIDERS };
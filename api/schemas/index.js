@@ -0,0 +1,18 @@
+// Registry of named response schemas for structured (JSON) model output.
+// Each entry has `schema` (Gemini/OpenAPI subset, also used for server-side validation),
+// a short `description`, and an optional `normalize(data)` applied before validation.
+// To add one, create a module here and register it below.
+const schemas = {
+  advisory: require('./advisory'),
+  diagnosis: require('./diagnosis')
+};
+
+function getSchema(name) {
+  return Object.prototype.hasOwnProperty.call(schemas, name) ? schemas[name] : null;
+}
+
+function listSchemas() {
+  return Object.keys(schemas).map((name) => ({ name, description: schemas[name].description }));
+}
+
+module.exports = { getSchema, listSchemas };
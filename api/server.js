@@ -77,6 +77,10 @@ if (require.main === module) {
     if (!process.env.GEMINI_API_KEY) {
       console.warn('Warning: GEMINI_API_KEY is not set. Gemini proxy will return errors until configured.');
     }
+    // Background alert evaluation only runs in a long-lived process; serverless hosts can call POST /api/alerts/run
+    if (process.env.ALERTS_ENABLED === 'true') {
+      require('./services/alerts/evaluator').startAlertScheduler();
+    }
   });
 } else {
   // When required as a module (e.g. by Vercel's serverless runtime), export the app
@@ -0,0 +1,16 @@
+// Sends alerts as a single SMS through the configured SMS gateway: { type: 'sms', to: '+923001234567', lang: 'ur' }.
+const { normalizePhone, sendSms } = require('../../sms');
+const { SMS_LANGS, renderAlertSms } = require('../../sms/render');
+
+module.exports = {
+  type: 'sms',
+  validate(config) {
+    const issues = [];
+    if (!normalizePhone(config.to)) issues.push('to must be a phone number (e.g. +923001234567 or 03001234567)');
+    if (config.lang !== undefined && !SMS_LANGS.includes(config.lang)) issues.push(`lang must be one of ${SMS_LANGS.join(', ')}`);
+    return issues;
+  },
+  async send(alert, config) {
+    await sendSms({ to: config.to, text: renderAlertSms(alert, config.lang || 'en') });
+  }
+};
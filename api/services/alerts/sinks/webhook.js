@@ -0,0 +1,70 @@
+// POSTs each alert as JSON to a subscriber-provided URL: { event: 'weather.alert', alert }.
+// The URL comes from an anonymous subscriber, so only https is allowed and the host must be public:
+// localhost and literal loopback, private, link-local and other internal addresses are refused when the
+// subscription is saved, and every connection checks what the name resolves to (the agent's lookup), so
+// a DNS answer that changes later cannot point the server at its own network. Redirects are not followed.
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges by BlockList itself
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+/** True for addresses the webhook sink must not connect to (anything but public unicast). */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup with the same signature, failing when any address the name resolves to is blocked
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const internal = addresses.find((a) => isBlockedAddress(a.address));
+    if (internal) return callback(new Error(`${hostname} resolves to a non-public address (${internal.address})`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agent = new https.Agent({ lookup: publicLookup });
+
+/** Problems with a subscriber-provided URL (`label` names it in the messages): https to a public host only. */
+function urlIssues(value, label = 'url') {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return [`${label} must be a valid URL`];
+  }
+  if (url.protocol !== 'https:') return [`${label} must be https`];
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return [`${label} must point to a public host`];
+  }
+  return [];
+}
+
+module.exports = {
+  type: 'webhook',
+  isBlockedAddress,
+  publicLookup,
+  urlIssues,
+  validate(config) {
+    return urlIssues(config.url);
+  },
+  async send(alert, config) {
+    const [issue] = urlIssues(config.url);
+    if (issue) throw new Error(`Refusing webhook: ${issue}`);
+    await axios.post(config.url, { event: 'weather.alert', alert }, { timeout: 10000, httpsAgent: agent, maxRedirects: 0, proxy: false });
+  }
+};
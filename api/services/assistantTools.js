@@ -0,0 +1,235 @@
+// Server-executed tools for the assistant (Gemini function calling): the model can look up a district,
+// read its forecast and check crop suitability from the same services the pages use, instead of
+// answering weather questions from general knowledge. answerWithTools() runs the call/response loop.
+const { resolveDistrict, describeWeatherCode, CROPS } = require('@farmer-aid/agronomy');
+const gemini = require('./gemini');
+const { locateDistrict } = require('./geocode');
+const { getForecast } = require('./forecast');
+const { cropIssue, evaluateCropSuitability } = require('./suitability');
+
+const MAX_TOOL_ROUNDS = 4; // model turns that may call tools before it has to answer
+const MAX_CALLS_PER_ROUND = 6;
+const FORECAST_DAYS = 7; // the default agronomy forecast, shared with the suitability check and the pages
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Added to the system instruction whenever the tools are offered
+const TOOL_INSTRUCTION = `You can call tools that read Farmer Aid's live data for districts of Pakistan: getDistrict (is a place a known district, and where), getForecast (daily forecast for the next days) and getSuitability (whether this week's forecast suits a crop).
+Whenever an answer depends on current or upcoming weather, rain, temperature, irrigation timing or crop suitability in a place, call the tools instead of answering from general knowledge or declining. Base the answer on their results: mention the district, the dates and the numbers you used, and say they come from the forecast. Never invent forecast values; if a tool returns an error, say what could not be checked.`;
+
+function round1(n) {
+  return typeof n === 'number' ? Math.round(n * 10) / 10 : null;
+}
+
+class ToolInputError extends Error {}
+
+function requireText(args, name) {
+  const value = args[name];
+  if (typeof value !== 'string' || !value.trim()) throw new ToolInputError(`${name} is required`);
+  return value.trim();
+}
+
+// Known district located with the geocoder, or a ToolInputError the model can act on
+async function locate(name) {
+  if (!resolveDistrict(name)) {
+    throw new ToolInputError(`"${name}" is not a district the app knows. Ask the farmer for their district (e.g. Multan, Faisalabad, Larkana).`);
+  }
+  const place = await locateDistrict(name);
+  if (!place) throw new Error(`District "${name}" could not be located`);
+  return place;
+}
+
+// Daily ET0 (mm) from the hourly values, per forecast day
+function dailyEt0(hourly, dates) {
+  const totals = {};
+  (hourly.time || []).forEach((time, i) => {
+    const value = (hourly.et0 || [])[i];
+    if (typeof value === 'number') totals[time.slice(0, 10)] = (totals[time.slice(0, 10)] || 0) + value;
+  });
+  return dates.map((date) => (date in totals ? round1(totals[date]) : null));
+}
+
+function describePlace(place) {
+  return {
+    district: place.district,
+    province: place.province,
+    location: { name: place.name, latitude: place.latitude, longitude: place.longitude }
+  };
+}
+
+const TOOLS = {
+  getDistrict: {
+    declaration: {
+      name: 'getDistrict',
+      description: 'Checks whether a place name is a district of Pakistan that the app has data for, and returns its canonical name, province and coordinates. Accepts common spellings and towns inside a district.',
+      parameters: {
+        type: 'object',
+        properties: { name: { type: 'string', description: 'Place name as the farmer wrote it, e.g. "Multan" or "Kot Addu"' } },
+        required: ['name']
+      }
+    },
+    async run(args) {
+      const name = requireText(args, 'name');
+      const resolved = resolveDistrict(name);
+      if (!resolved) return { found: false, message: `"${name}" is not a district the app knows` };
+      const place = await locateDistrict(name);
+      return place ? { found: true, ...describePlace(place) } : { found: true, district: resolved.district, province: resolved.province, location: null };
+    }
+  },
+
+  getForecast: {
+    declaration: {
+      name: 'getForecast',
+      description: `Daily weather forecast for a district of Pakistan for the next ${FORECAST_DAYS} days (today first): temperatures (°C), precipitation (mm), humidity (%), reference evapotranspiration ET0 (mm, the water the crop loses) and the sky condition.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          district: { type: 'string', description: 'District name, e.g. "Multan"' },
+          days: { type: 'integer', description: `Number of days, 1-${FORECAST_DAYS} (default ${FORECAST_DAYS})` }
+        },
+        required: ['district']
+      }
+    },
+    async run(args) {
+      const place = await locate(requireText(args, 'district'));
+      const days = Math.min(FORECAST_DAYS, Math.max(1, Number.parseInt(args.days, 10) || FORECAST_DAYS));
+      const { value: forecast } = await getForecast(place.latitude, place.longitude);
+      const daily = forecast.daily || {};
+      const dates = (daily.time || []).slice(0, days);
+      const et0 = dailyEt0(forecast.hourly || {}, dates);
+      return {
+        ...describePlace(place),
+        provider: forecast.provider || null,
+        days: dates.map((date, i) => ({
+          date,
+          condition: describeWeatherCode((daily.weatherCode || [])[i]),
+          temperatureMax: round1((daily.temperatureMax || [])[i]),
+          temperatureMin: round1((daily.temperatureMin || [])[i]),
+          precipitationMm: round1((daily.precipitation || [])[i]),
+          humidityMax: round1((daily.humidityMax || [])[i]),
+          humidityMin: round1((daily.humidityMin || [])[i]),
+          et0Mm: et0[i]
+        }))
+      };
+    }
+  },
+
+  getSuitability: {
+    declaration: {
+      name: 'getSuitability',
+      description: `Checks whether the next five forecast days suit a crop in a district (status Suitable, Marginal or Unsuitable, with the reasons and the averages used). It works for ${CROPS.join(', ')} only; other crops are refused. With a sowing date the crop's growth stage and stage-critical heat or frost are included.`,
+      parameters: {
+        type: 'object',
+        properties: {
+          crop: { type: 'string', description: `Crop in English, e.g. ${CROPS.map((c) => `"${c}"`).join(', ')}` },
+          district: { type: 'string', description: 'District name, e.g. "Multan"' },
+          sowingDate: { type: 'string', description: 'Sowing date as YYYY-MM-DD, if the farmer gave one' }
+        },
+        required: ['crop', 'district']
+      }
+    },
+    async run(args) {
+      const crop = requireText(args, 'crop').toLowerCase();
+      if (cropIssue(crop)) throw new ToolInputError(cropIssue(crop));
+      const sowingDate = args.sowingDate ? String(args.sowingDate) : undefined;
+      if (sowingDate && (!ISO_DATE_RE.test(sowingDate) || Number.isNaN(Date.parse(sowingDate)))) {
+        throw new ToolInputError('sowingDate must be a date (YYYY-MM-DD)');
+      }
+      const place = await locate(requireText(args, 'district'));
+      const { value: forecast } = await getForecast(place.latitude, place.longitude);
+      const evaluation = evaluateCropSuitability(forecast, crop, { zone: place.province, district: place.district, sowingDate });
+      const metrics = {};
+      Object.keys(evaluation.metrics).forEach((k) => { metrics[k] = round1(evaluation.metrics[k]); });
+      return {
+        crop,
+        ...describePlace(place),
+        status: evaluation.status,
+        reasons: evaluation.reasons,
+        metrics,
+        thresholds: evaluation.thresholds,
+        thresholdSource: evaluation.thresholdSource,
+        stage: evaluation.phenology && evaluation.phenology.sown ? evaluation.phenology.stage.name : null
+      };
+    }
+  }
+};
+
+const TOOL_NAMES = Object.keys(TOOLS);
+
+/**
+ * Runs one tool call ({ name, args }). Resolves to { ok: true, result } or { ok: false, error }: bad
+ * arguments and unknown names are reported back to the model rather than failing the answer.
+ */
+async function runTool({ name, args }) {
+  const tool = TOOLS[name];
+  if (!tool) return { ok: false, error: `Unknown tool "${name}" (available: ${TOOL_NAMES.join(', ')})` };
+  try {
+    return { ok: true, result: await tool.run(args || {}) };
+  } catch (err) {
+    if (!(err instanceof ToolInputError)) console.error(`Tool ${name} error:`, err?.response?.data || err.message || err);
+    return { ok: false, error: err instanceof ToolInputError ? err.message : 'The data service is unavailable right now' };
+  }
+}
+
+// The request body with the tool declarations and the tool instruction added
+function withTools(body) {
+  const parts = body.systemInstruction?.parts || [{ text: gemini.DEFAULT_SYSTEM_PROMPT }];
+  return {
+    ...body,
+    systemInstruction: { ...body.systemInstruction, parts: [...parts, { text: TOOL_INSTRUCTION }] },
+    tools: [{ functionDeclarations: TOOL_NAMES.map((name) => TOOLS[name].declaration) }]
+  };
+}
+
+/**
+ * Generates an answer with the tools available: while the model asks for function calls they are
+ * run on the server and their results sent back, up to MAX_TOOL_ROUNDS times, after which it must
+ * answer. Text streams through onText(chunk) as in gemini.streamGenerate; onTool(event) reports each
+ * call as { id, name, args, status: 'running' } and then { id, name, args, status: 'done' | 'error', error? }.
+ * Resolves to { text, finishReason, toolCalls: [{ name, args, status, error? }] }.
+ */
+async function answerWithTools(body, { onText, onTool, signal } = {}) {
+  const request = withTools(body);
+  // Shorthand bodies leave the role out; a multi-turn exchange needs it on every turn
+  const contents = (request.contents || []).map((c) => (c.role ? c : { ...c, role: 'user' }));
+  const toolCalls = [];
+  let text = '';
+
+  for (let round = 0; ; round += 1) {
+    const lastRound = round === MAX_TOOL_ROUNDS;
+    const separate = Boolean(text); // text before a tool call ("Let me check…") stays its own paragraph
+    let roundText = '';
+    const result = await gemini.streamGenerate({
+      ...request,
+      contents,
+      // Out of rounds: the declarations stay (earlier turns refer to them) but no more calls
+      ...(lastRound ? { toolConfig: { functionCallingConfig: { mode: 'NONE' } } } : {})
+    }, {
+      signal,
+      onText: (chunk) => {
+        const piece = separate && !roundText && !text.endsWith('\n') ? `\n\n${chunk}` : chunk;
+        roundText += chunk;
+        text += piece;
+        if (onText) onText(piece);
+      }
+    });
+    const calls = result.functionCalls.slice(0, MAX_CALLS_PER_ROUND);
+    if (!calls.length || lastRound) return { text, finishReason: result.finishReason, toolCalls };
+
+    const responses = await Promise.all(calls.map(async (part) => {
+      const { name, args = {} } = part.functionCall;
+      const id = toolCalls.length;
+      toolCalls.push({ name, args, status: 'running' });
+      if (onTool) onTool({ id, name, args, status: 'running' });
+      const outcome = await runTool({ name, args });
+      toolCalls[id] = outcome.ok ? { name, args, status: 'done' } : { name, args, status: 'error', error: outcome.error };
+      if (onTool) onTool({ id, ...toolCalls[id] });
+      return { functionResponse: { name, response: outcome.ok ? outcome.result : { error: outcome.error } } };
+    }));
+    if (signal && signal.aborted) return { text, finishReason: 'ABORTED', toolCalls };
+
+    contents.push({ role: 'model', parts: [...(roundText ? [{ text: roundText }] : []), ...calls] });
+    contents.push({ role: 'user', parts: responses });
+  }
+}
+
+module.exports = { TOOL_NAMES, TOOL_INSTRUCTION, runTool, answerWithTools };
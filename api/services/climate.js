@@ -0,0 +1,130 @@
+// Daily weather history and climate normals from the provider's archive, and how the forecast
+// compares with the normals (anomalies).
+const { NORMAL_PERIOD, dailyNormals, normalsFor, forecastAnomalies } = require('@farmer-aid/agronomy');
+const { createCache, roundToGrid } = require('./cache');
+const { getProvider } = require('../providers');
+const { getForecast } = require('./forecast');
+
+// Normals are built from decades of archive data that no longer changes, so keep them for a month
+const normalsCache = createCache('normals', { ttl: 30 * 24 * 60 * 60, staleIfError: 90 * 24 * 60 * 60, maxEntries: 200 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const ARCHIVE_START_YEAR = 1940;
+const MAX_HISTORY_DAYS = 366;
+const MAX_NORMAL_YEARS = 30;
+
+function isIsoDate(value) {
+  return ISO_DATE_RE.test(value || '') && !Number.isNaN(Date.parse(value));
+}
+
+function daysBetween(start, end) {
+  return Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Validates a /api/history date range; returns a list of problems (empty when valid). The range
+ * may run up to today and span at most MAX_HISTORY_DAYS days.
+ */
+function validateHistoryRange(startDate, endDate) {
+  const today = new Date().toISOString().slice(0, 10);
+  const issues = [];
+  if (!isIsoDate(startDate)) issues.push('start must be a date (YYYY-MM-DD)');
+  if (!isIsoDate(endDate)) issues.push('end must be a date (YYYY-MM-DD)');
+  if (issues.length) return issues;
+  if (startDate < `${ARCHIVE_START_YEAR}-01-01`) issues.push(`start must be in ${ARCHIVE_START_YEAR} or later`);
+  if (endDate > today) issues.push('end must not be in the future');
+  if (endDate < startDate) issues.push('end must not be before start');
+  else if (daysBetween(startDate, endDate) >= MAX_HISTORY_DAYS) issues.push(`The range must span at most ${MAX_HISTORY_DAYS} days`);
+  return issues;
+}
+
+/**
+ * Validates an optional /api/normals date range (any year; both ends or neither).
+ */
+function validateNormalsRange(startDate, endDate) {
+  if (!startDate && !endDate) return [];
+  if (!isIsoDate(startDate) || !isIsoDate(endDate)) return ['start and end must both be dates (YYYY-MM-DD)'];
+  if (endDate < startDate) return ['end must not be before start'];
+  if (daysBetween(startDate, endDate) >= MAX_HISTORY_DAYS) return [`The range must span at most ${MAX_HISTORY_DAYS} days`];
+  return [];
+}
+
+/**
+ * Parses "1991-2020" into { startYear, endYear } (the standard period when empty); returns
+ * { issues } for malformed or out-of-range periods.
+ */
+function parseNormalPeriod(raw) {
+  if (!raw) return { ...NORMAL_PERIOD };
+  const match = /^(\d{4})-(\d{4})$/.exec(String(raw).trim());
+  if (!match) return { issues: ['years must look like 1991-2020'] };
+  const startYear = Number(match[1]);
+  const endYear = Number(match[2]);
+  const lastFullYear = new Date().getUTCFullYear() - 1;
+  const issues = [];
+  if (startYear < ARCHIVE_START_YEAR) issues.push(`years must start in ${ARCHIVE_START_YEAR} or later`);
+  if (endYear > lastFullYear) issues.push(`years must end by ${lastFullYear}`);
+  if (endYear < startYear) issues.push('years must run from the earlier to the later year');
+  else if (endYear - startYear + 1 > MAX_NORMAL_YEARS) issues.push(`years must span at most ${MAX_NORMAL_YEARS} years`);
+  return issues.length ? { issues } : { startYear, endYear };
+}
+
+/**
+ * Returns { value, cache, age } with daily normals ({ 'MM-DD': {...} }, see dailyNormals) for the
+ * given coordinates and years, or null when the coordinates are not numbers. The daily history
+ * itself is not cached; only the 366 normals are.
+ */
+async function getNormals(latitude, longitude, { startYear, endYear } = NORMAL_PERIOD) {
+  const lat = roundToGrid(latitude);
+  const lon = roundToGrid(longitude);
+  if (lat === null || lon === null) return null;
+
+  const provider = getProvider();
+  return normalsCache.wrap(`${provider.name}:${lat},${lon}:${startYear}-${endYear}`, async () => {
+    const history = await provider.getDailyHistory({
+      latitude: lat,
+      longitude: lon,
+      startDate: `${startYear}-01-01`,
+      endDate: `${endYear}-12-31`
+    });
+    return dailyNormals(history.daily);
+  });
+}
+
+/**
+ * Normals for a date range (default: the forecast days) and the forecast's anomalies against them.
+ * Resolves to null for invalid coordinates, otherwise
+ * { period: { startYear, endYear }, days: [{ date, temperatureMax, temperatureMin, precipitation, ... }],
+ *   anomalies: { days, summary } | null, cache }. anomalies covers the forecast days and is null when
+ * an explicit range is given.
+ */
+async function getNormalsReport({ latitude, longitude, startYear, endYear, startDate, endDate }) {
+  const normals = await getNormals(latitude, longitude, { startYear, endYear });
+  if (!normals) return null;
+
+  let dates = [];
+  let anomalies = null;
+  let cache = normals.cache;
+  if (startDate && endDate) {
+    for (let i = 0; i <= daysBetween(startDate, endDate); i++) {
+      dates.push(new Date(Date.parse(`${startDate}T00:00:00Z`) + i * DAY_MS).toISOString().slice(0, 10));
+    }
+  } else {
+    const forecast = await getForecast(latitude, longitude);
+    const daily = forecast.value.daily || {};
+    dates = daily.time || [];
+    anomalies = forecastAnomalies(daily, normals.value);
+    if (forecast.cache !== 'HIT') cache = forecast.cache;
+  }
+
+  return { period: { startYear, endYear }, days: normalsFor(normals.value, dates), anomalies, cache };
+}
+
+module.exports = {
+  MAX_HISTORY_DAYS,
+  validateHistoryRange,
+  validateNormalsRange,
+  parseNormalPeriod,
+  getNormals,
+  getNormalsReport
+};
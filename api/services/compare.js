@@ -0,0 +1,138 @@
+// Side-by-side forecast, suitability and risk flags for several districts, for extension officers
+// who cover more than one. Districts are located and forecast in parallel; a district that fails
+// is reported with an error instead of failing the whole comparison.
+const { resolveDistrict, estimatePhenology, assessDiseaseRisk } = require('@farmer-aid/agronomy');
+const { getForecast } = require('./forecast');
+const { locateDistrict } = require('./geocode');
+const { cropIssue, evaluateCropSuitability } = require('./suitability');
+const { ALERT_TYPES, ALERT_LABELS, evaluateAlerts } = require('./alerts/rules');
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MIN_COMPARE_DISTRICTS = 2;
+const MAX_COMPARE_DISTRICTS = 8;
+
+function round1(n) {
+  return typeof n === 'number' ? Math.round(n * 10) / 10 : n;
+}
+
+/**
+ * Validates compareDistricts() options; returns a list of problems (empty when valid).
+ */
+function validateCompareOptions({ districts, crop, sowingDate }) {
+  const issues = [];
+  if (!crop) issues.push('Missing crop');
+  else if (cropIssue(crop)) issues.push(cropIssue(crop));
+  if (sowingDate && (!ISO_DATE_RE.test(sowingDate) || Number.isNaN(Date.parse(sowingDate)))) {
+    issues.push('sowingDate must be a date (YYYY-MM-DD)');
+  }
+  if (districts.length < MIN_COMPARE_DISTRICTS || districts.length > MAX_COMPARE_DISTRICTS) {
+    issues.push(`Pick ${MIN_COMPARE_DISTRICTS} to ${MAX_COMPARE_DISTRICTS} districts`);
+  }
+  const seen = new Set();
+  districts.forEach((name) => {
+    const resolved = resolveDistrict(name);
+    if (!resolved) issues.push(`Unknown district "${name}"`);
+    else if (seen.has(resolved.district)) issues.push(`District "${resolved.district}" is listed twice`);
+    else seen.add(resolved.district);
+  });
+  return issues;
+}
+
+// Frost / heat / heavy-rain flags (the alert rules) and non-Low disease model peaks
+function riskFlags(forecast, place, crop, phenology) {
+  const sub = {
+    id: place.district,
+    name: place.district,
+    district: place.district,
+    crop,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    alertTypes: ALERT_TYPES
+  };
+  const weather = evaluateAlerts(forecast, sub).map(({ type, severity, date, value, limit, message }) => ({
+    type, label: ALERT_LABELS[type], severity, date, value, limit, message
+  }));
+
+  const risk = assessDiseaseRisk(crop, forecast.hourly || {}, { phenology });
+  const disease = (risk ? risk.models : [])
+    .filter((m) => m.peak && m.peak.level !== 'Low')
+    .map((m) => ({
+      type: 'disease',
+      label: m.name,
+      model: m.key,
+      severity: m.peak.level === 'High' ? 'severe' : 'warning',
+      date: m.peak.date,
+      value: m.peak.index,
+      limit: null,
+      message: `${m.name} risk ${m.peak.level.toLowerCase()} on ${m.peak.date} in ${place.district}: ${m.peak.explanation}`
+    }));
+  return [...weather, ...disease];
+}
+
+async function compareDistrict(name, crop, sowingDate, lang) {
+  const place = await locateDistrict(name);
+  if (!place) {
+    const resolved = resolveDistrict(name);
+    return { district: resolved.district, province: resolved.province, error: 'District could not be located' };
+  }
+  const result = await getForecast(place.latitude, place.longitude);
+  const forecast = result.value;
+  const daily = forecast.daily || {};
+
+  const evaluation = evaluateCropSuitability(forecast, crop, { zone: place.province, district: place.district, sowingDate, lang });
+  const metrics = {};
+  Object.keys(evaluation.metrics).forEach((k) => { metrics[k] = round1(evaluation.metrics[k]); });
+  const phenology = sowingDate ? estimatePhenology(crop, sowingDate, { daily }) : null;
+
+  return {
+    district: place.district,
+    province: place.province,
+    location: { name: place.name, latitude: place.latitude, longitude: place.longitude },
+    forecast: {
+      time: daily.time || [],
+      temperatureMax: daily.temperatureMax || [],
+      temperatureMin: daily.temperatureMin || [],
+      precipitation: daily.precipitation || [],
+      weatherCode: daily.weatherCode || []
+    },
+    suitability: {
+      status: evaluation.status,
+      reasons: evaluation.reasons,
+      metrics,
+      thresholdSource: evaluation.thresholdSource,
+      stage: evaluation.phenology && evaluation.phenology.sown ? evaluation.phenology.stage.name : null
+    },
+    risks: riskFlags(forecast, place, crop, phenology),
+    cache: result.cache
+  };
+}
+
+/**
+ * Compares `crop` across `districts` (names resolvable by resolveDistrict); `lang` ('en' | 'ur') is
+ * the language of the suitability reasons and stage names. Resolves to
+ * { crop, sowingDate, districts: [row], cache } with rows in request order, each either
+ * { district, province, location, forecast: { time, temperatureMax, temperatureMin, precipitation,
+ * weatherCode }, suitability: { status, reasons, metrics, thresholdSource, stage }, risks: [{ type,
+ * label, severity, date, value, limit, message }] } or { district, province, error }. `cache` is HIT only
+ * when every forecast came from the cache.
+ */
+async function compareDistricts({ districts, crop, sowingDate, lang = 'en' }) {
+  const settled = await Promise.allSettled(districts.map((name) => compareDistrict(name, crop, sowingDate, lang)));
+  const rows = settled.map((outcome, i) => {
+    if (outcome.status === 'fulfilled') return outcome.value;
+    const resolved = resolveDistrict(districts[i]) || {};
+    console.error(`Compare: ${districts[i]} failed:`, outcome.reason?.response?.data || outcome.reason?.message || outcome.reason);
+    return { district: resolved.district || districts[i], province: resolved.province || null, error: 'Weather data unavailable' };
+  });
+
+  const caches = rows.filter((r) => r.cache).map((r) => r.cache);
+  const cache = caches.find((c) => c !== 'HIT') || (caches.length ? 'HIT' : 'MISS');
+  return {
+    crop,
+    sowingDate: sowingDate || null,
+    districts: rows.map(({ cache: _cache, ...row }) => row),
+    cache
+  };
+}
+
+module.exports = { MAX_COMPARE_DISTRICTS, validateCompareOptions, compareDistricts };
@@ -0,0 +1,51 @@
+// Image-based plant diagnosis: sends the uploaded photo to the model as an inline image part
+// and checks that the reply matches the `diagnosis` schema (schemas/diagnosis.js).
+const { generateStructured } = require('./structured');
+const { withLanguage } = require('./gemini');
+
+const DIAGNOSIS_PROMPT = `You are an expert agricultural plant pathologist. The attached image shows a plant leaf or plant part.
+Identify the most likely disease OR nutritional/water deficiency. Respond ONLY with a single JSON object using these keys exactly:
+{
+  "disease": "<Name or 'unknown' or multiple comma-separated hypotheses>",
+  "severity": "<mild | moderate | severe | unknown>",
+  "treatment": "<Concise, actionable treatment steps>",
+  "nutrientWater": "<Concise advice about nutrient or water issues (if any)>",
+  "additionalAdvice": "<Any additional practical advice for the farmer>"
+}
+If you are not certain, set "disease" to "unknown" and give likely possibilities in that field. Use short sentences and avoid mentioning brand names or chemical dosages.`;
+
+/**
+ * Builds the Gemini request body for an image buffer. `crop` and `notes` are optional farmer context;
+ * `lang` ('ur') asks for the free-text fields in that language (keys and severity stay English).
+ */
+function buildDiagnosisRequest(buffer, mimeType, { crop, notes, lang } = {}) {
+  const context = [
+    crop ? `Crop: ${crop}` : null,
+    notes ? `Farmer notes: ${notes}` : null
+  ].filter(Boolean).join('\n');
+
+  return withLanguage({
+    systemInstruction: { parts: [{ text: 'You are AgriGuide, a concise agricultural expert. Answer exactly as requested.' }] },
+    contents: [{
+      role: 'user',
+      parts: [
+        { inline_data: { mime_type: mimeType, data: buffer.toString('base64') } },
+        { text: context ? `${DIAGNOSIS_PROMPT}\n\n${context}` : DIAGNOSIS_PROMPT }
+      ]
+    }],
+    generationConfig: { temperature: 0.2, maxOutputTokens: 1200 }
+  }, lang);
+}
+
+/**
+ * Diagnoses an uploaded image ({ buffer, mimetype } as provided by multer).
+ * Upstream errors propagate; a reply that still fails validation after the repair retry throws
+ * SchemaValidationError with code DIAGNOSIS_SCHEMA_MISMATCH.
+ */
+async function diagnoseImage(file, options = {}) {
+  const body = buildDiagnosisRequest(file.buffer, file.mimetype, options);
+  const { data } = await generateStructured('diagnosis', body, { timeout: 45000, errorCode: 'DIAGNOSIS_SCHEMA_MISMATCH' });
+  return data;
+}
+
+module.exports = { buildDiagnosisRequest, diagnoseImage };
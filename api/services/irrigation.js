@@ -0,0 +1,55 @@
+// Irrigation schedule for a field: the FAO-56 water balance from the shared package, run over the
+// forecast's daily rain and hourly ET0 (climate ET0 and no rain for days outside the forecast).
+const { SOIL_TYPES, getCropWater, scheduleIrrigation } = require('@farmer-aid/agronomy');
+const { getForecast } = require('./forecast');
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_HORIZON_DAYS = 120;
+
+function isIsoDate(value) {
+  return ISO_DATE_RE.test(value || '') && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Validates getIrrigationSchedule() options; returns a list of problems (empty when valid).
+ */
+function validateIrrigationOptions({ crop, sowingDate, soil, awc, rootDepth, efficiency, maxDepthMm, areaAcres, irrigations, horizonDays }) {
+  const issues = [];
+  if (!getCropWater(crop)) {
+    issues.push(crop ? `No water model for crop "${crop}"` : 'Missing crop');
+  }
+  if (!isIsoDate(sowingDate)) issues.push('sowingDate must be a date (YYYY-MM-DD)');
+  if (soil !== undefined && !SOIL_TYPES[soil]) issues.push(`soil must be one of: ${Object.keys(SOIL_TYPES).join(', ')}`);
+  if (awc !== undefined && !(awc > 0 && awc <= 300)) issues.push('awc must be between 0 and 300 mm per metre');
+  if (rootDepth !== undefined && !(rootDepth > 0 && rootDepth <= 3)) issues.push('rootDepth must be between 0 and 3 m');
+  if (efficiency !== undefined && !(efficiency > 0 && efficiency <= 1)) issues.push('efficiency must be between 0 and 1');
+  if (maxDepthMm !== undefined && !(maxDepthMm > 0)) issues.push('maxDepth must be a positive number (mm)');
+  if (areaAcres !== undefined && !(areaAcres > 0)) issues.push('areaAcres must be a positive number');
+  if (horizonDays !== undefined && !(Number.isInteger(horizonDays) && horizonDays >= 1 && horizonDays <= MAX_HORIZON_DAYS)) {
+    issues.push(`horizon must be a whole number of days (1–${MAX_HORIZON_DAYS})`);
+  }
+  (irrigations || []).forEach((i) => {
+    if (!isIsoDate(i.date) || !(i.depthMm > 0)) issues.push(`Invalid irrigation "${i.raw}" (expected YYYY-MM-DD:mm)`);
+  });
+  return issues;
+}
+
+/**
+ * Irrigation schedule for `crop` at (latitude, longitude). Resolves to null for invalid coordinates,
+ * otherwise scheduleIrrigation()'s result plus { cache }.
+ */
+async function getIrrigationSchedule({ latitude, longitude, crop, ...options }) {
+  const forecast = await getForecast(latitude, longitude);
+  if (!forecast) return null;
+
+  const { daily = {}, hourly = {} } = forecast.value;
+  const plan = scheduleIrrigation(crop, {
+    ...options,
+    daily,
+    hourly,
+    today: (daily.time && daily.time[0]) || undefined
+  });
+  return plan && { ...plan, cache: forecast.cache };
+}
+
+module.exports = { MAX_HORIZON_DAYS, validateIrrigationOptions, getIrrigationSchedule };
@@ -0,0 +1,53 @@
+// Tiny JSON-file persistence for small server-side collections (alert subscriptions, sent-alert log, ...).
+// Files live in DATA_DIR (default backend/data). Writes go to a temp file and are renamed into place,
+// and are queued per store so concurrent requests never interleave.
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+
+function dataPath(...parts) {
+  return path.join(DATA_DIR, ...parts);
+}
+
+/**
+ * Returns { read, update, file } for `fileName` inside DATA_DIR.
+ * read() resolves to the stored value (or a copy of `defaultValue` when the file does not exist yet);
+ * update(fn) applies fn(current) -> next (sync or async), persists it and resolves to the new value.
+ */
+function createJsonStore(fileName, defaultValue) {
+  const file = dataPath(fileName);
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      const raw = await fs.promises.readFile(file, 'utf8');
+      return JSON.parse(raw);
+    } catch (err) {
+      if (err.code === 'ENOENT') return JSON.parse(JSON.stringify(defaultValue));
+      throw err;
+    }
+  }
+
+  async function write(value) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2));
+    await fs.promises.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const next = queue.then(async () => {
+      const value = await fn(await read());
+      await write(value);
+      return value;
+    });
+    // Keep the queue alive after a failed update
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return { file, read, update };
+}
+
+module.exports = { DATA_DIR, dataPath, createJsonStore };
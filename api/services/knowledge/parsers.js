@@ -0,0 +1,142 @@
+// Turns library documents (Markdown, HTML or PDF) into { type, title, meta, sections: [{ heading, text }] }.
+// Sections follow the document's headings so a retrieved passage can be cited as "Guide — Section".
+const path = require('path');
+const { extractPdfText } = require('./pdf');
+
+const TYPES = {
+  markdown: { extensions: ['.md', '.markdown', '.txt'], mimetypes: ['text/markdown', 'text/x-markdown', 'text/plain'] },
+  html: { extensions: ['.html', '.htm'], mimetypes: ['text/html', 'application/xhtml+xml'] },
+  pdf: { extensions: ['.pdf'], mimetypes: ['application/pdf'] }
+};
+const META_KEYS = ['title', 'source', 'url', 'region'];
+
+/** 'markdown' | 'html' | 'pdf' from the file name (preferred) or MIME type, or null when unsupported. */
+function documentType(filename, mimetype) {
+  const ext = path.extname(String(filename || '')).toLowerCase();
+  const base = String(mimetype || '').split(';')[0].trim().toLowerCase();
+  return Object.keys(TYPES).find((type) => TYPES[type].extensions.includes(ext))
+    || Object.keys(TYPES).find((type) => TYPES[type].mimetypes.includes(base))
+    || null;
+}
+
+// Front matter between --- lines at the top: `key: value` for the keys in META_KEYS
+function splitFrontMatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/.exec(text);
+  if (!match) return { meta: {}, body: text };
+  const meta = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const kv = /^(\w+)\s*:\s*(.*)$/.exec(line);
+    if (kv && META_KEYS.includes(kv[1].toLowerCase())) meta[kv[1].toLowerCase()] = kv[2].replace(/^["']|["']$/g, '').trim();
+  });
+  return { meta, body: text.slice(match[0].length) };
+}
+
+// Markdown inline syntax -> plain text (links keep their label)
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]*)`/g, '$1');
+}
+
+function parseMarkdown(text) {
+  const { meta, body } = splitFrontMatter(text.replace(/^﻿/, ''));
+  const sections = [];
+  let title = meta.title || null;
+  let current = { heading: null, lines: [] };
+  body.split(/\r?\n/).forEach((line) => {
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (!heading) {
+      if (!/^\s*(```|~~~|<!--|-->|\|?\s*:?-{3,})/.test(line)) current.lines.push(stripInlineMarkdown(line));
+      return;
+    }
+    const textOf = stripInlineMarkdown(heading[2]);
+    if (heading[1].length === 1 && !title) {
+      title = textOf;
+      return;
+    }
+    sections.push(current);
+    current = { heading: textOf, lines: [] };
+  });
+  sections.push(current);
+  return {
+    title,
+    meta,
+    sections: sections.map((s) => ({ heading: s.heading, text: s.lines.join('\n').trim() })).filter((s) => s.text)
+  };
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…', deg: '°' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (all, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : all;
+    }
+    return ENTITIES[code.toLowerCase()] ?? all;
+  });
+}
+
+// HTML fragment -> text with paragraph breaks at block elements
+function htmlText(html) {
+  return decodeEntities(html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|section|article|ul|ol|table|tr|blockquote|h[4-6])\b[^>]*>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function parseHtml(html) {
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|nav|header|footer|svg|form)\b[\s\S]*?<\/\1>/gi, '');
+  const meta = {};
+  const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(cleaned);
+  const bodyMatch = /<body[^>]*>([\s\S]*)<\/body>/i.exec(cleaned);
+  const body = bodyMatch ? bodyMatch[1] : cleaned;
+  let title = titleTag ? htmlText(titleTag[1]) : null;
+
+  const sections = [];
+  const headingRe = /<h([1-3])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let heading = null;
+  let last = 0;
+  let match;
+  while ((match = headingRe.exec(body))) {
+    sections.push({ heading, text: htmlText(body.slice(last, match.index)) });
+    const text = htmlText(match[2]);
+    if (match[1] === '1' && !title) title = text;
+    heading = match[1] === '1' && text === title ? null : text;
+    last = match.index + match[0].length;
+  }
+  sections.push({ heading, text: htmlText(body.slice(last)) });
+  return { title, meta, sections: sections.filter((s) => s.text) };
+}
+
+function parsePdf(buffer) {
+  const text = extractPdfText(buffer);
+  const firstLine = text.split('\n').find((line) => line.trim().length > 3);
+  return { title: firstLine ? firstLine.trim().slice(0, 120) : null, meta: {}, sections: text ? [{ heading: null, text }] : [] };
+}
+
+/**
+ * Parses a document. `type` comes from documentType(); the title falls back to the file name.
+ * Throws for PDFs that are not PDFs; a document without text comes back with no sections.
+ */
+function parseDocument(buffer, { type, filename }) {
+  let parsed;
+  if (type === 'pdf') parsed = parsePdf(buffer);
+  else if (type === 'html') parsed = parseHtml(buffer.toString('utf8'));
+  else parsed = parseMarkdown(buffer.toString('utf8'));
+  const fallback = path.basename(String(filename || 'document'), path.extname(String(filename || ''))).replace(/[-_]+/g, ' ');
+  return { type, ...parsed, title: parsed.meta.title || parsed.title || fallback };
+}
+
+module.exports = { TYPES, documentType, parseDocument };
@@ -0,0 +1,214 @@
+// Plain-text extraction from PDFs for the knowledge library, without a PDF library: the content
+// streams are inflated and their text-showing operators (Tj, TJ, ', ") read in order. This covers
+// the bulletins and guides exported from word processors (standard fonts, FlateDecode). Scanned
+// pages and fonts with custom encodings (CID / Identity-H, typical of Urdu PDFs) yield no usable
+// text; such documents should be converted to Markdown or HTML first.
+const zlib = require('zlib');
+
+// Inflated size limits: a few kilobytes of compressed zeros can inflate to gigabytes, so every stream
+// is capped and so is the running total of a file. Real page content is a few hundred kilobytes at most.
+const MAX_STREAM_BYTES = 8 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 32 * 1024 * 1024;
+
+/** A PDF whose content streams inflate past MAX_STREAM_BYTES or, together, MAX_INFLATED_BYTES. */
+class PdfTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PdfTooLargeError';
+  }
+}
+
+// Streams that never hold page text: images, embedded fonts, metadata, cross-reference data
+const NON_TEXT_STREAM = /\/Subtype\s*\/(Image|Type1C|CIDFontType0C|OpenType|XML)|\/Length[123]\b|\/Type\s*\/(XRef|ObjStm|EmbeddedFile|Metadata)/;
+const TJ_SPACE = -200; // a TJ kerning gap wider than this (thousandths of an em) is a word space
+
+// Windows-1252 characters PDF writers use for quotes and dashes (WinAnsiEncoding)
+const WIN_ANSI = { 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x85: '…' };
+
+// Decoded content streams (latin1 strings), in file order, that contain text objects; throws a
+// PdfTooLargeError past the inflated size limits
+function contentStreams(buffer) {
+  const raw = buffer.toString('latin1');
+  const streams = [];
+  let inflated = 0;
+  const re = /\bobj\b((?:(?!endobj)[\s\S]){0,4000}?)\bstream\r?\n/g;
+  let match;
+  while ((match = re.exec(raw))) {
+    const dict = match[1];
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+    re.lastIndex = end;
+    if (NON_TEXT_STREAM.test(dict)) continue;
+    let data = buffer.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      const maxOutputLength = Math.min(MAX_STREAM_BYTES, MAX_INFLATED_BYTES - inflated);
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength });
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new PdfTooLargeError(maxOutputLength < MAX_STREAM_BYTES
+            ? `the PDF's content inflates to more than ${MAX_INFLATED_BYTES / 1024 / 1024} MB`
+            : `a PDF content stream inflates to more than ${MAX_STREAM_BYTES / 1024 / 1024} MB`);
+        }
+        continue;
+      }
+      inflated += data.length;
+    } else if (/\/Filter/.test(dict)) {
+      continue; // LZW, ASCII85, ... are rare for page content
+    }
+    const text = data.toString('latin1');
+    if (/\bBT\b/.test(text)) streams.push(text);
+  }
+  return streams;
+}
+
+function decodeBytes(bytes) {
+  if (bytes.length >= 2 && bytes.charCodeAt(0) === 0xfe && bytes.charCodeAt(1) === 0xff) {
+    let out = '';
+    for (let i = 2; i + 1 < bytes.length; i += 2) out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    return out;
+  }
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 1) {
+    const code = bytes.charCodeAt(i);
+    out += WIN_ANSI[code] || (code >= 0x20 && code !== 0x7f ? bytes[i] : ' ');
+  }
+  return out;
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+// Reads a literal string starting at s[i] === '('; returns [bytes, next index]
+function readLiteral(s, i) {
+  let depth = 1;
+  let out = '';
+  let j = i + 1;
+  while (j < s.length && depth > 0) {
+    const c = s[j];
+    if (c === '\\') {
+      const next = s[j + 1];
+      if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(s.slice(j + 1, j + 4))[0];
+        out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        j += 1 + octal.length;
+        continue;
+      }
+      if (next === '\r' || next === '\n') { // line continuation
+        j += next === '\r' && s[j + 2] === '\n' ? 3 : 2;
+        continue;
+      }
+      out += ESCAPES[next] || next || '';
+      j += 2;
+      continue;
+    }
+    if (c === '(') depth += 1;
+    if (c === ')') depth -= 1;
+    if (depth > 0) out += c;
+    j += 1;
+  }
+  return [out, j];
+}
+
+// Text of one content stream: strings shown between BT and ET, with line breaks at line moves
+function streamText(s) {
+  let out = '';
+  let operands = [];
+  let array = null;
+  let i = 0;
+  const show = (str) => { out += decodeBytes(str); };
+  const newline = () => { if (out && !out.endsWith('\n')) out += '\n'; };
+
+  while (i < s.length) {
+    const c = s[i];
+    if (/\s/.test(c)) { i += 1; continue; }
+    if (c === '%') { // comment
+      while (i < s.length && s[i] !== '\n' && s[i] !== '\r') i += 1;
+      continue;
+    }
+    if (c === '(') {
+      const [str, next] = readLiteral(s, i);
+      (array || operands).push({ str });
+      i = next;
+      continue;
+    }
+    if (c === '<' && s[i + 1] !== '<') {
+      const end = s.indexOf('>', i);
+      const hex = s.slice(i + 1, end < 0 ? s.length : end).replace(/\s+/g, '');
+      let str = '';
+      for (let k = 0; k < hex.length; k += 2) str += String.fromCharCode(parseInt(hex.slice(k, k + 2).padEnd(2, '0'), 16));
+      (array || operands).push({ str });
+      i = end < 0 ? s.length : end + 1;
+      continue;
+    }
+    if (c === '[') { array = []; i += 1; continue; }
+    if (c === ']') { operands.push({ array: array || [] }); array = null; i += 1; continue; }
+    if (c === '<' || c === '>') { i += 2; continue; } // dictionary delimiters
+    if (c === '/') { // name
+      i += 1;
+      while (i < s.length && !/[\s/[\]()<>{}%]/.test(s[i])) i += 1;
+      operands.push({});
+      continue;
+    }
+    const token = /^[^\s/[\]()<>{}%]+/.exec(s.slice(i, i + 64));
+    const word = token ? token[0] : c;
+    i += word.length;
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      (array || operands).push({ num: Number(word) });
+      continue;
+    }
+    switch (word) {
+      case 'Tj':
+        if (operands.length && operands[operands.length - 1].str !== undefined) show(operands[operands.length - 1].str);
+        break;
+      case "'":
+      case '"':
+        newline();
+        if (operands.length && operands[operands.length - 1].str !== undefined) show(operands[operands.length - 1].str);
+        break;
+      case 'TJ':
+        (operands.length ? operands[operands.length - 1].array || [] : []).forEach((item) => {
+          if (item.str !== undefined) show(item.str);
+          else if (item.num < TJ_SPACE && !out.endsWith(' ')) out += ' ';
+        });
+        break;
+      case 'Td':
+      case 'TD':
+        if (operands.length >= 2 && operands[1].num) newline();
+        else if (operands.length && operands[0].num > 0 && !out.endsWith(' ')) out += ' ';
+        break;
+      case 'T*':
+      case 'Tm':
+      case 'ET':
+        newline();
+        break;
+      case 'ID': { // inline image data runs up to EI
+        const end = s.indexOf('EI', i);
+        i = end < 0 ? s.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+    operands = [];
+  }
+  return out;
+}
+
+/**
+ * Text of a PDF (a Buffer) as lines, in the order the content streams appear in the file (page
+ * order for the usual single-pass writers). Words hyphenated across lines are joined. Returns ''
+ * when no text could be found; throws a PdfTooLargeError when the content inflates past the limits.
+ */
+function extractPdfText(buffer) {
+  if (!buffer.subarray(0, 1024).toString('latin1').includes('%PDF-')) throw new Error('Not a PDF file');
+  return contentStreams(buffer)
+    .map(streamText)
+    .join('\n\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+module.exports = { PdfTooLargeError, extractPdfText };
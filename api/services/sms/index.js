@@ -0,0 +1,52 @@
+// Outbound SMS. Messages are rendered to a single 160-character GSM-7 segment (see render.js) and
+// handed to a gateway adapter. Every adapter exposes:
+//   name                     value of SMS_GATEWAY that selects it
+//   send({ to, text })       resolves to { id, status } once the gateway accepted the message
+// `simulator` (the default) writes messages to disk instead of sending them; a telco or aggregator
+// adapter is added by writing a module with that shape and registering it below.
+const simulator = require('./gateways/simulator');
+const { SMS_MAX_LENGTH, toGsm7 } = require('./render');
+
+const GATEWAYS = {
+  [simulator.name]: simulator
+};
+
+function getGateway(name = process.env.SMS_GATEWAY || simulator.name) {
+  const gateway = GATEWAYS[name];
+  if (!gateway) {
+    throw new Error(`Unknown SMS gateway "${name}". Available: ${Object.keys(GATEWAYS).join(', ')}`);
+  }
+  return gateway;
+}
+
+/**
+ * Normalizes a phone number to E.164 (+923001234567). Pakistani local numbers (03001234567,
+ * 0300-1234567) get the +92 prefix. Returns null when the number is not valid.
+ */
+function normalizePhone(value) {
+  const raw = String(value || '').replace(/[\s\-().]/g, '');
+  let e164 = raw;
+  if (/^03\d{9}$/.test(raw)) e164 = `+92${raw.slice(1)}`;
+  else if (/^00\d+$/.test(raw)) e164 = `+${raw.slice(2)}`;
+  else if (/^92\d{10}$/.test(raw)) e164 = `+${raw}`;
+  return /^\+[1-9]\d{7,14}$/.test(e164) ? e164 : null;
+}
+
+/**
+ * Sends one SMS through the configured gateway. `text` must already fit one segment
+ * (use the render helpers); anything else is rejected rather than silently split.
+ * Resolves to { id, gateway, status, to, text, length }.
+ */
+async function sendSms({ to, text }) {
+  const phone = normalizePhone(to);
+  if (!phone) throw new Error(`Invalid phone number: ${to}`);
+  const body = toGsm7(text);
+  if (!body) throw new Error('SMS text is empty');
+  if (body.length > SMS_MAX_LENGTH) throw new Error(`SMS text is ${body.length} characters (max ${SMS_MAX_LENGTH})`);
+
+  const gateway = getGateway();
+  const result = await gateway.send({ to: phone, text: body });
+  return { ...result, gateway: gateway.name, to: phone, text: body, length: body.length };
+}
+
+module.exports = { getGateway, gateways: GATEWAYS, normalizePhone, sendSms };
@@ -0,0 +1,141 @@
+// Schema-constrained JSON generation: asks the model for JSON matching a named schema, validates
+// the reply on the server, and re-prompts with the validation problems when it does not match.
+const gemini = require('./gemini');
+const { getSchema } = require('../schemas');
+
+const DEFAULT_MAX_REPAIRS = 1;
+
+/**
+ * Thrown when the model reply is not valid JSON for the requested schema, even after repair attempts.
+ * `issues` lists every problem from the last attempt; `raw` keeps the (truncated) last reply.
+ */
+class SchemaValidationError extends Error {
+  constructor(message, { schema, issues = [], raw = '', attempts = 1, code = 'SCHEMA_VALIDATION_FAILED' } = {}) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.code = code;
+    this.schema = schema;
+    this.issues = issues;
+    this.raw = String(raw).slice(0, 1000);
+    this.attempts = attempts;
+  }
+}
+
+// Pull the JSON value out of a reply that may be wrapped in ```json fences or extra prose.
+function extractJson(text) {
+  const unfenced = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (e) {
+    const match = unfenced.match(/\{[\s\S]*\}/);
+    if (!match) return undefined;
+    try {
+      return JSON.parse(match[0]);
+    } catch (inner) {
+      return undefined;
+    }
+  }
+}
+
+/**
+ * Validates `value` against a schema in the Gemini/OpenAPI subset (type, properties, required,
+ * items, enum, nullable, minLength, minItems, maxItems). Returns a list of issues, empty when valid.
+ * A required key must be present; `null` is accepted only where the schema is `nullable`.
+ */
+function validate(value, schema, path = '$') {
+  if (value === undefined) return [`${path} is required`];
+  if (value === null) return schema.nullable ? [] : [`${path} must not be null`];
+  const type = String(schema.type || '').toUpperCase();
+  const issues = [];
+
+  switch (type) {
+    case 'OBJECT': {
+      if (typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object`];
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) issues.push(`${path}.${key} is required`);
+      });
+      Object.keys(schema.properties || {}).forEach((key) => {
+        if (key in value) issues.push(...validate(value[key], schema.properties[key], `${path}.${key}`));
+      });
+      return issues;
+    }
+    case 'ARRAY':
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      if (schema.minItems !== undefined && value.length < schema.minItems) issues.push(`${path} must have at least ${schema.minItems} item(s)`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) issues.push(`${path} must have at most ${schema.maxItems} item(s)`);
+      if (schema.items) value.forEach((item, i) => issues.push(...validate(item, schema.items, `${path}[${i}]`)));
+      return issues;
+    case 'STRING':
+      if (typeof value !== 'string') return [`${path} must be a string`];
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) issues.push(`${path} must not be empty`);
+      break;
+    case 'NUMBER':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path} must be a number`];
+      break;
+    case 'INTEGER':
+      if (!Number.isInteger(value)) return [`${path} must be an integer`];
+      break;
+    case 'BOOLEAN':
+      if (typeof value !== 'boolean') return [`${path} must be a boolean`];
+      break;
+    default:
+      break;
+  }
+  if (schema.enum && !schema.enum.includes(value)) issues.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  return issues;
+}
+
+/**
+ * Parses and validates a reply against a registered schema entry.
+ * Returns { data, issues }; `data` is only meaningful when `issues` is empty.
+ */
+function parseReply(text, entry) {
+  let data = extractJson(text);
+  if (data === undefined) return { data: null, issues: ['reply is not valid JSON'] };
+  if (entry.normalize) data = entry.normalize(data);
+  return { data, issues: validate(data, entry.schema) };
+}
+
+function repairPrompt(issues) {
+  return `Your previous reply did not match the required JSON schema:\n- ${issues.join('\n- ')}\n`
+    + 'Reply again with ONLY the corrected JSON object, no commentary or code fences.';
+}
+
+/**
+ * Generates JSON for the named schema. `body` is a Gemini request body (see gemini.buildRequestBody).
+ * Resolves to { data, attempts }; throws SchemaValidationError when every attempt fails validation
+ * (or a plain Error for unknown schema names). Upstream/network errors propagate unchanged.
+ */
+async function generateStructured(schemaName, body, { maxRepairs = DEFAULT_MAX_REPAIRS, timeout, errorCode } = {}) {
+  const entry = getSchema(schemaName);
+  if (!entry) throw new Error(`Unknown response schema: ${schemaName}`);
+
+  // Multi-turn repair requests need explicit roles on every turn
+  let contents = (body.contents || []).map((c) => (c.role ? c : { ...c, role: 'user' }));
+  const generationConfig = { ...(body.generationConfig || {}), responseMimeType: 'application/json', responseSchema: entry.schema };
+
+  let last = { text: '', issues: [] };
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    const text = await gemini.generateText({ ...body, contents, generationConfig }, { timeout });
+    const { data, issues } = parseReply(text, entry);
+    if (!issues.length) return { data, attempts: attempt };
+
+    console.warn(`[structured:${schemaName}] attempt ${attempt} failed validation:`, issues.slice(0, 5));
+    last = { text, issues };
+    contents = [
+      ...contents,
+      { role: 'model', parts: [{ text: text || '(empty reply)' }] },
+      { role: 'user', parts: [{ text: repairPrompt(issues) }] }
+    ];
+  }
+
+  throw new SchemaValidationError(`AI reply did not match the ${schemaName} schema`, {
+    schema: schemaName,
+    issues: last.issues,
+    raw: last.text,
+    attempts: maxRepairs + 1,
+    code: errorCode
+  });
+}
+
+module.exports = { SchemaValidationError, extractJson, validate, parseReply, generateStructured };
@@ -0,0 +1,112 @@
+// Growing degree days and chill accumulated from a start date: hourly history up to yesterday,
+// the hourly forecast after that, then the climate table to project when targets are reached.
+const {
+  CHILL_MODELS,
+  getGddBase,
+  accumulateThermalTime,
+  projectThermalTargets,
+  cropThermalTargets
+} = require('@farmer-aid/agronomy');
+const { getForecast, getHourlyHistory } = require('./forecast');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_DAYS = 366;
+
+function addDays(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Validates getThermalTime() options; returns a list of problems (empty when valid).
+ * startDate must fall within the past MAX_HISTORY_DAYS.
+ */
+function validateThermalOptions({ crop, startDate, baseTemp, upperTemp, chillModel, targets }) {
+  const today = new Date().toISOString().slice(0, 10);
+  const issues = [];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || Number.isNaN(Date.parse(startDate))) {
+    issues.push('start must be a date (YYYY-MM-DD)');
+  } else if (startDate > today) {
+    issues.push('start must not be in the future');
+  } else if (startDate < addDays(today, -MAX_HISTORY_DAYS)) {
+    issues.push(`start must be within the last ${MAX_HISTORY_DAYS} days`);
+  }
+  if (baseTemp !== undefined && !Number.isFinite(baseTemp)) issues.push('base must be a number (°C)');
+  if (upperTemp !== undefined && !Number.isFinite(upperTemp)) issues.push('upper must be a number (°C)');
+  if (Number.isFinite(baseTemp) && Number.isFinite(upperTemp) && upperTemp <= baseTemp) issues.push('upper must be above base');
+  if (baseTemp === undefined && !getGddBase(crop)) {
+    issues.push(crop ? `No base temperature for crop "${crop}"; pass base` : 'Pass crop or base');
+  }
+  if (!CHILL_MODELS.includes(chillModel)) issues.push(`chill must be one of: ${CHILL_MODELS.join(', ')}`);
+  (targets || []).forEach((t) => {
+    if (!Number.isFinite(t.value) || t.value <= 0) issues.push(`Invalid ${t.kind} target "${t.raw}"`);
+  });
+  return issues;
+}
+
+/**
+ * Accumulates GDD and chill at (latitude, longitude) from startDate through the forecast.
+ * `targets` are extra [{ kind: 'gdd' | 'chill', value }]; the crop's stage and task thresholds are
+ * always projected. Resolves to null for invalid coordinates, otherwise
+ * { startDate, today, baseTemp, upperTemp, chillModel, totals, days, targets, cache }.
+ */
+async function getThermalTime({ latitude, longitude, crop, startDate, baseTemp, upperTemp, chillModel = 'hours', targets = [] }) {
+  const forecast = await getForecast(latitude, longitude);
+  if (!forecast) return null;
+
+  const daily = forecast.value.daily || {};
+  const today = (daily.time && daily.time[0]) || new Date().toISOString().slice(0, 10);
+  const base = getGddBase(crop) || {};
+  const thermal = {
+    baseTemp: baseTemp !== undefined ? baseTemp : base.baseTemp,
+    upperTemp: upperTemp !== undefined ? upperTemp : (base.upperTemp ?? Infinity),
+    chillModel
+  };
+
+  let history = { time: [], temperature: [] };
+  let cache = forecast.cache;
+  if (startDate < today) {
+    const past = await getHourlyHistory(latitude, longitude, startDate, addDays(today, -1));
+    history = past.value.hourly;
+    if (past.cache !== 'HIT') cache = past.cache;
+  }
+
+  const upcoming = forecast.value.hourly || {};
+  const hourly = {
+    time: [...history.time, ...(upcoming.time || [])],
+    temperature: [...history.temperature, ...(upcoming.temperature || [])]
+  };
+  const days = accumulateThermalTime(hourly, { ...thermal, startDate, forecastFrom: today });
+  const last = days[days.length - 1] || { gddTotal: 0, chillTotal: 0 };
+  const lastObserved = days.filter((d) => d.source === 'observed').pop() || { gddTotal: 0, chillTotal: 0 };
+
+  const named = targets.map((t) => ({
+    kind: t.kind,
+    key: `${t.kind}-${t.value}`,
+    name: t.kind === 'chill' ? `${t.value} chill ${chillModel === 'utah' ? 'units' : 'hours'}` : `${t.value} GDD`,
+    value: t.value
+  }));
+  const projected = projectThermalTargets(days, [...cropThermalTargets(crop), ...named], { ...thermal, today });
+
+  return {
+    startDate,
+    today,
+    baseTemp: thermal.baseTemp,
+    upperTemp: Number.isFinite(thermal.upperTemp) ? thermal.upperTemp : null,
+    chillModel,
+    // ...ToDate: through yesterday; gdd / chill: through the end of the forecast
+    totals: {
+      gddToDate: lastObserved.gddTotal,
+      chillToDate: lastObserved.chillTotal,
+      gdd: last.gddTotal,
+      chill: last.chillTotal
+    },
+    days,
+    targets: projected.map((t) => ({
+      ...t,
+      daysUntil: t.date ? Math.round((Date.parse(`${t.date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / DAY_MS) : null
+    })),
+    cache
+  };
+}
+
+module.exports = { MAX_HISTORY_DAYS, validateThermalOptions, getThermalTime };
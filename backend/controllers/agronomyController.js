@@ -0,0 +1,229 @@
+const { getForecast } = require('../services/forecast');
+const {
+  resolveDistrict,
+  detectZoneFromCoords,
+  validateThresholds,
+  CROPS,
+  estimatePhenology,
+  diseaseModelsFor,
+  assessDiseaseRisk,
+  DISEASE_MODELS,
+  LANGUAGES,
+  isSupportedLanguage
+} = require('@farmer-aid/agronomy');
+const { cropIssue, evaluateCropSuitability } = require('../services/suitability');
+const { validateThermalOptions, getThermalTime } = require('../services/thermalTime');
+const { validateIrrigationOptions, getIrrigationSchedule } = require('../services/irrigation');
+const { validateCompareOptions, compareDistricts } = require('../services/compare');
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function round1(n) {
+  return typeof n === 'number' ? Math.round(n * 10) / 10 : n;
+}
+
+// Problem with an optional `lang` parameter, or null
+function langIssue(lang) {
+  if (lang === undefined || isSupportedLanguage(lang)) return null;
+  return `lang must be one of ${Object.keys(LANGUAGES).join(', ')}`;
+}
+
+// GET /api/suitability?lat=..&lon=..&crop=wheat[&district=Multan][&zone=Punjab][&thresholds={...}][&sowingDate=YYYY-MM-DD][&lang=ur]
+// `thresholds` is an optional JSON user override ({ idealMax: [lo, hi], idealMin: [lo, hi], minSoilTemp, minTotalRain5d }).
+// Without it, `crop` must be one with built-in thresholds; others get 400 with the known `crops`.
+// `sowingDate` adds the crop's growth stage (`phenology`) and stage-critical heat/frost reasons.
+// `lang` translates the reasons and stage text; `status` stays Suitable / Marginal / Unsuitable.
+exports.suitability = async (req, res) => {
+  try {
+    const { lat, lon, crop, district, zone, thresholds, sowingDate, lang } = req.query;
+    if (!lat || !lon) return res.status(400).json({ error: 'Missing lat or lon' });
+    if (!crop) return res.status(400).json({ error: 'Missing `crop` query parameter' });
+    if (langIssue(lang)) return res.status(400).json({ error: 'Invalid lang', details: [langIssue(lang)] });
+
+    let override = null;
+    if (thresholds) {
+      try {
+        override = JSON.parse(thresholds);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid thresholds', details: ['thresholds must be valid JSON'] });
+      }
+      const issues = validateThresholds(override);
+      if (issues.length) return res.status(400).json({ error: 'Invalid thresholds', details: issues });
+    } else if (cropIssue(crop)) {
+      return res.status(400).json({ error: 'Unknown crop', details: [cropIssue(crop)], crops: CROPS });
+    }
+
+    if (sowingDate && (!ISO_DATE_RE.test(sowingDate) || Number.isNaN(Date.parse(sowingDate)))) {
+      return res.status(400).json({ error: 'Invalid sowingDate', details: ['sowingDate must be a date (YYYY-MM-DD)'] });
+    }
+
+    const result = await getForecast(lat, lon);
+    if (!result) return res.status(400).json({ error: 'Invalid lat or lon' });
+
+    // Same precedence as the weather page: explicit zone, then the district's province, then coordinates
+    const resolved = district ? resolveDistrict(district) : null;
+    const effectiveZone = zone || resolved?.province || detectZoneFromCoords(Number(lat), Number(lon));
+
+    const evaluation = evaluateCropSuitability(result.value, crop, {
+      zone: effectiveZone, district: resolved?.district, override, sowingDate, lang
+    });
+    const metrics = {};
+    Object.keys(evaluation.metrics).forEach((k) => { metrics[k] = round1(evaluation.metrics[k]); });
+
+    res.set('X-Cache', result.cache);
+    return res.json({
+      crop: String(crop).toLowerCase(),
+      zone: effectiveZone,
+      district: resolved?.district || null,
+      status: evaluation.status,
+      reasons: evaluation.reasons,
+      metrics,
+      thresholds: evaluation.thresholds,
+      thresholdSource: evaluation.thresholdSource,
+      phenology: evaluation.phenology
+    });
+  } catch (err) {
+    console.error('Suitability error:', err?.response?.data || err.message || err);
+    return res.status(500).json({ error: 'Suitability evaluation failed' });
+  }
+};
+
+// Comma-separated numbers ("500,1000") -> [{ kind, value, raw }]
+function parseTargets(raw, kind) {
+  if (!raw) return [];
+  return String(raw).split(',').map((v) => v.trim()).filter(Boolean).map((v) => ({ kind, value: Number(v), raw: v }));
+}
+
+function optionalNumber(raw) {
+  return raw === undefined || raw === '' ? undefined : Number(raw);
+}
+
+// GET /api/gdd?lat=..&lon=..&start=YYYY-MM-DD[&crop=wheat][&base=0][&upper=30][&chill=hours|utah][&targets=500,1000][&chillTargets=300]
+// Growing degree days and chill accumulated from `start` (hourly history, then the hourly forecast),
+// with projected dates for the crop's stage/task thresholds and any extra targets.
+exports.gdd = async (req, res) => {
+  try {
+    const { lat, lon, crop, start, base, upper, chill = 'hours', targets, chillTargets } = req.query;
+    if (!lat || !lon) return res.status(400).json({ error: 'Missing lat or lon' });
+
+    const options = {
+      crop: crop ? String(crop).toLowerCase() : undefined,
+      startDate: start,
+      baseTemp: optionalNumber(base),
+      upperTemp: optionalNumber(upper),
+      chillModel: chill,
+      targets: [...parseTargets(targets, 'gdd'), ...parseTargets(chillTargets, 'chill')]
+    };
+    const issues = validateThermalOptions(options);
+    if (issues.length) return res.status(400).json({ error: 'Invalid thermal time request', details: issues });
+
+    const result = await getThermalTime({ latitude: lat, longitude: lon, ...options });
+    if (!result) return res.status(400).json({ error: 'Invalid lat or lon' });
+
+    const { cache, ...body } = result;
+    res.set('X-Cache', cache);
+    return res.json({ crop: options.crop || null, ...body });
+  } catch (err) {
+    console.error('GDD error:', err?.response?.data || err.message || err);
+    return res.status(500).json({ error: 'Thermal time calculation failed' });
+  }
+};
+
+// Logged irrigations as "YYYY-MM-DD:mm,..." -> [{ date, depthMm, raw }]
+function parseIrrigations(raw) {
+  if (!raw) return [];
+  return String(raw).split(',').map((v) => v.trim()).filter(Boolean).map((v) => {
+    const [date, depth] = v.split(':');
+    return { date, depthMm: Number(depth), raw: v };
+  });
+}
+
+// GET /api/irrigation?lat=..&lon=..&crop=wheat&sowingDate=YYYY-MM-DD[&soil=loam][&awc=155][&rootDepth=1.2]
+//   [&efficiency=0.6][&maxDepth=100][&areaAcres=5][&irrigations=2025-11-20:75,...][&horizon=30]
+// FAO-56 soil water balance since sowing and the irrigation dates / depths it calls for.
+exports.irrigation = async (req, res) => {
+  try {
+    const { lat, lon, crop, sowingDate, soil, awc, rootDepth, efficiency, maxDepth, areaAcres, irrigations, horizon } = req.query;
+    if (!lat || !lon) return res.status(400).json({ error: 'Missing lat or lon' });
+
+    const options = {
+      crop: crop ? String(crop).toLowerCase() : undefined,
+      sowingDate,
+      soil: soil || undefined,
+      awc: optionalNumber(awc),
+      rootDepth: optionalNumber(rootDepth),
+      efficiency: optionalNumber(efficiency),
+      maxDepthMm: optionalNumber(maxDepth),
+      areaAcres: optionalNumber(areaAcres),
+      irrigations: parseIrrigations(irrigations),
+      horizonDays: optionalNumber(horizon)
+    };
+    const issues = validateIrrigationOptions(options);
+    if (issues.length) return res.status(400).json({ error: 'Invalid irrigation request', details: issues });
+
+    const result = await getIrrigationSchedule({ latitude: lat, longitude: lon, ...options });
+    if (!result) return res.status(400).json({ error: 'Invalid lat or lon' });
+
+    const { cache, ...body } = result;
+    res.set('X-Cache', cache);
+    return res.json(body);
+  } catch (err) {
+    console.error('Irrigation error:', err?.response?.data || err.message || err);
+    return res.status(500).json({ error: 'Irrigation scheduling failed' });
+  }
+};
+
+// GET /api/disease-risk?lat=..&lon=..&crop=wheat[&sowingDate=YYYY-MM-DD]
+// Daily disease risk index from the hourly forecast (leaf wetness, humid hours, rain events);
+// with `sowingDate` days outside the crop's susceptible stages score 0.
+exports.diseaseRisk = async (req, res) => {
+  try {
+    const { lat, lon, crop, sowingDate } = req.query;
+    if (!lat || !lon) return res.status(400).json({ error: 'Missing lat or lon' });
+    if (!crop) return res.status(400).json({ error: 'Missing `crop` query parameter' });
+    if (!diseaseModelsFor(crop).length) {
+      const crops = [...new Set(Object.values(DISEASE_MODELS).flatMap((m) => m.crops))];
+      return res.status(400).json({ error: 'Invalid crop', details: [`No disease model for crop "${crop}"; models exist for: ${crops.join(', ')}`] });
+    }
+    if (sowingDate && (!ISO_DATE_RE.test(sowingDate) || Number.isNaN(Date.parse(sowingDate)))) {
+      return res.status(400).json({ error: 'Invalid sowingDate', details: ['sowingDate must be a date (YYYY-MM-DD)'] });
+    }
+
+    const result = await getForecast(lat, lon);
+    if (!result) return res.status(400).json({ error: 'Invalid lat or lon' });
+
+    const daily = result.value.daily || {};
+    const phenology = sowingDate ? estimatePhenology(crop, sowingDate, { daily }) : null;
+    const risk = assessDiseaseRisk(crop, result.value.hourly || {}, { phenology });
+
+    res.set('X-Cache', result.cache);
+    return res.json({ ...risk, stage: phenology && phenology.sown ? phenology.stage.name : null });
+  } catch (err) {
+    console.error('Disease risk error:', err?.response?.data || err.message || err);
+    return res.status(500).json({ error: 'Disease risk assessment failed' });
+  }
+};
+
+// GET /api/compare?districts=Multan,Lahore,...&crop=wheat[&sowingDate=YYYY-MM-DD][&lang=ur]
+// Forecast, suitability and risk flags for 2-8 districts side by side, fetched in parallel.
+exports.compare = async (req, res) => {
+  try {
+    const { districts, crop, sowingDate, lang } = req.query;
+    const options = {
+      districts: districts ? String(districts).split(',').map((v) => v.trim()).filter(Boolean) : [],
+      crop: crop ? String(crop).toLowerCase() : undefined,
+      sowingDate: sowingDate || undefined,
+      lang: lang || undefined
+    };
+    const issues = validateCompareOptions(options);
+    if (langIssue(lang)) issues.push(langIssue(lang));
+    if (issues.length) return res.status(400).json({ error: 'Invalid comparison request', details: issues });
+
+    const { cache, ...body } = await compareDistricts(options);
+    res.set('X-Cache', cache);
+    return res.json(body);
+  } catch (err) {
+    console.error('Compare error:', err?.response?.data || err.message || err);
+    return res.status(500).json({ error: 'District comparison failed' });
+  }
+};
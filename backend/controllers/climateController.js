@@ -0,0 +1,57 @@
+const { getDailyHistory } = require('../services/forecast');
+const {
+  validateHistoryRange,
+  validateNormalsRange,
+  parseNormalPeriod,
+  getNormalsReport
+} = require('../services/climate');
+
+// GET /api/history?lat=..&lon=..&start=YYYY-MM-DD&end=YYYY-MM-DD
+// Observed daily max / min / mean temperature and precipitation (at most a year per request).
+exports.history = async (req, res) => {
+  try {
+    const { lat, lon, start, end } = req.query;
+    if (!lat || !lon) return res.status(400).json({ error: 'Missing lat or lon' });
+    const issues = validateHistoryRange(start, end);
+    if (issues.length) return res.status(400).json({ error: 'Invalid history request', details: issues });
+
+    const result = await getDailyHistory(lat, lon, start, end);
+    if (!result) return res.status(400).json({ error: 'Invalid lat or lon' });
+
+    res.set('X-Cache', result.cache);
+    return res.json({ startDate: start, endDate: end, ...result.value });
+  } catch (err) {
+    console.error('History error:', err?.response?.data || err.message || err);
+    return res.status(500).json({ error: 'Failed to load weather history' });
+  }
+};
+
+// GET /api/normals?lat=..&lon=..[&years=1991-2020][&start=YYYY-MM-DD&end=YYYY-MM-DD]
+// Smoothed daily normals; without start/end they cover the forecast days and come with the
+// forecast's anomalies.
+exports.normals = async (req, res) => {
+  try {
+    const { lat, lon, years, start, end } = req.query;
+    if (!lat || !lon) return res.status(400).json({ error: 'Missing lat or lon' });
+    const period = parseNormalPeriod(years);
+    const issues = [...(period.issues || []), ...validateNormalsRange(start, end)];
+    if (issues.length) return res.status(400).json({ error: 'Invalid normals request', details: issues });
+
+    const result = await getNormalsReport({
+      latitude: lat,
+      longitude: lon,
+      startYear: period.startYear,
+      endYear: period.endYear,
+      startDate: start,
+      endDate: end
+    });
+    if (!result) return res.status(400).json({ error: 'Invalid lat or lon' });
+
+    const { cache, ...body } = result;
+    res.set('X-Cache', cache);
+    return res.json(body);
+  } catch (err) {
+    console.error('Normals error:', err?.response?.data || err.message || err);
+    return res.status(500).json({ error: 'Failed to compute climate normals' });
+  }
+};
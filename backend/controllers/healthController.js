@@ -1,3 +1,5 @@
+const { getCacheStats } = require('../services/cache');
+
 exports.getHealth = (req, res) => {
-  res.json({ status: 'ok', environment: process.env.NODE_ENV || 'development' });
+  res.json({ status: 'ok', environment: process.env.NODE_ENV || 'development', cache: getCacheStats() });
 };
@@ -0,0 +1,41 @@
+const { normalizePhone, sendSms } = require('../services/sms');
+const { SMS_LANGS, renderAdvisorySms, renderAlertSms } = require('../services/sms/render');
+const { ALERT_TYPES } = require('../services/alerts/rules');
+const { findVerifiedSmsSink } = require('../services/alerts/subscriptions');
+
+// POST /api/notifications/sms  { to, lang?, advisory?, crop?, place? | alert?, dryRun? }
+// Renders a crop advisory (the `advisory` JSON schema) or an alert (services/alerts/rules.js) as one SMS
+// and sends it. Runs behind requireOperatorKey; `to` must be a number verified for SMS alerts, whose
+// language is used unless `lang` is given. There is no free text: this is not a general SMS relay.
+exports.sendSms = async (req, res) => {
+  try {
+    const { to, lang, advisory, alert, crop, place, dryRun } = req.body || {};
+    const issues = [];
+    if (!normalizePhone(to)) issues.push('to must be a phone number (e.g. +923001234567 or 03001234567)');
+    if (lang !== undefined && !SMS_LANGS.includes(lang)) issues.push(`lang must be one of ${SMS_LANGS.join(', ')}`);
+    if (!advisory === !alert) issues.push('provide either `advisory` or `alert`');
+    if (advisory && (typeof advisory !== 'object' || !advisory.riskLevel || !Array.isArray(advisory.recommendations))) {
+      issues.push('advisory must be { riskLevel, recommendations: [...] }');
+    }
+    if (alert && (typeof alert !== 'object' || !ALERT_TYPES.includes(alert.type)
+      || !Number.isFinite(Number(alert.value)) || !Number.isFinite(Number(alert.limit)))) {
+      issues.push(`alert must be { type: ${ALERT_TYPES.join(' | ')}, severity, date, value, limit, crop, location? }`);
+    }
+    if (issues.length) return res.status(400).json({ error: 'Invalid SMS request', details: issues });
+
+    const sink = await findVerifiedSmsSink(to);
+    if (!sink) return res.status(403).json({ error: 'SMS can only be sent to numbers verified for SMS alerts' });
+    const language = lang || sink.lang || 'en';
+    const body = advisory
+      ? renderAdvisorySms(advisory, { crop, place, lang: language })
+      : renderAlertSms({ ...alert, value: Number(alert.value), limit: Number(alert.limit) }, language);
+    if (!body) return res.status(400).json({ error: 'Invalid SMS request', details: ['message is empty after conversion to SMS text'] });
+    if (dryRun) return res.json({ message: { to: normalizePhone(to), text: body, length: body.length, sent: false } });
+
+    const message = await sendSms({ to, text: body });
+    return res.status(201).json({ message: { ...message, sent: true } });
+  } catch (err) {
+    console.error('SMS error:', err?.response?.data || err.message || err);
+    return res.status(502).json({ error: 'Failed to send SMS' });
+  }
+};
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const requireFrontendKey = require('./apiKey');
+
+// The frontend sends no x-api-key, live or replayed from its offline outbox (frontend README), so its
+// writes only pass while FRONTEND_API_KEY is unset
+function call(headers = {}, query = {}) {
+  const req = { query, get: (name) => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  requireFrontendKey(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+function withKey(value, fn) {
+  const previous = process.env.FRONTEND_API_KEY;
+  if (value === undefined) delete process.env.FRONTEND_API_KEY;
+  else process.env.FRONTEND_API_KEY = value;
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) delete process.env.FRONTEND_API_KEY;
+    else process.env.FRONTEND_API_KEY = previous;
+  }
+}
+
+test('requests without a key pass while FRONTEND_API_KEY is unset', () => {
+  withKey(undefined, () => {
+    const queuedReplay = call({ 'x-user-id': 'user-1234', 'content-type': 'application/json' });
+    assert.equal(queuedReplay.passed, true);
+  });
+});
+
+test('requests without a key, queued replays included, get 401 once FRONTEND_API_KEY is set', () => {
+  withKey('secret', () => {
+    const { passed, res } = call({ 'x-user-id': 'user-1234' });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(res.body, { error: 'Missing API key' });
+  });
+});
+
+test('the key is accepted from x-api-key, api_key or Authorization and must match', () => {
+  withKey('secret', () => {
+    assert.equal(call({ 'x-api-key': 'secret' }).passed, true);
+    assert.equal(call({}, { api_key: 'secret' }).passed, true);
+    assert.equal(call({ authorization: 'secret' }).passed, true);
+    assert.equal(call({ 'x-api-key': 'wrong' }).res.statusCode, 403);
+  });
+});
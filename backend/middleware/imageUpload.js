@@ -0,0 +1,29 @@
+const multer = require('multer');
+
+// Plant photos from phones are usually 1-5 MB; keep them in memory, they are sent straight on to the model.
+const MAX_IMAGE_BYTES = (Number(process.env.DIAGNOSE_MAX_IMAGE_MB) || 8) * 1024 * 1024;
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_TYPES.includes(file.mimetype)) return cb(null, true);
+    const err = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    err.message = `Unsupported image type: ${file.mimetype}. Use JPEG, PNG, WEBP or HEIC.`;
+    return cb(err);
+  }
+});
+
+// Accepts a single multipart field named `image` and turns upload problems into JSON 4xx responses.
+module.exports = function imageUpload(req, res, next) {
+  upload.single('image')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const details = err.code === 'LIMIT_FILE_SIZE' ? `Image is larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB` : err.message;
+      return res.status(status).json({ error: 'Invalid image upload', details });
+    }
+    return next(err);
+  });
+};
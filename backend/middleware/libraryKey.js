@@ -0,0 +1,12 @@
+// Passages from the knowledge library go into every user's assistant prompts, so adding or removing
+// documents (POST / DELETE /api/knowledge/documents) is for the library's curators only: requests must
+// send KNOWLEDGE_LIBRARY_KEY as X-Library-Key, and the library is read-only while it is unset.
+module.exports = function requireLibraryKey(req, res, next) {
+  const expected = process.env.KNOWLEDGE_LIBRARY_KEY;
+  if (!expected) return res.status(503).json({ error: 'The knowledge library is read-only (KNOWLEDGE_LIBRARY_KEY is not set)' });
+
+  const provided = req.get('x-library-key');
+  if (!provided) return res.status(401).json({ error: 'Missing library key' });
+  if (provided !== expected) return res.status(403).json({ error: 'Invalid library key' });
+  return next();
+};
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const requireLibraryKey = require('./libraryKey');
+
+function call(headers = {}) {
+  const req = { get: (name) => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  requireLibraryKey(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+function withKey(value, fn) {
+  const previous = process.env.KNOWLEDGE_LIBRARY_KEY;
+  if (value === undefined) delete process.env.KNOWLEDGE_LIBRARY_KEY;
+  else process.env.KNOWLEDGE_LIBRARY_KEY = value;
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) delete process.env.KNOWLEDGE_LIBRARY_KEY;
+    else process.env.KNOWLEDGE_LIBRARY_KEY = previous;
+  }
+}
+
+test('library writes are refused while KNOWLEDGE_LIBRARY_KEY is unset, whatever the request sends', () => {
+  withKey(undefined, () => {
+    const { passed, res } = call({ 'x-library-key': 'anything', 'x-api-key': 'anything' });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 503);
+  });
+});
+
+test('library writes need the key as X-Library-Key', () => {
+  withKey('curator', () => {
+    assert.equal(call().res.statusCode, 401);
+    assert.equal(call({ 'x-library-key': 'wrong' }).res.statusCode, 403);
+    assert.equal(call({ 'x-library-key': 'curator' }).passed, true);
+  });
+});
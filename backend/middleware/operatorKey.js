@@ -0,0 +1,11 @@
+// Sending an SMS directly (POST /api/notifications/sms) is for the operator's own tools, not the public
+// frontend: requests must send SMS_OPERATOR_KEY as X-Operator-Key, and the route is off while it is unset.
+module.exports = function requireOperatorKey(req, res, next) {
+  const expected = process.env.SMS_OPERATOR_KEY;
+  if (!expected) return res.status(503).json({ error: 'Direct SMS sending is disabled (SMS_OPERATOR_KEY is not set)' });
+
+  const provided = req.get('x-operator-key');
+  if (!provided) return res.status(401).json({ error: 'Missing operator key' });
+  if (provided !== expected) return res.status(403).json({ error: 'Invalid operator key' });
+  return next();
+};
@@ -0,0 +1,12 @@
+// Publishing threshold profiles is for extension officers: writes to /api/threshold-profiles must send
+// THRESHOLD_PUBLISHER_KEY as X-Publisher-Key (handed out by the extension office). Without it, anyone
+// could rotate X-User-Id values until the store is full, so publishing is off while the key is unset.
+module.exports = function requirePublisherKey(req, res, next) {
+  const expected = process.env.THRESHOLD_PUBLISHER_KEY;
+  if (!expected) return res.status(503).json({ error: 'Publishing threshold profiles is disabled (THRESHOLD_PUBLISHER_KEY is not set)' });
+
+  const provided = req.get('x-publisher-key');
+  if (!provided) return res.status(401).json({ error: 'Missing publisher key' });
+  if (provided !== expected) return res.status(403).json({ error: 'Invalid publisher key' });
+  return next();
+};
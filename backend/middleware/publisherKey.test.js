@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const requirePublisherKey = require('./publisherKey');
+
+function call(headers = {}) {
+  const req = { get: (name) => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  requirePublisherKey(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+function withKey(value, fn) {
+  const previous = process.env.THRESHOLD_PUBLISHER_KEY;
+  if (value === undefined) delete process.env.THRESHOLD_PUBLISHER_KEY;
+  else process.env.THRESHOLD_PUBLISHER_KEY = value;
+  try {
+    fn();
+  } finally {
+    if (previous === undefined) delete process.env.THRESHOLD_PUBLISHER_KEY;
+    else process.env.THRESHOLD_PUBLISHER_KEY = previous;
+  }
+}
+
+test('profile writes are refused while THRESHOLD_PUBLISHER_KEY is unset, whatever the request sends', () => {
+  withKey(undefined, () => {
+    const { passed, res } = call({ 'x-publisher-key': 'anything', 'x-api-key': 'anything' });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 503);
+  });
+});
+
+test('profile writes need the key as X-Publisher-Key', () => {
+  withKey('officer', () => {
+    assert.equal(call().res.statusCode, 401);
+    assert.equal(call({ 'x-publisher-key': 'wrong' }).res.statusCode, 403);
+    assert.equal(call({ 'x-publisher-key': 'officer' }).passed, true);
+  });
+});
@@ -0,0 +1,186 @@
+const axios = require('axios');
+const { DEFAULT_FORECAST_DAYS, UNITS, resolveBundles } = require('./variables');
+
+const WEATHER_URL = 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_URL = 'https://archive-api.open-meteo.com/v1/archive';
+// The reanalysis archive trails real time by a few days; newer hours come from the forecast API
+const ARCHIVE_LAG_DAYS = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalized variable name -> Open-Meteo variable (see providers/variables.js for the allowlist)
+const DAILY_VARS = {
+  temperatureMax: 'temperature_2m_max',
+  temperatureMin: 'temperature_2m_min',
+  weatherCode: 'weathercode',
+  humidityMax: 'relative_humidity_2m_max',
+  humidityMin: 'relative_humidity_2m_min',
+  sunrise: 'sunrise',
+  sunset: 'sunset',
+  precipitation: 'precipitation_sum',
+  rain: 'rain_sum',
+  precipitationProbability: 'precipitation_probability_max',
+  windSpeedMax: 'wind_speed_10m_max',
+  windGustsMax: 'wind_gusts_10m_max',
+  windDirection: 'wind_direction_10m_dominant',
+  radiation: 'shortwave_radiation_sum',
+  et0: 'et0_fao_evapotranspiration'
+};
+
+const DAILY_HISTORY_VARS = ['temperature_2m_max', 'temperature_2m_min', 'temperature_2m_mean', 'precipitation_sum'];
+
+const HOURLY_VARS = {
+  temperature: 'temperature_2m',
+  humidity: 'relative_humidity_2m',
+  dewPoint: 'dew_point_2m',
+  rain: 'rain',
+  precipitationProbability: 'precipitation_probability',
+  weatherCode: 'weathercode',
+  soilTemperature: 'soil_temperature_0cm',
+  et0: 'et0_fao_evapotranspiration',
+  windSpeed: 'wind_speed_10m',
+  windGusts: 'wind_gusts_10m',
+  windDirection: 'wind_direction_10m',
+  radiation: 'shortwave_radiation'
+};
+
+function pick(block, names, vars) {
+  const out = { time: block.time || [] };
+  names.forEach((name) => { out[name] = block[vars[name]] || []; });
+  return out;
+}
+
+/**
+ * Maps an Open-Meteo /v1/forecast response onto the normalized forecast schema.
+ * @param {object} raw - Open-Meteo response body.
+ * @param {{ daily: string[], hourly: string[] }} [variables] - normalized names that were requested.
+ * @returns {object} normalized forecast (see providers/index.js)
+ */
+function normalize(raw, variables = resolveBundles()) {
+  const cw = raw.current_weather || null;
+  return {
+    provider: 'open-meteo',
+    location: {
+      latitude: raw.latitude,
+      longitude: raw.longitude,
+      elevation: raw.elevation ?? null,
+      timezone: raw.timezone || null
+    },
+    units: UNITS,
+    current: cw ? {
+      time: cw.time,
+      temperature: cw.temperature,
+      windSpeed: cw.windspeed,
+      windDirection: cw.winddirection,
+      weatherCode: cw.weathercode
+    } : null,
+    daily: pick(raw.daily || {}, variables.daily, DAILY_VARS),
+    hourly: pick(raw.hourly || {}, variables.hourly, HOURLY_VARS)
+  };
+}
+
+/**
+ * Forecast for `days` days (1–16) with the given normalized daily / hourly variables (default:
+ * the "agronomy" bundle for DEFAULT_FORECAST_DAYS).
+ */
+async function getForecast({ latitude, longitude, days = DEFAULT_FORECAST_DAYS, daily, hourly }) {
+  const defaults = resolveBundles();
+  const variables = { daily: daily || defaults.daily, hourly: hourly || defaults.hourly };
+  const params = {
+    latitude,
+    longitude,
+    daily: variables.daily.map((v) => DAILY_VARS[v]).join(','),
+    hourly: variables.hourly.map((v) => HOURLY_VARS[v]).join(','),
+    current_weather: true,
+    timezone: 'auto',
+    forecast_days: days
+  };
+  const response = await axios.get(WEATHER_URL, { params, timeout: 15000 });
+  return normalize(response.data, variables);
+}
+
+function addDays(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+async function fetchHourlyTemperature(url, { latitude, longitude, startDate, endDate }) {
+  const params = { latitude, longitude, hourly: 'temperature_2m', timezone: 'auto', start_date: startDate, end_date: endDate };
+  const response = await axios.get(url, { params, timeout: 20000 });
+  return response.data;
+}
+
+/**
+ * Hourly 2 m temperatures between startDate and endDate: the archive up to ARCHIVE_LAG_DAYS ago,
+ * the forecast API (which keeps recent past days) after that.
+ */
+async function getHourlyHistory({ latitude, longitude, startDate, endDate }) {
+  const archiveEnd = addDays(new Date().toISOString().slice(0, 10), -ARCHIVE_LAG_DAYS);
+  const parts = [];
+  if (startDate <= archiveEnd) {
+    const end = endDate < archiveEnd ? endDate : archiveEnd;
+    parts.push(await fetchHourlyTemperature(ARCHIVE_URL, { latitude, longitude, startDate, endDate: end }));
+  }
+  if (endDate > archiveEnd) {
+    const start = startDate > archiveEnd ? startDate : addDays(archiveEnd, 1);
+    parts.push(await fetchHourlyTemperature(WEATHER_URL, { latitude, longitude, startDate: start, endDate }));
+  }
+
+  const time = [];
+  const temperature = [];
+  parts.forEach((raw) => {
+    const h = raw.hourly || {};
+    (h.time || []).forEach((t, i) => {
+      time.push(t);
+      temperature.push(h.temperature_2m ? h.temperature_2m[i] : null);
+    });
+  });
+  const first = parts[0] || {};
+  return {
+    provider: 'open-meteo',
+    location: { latitude: first.latitude, longitude: first.longitude, elevation: first.elevation ?? null, timezone: first.timezone || null },
+    hourly: { time, temperature }
+  };
+}
+
+async function fetchDailyHistory(url, { latitude, longitude, startDate, endDate }) {
+  const params = { latitude, longitude, daily: DAILY_HISTORY_VARS.join(','), timezone: 'auto', start_date: startDate, end_date: endDate };
+  // Decades of daily values for the normals take a while to assemble
+  const response = await axios.get(url, { params, timeout: 60000 });
+  return response.data;
+}
+
+/**
+ * Daily max / min / mean temperature and precipitation between startDate and endDate, split
+ * between the archive and the forecast API like getHourlyHistory().
+ */
+async function getDailyHistory({ latitude, longitude, startDate, endDate }) {
+  const archiveEnd = addDays(new Date().toISOString().slice(0, 10), -ARCHIVE_LAG_DAYS);
+  const parts = [];
+  if (startDate <= archiveEnd) {
+    const end = endDate < archiveEnd ? endDate : archiveEnd;
+    parts.push(await fetchDailyHistory(ARCHIVE_URL, { latitude, longitude, startDate, endDate: end }));
+  }
+  if (endDate > archiveEnd) {
+    const start = startDate > archiveEnd ? startDate : addDays(archiveEnd, 1);
+    parts.push(await fetchDailyHistory(WEATHER_URL, { latitude, longitude, startDate: start, endDate }));
+  }
+
+  const daily = { time: [], temperatureMax: [], temperatureMin: [], temperatureMean: [], precipitation: [] };
+  parts.forEach((raw) => {
+    const d = raw.daily || {};
+    (d.time || []).forEach((t, i) => {
+      daily.time.push(t);
+      daily.temperatureMax.push(d.temperature_2m_max ? d.temperature_2m_max[i] : null);
+      daily.temperatureMin.push(d.temperature_2m_min ? d.temperature_2m_min[i] : null);
+      daily.temperatureMean.push(d.temperature_2m_mean ? d.temperature_2m_mean[i] : null);
+      daily.precipitation.push(d.precipitation_sum ? d.precipitation_sum[i] : null);
+    });
+  });
+  const first = parts[0] || {};
+  return {
+    provider: 'open-meteo',
+    location: { latitude: first.latitude, longitude: first.longitude, elevation: first.elevation ?? null, timezone: first.timezone || null },
+    daily
+  };
+}
+
+module.exports = { name: 'open-meteo', getForecast, getHourlyHistory, getDailyHistory, normalize };
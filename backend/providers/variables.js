@@ -0,0 +1,83 @@
+// Forecast variables a client may request from /api/weather, by normalized name, and the named
+// bundles they are requested in. Adapters map these names onto their source's variables; the
+// allowlist keeps arbitrary upstream parameters out of requests and cache keys.
+
+const DAILY_VARIABLES = [
+  'temperatureMax', 'temperatureMin', 'weatherCode', 'humidityMax', 'humidityMin', 'sunrise', 'sunset',
+  'precipitation', 'rain', 'precipitationProbability', 'windSpeedMax', 'windGustsMax', 'windDirection',
+  'radiation', 'et0'
+];
+
+const HOURLY_VARIABLES = [
+  'temperature', 'humidity', 'dewPoint', 'rain', 'precipitationProbability', 'weatherCode',
+  'soilTemperature', 'et0', 'windSpeed', 'windGusts', 'windDirection', 'radiation'
+];
+
+// Units of the normalized values; daily radiation is a sum, hourly radiation a mean flux
+const UNITS = {
+  temperature: '°C',
+  precipitation: 'mm',
+  windSpeed: 'km/h',
+  windDirection: '°',
+  humidity: '%',
+  precipitationProbability: '%',
+  et0: 'mm',
+  radiationDaily: 'MJ/m²',
+  radiationHourly: 'W/m²'
+};
+
+// "agronomy" is what /api/weather returned before bundles existed and what the agronomy
+// endpoints (suitability, GDD, irrigation, disease risk, alerts) read.
+const BUNDLES = {
+  basic: {
+    daily: ['temperatureMax', 'temperatureMin', 'weatherCode', 'precipitation', 'precipitationProbability', 'sunrise', 'sunset'],
+    hourly: ['temperature', 'weatherCode', 'precipitationProbability']
+  },
+  agronomy: {
+    daily: ['temperatureMax', 'temperatureMin', 'weatherCode', 'humidityMax', 'humidityMin', 'sunrise', 'sunset', 'precipitation', 'rain'],
+    hourly: ['temperature', 'humidity', 'rain', 'weatherCode', 'soilTemperature', 'et0']
+  },
+  // Spray windows depend on wind, gusts, rain chances and drift / evaporation (temperature, dew point)
+  spray: {
+    daily: ['temperatureMax', 'temperatureMin', 'precipitation', 'precipitationProbability', 'windSpeedMax', 'windGustsMax', 'windDirection'],
+    hourly: ['temperature', 'humidity', 'dewPoint', 'rain', 'precipitationProbability', 'windSpeed', 'windGusts', 'windDirection']
+  },
+  irrigation: {
+    daily: ['temperatureMax', 'temperatureMin', 'precipitation', 'rain', 'radiation', 'et0'],
+    hourly: ['temperature', 'humidity', 'rain', 'radiation', 'et0']
+  }
+};
+
+const DEFAULT_BUNDLES = ['agronomy'];
+const DEFAULT_FORECAST_DAYS = 7;
+const MAX_FORECAST_DAYS = 16;
+
+/**
+ * Normalized daily and hourly variable names for a list of bundle names (unknown names are
+ * ignored; validate first). Order follows DAILY_VARIABLES / HOURLY_VARIABLES.
+ */
+function resolveBundles(bundles = DEFAULT_BUNDLES) {
+  const daily = new Set();
+  const hourly = new Set();
+  bundles.forEach((name) => {
+    const bundle = BUNDLES[name];
+    if (!bundle) return;
+    bundle.daily.forEach((v) => daily.add(v));
+    bundle.hourly.forEach((v) => hourly.add(v));
+  });
+  return {
+    daily: DAILY_VARIABLES.filter((v) => daily.has(v)),
+    hourly: HOURLY_VARIABLES.filter((v) => hourly.has(v))
+  };
+}
+
+module.exports = {
+  DAILY_VARIABLES,
+  HOURLY_VARIABLES,
+  BUNDLES,
+  UNITS,
+  DEFAULT_BUNDLES,
+  DEFAULT_FORECAST_DAYS,
+  MAX_FORECAST_DAYS,
+  resolveBundles
+};
@@ -1,22 +1,127 @@
 const express = require('express');
 const router = express.Router();
 const apiController = require('../controllers/apiController');
+const agronomyController = require('../controllers/agronomyController');
+const alertsController = require('../controllers/alertsController');
+const notificationsController = require('../controllers/notificationsController');
+const farmsController = require('../controllers/farmsController');
+const conversationsController = require('../controllers/conversationsController');
+const climateController = require('../controllers/climateController');
+const knowledgeController = require('../controllers/knowledgeController');
+const thresholdProfilesController = require('../controllers/thresholdProfilesController');
 const rateLimiter = require('../middleware/rateLimiter');
 const requireFrontendKey = require('../middleware/apiKey');
+const imageUpload = require('../middleware/imageUpload');
+const audioUpload = require('../middleware/audioUpload');
+const documentUpload = require('../middleware/documentUpload');
+const requireUserId = require('../middleware/userId');
+const requireOperatorKey = require('../middleware/operatorKey');
+const requireLibraryKey = require('../middleware/libraryKey');
+const requirePublisherKey = require('../middleware/publisherKey');
 
 // GET /api/geocode?name=city
 router.get('/geocode', apiController.geocode);
 
-// GET /api/weather?latitude=...&longitude=...
+// GET /api/weather?latitude=...&longitude=...[&days=16][&bundles=basic,spray]
 router.get('/weather', apiController.weather);
 
+// GET /api/suitability?lat=...&lon=...&crop=wheat&district=Multan[&lang=ur]
+router.get('/suitability', agronomyController.suitability);
+
+// GET /api/gdd?lat=...&lon=...&start=2025-11-10&crop=wheat  growing degree days / chill since `start`
+router.get('/gdd', agronomyController.gdd);
+
+// GET /api/irrigation?lat=...&lon=...&crop=wheat&sowingDate=2025-11-10  FAO-56 water balance and irrigation schedule
+router.get('/irrigation', agronomyController.irrigation);
+
+// GET /api/disease-risk?lat=...&lon=...&crop=wheat  daily disease risk from the hourly forecast
+router.get('/disease-risk', agronomyController.diseaseRisk);
+
+// GET /api/compare?districts=Multan,Lahore&crop=wheat[&lang=ur]  forecast, suitability and risk flags per district
+// (rate limited: one request fans out to a geocode and forecast per district)
+router.get('/compare', rateLimiter, agronomyController.compare);
+
+// GET /api/history?lat=...&lon=...&start=2025-01-01&end=2025-03-31  observed daily weather from the archive
+router.get('/history', climateController.history);
+
+// GET /api/normals?lat=...&lon=...[&years=1991-2020]  daily climate normals and the forecast's anomalies
+// (rate limited: a cache miss pulls 30 years of archive data)
+router.get('/normals', rateLimiter, climateController.normals);
+
+// Farm profiles: fields with coordinates, area, crop/variety, sowing date and irrigation source
+router.get('/farms', requireUserId, farmsController.list);
+router.get('/farms/:id', requireUserId, farmsController.get);
+router.post('/farms', requireFrontendKey, rateLimiter, requireUserId, farmsController.create);
+router.put('/farms/:id', requireFrontendKey, rateLimiter, requireUserId, farmsController.update);
+router.delete('/farms/:id', requireFrontendKey, rateLimiter, requireUserId, farmsController.remove);
+
+// Threshold profiles extension officers publish for a tehsil; farmers subscribe from the threshold editor
+// GET /api/threshold-profiles?district=Multan[&tehsil=Shujabad]
+router.get('/threshold-profiles', thresholdProfilesController.list);
+router.get('/threshold-profiles/:id', thresholdProfilesController.get);
+// POST /api/threshold-profiles  { district, tehsil, name?, publisher?, notes?, thresholds }
+// (extension officers only: writes need X-Publisher-Key, and publishing is off while THRESHOLD_PUBLISHER_KEY is unset)
+router.post('/threshold-profiles', requireFrontendKey, requirePublisherKey, rateLimiter, requireUserId, thresholdProfilesController.create);
+router.put('/threshold-profiles/:id', requireFrontendKey, requirePublisherKey, rateLimiter, requireUserId, thresholdProfilesController.update);
+router.delete('/threshold-profiles/:id', requireFrontendKey, requirePublisherKey, rateLimiter, requireUserId, thresholdProfilesController.remove);
+
 // For clarity: reject accidental GETs to /api/gemini with a helpful message
 router.get('/gemini', (req, res) => {
 	res.status(405).json({ error: 'Method Not Allowed', message: 'Use POST /api/gemini with a JSON body (e.g., { prompt: "..." })' });
 });
 
-// POST /api/gemini  { prompt: '...', generationConfig: {...} }
+// POST /api/gemini  { prompt: '...', generationConfig: {...}, lang?: 'ur', useTools?, useKnowledge? }  (lang: language of the answer)
 // Protect Gemini with optional API key and rate limiting
 router.post('/gemini', requireFrontendKey, rateLimiter, apiController.gemini);
 
+// POST /api/gemini/stream  same body as /api/gemini; responds with Server-Sent Events
+router.get('/gemini/stream', (req, res) => {
+	res.status(405).json({ error: 'Method Not Allowed', message: 'Use POST /api/gemini/stream with a JSON body; the response is an event stream' });
+});
+router.post('/gemini/stream', requireFrontendKey, rateLimiter, apiController.geminiStream);
+
+// POST /api/gemini/json  { schema: 'advisory', prompt: '...' } -> validated JSON for a named response schema
+router.get('/gemini/schemas', apiController.geminiSchemas);
+router.post('/gemini/json', requireFrontendKey, rateLimiter, apiController.geminiJson);
+
+// POST /api/diagnose  multipart/form-data: image (required), crop, notes, lang
+router.post('/diagnose', requireFrontendKey, rateLimiter, imageUpload, apiController.diagnose);
+
+// POST /api/transcribe  multipart/form-data: audio (required), lang  -> { text } (push-to-talk in the AI assistant)
+router.post('/transcribe', requireFrontendKey, rateLimiter, audioUpload, apiController.transcribe);
+
+// Extension-knowledge library (bulletins, production guides, pest sheets) the assistant cites from
+router.get('/knowledge/documents', knowledgeController.list);
+// POST /api/knowledge/documents  multipart/form-data: file (PDF, Markdown or HTML), title?, source?, url?, region?
+// (curators only: writes need X-Library-Key, and the library is read-only while KNOWLEDGE_LIBRARY_KEY is unset)
+router.post('/knowledge/documents', requireFrontendKey, requireLibraryKey, rateLimiter, documentUpload, knowledgeController.create);
+router.delete('/knowledge/documents/:id', requireFrontendKey, requireLibraryKey, rateLimiter, knowledgeController.remove);
+// GET /api/knowledge/search?q=...  BM25-ranked passages
+router.get('/knowledge/search', knowledgeController.search);
+
+// Assistant conversation threads of the browser sending X-User-Id, with a running summary of older turns
+router.get('/conversations', requireUserId, conversationsController.list);
+router.get('/conversations/:id', requireUserId, conversationsController.get);
+router.post('/conversations', requireFrontendKey, requireUserId, conversationsController.create);
+router.patch('/conversations/:id', requireFrontendKey, requireUserId, conversationsController.rename);
+router.delete('/conversations/:id', requireFrontendKey, requireUserId, conversationsController.remove);
+// POST /api/conversations/:id/messages  { text, system?, lang? } -> the answer, streamed (SSE) or as JSON; both are saved
+router.post('/conversations/:id/messages', requireFrontendKey, rateLimiter, requireUserId, conversationsController.ask);
+
+// Weather alert subscriptions (frost / heat / heavy rain), evaluated in the background
+// POST /api/alerts/subscriptions  { latitude, longitude, crop, alertTypes?, sinks? }
+// (rate limited: SMS sinks are texted a verification code, confirmed through /verify)
+router.post('/alerts/subscriptions', requireFrontendKey, rateLimiter, requireUserId, alertsController.createSubscription);
+router.post('/alerts/subscriptions/:id/verify', requireFrontendKey, rateLimiter, requireUserId, alertsController.verifySubscription);
+router.get('/alerts/subscriptions/:id', requireUserId, alertsController.getSubscription);
+router.delete('/alerts/subscriptions/:id', requireFrontendKey, requireUserId, alertsController.deleteSubscription);
+// POST /api/alerts/run  evaluate all subscriptions now
+router.post('/alerts/run', requireFrontendKey, rateLimiter, alertsController.run);
+// GET /api/alerts/push-key  VAPID public key for web push subscriptions
+router.get('/alerts/push-key', alertsController.pushKey);
+
+// POST /api/notifications/sms  { to, lang?: 'en' | 'ur', advisory | alert, dryRun? } -> one 160-character SMS
+// (operator tools only: needs X-Operator-Key, and `to` must be a verified SMS alert number)
+router.post('/notifications/sms', requireFrontendKey, requireOperatorKey, rateLimiter, notificationsController.sendSms);
+
 module.exports = router;
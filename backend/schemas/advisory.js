@@ -0,0 +1,24 @@
+// Weather-based crop risk advisory shown on the weather page.
+const RISK_LEVELS = ['Low', 'Moderate', 'High'];
+
+module.exports = {
+  description: 'Crop risk advisory: riskLevel, weatherSummary, threats, recommendations',
+  schema: {
+    type: 'OBJECT',
+    properties: {
+      riskLevel: { type: 'STRING', enum: RISK_LEVELS },
+      weatherSummary: { type: 'STRING', minLength: 1 },
+      threats: { type: 'ARRAY', items: { type: 'STRING' } },
+      recommendations: { type: 'ARRAY', items: { type: 'STRING' }, minItems: 1 }
+    },
+    required: ['riskLevel', 'weatherSummary', 'threats', 'recommendations']
+  },
+  // Models often answer 'high' or 'HIGH'; accept any casing before validating
+  normalize(data) {
+    if (data && typeof data.riskLevel === 'string') {
+      const match = RISK_LEVELS.find((r) => r.toLowerCase() === data.riskLevel.trim().toLowerCase());
+      if (match) data.riskLevel = match;
+    }
+    return data;
+  }
+};
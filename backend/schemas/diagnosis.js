@@ -0,0 +1,21 @@
+// Plant photo diagnosis returned by /api/diagnose and shown on the Diseases pages.
+const SEVERITIES = ['mild', 'moderate', 'severe', 'unknown'];
+
+module.exports = {
+  description: 'Plant diagnosis: disease, severity, treatment, nutrientWater, additionalAdvice',
+  schema: {
+    type: 'OBJECT',
+    properties: {
+      disease: { type: 'STRING', minLength: 1, description: "Name, 'unknown', or comma-separated hypotheses" },
+      severity: { type: 'STRING', enum: SEVERITIES },
+      treatment: { type: 'STRING', minLength: 1 },
+      nutrientWater: { type: 'STRING', minLength: 1 },
+      additionalAdvice: { type: 'STRING', minLength: 1 }
+    },
+    required: ['disease', 'severity', 'treatment', 'nutrientWater', 'additionalAdvice']
+  },
+  normalize(data) {
+    if (data && typeof data.severity === 'string') data.severity = data.severity.trim().toLowerCase();
+    return data;
+  }
+};
@@ -0,0 +1,101 @@
+// Background job: fetches forecasts for every subscription (through the cached weather provider),
+// applies the alert rules and delivers alerts that were not sent before to each subscription's sinks.
+const { getForecast } = require('../forecast');
+const { createJsonStore } = require('../jsonStore');
+const { isActiveSink, listSubscriptions } = require('./subscriptions');
+const { evaluateAlerts, SEVERITY_RANK } = require('./rules');
+const { getSink } = require('./sinks');
+
+// alert id -> { severity, sentAt }; an alert is sent again only if its severity escalates
+const sentStore = createJsonStore('alerts-sent.json', {});
+const SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let running = null;
+let timer = null;
+
+// Sends to the subscription's active sinks (SMS numbers that were never verified are skipped)
+async function deliver(alert, sub) {
+  const sinks = sub.sinks.filter(isActiveSink);
+  const results = await Promise.allSettled(sinks.map((config) => getSink(config.type).send(alert, config)));
+  results.forEach((r, i) => {
+    if (r.status === 'rejected') console.error(`[alerts] ${sinks[i].type} sink failed for ${alert.id}:`, r.reason?.message || r.reason);
+  });
+  return results.some((r) => r.status === 'fulfilled');
+}
+
+async function evaluateAll() {
+  const summary = { subscriptions: 0, alerts: 0, sent: 0, duplicates: 0, failed: 0, errors: 0 };
+  const subscriptions = await listSubscriptions();
+  const sent = await sentStore.read();
+  const newlySent = {};
+
+  for (const sub of subscriptions) {
+    if (!sub.sinks.some(isActiveSink)) continue; // waiting for its SMS verification code
+    summary.subscriptions++;
+    try {
+      const result = await getForecast(sub.latitude, sub.longitude);
+      if (!result) throw new Error('invalid coordinates');
+      const alerts = evaluateAlerts(result.value, sub);
+      summary.alerts += alerts.length;
+
+      for (const alert of alerts) {
+        const previous = sent[alert.id];
+        if (previous && SEVERITY_RANK[previous.severity] >= SEVERITY_RANK[alert.severity]) {
+          summary.duplicates++;
+          continue;
+        }
+        if (await deliver(alert, sub)) {
+          summary.sent++;
+          newlySent[alert.id] = { severity: alert.severity, sentAt: new Date().toISOString() };
+        } else {
+          summary.failed++;
+        }
+      }
+    } catch (err) {
+      summary.errors++;
+      console.error(`[alerts] evaluation failed for subscription ${sub.id}:`, err?.message || err);
+    }
+  }
+
+  const cutoff = Date.now() - SENT_RETENTION_MS;
+  await sentStore.update((current) => {
+    const next = {};
+    Object.keys(current).forEach((id) => {
+      if (Date.parse(current[id].sentAt) >= cutoff) next[id] = current[id];
+    });
+    return { ...next, ...newlySent };
+  });
+  return summary;
+}
+
+/**
+ * Runs one evaluation pass and resolves to a summary
+ * { subscriptions, alerts, sent, duplicates, failed, errors }. Overlapping calls share the running pass.
+ */
+function runAlertEvaluation() {
+  if (!running) {
+    running = evaluateAll().finally(() => { running = null; });
+  }
+  return running;
+}
+
+/**
+ * Starts the periodic evaluator (ALERTS_INTERVAL_MINUTES, default 180). The first pass runs shortly after start.
+ */
+function startAlertScheduler({ intervalMinutes = Number(process.env.ALERTS_INTERVAL_MINUTES) || 180 } = {}) {
+  if (timer) return;
+  const run = () => runAlertEvaluation()
+    .then((s) => console.log('[alerts] evaluation finished:', s))
+    .catch((err) => console.error('[alerts] evaluation failed:', err?.message || err));
+  setTimeout(run, 10 * 1000).unref();
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  console.log(`[alerts] scheduler started, every ${intervalMinutes} min`);
+}
+
+function stopAlertScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { runAlertEvaluation, startAlertScheduler, stopAlertScheduler };
@@ -0,0 +1,73 @@
+// Turns a normalized forecast into frost / heat / heavy-rain alerts for one subscription.
+const { getEffectiveThresholds, resolveDistrict, detectZoneFromCoords } = require('@farmer-aid/agronomy');
+
+const ALERT_TYPES = ['frost', 'heat', 'heavyRain'];
+const ALERT_LABELS = { frost: 'Frost', heat: 'Heat', heavyRain: 'Heavy rain' };
+const SEVERITY_RANK = { warning: 1, severe: 2 };
+
+// Days ahead that are checked; later days are too uncertain to alert on
+const ALERT_HORIZON_DAYS = Number(process.env.ALERTS_HORIZON_DAYS) || 3;
+const FROST_WARNING_C = 2;
+const FROST_SEVERE_C = 0;
+const HEAT_MARGIN_C = 3; // above the crop's ideal daytime maximum
+const HEAT_DEFAULT_C = 40; // crops without thresholds
+const RAIN_WARNING_MM = 25;
+const RAIN_SEVERE_MM = 50;
+
+function placeName(sub) {
+  return sub.name || sub.district || `${sub.latitude.toFixed(2)}, ${sub.longitude.toFixed(2)}`;
+}
+
+/**
+ * Returns the alerts a subscription should receive for `forecast`, one per type and day:
+ * { id, subscriptionId, type, severity, date, value, limit, crop, location, message }.
+ * `id` is stable for the same subscription/type/day so repeated runs can be deduplicated.
+ */
+function evaluateAlerts(forecast, sub) {
+  const daily = forecast.daily || {};
+  const days = Math.min(ALERT_HORIZON_DAYS, (daily.time || []).length);
+  const resolved = sub.district ? resolveDistrict(sub.district) : null;
+  const zone = resolved?.province || detectZoneFromCoords(sub.latitude, sub.longitude);
+  const effective = getEffectiveThresholds(sub.crop, { zone, district: resolved?.district });
+  const heatLimit = effective ? effective.thresholds.idealMax[1] + HEAT_MARGIN_C : HEAT_DEFAULT_C;
+  const place = placeName(sub);
+  const alerts = [];
+
+  const push = (type, severity, i, value, limit, message) => {
+    const date = daily.time[i];
+    alerts.push({
+      id: `${sub.id}:${type}:${date}`,
+      subscriptionId: sub.id,
+      type,
+      severity,
+      date,
+      value,
+      limit,
+      crop: sub.crop,
+      location: { name: place, latitude: sub.latitude, longitude: sub.longitude },
+      message
+    });
+  };
+
+  for (let i = 0; i < days; i++) {
+    const tMin = daily.temperatureMin?.[i];
+    const tMax = daily.temperatureMax?.[i];
+    const rain = daily.precipitation?.[i] ?? daily.rain?.[i];
+
+    if (sub.alertTypes.includes('frost') && typeof tMin === 'number' && tMin <= FROST_WARNING_C) {
+      const severity = tMin <= FROST_SEVERE_C ? 'severe' : 'warning';
+      push('frost', severity, i, tMin, FROST_WARNING_C, `Frost risk on ${daily.time[i]} in ${place}: low of ${tMin.toFixed(1)}°C. Irrigate lightly in the evening and cover ${sub.crop} nurseries.`);
+    }
+    if (sub.alertTypes.includes('heat') && typeof tMax === 'number' && tMax >= heatLimit) {
+      const severity = tMax >= heatLimit + 4 ? 'severe' : 'warning';
+      push('heat', severity, i, tMax, heatLimit, `Heat stress on ${daily.time[i]} in ${place}: high of ${tMax.toFixed(1)}°C (limit for ${sub.crop} ${heatLimit}°C). Irrigate early morning and avoid spraying at midday.`);
+    }
+    if (sub.alertTypes.includes('heavyRain') && typeof rain === 'number' && rain >= RAIN_WARNING_MM) {
+      const severity = rain >= RAIN_SEVERE_MM ? 'severe' : 'warning';
+      push('heavyRain', severity, i, rain, RAIN_WARNING_MM, `Heavy rain on ${daily.time[i]} in ${place}: ${rain.toFixed(0)} mm expected. Clear field drains and postpone irrigation and spraying.`);
+    }
+  }
+  return alerts;
+}
+
+module.exports = { ALERT_TYPES, ALERT_LABELS, SEVERITY_RANK, evaluateAlerts };
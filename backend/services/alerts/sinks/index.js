@@ -0,0 +1,21 @@
+// Registry of alert delivery sinks. A sink exposes:
+//   type                     name used in subscription configs ({ type: 'webhook', url })
+//   validate(config)         list of problems with a subscription's sink config (empty when valid)
+//   send(alert, config)      delivers one alert; rejects on failure
+// To add a channel, write a module with that shape and register it below.
+const sinks = {};
+
+function registerSink(sink) {
+  sinks[sink.type] = sink;
+}
+
+function getSink(type) {
+  return Object.prototype.hasOwnProperty.call(sinks, type) ? sinks[type] : null;
+}
+
+registerSink(require('./log'));
+registerSink(require('./webhook'));
+registerSink(require('./webpush'));
+registerSink(require('./sms'));
+
+module.exports = { registerSink, getSink };
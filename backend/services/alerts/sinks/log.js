@@ -0,0 +1,18 @@
+// Appends alerts as JSON lines to a local file (and the console). Meant for development and testing.
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('../../jsonStore');
+
+const LOG_FILE = process.env.ALERTS_LOG_FILE ? path.resolve(process.env.ALERTS_LOG_FILE) : dataPath('alerts.log');
+
+module.exports = {
+  type: 'log',
+  validate() {
+    return [];
+  },
+  async send(alert) {
+    console.log(`[alerts] ${alert.severity.toUpperCase()} ${alert.type} ${alert.date} ${alert.location.name}: ${alert.message}`);
+    await fs.promises.mkdir(path.dirname(LOG_FILE), { recursive: true });
+    await fs.promises.appendFile(LOG_FILE, `${JSON.stringify({ ...alert, sentAt: new Date().toISOString() })}\n`);
+  }
+};
@@ -0,0 +1,42 @@
+// Browser push notifications via the Web Push protocol. Needs VAPID keys in the environment
+// (generate once with `npx web-push generate-vapid-keys`); the browser subscribes with the public key
+// from GET /api/alerts/push-key and the resulting PushSubscription is stored in the sink config.
+// The endpoint comes from the subscriber, so it gets the webhook sink's checks: https to a public host
+// when saved, and a connection that refuses names resolving to internal addresses when sent.
+const https = require('https');
+const webpush = require('web-push');
+const { ALERT_LABELS } = require('../rules');
+const { publicLookup, urlIssues } = require('./webhook');
+
+const PUBLIC_KEY = process.env.WEB_PUSH_PUBLIC_KEY || '';
+const PRIVATE_KEY = process.env.WEB_PUSH_PRIVATE_KEY || '';
+const SUBJECT = process.env.WEB_PUSH_SUBJECT || 'mailto:admin@example.com';
+
+const configured = Boolean(PUBLIC_KEY && PRIVATE_KEY);
+if (configured) webpush.setVapidDetails(SUBJECT, PUBLIC_KEY, PRIVATE_KEY);
+
+const agent = new https.Agent({ lookup: publicLookup });
+
+module.exports = {
+  type: 'webpush',
+  publicKey: PUBLIC_KEY || null,
+  validate(config) {
+    const sub = config.subscription;
+    if (!sub || typeof sub.endpoint !== 'string' || !sub.keys?.p256dh || !sub.keys?.auth) {
+      return ['subscription must be a PushSubscription ({ endpoint, keys: { p256dh, auth } })'];
+    }
+    return urlIssues(sub.endpoint, 'subscription.endpoint');
+  },
+  async send(alert, config) {
+    if (!configured) throw new Error('Web push is not configured (set WEB_PUSH_PUBLIC_KEY and WEB_PUSH_PRIVATE_KEY)');
+    const [issue] = urlIssues(config.subscription && config.subscription.endpoint, 'subscription.endpoint');
+    if (issue) throw new Error(`Refusing web push: ${issue}`);
+    const payload = JSON.stringify({
+      title: `${ALERT_LABELS[alert.type]} alert${alert.severity === 'severe' ? ' (severe)' : ''}`,
+      body: alert.message,
+      tag: alert.id,
+      data: { alert }
+    });
+    await webpush.sendNotification(config.subscription, payload, { TTL: 12 * 60 * 60, agent });
+  }
+};
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const webpush = require('./webpush');
+const { isBlockedAddress, publicLookup } = require('./webhook');
+
+const keys = { p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM', auth: 'tBHItJI5svbpez7KI4CCXg' };
+const sink = (endpoint) => ({ subscription: { endpoint, keys } });
+
+test('webpush accepts an https endpoint on a public push service', () => {
+  assert.deepEqual(webpush.validate(sink('https://fcm.googleapis.com/fcm/send/abc123')), []);
+  assert.deepEqual(webpush.validate(sink('https://updates.push.services.mozilla.com/wpush/v2/xyz')), []);
+});
+
+test('webpush refuses endpoints that are not https or point inside the network', () => {
+  assert.deepEqual(webpush.validate(sink('http://fcm.googleapis.com/fcm/send/abc')), ['subscription.endpoint must be https']);
+  ['https://localhost:8080/', 'https://127.0.0.1/', 'https://10.0.0.5:9200/_cat', 'https://169.254.169.254/latest/meta-data', 'https://[::1]/', 'https://[::ffff:192.168.1.1]/']
+    .forEach((endpoint) => assert.deepEqual(webpush.validate(sink(endpoint)), ['subscription.endpoint must point to a public host'], endpoint));
+  assert.deepEqual(webpush.validate(sink('not a url')), ['subscription.endpoint must be a valid URL']);
+  assert.equal(webpush.validate({ subscription: { endpoint: 'https://fcm.googleapis.com/x' } }).length, 1);
+});
+
+test('isBlockedAddress passes public unicast addresses only', () => {
+  ['8.8.8.8', '142.250.181.10', '2a00:1450:4001:82b::200a'].forEach((a) => assert.equal(isBlockedAddress(a), false, a));
+  ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.0.10', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', 'example.com']
+    .forEach((a) => assert.equal(isBlockedAddress(a), true, a));
+});
+
+test('publicLookup fails for names that resolve to internal addresses', (t, done) => {
+  publicLookup('127.0.0.1', {}, (err) => {
+    assert.match(err.message, /resolves to a non-public address \(127\.0\.0\.1\)/);
+    done();
+  });
+});
@@ -0,0 +1,232 @@
+// Alert subscriptions: a location + crop + the alert types a farmer wants, and where to deliver them.
+// Each belongs to the browser (X-User-Id) that created it: its sinks hold webhook URLs, phone numbers
+// and push endpoints, so other browsers cannot read or delete it (404). An SMS sink only receives alerts
+// once its number is verified: a code is texted to it when the subscription is saved and sent back to
+// POST /api/alerts/subscriptions/:id/verify. Codes cost money and land on a number the caller picks, so
+// a subscription has at most one SMS sink, each number gets a few codes a day, and owners and the
+// store are capped.
+const crypto = require('crypto');
+const { createJsonStore } = require('../jsonStore');
+const { normalizePhone, sendSms } = require('../sms');
+const { renderVerificationSms } = require('../sms/render');
+const { ALERT_TYPES } = require('./rules');
+const { getSink } = require('./sinks');
+
+const store = createJsonStore('alert-subscriptions.json', []);
+// { '+923001234567': [sentAt, ...] } verification codes texted per number in the last CODE_WINDOW_MS
+const codeLog = createJsonStore('sms-verification-log.json', {});
+
+const CODE_TTL_MS = 30 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+const MAX_SINKS = 5;
+const MAX_PER_OWNER = 20;
+const MAX_SUBSCRIPTIONS = 5000;
+const MAX_CODES_PER_NUMBER = 3;
+const CODE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A request the store refuses: `status` is 400 (wrong code), 409 (owner or store limit reached),
+ * 410 (code expired or used up), 429 (too many codes for a number) or 502 (SMS not sent).
+ */
+class SubscriptionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validates an incoming subscription body. Returns { subscription, issues }; the subscription is
+ * normalized (numbers parsed, crop lower-cased, default alert types and the log sink filled in).
+ */
+function validateSubscription(body = {}) {
+  const issues = [];
+  const latitude = Number(body.latitude);
+  const longitude = Number(body.longitude);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) issues.push('latitude must be a number between -90 and 90');
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) issues.push('longitude must be a number between -180 and 180');
+  if (!body.crop || typeof body.crop !== 'string') issues.push('crop is required');
+
+  const alertTypes = body.alertTypes === undefined ? ALERT_TYPES : body.alertTypes;
+  if (!Array.isArray(alertTypes) || !alertTypes.length || alertTypes.some((t) => !ALERT_TYPES.includes(t))) {
+    issues.push(`alertTypes must be a non-empty list of: ${ALERT_TYPES.join(', ')}`);
+  }
+
+  const sinks = body.sinks === undefined ? [{ type: 'log' }] : body.sinks;
+  if (!Array.isArray(sinks) || !sinks.length || sinks.length > MAX_SINKS) {
+    issues.push(`sinks must be a list of 1 to ${MAX_SINKS} sinks`);
+  } else {
+    if (sinks.filter((config) => config && config.type === 'sms').length > 1) issues.push('sinks can include at most one sms sink');
+    sinks.forEach((config, i) => {
+      const sink = config && getSink(config.type);
+      if (!sink) issues.push(`sinks[${i}].type is not a known sink`);
+      else sink.validate(config).forEach((issue) => issues.push(`sinks[${i}].${issue}`));
+    });
+  }
+
+  const subscription = {
+    name: body.name ? String(body.name).slice(0, 100) : null,
+    district: body.district ? String(body.district).slice(0, 100) : null,
+    latitude,
+    longitude,
+    crop: String(body.crop || '').toLowerCase(),
+    alertTypes,
+    sinks
+  };
+  return { subscription, issues };
+}
+
+const hashCode = (id, code) => crypto.createHash('sha256').update(`${id}:${code}`).digest('hex');
+
+// Subscription as served: no owner id, and SMS sinks without their pending code
+function publicSubscription({ ownerId, ...subscription }) {
+  return { ...subscription, sinks: subscription.sinks.map(({ verification, ...config }) => config) };
+}
+
+/** Whether the evaluator delivers to a sink: SMS sinks need a verified number. */
+function isActiveSink(config) {
+  return config.type !== 'sms' || config.verified === true;
+}
+
+// Every subscription, for the evaluator
+async function listSubscriptions() {
+  return store.read();
+}
+
+async function getSubscription(ownerId, id) {
+  const subscription = (await store.read()).find((s) => s.id === id && s.ownerId === ownerId);
+  return subscription ? publicSubscription(subscription) : null;
+}
+
+// Throws a SubscriptionError (409) when `ownerId` or the store has no room for another subscription
+function checkCapacity(all, ownerId) {
+  if (all.filter((s) => s.ownerId === ownerId).length >= MAX_PER_OWNER) {
+    throw new SubscriptionError(`A browser can have at most ${MAX_PER_OWNER} alert subscriptions; delete an old one first`, 409);
+  }
+  if (all.length >= MAX_SUBSCRIPTIONS) {
+    throw new SubscriptionError(`The server holds at most ${MAX_SUBSCRIPTIONS} alert subscriptions; none can be added for now`, 409);
+  }
+}
+
+// Records a verification code for each number, or throws a SubscriptionError (429) without recording
+// any when one of them already had MAX_CODES_PER_NUMBER codes in the last CODE_WINDOW_MS
+async function recordCodes(numbers) {
+  if (!numbers.length) return;
+  const now = Date.now();
+  await codeLog.update((log) => {
+    const next = {};
+    Object.entries(log).forEach(([number, times]) => {
+      const recent = times.filter((t) => now - Date.parse(t) < CODE_WINDOW_MS);
+      if (recent.length) next[number] = recent;
+    });
+    numbers.forEach((number) => {
+      if ((next[number] || []).length >= MAX_CODES_PER_NUMBER) {
+        throw new SubscriptionError(`${number} has been sent ${MAX_CODES_PER_NUMBER} verification codes in the last 24 hours; try again later`, 429);
+      }
+      next[number] = [...(next[number] || []), new Date(now).toISOString()];
+    });
+    return next;
+  });
+}
+
+/**
+ * Saves a subscription for `ownerId`. Each SMS sink starts unverified and is texted a code first;
+ * rejects with a SubscriptionError and saves nothing when the owner or store is full (409), the number
+ * has had too many codes (429) or a code cannot be sent (502).
+ */
+async function createSubscription(ownerId, fields) {
+  checkCapacity(await store.read(), ownerId);
+  const id = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + CODE_TTL_MS).toISOString();
+  const codes = [];
+  const sinks = fields.sinks.map((config) => {
+    if (config.type !== 'sms') return config;
+    const code = String(crypto.randomInt(100000, 1000000));
+    codes.push({ to: config.to, text: renderVerificationSms(code, config.lang) });
+    return { ...config, verified: false, verification: { codeHash: hashCode(id, code), expiresAt, attempts: 0 } };
+  });
+  await recordCodes(codes.map((message) => normalizePhone(message.to)));
+  try {
+    for (const message of codes) await sendSms(message);
+  } catch (err) {
+    console.error('Alert subscription verification SMS failed:', err?.message || err);
+    throw new SubscriptionError('Could not send the verification SMS', 502);
+  }
+
+  const subscription = { id, ownerId, ...fields, sinks, createdAt: new Date().toISOString() };
+  await store.update((all) => {
+    checkCapacity(all, ownerId);
+    return [...all, subscription];
+  });
+  return publicSubscription(subscription);
+}
+
+/**
+ * Confirms the SMS sinks of a subscription with the texted code. Resolves to the subscription, or null
+ * when the owner has no such subscription; rejects with a SubscriptionError for a wrong or expired code.
+ */
+async function verifySubscription(ownerId, id, code) {
+  let updated = null;
+  let wrongCode = false;
+  await store.update((all) => all.map((s) => {
+    if (s.id !== id || s.ownerId !== ownerId) return s;
+    updated = s;
+    const pending = s.sinks.filter((config) => config.verification);
+    if (!pending.length) return s;
+    const usable = pending.filter((config) => Date.parse(config.verification.expiresAt) >= Date.now()
+      && config.verification.attempts < MAX_CODE_ATTEMPTS);
+    if (!usable.length) throw new SubscriptionError('The code has expired; subscribe again to get a new one', 410);
+
+    const hash = hashCode(id, String(code || '').trim());
+    wrongCode = !usable.some((config) => config.verification.codeHash === hash);
+    updated = {
+      ...s,
+      sinks: s.sinks.map((config) => {
+        if (!config.verification) return config;
+        if (wrongCode) return { ...config, verification: { ...config.verification, attempts: config.verification.attempts + 1 } };
+        if (!usable.includes(config) || config.verification.codeHash !== hash) return config;
+        const { verification, ...rest } = config;
+        return { ...rest, verified: true };
+      })
+    };
+    return updated;
+  }));
+  // Thrown after the write so the failed attempt is counted
+  if (wrongCode) throw new SubscriptionError('Wrong verification code', 400);
+  return updated && publicSubscription(updated);
+}
+
+/** The verified SMS sink for `phone` (any format normalizePhone reads), or null. */
+async function findVerifiedSmsSink(phone) {
+  const e164 = normalizePhone(phone);
+  if (!e164) return null;
+  for (const subscription of await store.read()) {
+    const sink = subscription.sinks.find((config) => config.type === 'sms' && config.verified === true && normalizePhone(config.to) === e164);
+    if (sink) return sink;
+  }
+  return null;
+}
+
+// Resolves to true when a subscription of this owner was removed
+async function deleteSubscription(ownerId, id) {
+  let removed = false;
+  await store.update((all) => {
+    const next = all.filter((s) => !(s.id === id && s.ownerId === ownerId));
+    removed = next.length !== all.length;
+    return next;
+  });
+  return removed;
+}
+
+module.exports = {
+  SubscriptionError,
+  validateSubscription,
+  isActiveSink,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  verifySubscription,
+  findVerifiedSmsSink,
+  deleteSubscription
+};
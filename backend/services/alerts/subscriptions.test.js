@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// An empty DATA_DIR; verification codes go to the simulator's outbox inside it
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'farmer-aid-alerts-'));
+process.env.DATA_DIR = root;
+delete process.env.SMS_SIMULATOR_DIR;
+delete process.env.SMS_GATEWAY;
+
+const { SubscriptionError, validateSubscription, createSubscription } = require('./subscriptions');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const place = { latitude: 30.2, longitude: 71.5, crop: 'wheat' };
+const sms = (to) => ({ type: 'sms', to });
+const outbox = () => {
+  try {
+    return fs.readdirSync(path.join(root, 'sms-outbox')).length;
+  } catch (err) {
+    return 0;
+  }
+};
+
+test('validateSubscription allows one SMS sink and a handful of sinks', () => {
+  assert.deepEqual(validateSubscription({ ...place, sinks: [sms('03001234567'), { type: 'log' }] }).issues, []);
+  assert.deepEqual(validateSubscription({ ...place, sinks: [sms('03001234567'), sms('03007654321')] }).issues, [
+    'sinks can include at most one sms sink'
+  ]);
+  assert.deepEqual(validateSubscription({ ...place, sinks: Array(6).fill({ type: 'log' }) }).issues, ['sinks must be a list of 1 to 5 sinks']);
+});
+
+test('a number gets at most three verification codes a day', async () => {
+  const fields = (to) => validateSubscription({ ...place, sinks: [sms(to)] }).subscription;
+  for (let i = 0; i < 3; i++) await createSubscription(`owner-sms-${i}`, fields('0300 1112223'));
+  assert.equal(outbox(), 3);
+  await assert.rejects(createSubscription('owner-sms-3', fields('+923001112223')), (err) => err instanceof SubscriptionError && err.status === 429);
+  assert.equal(outbox(), 3);
+  // other numbers are unaffected
+  await createSubscription('owner-sms-3', fields('03004445556'));
+  assert.equal(outbox(), 4);
+});
+
+test('an owner can keep at most 20 subscriptions', async () => {
+  const { subscription } = validateSubscription(place);
+  for (let i = 0; i < 20; i++) await createSubscription('owner-many', subscription);
+  await assert.rejects(createSubscription('owner-many', subscription), (err) => err instanceof SubscriptionError && err.status === 409);
+  await createSubscription('owner-other', subscription);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.WEATHER_PROVIDER = 'fixture';
+
+const axios = require('axios');
+const gemini = require('./gemini');
+const { TOOL_NAMES, TOOL_INSTRUCTION, runTool, answerWithTools } = require('./assistantTools');
+
+// Replaces gemini.streamGenerate with scripted model turns ({ text?, calls? }); the last turn repeats.
+// Returns the request bodies it was sent, copied as they were at the time of each call.
+function scriptModel(t, turns) {
+  const requests = [];
+  const original = gemini.streamGenerate;
+  gemini.streamGenerate = async (body, { onText } = {}) => {
+    const turn = turns[Math.min(requests.length, turns.length - 1)];
+    requests.push(structuredClone(body));
+    if (turn.text && onText) onText(turn.text);
+    const functionCalls = (turn.calls || []).map(([name, args]) => ({ functionCall: { name, args } }));
+    return { text: turn.text || '', finishReason: 'STOP', functionCalls };
+  };
+  t.after(() => { gemini.streamGenerate = original; });
+  return requests;
+}
+
+const question = { contents: [{ parts: [{ text: 'Will it rain in Atlantis this week?' }] }] };
+
+test('answerWithTools runs the requested tools and sends their results back', async (t) => {
+  const requests = scriptModel(t, [
+    { text: 'Let me check.', calls: [['getDistrict', { name: 'Atlantis' }], ['getRainfall', {}]] },
+    { text: 'Atlantis is not a district I have data for.' }
+  ]);
+  const events = [];
+  const chunks = [];
+  const result = await answerWithTools(question, { onText: (c) => chunks.push(c), onTool: (e) => events.push(e) });
+
+  assert.equal(result.text, 'Let me check.\n\nAtlantis is not a district I have data for.');
+  assert.deepEqual(chunks, ['Let me check.', '\n\nAtlantis is not a district I have data for.']);
+  assert.equal(result.finishReason, 'STOP');
+  assert.deepEqual(result.toolCalls, [
+    { name: 'getDistrict', args: { name: 'Atlantis' }, status: 'done' },
+    { name: 'getRainfall', args: {}, status: 'error', error: `Unknown tool "getRainfall" (available: ${TOOL_NAMES.join(', ')})` }
+  ]);
+  // both calls start before either finishes; they run side by side, so they may finish in any order
+  assert.deepEqual(events.slice(0, 2).map((e) => [e.id, e.status]), [[0, 'running'], [1, 'running']]);
+  assert.deepEqual(events.slice(2).map((e) => [e.id, e.status]).sort(), [[0, 'done'], [1, 'error']]);
+
+  // the first request declares the tools and gives the question a role
+  const [first, second] = requests;
+  assert.equal(first.systemInstruction.parts.at(-1).text, TOOL_INSTRUCTION);
+  assert.deepEqual(first.tools[0].functionDeclarations.map((d) => d.name), TOOL_NAMES);
+  assert.equal(first.contents[0].role, 'user');
+  assert.equal(first.toolConfig, undefined);
+
+  // the second carries the model's turn and one response per call
+  const [, modelTurn, responses] = second.contents;
+  assert.equal(modelTurn.role, 'model');
+  assert.equal(modelTurn.parts[0].text, 'Let me check.');
+  assert.equal(modelTurn.parts.length, 3);
+  assert.equal(responses.role, 'user');
+  assert.deepEqual(responses.parts[0].functionResponse, { name: 'getDistrict', response: { found: false, message: '"Atlantis" is not a district the app knows' } });
+  assert.match(responses.parts[1].functionResponse.response.error, /^Unknown tool "getRainfall"/);
+});
+
+test('answerWithTools makes the model answer once the tool rounds are used up', async (t) => {
+  const requests = scriptModel(t, [{ calls: [['getForecast', { district: 'Atlantis' }]] }]);
+  const result = await answerWithTools(question);
+  // four rounds with tools, then one more turn with function calling switched off
+  assert.equal(requests.length, 5);
+  assert.ok(requests.slice(0, 4).every((r) => r.toolConfig === undefined));
+  assert.deepEqual(requests[4].toolConfig, { functionCallingConfig: { mode: 'NONE' } });
+  assert.ok(requests[4].tools);
+  assert.equal(result.toolCalls.length, 4);
+  assert.ok(result.toolCalls.every((c) => c.status === 'error' && /not a district the app knows/.test(c.error)));
+});
+
+test('answerWithTools runs at most six calls a round and stops when aborted', async (t) => {
+  const calls = Array.from({ length: 8 }, (_, i) => ['getSuitability', { crop: 'mango', district: `Place ${i}` }]);
+  scriptModel(t, [{ calls }, { text: 'Mango is not a crop I can check.' }]);
+  const result = await answerWithTools(question);
+  assert.equal(result.toolCalls.length, 6);
+  assert.match(result.toolCalls[0].error, /crop "mango" is not one of the known crops/);
+
+  const controller = new AbortController();
+  scriptModel(t, [{ calls: [['getDistrict', { name: 'Atlantis' }]] }]);
+  const aborted = answerWithTools(question, { signal: controller.signal, onTool: () => controller.abort() });
+  assert.equal((await aborted).finishReason, 'ABORTED');
+});
+
+test('runTool reads the forecast for a located district', async (t) => {
+  t.mock.method(axios, 'get', async () => ({
+    data: { results: [{ name: 'Multan', admin1: 'Punjab', country_code: 'PK', latitude: 30.2, longitude: 71.5 }] }
+  }));
+  const { ok, result } = await runTool({ name: 'getForecast', args: { district: 'multan', days: 3 } });
+  assert.equal(ok, true);
+  assert.equal(result.district, 'Multan');
+  assert.deepEqual(result.location, { name: 'Multan, Punjab', latitude: 30.2, longitude: 71.5 });
+  assert.equal(result.days.length, 3);
+  assert.equal(typeof result.days[0].temperatureMax, 'number');
+
+  assert.deepEqual(await runTool({ name: 'getForecast', args: {} }), { ok: false, error: 'district is required' });
+  t.mock.method(console, 'error', () => {});
+  axios.get.mock.mockImplementation(async () => { throw new Error('offline'); });
+  assert.deepEqual(await runTool({ name: 'getDistrict', args: { name: 'Lahore' } }), { ok: false, error: 'The data service is unavailable right now' });
+});
@@ -0,0 +1,137 @@
+// In-memory response cache for upstream lookups (Open-Meteo forecast/geocode).
+//
+// Each named cache keeps entries for three windows measured from when they were stored:
+// - fresh (ttl): served directly as a HIT
+// - stale-while-revalidate: served immediately as STALE while one background refresh runs
+// - stale-if-error: only served when the upstream call fails
+// Concurrent misses for the same key share one upstream request, so a burst of farmers
+// checking the same district only costs a single Open-Meteo call.
+
+const caches = new Map();
+
+function envSeconds(name, fallback) {
+  const raw = process.env[name];
+  const n = raw === undefined || raw === '' ? NaN : Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n * 1000 : fallback * 1000;
+}
+
+function createCache(name, { ttl, staleWhileRevalidate = 0, staleIfError = 0, maxEntries = 1000 } = {}) {
+  const prefix = `CACHE_${name.toUpperCase()}`;
+  const ttlMs = envSeconds(`${prefix}_TTL`, ttl);
+  const swrMs = envSeconds(`${prefix}_SWR`, staleWhileRevalidate);
+  const sieMs = envSeconds(`${prefix}_STALE_IF_ERROR`, staleIfError);
+  const retainMs = ttlMs + Math.max(swrMs, sieMs);
+
+  const entries = new Map(); // key -> { value, storedAt }
+  const inflight = new Map(); // key -> Promise<value>
+  const stats = { hits: 0, misses: 0, stale: 0, staleOnError: 0, revalidations: 0, errors: 0 };
+
+  function store(key, value) {
+    // Map keeps insertion order, so deleting first moves the key to the newest slot
+    entries.delete(key);
+    entries.set(key, { value, storedAt: Date.now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function fetchOnce(key, fetcher) {
+    if (inflight.has(key)) return inflight.get(key);
+    const p = Promise.resolve()
+      .then(fetcher)
+      .then((value) => {
+        store(key, value);
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, p);
+    return p;
+  }
+
+  /**
+   * Returns { value, cache: 'HIT'|'MISS'|'STALE', age } for `key`, calling `fetcher` when needed.
+   * Rejects only when the upstream call fails and no usable stale entry exists.
+   */
+  async function wrap(key, fetcher) {
+    const entry = entries.get(key);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (entry && age > retainMs) entries.delete(key);
+
+    if (entry && age <= ttlMs) {
+      stats.hits++;
+      return { value: entry.value, cache: 'HIT', age };
+    }
+
+    if (entry && age <= ttlMs + swrMs) {
+      stats.stale++;
+      if (!inflight.has(key)) {
+        stats.revalidations++;
+        fetchOnce(key, fetcher).catch((err) => {
+          stats.errors++;
+          console.error(`[cache:${name}] background refresh failed for ${key}:`, err?.message || err);
+        });
+      }
+      return { value: entry.value, cache: 'STALE', age };
+    }
+
+    stats.misses++;
+    try {
+      const value = await fetchOnce(key, fetcher);
+      return { value, cache: 'MISS', age: 0 };
+    } catch (err) {
+      stats.errors++;
+      if (entry && age <= ttlMs + sieMs) {
+        stats.staleOnError++;
+        console.warn(`[cache:${name}] upstream failed, serving stale entry for ${key} (age ${Math.round(age / 1000)}s)`);
+        return { value: entry.value, cache: 'STALE', age };
+      }
+      throw err;
+    }
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses + stats.stale;
+    return {
+      ...stats,
+      entries: entries.size,
+      hitRate: lookups ? Number(((stats.hits + stats.stale) / lookups).toFixed(3)) : null,
+      ttlSeconds: ttlMs / 1000,
+      staleWhileRevalidateSeconds: swrMs / 1000,
+      staleIfErrorSeconds: sieMs / 1000
+    };
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  const cache = { name, wrap, clear, stats: getStats };
+  caches.set(name, cache);
+  return cache;
+}
+
+// Snap coordinates to a grid so nearby lookups (same district/town) share a cache entry.
+// Default 0.05° is roughly 5 km, well inside the resolution of the forecast models.
+function roundToGrid(value, step = Number(process.env.WEATHER_GRID_DEG) || 0.05) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+  return Number((Math.round(n / step) * step).toFixed(4));
+}
+
+// Normalize free-text place names: case, punctuation and repeated whitespace do not matter.
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[\.\-,'/]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function getCacheStats() {
+  const out = {};
+  caches.forEach((c, name) => { out[name] = c.stats(); });
+  return out;
+}
+
+module.exports = { createCache, roundToGrid, normalizeName, getCacheStats };
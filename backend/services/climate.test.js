@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.WEATHER_PROVIDER = 'fixture';
+
+const { parseNormalPeriod, validateNormalsRange, getNormalsReport } = require('./climate');
+
+const lastFullYear = new Date().getUTCFullYear() - 1;
+
+test('parseNormalPeriod defaults to the standard period and reads "start-end"', () => {
+  assert.deepEqual(parseNormalPeriod(''), { startYear: 1991, endYear: 2020 });
+  assert.deepEqual(parseNormalPeriod(undefined), { startYear: 1991, endYear: 2020 });
+  assert.deepEqual(parseNormalPeriod(' 1981-2010 '), { startYear: 1981, endYear: 2010 });
+  assert.deepEqual(parseNormalPeriod(`${lastFullYear - 29}-${lastFullYear}`), { startYear: lastFullYear - 29, endYear: lastFullYear });
+});
+
+test('parseNormalPeriod reports malformed and out-of-range periods', () => {
+  assert.deepEqual(parseNormalPeriod('1991'), { issues: ['years must look like 1991-2020'] });
+  assert.deepEqual(parseNormalPeriod('1991-2020-2030'), { issues: ['years must look like 1991-2020'] });
+  assert.deepEqual(parseNormalPeriod('1930-1950'), { issues: ['years must start in 1940 or later'] });
+  assert.deepEqual(parseNormalPeriod(`2000-${lastFullYear + 1}`), { issues: [`years must end by ${lastFullYear}`] });
+  assert.deepEqual(parseNormalPeriod('2010-2000'), { issues: ['years must run from the earlier to the later year'] });
+  assert.deepEqual(parseNormalPeriod('1961-2000'), { issues: ['years must span at most 30 years'] });
+});
+
+test('validateNormalsRange takes both ends or neither', () => {
+  assert.deepEqual(validateNormalsRange(), []);
+  assert.deepEqual(validateNormalsRange('2025-01-01'), ['start and end must both be dates (YYYY-MM-DD)']);
+  assert.deepEqual(validateNormalsRange('2025-02-01', '2025-01-01'), ['end must not be before start']);
+  assert.deepEqual(validateNormalsRange('2024-01-01', '2025-01-01'), ['The range must span at most 366 days']);
+});
+
+test('getNormalsReport compares the forecast days with the normals', async () => {
+  const report = await getNormalsReport({ latitude: 30.2, longitude: 71.5, startYear: 1991, endYear: 2020 });
+  assert.deepEqual(report.period, { startYear: 1991, endYear: 2020 });
+  assert.ok(report.days.length > 0);
+  assert.deepEqual(report.anomalies.days.map((d) => d.date), report.days.map((d) => d.date));
+  assert.equal(report.anomalies.summary.days, report.days.length);
+
+  const range = await getNormalsReport({ latitude: 30.2, longitude: 71.5, startYear: 1991, endYear: 2020, startDate: '2025-02-27', endDate: '2025-03-01' });
+  assert.deepEqual(range.days.map((d) => d.date), ['2025-02-27', '2025-02-28', '2025-03-01']);
+  assert.equal(range.anomalies, null);
+
+  assert.equal(await getNormalsReport({ latitude: 'north', longitude: 71.5, startYear: 1991, endYear: 2020 }), null);
+});
@@ -0,0 +1,281 @@
+// Assistant conversation threads: several named threads per user, each with its messages and a
+// running summary. The model sees the summary plus the most recent messages; when older messages fall
+// out of that window they are folded into the summary, so long conversations keep their earlier facts.
+// Stored as JSON in DATA_DIR (see jsonStore.js). There are no accounts: a user is the random id the
+// browser generates and sends as X-User-Id.
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const gemini = require('./gemini');
+
+const store = createJsonStore('conversations.json', []);
+
+// Messages sent to the model verbatim (the rest is in the summary); summarizing waits until
+// SUMMARY_BATCH more have piled up, so it costs one extra model call every few questions
+const CONTEXT_MESSAGES = Number(process.env.CONVERSATION_CONTEXT_MESSAGES) || 10;
+const SUMMARY_BATCH = Number(process.env.CONVERSATION_SUMMARY_BATCH) || 6;
+const MAX_CONVERSATIONS = 100; // per user; the least recently used thread goes first
+const MAX_MESSAGES = 400; // per thread; the oldest summarized messages are dropped beyond it
+const MAX_TEXT = 8000;
+const MAX_SYSTEM_TEXT = 20000;
+const MAX_TITLE = 80;
+const ROLES = ['user', 'model'];
+
+const GENERATION_CONFIG = { temperature: 0.6, maxOutputTokens: 1500 };
+const SAFETY_SETTINGS = [
+  { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+  { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+];
+
+const SUMMARY_PROMPT = `You keep the running summary of a conversation between a farmer and AgriGuide, an agricultural assistant.
+Update the summary with the new messages below. Keep every fact later advice may depend on: location and district, crops and varieties, sowing dates, field size, irrigation, soil and weather conditions, problems observed, advice already given and decisions the farmer made. Drop greetings and small talk.
+Write short bullet points in English, at most 200 words. Return only the updated summary.`;
+
+function optionalText(value, max) {
+  return value === undefined || value === null || value === '' ? null : String(value).trim().slice(0, max);
+}
+
+function validateMessages(messages, issues) {
+  if (messages === undefined) return [];
+  if (!Array.isArray(messages)) {
+    issues.push('messages must be a list');
+    return [];
+  }
+  if (messages.length > MAX_MESSAGES) issues.push(`a conversation can have at most ${MAX_MESSAGES} messages`);
+  return messages.slice(0, MAX_MESSAGES).map((m, i) => {
+    if (!m || !ROLES.includes(m.role)) issues.push(`messages[${i}].role must be one of ${ROLES.join(', ')}`);
+    if (!m || typeof m.text !== 'string' || !m.text.trim()) issues.push(`messages[${i}].text is required`);
+    const at = m && typeof m.at === 'string' && !Number.isNaN(Date.parse(m.at)) ? new Date(m.at).toISOString() : new Date().toISOString();
+    return { role: m && m.role, text: String((m && m.text) || '').trim().slice(0, MAX_TEXT), at };
+  });
+}
+
+/**
+ * Validates a new conversation ({ title?, messages? }). `messages` ([{ role: 'user' | 'model', text, at? }])
+ * imports an existing transcript, e.g. the history a browser kept before threads moved to the server.
+ * Returns { conversation, issues }.
+ */
+function validateConversation(body = {}) {
+  const issues = [];
+  if (body.title !== undefined && body.title !== null && typeof body.title !== 'string') issues.push('title must be text');
+  const messages = validateMessages(body.messages, issues);
+  return { conversation: { title: optionalText(body.title, MAX_TITLE), messages }, issues };
+}
+
+/** Validates a rename ({ title }). Returns { title, issues }. */
+function validateTitle(body = {}) {
+  const title = typeof body.title === 'string' ? optionalText(body.title, MAX_TITLE) : null;
+  return { title, issues: title ? [] : ['title is required'] };
+}
+
+/**
+ * Validates a question ({ text, system?, lang? }). `system` is the assistant's instructions (the
+ * static page sends its AgriGuide prompt with the selected farm); without it the server default is used.
+ * Returns { question, issues }.
+ */
+function validateQuestion(body = {}) {
+  const issues = [];
+  if (typeof body.text !== 'string' || !body.text.trim()) issues.push('text is required');
+  else if (body.text.length > MAX_TEXT) issues.push(`text must be at most ${MAX_TEXT} characters`);
+  if (body.system !== undefined && typeof body.system !== 'string') issues.push('system must be text');
+  return {
+    issues,
+    question: {
+      text: String(body.text || '').trim(),
+      system: optionalText(body.system, MAX_SYSTEM_TEXT),
+      lang: body.lang
+    }
+  };
+}
+
+// List entry: everything but the messages and summary
+function describeConversation(c) {
+  return {
+    id: c.id,
+    title: c.title,
+    messageCount: c.messages.length,
+    summarizedCount: c.summarizedCount,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt
+  };
+}
+
+// First words of the first question, as the title of an untitled thread
+function titleFrom(text) {
+  const line = String(text).replace(/\s+/g, ' ').trim();
+  return line.length <= 60 ? line : `${line.slice(0, 60).replace(/\s+\S*$/, '')}…`;
+}
+
+function withoutUserId({ userId, ...conversation }) {
+  return conversation;
+}
+
+async function listConversations(userId) {
+  return (await store.read())
+    .filter((c) => c.userId === userId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(describeConversation);
+}
+
+async function getConversation(userId, id) {
+  const found = (await store.read()).find((c) => c.id === id && c.userId === userId);
+  return found ? withoutUserId(found) : null;
+}
+
+async function createConversation(userId, { title, messages }) {
+  const now = new Date().toISOString();
+  const conversation = {
+    id: crypto.randomUUID(),
+    userId,
+    title: title || (messages.find((m) => m.role === 'user') ? titleFrom(messages.find((m) => m.role === 'user').text) : null),
+    summary: '',
+    summarizedCount: 0,
+    messages,
+    createdAt: now,
+    updatedAt: now
+  };
+  await store.update((all) => {
+    const own = all.filter((c) => c.userId === userId).sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    const evict = new Set(own.slice(0, Math.max(0, own.length + 1 - MAX_CONVERSATIONS)).map((c) => c.id));
+    return [...all.filter((c) => !evict.has(c.id)), conversation];
+  });
+  return withoutUserId(conversation);
+}
+
+// Applies fn(conversation) -> changes to one of the user's threads; resolves to the updated thread or null
+async function updateConversation(userId, id, fn) {
+  let updated = null;
+  await store.update((all) => all.map((c) => {
+    if (c.id !== id || c.userId !== userId) return c;
+    updated = { ...c, ...fn(c), updatedAt: new Date().toISOString() };
+    return updated;
+  }));
+  return updated && withoutUserId(updated);
+}
+
+function renameConversation(userId, id, title) {
+  return updateConversation(userId, id, () => ({ title }));
+}
+
+// Resolves to true when a thread was removed
+async function deleteConversation(userId, id) {
+  let removed = false;
+  await store.update((all) => {
+    const next = all.filter((c) => !(c.id === id && c.userId === userId));
+    removed = next.length !== all.length;
+    return next;
+  });
+  return removed;
+}
+
+/**
+ * Gemini request body for a new question in `conversation`: the instructions and running summary as
+ * the system instruction, then the messages not yet summarized and the question. Pure; see askContext.
+ */
+function buildContext(conversation, { text, system, lang }) {
+  const parts = [{ text: system || gemini.DEFAULT_SYSTEM_PROMPT }];
+  if (conversation.summary) {
+    parts.push({ text: `Summary of the earlier part of this conversation (those messages are not repeated below):\n${conversation.summary}` });
+  }
+  const recent = conversation.messages.slice(conversation.summarizedCount);
+  return gemini.withLanguage({
+    systemInstruction: { parts },
+    contents: [...recent, { role: 'user', text }].map((m) => ({ role: m.role, parts: [{ text: m.text }] })),
+    generationConfig: GENERATION_CONFIG,
+    safetySettings: SAFETY_SETTINGS
+  }, lang);
+}
+
+// Index up to which messages should be summarized, or null while the window still has room.
+// The window always starts at a question, so the model never sees an answer without it.
+function summaryCut(conversation) {
+  const { messages, summarizedCount } = conversation;
+  if (messages.length - summarizedCount < CONTEXT_MESSAGES + SUMMARY_BATCH) return null;
+  let cut = messages.length - CONTEXT_MESSAGES;
+  while (cut < messages.length && messages[cut].role !== 'user') cut += 1;
+  return cut > summarizedCount ? cut : null;
+}
+
+function summaryRequest(summary, messages) {
+  const transcript = messages.map((m) => `${m.role === 'user' ? 'Farmer' : 'AgriGuide'}: ${m.text}`).join('\n\n');
+  return {
+    systemInstruction: { parts: [{ text: SUMMARY_PROMPT }] },
+    contents: [{ role: 'user', parts: [{ text: `Current summary:\n${summary || '(none yet)'}\n\nNew messages:\n${transcript}` }] }],
+    generationConfig: { temperature: 0.1, maxOutputTokens: 600 }
+  };
+}
+
+/**
+ * Folds messages that left the context window into the running summary (one model call) and
+ * resolves to the updated conversation. When the call fails the thread is left as it was and the
+ * messages stay in the context; the next question tries again.
+ */
+async function summarizeOverflow(userId, conversation) {
+  const cut = summaryCut(conversation);
+  if (cut === null) return conversation;
+  try {
+    const older = conversation.messages.slice(conversation.summarizedCount, cut);
+    const summary = (await gemini.generateText(summaryRequest(conversation.summary, older), { timeout: 30000 })).trim();
+    if (!summary) return conversation;
+    return (await updateConversation(userId, conversation.id, () => ({ summary, summarizedCount: cut }))) || conversation;
+  } catch (err) {
+    const { status, message } = gemini.describeUpstreamError(err);
+    console.warn('Conversation summary failed:', { status, message });
+    return conversation;
+  }
+}
+
+/**
+ * Prepares a question in one of the user's threads: summarizes overflow when due, then resolves to
+ * { conversation, body } with the Gemini request body, or null when the thread does not exist.
+ */
+async function askContext(userId, id, question) {
+  const conversation = await getConversation(userId, id);
+  if (!conversation) return null;
+  const current = await summarizeOverflow(userId, conversation);
+  return { conversation: current, body: buildContext(current, question) };
+}
+
+/**
+ * Appends a question and its answer to a thread (untitled threads are named after their first
+ * question). `toolCalls` ([{ name, args, status, error? }], see assistantTools.js) and the cited
+ * `sources` ([{ n, title, section, ... }], see knowledge/) are kept on the answer so the thread shows
+ * what it was based on. Resolves to the updated thread, or null when it was deleted in the meantime.
+ */
+function saveTurn(userId, id, question, answer, { toolCalls = [], sources = [] } = {}) {
+  const now = new Date().toISOString();
+  const reply = {
+    role: 'model',
+    text: answer,
+    at: now,
+    ...(toolCalls.length ? { toolCalls } : {}),
+    ...(sources.length ? { sources } : {})
+  };
+  return updateConversation(userId, id, (c) => {
+    let messages = [...c.messages, { role: 'user', text: question, at: now }, reply];
+    let { summarizedCount } = c;
+    const drop = Math.min(messages.length - MAX_MESSAGES, summarizedCount);
+    if (drop > 0) {
+      messages = messages.slice(drop);
+      summarizedCount -= drop;
+    }
+    return { title: c.title || titleFrom(question), messages, summarizedCount };
+  });
+}
+
+module.exports = {
+  validateConversation,
+  validateTitle,
+  validateQuestion,
+  describeConversation,
+  listConversations,
+  getConversation,
+  createConversation,
+  renameConversation,
+  deleteConversation,
+  buildContext,
+  summaryCut,
+  askContext,
+  saveTurn
+};
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'farmer-aid-conversations-'));
+process.env.DATA_DIR = root;
+
+const gemini = require('./gemini');
+const { validateConversation, createConversation, getConversation, summaryCut, askContext, saveTurn } = require('./conversations');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// Messages with the given roles ('u' / 'm'), numbered so a test can tell which ones the model sees
+function messages(roles) {
+  return [...roles].map((r, i) => ({ role: r === 'u' ? 'user' : 'model', text: `message ${i}` }));
+}
+
+function alternating(count) {
+  return messages('um'.repeat(count / 2));
+}
+
+// Replaces gemini.generateText for one test; the summary call is the only model call here
+function stubSummary(t, reply) {
+  const calls = [];
+  const original = gemini.generateText;
+  gemini.generateText = async (body) => {
+    calls.push(body);
+    if (reply instanceof Error) throw reply;
+    return reply;
+  };
+  t.after(() => { gemini.generateText = original; });
+  return calls;
+}
+
+test('summaryCut waits until a batch of messages has left the window', () => {
+  // 10 messages in the context plus a batch of 6
+  assert.equal(summaryCut({ messages: alternating(14), summarizedCount: 0 }), null);
+  assert.equal(summaryCut({ messages: alternating(16), summarizedCount: 0 }), 6);
+  assert.equal(summaryCut({ messages: alternating(20), summarizedCount: 6 }), null);
+  assert.equal(summaryCut({ messages: alternating(22), summarizedCount: 6 }), 12);
+});
+
+test('summaryCut starts the window at a question', () => {
+  // messages[6] and [7] are answers, so the window starts at the question in [8]
+  assert.equal(summaryCut({ messages: messages('umumummmumumumum'), summarizedCount: 0 }), 8);
+  // with no question in the window, everything goes into the summary
+  assert.equal(summaryCut({ messages: messages('u' + 'm'.repeat(15)), summarizedCount: 0 }), 16);
+});
+
+test('askContext folds the overflow into the summary and sends only the recent messages', async (t) => {
+  const calls = stubSummary(t, '- grows wheat in Multan\n');
+  const { conversation } = validateConversation({ messages: alternating(16) });
+  const created = await createConversation('user-a', conversation);
+
+  const { conversation: current, body } = await askContext('user-a', created.id, { text: 'When should I irrigate?' });
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].contents[0].parts[0].text, /Farmer: message 0\n\nAgriGuide: message 1/);
+  assert.doesNotMatch(calls[0].contents[0].parts[0].text, /message 6/);
+  assert.equal(current.summary, '- grows wheat in Multan');
+  assert.equal(current.summarizedCount, 6);
+  assert.match(body.systemInstruction.parts[1].text, /grows wheat in Multan/);
+  assert.equal(body.contents.length, 11);
+  assert.equal(body.contents[0].parts[0].text, 'message 6');
+  assert.equal(body.contents[10].parts[0].text, 'When should I irrigate?');
+
+  assert.equal(await askContext('user-b', created.id, { text: 'hello' }), null);
+});
+
+test('askContext keeps the messages in the context when the summary call fails', async (t) => {
+  stubSummary(t, new Error('upstream down'));
+  t.mock.method(console, 'warn', () => {});
+  const created = await createConversation('user-a', validateConversation({ messages: alternating(16) }).conversation);
+  const { conversation, body } = await askContext('user-a', created.id, { text: 'And fertilizer?' });
+  assert.equal(conversation.summarizedCount, 0);
+  assert.equal(body.contents.length, 17);
+  assert.equal((await getConversation('user-a', created.id)).summary, '');
+});
+
+test('saveTurn appends the question and answer and names an untitled thread', async () => {
+  const created = await createConversation('user-a', { title: null, messages: [] });
+  const sources = [{ n: 1, title: 'Wheat production guide', section: 'Irrigation' }];
+  const saved = await saveTurn('user-a', created.id, 'When should wheat get its first irrigation?', 'At crown root initiation [1].', {
+    toolCalls: [{ name: 'get_forecast', args: {}, status: 'ok' }],
+    sources
+  });
+  assert.equal(saved.title, 'When should wheat get its first irrigation?');
+  assert.deepEqual(saved.messages.map((m) => m.role), ['user', 'model']);
+  assert.deepEqual(saved.messages[1].sources, sources);
+  assert.equal(saved.messages[1].toolCalls[0].name, 'get_forecast');
+  assert.equal(saved.messages[0].toolCalls, undefined);
+
+  const plain = await saveTurn('user-a', created.id, 'Thanks', 'You are welcome.');
+  assert.equal(plain.title, saved.title);
+  assert.equal(plain.messages[3].toolCalls, undefined);
+  assert.equal(plain.messages[3].sources, undefined);
+
+  assert.equal(await saveTurn('user-b', created.id, 'hello', 'hi'), null);
+});
+
+test('saveTurn drops only summarized messages once a thread is full', async (t) => {
+  stubSummary(t, '- earlier questions');
+  const full = await createConversation('user-a', validateConversation({ messages: alternating(400) }).conversation);
+
+  // nothing summarized yet: the thread may grow past the limit rather than lose context
+  const unsummarized = await saveTurn('user-a', full.id, 'one more', 'answer');
+  assert.equal(unsummarized.messages.length, 402);
+
+  const { conversation } = await askContext('user-a', full.id, { text: 'and another' });
+  assert.equal(conversation.summarizedCount, 392);
+  const saved = await saveTurn('user-a', full.id, 'and another', 'answer');
+  assert.equal(saved.messages.length, 400);
+  assert.equal(saved.summarizedCount, 388);
+  assert.equal(saved.messages[0].text, 'message 4');
+  assert.equal(saved.messages[saved.summarizedCount].text, conversation.messages[392].text);
+});
@@ -0,0 +1,147 @@
+// Farm profiles: a farm with one or more fields, each with its location, area, crop/variety,
+// sowing date and irrigation source. Stored as JSON in DATA_DIR (see jsonStore.js). There are no
+// accounts: each farm belongs to the browser (X-User-Id) that saved it, and other browsers get 404.
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('farms.json', []);
+
+const IRRIGATION_SOURCES = ['canal', 'tubewell', 'canal+tubewell', 'rainfed', 'other'];
+const MAX_FIELDS = 50;
+const MAX_FARMS = 5000;
+const MAX_PER_OWNER = 20;
+
+/** A farm the store refuses to add: `status` is 409 (owner or store limit reached). */
+class FarmError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'FarmError';
+    this.status = status;
+  }
+}
+
+function optionalText(value, max = 100) {
+  return value === undefined || value === null || value === '' ? null : String(value).trim().slice(0, max);
+}
+
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+    && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+function validateField(field, path) {
+  const issues = [];
+  if (!field || typeof field !== 'object') return { field: null, issues: [`${path} must be an object`] };
+
+  const latitude = Number(field.latitude);
+  const longitude = Number(field.longitude);
+  const areaAcres = Number(field.areaAcres);
+  if (!field.name || typeof field.name !== 'string') issues.push(`${path}.name is required`);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) issues.push(`${path}.latitude must be a number between -90 and 90`);
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) issues.push(`${path}.longitude must be a number between -180 and 180`);
+  if (!Number.isFinite(areaAcres) || areaAcres <= 0) issues.push(`${path}.areaAcres must be a positive number`);
+  if (!field.crop || typeof field.crop !== 'string') issues.push(`${path}.crop is required`);
+  if (field.sowingDate && !isIsoDate(field.sowingDate)) issues.push(`${path}.sowingDate must be a date (YYYY-MM-DD)`);
+  if (field.irrigationSource && !IRRIGATION_SOURCES.includes(field.irrigationSource)) {
+    issues.push(`${path}.irrigationSource must be one of ${IRRIGATION_SOURCES.join(', ')}`);
+  }
+
+  return {
+    issues,
+    field: {
+      id: typeof field.id === 'string' && field.id ? field.id.slice(0, 64) : crypto.randomUUID(),
+      name: optionalText(field.name),
+      latitude,
+      longitude,
+      areaAcres,
+      crop: String(field.crop || '').trim().toLowerCase(),
+      variety: optionalText(field.variety),
+      sowingDate: field.sowingDate || null,
+      irrigationSource: field.irrigationSource || null
+    }
+  };
+}
+
+/**
+ * Validates a farm body ({ name, owner?, district?, fields: [...] }). Returns { farm, issues };
+ * the farm is normalized (numbers parsed, crops lower-cased, field ids assigned where missing).
+ */
+function validateFarm(body = {}) {
+  const issues = [];
+  if (!body.name || typeof body.name !== 'string' || !body.name.trim()) issues.push('name is required');
+
+  const fields = [];
+  if (!Array.isArray(body.fields) || !body.fields.length) {
+    issues.push('fields must be a non-empty list');
+  } else if (body.fields.length > MAX_FIELDS) {
+    issues.push(`a farm can have at most ${MAX_FIELDS} fields`);
+  } else {
+    body.fields.forEach((f, i) => {
+      const result = validateField(f, `fields[${i}]`);
+      issues.push(...result.issues);
+      if (result.field) fields.push(result.field);
+    });
+    const ids = fields.map((f) => f.id);
+    if (new Set(ids).size !== ids.length) issues.push('field ids must be unique');
+  }
+
+  const farm = {
+    name: optionalText(body.name),
+    owner: optionalText(body.owner),
+    district: optionalText(body.district),
+    fields
+  };
+  return { farm, issues };
+}
+
+function withoutOwnerId({ ownerId, ...farm }) {
+  return farm;
+}
+
+async function listFarms(ownerId) {
+  return (await store.read()).filter((f) => f.ownerId === ownerId).map(withoutOwnerId);
+}
+
+async function getFarm(ownerId, id) {
+  const farm = (await store.read()).find((f) => f.id === id && f.ownerId === ownerId);
+  return farm ? withoutOwnerId(farm) : null;
+}
+
+async function createFarm(ownerId, fields) {
+  const now = new Date().toISOString();
+  const farm = { id: crypto.randomUUID(), ownerId, ...fields, createdAt: now, updatedAt: now };
+  await store.update((all) => {
+    if (all.filter((f) => f.ownerId === ownerId).length >= MAX_PER_OWNER) {
+      throw new FarmError(`A browser can have at most ${MAX_PER_OWNER} farms; delete an old one first`, 409);
+    }
+    if (all.length >= MAX_FARMS) {
+      throw new FarmError(`The server holds at most ${MAX_FARMS} farms; no new ones can be saved for now`, 409);
+    }
+    return [...all, farm];
+  });
+  return withoutOwnerId(farm);
+}
+
+// Replaces a farm's profile; resolves to the updated farm or null when the owner has no such farm
+async function updateFarm(ownerId, id, fields) {
+  let updated = null;
+  await store.update((all) => all.map((f) => {
+    if (f.id !== id || f.ownerId !== ownerId) return f;
+    updated = { id, ownerId, ...fields, createdAt: f.createdAt, updatedAt: new Date().toISOString() };
+    return updated;
+  }));
+  return updated && withoutOwnerId(updated);
+}
+
+// Resolves to true when a farm of this owner was removed
+async function deleteFarm(ownerId, id) {
+  let removed = false;
+  await store.update((all) => {
+    const next = all.filter((f) => !(f.id === id && f.ownerId === ownerId));
+    removed = next.length !== all.length;
+    return next;
+  });
+  return removed;
+}
+
+module.exports = { IRRIGATION_SOURCES, FarmError, validateFarm, listFarms, getFarm, createFarm, updateFarm, deleteFarm };
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'farmer-aid-farms-'));
+process.env.DATA_DIR = root;
+
+const { FarmError, validateFarm, createFarm, listFarms, getFarm, deleteFarm } = require('./farms');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const { farm } = validateFarm({
+  name: 'Home farm',
+  fields: [{ name: 'North', latitude: 30.2, longitude: 71.5, areaAcres: 4, crop: 'Wheat', sowingDate: '2025-11-10' }]
+});
+
+test('farms are visible to their owner only', async () => {
+  const saved = await createFarm('owner-a', farm);
+  assert.equal(saved.ownerId, undefined);
+  assert.equal(saved.fields[0].crop, 'wheat');
+  assert.deepEqual((await listFarms('owner-a')).map((f) => f.id), [saved.id]);
+  assert.equal(await getFarm('owner-b', saved.id), null);
+  assert.equal(await deleteFarm('owner-b', saved.id), false);
+  assert.equal(await deleteFarm('owner-a', saved.id), true);
+});
+
+test('an owner can keep at most 20 farms', async () => {
+  for (let i = 0; i < 20; i++) await createFarm('owner-many', farm);
+  await assert.rejects(createFarm('owner-many', farm), (err) => err instanceof FarmError && err.status === 409);
+  assert.equal((await listFarms('owner-many')).length, 20);
+  await createFarm('owner-other', farm);
+});
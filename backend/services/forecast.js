@@ -0,0 +1,82 @@
+// Cached access to the configured weather provider, shared by every endpoint that needs a forecast.
+const { createCache, roundToGrid } = require('./cache');
+const { getProvider } = require('../providers');
+const { BUNDLES, DEFAULT_BUNDLES, DEFAULT_FORECAST_DAYS, MAX_FORECAST_DAYS, resolveBundles } = require('../providers/variables');
+
+// Forecasts change a few times an hour
+const weatherCache = createCache('weather', { ttl: 10 * 60, staleWhileRevalidate: 20 * 60, staleIfError: 6 * 60 * 60, maxEntries: 2000 });
+// Past hours only change when the archive catches up, so history can be kept much longer
+const historyCache = createCache('history', { ttl: 6 * 60 * 60, staleIfError: 24 * 60 * 60, maxEntries: 500 });
+
+/**
+ * Validates getForecast() options ({ days, bundles } from /api/weather) against the allowlist;
+ * returns a list of problems (empty when valid).
+ */
+function validateForecastOptions({ days, bundles }) {
+  const issues = [];
+  if (days !== undefined && !(Number.isInteger(days) && days >= 1 && days <= MAX_FORECAST_DAYS)) {
+    issues.push(`days must be a whole number from 1 to ${MAX_FORECAST_DAYS}`);
+  }
+  if (bundles !== undefined) {
+    if (!bundles.length) issues.push('bundles must name at least one bundle');
+    bundles.filter((name) => !Object.prototype.hasOwnProperty.call(BUNDLES, name)).forEach((name) => {
+      issues.push(`Unknown bundle "${name}" (expected one of: ${Object.keys(BUNDLES).join(', ')})`);
+    });
+  }
+  return issues;
+}
+
+/**
+ * Returns { value, cache, age } for the normalized forecast at the given coordinates, or null when
+ * they are not numbers. `days` (1–MAX_FORECAST_DAYS) and `bundles` (names from BUNDLES) pick the
+ * horizon and variables; the defaults are the 7-day "agronomy" forecast every agronomy endpoint
+ * reads. Requests are snapped to the cache grid so every lookup in the same area shares one entry
+ * per horizon and bundle set.
+ */
+async function getForecast(latitude, longitude, { days = DEFAULT_FORECAST_DAYS, bundles = DEFAULT_BUNDLES } = {}) {
+  const lat = roundToGrid(latitude);
+  const lon = roundToGrid(longitude);
+  if (lat === null || lon === null) return null;
+
+  const names = [...new Set(bundles)].sort();
+  const { daily, hourly } = resolveBundles(names);
+  const provider = getProvider();
+  return weatherCache.wrap(
+    `${provider.name}:${lat},${lon}:${days}d:${names.join('+')}`,
+    () => provider.getForecast({ latitude: lat, longitude: lon, days, daily, hourly })
+  );
+}
+
+/**
+ * Returns { value, cache, age } with hourly temperatures between startDate and endDate (YYYY-MM-DD,
+ * inclusive) at the given coordinates, or null when they are not numbers.
+ */
+async function getHourlyHistory(latitude, longitude, startDate, endDate) {
+  const lat = roundToGrid(latitude);
+  const lon = roundToGrid(longitude);
+  if (lat === null || lon === null) return null;
+
+  const provider = getProvider();
+  return historyCache.wrap(
+    `${provider.name}:${lat},${lon}:${startDate}:${endDate}`,
+    () => provider.getHourlyHistory({ latitude: lat, longitude: lon, startDate, endDate })
+  );
+}
+
+/**
+ * Returns { value, cache, age } with daily temperatures and precipitation between startDate and
+ * endDate (YYYY-MM-DD, inclusive) at the given coordinates, or null when they are not numbers.
+ */
+async function getDailyHistory(latitude, longitude, startDate, endDate) {
+  const lat = roundToGrid(latitude);
+  const lon = roundToGrid(longitude);
+  if (lat === null || lon === null) return null;
+
+  const provider = getProvider();
+  return historyCache.wrap(
+    `${provider.name}:daily:${lat},${lon}:${startDate}:${endDate}`,
+    () => provider.getDailyHistory({ latitude: lat, longitude: lon, startDate, endDate })
+  );
+}
+
+module.exports = { validateForecastOptions, getForecast, getHourlyHistory, getDailyHistory };
@@ -0,0 +1,250 @@
+// Shared helpers for talking to the configured generative AI endpoint (Gemini by default).
+// Used by the /api/gemini proxy routes and by any server feature that needs a model call.
+const axios = require('axios');
+const { aiLanguageInstruction } = require('@farmer-aid/agronomy');
+
+// Use GEMINI_API_URL and GEMINI_API_KEY from process.env (loaded via dotenv in server.js)
+// Default to the official Google Generative Language endpoint for Gemini
+const GEMINI_API_URL = process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent';
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
+
+const DEFAULT_SYSTEM_PROMPT = 'You are AgriGuide, a concise agricultural expert.';
+
+function isGoogleUrl(url) {
+  return url.includes('generativelanguage.googleapis.com');
+}
+
+/**
+ * Returns a human-readable configuration problem, or null when the proxy can be used.
+ */
+function getConfigError() {
+  if (!GEMINI_API_KEY) return 'Server-side Gemini API key not configured';
+  // If the configured URL is a placeholder, provide a helpful error.
+  if (!GEMINI_API_URL || GEMINI_API_URL.includes('your-gemini-endpoint') || GEMINI_API_URL.includes('example')) {
+    console.error('Gemini proxy misconfigured: GEMINI_API_URL looks like a placeholder:', GEMINI_API_URL);
+    return 'Server misconfiguration: GEMINI_API_URL is not set correctly';
+  }
+  return null;
+}
+
+/**
+ * Adds the answer-language instruction for `lang` (e.g. 'ur') to the body's system instruction.
+ * English needs no instruction and returns the body unchanged.
+ */
+function withLanguage(body, lang) {
+  const instruction = aiLanguageInstruction(lang);
+  if (!instruction) return body;
+  const parts = body.systemInstruction?.parts || [{ text: DEFAULT_SYSTEM_PROMPT }];
+  return { ...body, systemInstruction: { ...body.systemInstruction, parts: [...parts, { text: instruction }] } };
+}
+
+/**
+ * Accept two shapes from frontend:
+ * 1) full Gemini request body (contains systemInstruction and contents) -> forward as-is
+ * 2) shorthand { prompt, generationConfig } -> wrap into the expected Gemini body
+ * Either shape may carry `lang` (the UI language); it is not forwarded but asks the model to
+ * answer in that language. `useTools` (see assistantTools.js) and `useKnowledge` (see knowledge/) are
+ * read by the routes and dropped here.
+ * Returns null when neither shape is present.
+ */
+function buildRequestBody(incoming = {}) {
+  const { lang, useTools, useKnowledge, ...body } = incoming;
+  if (body.systemInstruction || body.contents) {
+    return withLanguage(body, lang);
+  }
+  if (body.prompt) {
+    return withLanguage({
+      systemInstruction: { parts: [{ text: DEFAULT_SYSTEM_PROMPT }] },
+      contents: [{ parts: [{ text: body.prompt }] }],
+      generationConfig: body.generationConfig || { temperature: 0.2, maxOutputTokens: 1200 }
+    }, lang);
+  }
+  return null;
+}
+
+// Handle common provider patterns:
+// - Google Generative Language: expects POST to a model generate endpoint and allows API key via ?key=API_KEY
+// - Other providers may accept Authorization: Bearer <key>
+function resolveRequest(url = GEMINI_API_URL) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (GEMINI_API_KEY && isGoogleUrl(url)) {
+    return { url: url.includes('?') ? `${url}&key=${GEMINI_API_KEY}` : `${url}?key=${GEMINI_API_KEY}`, headers };
+  }
+  if (GEMINI_API_KEY) headers['Authorization'] = `Bearer ${GEMINI_API_KEY}`;
+  return { url, headers };
+}
+
+// Try to extract any text content from common (non-candidates) response fields.
+function tryExtractText(obj) {
+  try {
+    if (!obj) return null;
+    if (typeof obj === 'string') return obj;
+    // Common Google-style outputs
+    if (obj.output && Array.isArray(obj.output) && obj.output[0]?.content) {
+      // output[0].content may be an array of content pieces
+      const c = obj.output[0].content;
+      if (Array.isArray(c)) {
+        for (const item of c) {
+          if (item?.text) return item.text;
+          if (item?.mimeType === 'text/plain' && item?.text) return item.text;
+        }
+      } else if (c.text) return c.text;
+    }
+    if (obj.outputs && Array.isArray(obj.outputs) && obj.outputs[0]?.content) {
+      const c = obj.outputs[0].content;
+      if (Array.isArray(c) && c[0]?.text) return c[0].text;
+    }
+    if (obj.generated_text) return obj.generated_text;
+    if (obj.text) return obj.text;
+    if (obj.choices && Array.isArray(obj.choices) && obj.choices[0]?.text) return obj.choices[0].text;
+    // Fallback: stringify a short summary
+    const s = JSON.stringify(obj);
+    return s.length > 0 ? (s.length > 1000 ? s.slice(0, 1000) : s) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Text of the first candidate (all text parts joined), or null when there are no candidates.
+function candidateText(obj) {
+  const parts = obj?.candidates?.[0]?.content?.parts;
+  if (!Array.isArray(parts)) return null;
+  return parts.map((p) => (typeof p?.text === 'string' ? p.text : '')).join('');
+}
+
+// Function-call parts of the first candidate, as sent (they may carry a thought signature that has
+// to go back to the model unchanged)
+function candidateFunctionCalls(obj) {
+  const parts = obj?.candidates?.[0]?.content?.parts;
+  return Array.isArray(parts) ? parts.filter((p) => p && p.functionCall) : [];
+}
+
+/**
+ * Normalize response so frontend can reliably read the text at
+ * candidates[0].content.parts[0].text (existing frontend expects this shape).
+ */
+function normalizeResponse(upstream = {}) {
+  // If provider already returns 'candidates' in expected shape, forward as-is.
+  if (upstream.candidates && Array.isArray(upstream.candidates) && upstream.candidates.length > 0) {
+    return upstream;
+  }
+  const extracted = tryExtractText(upstream) || '';
+  return { candidates: [{ content: { parts: [{ text: extracted }] } }] };
+}
+
+/**
+ * Sends a request body to the model and returns the normalized response.
+ * Axios errors propagate so callers can map upstream status codes.
+ */
+async function generate(body, { timeout = 20000, signal } = {}) {
+  const { url, headers } = resolveRequest();
+  const resp = await axios.post(url, body, { headers, timeout, signal });
+  return normalizeResponse(resp.data || {});
+}
+
+// Convenience for server-side features: text of the first candidate.
+async function generateText(body, options) {
+  const data = await generate(body, options);
+  return candidateText(data) || '';
+}
+
+// Google's streaming variant of a :generateContent URL, emitting Server-Sent Events.
+function streamUrlFor(url) {
+  if (!isGoogleUrl(url) || !url.includes(':generateContent')) return null;
+  const streamUrl = url.replace(':generateContent', ':streamGenerateContent');
+  return streamUrl.includes('?') ? `${streamUrl}&alt=sse` : `${streamUrl}?alt=sse`;
+}
+
+/**
+ * Streams a generation, calling onText(chunk) for every piece of text as it arrives.
+ * Providers without a known streaming endpoint fall back to one non-streamed call that is
+ * delivered as a single chunk. Resolves to { text, finishReason, functionCalls } once the model is
+ * done, `functionCalls` being the function-call parts when the body declared tools (usually empty);
+ * aborting `signal` cancels the upstream request.
+ */
+async function streamGenerate(body, { onText, signal, timeout = 60000 } = {}) {
+  const streamUrl = streamUrlFor(GEMINI_API_URL);
+  if (!streamUrl) {
+    const data = await generate(body, { timeout, signal });
+    const text = candidateText(data) || '';
+    if (text && onText) onText(text);
+    return { text, finishReason: data?.candidates?.[0]?.finishReason || 'STOP', functionCalls: candidateFunctionCalls(data) };
+  }
+
+  const { url, headers } = resolveRequest(streamUrl);
+  const resp = await axios.post(url, body, { headers, timeout, signal, responseType: 'stream' });
+
+  let full = '';
+  let finishReason = null;
+  let buffer = '';
+  const functionCalls = [];
+
+  const handleEvent = (raw) => {
+    const data = raw
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).trimStart())
+      .join('\n');
+    if (!data) return;
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (e) {
+      return; // ignore keep-alives and partial garbage
+    }
+    const text = chunk.candidates ? candidateText(chunk) : tryExtractText(chunk);
+    if (chunk.candidates?.[0]?.finishReason) finishReason = chunk.candidates[0].finishReason;
+    if (chunk.promptFeedback?.blockReason) finishReason = `BLOCKED:${chunk.promptFeedback.blockReason}`;
+    functionCalls.push(...candidateFunctionCalls(chunk));
+    if (text) {
+      full += text;
+      if (onText) onText(text);
+    }
+  };
+
+  await new Promise((resolve, reject) => {
+    resp.data.on('data', (buf) => {
+      buffer += buf.toString('utf8');
+      let match;
+      while ((match = /\r?\n\r?\n/.exec(buffer))) {
+        const raw = buffer.slice(0, match.index);
+        buffer = buffer.slice(match.index + match[0].length);
+        handleEvent(raw);
+      }
+    });
+    resp.data.on('end', () => {
+      if (buffer.trim()) handleEvent(buffer);
+      resolve();
+    });
+    resp.data.on('error', reject);
+  });
+
+  return { text: full, finishReason: finishReason || 'STOP', functionCalls };
+}
+
+/**
+ * Summarizes an axios/upstream error without leaking secrets: { status, message }.
+ */
+function describeUpstreamError(err) {
+  const status = err?.response?.status;
+  const upstream = err?.response?.data;
+  const message = (upstream && (upstream.error?.message || upstream.error || upstream.message)) || err?.message || 'AI generation failed';
+  return { status, message: typeof message === 'string' ? message : JSON.stringify(message).slice(0, 400) };
+}
+
+module.exports = {
+  GEMINI_API_KEY,
+  DEFAULT_SYSTEM_PROMPT,
+  getConfigError,
+  buildRequestBody,
+  withLanguage,
+  resolveRequest,
+  tryExtractText,
+  candidateText,
+  candidateFunctionCalls,
+  normalizeResponse,
+  generate,
+  generateText,
+  streamGenerate,
+  describeUpstreamError
+};
@@ -0,0 +1,50 @@
+// Cached place-name lookups through the Open-Meteo geocoding API, shared by /api/geocode and the
+// district comparison.
+const axios = require('axios');
+const { resolveDistrict } = require('@farmer-aid/agronomy');
+const { createCache, normalizeName } = require('./cache');
+
+const GEOCODE_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+
+// Place names practically never change
+const geocodeCache = createCache('geocode', { ttl: 7 * 24 * 60 * 60, staleWhileRevalidate: 24 * 60 * 60, staleIfError: 30 * 24 * 60 * 60, maxEntries: 5000 });
+
+/**
+ * Returns { value, cache, age } with the geocoder's response ({ results: [...] }) for `name`.
+ */
+async function geocode({ name, count = 1, language = 'en', countrycodes }) {
+  const params = { name, count, language };
+  if (countrycodes) params.countrycodes = countrycodes;
+
+  const key = [normalizeName(name), count, language, countrycodes || ''].join('|');
+  return geocodeCache.wrap(key, async () => {
+    const response = await axios.get(GEOCODE_URL, { params, timeout: 10000 });
+    return response.data;
+  });
+}
+
+/**
+ * Coordinates of a Pakistani district: { district, province, name, latitude, longitude, cache }, or
+ * null when the name is not a known district or the geocoder has no Pakistani match. The result in
+ * the district's province wins over other Pakistani places with the same name.
+ */
+async function locateDistrict(name) {
+  const resolved = resolveDistrict(name);
+  if (!resolved) return null;
+
+  const result = await geocode({ name: resolved.district, count: 10 });
+  const matches = ((result.value && result.value.results) || []).filter((r) => r.country_code === 'PK');
+  const inProvince = matches.find((r) => normalizeName(r.admin1 || '') === normalizeName(resolved.province));
+  const best = inProvince || matches[0];
+  if (!best) return null;
+  return {
+    district: resolved.district,
+    province: resolved.province,
+    name: best.admin1 ? `${best.name}, ${best.admin1}` : best.name,
+    latitude: best.latitude,
+    longitude: best.longitude,
+    cache: result.cache
+  };
+}
+
+module.exports = { geocode, locateDistrict };
@@ -0,0 +1,67 @@
+// Okapi BM25 ranking over the knowledge library's passages. Runs in memory: the library is a few
+// hundred passages, so the index is rebuilt whenever a document is added or removed.
+
+const K1 = 1.2; // term-frequency saturation
+const B = 0.75; // length normalization
+
+const STOPWORDS = new Set(`a about after all also am an and any are as at be been before being but by can
+could did do does doing for from had has have how i if in into is it its me my no not of on or our
+out should so some such than that the their them then there these they this those to too up us was
+we were what when where which while who why will with would you your`.split(/\s+/));
+
+// Light suffix stripping so "irrigate", "irrigated", "irrigating" and "irrigation(s)" meet
+function stem(word) {
+  if (!/^[a-z]+$/.test(word) || word.length <= 4) return word;
+  let w = word;
+  if (w.endsWith('ies')) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+  if (w.endsWith('ing') && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith('ion') && w.length > 6) w = w.slice(0, -3);
+  else if (w.endsWith('ed') && w.length > 5) w = w.slice(0, -2);
+  else if (w.endsWith('e') && w.length > 5) w = w.slice(0, -1);
+  return w;
+}
+
+/** Search terms of a text: lowercase words and numbers (any script), without stopwords, stemmed. */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((w) => !STOPWORDS.has(w) && (w.length > 1 || /\d/.test(w)))
+    .map(stem);
+}
+
+/**
+ * Builds an index over `items` (`textOf(item)` is the text matched). Returns { search(query, limit), size };
+ * search() returns [{ item, score }] best first, only for items sharing a term with the query.
+ */
+function createIndex(items, textOf = (item) => item.text) {
+  const docs = items.map((item) => {
+    const terms = tokenize(textOf(item));
+    const tf = new Map();
+    terms.forEach((t) => tf.set(t, (tf.get(t) || 0) + 1));
+    return { item, tf, length: terms.length };
+  });
+  const df = new Map();
+  docs.forEach((d) => d.tf.forEach((count, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const idf = (t) => Math.log(1 + (docs.length - df.get(t) + 0.5) / (df.get(t) + 0.5));
+
+  function search(query, limit = 5) {
+    const terms = [...new Set(tokenize(query))].filter((t) => df.has(t));
+    if (!terms.length) return [];
+    return docs
+      .map((d) => ({
+        item: d.item,
+        score: terms.reduce((sum, t) => {
+          const f = d.tf.get(t) || 0;
+          return f ? sum + idf(t) * (f * (K1 + 1)) / (f + K1 * (1 - B + B * (d.length / avgLength))) : sum;
+        }, 0)
+      }))
+      .filter((r) => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { search, size: docs.length };
+}
+
+module.exports = { tokenize, createIndex };
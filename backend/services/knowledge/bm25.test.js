@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, createIndex } = require('./bm25');
+
+const passages = [
+  { id: 'rust', text: 'Yellow rust appears as stripes of yellow pustules on wheat leaves. Spray a fungicide at first sight of rust.' },
+  { id: 'urea', text: 'Apply urea to wheat in two splits: half at sowing and half with the first irrigation.' },
+  { id: 'whitefly', text: 'Whitefly sucks sap from cotton leaves and spreads leaf curl virus. Scout twice a week.' },
+  { id: 'irrigation', text: 'Irrigate wheat at crown root initiation, tillering, booting and grain filling. Irrigation at crown root matters most.' }
+];
+
+test('tokenize lowercases, drops stopwords and strips common suffixes', () => {
+  assert.deepEqual(tokenize('How should I irrigate the Wheat?'), ['irrigat', 'wheat']);
+  assert.deepEqual(tokenize('irrigated irrigating irrigations'), ['irrigat', 'irrigat', 'irrigat']);
+  assert.deepEqual(tokenize('40 mm, a 5 day spell'), ['40', 'mm', '5', 'day', 'spell']);
+  assert.deepEqual(tokenize('گندم کی آبپاشی'), ['گندم', 'کی', 'آبپاشی']);
+});
+
+test('search ranks the passage sharing the rarest terms first', () => {
+  const index = createIndex(passages);
+  assert.equal(index.size, 4);
+  const results = index.search('When do I put urea on my wheat?');
+  assert.equal(results[0].item.id, 'urea');
+  assert.ok(results.every((r, i) => i === 0 || r.score <= results[i - 1].score));
+});
+
+test('a one-term question finds its passage', () => {
+  const [best] = createIndex(passages).search('whitefly?');
+  assert.equal(best.item.id, 'whitefly');
+  assert.ok(best.score > 0);
+});
+
+test('repeated terms score higher, with saturation', () => {
+  const results = createIndex(passages).search('irrigation', 10);
+  assert.deepEqual(results.map((r) => r.item.id), ['irrigation', 'urea']);
+  assert.ok(results[0].score < 3 * results[1].score);
+});
+
+test('search returns nothing for unknown words and honours the limit', () => {
+  const index = createIndex(passages);
+  assert.deepEqual(index.search('locust swarm'), []);
+  assert.deepEqual(index.search(''), []);
+  assert.equal(index.search('wheat', 2).length, 2);
+});
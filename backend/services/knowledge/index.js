@@ -0,0 +1,277 @@
+// Extension-knowledge library for the assistant: bulletins, crop production guides and pest sheets
+// (Markdown, HTML or PDF) split into passages and ranked with BM25 (bm25.js). The documents in
+// KNOWLEDGE_DIR (default backend/knowledge) ship with the app; documents uploaded through the API are
+// stored already split, as JSON in DATA_DIR (see jsonStore.js). Retrieved passages are added to the
+// model's instructions with numbers the answer cites, e.g. [1].
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore } = require('../jsonStore');
+const gemini = require('../gemini');
+const { createIndex, tokenize } = require('./bm25');
+const { documentType, parseDocument } = require('./parsers');
+const { PdfTooLargeError } = require('./pdf');
+
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR
+  ? path.resolve(process.env.KNOWLEDGE_DIR)
+  : path.join(__dirname, '..', '..', 'knowledge');
+const PASSAGES_PER_QUESTION = Number(process.env.KNOWLEDGE_PASSAGES) || 4;
+// BM25 score a passage needs to be offered to the model (a single common shared word scores about 1);
+// the model is told to ignore passages that turn out not to be relevant. Scores add up per query term,
+// so shorter questions ("wheat rust?", "whitefly") get a proportionally lower bar: MIN_SCORE applies
+// from FULL_CUTOFF_TERMS search terms on.
+const MIN_SCORE = Number(process.env.KNOWLEDGE_MIN_SCORE) || 1.5;
+const FULL_CUTOFF_TERMS = 3;
+const PASSAGE_WORDS = 160; // passages are cut at paragraph ends near this length
+const MAX_DOCUMENTS = 500;
+const MAX_META = 200;
+const EXCERPT_CHARS = 240;
+
+const store = createJsonStore('knowledge.json', []);
+
+/**
+ * An upload the library cannot use; `status` is 400 (unsupported type), 413 (a PDF that inflates past
+ * the size limits, see pdf.js) or 422 (no readable text).
+ */
+class DocumentError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+const KNOWLEDGE_PROMPT = `Passages from Farmer Aid's extension library (bulletins, crop production guides, pest management sheets) that may be relevant to the question are listed below, numbered.
+When the answer uses a passage, cite it with its number in square brackets right after the point it supports, e.g. "Irrigate at crown root initiation [2]." Prefer the passages over general knowledge where they apply, cite only passages you actually used, and ignore the ones that are not relevant. Do not list the sources at the end; the app shows them.`;
+
+// Splits sections into passages of about PASSAGE_WORDS words, keeping paragraphs whole where possible
+function toPassages(sections) {
+  const passages = [];
+  sections.forEach(({ heading, text }) => {
+    let current = [];
+    let words = 0;
+    const flush = () => {
+      if (current.length) passages.push({ section: heading || null, text: current.join('\n\n') });
+      current = [];
+      words = 0;
+    };
+    text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean).forEach((paragraph) => {
+      const pieces = paragraph.split(/\s+/);
+      if (words && words + pieces.length > PASSAGE_WORDS) flush();
+      for (let i = 0; i < pieces.length; i += PASSAGE_WORDS) {
+        const chunk = pieces.slice(i, i + PASSAGE_WORDS);
+        current.push(i === 0 && chunk.length === pieces.length ? paragraph : chunk.join(' '));
+        words += chunk.length;
+        if (words >= PASSAGE_WORDS) flush();
+      }
+    });
+    flush();
+  });
+  return passages;
+}
+
+function optionalText(value, max) {
+  return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim().slice(0, max);
+}
+
+/**
+ * Validates the details sent with an upload ({ title?, source?, url?, region? }); they override
+ * what the document itself says. Returns { meta, issues }.
+ */
+function validateDocumentMeta(body = {}) {
+  const issues = [];
+  const meta = {
+    title: optionalText(body.title, MAX_META),
+    source: optionalText(body.source, MAX_META),
+    url: optionalText(body.url, 2000),
+    region: optionalText(body.region, 80)
+  };
+  if (meta.url && !/^https?:\/\/\S+$/i.test(meta.url)) issues.push('url must be an http(s) address');
+  return { meta, issues };
+}
+
+// Document as stored / indexed: passages plus the details citations show
+function buildDocument(buffer, { id, filename, type, meta = {}, bundled = false }) {
+  const parsed = parseDocument(buffer, { type, filename });
+  const pick = (key) => meta[key] || parsed.meta[key] || null;
+  return {
+    id,
+    title: meta.title || parsed.title,
+    source: pick('source'),
+    url: pick('url'),
+    region: pick('region'),
+    type,
+    filename: filename || null,
+    bundled,
+    addedAt: new Date().toISOString(),
+    passages: toPassages(parsed.sections)
+  };
+}
+
+// The documents shipped in KNOWLEDGE_DIR, read once (a README.md there describes the folder)
+let bundledDocuments = null;
+async function readBundled() {
+  if (!bundledDocuments) {
+    bundledDocuments = (async () => {
+      let names;
+      try {
+        names = await fs.promises.readdir(KNOWLEDGE_DIR);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const documents = [];
+      for (const name of names.sort()) {
+        const type = documentType(name);
+        if (!type || name.toLowerCase() === 'readme.md') continue;
+        try {
+          const buffer = await fs.promises.readFile(path.join(KNOWLEDGE_DIR, name));
+          documents.push(buildDocument(buffer, { id: `bundled:${name}`, filename: name, type, bundled: true }));
+        } catch (err) {
+          console.warn(`Knowledge: skipped ${name}:`, err.message);
+        }
+      }
+      return documents;
+    })();
+    bundledDocuments.catch(() => { bundledDocuments = null; });
+  }
+  return bundledDocuments;
+}
+
+async function allDocuments() {
+  return [...(await readBundled()), ...(await store.read())];
+}
+
+// Passage index over every document; rebuilt after uploads and deletions
+let indexPromise = null;
+function getIndex() {
+  if (!indexPromise) {
+    indexPromise = allDocuments().then((documents) => {
+      const passages = [];
+      documents.forEach((doc) => doc.passages.forEach((p, i) => passages.push({ doc, index: i, ...p })));
+      return createIndex(passages, (p) => `${p.doc.title}\n${p.section || ''}\n${p.text}`);
+    });
+    indexPromise.catch(() => { indexPromise = null; });
+  }
+  return indexPromise;
+}
+
+// List entry: everything but the passages
+function describeDocument({ passages, ...doc }) {
+  return { ...doc, passageCount: passages.length };
+}
+
+async function listDocuments() {
+  return (await allDocuments()).map(describeDocument);
+}
+
+/**
+ * Adds an uploaded file ({ buffer, originalname, mimetype }, from multer) to the library with the
+ * validated `meta`. Resolves to the document's list entry; rejects with a DocumentError when the
+ * type is unsupported, a PDF inflates past the size limits or no text can be read (e.g. a scanned PDF).
+ */
+async function addDocument(file, meta) {
+  const type = documentType(file.originalname, file.mimetype);
+  if (!type) throw new DocumentError('Unsupported document type. Use PDF, Markdown or HTML.', 400);
+  let doc;
+  try {
+    doc = buildDocument(file.buffer, { id: crypto.randomUUID(), filename: file.originalname, type, meta });
+  } catch (err) {
+    if (err instanceof PdfTooLargeError) throw new DocumentError(`The document is too large to read: ${err.message}`, 413);
+    throw new DocumentError(`Could not read the document: ${err.message}`, 422);
+  }
+  if (!doc.passages.length) throw new DocumentError('No text could be extracted from the document (scanned PDFs need converting to text first)', 422);
+  await store.update((all) => [...all, doc].slice(-MAX_DOCUMENTS));
+  indexPromise = null;
+  return describeDocument(doc);
+}
+
+// Resolves to true when an uploaded document was removed (bundled ones are removed from KNOWLEDGE_DIR)
+async function deleteDocument(id) {
+  let removed = false;
+  await store.update((all) => {
+    const next = all.filter((doc) => doc.id !== id);
+    removed = next.length !== all.length;
+    return next;
+  });
+  if (removed) indexPromise = null;
+  return removed;
+}
+
+/**
+ * Passages for `query`, best first: [{ id, documentId, title, section, source, url, region, text, score }].
+ * Only passages scoring at least `minScore` are returned, scaled down for questions of fewer than
+ * FULL_CUTOFF_TERMS search terms.
+ */
+async function searchKnowledge(query, { limit = PASSAGES_PER_QUESTION, minScore = MIN_SCORE } = {}) {
+  const index = await getIndex();
+  const cutoff = minScore * Math.min(1, new Set(tokenize(query)).size / FULL_CUTOFF_TERMS);
+  return index.search(query, limit)
+    .filter((r) => r.score >= cutoff)
+    .map(({ item: p, score }) => ({
+      id: `${p.doc.id}#${p.index}`,
+      documentId: p.doc.id,
+      title: p.doc.title,
+      section: p.section,
+      source: p.doc.source,
+      url: p.doc.url,
+      region: p.doc.region,
+      text: p.text,
+      score: Math.round(score * 100) / 100
+    }));
+}
+
+// Text of the last question in a Gemini request body
+function latestQuestion(body) {
+  const turn = [...(body.contents || [])].reverse().find((c) => c.role !== 'model' && (c.parts || []).some((p) => typeof p.text === 'string'));
+  return turn ? turn.parts.map((p) => p.text || '').join(' ') : '';
+}
+
+/**
+ * Adds the passages relevant to `query` (default: the body's last question) to the request's system
+ * instruction. Resolves to { body, sources }, `sources` being the numbered passages offered
+ * ([{ n, documentId, title, section, source, url, excerpt }]); see citedSources(). A failing library
+ * never blocks the answer: the body comes back unchanged.
+ */
+async function withKnowledge(body, query = latestQuestion(body)) {
+  let passages = [];
+  try {
+    passages = query.trim() ? await searchKnowledge(query) : [];
+  } catch (err) {
+    console.error('Knowledge search error:', err?.message || err);
+  }
+  if (!passages.length) return { body, sources: [] };
+
+  const listing = passages.map((p, i) => `[${i + 1}] ${p.title}${p.section ? ` — ${p.section}` : ''}${p.source ? ` (${p.source})` : ''}\n${p.text}`).join('\n\n');
+  const parts = body.systemInstruction?.parts || [{ text: gemini.DEFAULT_SYSTEM_PROMPT }];
+  return {
+    body: { ...body, systemInstruction: { ...body.systemInstruction, parts: [...parts, { text: `${KNOWLEDGE_PROMPT}\n\n${listing}` }] } },
+    sources: passages.map((p, i) => ({
+      n: i + 1,
+      documentId: p.documentId,
+      title: p.title,
+      section: p.section,
+      source: p.source,
+      url: p.url,
+      excerpt: p.text.length > EXCERPT_CHARS ? `${p.text.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, '')}…` : p.text
+    }))
+  };
+}
+
+/** The offered sources the answer cites as [n] (also [1, 3] and [1][3]), in number order. */
+function citedSources(text, sources) {
+  const cited = new Set();
+  (String(text || '').match(/\[\d+(?:\s*[,;]\s*\d+)*\]/g) || []).forEach((m) => m.match(/\d+/g).forEach((n) => cited.add(Number(n))));
+  return sources.filter((s) => cited.has(s.n));
+}
+
+module.exports = {
+  DocumentError,
+  validateDocumentMeta,
+  listDocuments,
+  addDocument,
+  deleteDocument,
+  searchKnowledge,
+  withKnowledge,
+  citedSources
+};
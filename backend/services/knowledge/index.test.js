@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A small library of its own, and an empty DATA_DIR (no uploaded documents)
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'farmer-aid-knowledge-'));
+process.env.KNOWLEDGE_DIR = path.join(root, 'knowledge');
+process.env.DATA_DIR = path.join(root, 'data');
+delete process.env.KNOWLEDGE_MIN_SCORE;
+fs.mkdirSync(process.env.KNOWLEDGE_DIR);
+fs.writeFileSync(path.join(process.env.KNOWLEDGE_DIR, 'wheat.md'), `---
+title: Wheat guide
+---
+## Rust
+Yellow rust shows as stripes of yellow pustules on the leaves. Spray a fungicide at first sight.
+
+## Fertilizer
+Apply urea in two splits, half at sowing and half with the first irrigation.
+
+## Irrigation
+Irrigate at crown root initiation, tillering, booting and grain filling.
+`);
+
+const { searchKnowledge } = require('./index');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('a one-term question still returns its passage', async () => {
+  const [best] = await searchKnowledge('rust?');
+  assert.equal(best.section, 'Rust');
+});
+
+test('a two-term question where only one term is in the library returns its passage', async () => {
+  const results = await searchKnowledge('wheat rust?');
+  assert.equal(results[0].section, 'Rust');
+});
+
+test('longer questions keep the full cutoff', async () => {
+  const results = await searchKnowledge('how much urea should I apply with the first irrigation?');
+  assert.equal(results[0].section, 'Fertilizer');
+  assert.ok(results.every((r) => r.score >= 1.5));
+  assert.deepEqual(await searchKnowledge('locust swarm near the border today'), []);
+});
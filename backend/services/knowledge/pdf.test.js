@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PdfTooLargeError, extractPdfText } = require('./pdf');
+
+// A minimal PDF with one FlateDecode stream per entry of `contents`
+function pdf(contents) {
+  const parts = [Buffer.from('%PDF-1.4\n', 'latin1')];
+  contents.forEach((content, i) => {
+    const data = zlib.deflateSync(Buffer.isBuffer(content) ? content : Buffer.from(content, 'latin1'));
+    parts.push(
+      Buffer.from(`${i + 1} 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream\nendobj\n', 'latin1')
+    );
+  });
+  parts.push(Buffer.from('%%EOF\n', 'latin1'));
+  return Buffer.concat(parts);
+}
+
+test('extractPdfText reads the text operators of inflated content streams', () => {
+  const text = extractPdfText(pdf([
+    'BT /F1 12 Tf 72 720 Td (Wheat sowing) Tj 0 -14 Td [(Sow by 15) -300 (November.)] TJ ET',
+    'BT (Second page) Tj ET'
+  ]));
+  assert.deepEqual(text.split(/\n+/), ['Wheat sowing', 'Sow by 15 November.', 'Second page']);
+  assert.throws(() => extractPdfText(Buffer.from('not a pdf')), /Not a PDF file/);
+});
+
+test('extractPdfText refuses a stream that inflates past the per-stream limit', () => {
+  const bomb = pdf([Buffer.alloc(9 * 1024 * 1024, 0x20)]);
+  assert.ok(bomb.length < 64 * 1024);
+  assert.throws(() => extractPdfText(bomb), (err) => err instanceof PdfTooLargeError && /content stream inflates/.test(err.message));
+});
+
+test('extractPdfText refuses streams that together inflate past the file limit', () => {
+  const chunk = Buffer.alloc(7 * 1024 * 1024, 0x20);
+  assert.throws(() => extractPdfText(pdf([chunk, chunk, chunk, chunk, chunk])), (err) => err instanceof PdfTooLargeError && /the PDF's content/.test(err.message));
+  // under both limits the same streams are read normally
+  assert.equal(extractPdfText(pdf([chunk, 'BT (Still read) Tj ET'])), 'Still read');
+});
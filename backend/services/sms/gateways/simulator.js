@@ -0,0 +1,22 @@
+// Local SMS gateway: writes each message as a JSON file to SMS_SIMULATOR_DIR (default data/sms-outbox)
+// so notifications can be tested without a telco account.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath } = require('../../jsonStore');
+
+const OUTBOX_DIR = process.env.SMS_SIMULATOR_DIR ? path.resolve(process.env.SMS_SIMULATOR_DIR) : dataPath('sms-outbox');
+
+module.exports = {
+  name: 'simulator',
+  outboxDir: OUTBOX_DIR,
+  async send({ to, text }) {
+    const id = crypto.randomUUID();
+    const sentAt = new Date().toISOString();
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    const file = path.join(OUTBOX_DIR, `${sentAt.replace(/[:.]/g, '-')}-${id.slice(0, 8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ id, to, text, length: text.length, sentAt }, null, 2));
+    console.log(`[sms:simulator] ${to} (${text.length} chars): ${text}`);
+    return { id, status: 'delivered' };
+  }
+};
@@ -0,0 +1,169 @@
+// Renders alerts and advisories as single-segment SMS: at most 160 characters from the GSM-7 basic
+// alphabet, which every handset (including feature phones) displays. Urdu is sent transliterated
+// to Roman script — Urdu letters would force UCS-2 encoding and cut a segment to 70 characters.
+const SMS_MAX_LENGTH = 160;
+const SMS_LANGS = ['en', 'ur'];
+
+const GSM7_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// Common characters outside the basic alphabet (the GSM extension table costs 2 characters each)
+const REPLACEMENTS = {
+  '°': '', '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-', '…': '...', '•': '-',
+  '[': '(', ']': ')', '{': '(', '}': ')', '~': '-', '|': '/', '\\': '/', '^': '', '€': 'EUR', '\t': ' '
+};
+
+// Letter-by-letter Urdu -> Roman transliteration. Short vowels are rarely written in Urdu, so the
+// result is approximate ("khtrh" style words stay readable to Urdu speakers); common words used by
+// the message templates below are already written in Roman Urdu.
+const URDU_LETTERS = {
+  'آ': 'aa', 'ا': 'a', 'ب': 'b', 'پ': 'p', 'ت': 't', 'ٹ': 't', 'ث': 's', 'ج': 'j', 'چ': 'ch',
+  'ح': 'h', 'خ': 'kh', 'د': 'd', 'ڈ': 'd', 'ذ': 'z', 'ر': 'r', 'ڑ': 'r', 'ز': 'z', 'ژ': 'zh',
+  'س': 's', 'ش': 'sh', 'ص': 's', 'ض': 'z', 'ط': 't', 'ظ': 'z', 'ع': '', 'غ': 'gh', 'ف': 'f',
+  'ق': 'q', 'ک': 'k', 'ك': 'k', 'گ': 'g', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ں': 'n', 'و': 'o',
+  'ہ': 'h', 'ۂ': 'h', 'ه': 'h', 'ھ': 'h', 'ة': 'h', 'ء': '', 'ئ': '', 'ی': 'i', 'ي': 'i', 'ے': 'e', 'ۓ': 'e',
+  'َ': 'a', 'ِ': 'i', 'ُ': 'u', 'ً': 'an', 'ٰ': 'a', 'ّ': '', 'ْ': '',
+  '،': ',', '۔': '.', '؟': '?', '؛': ';', '٪': '%'
+};
+const URDU_RE = /[؀-ۿ]/;
+
+function transliterateUrdu(text) {
+  const chars = Array.from(String(text || ''));
+  return chars.map((ch, i) => {
+    if (ch >= '۰' && ch <= '۹') return String(ch.charCodeAt(0) - 0x06F0);
+    if (ch >= '٠' && ch <= '٩') return String(ch.charCodeAt(0) - 0x0660);
+    if (!URDU_RE.test(ch)) return ch;
+    const wordStart = i === 0 || !URDU_RE.test(chars[i - 1]);
+    // و and ی are consonants at the start of a word (w, y) and vowels elsewhere
+    if (wordStart && ch === 'و') return 'w';
+    if (wordStart && (ch === 'ی' || ch === 'ي')) return 'y';
+    return URDU_LETTERS[ch] ?? '';
+  }).join('');
+}
+
+/**
+ * Converts text to the GSM-7 basic alphabet: transliterates Urdu, swaps common symbols, strips
+ * accents that have no GSM equivalent and drops anything else. Whitespace is collapsed.
+ */
+function toGsm7(text) {
+  const transliterated = transliterateUrdu(text);
+  let out = '';
+  for (const ch of transliterated) {
+    if (GSM7_BASIC.has(ch)) {
+      out += ch;
+    } else if (REPLACEMENTS[ch] !== undefined) {
+      out += REPLACEMENTS[ch];
+    } else {
+      const base = ch.normalize('NFKD').replace(/[̀-ͯ]/g, '');
+      if ([...base].every((c) => GSM7_BASIC.has(c))) out += base;
+    }
+  }
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text, limit) {
+  if (text.length <= limit) return text;
+  let cut = text.slice(0, limit - 2);
+  const space = cut.lastIndexOf(' ');
+  if (space > limit * 0.6) cut = cut.slice(0, space);
+  return `${cut.replace(/[\s,;:.-]+$/, '')}..`;
+}
+
+/**
+ * Joins message parts (most important first) into one SMS of at most `limit` characters.
+ * Parts that fit are kept whole; the first one that does not is shortened at a word boundary.
+ */
+function fitSms(parts, limit = SMS_MAX_LENGTH) {
+  let text = '';
+  for (const part of parts.map(toGsm7).filter(Boolean)) {
+    const next = text ? `${text} ${part}` : part;
+    if (next.length <= limit) {
+      text = next;
+    } else {
+      text = truncate(next, limit);
+      break;
+    }
+  }
+  return text;
+}
+
+const CROP_NAMES_UR = { wheat: 'gandum', rice: 'chawal', cotton: 'kapas', sugarcane: 'ganna', maize: 'makai' };
+const RISK_UR = { Low: 'kam', Moderate: 'darmiyana', High: 'zyada' };
+
+function cropName(crop, lang) {
+  return lang === 'ur' ? (CROP_NAMES_UR[crop] || crop) : crop;
+}
+
+// '2026-10-20' -> '20/10'
+function shortDate(date) {
+  const [, month, day] = String(date || '').split('-');
+  return day && month ? `${Number(day)}/${Number(month)}` : String(date || '');
+}
+
+function deg(n) {
+  return `${Math.round(n)}C`;
+}
+
+const ALERT_TEXT = {
+  en: {
+    severity: { warning: 'WARNING', severe: 'SEVERE' },
+    frost: (a) => [`FROST ${a.place} ${a.day}: low ${deg(a.value)}.`, `Irrigate lightly in the evening, cover ${a.crop} nurseries.`],
+    heat: (a) => [`HEAT ${a.place} ${a.day}: high ${deg(a.value)}, ${a.crop} limit ${deg(a.limit)}.`, 'Irrigate early morning, no spraying at midday.'],
+    heavyRain: (a) => [`HEAVY RAIN ${a.place} ${a.day}: ${Math.round(a.value)}mm expected.`, 'Clear field drains, delay irrigation and spraying.']
+  },
+  ur: {
+    severity: { warning: 'KHABARDAR', severe: 'SAKHT KHATRA' },
+    frost: (a) => [`${a.place} ${a.day} ko pala, kam darja ${deg(a.value)}.`, `Shaam ko halka pani lagayen, ${a.crop} ki nursery dhanpen.`],
+    heat: (a) => [`${a.place} ${a.day} ko shadeed garmi ${deg(a.value)}, ${a.crop} ki had ${deg(a.limit)}.`, 'Subah sawere pani lagayen, dopehar ko spray na karen.'],
+    heavyRain: (a) => [`${a.place} ${a.day} ko tez barish ${Math.round(a.value)}mm.`, 'Khet ki naliyan saaf karen, pani aur spray rok den.']
+  }
+};
+
+/**
+ * Renders an alert from services/alerts/rules.js as one SMS in `lang` ('en' or 'ur' for Roman Urdu).
+ */
+function renderAlertSms(alert, lang = 'en') {
+  const text = ALERT_TEXT[lang] || ALERT_TEXT.en;
+  const [summary, action] = text[alert.type]({
+    place: alert.location?.name || '',
+    day: shortDate(alert.date),
+    crop: cropName(alert.crop, lang),
+    value: alert.value,
+    limit: alert.limit
+  });
+  return fitSms([`${text.severity[alert.severity] || text.severity.warning}:`, summary, action]);
+}
+
+/**
+ * Renders a crop advisory ({ riskLevel, weatherSummary, threats, recommendations }, see schemas/advisory.js)
+ * as one SMS: risk level first, then as many recommendations as fit. Urdu-script advice is transliterated.
+ */
+function renderAdvisorySms(advisory, { crop, place, lang = 'en' } = {}) {
+  const where = [cropName(String(crop || '').toLowerCase(), lang), place].filter(Boolean).join(' ');
+  const header = lang === 'ur'
+    ? `Farmer Aid ${where}: khatra ${RISK_UR[advisory.riskLevel] || advisory.riskLevel}.`
+    : `Farmer Aid ${where}: ${advisory.riskLevel} risk.`;
+  return fitSms([header, ...(advisory.recommendations || []).map((r) => `${String(r).replace(/[.\s۔…]+$/, '')}.`)]);
+}
+
+const VERIFICATION_TEXT = {
+  en: (code) => [`Farmer Aid code ${code}.`, 'Enter it to confirm weather alerts by SMS.', 'If you did not ask for alerts, ignore this message.'],
+  ur: (code) => [`Farmer Aid code ${code}.`, 'SMS par mausam ke alerts ki tasdeeq ke liye yeh code darj karen.', 'Agar aap ne alerts nahi mangay to yeh paigham nazar andaz karen.']
+};
+
+/** Renders the code that confirms a phone number for SMS alerts (see alerts/subscriptions.js); the code comes first. */
+function renderVerificationSms(code, lang = 'en') {
+  return fitSms((VERIFICATION_TEXT[lang] || VERIFICATION_TEXT.en)(code));
+}
+
+module.exports = {
+  SMS_MAX_LENGTH,
+  SMS_LANGS,
+  transliterateUrdu,
+  toGsm7,
+  fitSms,
+  renderAlertSms,
+  renderAdvisorySms,
+  renderVerificationSms
+};
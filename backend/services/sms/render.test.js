@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SMS_MAX_LENGTH, transliterateUrdu, toGsm7, fitSms, renderAlertSms, renderAdvisorySms, renderVerificationSms
+} = require('./render');
+
+test('toGsm7 swaps symbols outside the GSM-7 basic alphabet', () => {
+  assert.equal(toGsm7('“Hot” 40°C — ‘now’ […]'), '"Hot" 40C - \'now\' (...)');
+  assert.equal(toGsm7('  two\t\tspaces  '), 'two spaces');
+});
+
+test('transliterateUrdu writes Urdu in Roman letters and digits as ASCII', () => {
+  assert.equal(transliterateUrdu('پانی لگائیں'), 'pani lgain');
+  assert.equal(transliterateUrdu('ملتان ۲۵'), 'mltan 25');
+  // و and ی start a word as consonants
+  assert.equal(transliterateUrdu('وقت'), 'wqt');
+  assert.equal(transliterateUrdu('یوریا'), 'yoria');
+  assert.equal(toGsm7('ملتان میں بارش'), 'mltan min barsh');
+});
+
+test('fitSms keeps a message of exactly 160 characters whole', () => {
+  const text = 'a'.repeat(SMS_MAX_LENGTH);
+  assert.equal(fitSms([text]), text);
+  const parts = ['b'.repeat(79), 'c'.repeat(80)]; // 79 + space + 80
+  assert.equal(fitSms(parts), parts.join(' '));
+});
+
+test('fitSms shortens at a word boundary once the 160th character is passed', () => {
+  const text = fitSms(['x'.repeat(100), 'word '.repeat(20)]);
+  assert.ok(text.length <= SMS_MAX_LENGTH);
+  assert.match(text, /^x{100} (word )+word\.\.$/);
+  assert.equal(fitSms(['a'.repeat(SMS_MAX_LENGTH + 1)]).length, SMS_MAX_LENGTH);
+});
+
+test('fitSms drops parts that come after the one that was shortened', () => {
+  const text = fitSms(['first part.', 'y'.repeat(200), 'never sent']);
+  assert.ok(text.startsWith('first part. y'));
+  assert.ok(!text.includes('never'));
+});
+
+test('renderAlertSms puts the severity first and fits one segment in both languages', () => {
+  const alert = {
+    type: 'heat', severity: 'severe', date: '2026-06-02', value: 46.4, limit: 40, crop: 'cotton',
+    location: { name: 'Dera Ghazi Khan district, southern Punjab near the Sulaiman range' }
+  };
+  const en = renderAlertSms(alert, 'en');
+  assert.ok(en.startsWith('SEVERE: HEAT Dera Ghazi Khan'));
+  assert.ok(en.length <= SMS_MAX_LENGTH);
+  const ur = renderAlertSms({ ...alert, location: { name: 'ڈیرہ غازی خان' } }, 'ur');
+  assert.ok(ur.startsWith('SAKHT KHATRA: dirh ghazi khan 2/6 ko shadeed garmi 46C, kapas ki had 40C.'));
+  assert.ok(ur.length <= SMS_MAX_LENGTH);
+});
+
+test('renderAdvisorySms transliterates Urdu advice', () => {
+  const text = renderAdvisorySms({ riskLevel: 'High', recommendations: ['آج پانی لگائیں۔'] }, { crop: 'Wheat', place: 'Multan', lang: 'ur' });
+  assert.equal(text, 'Farmer Aid gandum Multan: khatra zyada. aaj pani lgain.');
+});
+
+test('renderVerificationSms starts with the code', () => {
+  ['en', 'ur'].forEach((lang) => {
+    const text = renderVerificationSms('482913', lang);
+    assert.ok(text.startsWith('Farmer Aid code 482913.'));
+    assert.ok(text.length <= SMS_MAX_LENGTH);
+  });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, parseReply, extractJson } = require('./structured');
+const { getSchema } = require('../schemas');
+
+const schema = {
+  type: 'OBJECT',
+  properties: {
+    name: { type: 'STRING', minLength: 1 },
+    note: { type: 'STRING', nullable: true },
+    tags: { type: 'ARRAY', items: { type: 'STRING' }, maxItems: 2 }
+  },
+  required: ['name', 'note']
+};
+
+test('validate accepts null for a required nullable key', () => {
+  assert.deepEqual(validate({ name: 'wheat', note: null }, schema), []);
+  assert.deepEqual(validate({ name: 'wheat', note: 'sown late', tags: ['rabi'] }, schema), []);
+});
+
+test('validate reports missing required keys, and null where the schema is not nullable', () => {
+  assert.deepEqual(validate({ note: null }, schema), ['$.name is required']);
+  assert.deepEqual(validate({ name: 'wheat' }, schema), ['$.note is required']);
+  assert.deepEqual(validate({ name: null, note: null }, schema), ['$.name must not be null']);
+  assert.deepEqual(validate({ name: 'wheat', note: null, tags: null }, schema), ['$.tags must not be null']);
+  assert.deepEqual(validate(null, schema), ['$ must not be null']);
+});
+
+test('validate checks types, enums, lengths and array items', () => {
+  assert.deepEqual(validate({ name: ' ', note: 3, tags: ['a', 2, 'c'] }, schema), [
+    '$.name must not be empty',
+    '$.note must be a string',
+    '$.tags must have at most 2 item(s)',
+    '$.tags[1] must be a string'
+  ]);
+  assert.deepEqual(validate('High', { type: 'STRING', enum: ['Low', 'High'] }), []);
+  assert.deepEqual(validate('high', { type: 'STRING', enum: ['Low', 'High'] }), ['$ must be one of Low, High']);
+});
+
+test('parseReply unwraps fenced JSON and normalizes before validating', () => {
+  const reply = '```json\n{"riskLevel":"HIGH","weatherSummary":"Hot","threats":[],"recommendations":["Irrigate"]}\n```';
+  const { data, issues } = parseReply(reply, getSchema('advisory'));
+  assert.deepEqual(issues, []);
+  assert.equal(data.riskLevel, 'High');
+  assert.deepEqual(parseReply('no json here', getSchema('advisory')).issues, ['reply is not valid JSON']);
+  assert.deepEqual(extractJson('Sure! {"a": 1} Hope that helps.'), { a: 1 });
+});
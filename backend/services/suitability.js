@@ -0,0 +1,131 @@
+// Rule-based crop suitability check over the next five forecast days (same rules as the weather page).
+// With a sowing date the check also knows the crop's growth stage and flags stage-critical heat/frost.
+// Reasons and stage names come back in the requested language; `status` is always the English enum.
+const {
+  CROPS,
+  getEffectiveThresholds,
+  estimatePhenology,
+  checkStageWeather,
+  translate,
+  cropName,
+  localizePhenology,
+  describeStageRisk
+} = require('@farmer-aid/agronomy');
+
+const EVALUATION_DAYS = 5;
+
+/**
+ * Averages/totals over the first five forecast days of a normalized forecast:
+ * { avgMaxTemp, avgMinTemp, totalRain5d, avgSoilTemp } (avgSoilTemp is null without hourly soil data).
+ */
+function computeMetrics(forecast) {
+  const daily = forecast.daily || {};
+  const hourly = forecast.hourly || {};
+  const days = Math.min(EVALUATION_DAYS, (daily.time || []).length);
+  if (days === 0) throw new Error('Insufficient forecast data for suitability evaluation.');
+
+  const maxArr = daily.temperatureMax || [];
+  const minArr = daily.temperatureMin || [];
+  const rainArr = daily.precipitation || daily.rain || [];
+
+  let avgMax = 0, avgMin = 0, totalRain = 0;
+  for (let i = 0; i < days; i++) {
+    avgMax += (maxArr[i] || 0);
+    avgMin += (minArr[i] || 0);
+    totalRain += (rainArr[i] || 0);
+  }
+
+  let avgSoilTemp = null;
+  const soil = hourly.soilTemperature || [];
+  if (soil.length >= days * 24) {
+    let sum = 0, count = 0;
+    for (let i = 0; i < days * 24; i++) {
+      if (typeof soil[i] === 'number') { sum += soil[i]; count++; }
+    }
+    if (count > 0) avgSoilTemp = sum / count;
+  }
+
+  return { days, metrics: { avgMaxTemp: avgMax / days, avgMinTemp: avgMin / days, totalRain5d: totalRain, avgSoilTemp } };
+}
+
+// Slice of the daily block covering the evaluation window
+function evaluationDaily(daily, days) {
+  const out = {};
+  Object.keys(daily).forEach((k) => { out[k] = Array.isArray(daily[k]) ? daily[k].slice(0, days) : daily[k]; });
+  return out;
+}
+
+// Compact phenology summary for API responses
+function summarizePhenology(phenology) {
+  if (!phenology) return null;
+  const { sowingDate, today, sown, daysAfterSowing, gdd, estimatedDays, progress, stage, nextStage, tasks } = phenology;
+  return {
+    sowingDate, today, sown, daysAfterSowing, gdd, estimatedDays, progress,
+    stage: stage && { key: stage.key, name: stage.name, care: stage.care },
+    nextStage: nextStage && {
+      key: nextStage.key, name: nextStage.name, care: nextStage.care,
+      daysUntil: nextStage.daysUntil, expectedDate: nextStage.expectedDate
+    },
+    tasks
+  };
+}
+
+/**
+ * Problem with `crop` for a check without a user override, or null: only crops with built-in
+ * thresholds (CROPS) can be judged, so anything else is refused rather than passed by a generic rule.
+ */
+function cropIssue(crop) {
+  if (CROPS.includes(String(crop || '').toLowerCase())) return null;
+  return `crop "${String(crop || '').slice(0, 40)}" is not one of the known crops: ${CROPS.join(', ')}`;
+}
+
+// One reason -> Marginal, two or more -> Unsuitable
+function classify(reasons) {
+  if (reasons.length === 0) return 'Suitable';
+  return reasons.length === 1 ? 'Marginal' : 'Unsuitable';
+}
+
+/**
+ * Evaluates `crop` against a normalized forecast.
+ * Returns { status, reasons, metrics, thresholds, thresholdSource, phenology }; thresholdSource is
+ * 'user' | 'district' | 'zone' | 'crop'. Returns null for a crop without thresholds (see cropIssue)
+ * unless `override` is given. `phenology` is null unless `sowingDate` (YYYY-MM-DD) is given for a
+ * crop with a phenology model. `lang` ('en' | 'ur') picks the language of the reasons and of the
+ * stage names and care notes.
+ */
+function evaluateCropSuitability(forecast, crop, { zone, district, override, sowingDate, lang = 'en' } = {}) {
+  const effective = getEffectiveThresholds(crop, { zone, district, override });
+  if (!effective) return null;
+  const { days, metrics } = computeMetrics(forecast);
+  const { avgMaxTemp: avgMax, avgMinTemp: avgMin, avgSoilTemp, totalRain5d } = metrics;
+  const reasons = [];
+  const reason = (key, params) => reasons.push(translate(lang, `suitability.reason.${key}`, { crop: cropName(crop, lang), ...params }));
+
+  const estimated = sowingDate ? estimatePhenology(crop, sowingDate, { daily: forecast.daily }) : null;
+  const phenology = localizePhenology(estimated, lang);
+  // Soil temperature only matters until the crop is established
+  const establishing = !phenology || !phenology.sown || phenology.stage.key === phenology.stages[0].key;
+  const stageRisks = phenology ? checkStageWeather(phenology, evaluationDaily(forecast.daily, days)) : [];
+
+  const thr = effective.thresholds;
+  if (avgMax > thr.idealMax[1]) reason('dayAbove', { value: avgMax.toFixed(1) });
+  if (avgMax < thr.idealMax[0]) reason('dayBelow', { value: avgMax.toFixed(1) });
+  if (avgMin > thr.idealMin[1]) reason('nightAbove', { value: avgMin.toFixed(1) });
+  if (avgMin < thr.idealMin[0]) reason('nightBelow', { value: avgMin.toFixed(1) });
+
+  if (establishing && thr.minSoilTemp && avgSoilTemp !== null && avgSoilTemp < thr.minSoilTemp) {
+    reason('soilCold', { value: avgSoilTemp.toFixed(1), limit: thr.minSoilTemp });
+  }
+  if (thr.minTotalRain5d && totalRain5d < thr.minTotalRain5d) {
+    reason('lowRain', { value: totalRain5d.toFixed(1), days });
+  }
+
+  stageRisks.forEach((risk) => reasons.push(describeStageRisk(risk, lang)));
+
+  return {
+    status: classify(reasons), reasons, metrics, thresholds: thr, thresholdSource: effective.source,
+    phenology: summarizePhenology(phenology)
+  };
+}
+
+module.exports = { computeMetrics, cropIssue, evaluateCropSuitability };
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cropIssue, evaluateCropSuitability } = require('./suitability');
+
+// Five mild, dry days: inside every generic limit, so an unchecked crop would come back Suitable
+const forecast = {
+  daily: {
+    time: ['2025-11-20', '2025-11-21', '2025-11-22', '2025-11-23', '2025-11-24'],
+    temperatureMax: [22, 23, 22, 24, 23],
+    temperatureMin: [9, 10, 9, 10, 9],
+    precipitation: [0, 0, 0, 0, 0]
+  },
+  hourly: {}
+};
+
+test('cropIssue lists the known crops for anything without thresholds', () => {
+  assert.equal(cropIssue('wheat'), null);
+  assert.equal(cropIssue('Cotton'), null);
+  assert.equal(cropIssue('mango'), 'crop "mango" is not one of the known crops: wheat, rice, cotton, sugarcane, maize');
+  assert.match(cropIssue(undefined), /is not one of the known crops/);
+});
+
+test('evaluateCropSuitability returns null for an unknown crop instead of a verdict', () => {
+  assert.equal(evaluateCropSuitability(forecast, 'mango', { zone: 'Punjab' }), null);
+});
+
+test('evaluateCropSuitability judges a known crop, or any crop with an override', () => {
+  const wheat = evaluateCropSuitability(forecast, 'wheat', { zone: 'Punjab', district: 'Multan' });
+  assert.equal(wheat.status, 'Suitable');
+  assert.deepEqual(wheat.reasons, []);
+  assert.equal(wheat.metrics.totalRain5d, 0);
+
+  const override = { idealMax: [25, 30], idealMin: [12, 18], minSoilTemp: 0, minTotalRain5d: 5 };
+  const mango = evaluateCropSuitability(forecast, 'mango', { override });
+  assert.equal(mango.thresholdSource, 'user');
+  assert.equal(mango.status, 'Unsuitable');
+  assert.equal(mango.reasons.length, 3);
+});
@@ -0,0 +1,136 @@
+// Threshold profiles extension officers publish for a tehsil: a calibrated set of crop thresholds
+// (the document @farmer-aid/agronomy's parseThresholdProfile reads) that farmers subscribe to from the
+// threshold editor. Stored as JSON in DATA_DIR (see jsonStore.js). There are no accounts: a profile can
+// be revised or withdrawn only from the browser (X-User-Id) that published it.
+const crypto = require('crypto');
+const {
+  THRESHOLD_PROFILE_FORMAT, THRESHOLD_PROFILE_VERSION, parseThresholdProfile, resolveDistrict
+} = require('@farmer-aid/agronomy');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore('threshold-profiles.json', []);
+
+const MAX_PROFILES = 2000;
+const MAX_PER_PUBLISHER = 50;
+const MAX_TEHSIL = 80;
+
+/** A change the store refuses: `status` is 403 (someone else's profile) or 409 (publisher or store limit reached). */
+class ProfileError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ProfileError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validates a profile to publish: a threshold profile document (any version; see parseThresholdProfile)
+ * that names a `district` and `tehsil`. Returns { profile, issues }; the district is canonicalized.
+ */
+function validateThresholdProfile(body = {}) {
+  const { profile, issues } = parseThresholdProfile(body);
+  const resolved = body.district ? resolveDistrict(String(body.district)) : null;
+  if (!body.district) issues.push('district is required');
+  else if (!resolved) issues.push(`district "${String(body.district).slice(0, 80)}" is not a known district`);
+  const tehsil = typeof body.tehsil === 'string' ? body.tehsil.replace(/\s+/g, ' ').trim().slice(0, MAX_TEHSIL) : '';
+  if (!tehsil) issues.push('tehsil is required');
+  if (issues.length) return { profile: null, issues };
+
+  return {
+    issues,
+    profile: {
+      name: profile.name || `${tehsil} (${resolved.district})`,
+      district: resolved.district,
+      province: resolved.province,
+      tehsil,
+      publisher: profile.publisher,
+      notes: profile.notes,
+      thresholds: profile.thresholds
+    }
+  };
+}
+
+// Profile as served: the importable document plus its id and revision, without the publisher's id
+function publicProfile({ publisherId, ...profile }) {
+  return {
+    format: THRESHOLD_PROFILE_FORMAT,
+    version: THRESHOLD_PROFILE_VERSION,
+    ...profile
+  };
+}
+
+// List entry: everything but the thresholds
+function describeProfile(profile) {
+  const { thresholds, publisherId, ...rest } = profile;
+  return { ...rest, crops: [...new Set(Object.keys(thresholds).map((key) => key.split('::')[1]))] };
+}
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Published profiles, newest first, optionally for one `district` (any spelling resolveDistrict knows)
+ * and `tehsil`. With `userId`, each entry says whether that browser published it (`mine`).
+ */
+async function listThresholdProfiles({ district, tehsil, userId } = {}) {
+  const canonical = district ? (resolveDistrict(String(district)) || {}).district || String(district) : null;
+  return (await store.read())
+    .filter((p) => (!canonical || sameText(p.district, canonical)) && (!tehsil || sameText(p.tehsil, tehsil)))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map((p) => ({ ...describeProfile(p), mine: !!userId && p.publisherId === userId }));
+}
+
+async function getThresholdProfile(id) {
+  const profile = (await store.read()).find((p) => p.id === id);
+  return profile ? publicProfile(profile) : null;
+}
+
+async function publishThresholdProfile(userId, fields) {
+  const now = new Date().toISOString();
+  const profile = { id: crypto.randomUUID(), publisherId: userId, ...fields, revision: 1, createdAt: now, updatedAt: now };
+  await store.update((all) => {
+    if (all.filter((p) => p.publisherId === userId).length >= MAX_PER_PUBLISHER) {
+      throw new ProfileError(`A publisher can have at most ${MAX_PER_PUBLISHER} profiles; withdraw an old one first`, 409);
+    }
+    if (all.length >= MAX_PROFILES) {
+      throw new ProfileError(`The server holds at most ${MAX_PROFILES} profiles; no new ones can be published until some are withdrawn`, 409);
+    }
+    return [...all, profile];
+  });
+  return publicProfile(profile);
+}
+
+// Replaces a profile's thresholds and details and bumps its revision (subscribers pick it up on their
+// next check); resolves to the profile, or null when it does not exist
+async function updateThresholdProfile(userId, id, fields) {
+  let updated = null;
+  await store.update((all) => all.map((p) => {
+    if (p.id !== id) return p;
+    if (p.publisherId !== userId) throw new ProfileError('Only the browser that published this profile can revise it', 403);
+    updated = { ...p, ...fields, revision: p.revision + 1, updatedAt: new Date().toISOString() };
+    return updated;
+  }));
+  return updated && publicProfile(updated);
+}
+
+// Resolves to true when the profile was withdrawn
+async function deleteThresholdProfile(userId, id) {
+  let removed = false;
+  await store.update((all) => {
+    const profile = all.find((p) => p.id === id);
+    if (!profile) return all;
+    if (profile.publisherId !== userId) throw new ProfileError('Only the browser that published this profile can withdraw it', 403);
+    removed = true;
+    return all.filter((p) => p.id !== id);
+  });
+  return removed;
+}
+
+module.exports = {
+  ProfileError,
+  validateThresholdProfile,
+  listThresholdProfiles,
+  getThresholdProfile,
+  publishThresholdProfile,
+  updateThresholdProfile,
+  deleteThresholdProfile
+};
@@ -0,0 +1,39 @@
+// Speech-to-text for the assistant's push-to-talk button: sends the recording to the model as an
+// inline audio part and asks for a plain transcript.
+const { generateText } = require('./gemini');
+const { LANGUAGES, normalizeLanguage } = require('@farmer-aid/agronomy');
+
+const TRANSCRIPTION_PROMPT = `Transcribe the speech in the attached audio recording. The speaker is a farmer in Pakistan asking an agricultural assistant a question.
+Write exactly what was said, in the language that was spoken: Urdu in Urdu script, English in English, Punjabi, Sindhi or Pashto in their usual script. Do not translate, answer or summarize.
+Return only the transcript as plain text, without quotes, labels, timestamps or speaker names. If there is no intelligible speech, return an empty reply.`;
+
+/**
+ * Builds the Gemini request body for an audio buffer. `lang` ('ur') is the UI language, passed on
+ * as a hint for short or unclear recordings; it does not translate the transcript.
+ */
+function buildTranscriptionRequest(buffer, mimeType, { lang } = {}) {
+  const { name } = LANGUAGES[normalizeLanguage(lang)];
+  return {
+    systemInstruction: { parts: [{ text: 'You are a careful speech-to-text transcriber.' }] },
+    contents: [{
+      role: 'user',
+      parts: [
+        { inline_data: { mime_type: mimeType, data: buffer.toString('base64') } },
+        { text: `${TRANSCRIPTION_PROMPT}\nThe app is set to ${name}, so that is the most likely language.` }
+      ]
+    }],
+    generationConfig: { temperature: 0, maxOutputTokens: 1000 }
+  };
+}
+
+/**
+ * Transcribes an uploaded recording ({ buffer, mimetype } as provided by multer) to { text }.
+ * `text` is '' when the model heard no speech. Upstream errors propagate.
+ */
+async function transcribeAudio(file, options = {}) {
+  const body = buildTranscriptionRequest(file.buffer, file.mimetype, options);
+  const text = await generateText(body, { timeout: 45000 });
+  return { text: text.trim().replace(/^["“]|["”]$/g, '').trim() };
+}
+
+module.exports = { buildTranscriptionRequest, transcribeAudio };
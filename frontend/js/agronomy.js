@@ -0,0 +1,3375 @@
+// Generated from packages/agronomy/src by `npm run build`. Do not edit by hand.
+(() => {
+  var __defProp = Object.defineProperty;
+  var __export = (target, all) => {
+    for (var name in all)
+      __defProp(target, name, { get: all[name], enumerable: true });
+  };
+
+  // src/index.js
+  var index_exports = {};
+  __export(index_exports, {
+    ALIASES: () => ALIASES,
+    CHILL_MODELS: () => CHILL_MODELS,
+    CROPS: () => CROPS,
+    CROP_DEFAULTS: () => CROP_DEFAULTS,
+    CROP_WATER: () => CROP_WATER,
+    DEFAULT_LANGUAGE: () => DEFAULT_LANGUAGE,
+    DISEASE_MODELS: () => DISEASE_MODELS,
+    DISEASE_TRANSLATIONS: () => DISEASE_TRANSLATIONS,
+    GDD_BASES: () => GDD_BASES,
+    LANGUAGES: () => LANGUAGES,
+    MESSAGES: () => MESSAGES,
+    MM_PER_INCH: () => MM_PER_INCH,
+    NORMAL_PERIOD: () => NORMAL_PERIOD,
+    NORMAL_WINDOW_DAYS: () => NORMAL_WINDOW_DAYS,
+    PHENOLOGY_MODELS: () => PHENOLOGY_MODELS,
+    PLAINS_CLIMATE: () => PLAINS_CLIMATE,
+    PLAINS_ET0: () => PLAINS_ET0,
+    PROVINCE_DISTRICTS: () => PROVINCE_DISTRICTS,
+    PUNJAB_DISTRICT_THRESHOLDS: () => PUNJAB_DISTRICT_THRESHOLDS,
+    RISK_LEVELS: () => RISK_LEVELS,
+    SOIL_TYPES: () => SOIL_TYPES,
+    STAGE_TRANSLATIONS: () => STAGE_TRANSLATIONS,
+    THRESHOLD_CSV_COLUMNS: () => THRESHOLD_CSV_COLUMNS,
+    THRESHOLD_PROFILE_DETAILS: () => THRESHOLD_PROFILE_DETAILS,
+    THRESHOLD_PROFILE_FORMAT: () => THRESHOLD_PROFILE_FORMAT,
+    THRESHOLD_PROFILE_VERSION: () => THRESHOLD_PROFILE_VERSION,
+    WET_RH: () => WET_RH,
+    ZONES: () => ZONES,
+    ZONE_DEFAULTS: () => ZONE_DEFAULTS,
+    accumulateThermalTime: () => accumulateThermalTime,
+    aiLanguageInstruction: () => aiLanguageInstruction,
+    assessDiseaseRisk: () => assessDiseaseRisk,
+    checkStageWeather: () => checkStageWeather,
+    createThresholdProfile: () => createThresholdProfile,
+    cropName: () => cropName,
+    cropThermalTargets: () => cropThermalTargets,
+    dailyGdd: () => dailyGdd,
+    dailyNormals: () => dailyNormals,
+    describeAge: () => describeAge,
+    describeStageRisk: () => describeStageRisk,
+    describeTemperatureAnomaly: () => describeTemperatureAnomaly,
+    describeWeatherCode: () => describeWeatherCode,
+    detectZoneFromCoords: () => detectZoneFromCoords,
+    detectZoneFromName: () => detectZoneFromName,
+    diseaseModelsFor: () => diseaseModelsFor,
+    effectiveRain: () => effectiveRain,
+    estimatePhenology: () => estimatePhenology,
+    findSpells: () => findSpells,
+    forecastAnomalies: () => forecastAnomalies,
+    getCropThresholds: () => getCropThresholds,
+    getCropWater: () => getCropWater,
+    getDistrictFromName: () => getDistrictFromName,
+    getEffectiveThresholds: () => getEffectiveThresholds,
+    getGddBase: () => getGddBase,
+    getPhenologyModel: () => getPhenologyModel,
+    getPunjabDistrictThreshold: () => getPunjabDistrictThreshold,
+    getZoneFromDistrictMap: () => getZoneFromDistrictMap,
+    hourlyChill: () => hourlyChill,
+    hourlyGdd: () => hourlyGdd,
+    isSupportedLanguage: () => isSupportedLanguage,
+    languageLocale: () => languageLocale,
+    localizeDiseaseRisk: () => localizeDiseaseRisk,
+    localizePhenology: () => localizePhenology,
+    normalizeLanguage: () => normalizeLanguage,
+    normalizeName: () => normalizeName,
+    normalsFor: () => normalsFor,
+    parseThresholdProfile: () => parseThresholdProfile,
+    projectThermalTargets: () => projectThermalTargets,
+    provinceOf: () => provinceOf,
+    resolveDistrict: () => resolveDistrict,
+    riskLevel: () => riskLevel,
+    scheduleIrrigation: () => scheduleIrrigation,
+    stageOn: () => stageOn,
+    summarizeHours: () => summarizeHours,
+    textDirection: () => textDirection,
+    thresholdKey: () => thresholdKey,
+    thresholdProfileToCsv: () => thresholdProfileToCsv,
+    toAcreInches: () => toAcreInches,
+    toHours: () => toHours,
+    translate: () => translate,
+    typicalThermalDay: () => typicalThermalDay,
+    validateThresholds: () => validateThresholds
+  });
+
+  // src/text.js
+  function normalizeName(name) {
+    return String(name || "").toLowerCase().replace(/[\.\-,'/]/g, " ").replace(/\s+/g, " ").trim();
+  }
+
+  // src/districts.js
+  var PROVINCE_DISTRICTS = {
+    "Punjab": [
+      "Attock",
+      "Bahawalnagar",
+      "Bahawalpur",
+      "Barki",
+      "Bhakkar",
+      "Chakwal",
+      "Chiniot",
+      "Dera Ghazi Khan",
+      "Faisalabad",
+      "Gujranwala",
+      "Gujrat",
+      "Hafizabad",
+      "Jhang",
+      "Jhelum",
+      "Khanewal",
+      "Kasur",
+      "Khushab",
+      "Lahore",
+      "Layyah",
+      "Lodhran",
+      "Mandi Bahauddin",
+      "Mianwali",
+      "Multan",
+      "Muzaffargarh",
+      "Nankana Sahib",
+      "Narowal",
+      "Okara",
+      "Pakpattan",
+      "Rahim Yar Khan",
+      "Rajanpur",
+      "Rawalpindi",
+      "Sahiwal",
+      "Sargodha",
+      "Sheikhupura",
+      "Sialkot",
+      "Toba Tek Singh",
+      "Vehari",
+      "Kot Addu",
+      "Taunsa",
+      "Liaqatpur"
+    ],
+    "Sindh": [
+      "Badin",
+      "Dadu",
+      "Ghotki",
+      "Hyderabad",
+      "Jacobabad",
+      "Jamshoro",
+      "Kamber Shahdadkot",
+      "Karachi",
+      "Kashmore",
+      "Khairpur",
+      "Larkana",
+      "Mirpur Khas",
+      "Naushahro Feroze",
+      "Qambar Shahdadkot",
+      "Sanghar",
+      "Shaheed Benazirabad",
+      "Shikarpur",
+      "Sukkur",
+      "Thatta",
+      "Tharparkar",
+      "Tando Allahyar",
+      "Tando Muhammad Khan",
+      "Umerkot",
+      "Keamari",
+      "Malir"
+    ],
+    "Khyber Pakhtunkhwa": [
+      "Abbottabad",
+      "Bannu",
+      "Battagram",
+      "Bajaur",
+      "Charsadda",
+      "Chitral",
+      "Dera Ismail Khan",
+      "Hangu",
+      "Haripur",
+      "Karak",
+      "Kohat",
+      "Lakki Marwat",
+      "Lower Dir",
+      "Lower Kohistan",
+      "Mansehra",
+      "Mardan",
+      "Nowshera",
+      "Peshawar",
+      "Shangla",
+      "Swabi",
+      "Swat",
+      "Tank",
+      "Torghar",
+      "Upper Dir",
+      "Upper Kohistan",
+      "Khyber",
+      "Kurram",
+      "Orakzai",
+      "Mohmand"
+    ],
+    "Balochistan": [
+      "Awaran",
+      "Barkhan",
+      "Chagai",
+      "Dera Bugti",
+      "Gwadar",
+      "Harnai",
+      "Jafarabad",
+      "Jhal Magsi",
+      "Kachhi",
+      "Kalat",
+      "Kech",
+      "Kharan",
+      "Khuzdar",
+      "Killa Saifullah",
+      "Kohlu",
+      "Lasbela",
+      "Loralai",
+      "Mastung",
+      "Nushki",
+      "Panjgur",
+      "Pishin",
+      "Quetta",
+      "Sibi",
+      "Washuk",
+      "Zhob",
+      "Ziarat",
+      "Sohbatpur"
+    ],
+    "Gilgit-Baltistan": [
+      "Gilgit",
+      "Skardu",
+      "Hunza",
+      "Nagar",
+      "Ghizer",
+      "Ghanche",
+      "Astore",
+      "Diamer",
+      "Shigar",
+      "Kharmang"
+    ],
+    "Azad Jammu and Kashmir": [
+      "Muzaffarabad",
+      "Mirpur",
+      "Kotli",
+      "Poonch",
+      "Bhimber",
+      "Bagh",
+      "Neelum",
+      "Hattian Bala",
+      "Sudhanoti",
+      "Haveli"
+    ],
+    "Islamabad": ["Islamabad"]
+  };
+  var ALIASES = {
+    "dg khan": "Dera Ghazi Khan",
+    "kot addu": "Kot Addu",
+    "kot addu city": "Kot Addu",
+    "shaheed benazirabad": "Shaheed Benazirabad",
+    "nawabshah": "Shaheed Benazirabad",
+    "keamari": "Karachi",
+    "karachi east": "Karachi",
+    "karachi west": "Karachi",
+    "karachi south": "Karachi",
+    "karachi central": "Karachi",
+    "multan city": "Multan",
+    "muzaffar garh": "Muzaffargarh",
+    "muzaffargarh": "Muzaffargarh",
+    // Sanawan is a small town near Kot Addu; geocoders sometimes resolve it to India
+    "sanawan": "Kot Addu",
+    "sanawan uttar pradesh": "Kot Addu",
+    "sanawan india": "Kot Addu",
+    "sanawan uttar pradesh india": "Kot Addu"
+  };
+  var DISTRICT_INDEX = {};
+  function provinceOf(district) {
+    return Object.keys(PROVINCE_DISTRICTS).find((p) => PROVINCE_DISTRICTS[p].includes(district)) || null;
+  }
+  Object.keys(PROVINCE_DISTRICTS).forEach((province) => {
+    PROVINCE_DISTRICTS[province].forEach((district) => {
+      DISTRICT_INDEX[normalizeName(district)] = { district, province };
+    });
+  });
+  Object.keys(ALIASES).forEach((alias) => {
+    DISTRICT_INDEX[normalizeName(alias)] = { district: ALIASES[alias], province: provinceOf(ALIASES[alias]) };
+  });
+  function resolveDistrict(name) {
+    if (!name || typeof name !== "string") return null;
+    const norm = normalizeName(name);
+    if (DISTRICT_INDEX[norm]) return DISTRICT_INDEX[norm];
+    for (const token of norm.split(" ")) {
+      if (DISTRICT_INDEX[token]) return DISTRICT_INDEX[token];
+    }
+    const key = Object.keys(DISTRICT_INDEX).find((k) => norm.indexOf(k) !== -1);
+    return key ? DISTRICT_INDEX[key] : null;
+  }
+  function getZoneFromDistrictMap(name) {
+    const resolved = resolveDistrict(name);
+    return resolved ? resolved.province : null;
+  }
+  function getDistrictFromName(name) {
+    const resolved = resolveDistrict(name);
+    return resolved ? resolved.district : null;
+  }
+
+  // src/zones.js
+  var ZONES = ["Punjab", "Sindh", "KPK", "Balochistan", "Gilgit"];
+  var PUNJAB_TOWNS = [
+    "dera ghazi khan",
+    "dg khan",
+    "dgkhan",
+    "muzaffar",
+    "muzaffargar",
+    "ry khan",
+    "rahim yar",
+    "toba",
+    "daska",
+    "kot addu",
+    "sanawan",
+    "sangla hill",
+    "nankana",
+    "chiaot",
+    "chishtian",
+    "shujabad",
+    "jalalpur peerzaman",
+    "dera sahib"
+  ];
+  function detectZoneFromCoords(lat, lon) {
+    if (lat >= 27.5 && lat <= 33.5 && lon >= 69.5 && lon <= 75.5) return "Punjab";
+    if (lat >= 23.5 && lat <= 28 && lon >= 67 && lon <= 71.5) return "Sindh";
+    if (lat >= 31 && lat <= 36.5 && lon >= 69 && lon <= 74.5) return "KPK";
+    if (lat >= 24 && lat <= 30.5 && lon >= 61 && lon <= 70.5) return "Balochistan";
+    if (lat > 35) return "Gilgit";
+    return "Punjab";
+  }
+  function detectZoneFromName(name) {
+    if (!name || typeof name !== "string") return null;
+    const mapped = getZoneFromDistrictMap(name);
+    if (mapped) return mapped;
+    const n = normalizeName(name);
+    if (PUNJAB_TOWNS.some((town) => n.includes(town))) return "Punjab";
+    if (n.includes("punjab")) return "Punjab";
+    if (n.includes("sindh")) return "Sindh";
+    if (n.includes("khyber") || n.includes("kpk") || n.includes("pakhtunkhwa")) return "KPK";
+    if (n.includes("baloch")) return "Balochistan";
+    if (n.includes("gilgit") || n.includes("skardu") || n.includes("hunza")) return "Gilgit";
+    return null;
+  }
+
+  // src/thresholds.js
+  var CROP_DEFAULTS = {
+    wheat: { idealMax: [15, 25], idealMin: [5, 15], minSoilTemp: 5, minTotalRain5d: 0 },
+    rice: { idealMax: [25, 32], idealMin: [20, 26], minSoilTemp: 18, minTotalRain5d: 20 },
+    cotton: { idealMax: [28, 36], idealMin: [18, 26], minSoilTemp: 16, minTotalRain5d: 0 },
+    sugarcane: { idealMax: [25, 34], idealMin: [18, 26], minSoilTemp: 18, minTotalRain5d: 10 },
+    maize: { idealMax: [20, 30], idealMin: [12, 22], minSoilTemp: 12, minTotalRain5d: 5 }
+  };
+  var ZONE_DEFAULTS = {
+    Punjab: {
+      wheat: { idealMax: [12, 24], idealMin: [4, 14], minSoilTemp: 5, minTotalRain5d: 0 },
+      rice: { idealMax: [28, 34], idealMin: [22, 28], minSoilTemp: 20, minTotalRain5d: 25 },
+      cotton: { idealMax: [30, 38], idealMin: [20, 28], minSoilTemp: 18, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [26, 34], idealMin: [20, 28], minSoilTemp: 20, minTotalRain5d: 15 },
+      maize: { idealMax: [22, 32], idealMin: [14, 24], minSoilTemp: 14, minTotalRain5d: 5 }
+    }
+  };
+  var PUNJAB_DISTRICT_THRESHOLDS = {
+    "Kot Addu": {
+      wheat: { idealMax: [12, 26], idealMin: [4, 14], minSoilTemp: 5, minTotalRain5d: 0 },
+      rice: { idealMax: [28, 35], idealMin: [22, 30], minSoilTemp: 20, minTotalRain5d: 25 },
+      cotton: { idealMax: [30, 38], idealMin: [20, 30], minSoilTemp: 18, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [26, 36], idealMin: [20, 30], minSoilTemp: 20, minTotalRain5d: 15 },
+      maize: { idealMax: [22, 34], idealMin: [14, 26], minSoilTemp: 14, minTotalRain5d: 5 }
+    },
+    "Multan": {
+      wheat: { idealMax: [14, 28], idealMin: [6, 16], minSoilTemp: 6, minTotalRain5d: 0 },
+      rice: { idealMax: [29, 36], idealMin: [23, 31], minSoilTemp: 20, minTotalRain5d: 30 },
+      cotton: { idealMax: [32, 40], idealMin: [22, 32], minSoilTemp: 18, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [28, 38], idealMin: [22, 32], minSoilTemp: 22, minTotalRain5d: 15 },
+      maize: { idealMax: [24, 36], idealMin: [16, 28], minSoilTemp: 14, minTotalRain5d: 5 }
+    },
+    "Muzaffargarh": {
+      wheat: { idealMax: [13, 27], idealMin: [5, 15], minSoilTemp: 5, minTotalRain5d: 0 },
+      rice: { idealMax: [28, 35], idealMin: [22, 30], minSoilTemp: 20, minTotalRain5d: 25 },
+      cotton: { idealMax: [31, 39], idealMin: [21, 31], minSoilTemp: 18, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [27, 36], idealMin: [20, 30], minSoilTemp: 20, minTotalRain5d: 12 },
+      maize: { idealMax: [23, 34], idealMin: [15, 26], minSoilTemp: 14, minTotalRain5d: 5 }
+    },
+    "Lahore": {
+      wheat: { idealMax: [11, 24], idealMin: [3, 14], minSoilTemp: 4, minTotalRain5d: 0 },
+      rice: { idealMax: [26, 33], idealMin: [21, 28], minSoilTemp: 18, minTotalRain5d: 20 },
+      cotton: { idealMax: [28, 36], idealMin: [18, 28], minSoilTemp: 16, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [25, 34], idealMin: [18, 28], minSoilTemp: 18, minTotalRain5d: 12 },
+      maize: { idealMax: [20, 30], idealMin: [12, 22], minSoilTemp: 12, minTotalRain5d: 5 }
+    },
+    "Faisalabad": {
+      wheat: { idealMax: [12, 25], idealMin: [4, 15], minSoilTemp: 5, minTotalRain5d: 0 },
+      rice: { idealMax: [27, 34], idealMin: [21, 29], minSoilTemp: 19, minTotalRain5d: 22 },
+      cotton: { idealMax: [29, 37], idealMin: [19, 29], minSoilTemp: 17, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [26, 35], idealMin: [19, 29], minSoilTemp: 19, minTotalRain5d: 12 },
+      maize: { idealMax: [21, 32], idealMin: [13, 24], minSoilTemp: 13, minTotalRain5d: 5 }
+    },
+    "Rawalpindi": {
+      wheat: { idealMax: [10, 22], idealMin: [2, 12], minSoilTemp: 4, minTotalRain5d: 0 },
+      rice: { idealMax: [24, 31], idealMin: [19, 26], minSoilTemp: 17, minTotalRain5d: 18 },
+      cotton: { idealMax: [26, 34], idealMin: [16, 26], minSoilTemp: 15, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [24, 33], idealMin: [17, 27], minSoilTemp: 17, minTotalRain5d: 10 },
+      maize: { idealMax: [19, 29], idealMin: [11, 21], minSoilTemp: 12, minTotalRain5d: 5 }
+    },
+    "Dera Ghazi Khan": {
+      wheat: { idealMax: [14, 30], idealMin: [6, 18], minSoilTemp: 6, minTotalRain5d: 0 },
+      rice: { idealMax: [30, 36], idealMin: [24, 32], minSoilTemp: 21, minTotalRain5d: 30 },
+      cotton: { idealMax: [33, 41], idealMin: [23, 33], minSoilTemp: 19, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [29, 38], idealMin: [23, 33], minSoilTemp: 22, minTotalRain5d: 15 },
+      maize: { idealMax: [25, 37], idealMin: [17, 29], minSoilTemp: 15, minTotalRain5d: 5 }
+    },
+    "Rahim Yar Khan": {
+      wheat: { idealMax: [15, 31], idealMin: [7, 19], minSoilTemp: 6, minTotalRain5d: 0 },
+      rice: { idealMax: [30, 37], idealMin: [24, 33], minSoilTemp: 22, minTotalRain5d: 30 },
+      cotton: { idealMax: [33, 41], idealMin: [23, 33], minSoilTemp: 19, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [29, 38], idealMin: [23, 33], minSoilTemp: 22, minTotalRain5d: 15 },
+      maize: { idealMax: [25, 37], idealMin: [17, 29], minSoilTemp: 15, minTotalRain5d: 5 }
+    },
+    "Sargodha": {
+      wheat: { idealMax: [11, 24], idealMin: [3, 14], minSoilTemp: 4, minTotalRain5d: 0 },
+      rice: { idealMax: [26, 33], idealMin: [20, 28], minSoilTemp: 18, minTotalRain5d: 20 },
+      cotton: { idealMax: [28, 36], idealMin: [18, 28], minSoilTemp: 16, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [25, 34], idealMin: [18, 28], minSoilTemp: 18, minTotalRain5d: 12 },
+      maize: { idealMax: [20, 31], idealMin: [12, 23], minSoilTemp: 12, minTotalRain5d: 5 }
+    },
+    "Gujranwala": {
+      wheat: { idealMax: [12, 25], idealMin: [4, 15], minSoilTemp: 5, minTotalRain5d: 0 },
+      rice: { idealMax: [27, 34], idealMin: [21, 29], minSoilTemp: 19, minTotalRain5d: 22 },
+      cotton: { idealMax: [29, 37], idealMin: [19, 29], minSoilTemp: 17, minTotalRain5d: 0 },
+      sugarcane: { idealMax: [26, 35], idealMin: [19, 29], minSoilTemp: 19, minTotalRain5d: 12 },
+      maize: { idealMax: [21, 32], idealMin: [13, 24], minSoilTemp: 13, minTotalRain5d: 5 }
+    }
+  };
+  var CROPS = Object.keys(CROP_DEFAULTS);
+  function getCropThresholds(crop) {
+    return CROP_DEFAULTS[String(crop || "").toLowerCase()] || null;
+  }
+  function getPunjabDistrictThreshold(district, crop) {
+    if (!district || !crop) return null;
+    const entry = PUNJAB_DISTRICT_THRESHOLDS[String(district).trim()];
+    return entry && entry[String(crop).toLowerCase()] || null;
+  }
+  function thresholdKey(zone, crop) {
+    return `${zone || "default"}::${String(crop || "").toLowerCase()}`;
+  }
+  function validateThresholds(thr) {
+    const issues = [];
+    if (!thr || typeof thr !== "object") return ["thresholds must be an object"];
+    ["idealMax", "idealMin"].forEach((k) => {
+      const range = thr[k];
+      if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || range[0] > range[1]) {
+        issues.push(`${k} must be a [low, high] pair of numbers`);
+      }
+    });
+    ["minSoilTemp", "minTotalRain5d"].forEach((k) => {
+      if (thr[k] !== void 0 && thr[k] !== null && !Number.isFinite(thr[k])) issues.push(`${k} must be a number`);
+    });
+    return issues;
+  }
+  function getEffectiveThresholds(crop, { zone, district, override } = {}) {
+    var _a;
+    const c = String(crop || "").toLowerCase();
+    if (override) return { thresholds: override, source: "user" };
+    const districtThresholds = zone === "Punjab" ? getPunjabDistrictThreshold(district, c) : null;
+    if (districtThresholds) return { thresholds: districtThresholds, source: "district" };
+    if (zone && ((_a = ZONE_DEFAULTS[zone]) == null ? void 0 : _a[c])) return { thresholds: ZONE_DEFAULTS[zone][c], source: "zone" };
+    if (CROP_DEFAULTS[c]) return { thresholds: CROP_DEFAULTS[c], source: "crop" };
+    return null;
+  }
+
+  // src/thresholdProfiles.js
+  var THRESHOLD_PROFILE_FORMAT = "farmer-aid-thresholds";
+  var THRESHOLD_PROFILE_VERSION = 2;
+  var THRESHOLD_CSV_COLUMNS = [
+    "zone",
+    "crop",
+    "idealMaxLow",
+    "idealMaxHigh",
+    "idealMinLow",
+    "idealMinHigh",
+    "minSoilTemp",
+    "minTotalRain5d"
+  ];
+  var THRESHOLD_PROFILE_DETAILS = ["name", "district", "tehsil", "publisher", "notes"];
+  var PROFILE_ZONES = ["default", ...ZONES];
+  var MAX_ENTRIES = 200;
+  var MAX_DETAIL = 200;
+  var TEMPERATURE_RANGE = [-30, 60];
+  var MAX_RAIN_5D = 1e3;
+  var MIGRATIONS = {
+    // Detail fields sent alongside a bare object (e.g. { district, tehsil, 'Punjab::wheat': ... }) move out of the thresholds
+    1: (doc) => {
+      const details = {};
+      const thresholds = {};
+      Object.entries(doc).forEach(([key, value]) => {
+        if ([...THRESHOLD_PROFILE_DETAILS, "updatedAt"].includes(key)) details[key] = value;
+        else thresholds[key] = value;
+      });
+      return { ...details, format: THRESHOLD_PROFILE_FORMAT, version: 2, thresholds };
+    }
+  };
+  function isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+  }
+  function detailText(value) {
+    if (value === void 0 || value === null) return null;
+    const text = String(value).replace(/\s+/g, " ").trim();
+    return text ? text.slice(0, MAX_DETAIL) : null;
+  }
+  function splitKey(key) {
+    const [zone, crop, extra] = String(key).split("::");
+    if (extra !== void 0 || !crop || !/^[a-z][a-z ]{0,39}$/i.test(crop.trim())) return null;
+    const z = String(zone).trim().toLowerCase() === "auto" ? "default" : PROFILE_ZONES.find((name) => name.toLowerCase() === String(zone).trim().toLowerCase());
+    return z ? [z, crop.trim().toLowerCase()] : null;
+  }
+  function toNumber(value) {
+    if (value === void 0 || value === null || value === "") return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : NaN;
+  }
+  function normalizeEntry(thr) {
+    var _a, _b;
+    if (!isPlainObject(thr)) return thr;
+    const pair = (range) => Array.isArray(range) ? range.map(toNumber) : range;
+    return {
+      idealMax: pair(thr.idealMax),
+      idealMin: pair(thr.idealMin),
+      minSoilTemp: (_a = toNumber(thr.minSoilTemp)) != null ? _a : 0,
+      minTotalRain5d: (_b = toNumber(thr.minTotalRain5d)) != null ? _b : 0
+    };
+  }
+  function rangeIssues(thr, label) {
+    const issues = [];
+    const [lo, hi] = TEMPERATURE_RANGE;
+    [...thr.idealMax, ...thr.idealMin, thr.minSoilTemp].forEach((value) => {
+      if (value < lo || value > hi) issues.push(`${label}: temperatures must be between ${lo} and ${hi} \xB0C`);
+    });
+    if (thr.minTotalRain5d < 0 || thr.minTotalRain5d > MAX_RAIN_5D) issues.push(`${label}: minTotalRain5d must be between 0 and ${MAX_RAIN_5D} mm`);
+    return [...new Set(issues)];
+  }
+  function migrate(input) {
+    if (!isPlainObject(input)) return { doc: null, issues: ["a threshold profile must be a JSON object"] };
+    let doc = input;
+    let version;
+    if (doc.format === void 0 && !isPlainObject(doc.thresholds)) {
+      version = 1;
+    } else if (doc.format !== void 0 && doc.format !== THRESHOLD_PROFILE_FORMAT) {
+      return { doc: null, issues: [`format must be "${THRESHOLD_PROFILE_FORMAT}"`] };
+    } else {
+      version = doc.version === void 0 ? THRESHOLD_PROFILE_VERSION : Number(doc.version);
+    }
+    if (!Number.isInteger(version) || version < 1) return { doc: null, issues: ["version must be a positive whole number"] };
+    if (version > THRESHOLD_PROFILE_VERSION) {
+      return { doc: null, issues: [`version ${version} was written by a newer Farmer Aid; this one reads up to version ${THRESHOLD_PROFILE_VERSION}`] };
+    }
+    for (let v = version; v < THRESHOLD_PROFILE_VERSION; v += 1) doc = MIGRATIONS[v](doc);
+    return { doc, issues: [] };
+  }
+  function createThresholdProfile(thresholds, details = {}) {
+    const profile = { format: THRESHOLD_PROFILE_FORMAT, version: THRESHOLD_PROFILE_VERSION };
+    THRESHOLD_PROFILE_DETAILS.forEach((key) => {
+      profile[key] = detailText(details[key]);
+    });
+    profile.updatedAt = details.updatedAt || (/* @__PURE__ */ new Date()).toISOString();
+    profile.thresholds = { ...thresholds };
+    return profile;
+  }
+  function splitCsvLine(line, delimiter) {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i += 1) {
+      const c = line[i];
+      if (quoted) {
+        if (c === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i += 1;
+        } else if (c === '"') quoted = false;
+        else cell += c;
+      } else if (c === '"') quoted = true;
+      else if (c === delimiter) {
+        cells.push(cell.trim());
+        cell = "";
+      } else cell += c;
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+  function csvToDocument(text) {
+    const issues = [];
+    const details = {};
+    const thresholds = {};
+    let columns = null;
+    let delimiter = ",";
+    text.replace(/^﻿/, "").split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim() || issues.length >= 20) return;
+      const row = `row ${i + 1}`;
+      if (line.trimStart().startsWith("#")) {
+        const kv = /^\s*#\s*(\w+)\s*:\s*(.*)$/.exec(line);
+        if (kv) details[kv[1]] = kv[2].trim();
+        return;
+      }
+      if (!columns) {
+        delimiter = [",", ";", "	"].find((d) => line.includes(d)) || ",";
+        const names = splitCsvLine(line, delimiter).map((name) => name.toLowerCase());
+        columns = THRESHOLD_CSV_COLUMNS.map((name) => names.indexOf(name.toLowerCase()));
+        const missing = THRESHOLD_CSV_COLUMNS.filter((name, k) => columns[k] < 0 && !["minSoilTemp", "minTotalRain5d"].includes(name));
+        if (missing.length) issues.push(`the header row is missing ${missing.join(", ")}`);
+        return;
+      }
+      const cells = splitCsvLine(line, delimiter);
+      const cell = (name) => {
+        var _a;
+        const k = columns[THRESHOLD_CSV_COLUMNS.indexOf(name)];
+        return k < 0 ? "" : (_a = cells[k]) != null ? _a : "";
+      };
+      const key = `${cell("zone") || "default"}::${cell("crop")}`;
+      if (thresholds[key]) issues.push(`${row}: ${key} is listed twice`);
+      thresholds[key] = {
+        idealMax: [cell("idealMaxLow"), cell("idealMaxHigh")],
+        idealMin: [cell("idealMinLow"), cell("idealMinHigh")],
+        minSoilTemp: cell("minSoilTemp"),
+        minTotalRain5d: cell("minTotalRain5d")
+      };
+    });
+    if (!columns) issues.push("the CSV has no header row");
+    const doc = { ...details, format: details.format || THRESHOLD_PROFILE_FORMAT, version: details.version || THRESHOLD_PROFILE_VERSION, thresholds };
+    return { doc, issues };
+  }
+  function parseThresholdProfile(input) {
+    let parsed = input;
+    if (typeof input === "string") {
+      if (/^[[{]/.test(input.trim())) {
+        try {
+          parsed = JSON.parse(input);
+        } catch (err) {
+          return { profile: null, issues: ["the file is not valid JSON"] };
+        }
+      } else {
+        const csv = csvToDocument(input);
+        if (csv.issues.length) return { profile: null, issues: csv.issues };
+        parsed = csv.doc;
+      }
+    }
+    const { doc, issues } = migrate(parsed);
+    if (!doc) return { profile: null, issues };
+    if (!isPlainObject(doc.thresholds)) return { profile: null, issues: ['thresholds must be an object of "zone::crop" entries'] };
+    const thresholds = {};
+    const entries = Object.entries(doc.thresholds);
+    if (!entries.length) issues.push("the profile has no thresholds");
+    if (entries.length > MAX_ENTRIES) issues.push(`a profile can have at most ${MAX_ENTRIES} thresholds`);
+    entries.slice(0, MAX_ENTRIES).forEach(([key, value]) => {
+      const parts = splitKey(key);
+      if (!parts) {
+        issues.push(`${key}: keys are "zone::crop" with zone one of ${PROFILE_ZONES.join(", ")}`);
+        return;
+      }
+      const normalizedKey = thresholdKey(...parts);
+      const thr = normalizeEntry(value);
+      const entryIssues = validateThresholds(thr).map((issue) => `${normalizedKey}: ${issue}`);
+      if (thresholds[normalizedKey]) entryIssues.push(`${normalizedKey} is listed twice`);
+      issues.push(...entryIssues.length ? entryIssues : rangeIssues(thr, normalizedKey));
+      thresholds[normalizedKey] = thr;
+    });
+    if (issues.length) return { profile: null, issues };
+    const updatedAt = typeof doc.updatedAt === "string" && !Number.isNaN(Date.parse(doc.updatedAt)) ? doc.updatedAt : void 0;
+    return { profile: createThresholdProfile(thresholds, { ...doc, updatedAt }), issues: [] };
+  }
+  function thresholdProfileToCsv(profile) {
+    const lines = [`# format: ${THRESHOLD_PROFILE_FORMAT}`, `# version: ${THRESHOLD_PROFILE_VERSION}`];
+    [...THRESHOLD_PROFILE_DETAILS, "updatedAt"].forEach((key) => {
+      const value = detailText(profile[key]);
+      if (value) lines.push(`# ${key}: ${value}`);
+    });
+    lines.push(THRESHOLD_CSV_COLUMNS.join(","));
+    Object.keys(profile.thresholds || {}).sort().forEach((key) => {
+      var _a, _b;
+      const [zone, crop] = key.split("::");
+      const thr = profile.thresholds[key];
+      lines.push([zone, crop, ...thr.idealMax, ...thr.idealMin, (_a = thr.minSoilTemp) != null ? _a : "", (_b = thr.minTotalRain5d) != null ? _b : ""].join(","));
+    });
+    return `${lines.join("\n")}
+`;
+  }
+
+  // src/dates.js
+  var DAY_MS = 24 * 60 * 60 * 1e3;
+  function toDayNumber(isoDate) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(isoDate || ""));
+    return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / DAY_MS : NaN;
+  }
+  function toIsoDate(dayNumber) {
+    return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+  }
+  function localIsoDate(date) {
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // src/messages.js
+  var en = {
+    // Shared chrome: navbar, footer, language switcher
+    "nav.home": "Home",
+    "nav.weather": "Weather",
+    "nav.compare": "Compare",
+    "nav.diseases": "Diseases",
+    "nav.assistant": "AI Assistant",
+    "nav.about": "About",
+    "nav.language": "Language",
+    "brand.name": "Farmer Aid",
+    "brand.assistant": "AgriGuide AI",
+    "footer.rights": "Farmer Aid \u2014 All rights reserved.",
+    "footer.rightsAssistant": "AgriGuide AI \u2014 All rights reserved.",
+    "footer.builtFor": "Built with \u2764 for farmers",
+    "footer.builtForPakistan": "Built with \u2764 for farmers in Pakistan",
+    "footer.builtBy": "Built by Muhammad Saad",
+    "common.loading": "Loading...",
+    "common.error": "Error:",
+    "common.cancel": "Cancel",
+    "common.save": "Save",
+    "common.close": "Close",
+    "common.remove": "Remove",
+    "common.none": "None",
+    "common.send": "Send",
+    "common.stop": "Stop",
+    "common.requestFailed": "Request failed ({status})",
+    "common.apiError": "API Error {status}",
+    // Ages of data served from the offline cache
+    "age.justNow": "just now",
+    "age.minutes": "{n} min ago",
+    "age.hours": "{n} h ago",
+    "age.days": "{n} days ago",
+    // Crops, zones, levels
+    "crop.wheat": "Wheat",
+    "crop.rice": "Rice",
+    "crop.cotton": "Cotton",
+    "crop.sugarcane": "Sugarcane",
+    "crop.maize": "Maize",
+    "crop.barley": "Barley",
+    "crop.pulses": "Pulses",
+    "crop.oilseeds": "Oilseeds",
+    "crop.vegetables": "Vegetables",
+    "crop.fruits": "Fruits",
+    "crop.potato": "Potato",
+    "crop.other": "Other",
+    "zone.auto": "Auto",
+    "zone.default": "Auto / Default",
+    "zone.Punjab": "Punjab",
+    "zone.Sindh": "Sindh",
+    "zone.KPK": "KPK",
+    "zone.Balochistan": "Balochistan",
+    "zone.Gilgit": "Gilgit",
+    "zone.Islamabad": "Islamabad",
+    "level.Low": "Low",
+    "level.Moderate": "Moderate",
+    "level.High": "High",
+    "levelPhrase.Low": "low",
+    "levelPhrase.Moderate": "moderate",
+    "levelPhrase.High": "high",
+    "severity.mild": "Mild",
+    "severity.moderate": "Moderate",
+    "severity.severe": "Severe",
+    "severity.unknown": "Unknown",
+    // WMO weather codes
+    "weatherCode.0": "Clear sky",
+    "weatherCode.1": "Mainly clear",
+    "weatherCode.2": "Partly cloudy",
+    "weatherCode.3": "Overcast",
+    "weatherCode.45": "Fog",
+    "weatherCode.48": "Depositing rime fog",
+    "weatherCode.51": "Light drizzle",
+    "weatherCode.53": "Moderate drizzle",
+    "weatherCode.55": "Dense drizzle",
+    "weatherCode.56": "Freezing drizzle",
+    "weatherCode.57": "Dense freezing drizzle",
+    "weatherCode.61": "Light rain",
+    "weatherCode.63": "Moderate rain",
+    "weatherCode.65": "Heavy rain",
+    "weatherCode.66": "Light freezing rain",
+    "weatherCode.67": "Heavy freezing rain",
+    "weatherCode.71": "Light snow",
+    "weatherCode.73": "Moderate snow",
+    "weatherCode.75": "Heavy snow",
+    "weatherCode.77": "Snow grains",
+    "weatherCode.80": "Light rain showers",
+    "weatherCode.81": "Moderate rain showers",
+    "weatherCode.82": "Violent rain showers",
+    "weatherCode.85": "Slight snow showers",
+    "weatherCode.86": "Heavy snow showers",
+    "weatherCode.95": "Thunderstorm",
+    "weatherCode.96": "Thunderstorm with slight hail",
+    "weatherCode.99": "Thunderstorm with heavy hail",
+    "weatherCode.unknown": "Unknown",
+    // Suitability (backend/services/suitability.js and the weather page's local copy)
+    "suitability.status.Suitable": "Suitable",
+    "suitability.status.Marginal": "Marginal",
+    "suitability.status.Unsuitable": "Unsuitable",
+    "suitability.reason.extremeHeat": "Extreme daytime heat (avg max > 40\xB0C) likely unsuitable.",
+    "suitability.reason.extremeCold": "Very low night temperatures (avg min < -5\xB0C) likely unsuitable.",
+    "suitability.reason.hotDry": "Very hot and dry conditions \u2014 high water demand and heat stress risk.",
+    "suitability.reason.dayAbove": "Average daytime temperature ({value}\xB0C) is above the recommended upper bound for {crop}.",
+    "suitability.reason.dayBelow": "Average daytime temperature ({value}\xB0C) is below the typical lower expected range for {crop}.",
+    "suitability.reason.nightAbove": "Average night temperature ({value}\xB0C) is higher than ideal upper bound for {crop}.",
+    "suitability.reason.nightBelow": "Average night temperature ({value}\xB0C) is lower than ideal lower bound for {crop}.",
+    "suitability.reason.soilCold": "Soil temperature (~{value}\xB0C) is below recommended minimum ({limit}\xB0C) for {crop} establishment.",
+    "suitability.reason.lowRain": "Forecast rainfall ({value} mm over {days} days) may be insufficient for {crop} without irrigation.",
+    "stageRisk.heat": "Heat up to {value}\xB0C on {days} day(s) from {date} during {stage} (critical above {limit}\xB0C).",
+    "stageRisk.frost": "Frost down to {value}\xB0C on {days} day(s) from {date} during {stage} (critical at {limit}\xB0C or below).",
+    // Weather page: hero, controls, sections
+    "weather.title": "\u{1F33E} Farmer Aid \u2014 Weather & Crop Insights",
+    "weather.heroTitle": "Advanced Weather & Crop Insights",
+    "weather.heroTagline": "Get accurate 5-day forecasts and practical recommendations tailored for your crops in Pakistan. Make informed decisions for healthier crops and higher yields.",
+    "weather.checkWeather": "Check Weather",
+    "weather.viewForecast": "View Forecast",
+    "weather.cityPlaceholder": "Enter city (e.g., Lahore, Multan)",
+    "weather.search": "Search",
+    "weather.useLocation": "Use my location",
+    "weather.loadFarm": "Load a saved farm",
+    "weather.myFarms": "My farms\u2026",
+    "weather.sowingDate": "Sowing (or transplanting) date",
+    "weather.zoneSelect": "Select province/zone or Auto-detect",
+    "weather.editThresholds": "Edit thresholds",
+    "weather.refresh": "Refresh last location/search",
+    "weather.alertsOn": "Get weather alerts for this place",
+    "weather.alertsOff": "Turn off weather alerts for {place}",
+    "weather.alertsSubscribed": "Weather alerts on for {place} ({crop}): frost, heat and heavy rain warnings arrive as notifications.",
+    "weather.alertsUnsubscribed": "Weather alerts turned off.",
+    "weather.alertsDenied": "Notifications are blocked for this site. Allow them in the browser settings to get alerts.",
+    "weather.alertsUnavailable": "Weather alerts are not set up on this server.",
+    "weather.alertsUnsupported": "This browser cannot show notifications.",
+    "weather.alertsFailed": "Could not change weather alerts: {error}",
+    "weather.fetching": "Fetching weather...",
+    "weather.currentWeather": "Current Weather",
+    "weather.feelsLike": "Feels like:",
+    "weather.humidityMaxMin": "Humidity (max/min):",
+    "weather.windSpeed": "Wind speed:",
+    "weather.sunriseSunset": "Sunrise / Sunset:",
+    "weather.forecastTitle": "5-Day Forecast",
+    "weather.normalTitle": "Compared With Normal",
+    "weather.normalDay": "Day",
+    "weather.normalMax": "Max \xB0C",
+    "weather.normalMin": "Min \xB0C",
+    "weather.normalRain": "Rain mm",
+    "weather.suitabilityTitle": "Crop Suitability",
+    "weather.advisoryTitle": "AI Crop Advisory",
+    "weather.careTitle": "Crop Care",
+    "weather.fertilizer": "Fertilizer",
+    "weather.watering": "Watering",
+    "weather.pests": "Pest & Disease Prevention",
+    "weather.gddTitle": "Growing Degree Days",
+    "weather.unavailable": "Unavailable",
+    "weather.yourLocation": "Your Location",
+    "weather.enterCity": "Please enter a city name.",
+    "weather.noGeolocation": "Geolocation is not supported by your browser.",
+    "weather.locationFailed": "Unable to retrieve your location. Please search by city.",
+    "weather.noPreviousLocation": "No previous location to refresh.",
+    "weather.lookupFailed": "Failed to lookup location.",
+    "weather.cityNotFound": "City not found. Please try different spelling or a nearby city.",
+    "weather.geocodeFailed": "Failed to get location coordinates. Please try again later.",
+    "weather.fetchFailed": "Failed to fetch weather data from server.",
+    "weather.unexpectedResponse": "Unexpected weather response. Please try again.",
+    "weather.connectionFailed": "Failed to fetch weather data. Check your internet connection or try again.",
+    "weather.unexpectedError": "An unexpected error occurred: {message}",
+    "weather.detectedZone": "Detected province/zone: {zone}",
+    "weather.detectedDistrict": "Inferred district: {district} (from district mapping)",
+    "weather.humidity": "Humidity: {min}% - {max}%",
+    "weather.rain": "Rain: {mm} mm",
+    "weather.noRain": "No Rain",
+    "weather.forecastAge": "Offline \xB7 forecast from {age}",
+    "weather.forecastAgeTitle": "No connection: showing the forecast saved on {date}. Use refresh when you are back online.",
+    // Soil, irrigation method and log
+    "soil.sand": "Sand",
+    "soil.loamySand": "Loamy sand",
+    "soil.sandyLoam": "Sandy loam",
+    "soil.loam": "Loam",
+    "soil.siltLoam": "Silt loam",
+    "soil.clayLoam": "Clay loam",
+    "soil.clay": "Clay",
+    "soil.title": "Soil texture",
+    "irrigationMethod.flood": "Flood / basin",
+    "irrigationMethod.furrow": "Furrow",
+    "irrigationMethod.drip": "Drip",
+    "irrigationMethod.title": "Irrigation method",
+    "irrigationLog.date": "Date irrigated",
+    "irrigationLog.depth": "Water applied (mm; 1 inch = 25.4 mm)",
+    "irrigationLog.log": "Log",
+    "irrigationLog.entry": "Irrigated {date}: {mm} mm",
+    // Threshold editor
+    "thresholds.title": "Edit Thresholds",
+    "thresholds.crop": "Crop",
+    "thresholds.zone": "Zone",
+    "thresholds.idealMaxLower": "Ideal Max Lower",
+    "thresholds.idealMaxUpper": "Ideal Max Upper",
+    "thresholds.idealMinLower": "Ideal Min Lower",
+    "thresholds.idealMinUpper": "Ideal Min Upper",
+    "thresholds.minSoilTemp": "Min Soil Temp (\xB0C)",
+    "thresholds.minTotalRain5d": "Min Total Rain (5d mm)",
+    "thresholds.reset": "Reset to Defaults",
+    "thresholds.saved": "Thresholds saved for {crop} ({zone}).",
+    "thresholds.resetDone": "Custom thresholds reset for {crop} ({zone}).",
+    "thresholds.undo": "Undo",
+    "thresholds.restored": "Restored custom thresholds for {crop} ({zone}).",
+    "thresholds.shareTitle": "Share and sync",
+    "thresholds.exportJson": "Export JSON",
+    "thresholds.exportCsv": "Export CSV",
+    "thresholds.import": "Import\u2026",
+    "thresholds.nothingToExport": "There are no saved thresholds to export yet.",
+    "thresholds.exported": "Exported {count} saved thresholds.",
+    "thresholds.imported": "Imported {count} thresholds from {file}.",
+    "thresholds.importInvalid": "{file} could not be imported:",
+    "thresholds.tehsilProfile": "Tehsil profile",
+    "thresholds.district": "District",
+    "thresholds.tehsil": "Tehsil",
+    "thresholds.tehsilOptional": "Tehsil (optional)",
+    "thresholds.findProfiles": "Find",
+    "thresholds.enterDistrict": "Enter a district to see its published profiles.",
+    "thresholds.noProfiles": "No profiles have been published here yet.",
+    "thresholds.profilesFailed": "Could not load the published profiles.",
+    "thresholds.notSubscribed": "Not subscribed to a tehsil profile.",
+    "thresholds.subscribedTo": "Using {name} (revision {revision}, {date}) where you have not set your own.",
+    "thresholds.withdrawn": "Withdrawn",
+    "thresholds.unsubscribe": "Unsubscribe",
+    "thresholds.subscribe": "Subscribe",
+    "thresholds.subscribed": "Subscribed",
+    "thresholds.withdraw": "Withdraw",
+    "thresholds.revision": "revision {revision}, {date}",
+    "thresholds.publishTitle": "Publish my thresholds for a tehsil (extension officers)",
+    "thresholds.profileName": "Profile name",
+    "thresholds.publisher": "Office / officer",
+    "thresholds.notes": "Notes (calibration season, source)",
+    "thresholds.publisherKey": "Publisher key",
+    "thresholds.publish": "Publish",
+    "thresholds.published": "Published {name} (revision {revision}).",
+    "thresholds.publishInvalid": "The profile could not be published:",
+    // Suitability card
+    "suitability.suitableText": "\u2014 conditions look generally favorable for {crop} in {location}{zone}.",
+    "suitability.marginalText": "\u2014 some conditions may limit {crop} production in {location}{zone}. See reasons below.",
+    "suitability.unsuitableText": "\u2014 weather/soil indicated is likely to limit successful {crop} production in {location}{zone}.",
+    "suitability.zone": " ({zone})",
+    "suitability.custom": "Custom",
+    "suitability.customTitle": "Custom thresholds active",
+    "suitability.profile": "Tehsil profile: {name}",
+    "suitability.profileTitle": "Thresholds from the tehsil profile you subscribed to",
+    "suitability.keyMetrics": "Key metrics:",
+    "suitability.metrics": "Avg Max: {max}\xB0C, Avg Min: {min}\xB0C, Rain(5d): {rain} mm",
+    "suitability.soilMetric": ", Soil: {soil}\xB0C",
+    "suitability.reasons": "Reasons / concerns:",
+    "suitability.noConcerns": "No major concerns detected for the next {days} days.",
+    "suitability.note": "These assessments are rule-based and approximate. For farm-level decisions, consult local extension services and use soil tests.",
+    "suitability.alertLabel": "Suitability Alert:",
+    "suitability.alert": "{status} for {crop} at {location}{zone}.",
+    // Growth stage and field tasks
+    "phenology.growthStage": "Growth stage:",
+    "phenology.notSown": "Not sown yet \u2014 sowing on {date}.",
+    "phenology.summary": "{stage} \u2014 day {days} after sowing, {gdd} GDD{next}.",
+    "phenology.next": "; next: {stage} {when}",
+    "when.later": "later this season",
+    "when.today": "today",
+    "when.ago": "{n} day(s) ago",
+    "when.in": "in {n} day(s) (around {date})",
+    "task.due": "{name} ({note}) is due now.",
+    "task.upcoming": "{name} ({note}) is due {when}.",
+    "care.comingUp": "Coming up \u2014 {stage}: {note}",
+    "care.comingUpWhen": "Coming up \u2014 {stage} {when}: {note}",
+    // Advisory (AI and rule-based)
+    "advisory.generating": "Generating crop insights...",
+    "advisory.failed": "Failed to generate crop advisory. Please try again later.",
+    "advisory.sourceAi": "Source: AI model",
+    "advisory.sourceAiTitle": "Generated by the AI model from the forecast",
+    "advisory.sourceRules": "Source: Built-in weather rules",
+    "advisory.sourceRulesTitle": "The AI service was unavailable, so built-in weather rules were used",
+    "advisory.saved": "Offline \xB7 saved {age}",
+    "advisory.savedTitle": "No connection: this advisory was saved on {date}",
+    "advisory.riskLabel": "{level} Risk",
+    "advisory.introAi": "For your {crop} crop in {location}, our AI analysis indicates a {risk} for potential issues.",
+    "advisory.introRules": "For your {crop} crop in {location}, our weather rules indicate a {risk} for potential issues.",
+    "advisory.weatherTrend": "Weather Trend Summary:",
+    "advisory.threats": "Potential Threats:",
+    "advisory.recommendations": "Preventative Recommendations:",
+    "advisory.scout": "Regularly scout your fields (at least twice a week) for early detection of any symptoms or pest presence.",
+    "advisory.sanitation": "Ensure proper field sanitation by removing weeds and crop residues, which can act as hosts.",
+    "advisory.extension": "Consult your local agricultural extension officer for specific, localized advice tailored to your farm.",
+    "advisory.disclaimer": "Disclaimer: This advisory is based on current weather forecasts and generalized agricultural models. Always cross-reference with actual field observations and local expert guidance.",
+    "rules.summary": "The next five days range from {min}\xB0C to {max}\xB0C, with total rainfall of {rain}mm.",
+    "rules.wetHours": " The hourly forecast has {hours} leaf-wetness hour(s) (RH \u2265 90% or rain).",
+    "rules.diseaseThreat": "{name}: {level} risk on {date} \u2014 {explanation}",
+    "rules.fungalHigh": "High risk of fungal diseases (e.g., blights, mildews): leaves stay wet for up to {hours} hours at mild temperatures.",
+    "rules.fungalHighAdvice": "Improve drainage, avoid over-irrigation and evening irrigation, and apply preventative fungicides if applicable.",
+    "rules.fungalModerate": "Moderate risk of fungal diseases: wet spells of up to {hours} hours at mild temperatures.",
+    "rules.fungalModerateAdvice": "Increase field monitoring. Ensure good plant spacing for air circulation.",
+    "rules.heat": "Heat stress on {days} day(s) with maximum temperatures of 38\xB0C or more, with high water demand.",
+    "rules.heatAdvice": "Irrigate in the early morning or evening and avoid moisture stress on the hottest days.",
+    "rules.cold": "Cold stress on {nights} night(s) at 4\xB0C or below; frost is possible if temperatures drop below 0\xB0C.",
+    "rules.coldAdvice": "Monitor minimum temperatures closely and keep soil moist to buffer against frost.",
+    "rules.whitefly": "Hot, dry days favour whitefly build-up and the spread of Cotton Leaf Curl Virus (CLCuV).",
+    "rules.whiteflyAdvice": "Intensify whitefly monitoring with yellow sticky traps; spray only when the economic threshold is reached.",
+    "rules.mites": "Hot, dry spells can favour mites and sucking pests.",
+    "rules.mitesAdvice": "Monitor leaf undersides for mites and sucking pests.",
+    "rules.none": "No significant pest or disease activity is currently indicated by the weather forecast.",
+    "rules.noneAdvice": "Continue routine crop management, field monitoring, and good agricultural practices.",
+    "rules.favorable": "The weather for the next five days appears largely favorable for your {crop} crop.",
+    "rules.challenging": "The weather for the next five days presents some challenges for your {crop} crop.",
+    // Crop care cards
+    "care.insufficientFertilizer": "Insufficient forecast data to compute recommendations.",
+    "care.insufficientWatering": "Insufficient forecast data to compute watering schedule.",
+    "care.insufficientPests": "Insufficient forecast data to compute pest & disease guidance.",
+    "care.failedFertilizer": "Failed to load fertilizer recommendations.",
+    "care.failedWatering": "Failed to load watering schedule.",
+    "care.failedPests": "Failed to load pest & disease prevention tips.",
+    "care.summaryLabel": "Summary:",
+    "care.summary": "Avg Tmax {tmax}\xB0C, Avg daily rain {rain} mm, Soil temp: {soil}.",
+    "care.fertilizerFor": "Fertilizer recommendations for {crop}:",
+    "care.fertilizerNote": "These are general recommendations. Use soil tests for exact rates and local extension advice.",
+    "fert.N": "Urea (Nitrogen)",
+    "fert.P": "DAP / SSP (Phosphorus)",
+    "fert.K": "MOP (Potassium)",
+    "fert.Zn": "Zinc Sulfate",
+    "fert.sugarcane.n": "{N} \u2014 split application: basal + top dress during grand growth.",
+    "fert.sugarcane.p": "{P} \u2014 at planting/transplanting for roots.",
+    "fert.sugarcane.k": "{K} \u2014 ensure K for stalk strength.",
+    "fert.sugarcane.wet": "High rainfall risk: prefer split N or foliar micro-nutrient top-ups after rain.",
+    "fert.sugarcane.hotDry": "Hot/dry \u2014 maintain soil moisture pre-application to improve uptake.",
+    "fert.wheat.n": "{N} \u2014 basal at sowing + top-dressing at tillering/jointing.",
+    "fert.wheat.p": "{P} \u2014 at sowing if soil P is low.",
+    "fert.wheat.zn": "{Zn} \u2014 consider if soil tests indicate zinc deficiency.",
+    "fert.wheat.wet": "Delay heavy N applications until soil is workable post-rain.",
+    "fert.wheat.cool": "Cool soils \u2014 prefer smaller split N doses.",
+    "fert.rice.n": "{N} \u2014 time around tillering and panicle initiation; avoid large N before heavy rain.",
+    "fert.rice.p": "{P} \u2014 early application for establishment.",
+    "fert.rice.wet": "Heavy rain: consider a small N top-up after rains clear to recover lost N.",
+    "fert.cotton.n": "{N} \u2014 split doses; avoid excessive N close to boll opening.",
+    "fert.cotton.pk": "{P} & {K} \u2014 ensure adequate P and K early in the season.",
+    "fert.cotton.hotDry": "Hot/dry forecast: ensure irrigation when applying N to promote uptake.",
+    "fert.maize.n": "{N} \u2014 large N demand; split planting + sidedress.",
+    "fert.maize.p": "{P} \u2014 at planting for early vigor.",
+    "fert.maize.k": "{K} \u2014 important for grain fill.",
+    "fert.maize.wet": "High rainfall risk: consider split N or slow-release formulations if available.",
+    "fert.default.npk": "Balanced N-P-K program; prefer split N applications to reduce leaching.",
+    "fert.default.wet": "Avoid applying large quantities right before heavy rains.",
+    "water.et0Label": "Estimated ET\u2080:",
+    "water.et0": "{et0} mm/day over the next {days} days.",
+    "water.rainLabel": "Total forecast rainfall:",
+    "water.rain": "{rain} mm over {days} days.",
+    "water.reduced": "Reduced irrigation needed: rainfall likely meets much of crop water need.",
+    "water.monitor": "Monitor soil moisture; resume irrigation when soil begins to dry.",
+    "water.increased": "Increased irrigation likely required: high evaporative demand with low rainfall.",
+    "water.timing": "Irrigate early morning or late evening; consider efficient systems (drip) where possible.",
+    "water.regular": "Regular irrigation recommended based on crop stage and soil moisture checks.",
+    "water.rice": "Maintain appropriate standing water depth for rice paddies based on crop stage.",
+    "water.cotton": "Cotton: avoid water stress during flowering and boll formation.",
+    "water.wheat": "Wheat: ensure moisture during crown root initiation and flowering stages.",
+    "water.note": "Adjust irrigation using field checks and local guidance.",
+    "pest.highLabel": "High Alert:",
+    "pest.high": "Intensify scouting and be prepared for targeted control measures.",
+    "pest.highFocus": "Focus surveillance on known vulnerable crop parts and low-lying wet areas.",
+    "pest.moderateLabel": "Moderate Alert:",
+    "pest.moderate": "Increase monitoring frequency and prepare intervention plans.",
+    "pest.lowLabel": "Low Risk:",
+    "pest.low": "Continue routine monitoring and cultural practices.",
+    "pest.fungal": "Warm, humid conditions elevate fungal disease risk; improve air circulation and avoid dense canopies.",
+    "pest.insects": "Hot, dry spells can favor insect pests (e.g., whiteflies, mites). Monitor leaf undersides.",
+    "pest.stageRisk": "Stage risk:",
+    "pest.ipm": "Integrated Pest Management (IPM): combine cultural, biological, and chemical controls as needed.",
+    "pest.heading": "Pest & Disease guidance (based on AI advisory):",
+    "pest.note": "Combine these with local expert advice and field observations.",
+    "pest.modelRisk": "{name} risk (hourly model):",
+    "pest.modelPeak": "{level} on {date}",
+    // Irrigation schedule (water balance)
+    "irrigation.notSown": "Not sown yet \u2014 the water balance starts on {date}.",
+    "irrigation.ended": "Irrigation has ended for this crop stage \u2014 no further irrigation is scheduled.",
+    "irrigation.rootZoneLabel": "Root zone ({depth} m):",
+    "irrigation.rootZone": "{used} mm used of {taw} mm available ({pct}%); irrigate at {raw} mm.",
+    "irrigation.perAcre": "per acre",
+    "irrigation.forAcres": "for {n} acres",
+    "irrigation.entry": "{net} mm net, apply {gross} mm ({inches} in; {acreInches} acre-inches {area})",
+    "irrigation.nextLabel": "Next irrigation:",
+    "irrigation.noneNeeded": "none needed in the next 30 days if the forecast holds.",
+    "irrigation.nowLabel": "Irrigate now:",
+    "irrigation.overdue": " \u2014 the crop has been short of water since {date}",
+    "irrigation.then": "Then: {list}.",
+    "irrigation.climate": "Dates past the forecast assume typical weather and no rain.",
+    // Compare page
+    "compare.title": "\u{1F33E} Farmer Aid \u2014 Compare Districts",
+    "compare.heading": "Compare Districts",
+    "compare.province": "Province",
+    "compare.district": "District",
+    "compare.addDistrict": "Add district",
+    "compare.crop": "Crop",
+    "compare.sowingDate": "Sowing date",
+    "compare.sowingDateTitle": "Optional: keys suitability and disease risk to the growth stage",
+    "compare.compare": "Compare",
+    "compare.pick": "Pick {min} to {max} districts.",
+    "compare.selected": "{n} districts selected.",
+    "compare.selectedMore": "{n} districts selected (up to {remaining} more).",
+    "compare.removeDistrict": "Remove {name}",
+    "compare.fetching": "Fetching forecasts\u2026",
+    "compare.results": "Suitability and risks",
+    "compare.colDistrict": "District",
+    "compare.colSuitability": "Suitability",
+    "compare.colTemp": "Avg max / min (\xB0C, 5 days)",
+    "compare.colRain": "Rain (mm, 5 days)",
+    "compare.colRisks": "Risk flags",
+    "compare.tempChart": "Daily maximum temperature (\xB0C)",
+    "compare.rainChart": "Daily precipitation (mm)",
+    "compare.failed": "Comparison failed: {message}",
+    // Diseases page
+    "diseases.heroTitle": "Diagnose & Cure Your Plants with Artificial Intelligence",
+    "diseases.heroText": "Upload a picture of your plant, and our AI will identify diseases, nutrient deficiencies, or water issues, providing immediate solutions.",
+    "diseases.getStarted": "Get Started Now",
+    "diseases.whyTitle": "Why Choose Plant Doctor AI?",
+    "diseases.feature1Title": "Accurate Disease Detection",
+    "diseases.feature1Text": "Our advanced AI swiftly identifies a wide range of plant diseases from your uploaded images.",
+    "diseases.feature2Title": "Nutrient & Water Analysis",
+    "diseases.feature2Text": "Gain vital insights into nutrient deficiencies or watering imbalances affecting your plants.",
+    "diseases.feature3Title": "Actionable Cure Recommendations",
+    "diseases.feature3Text": "Receive clear, step-by-step instructions and best practices to restore your plants' health.",
+    "diseases.feature4Title": "AI Chat Support",
+    "diseases.feature4Text": "Have questions or need more details? Our integrated chatbot offers instant answers and expert guidance.",
+    "diseases.uploadTitle": "Upload Your Plant Image for Diagnosis",
+    "diseases.dropText": "Drag & Drop your plant image here, or click to select a file.",
+    "diseases.diagnose": "Diagnose Plant",
+    "diseases.analyzing": "Analyzing...",
+    "diseases.resultsTitle": "Diagnosis Results:",
+    "diseases.disease": "Disease Detected:",
+    "diseases.severity": "Severity:",
+    "diseases.treatment": "Recommended Treatment:",
+    "diseases.nutrients": "Nutrient & Water Status:",
+    "diseases.advice": "Additional Advice:",
+    "diseases.chatTitle": "Plant Doctor AI Chatbot",
+    "diseases.chatGreeting": "Hello! How can I help you with your plants today?",
+    "diseases.title": "Plant Doctor AI - Diagnose & Cure Your Plants",
+    "diseases.chatPlaceholder": "Ask a question...",
+    "diseases.typing": "Typing...",
+    "diseases.chatError": "Sorry, the AI did not return an answer. Check API key or try again.",
+    "diseases.uploadImage": "Please upload an image file.",
+    "diseases.uploadFirst": "Please upload a plant image first.",
+    "diseases.unclear": "Unclear result",
+    "diseases.unclearText": "The AI could not produce a clear diagnosis for this photo. Please try again with a closer, well-lit image of the affected leaf.",
+    "diseases.consultExpert": "Consult a local expert if problem persists.",
+    "diseases.waiting": "Waiting for connection",
+    "diseases.queuedText": "You are offline, so the photo has been saved on this device. It will be sent for diagnosis as soon as the connection returns, and the result will appear here (or the next time you open this page).",
+    "diseases.error": "Error",
+    "diseases.queuedResult": "{disease} (photo queued {age})",
+    "diseases.queuedFailed": "The photo queued {age} could not be diagnosed: {message}",
+    // AI assistant page
+    "assistant.title": "AgriGuide AI - Your Education & Career Guide",
+    "assistant.loading": "Loading AgriGuide AI...",
+    "assistant.ready": "AI Ready",
+    "assistant.processing": "AI Processing...",
+    "assistant.standby": "AI Standby",
+    "assistant.errorStatus": "AI Error",
+    "assistant.offlineStatus": "Offline - question queued",
+    "assistant.noFarm": "No farm selected",
+    "assistant.farmTitle": "Answer for one of your saved farms",
+    "assistant.threadsTitle": "Your conversations",
+    "assistant.newChat": "New Chat",
+    "assistant.newChatTitle": "Start a new conversation",
+    "assistant.renameChat": "Rename",
+    "assistant.renameChatTitle": "Rename this conversation",
+    "assistant.renamePrompt": "Name for this conversation:",
+    "assistant.deleteChat": "Delete Chat",
+    "assistant.deleteChatTitle": "Delete this conversation",
+    "assistant.deleteConfirm": 'Delete "{title}"? This cannot be undone.',
+    "assistant.untitled": "New conversation",
+    "assistant.importedTitle": "Earlier chat",
+    "assistant.summarized": "The assistant remembers the {count} earlier messages of this conversation as a summary of their key facts.",
+    "assistant.threadsFailed": "Could not load your conversations: {message}",
+    "assistant.threadFailed": "Could not update the conversation: {message}",
+    "assistant.toolsUsed": "Checked in Farmer Aid data:",
+    "assistant.tool.getForecast": "Forecast for {district}",
+    "assistant.tool.getSuitability": "{crop} suitability in {district}",
+    "assistant.tool.getDistrict": "District lookup: {name}",
+    "assistant.tool.other": "Tool: {name}",
+    "assistant.toolRunning": "{label}\u2026",
+    "assistant.toolFailed": "{label} (not available)",
+    "assistant.sources": "Sources:",
+    "assistant.placeholder": "Ask AgriGuide about courses, careers, or online work...",
+    "assistant.stopTitle": "Stop generating this answer",
+    "assistant.user": "Learner",
+    "assistant.system": "System",
+    "assistant.systemAlert": "System Alert",
+    "assistant.systemAdvisory": "System Advisory",
+    "assistant.thinking": "{ai} is thinking",
+    "assistant.greeting": "Hello {name}! I'm {ai}. I can help you with questions about agriculture, and agriculture career paths. How can I assist you today?",
+    "assistant.busy": "Please wait, I'm still processing your previous request.",
+    "assistant.blocked": "Your request could not be processed: {reason}. Please try rephrasing.",
+    "assistant.safety": "My response was blocked due to safety guidelines. Please try a different query.",
+    "assistant.empty": "I'm sorry, I encountered an issue processing your request. Could you please rephrase or try again later?",
+    "assistant.altered": "My response generation was potentially altered: {reason}.",
+    "assistant.stopped": "Response stopped.",
+    "assistant.offline": "Offline",
+    "assistant.offlineQueued": "You're offline. Your question has been saved and will be answered as soon as the connection returns.",
+    "assistant.offlineNoThread": "You're offline, and a new conversation can only be started online. Open an earlier conversation to save a question for later, or ask again when you are back online.",
+    "assistant.error": "Error: {message}. Please try again. If the issue persists, the AI service might be temporarily unavailable.",
+    "assistant.yourQuestion": "your question",
+    "assistant.queuedAnswer": "Answer to {question}, asked offline {age}:",
+    "assistant.queuedFailed": "The question {question} asked offline could not be answered: {details}. Please ask again.",
+    "assistant.queuedAnswerElsewhere": 'Your question {question}, asked offline {age}, has been answered in "{title}".',
+    "assistant.micTitle": "Hold to ask by voice",
+    "assistant.listening": "Listening... release to send",
+    "assistant.transcribing": "Transcribing...",
+    "assistant.noSpeech": "I could not hear a question in that recording. Hold the microphone button while you speak.",
+    "assistant.micDenied": "Microphone access was denied. Allow it in the browser settings to ask by voice.",
+    "assistant.micFailed": "Could not start the microphone: {message}",
+    "assistant.transcribeFailed": "Could not understand the recording: {message}",
+    "assistant.voiceOffline": "Voice questions need a connection. Please type your question instead; it will be answered when you are back online.",
+    "assistant.speakOn": "Read aloud: on",
+    "assistant.speakOff": "Read aloud: off",
+    "assistant.speakTitle": "Read answers aloud",
+    "assistant.voiceTitle": "Voice used to read answers",
+    "assistant.listen": "Listen",
+    "assistant.noVoice": "No {language} voice is installed on this device, so answers cannot be read aloud. Add one under text-to-speech in your phone or computer settings, or read the answer on screen.",
+    // About page
+    "about.title": "About Us - Farmer Aid",
+    "about.heroTitle": "About Our Mission",
+    "about.heroText": "Empowering farmers with modern technology to cultivate a healthier, more sustainable future for agriculture.",
+    "about.role": "Founder & Developer of Farmer Aid",
+    "about.bio": "With a passion for technology and a deep respect for agriculture, I created Farmer Aid to bridge the gap between farming traditions and the digital age. My goal is to provide accessible, intelligent tools that help farmers overcome challenges, increase yield, and ensure a prosperous future.",
+    "about.valuesTitle": "Our Core Values",
+    "about.innovation": "Innovation",
+    "about.innovationText": "We leverage cutting-edge AI and data analytics to provide smart, actionable insights for modern farming.",
+    "about.sustainability": "Sustainability",
+    "about.sustainabilityText": "Our tools promote eco-friendly practices, helping to conserve resources and protect the environment for future generations.",
+    "about.farmerCentric": "Farmer-Centric",
+    "about.farmerCentricText": "Everything we build is designed with the farmer in mind\u2014intuitive, reliable, and genuinely helpful for daily challenges.",
+    "about.contactTitle": "Get In Touch",
+    "about.contactText": "Have questions or feedback? I'd love to hear from you.",
+    // Home page
+    "home.title": "\u{1F33E} Farmer Aid \u2014 Pakistan",
+    "home.tagline": "Smart weather, crop guidance & disease suggestions for farmers",
+    "home.checkWeather": "Check Weather",
+    "home.exploreCrops": "Explore Crops",
+    "home.cropsTitle": "Major Crops of Pakistan",
+    "home.wheatText": "The staple food crop of Pakistan, grown mainly in Punjab and Sindh.",
+    "home.riceText": "Basmati and other rice varieties are major exports of Pakistan.",
+    "home.cottonText": 'Known as "white gold", cotton is a backbone of the textile industry.',
+    "home.sugarcaneText": "Important cash crop used for sugar and ethanol production.",
+    "home.teaserTitle": "Check Weather & Crop Advisory",
+    "home.teaserText": "Get real-time weather updates and suggestions for your crops \u{1F33E}",
+    "home.teaserButton": "Go to Weather Tool",
+    // React app (src/pages)
+    "app.homeTagline": "Smart weather, crop guidance & disease suggestions for Pakistani farmers",
+    "app.aboutPage": "About Page",
+    "app.aboutTitle": "About Farmer Aid",
+    "app.aboutText": "Farmer Aid provides weather-aware crop guidance and AI-driven disease diagnostics to help Pakistani farmers make better decisions.",
+    "app.weatherPage": "Weather Page",
+    "app.loading": "Loading\u2026",
+    "app.savedFarm": "Saved farm",
+    "app.locationNotFound": "Location not found",
+    "app.district": "{district} district, ",
+    "app.offlineTitle": "No connection: showing the forecast saved on {time}",
+    "app.temperature": "Temperature: {value}\xB0C",
+    "app.condition": "Condition: {condition}",
+    "app.trendTitle": "5-day Temperature Trend",
+    "app.gddTitle": "Growing degree days since sowing ({date})",
+    "app.gddSoFar": "{gdd} GDD so far, about {total} by the end of the forecast (base {base}\xB0C)",
+    "app.target": "{name}: {date}",
+    "app.targetClimate": "{name}: {date} (typical weather)",
+    "app.notWithinYear": "not within a year",
+    "app.aiPage": "AI Page",
+    "app.chatIntro": "Ask about crops, diseases, and weather-driven advice.",
+    "app.noMessages": "No messages yet \u2014 ask something!",
+    "app.chatInput": "Chat input",
+    "app.chatPlaceholder": "Ask AgriGuide...",
+    "app.queuedAnswer": "Answer to {question}, asked offline {age}: {answer}",
+    "app.queuedFailed": "The question {question} asked offline could not be answered: {details}",
+    "app.stoppedPartial": "{text} [stopped]",
+    "app.stopped": "Stopped.",
+    "app.noAnswer": "No answer returned. Please try rephrasing.",
+    "app.aiError": "AI service error",
+    "app.diseasesPage": "Diseases Page",
+    "app.diseasesTitle": "Plant Disease Diagnosis",
+    "app.analyze": "Analyze",
+    "app.analyzing": "Analyzing...",
+    "app.queued": "You are offline, so the photo has been saved on this device. It will be diagnosed as soon as the connection returns.",
+    "app.unclear": "The AI could not produce a clear diagnosis for this photo. Please try again with a closer, well-lit image.",
+    "app.photoQueued": "Photo queued offline {age}",
+    "app.disease": "Disease:",
+    "app.severity": "Severity:",
+    "app.treatment": "Treatment:",
+    "app.nutrientWater": "Nutrient/Water:",
+    "app.advice": "Advice:"
+  };
+  var ur = {
+    "nav.home": "\u06C1\u0648\u0645",
+    "nav.weather": "\u0645\u0648\u0633\u0645",
+    "nav.compare": "\u0645\u0648\u0627\u0632\u0646\u06C1",
+    "nav.diseases": "\u0628\u06CC\u0645\u0627\u0631\u06CC\u0627\u06BA",
+    "nav.assistant": "\u0627\u06D2 \u0622\u0626\u06CC \u0645\u0639\u0627\u0648\u0646",
+    "nav.about": "\u06C1\u0645\u0627\u0631\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA",
+    "nav.language": "\u0632\u0628\u0627\u0646",
+    "brand.name": "\u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688",
+    "brand.assistant": "\u0627\u06CC\u06AF\u0631\u06CC \u06AF\u0627\u0626\u06CC\u0688 \u0627\u06D2 \u0622\u0626\u06CC",
+    "footer.rights": "\u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u2014 \u062C\u0645\u0644\u06C1 \u062D\u0642\u0648\u0642 \u0645\u062D\u0641\u0648\u0638 \u06C1\u06CC\u06BA\u06D4",
+    "footer.rightsAssistant": "\u0627\u06CC\u06AF\u0631\u06CC \u06AF\u0627\u0626\u06CC\u0688 \u0627\u06D2 \u0622\u0626\u06CC \u2014 \u062C\u0645\u0644\u06C1 \u062D\u0642\u0648\u0642 \u0645\u062D\u0641\u0648\u0638 \u06C1\u06CC\u06BA\u06D4",
+    "footer.builtFor": "\u06A9\u0633\u0627\u0646\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u2764 \u0633\u06D2 \u062A\u06CC\u0627\u0631 \u06A9\u06CC\u0627 \u06AF\u06CC\u0627",
+    "footer.builtForPakistan": "\u067E\u0627\u06A9\u0633\u062A\u0627\u0646 \u06A9\u06D2 \u06A9\u0633\u0627\u0646\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u2764 \u0633\u06D2 \u062A\u06CC\u0627\u0631 \u06A9\u06CC\u0627 \u06AF\u06CC\u0627",
+    "footer.builtBy": "\u062A\u06CC\u0627\u0631 \u06A9\u0631\u062F\u06C1: \u0645\u062D\u0645\u062F \u0633\u0639\u062F",
+    "common.loading": "\u0644\u0648\u0688 \u06C1\u0648 \u0631\u06C1\u0627 \u06C1\u06D2...",
+    "common.error": "\u062E\u0631\u0627\u0628\u06CC:",
+    "common.cancel": "\u0645\u0646\u0633\u0648\u062E",
+    "common.save": "\u0645\u062D\u0641\u0648\u0638 \u06A9\u0631\u06CC\u06BA",
+    "common.close": "\u0628\u0646\u062F \u06A9\u0631\u06CC\u06BA",
+    "common.remove": "\u06C1\u0679\u0627\u0626\u06CC\u06BA",
+    "common.none": "\u06A9\u0648\u0626\u06CC \u0646\u06C1\u06CC\u06BA",
+    "common.send": "\u0628\u06BE\u06CC\u062C\u06CC\u06BA",
+    "common.stop": "\u0631\u0648\u06A9\u06CC\u06BA",
+    "common.requestFailed": "\u062F\u0631\u062E\u0648\u0627\u0633\u062A \u0646\u0627\u06A9\u0627\u0645 ({status})",
+    "common.apiError": "API \u062E\u0631\u0627\u0628\u06CC {status}",
+    "age.justNow": "\u0627\u0628\u06BE\u06CC \u0627\u0628\u06BE\u06CC",
+    "age.minutes": "{n} \u0645\u0646\u0679 \u067E\u06C1\u0644\u06D2",
+    "age.hours": "{n} \u06AF\u06BE\u0646\u0679\u06D2 \u067E\u06C1\u0644\u06D2",
+    "age.days": "{n} \u062F\u0646 \u067E\u06C1\u0644\u06D2",
+    "crop.wheat": "\u06AF\u0646\u062F\u0645",
+    "crop.rice": "\u0686\u0627\u0648\u0644",
+    "crop.cotton": "\u06A9\u067E\u0627\u0633",
+    "crop.sugarcane": "\u06AF\u0646\u0627",
+    "crop.maize": "\u0645\u06A9\u0626\u06CC",
+    "crop.barley": "\u062C\u0648",
+    "crop.pulses": "\u062F\u0627\u0644\u06CC\u06BA",
+    "crop.oilseeds": "\u062A\u06CC\u0644 \u06A9\u06D2 \u0628\u06CC\u062C",
+    "crop.vegetables": "\u0633\u0628\u0632\u06CC\u0627\u06BA",
+    "crop.fruits": "\u067E\u06BE\u0644",
+    "crop.potato": "\u0622\u0644\u0648",
+    "crop.other": "\u062F\u06CC\u06AF\u0631",
+    "zone.auto": "\u062E\u0648\u062F\u06A9\u0627\u0631",
+    "zone.default": "\u062E\u0648\u062F\u06A9\u0627\u0631 / \u0637\u06D2 \u0634\u062F\u06C1",
+    "zone.Punjab": "\u067E\u0646\u062C\u0627\u0628",
+    "zone.Sindh": "\u0633\u0646\u062F\u06BE",
+    "zone.KPK": "\u062E\u06CC\u0628\u0631 \u067E\u062E\u062A\u0648\u0646\u062E\u0648\u0627",
+    "zone.Balochistan": "\u0628\u0644\u0648\u0686\u0633\u062A\u0627\u0646",
+    "zone.Gilgit": "\u06AF\u0644\u06AF\u062A",
+    "zone.Islamabad": "\u0627\u0633\u0644\u0627\u0645 \u0622\u0628\u0627\u062F",
+    "level.Low": "\u06A9\u0645",
+    "level.Moderate": "\u062F\u0631\u0645\u06CC\u0627\u0646\u06C1",
+    "level.High": "\u0632\u06CC\u0627\u062F\u06C1",
+    "levelPhrase.Low": "\u06A9\u0645",
+    "levelPhrase.Moderate": "\u062F\u0631\u0645\u06CC\u0627\u0646\u06C1",
+    "levelPhrase.High": "\u0632\u06CC\u0627\u062F\u06C1",
+    "severity.mild": "\u0645\u0639\u0645\u0648\u0644\u06CC",
+    "severity.moderate": "\u062F\u0631\u0645\u06CC\u0627\u0646\u06CC",
+    "severity.severe": "\u0634\u062F\u06CC\u062F",
+    "severity.unknown": "\u0646\u0627\u0645\u0639\u0644\u0648\u0645",
+    "weatherCode.0": "\u0635\u0627\u0641 \u0622\u0633\u0645\u0627\u0646",
+    "weatherCode.1": "\u0632\u06CC\u0627\u062F\u06C1 \u062A\u0631 \u0635\u0627\u0641",
+    "weatherCode.2": "\u062C\u0632\u0648\u06CC \u0627\u0628\u0631 \u0622\u0644\u0648\u062F",
+    "weatherCode.3": "\u0645\u06A9\u0645\u0644 \u0627\u0628\u0631 \u0622\u0644\u0648\u062F",
+    "weatherCode.45": "\u062F\u06BE\u0646\u062F",
+    "weatherCode.48": "\u06A9\u06C1\u0631 \u0648\u0627\u0644\u06CC \u062F\u06BE\u0646\u062F",
+    "weatherCode.51": "\u06C1\u0644\u06A9\u06CC \u0628\u0648\u0646\u062F\u0627 \u0628\u0627\u0646\u062F\u06CC",
+    "weatherCode.53": "\u062F\u0631\u0645\u06CC\u0627\u0646\u06CC \u0628\u0648\u0646\u062F\u0627 \u0628\u0627\u0646\u062F\u06CC",
+    "weatherCode.55": "\u062A\u06CC\u0632 \u0628\u0648\u0646\u062F\u0627 \u0628\u0627\u0646\u062F\u06CC",
+    "weatherCode.56": "\u062C\u0645\u0646\u06D2 \u0648\u0627\u0644\u06CC \u0628\u0648\u0646\u062F\u0627 \u0628\u0627\u0646\u062F\u06CC",
+    "weatherCode.57": "\u062A\u06CC\u0632 \u062C\u0645\u0646\u06D2 \u0648\u0627\u0644\u06CC \u0628\u0648\u0646\u062F\u0627 \u0628\u0627\u0646\u062F\u06CC",
+    "weatherCode.61": "\u06C1\u0644\u06A9\u06CC \u0628\u0627\u0631\u0634",
+    "weatherCode.63": "\u062F\u0631\u0645\u06CC\u0627\u0646\u06CC \u0628\u0627\u0631\u0634",
+    "weatherCode.65": "\u062A\u06CC\u0632 \u0628\u0627\u0631\u0634",
+    "weatherCode.66": "\u06C1\u0644\u06A9\u06CC \u062C\u0645\u0646\u06D2 \u0648\u0627\u0644\u06CC \u0628\u0627\u0631\u0634",
+    "weatherCode.67": "\u062A\u06CC\u0632 \u062C\u0645\u0646\u06D2 \u0648\u0627\u0644\u06CC \u0628\u0627\u0631\u0634",
+    "weatherCode.71": "\u06C1\u0644\u06A9\u06CC \u0628\u0631\u0641 \u0628\u0627\u0631\u06CC",
+    "weatherCode.73": "\u062F\u0631\u0645\u06CC\u0627\u0646\u06CC \u0628\u0631\u0641 \u0628\u0627\u0631\u06CC",
+    "weatherCode.75": "\u0634\u062F\u06CC\u062F \u0628\u0631\u0641 \u0628\u0627\u0631\u06CC",
+    "weatherCode.77": "\u0628\u0631\u0641 \u06A9\u06D2 \u062F\u0627\u0646\u06D2",
+    "weatherCode.80": "\u06C1\u0644\u06A9\u06CC \u0628\u0648\u0686\u06BE\u0627\u0691",
+    "weatherCode.81": "\u062F\u0631\u0645\u06CC\u0627\u0646\u06CC \u0628\u0648\u0686\u06BE\u0627\u0691",
+    "weatherCode.82": "\u0634\u062F\u06CC\u062F \u0628\u0648\u0686\u06BE\u0627\u0691",
+    "weatherCode.85": "\u06C1\u0644\u06A9\u06CC \u0628\u0631\u0641\u0627\u0646\u06CC \u0628\u0648\u0686\u06BE\u0627\u0691",
+    "weatherCode.86": "\u0634\u062F\u06CC\u062F \u0628\u0631\u0641\u0627\u0646\u06CC \u0628\u0648\u0686\u06BE\u0627\u0691",
+    "weatherCode.95": "\u06AF\u0631\u062C \u0686\u0645\u06A9 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u0637\u0648\u0641\u0627\u0646",
+    "weatherCode.96": "\u0637\u0648\u0641\u0627\u0646 \u0627\u0648\u0631 \u06C1\u0644\u06A9\u06CC \u0698\u0627\u0644\u06C1 \u0628\u0627\u0631\u06CC",
+    "weatherCode.99": "\u0637\u0648\u0641\u0627\u0646 \u0627\u0648\u0631 \u0634\u062F\u06CC\u062F \u0698\u0627\u0644\u06C1 \u0628\u0627\u0631\u06CC",
+    "weatherCode.unknown": "\u0646\u0627\u0645\u0639\u0644\u0648\u0645",
+    "suitability.status.Suitable": "\u0645\u0648\u0632\u0648\u06BA",
+    "suitability.status.Marginal": "\u062C\u0632\u0648\u06CC \u0645\u0648\u0632\u0648\u06BA",
+    "suitability.status.Unsuitable": "\u063A\u06CC\u0631 \u0645\u0648\u0632\u0648\u06BA",
+    "suitability.reason.extremeHeat": "\u062F\u0646 \u0645\u06CC\u06BA \u0634\u062F\u06CC\u062F \u06AF\u0631\u0645\u06CC (\u0627\u0648\u0633\u0637 \u0632\u06CC\u0627\u062F\u06C1 \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 > 40\xB0C)\u060C \u063A\u0627\u0644\u0628\u0627\u064B \u063A\u06CC\u0631 \u0645\u0648\u0632\u0648\u06BA\u06D4",
+    "suitability.reason.extremeCold": "\u0631\u0627\u062A \u06A9\u0627 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A \u0628\u06C1\u062A \u06A9\u0645 (\u0627\u0648\u0633\u0637 \u06A9\u0645 \u0627\u0632 \u06A9\u0645 < -5\xB0C)\u060C \u063A\u0627\u0644\u0628\u0627\u064B \u063A\u06CC\u0631 \u0645\u0648\u0632\u0648\u06BA\u06D4",
+    "suitability.reason.hotDry": "\u0628\u06C1\u062A \u06AF\u0631\u0645 \u0627\u0648\u0631 \u062E\u0634\u06A9 \u0645\u0648\u0633\u0645 \u2014 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u0632\u06CC\u0627\u062F\u06C1 \u0636\u0631\u0648\u0631\u062A \u0627\u0648\u0631 \u06AF\u0631\u0645\u06CC \u06A9\u06D2 \u062F\u0628\u0627\u0624 \u06A9\u0627 \u062E\u0637\u0631\u06C1\u06D4",
+    "suitability.reason.dayAbove": "\u062F\u0646 \u06A9\u0627 \u0627\u0648\u0633\u0637 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A ({value}\xB0C) {crop} \u06A9\u06D2 \u0644\u06CC\u06D2 \u062A\u062C\u0648\u06CC\u0632 \u06A9\u0631\u062F\u06C1 \u0628\u0627\u0644\u0627\u0626\u06CC \u062D\u062F \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u06C1\u06D2\u06D4",
+    "suitability.reason.dayBelow": "\u062F\u0646 \u06A9\u0627 \u0627\u0648\u0633\u0637 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A ({value}\xB0C) {crop} \u06A9\u06CC \u0639\u0627\u0645 \u0646\u0686\u0644\u06CC \u062D\u062F \u0633\u06D2 \u06A9\u0645 \u06C1\u06D2\u06D4",
+    "suitability.reason.nightAbove": "\u0631\u0627\u062A \u06A9\u0627 \u0627\u0648\u0633\u0637 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A ({value}\xB0C) {crop} \u06A9\u06CC \u0645\u062B\u0627\u0644\u06CC \u0628\u0627\u0644\u0627\u0626\u06CC \u062D\u062F \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u06C1\u06D2\u06D4",
+    "suitability.reason.nightBelow": "\u0631\u0627\u062A \u06A9\u0627 \u0627\u0648\u0633\u0637 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A ({value}\xB0C) {crop} \u06A9\u06CC \u0645\u062B\u0627\u0644\u06CC \u0646\u0686\u0644\u06CC \u062D\u062F \u0633\u06D2 \u06A9\u0645 \u06C1\u06D2\u06D4",
+    "suitability.reason.soilCold": "\u0632\u0645\u06CC\u0646 \u06A9\u0627 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A (~{value}\xB0C) {crop} \u06A9\u06D2 \u0627\u06AF\u0627\u0624 \u06A9\u06D2 \u0644\u06CC\u06D2 \u062A\u062C\u0648\u06CC\u0632 \u06A9\u0631\u062F\u06C1 \u06A9\u0645 \u0627\u0632 \u06A9\u0645 ({limit}\xB0C) \u0633\u06D2 \u06A9\u0645 \u06C1\u06D2\u06D4",
+    "suitability.reason.lowRain": "\u0645\u062A\u0648\u0642\u0639 \u0628\u0627\u0631\u0634 ({days} \u062F\u0646\u0648\u06BA \u0645\u06CC\u06BA {value} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631) \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u06D2 \u0628\u063A\u06CC\u0631 {crop} \u06A9\u06D2 \u0644\u06CC\u06D2 \u0646\u0627\u06A9\u0627\u0641\u06CC \u06C1\u0648 \u0633\u06A9\u062A\u06CC \u06C1\u06D2\u06D4",
+    "stageRisk.heat": "{stage} \u06A9\u06D2 \u062F\u0648\u0631\u0627\u0646 {date} \u0633\u06D2 {days} \u062F\u0646 \u06AF\u0631\u0645\u06CC {value}\xB0C \u062A\u06A9 (\u0646\u0627\u0632\u06A9 \u062D\u062F {limit}\xB0C \u0633\u06D2 \u0627\u0648\u067E\u0631)\u06D4",
+    "stageRisk.frost": "{stage} \u06A9\u06D2 \u062F\u0648\u0631\u0627\u0646 {date} \u0633\u06D2 {days} \u062F\u0646 \u06A9\u0648\u0631\u0627 {value}\xB0C \u062A\u06A9 (\u0646\u0627\u0632\u06A9 \u062D\u062F {limit}\xB0C \u06CC\u0627 \u0627\u0633 \u0633\u06D2 \u06A9\u0645)\u06D4",
+    "weather.title": "\u{1F33E} \u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u2014 \u0645\u0648\u0633\u0645 \u0627\u0648\u0631 \u0641\u0635\u0644 \u06A9\u06CC \u0645\u0639\u0644\u0648\u0645\u0627\u062A",
+    "weather.heroTitle": "\u0645\u0648\u0633\u0645 \u0627\u0648\u0631 \u0641\u0635\u0644 \u06A9\u06CC \u062C\u062F\u06CC\u062F \u0645\u0639\u0644\u0648\u0645\u0627\u062A",
+    "weather.heroTagline": "\u067E\u0627\u06A9\u0633\u062A\u0627\u0646 \u0645\u06CC\u06BA \u0627\u067E\u0646\u06CC \u0641\u0635\u0644\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 5 \u062F\u0646 \u06A9\u06CC \u062F\u0631\u0633\u062A \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u0627\u0648\u0631 \u0639\u0645\u0644\u06CC \u0645\u0634\u0648\u0631\u06D2 \u062D\u0627\u0635\u0644 \u06A9\u0631\u06CC\u06BA\u06D4 \u0635\u062D\u062A \u0645\u0646\u062F \u0641\u0635\u0644 \u0627\u0648\u0631 \u0628\u06C1\u062A\u0631 \u067E\u06CC\u062F\u0627\u0648\u0627\u0631 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0633\u0648\u0686 \u0633\u0645\u062C\u06BE \u06A9\u0631 \u0641\u06CC\u0635\u0644\u06D2 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "weather.checkWeather": "\u0645\u0648\u0633\u0645 \u062F\u06CC\u06A9\u06BE\u06CC\u06BA",
+    "weather.viewForecast": "\u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u062F\u06CC\u06A9\u06BE\u06CC\u06BA",
+    "weather.cityPlaceholder": "\u0634\u06C1\u0631 \u06A9\u0627 \u0646\u0627\u0645 \u0644\u06A9\u06BE\u06CC\u06BA (\u0645\u062B\u0644\u0627\u064B \u0644\u0627\u06C1\u0648\u0631\u060C \u0645\u0644\u062A\u0627\u0646)",
+    "weather.search": "\u062A\u0644\u0627\u0634 \u06A9\u0631\u06CC\u06BA",
+    "weather.useLocation": "\u0645\u06CC\u0631\u0627 \u0645\u0642\u0627\u0645 \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u0631\u06CC\u06BA",
+    "weather.loadFarm": "\u0645\u062D\u0641\u0648\u0638 \u06A9\u06BE\u06CC\u062A \u06A9\u06BE\u0648\u0644\u06CC\u06BA",
+    "weather.myFarms": "\u0645\u06CC\u0631\u06D2 \u06A9\u06BE\u06CC\u062A\u2026",
+    "weather.sowingDate": "\u0628\u0648\u0627\u0626\u06CC (\u06CC\u0627 \u067E\u0646\u06CC\u0631\u06CC \u06A9\u06CC \u0645\u0646\u062A\u0642\u0644\u06CC) \u06A9\u06CC \u062A\u0627\u0631\u06CC\u062E",
+    "weather.zoneSelect": "\u0635\u0648\u0628\u06C1/\u0639\u0644\u0627\u0642\u06C1 \u0645\u0646\u062A\u062E\u0628 \u06A9\u0631\u06CC\u06BA \u06CC\u0627 \u062E\u0648\u062F\u06A9\u0627\u0631",
+    "weather.editThresholds": "\u062D\u062F\u0648\u062F \u0645\u06CC\u06BA \u062A\u0631\u0645\u06CC\u0645 \u06A9\u0631\u06CC\u06BA",
+    "weather.refresh": "\u067E\u0686\u06BE\u0644\u0627 \u0645\u0642\u0627\u0645/\u062A\u0644\u0627\u0634 \u062F\u0648\u0628\u0627\u0631\u06C1 \u0644\u0648\u0688 \u06A9\u0631\u06CC\u06BA",
+    "weather.alertsOn": "\u0627\u0633 \u062C\u06AF\u06C1 \u06A9\u06D2 \u0645\u0648\u0633\u0645\u06CC \u0627\u0646\u062A\u0628\u0627\u06C1\u0627\u062A \u062D\u0627\u0635\u0644 \u06A9\u0631\u06CC\u06BA",
+    "weather.alertsOff": "{place} \u06A9\u06D2 \u0645\u0648\u0633\u0645\u06CC \u0627\u0646\u062A\u0628\u0627\u06C1\u0627\u062A \u0628\u0646\u062F \u06A9\u0631\u06CC\u06BA",
+    "weather.alertsSubscribed": "{place} ({crop}) \u06A9\u06D2 \u0645\u0648\u0633\u0645\u06CC \u0627\u0646\u062A\u0628\u0627\u06C1\u0627\u062A \u0686\u0627\u0644\u0648 \u06C1\u06CC\u06BA: \u06A9\u06C1\u0631\u060C \u06AF\u0631\u0645\u06CC \u0627\u0648\u0631 \u0634\u062F\u06CC\u062F \u0628\u0627\u0631\u0634 \u06A9\u06CC \u0648\u0627\u0631\u0646\u0646\u06AF \u0627\u0637\u0644\u0627\u0639 \u06A9\u06D2 \u0637\u0648\u0631 \u067E\u0631 \u0622\u0626\u06D2 \u06AF\u06CC\u06D4",
+    "weather.alertsUnsubscribed": "\u0645\u0648\u0633\u0645\u06CC \u0627\u0646\u062A\u0628\u0627\u06C1\u0627\u062A \u0628\u0646\u062F \u06A9\u0631 \u062F\u06CC\u06D2 \u06AF\u0626\u06D2\u06D4",
+    "weather.alertsDenied": "\u0627\u0633 \u0633\u0627\u0626\u0679 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0627\u0637\u0644\u0627\u0639\u0627\u062A \u0628\u0646\u062F \u06C1\u06CC\u06BA\u06D4 \u0627\u0646\u062A\u0628\u0627\u06C1\u0627\u062A \u06A9\u06D2 \u0644\u06CC\u06D2 \u0628\u0631\u0627\u0624\u0632\u0631 \u06A9\u06CC \u062A\u0631\u062A\u06CC\u0628\u0627\u062A \u0645\u06CC\u06BA \u0627\u062C\u0627\u0632\u062A \u062F\u06CC\u06BA\u06D4",
+    "weather.alertsUnavailable": "\u0627\u0633 \u0633\u0631\u0648\u0631 \u067E\u0631 \u0645\u0648\u0633\u0645\u06CC \u0627\u0646\u062A\u0628\u0627\u06C1\u0627\u062A \u062A\u0631\u062A\u06CC\u0628 \u0646\u06C1\u06CC\u06BA \u062F\u06CC\u06D2 \u06AF\u0626\u06D2\u06D4",
+    "weather.alertsUnsupported": "\u06CC\u06C1 \u0628\u0631\u0627\u0624\u0632\u0631 \u0627\u0637\u0644\u0627\u0639\u0627\u062A \u0646\u06C1\u06CC\u06BA \u062F\u06A9\u06BE\u0627 \u0633\u06A9\u062A\u0627\u06D4",
+    "weather.alertsFailed": "\u0645\u0648\u0633\u0645\u06CC \u0627\u0646\u062A\u0628\u0627\u06C1\u0627\u062A \u062A\u0628\u062F\u06CC\u0644 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06D2: {error}",
+    "weather.fetching": "\u0645\u0648\u0633\u0645 \u06A9\u06CC \u0645\u0639\u0644\u0648\u0645\u0627\u062A \u0644\u0627\u0626\u06CC \u062C\u0627 \u0631\u06C1\u06CC \u06C1\u06CC\u06BA...",
+    "weather.currentWeather": "\u0645\u0648\u062C\u0648\u062F\u06C1 \u0645\u0648\u0633\u0645",
+    "weather.feelsLike": "\u0645\u062D\u0633\u0648\u0633 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A:",
+    "weather.humidityMaxMin": "\u0646\u0645\u06CC (\u0632\u06CC\u0627\u062F\u06C1/\u06A9\u0645):",
+    "weather.windSpeed": "\u06C1\u0648\u0627 \u06A9\u06CC \u0631\u0641\u062A\u0627\u0631:",
+    "weather.sunriseSunset": "\u0637\u0644\u0648\u0639 / \u063A\u0631\u0648\u0628 \u0622\u0641\u062A\u0627\u0628:",
+    "weather.forecastTitle": "5 \u062F\u0646 \u06A9\u06CC \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC",
+    "weather.normalTitle": "\u0645\u0639\u0645\u0648\u0644 \u0633\u06D2 \u0645\u0648\u0627\u0632\u0646\u06C1",
+    "weather.normalDay": "\u062F\u0646",
+    "weather.normalMax": "\u0632\u06CC\u0627\u062F\u06C1 \xB0C",
+    "weather.normalMin": "\u06A9\u0645 \xB0C",
+    "weather.normalRain": "\u0628\u0627\u0631\u0634 \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631",
+    "weather.suitabilityTitle": "\u0641\u0635\u0644 \u06A9\u06CC \u0645\u0648\u0632\u0648\u0646\u06CC\u062A",
+    "weather.advisoryTitle": "\u0627\u06D2 \u0622\u0626\u06CC \u0641\u0635\u0644 \u0645\u0634\u0648\u0631\u06C1",
+    "weather.careTitle": "\u0641\u0635\u0644 \u06A9\u06CC \u062F\u06CC\u06A9\u06BE \u0628\u06BE\u0627\u0644",
+    "weather.fertilizer": "\u06A9\u06BE\u0627\u062F",
+    "weather.watering": "\u0622\u0628\u067E\u0627\u0634\u06CC",
+    "weather.pests": "\u06A9\u06CC\u0691\u0648\u06BA \u0627\u0648\u0631 \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u0633\u06D2 \u0628\u0686\u0627\u0624",
+    "weather.gddTitle": "\u062D\u0631\u0627\u0631\u062A\u06CC \u0627\u06A9\u0627\u0626\u06CC\u0627\u06BA (GDD)",
+    "weather.unavailable": "\u062F\u0633\u062A\u06CC\u0627\u0628 \u0646\u06C1\u06CC\u06BA",
+    "weather.yourLocation": "\u0622\u067E \u06A9\u0627 \u0645\u0642\u0627\u0645",
+    "weather.enterCity": "\u0628\u0631\u0627\u06C1 \u06A9\u0631\u0645 \u0634\u06C1\u0631 \u06A9\u0627 \u0646\u0627\u0645 \u0644\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "weather.noGeolocation": "\u0622\u067E \u06A9\u0627 \u0628\u0631\u0627\u0624\u0632\u0631 \u0645\u0642\u0627\u0645 \u0645\u0639\u0644\u0648\u0645 \u06A9\u0631\u0646\u06D2 \u06A9\u06CC \u0633\u06C1\u0648\u0644\u062A \u0646\u06C1\u06CC\u06BA \u0631\u06A9\u06BE\u062A\u0627\u06D4",
+    "weather.locationFailed": "\u0622\u067E \u06A9\u0627 \u0645\u0642\u0627\u0645 \u0645\u0639\u0644\u0648\u0645 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u0627\u06D4 \u0628\u0631\u0627\u06C1 \u06A9\u0631\u0645 \u0634\u06C1\u0631 \u06A9\u06D2 \u0646\u0627\u0645 \u0633\u06D2 \u062A\u0644\u0627\u0634 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "weather.noPreviousLocation": "\u062F\u0648\u0628\u0627\u0631\u06C1 \u0644\u0648\u0688 \u06A9\u0631\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u0648\u0626\u06CC \u067E\u0686\u06BE\u0644\u0627 \u0645\u0642\u0627\u0645 \u0646\u06C1\u06CC\u06BA\u06D4",
+    "weather.lookupFailed": "\u0645\u0642\u0627\u0645 \u062A\u0644\u0627\u0634 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u0627\u06D4",
+    "weather.cityNotFound": "\u0634\u06C1\u0631 \u0646\u06C1\u06CC\u06BA \u0645\u0644\u0627\u06D4 \u062F\u0648\u0633\u0631\u0627 \u06C1\u062C\u0627 \u06CC\u0627 \u0642\u0631\u06CC\u0628\u06CC \u0634\u06C1\u0631 \u0622\u0632\u0645\u0627\u0626\u06CC\u06BA\u06D4",
+    "weather.geocodeFailed": "\u0645\u0642\u0627\u0645 \u06A9\u06D2 \u06A9\u0648\u0622\u0631\u0688\u06CC\u0646\u06CC\u0679\u0633 \u0646\u06C1\u06CC\u06BA \u0645\u0644 \u0633\u06A9\u06D2\u06D4 \u0628\u0631\u0627\u06C1 \u06A9\u0631\u0645 \u0628\u0639\u062F \u0645\u06CC\u06BA \u06A9\u0648\u0634\u0634 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "weather.fetchFailed": "\u0633\u0631\u0648\u0631 \u0633\u06D2 \u0645\u0648\u0633\u0645 \u06A9\u06CC \u0645\u0639\u0644\u0648\u0645\u0627\u062A \u0646\u06C1\u06CC\u06BA \u0645\u0644 \u0633\u06A9\u06CC\u06BA\u06D4",
+    "weather.unexpectedResponse": "\u0645\u0648\u0633\u0645 \u06A9\u0627 \u063A\u06CC\u0631 \u0645\u062A\u0648\u0642\u0639 \u062C\u0648\u0627\u0628\u06D4 \u0628\u0631\u0627\u06C1 \u06A9\u0631\u0645 \u062F\u0648\u0628\u0627\u0631\u06C1 \u06A9\u0648\u0634\u0634 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "weather.connectionFailed": "\u0645\u0648\u0633\u0645 \u06A9\u06CC \u0645\u0639\u0644\u0648\u0645\u0627\u062A \u0646\u06C1\u06CC\u06BA \u0645\u0644 \u0633\u06A9\u06CC\u06BA\u06D4 \u0627\u0646\u0679\u0631\u0646\u06CC\u0679 \u06A9\u0646\u06A9\u0634\u0646 \u0686\u06CC\u06A9 \u06A9\u0631\u06CC\u06BA \u06CC\u0627 \u062F\u0648\u0628\u0627\u0631\u06C1 \u06A9\u0648\u0634\u0634 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "weather.unexpectedError": "\u0627\u06CC\u06A9 \u063A\u06CC\u0631 \u0645\u062A\u0648\u0642\u0639 \u062E\u0631\u0627\u0628\u06CC \u067E\u06CC\u0634 \u0622\u0626\u06CC: {message}",
+    "weather.detectedZone": "\u0634\u0646\u0627\u062E\u062A \u0634\u062F\u06C1 \u0635\u0648\u0628\u06C1/\u0639\u0644\u0627\u0642\u06C1: {zone}",
+    "weather.detectedDistrict": "\u0627\u0646\u062F\u0627\u0632\u0627\u064B \u0636\u0644\u0639: {district} (\u0627\u0636\u0644\u0627\u0639 \u06A9\u06CC \u0641\u06C1\u0631\u0633\u062A \u0633\u06D2)",
+    "weather.humidity": "\u0646\u0645\u06CC: {min}% - {max}%",
+    "weather.rain": "\u0628\u0627\u0631\u0634: {mm} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631",
+    "weather.noRain": "\u0628\u0627\u0631\u0634 \u0646\u06C1\u06CC\u06BA",
+    "weather.forecastAge": "\u0622\u0641 \u0644\u0627\u0626\u0646 \xB7 \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC {age}",
+    "weather.forecastAgeTitle": "\u06A9\u0646\u06A9\u0634\u0646 \u0646\u06C1\u06CC\u06BA: {date} \u06A9\u0648 \u0645\u062D\u0641\u0648\u0638 \u06A9\u06CC \u06AF\u0626\u06CC \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u062F\u06A9\u06BE\u0627\u0626\u06CC \u062C\u0627 \u0631\u06C1\u06CC \u06C1\u06D2\u06D4 \u0622\u0646 \u0644\u0627\u0626\u0646 \u06C1\u0648\u0646\u06D2 \u067E\u0631 \u062F\u0648\u0628\u0627\u0631\u06C1 \u0644\u0648\u0688 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "soil.sand": "\u0631\u06CC\u062A\u0644\u06CC",
+    "soil.loamySand": "\u0645\u06CC\u0631\u0627 \u0631\u06CC\u062A\u0644\u06CC",
+    "soil.sandyLoam": "\u0631\u06CC\u062A\u0644\u06CC \u0645\u06CC\u0631\u0627",
+    "soil.loam": "\u0645\u06CC\u0631\u0627",
+    "soil.siltLoam": "\u0628\u06BE\u0644 \u062F\u0627\u0631 \u0645\u06CC\u0631\u0627",
+    "soil.clayLoam": "\u0686\u06A9\u0646\u06CC \u0645\u06CC\u0631\u0627",
+    "soil.clay": "\u0686\u06A9\u0646\u06CC",
+    "soil.title": "\u0632\u0645\u06CC\u0646 \u06A9\u06CC \u0642\u0633\u0645",
+    "irrigationMethod.flood": "\u06A9\u06BE\u0644\u0627 \u067E\u0627\u0646\u06CC / \u06A9\u06CC\u0627\u0631\u06CC",
+    "irrigationMethod.furrow": "\u06A9\u06BE\u06CC\u0644\u06CC\u0627\u06BA",
+    "irrigationMethod.drip": "\u0688\u0631\u067E",
+    "irrigationMethod.title": "\u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u0627 \u0637\u0631\u06CC\u0642\u06C1",
+    "irrigationLog.date": "\u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u06CC \u062A\u0627\u0631\u06CC\u062E",
+    "irrigationLog.depth": "\u062F\u06CC\u0627 \u06AF\u06CC\u0627 \u067E\u0627\u0646\u06CC (\u0645\u0644\u06CC \u0645\u06CC\u0679\u0631\u061B 1 \u0627\u0646\u0686 = 25.4 \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631)",
+    "irrigationLog.log": "\u062F\u0631\u062C \u06A9\u0631\u06CC\u06BA",
+    "irrigationLog.entry": "\u0622\u0628\u067E\u0627\u0634\u06CC {date}: {mm} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631",
+    "thresholds.title": "\u062D\u062F\u0648\u062F \u0645\u06CC\u06BA \u062A\u0631\u0645\u06CC\u0645",
+    "thresholds.crop": "\u0641\u0635\u0644",
+    "thresholds.zone": "\u0639\u0644\u0627\u0642\u06C1",
+    "thresholds.idealMaxLower": "\u0645\u062B\u0627\u0644\u06CC \u0632\u06CC\u0627\u062F\u06C1 \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u2014 \u0646\u0686\u0644\u06CC \u062D\u062F",
+    "thresholds.idealMaxUpper": "\u0645\u062B\u0627\u0644\u06CC \u0632\u06CC\u0627\u062F\u06C1 \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u2014 \u0628\u0627\u0644\u0627\u0626\u06CC \u062D\u062F",
+    "thresholds.idealMinLower": "\u0645\u062B\u0627\u0644\u06CC \u06A9\u0645 \u0627\u0632 \u06A9\u0645 \u2014 \u0646\u0686\u0644\u06CC \u062D\u062F",
+    "thresholds.idealMinUpper": "\u0645\u062B\u0627\u0644\u06CC \u06A9\u0645 \u0627\u0632 \u06A9\u0645 \u2014 \u0628\u0627\u0644\u0627\u0626\u06CC \u062D\u062F",
+    "thresholds.minSoilTemp": "\u0632\u0645\u06CC\u0646 \u06A9\u0627 \u06A9\u0645 \u0627\u0632 \u06A9\u0645 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A (\xB0C)",
+    "thresholds.minTotalRain5d": "\u06A9\u0645 \u0627\u0632 \u06A9\u0645 \u06A9\u0644 \u0628\u0627\u0631\u0634 (5 \u062F\u0646\u060C \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631)",
+    "thresholds.reset": "\u0637\u06D2 \u0634\u062F\u06C1 \u062D\u062F\u0648\u062F \u0628\u062D\u0627\u0644 \u06A9\u0631\u06CC\u06BA",
+    "thresholds.saved": "{crop} ({zone}) \u06A9\u06D2 \u0644\u06CC\u06D2 \u062D\u062F\u0648\u062F \u0645\u062D\u0641\u0648\u0638 \u06C1\u0648 \u06AF\u0626\u06CC\u06BA\u06D4",
+    "thresholds.resetDone": "{crop} ({zone}) \u06A9\u06CC \u0627\u067E\u0646\u06CC \u062D\u062F\u0648\u062F \u062E\u062A\u0645 \u06A9\u0631 \u062F\u06CC \u06AF\u0626\u06CC\u06BA\u06D4",
+    "thresholds.undo": "\u0648\u0627\u067E\u0633 \u0644\u06CC\u06BA",
+    "thresholds.restored": "{crop} ({zone}) \u06A9\u06CC \u0627\u067E\u0646\u06CC \u062D\u062F\u0648\u062F \u0628\u062D\u0627\u0644 \u06C1\u0648 \u06AF\u0626\u06CC\u06BA\u06D4",
+    "thresholds.shareTitle": "\u0634\u06CC\u0626\u0631 \u0627\u0648\u0631 \u06C1\u0645 \u0622\u06C1\u0646\u06AF\u06CC",
+    "thresholds.exportJson": "JSON \u0628\u0631\u0622\u0645\u062F \u06A9\u0631\u06CC\u06BA",
+    "thresholds.exportCsv": "CSV \u0628\u0631\u0622\u0645\u062F \u06A9\u0631\u06CC\u06BA",
+    "thresholds.import": "\u062F\u0631\u0622\u0645\u062F \u06A9\u0631\u06CC\u06BA\u2026",
+    "thresholds.nothingToExport": "\u0627\u0628\u06BE\u06CC \u0628\u0631\u0622\u0645\u062F \u06A9\u0631\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u0648\u0626\u06CC \u0645\u062D\u0641\u0648\u0638 \u062D\u062F\u0648\u062F \u0646\u06C1\u06CC\u06BA \u06C1\u06CC\u06BA\u06D4",
+    "thresholds.exported": "{count} \u0645\u062D\u0641\u0648\u0638 \u062D\u062F\u0648\u062F \u0628\u0631\u0622\u0645\u062F \u06C1\u0648 \u06AF\u0626\u06CC\u06BA\u06D4",
+    "thresholds.imported": "{file} \u0633\u06D2 {count} \u062D\u062F\u0648\u062F \u062F\u0631\u0622\u0645\u062F \u06C1\u0648 \u06AF\u0626\u06CC\u06BA\u06D4",
+    "thresholds.importInvalid": "{file} \u062F\u0631\u0622\u0645\u062F \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06CC:",
+    "thresholds.tehsilProfile": "\u062A\u062D\u0635\u06CC\u0644 \u067E\u0631\u0648\u0641\u0627\u0626\u0644",
+    "thresholds.district": "\u0636\u0644\u0639",
+    "thresholds.tehsil": "\u062A\u062D\u0635\u06CC\u0644",
+    "thresholds.tehsilOptional": "\u062A\u062D\u0635\u06CC\u0644 (\u0627\u062E\u062A\u06CC\u0627\u0631\u06CC)",
+    "thresholds.findProfiles": "\u062A\u0644\u0627\u0634 \u06A9\u0631\u06CC\u06BA",
+    "thresholds.enterDistrict": "\u0634\u0627\u0626\u0639 \u0634\u062F\u06C1 \u067E\u0631\u0648\u0641\u0627\u0626\u0644 \u062F\u06CC\u06A9\u06BE\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0636\u0644\u0639 \u062F\u0631\u062C \u06A9\u0631\u06CC\u06BA\u06D4",
+    "thresholds.noProfiles": "\u06CC\u06C1\u0627\u06BA \u0627\u0628\u06BE\u06CC \u06A9\u0648\u0626\u06CC \u067E\u0631\u0648\u0641\u0627\u0626\u0644 \u0634\u0627\u0626\u0639 \u0646\u06C1\u06CC\u06BA \u06C1\u0648\u0627\u06D4",
+    "thresholds.profilesFailed": "\u0634\u0627\u0626\u0639 \u0634\u062F\u06C1 \u067E\u0631\u0648\u0641\u0627\u0626\u0644 \u0644\u0648\u0688 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06D2\u06D4",
+    "thresholds.notSubscribed": "\u06A9\u0633\u06CC \u062A\u062D\u0635\u06CC\u0644 \u067E\u0631\u0648\u0641\u0627\u0626\u0644 \u06A9\u06CC \u0631\u06A9\u0646\u06CC\u062A \u0646\u06C1\u06CC\u06BA \u0644\u06CC \u06AF\u0626\u06CC\u06D4",
+    "thresholds.subscribedTo": "\u062C\u06C1\u0627\u06BA \u0622\u067E \u0646\u06D2 \u0627\u067E\u0646\u06CC \u062D\u062F\u0648\u062F \u0645\u0642\u0631\u0631 \u0646\u06C1\u06CC\u06BA \u06A9\u06CC\u06BA \u0648\u06C1\u0627\u06BA {name} (\u0646\u0638\u0631\u0650 \u062B\u0627\u0646\u06CC {revision}\u060C {date}) \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06C1\u0648 \u0631\u06C1\u0627 \u06C1\u06D2\u06D4",
+    "thresholds.withdrawn": "\u0648\u0627\u067E\u0633 \u0644\u06CC\u0627 \u06AF\u06CC\u0627",
+    "thresholds.unsubscribe": "\u0631\u06A9\u0646\u06CC\u062A \u062E\u062A\u0645 \u06A9\u0631\u06CC\u06BA",
+    "thresholds.subscribe": "\u0631\u06A9\u0646\u06CC\u062A \u0644\u06CC\u06BA",
+    "thresholds.subscribed": "\u0631\u06A9\u0646\u06CC\u062A \u0644\u06CC \u06C1\u0648\u0626\u06CC \u06C1\u06D2",
+    "thresholds.withdraw": "\u0648\u0627\u067E\u0633 \u0644\u06CC\u06BA",
+    "thresholds.revision": "\u0646\u0638\u0631\u0650 \u062B\u0627\u0646\u06CC {revision}\u060C {date}",
+    "thresholds.publishTitle": "\u0627\u067E\u0646\u06CC \u062D\u062F\u0648\u062F \u06A9\u0633\u06CC \u062A\u062D\u0635\u06CC\u0644 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0634\u0627\u0626\u0639 \u06A9\u0631\u06CC\u06BA (\u062A\u0648\u0633\u06CC\u0639\u06CC \u0627\u0641\u0633\u0631\u0627\u0646)",
+    "thresholds.profileName": "\u067E\u0631\u0648\u0641\u0627\u0626\u0644 \u06A9\u0627 \u0646\u0627\u0645",
+    "thresholds.publisher": "\u062F\u0641\u062A\u0631 / \u0627\u0641\u0633\u0631",
+    "thresholds.notes": "\u0646\u0648\u0679\u0633 (\u0645\u0648\u0633\u0645\u060C \u0645\u0627\u062E\u0630)",
+    "thresholds.publisherKey": "\u0646\u0627\u0634\u0631 \u06A9\u06CC \u06A9\u0644\u06CC\u062F",
+    "thresholds.publish": "\u0634\u0627\u0626\u0639 \u06A9\u0631\u06CC\u06BA",
+    "thresholds.published": "{name} \u0634\u0627\u0626\u0639 \u06C1\u0648 \u06AF\u06CC\u0627 (\u0646\u0638\u0631\u0650 \u062B\u0627\u0646\u06CC {revision})\u06D4",
+    "thresholds.publishInvalid": "\u067E\u0631\u0648\u0641\u0627\u0626\u0644 \u0634\u0627\u0626\u0639 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u0627:",
+    "suitability.suitableText": "\u2014 {location}{zone} \u0645\u06CC\u06BA {crop} \u06A9\u06D2 \u0644\u06CC\u06D2 \u062D\u0627\u0644\u0627\u062A \u0639\u0645\u0648\u0645\u0627\u064B \u0633\u0627\u0632\u06AF\u0627\u0631 \u06C1\u06CC\u06BA\u06D4",
+    "suitability.marginalText": "\u2014 {location}{zone} \u0645\u06CC\u06BA \u06A9\u0686\u06BE \u062D\u0627\u0644\u0627\u062A {crop} \u06A9\u06CC \u067E\u06CC\u062F\u0627\u0648\u0627\u0631 \u06A9\u0648 \u0645\u062D\u062F\u0648\u062F \u06A9\u0631 \u0633\u06A9\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4 \u0648\u062C\u0648\u06C1\u0627\u062A \u0646\u06CC\u0686\u06D2 \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "suitability.unsuitableText": "\u2014 {location}{zone} \u0645\u06CC\u06BA \u0645\u0648\u0633\u0645/\u0632\u0645\u06CC\u0646 \u06A9\u06D2 \u062D\u0627\u0644\u0627\u062A {crop} \u06A9\u06CC \u06A9\u0627\u0645\u06CC\u0627\u0628 \u067E\u06CC\u062F\u0627\u0648\u0627\u0631 \u06A9\u0648 \u0645\u062D\u062F\u0648\u062F \u06A9\u0631 \u0633\u06A9\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4",
+    "suitability.zone": " ({zone})",
+    "suitability.custom": "\u0627\u067E\u0646\u06CC \u062D\u062F\u0648\u062F",
+    "suitability.customTitle": "\u0622\u067E \u06A9\u06CC \u0627\u067E\u0646\u06CC \u062D\u062F\u0648\u062F \u0644\u0627\u06AF\u0648 \u06C1\u06CC\u06BA",
+    "suitability.profile": "\u062A\u062D\u0635\u06CC\u0644 \u067E\u0631\u0648\u0641\u0627\u0626\u0644: {name}",
+    "suitability.profileTitle": "\u0622\u067E \u06A9\u06D2 \u0645\u0646\u062A\u062E\u0628 \u06A9\u0631\u062F\u06C1 \u062A\u062D\u0635\u06CC\u0644 \u067E\u0631\u0648\u0641\u0627\u0626\u0644 \u06A9\u06CC \u062D\u062F\u0648\u062F \u0644\u0627\u06AF\u0648 \u06C1\u06CC\u06BA",
+    "suitability.keyMetrics": "\u0627\u06C1\u0645 \u0627\u0639\u062F\u0627\u062F \u0648 \u0634\u0645\u0627\u0631:",
+    "suitability.metrics": "\u0627\u0648\u0633\u0637 \u0632\u06CC\u0627\u062F\u06C1: {max}\xB0C\u060C \u0627\u0648\u0633\u0637 \u06A9\u0645: {min}\xB0C\u060C \u0628\u0627\u0631\u0634 (5 \u062F\u0646): {rain} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631",
+    "suitability.soilMetric": "\u060C \u0632\u0645\u06CC\u0646: {soil}\xB0C",
+    "suitability.reasons": "\u0648\u062C\u0648\u06C1\u0627\u062A / \u062E\u062F\u0634\u0627\u062A:",
+    "suitability.noConcerns": "\u0627\u06AF\u0644\u06D2 {days} \u062F\u0646\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u0648\u0626\u06CC \u0628\u0691\u0627 \u062E\u062F\u0634\u06C1 \u0646\u06C1\u06CC\u06BA\u06D4",
+    "suitability.note": "\u06CC\u06C1 \u062C\u0627\u0626\u0632\u06D2 \u0627\u0635\u0648\u0644\u0648\u06BA \u067E\u0631 \u0645\u0628\u0646\u06CC \u0627\u0648\u0631 \u0627\u0646\u062F\u0627\u0632\u0627\u064B \u06C1\u06CC\u06BA\u06D4 \u06A9\u06BE\u06CC\u062A \u06A9\u06CC \u0633\u0637\u062D \u06A9\u06D2 \u0641\u06CC\u0635\u0644\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u0645\u0642\u0627\u0645\u06CC \u0645\u062D\u06A9\u0645\u06C1 \u0632\u0631\u0627\u0639\u062A (\u062A\u0648\u0633\u06CC\u0639) \u0633\u06D2 \u0645\u0634\u0648\u0631\u06C1 \u06A9\u0631\u06CC\u06BA \u0627\u0648\u0631 \u0645\u0679\u06CC \u06A9\u0627 \u062A\u062C\u0632\u06CC\u06C1 \u06A9\u0631\u0648\u0627\u0626\u06CC\u06BA\u06D4",
+    "suitability.alertLabel": "\u0645\u0648\u0632\u0648\u0646\u06CC\u062A \u06A9\u06CC \u062A\u0646\u0628\u06CC\u06C1:",
+    "suitability.alert": "{location}{zone} \u0645\u06CC\u06BA {crop} \u06A9\u06D2 \u0644\u06CC\u06D2: {status}\u06D4",
+    "phenology.growthStage": "\u0646\u0634\u0648\u0648\u0646\u0645\u0627 \u06A9\u0627 \u0645\u0631\u062D\u0644\u06C1:",
+    "phenology.notSown": "\u0627\u0628\u06BE\u06CC \u0628\u0648\u0627\u0626\u06CC \u0646\u06C1\u06CC\u06BA \u06C1\u0648\u0626\u06CC \u2014 \u0628\u0648\u0627\u0626\u06CC {date} \u06A9\u0648\u06D4",
+    "phenology.summary": "{stage} \u2014 \u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 \u0628\u0639\u062F {days}\u0648\u0627\u06BA \u062F\u0646\u060C {gdd} GDD{next}\u06D4",
+    "phenology.next": "\u061B \u0627\u06AF\u0644\u0627: {stage} {when}",
+    "when.later": "\u0627\u0633 \u0633\u06CC\u0632\u0646 \u0645\u06CC\u06BA \u0628\u0639\u062F \u0645\u06CC\u06BA",
+    "when.today": "\u0622\u062C",
+    "when.ago": "{n} \u062F\u0646 \u067E\u06C1\u0644\u06D2",
+    "when.in": "{n} \u062F\u0646 \u0645\u06CC\u06BA (\u062A\u0642\u0631\u06CC\u0628\u0627\u064B {date})",
+    "task.due": "{name} ({note}) \u06A9\u0627 \u0648\u0642\u062A \u06C1\u0648 \u06AF\u06CC\u0627 \u06C1\u06D2\u06D4",
+    "task.upcoming": "{name} ({note}) \u2014 {when}\u06D4",
+    "care.comingUp": "\u0622\u06AF\u06D2 \u2014 {stage}: {note}",
+    "care.comingUpWhen": "\u0622\u06AF\u06D2 \u2014 {stage} {when}: {note}",
+    "advisory.generating": "\u0641\u0635\u0644 \u06A9\u0627 \u0645\u0634\u0648\u0631\u06C1 \u062A\u06CC\u0627\u0631 \u06C1\u0648 \u0631\u06C1\u0627 \u06C1\u06D2...",
+    "advisory.failed": "\u0641\u0635\u0644 \u06A9\u0627 \u0645\u0634\u0648\u0631\u06C1 \u062A\u06CC\u0627\u0631 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u0627\u06D4 \u0628\u0631\u0627\u06C1 \u06A9\u0631\u0645 \u0628\u0639\u062F \u0645\u06CC\u06BA \u06A9\u0648\u0634\u0634 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "advisory.sourceAi": "\u0630\u0631\u06CC\u0639\u06C1: \u0627\u06D2 \u0622\u0626\u06CC \u0645\u0627\u0688\u0644",
+    "advisory.sourceAiTitle": "\u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u06A9\u06CC \u0628\u0646\u06CC\u0627\u062F \u067E\u0631 \u0627\u06D2 \u0622\u0626\u06CC \u0645\u0627\u0688\u0644 \u0646\u06D2 \u062A\u06CC\u0627\u0631 \u06A9\u06CC\u0627",
+    "advisory.sourceRules": "\u0630\u0631\u06CC\u0639\u06C1: \u0645\u0648\u0633\u0645 \u06A9\u06D2 \u0637\u06D2 \u0634\u062F\u06C1 \u0627\u0635\u0648\u0644",
+    "advisory.sourceRulesTitle": "\u0627\u06D2 \u0622\u0626\u06CC \u0633\u0631\u0648\u0633 \u062F\u0633\u062A\u06CC\u0627\u0628 \u0646\u06C1\u06CC\u06BA \u062A\u06BE\u06CC\u060C \u0627\u0633 \u0644\u06CC\u06D2 \u0645\u0648\u0633\u0645 \u06A9\u06D2 \u0637\u06D2 \u0634\u062F\u06C1 \u0627\u0635\u0648\u0644 \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u06CC\u06D2 \u06AF\u0626\u06D2",
+    "advisory.saved": "\u0622\u0641 \u0644\u0627\u0626\u0646 \xB7 \u0645\u062D\u0641\u0648\u0638 \u0634\u062F\u06C1 {age}",
+    "advisory.savedTitle": "\u06A9\u0646\u06A9\u0634\u0646 \u0646\u06C1\u06CC\u06BA: \u06CC\u06C1 \u0645\u0634\u0648\u0631\u06C1 {date} \u06A9\u0648 \u0645\u062D\u0641\u0648\u0638 \u06A9\u06CC\u0627 \u06AF\u06CC\u0627 \u062A\u06BE\u0627",
+    "advisory.riskLabel": "{level} \u062E\u0637\u0631\u06C1",
+    "advisory.introAi": "{location} \u0645\u06CC\u06BA \u0622\u067E \u06A9\u06CC {crop} \u06A9\u06CC \u0641\u0635\u0644 \u06A9\u06D2 \u0644\u06CC\u06D2 \u06C1\u0645\u0627\u0631\u0627 \u0627\u06D2 \u0622\u0626\u06CC \u062A\u062C\u0632\u06CC\u06C1 \u0645\u0645\u06A9\u0646\u06C1 \u0645\u0633\u0627\u0626\u0644 \u06A9\u0627 {risk} \u0638\u0627\u06C1\u0631 \u06A9\u0631\u062A\u0627 \u06C1\u06D2\u06D4",
+    "advisory.introRules": "{location} \u0645\u06CC\u06BA \u0622\u067E \u06A9\u06CC {crop} \u06A9\u06CC \u0641\u0635\u0644 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0645\u0648\u0633\u0645 \u06A9\u06D2 \u0627\u0635\u0648\u0644 \u0645\u0645\u06A9\u0646\u06C1 \u0645\u0633\u0627\u0626\u0644 \u06A9\u0627 {risk} \u0638\u0627\u06C1\u0631 \u06A9\u0631\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4",
+    "advisory.weatherTrend": "\u0645\u0648\u0633\u0645 \u06A9\u0627 \u062E\u0644\u0627\u0635\u06C1:",
+    "advisory.threats": "\u0645\u0645\u06A9\u0646\u06C1 \u062E\u0637\u0631\u0627\u062A:",
+    "advisory.recommendations": "\u0627\u062D\u062A\u06CC\u0627\u0637\u06CC \u062A\u062F\u0627\u0628\u06CC\u0631:",
+    "advisory.scout": "\u06A9\u0633\u06CC \u0628\u06BE\u06CC \u0639\u0644\u0627\u0645\u062A \u06CC\u0627 \u06A9\u06CC\u0691\u06D2 \u06A9\u06CC \u0628\u0631\u0648\u0642\u062A \u067E\u06C1\u0686\u0627\u0646 \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u06BE\u06CC\u062A \u06A9\u0627 \u0628\u0627\u0642\u0627\u0639\u062F\u06AF\u06CC \u0633\u06D2 (\u06C1\u0641\u062A\u06D2 \u0645\u06CC\u06BA \u06A9\u0645 \u0627\u0632 \u06A9\u0645 \u062F\u0648 \u0628\u0627\u0631) \u0645\u0639\u0627\u0626\u0646\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "advisory.sanitation": "\u062C\u0691\u06CC \u0628\u0648\u0679\u06CC\u0627\u06BA \u0627\u0648\u0631 \u0641\u0635\u0644 \u06A9\u06CC \u0628\u0627\u0642\u06CC\u0627\u062A \u0646\u06A9\u0627\u0644 \u06A9\u0631 \u06A9\u06BE\u06CC\u062A \u0635\u0627\u0641 \u0631\u06A9\u06BE\u06CC\u06BA\u060C \u06A9\u06CC\u0648\u0646\u06A9\u06C1 \u0627\u0646 \u0645\u06CC\u06BA \u06A9\u06CC\u0691\u06D2 \u0627\u0648\u0631 \u0628\u06CC\u0645\u0627\u0631\u06CC\u0627\u06BA \u067E\u0644\u062A\u06CC \u06C1\u06CC\u06BA\u06D4",
+    "advisory.extension": "\u0627\u067E\u0646\u06D2 \u06A9\u06BE\u06CC\u062A \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u0645\u062E\u0635\u0648\u0635 \u0645\u0634\u0648\u0631\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0645\u0642\u0627\u0645\u06CC \u0632\u0631\u0639\u06CC \u062A\u0648\u0633\u06CC\u0639\u06CC \u0627\u0641\u0633\u0631 \u0633\u06D2 \u0631\u0627\u0628\u0637\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "advisory.disclaimer": "\u0627\u0639\u0644\u0627\u0646\u0650 \u062F\u0633\u062A\u0628\u0631\u062F\u0627\u0631\u06CC: \u06CC\u06C1 \u0645\u0634\u0648\u0631\u06C1 \u0645\u0648\u062C\u0648\u062F\u06C1 \u0645\u0648\u0633\u0645\u06CC \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u0627\u0648\u0631 \u0639\u0645\u0648\u0645\u06CC \u0632\u0631\u0639\u06CC \u0645\u0627\u0688\u0644\u0632 \u067E\u0631 \u0645\u0628\u0646\u06CC \u06C1\u06D2\u06D4 \u06C1\u0645\u06CC\u0634\u06C1 \u06A9\u06BE\u06CC\u062A \u06A9\u06D2 \u0627\u0635\u0644 \u0645\u0634\u0627\u06C1\u062F\u06D2 \u0627\u0648\u0631 \u0645\u0642\u0627\u0645\u06CC \u0645\u0627\u06C1\u0631\u06CC\u0646 \u06A9\u06CC \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC \u0633\u06D2 \u062A\u0635\u062F\u06CC\u0642 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "rules.summary": "\u0627\u06AF\u0644\u06D2 \u067E\u0627\u0646\u0686 \u062F\u0646\u0648\u06BA \u0645\u06CC\u06BA \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A {min}\xB0C \u0633\u06D2 {max}\xB0C \u062A\u06A9 \u0627\u0648\u0631 \u06A9\u0644 \u0628\u0627\u0631\u0634 {rain} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631 \u0631\u06C1\u06D2 \u06AF\u06CC\u06D4",
+    "rules.wetHours": " \u06AF\u06BE\u0646\u0679\u06C1 \u0648\u0627\u0631 \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u0645\u06CC\u06BA \u067E\u062A\u0648\u06BA \u06A9\u06D2 \u06AF\u06CC\u0644\u06D2 \u0631\u06C1\u0646\u06D2 \u06A9\u06D2 {hours} \u06AF\u06BE\u0646\u0679\u06D2 \u06C1\u06CC\u06BA (\u0646\u0645\u06CC \u2265 90% \u06CC\u0627 \u0628\u0627\u0631\u0634)\u06D4",
+    "rules.diseaseThreat": "{name}: {date} \u06A9\u0648 {level} \u062E\u0637\u0631\u06C1 \u2014 {explanation}",
+    "rules.fungalHigh": "\u067E\u06BE\u067E\u06BE\u0648\u0646\u062F\u06CC \u06A9\u06CC \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA (\u062C\u06CC\u0633\u06D2 \u062C\u06BE\u0644\u0633\u0627\u0624\u060C \u067E\u06BE\u067E\u06BE\u0648\u0646\u062F\u06CC) \u06A9\u0627 \u0632\u06CC\u0627\u062F\u06C1 \u062E\u0637\u0631\u06C1: \u0645\u0639\u062A\u062F\u0644 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A \u067E\u0631 \u067E\u062A\u06D2 {hours} \u06AF\u06BE\u0646\u0679\u06D2 \u062A\u06A9 \u06AF\u06CC\u0644\u06D2 \u0631\u06C1\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4",
+    "rules.fungalHighAdvice": "\u0646\u06A9\u0627\u0633\u06CC \u0628\u06C1\u062A\u0631 \u0628\u0646\u0627\u0626\u06CC\u06BA\u060C \u0632\u06CC\u0627\u062F\u06C1 \u0627\u0648\u0631 \u0634\u0627\u0645 \u06A9\u06CC \u0622\u0628\u067E\u0627\u0634\u06CC \u0633\u06D2 \u0628\u0686\u06CC\u06BA\u060C \u0627\u0648\u0631 \u0636\u0631\u0648\u0631\u062A \u06C1\u0648 \u062A\u0648 \u062D\u0641\u0627\u0638\u062A\u06CC \u067E\u06BE\u067E\u06BE\u0648\u0646\u062F\u06CC \u06A9\u0634 \u062F\u0648\u0627 \u0644\u06AF\u0627\u0626\u06CC\u06BA\u06D4",
+    "rules.fungalModerate": "\u067E\u06BE\u067E\u06BE\u0648\u0646\u062F\u06CC \u06A9\u06CC \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u0627 \u062F\u0631\u0645\u06CC\u0627\u0646\u06C1 \u062E\u0637\u0631\u06C1: \u0645\u0639\u062A\u062F\u0644 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A \u067E\u0631 {hours} \u06AF\u06BE\u0646\u0679\u06D2 \u062A\u06A9 \u0646\u0645\u06CC\u06D4",
+    "rules.fungalModerateAdvice": "\u06A9\u06BE\u06CC\u062A \u06A9\u06CC \u0646\u06AF\u0631\u0627\u0646\u06CC \u0628\u0691\u06BE\u0627\u0626\u06CC\u06BA\u06D4 \u06C1\u0648\u0627 \u06A9\u06CC \u0622\u0645\u062F \u0648 \u0631\u0641\u062A \u06A9\u06D2 \u0644\u06CC\u06D2 \u067E\u0648\u062F\u0648\u06BA \u0645\u06CC\u06BA \u0645\u0646\u0627\u0633\u0628 \u0641\u0627\u0635\u0644\u06C1 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "rules.heat": "{days} \u062F\u0646 \u0632\u06CC\u0627\u062F\u06C1 \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A 38\xB0C \u06CC\u0627 \u0627\u0633 \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1\u060C \u06AF\u0631\u0645\u06CC \u06A9\u0627 \u062F\u0628\u0627\u0624 \u0627\u0648\u0631 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u0632\u06CC\u0627\u062F\u06C1 \u0636\u0631\u0648\u0631\u062A\u06D4",
+    "rules.heatAdvice": "\u0635\u0628\u062D \u0633\u0648\u06CC\u0631\u06D2 \u06CC\u0627 \u0634\u0627\u0645 \u06A9\u0648 \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u0631\u06CC\u06BA \u0627\u0648\u0631 \u0633\u0628 \u0633\u06D2 \u06AF\u0631\u0645 \u062F\u0646\u0648\u06BA \u0645\u06CC\u06BA \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u0646\u06C1 \u06C1\u0648\u0646\u06D2 \u062F\u06CC\u06BA\u06D4",
+    "rules.cold": "{nights} \u0631\u0627\u062A\u06CC\u06BA 4\xB0C \u06CC\u0627 \u0627\u0633 \u0633\u06D2 \u06A9\u0645\u060C \u0633\u0631\u062F\u06CC \u06A9\u0627 \u062F\u0628\u0627\u0624\u061B \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A 0\xB0C \u0633\u06D2 \u0646\u06CC\u0686\u06D2 \u06AF\u06CC\u0627 \u062A\u0648 \u06A9\u0648\u0631\u0627 \u067E\u0691 \u0633\u06A9\u062A\u0627 \u06C1\u06D2\u06D4",
+    "rules.coldAdvice": "\u06A9\u0645 \u0627\u0632 \u06A9\u0645 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A \u067E\u0631 \u0646\u0638\u0631 \u0631\u06A9\u06BE\u06CC\u06BA \u0627\u0648\u0631 \u06A9\u0648\u0631\u06D2 \u0633\u06D2 \u0628\u0686\u0627\u0624 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0632\u0645\u06CC\u0646 \u0646\u0645 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "rules.whitefly": "\u06AF\u0631\u0645 \u0627\u0648\u0631 \u062E\u0634\u06A9 \u062F\u0646 \u0633\u0641\u06CC\u062F \u0645\u06A9\u06BE\u06CC \u0627\u0648\u0631 \u067E\u062A\u06C1 \u0645\u0631\u0648\u0691 \u0648\u0627\u0626\u0631\u0633 (CLCuV) \u06A9\u06D2 \u067E\u06BE\u06CC\u0644\u0627\u0624 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0633\u0627\u0632\u06AF\u0627\u0631 \u06C1\u06CC\u06BA\u06D4",
+    "rules.whiteflyAdvice": "\u067E\u06CC\u0644\u06D2 \u0686\u067E\u06A9\u0646\u06D2 \u0648\u0627\u0644\u06D2 \u06A9\u0627\u0631\u0688\u0632 \u0633\u06D2 \u0633\u0641\u06CC\u062F \u0645\u06A9\u06BE\u06CC \u06A9\u06CC \u0646\u06AF\u0631\u0627\u0646\u06CC \u0628\u0691\u06BE\u0627\u0626\u06CC\u06BA\u061B \u0645\u0639\u0627\u0634\u06CC \u062D\u062F \u067E\u0631 \u067E\u06C1\u0646\u0686\u0646\u06D2 \u067E\u0631 \u06C1\u06CC \u0633\u067E\u0631\u06D2 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "rules.mites": "\u06AF\u0631\u0645 \u0627\u0648\u0631 \u062E\u0634\u06A9 \u0645\u0648\u0633\u0645 \u062C\u0648\u0624\u06BA \u0627\u0648\u0631 \u0631\u0633 \u0686\u0648\u0633\u0646\u06D2 \u0648\u0627\u0644\u06D2 \u06A9\u06CC\u0691\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u0633\u0627\u0632\u06AF\u0627\u0631 \u06C1\u0648 \u0633\u06A9\u062A\u0627 \u06C1\u06D2\u06D4",
+    "rules.mitesAdvice": "\u067E\u062A\u0648\u06BA \u06A9\u06CC \u0646\u0686\u0644\u06CC \u0633\u0637\u062D \u067E\u0631 \u062C\u0648\u0624\u06BA \u0627\u0648\u0631 \u0631\u0633 \u0686\u0648\u0633\u0646\u06D2 \u0648\u0627\u0644\u06D2 \u06A9\u06CC\u0691\u0648\u06BA \u06A9\u0648 \u062F\u06CC\u06A9\u06BE\u062A\u06D2 \u0631\u06C1\u06CC\u06BA\u06D4",
+    "rules.none": "\u0645\u0648\u0633\u0645 \u06A9\u06CC \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u0627\u0633 \u0648\u0642\u062A \u06A9\u06CC\u0691\u0648\u06BA \u06CC\u0627 \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u0627 \u06A9\u0648\u0626\u06CC \u062E\u0627\u0635 \u062E\u0637\u0631\u06C1 \u0646\u06C1\u06CC\u06BA\u06D4",
+    "rules.noneAdvice": "\u0641\u0635\u0644 \u06A9\u06CC \u0645\u0639\u0645\u0648\u0644 \u06A9\u06CC \u062F\u06CC\u06A9\u06BE \u0628\u06BE\u0627\u0644\u060C \u06A9\u06BE\u06CC\u062A \u06A9\u06CC \u0646\u06AF\u0631\u0627\u0646\u06CC \u0627\u0648\u0631 \u0627\u0686\u06BE\u06D2 \u0632\u0631\u0639\u06CC \u0637\u0631\u06CC\u0642\u06D2 \u062C\u0627\u0631\u06CC \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "rules.favorable": "\u0627\u06AF\u0644\u06D2 \u067E\u0627\u0646\u0686 \u062F\u0646\u0648\u06BA \u06A9\u0627 \u0645\u0648\u0633\u0645 \u0622\u067E \u06A9\u06CC {crop} \u06A9\u06CC \u0641\u0635\u0644 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u062A\u0631 \u0633\u0627\u0632\u06AF\u0627\u0631 \u06C1\u06D2\u06D4",
+    "rules.challenging": "\u0627\u06AF\u0644\u06D2 \u067E\u0627\u0646\u0686 \u062F\u0646\u0648\u06BA \u06A9\u0627 \u0645\u0648\u0633\u0645 \u0622\u067E \u06A9\u06CC {crop} \u06A9\u06CC \u0641\u0635\u0644 \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u0686\u06BE \u0645\u0634\u06A9\u0644\u0627\u062A \u067E\u06CC\u062F\u0627 \u06A9\u0631 \u0633\u06A9\u062A\u0627 \u06C1\u06D2\u06D4",
+    "care.insufficientFertilizer": "\u0633\u0641\u0627\u0631\u0634\u0627\u062A \u06A9\u06D2 \u0644\u06CC\u06D2 \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u06A9\u06CC \u0645\u0639\u0644\u0648\u0645\u0627\u062A \u0646\u0627\u06A9\u0627\u0641\u06CC \u06C1\u06CC\u06BA\u06D4",
+    "care.insufficientWatering": "\u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u06D2 \u0634\u06CC\u0688\u0648\u0644 \u06A9\u06D2 \u0644\u06CC\u06D2 \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u06A9\u06CC \u0645\u0639\u0644\u0648\u0645\u0627\u062A \u0646\u0627\u06A9\u0627\u0641\u06CC \u06C1\u06CC\u06BA\u06D4",
+    "care.insufficientPests": "\u06A9\u06CC\u0691\u0648\u06BA \u0627\u0648\u0631 \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u06CC \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC \u06A9\u06D2 \u0644\u06CC\u06D2 \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u06A9\u06CC \u0645\u0639\u0644\u0648\u0645\u0627\u062A \u0646\u0627\u06A9\u0627\u0641\u06CC \u06C1\u06CC\u06BA\u06D4",
+    "care.failedFertilizer": "\u06A9\u06BE\u0627\u062F \u06A9\u06CC \u0633\u0641\u0627\u0631\u0634\u0627\u062A \u0644\u0648\u0688 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06CC\u06BA\u06D4",
+    "care.failedWatering": "\u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u06CC \u0633\u0641\u0627\u0631\u0634\u0627\u062A \u0644\u0648\u0688 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06CC\u06BA\u06D4",
+    "care.failedPests": "\u06A9\u06CC\u0691\u0648\u06BA \u0627\u0648\u0631 \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u06CC \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC \u0644\u0648\u0688 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06CC\u06D4",
+    "care.summaryLabel": "\u062E\u0644\u0627\u0635\u06C1:",
+    "care.summary": "\u0627\u0648\u0633\u0637 \u0632\u06CC\u0627\u062F\u06C1 \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A {tmax}\xB0C\u060C \u0627\u0648\u0633\u0637 \u0631\u0648\u0632\u0627\u0646\u06C1 \u0628\u0627\u0631\u0634 {rain} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631\u060C \u0632\u0645\u06CC\u0646 \u06A9\u0627 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A: {soil}\u06D4",
+    "care.fertilizerFor": "{crop} \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u06BE\u0627\u062F \u06A9\u06CC \u0633\u0641\u0627\u0631\u0634\u0627\u062A:",
+    "care.fertilizerNote": "\u06CC\u06C1 \u0639\u0645\u0648\u0645\u06CC \u0633\u0641\u0627\u0631\u0634\u0627\u062A \u06C1\u06CC\u06BA\u06D4 \u062F\u0631\u0633\u062A \u0645\u0642\u062F\u0627\u0631 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0645\u0679\u06CC \u06A9\u0627 \u062A\u062C\u0632\u06CC\u06C1 \u06A9\u0631\u0648\u0627\u0626\u06CC\u06BA \u0627\u0648\u0631 \u0645\u0642\u0627\u0645\u06CC \u0645\u062D\u06A9\u0645\u06C1 \u0632\u0631\u0627\u0639\u062A \u0633\u06D2 \u0645\u0634\u0648\u0631\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "fert.N": "\u06CC\u0648\u0631\u06CC\u0627 (\u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646)",
+    "fert.P": "\u0688\u06CC \u0627\u06D2 \u067E\u06CC / \u0627\u06CC\u0633 \u0627\u06CC\u0633 \u067E\u06CC (\u0641\u0627\u0633\u0641\u0648\u0631\u0633)",
+    "fert.K": "\u0627\u06CC\u0645 \u0627\u0648 \u067E\u06CC (\u067E\u0648\u0679\u0627\u0634)",
+    "fert.Zn": "\u0632\u0646\u06A9 \u0633\u0644\u0641\u06CC\u0679",
+    "fert.sugarcane.n": "{N} \u2014 \u0642\u0633\u0637\u0648\u06BA \u0645\u06CC\u06BA: \u0628\u0646\u06CC\u0627\u062F\u06CC \u062E\u0648\u0631\u0627\u06A9 + \u0628\u0691\u06BE\u0648\u062A\u0631\u06CC \u06A9\u06D2 \u062F\u0648\u0631\u0627\u0646 \u0627\u0648\u067E\u0631 \u0633\u06D2\u06D4",
+    "fert.sugarcane.p": "{P} \u2014 \u062C\u0691\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u0627\u0634\u062A \u06A9\u06D2 \u0648\u0642\u062A\u06D4",
+    "fert.sugarcane.k": "{K} \u2014 \u06AF\u0646\u06D2 \u06A9\u06CC \u0645\u0636\u0628\u0648\u0637\u06CC \u06A9\u06D2 \u0644\u06CC\u06D2 \u067E\u0648\u0679\u0627\u0634 \u0636\u0631\u0648\u0631 \u062F\u06CC\u06BA\u06D4",
+    "fert.sugarcane.wet": "\u0632\u06CC\u0627\u062F\u06C1 \u0628\u0627\u0631\u0634 \u06A9\u0627 \u062E\u0637\u0631\u06C1: \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0642\u0633\u0637\u0648\u06BA \u0645\u06CC\u06BA \u062F\u06CC\u06BA \u06CC\u0627 \u0628\u0627\u0631\u0634 \u06A9\u06D2 \u0628\u0639\u062F \u067E\u062A\u0648\u06BA \u067E\u0631 \u0627\u062C\u0632\u0627\u0626\u06D2 \u0635\u063A\u06CC\u0631\u06C1 \u06A9\u0627 \u0633\u067E\u0631\u06D2 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "fert.sugarcane.hotDry": "\u06AF\u0631\u0645/\u062E\u0634\u06A9 \u2014 \u06A9\u06BE\u0627\u062F \u0688\u0627\u0644\u0646\u06D2 \u0633\u06D2 \u067E\u06C1\u0644\u06D2 \u0632\u0645\u06CC\u0646 \u0645\u06CC\u06BA \u0646\u0645\u06CC \u0631\u06A9\u06BE\u06CC\u06BA \u062A\u0627\u06A9\u06C1 \u067E\u0648\u062F\u0627 \u0628\u06C1\u062A\u0631 \u062C\u0630\u0628 \u06A9\u0631\u06D2\u06D4",
+    "fert.wheat.n": "{N} \u2014 \u0628\u0648\u0627\u0626\u06CC \u067E\u0631 \u0628\u0646\u06CC\u0627\u062F\u06CC \u062E\u0648\u0631\u0627\u06A9 + \u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u06D2/\u06AF\u0627\u0646\u0679\u06BE \u0628\u0646\u0646\u06D2 \u067E\u0631 \u0627\u0648\u067E\u0631 \u0633\u06D2\u06D4",
+    "fert.wheat.p": "{P} \u2014 \u0645\u0679\u06CC \u0645\u06CC\u06BA \u0641\u0627\u0633\u0641\u0648\u0631\u0633 \u06A9\u0645 \u06C1\u0648 \u062A\u0648 \u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 \u0648\u0642\u062A\u06D4",
+    "fert.wheat.zn": "{Zn} \u2014 \u0627\u06AF\u0631 \u0645\u0679\u06CC \u06A9\u06D2 \u062A\u062C\u0632\u06CC\u06D2 \u0645\u06CC\u06BA \u0632\u0646\u06A9 \u06A9\u06CC \u06A9\u0645\u06CC \u06C1\u0648\u06D4",
+    "fert.wheat.wet": "\u0628\u0627\u0631\u0634 \u06A9\u06D2 \u0628\u0639\u062F \u0632\u0645\u06CC\u0646 \u0648\u062A\u0631 \u067E\u0631 \u0622\u0646\u06D2 \u062A\u06A9 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u0628\u06BE\u0627\u0631\u06CC \u062E\u0648\u0631\u0627\u06A9 \u0645\u0624\u062E\u0631 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "fert.wheat.cool": "\u0679\u06BE\u0646\u0688\u06CC \u0632\u0645\u06CC\u0646 \u2014 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0686\u06BE\u0648\u0679\u06CC \u0642\u0633\u0637\u0648\u06BA \u0645\u06CC\u06BA \u062F\u06CC\u06BA\u06D4",
+    "fert.rice.n": "{N} \u2014 \u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u06D2 \u0627\u0648\u0631 \u0633\u0679\u06C1 \u0628\u0646\u0646\u06D2 \u06A9\u06D2 \u0622\u063A\u0627\u0632 \u067E\u0631\u061B \u062A\u06CC\u0632 \u0628\u0627\u0631\u0634 \u0633\u06D2 \u067E\u06C1\u0644\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0646\u06C1 \u062F\u06CC\u06BA\u06D4",
+    "fert.rice.p": "{P} \u2014 \u067E\u0648\u062F\u06D2 \u062C\u0645\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0634\u0631\u0648\u0639 \u0645\u06CC\u06BA\u06D4",
+    "fert.rice.wet": "\u062A\u06CC\u0632 \u0628\u0627\u0631\u0634: \u0628\u0627\u0631\u0634 \u0631\u06A9\u0646\u06D2 \u06A9\u06D2 \u0628\u0639\u062F \u0636\u0627\u0626\u0639 \u0634\u062F\u06C1 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06D2 \u0644\u06CC\u06D2 \u062A\u06BE\u0648\u0691\u06CC \u06CC\u0648\u0631\u06CC\u0627 \u062F\u06CC\u06BA\u06D4",
+    "fert.cotton.n": "{N} \u2014 \u0642\u0633\u0637\u0648\u06BA \u0645\u06CC\u06BA\u061B \u0679\u06CC\u0646\u0688\u06D2 \u06A9\u06BE\u0644\u0646\u06D2 \u06A9\u06D2 \u0642\u0631\u06CC\u0628 \u0632\u06CC\u0627\u062F\u06C1 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0646\u06C1 \u062F\u06CC\u06BA\u06D4",
+    "fert.cotton.pk": "{P} \u0627\u0648\u0631 {K} \u2014 \u0633\u06CC\u0632\u0646 \u06A9\u06D2 \u0634\u0631\u0648\u0639 \u0645\u06CC\u06BA \u0641\u0627\u0633\u0641\u0648\u0631\u0633 \u0627\u0648\u0631 \u067E\u0648\u0679\u0627\u0634 \u067E\u0648\u0631\u06CC \u062F\u06CC\u06BA\u06D4",
+    "fert.cotton.hotDry": "\u06AF\u0631\u0645/\u062E\u0634\u06A9 \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC: \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u0622\u0628\u067E\u0627\u0634\u06CC \u0636\u0631\u0648\u0631 \u06A9\u0631\u06CC\u06BA \u062A\u0627\u06A9\u06C1 \u067E\u0648\u062F\u0627 \u062C\u0630\u0628 \u06A9\u0631\u06D2\u06D4",
+    "fert.maize.n": "{N} \u2014 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u0632\u06CC\u0627\u062F\u06C1 \u0636\u0631\u0648\u0631\u062A\u061B \u06A9\u0627\u0634\u062A \u067E\u0631 \u0627\u0648\u0631 \u067E\u06BE\u0631 \u0642\u0637\u0627\u0631\u0648\u06BA \u0645\u06CC\u06BA \u0642\u0633\u0637\u0648\u06BA \u0645\u06CC\u06BA\u06D4",
+    "fert.maize.p": "{P} \u2014 \u0627\u0628\u062A\u062F\u0627\u0626\u06CC \u0628\u0691\u06BE\u0648\u062A\u0631\u06CC \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u0627\u0634\u062A \u06A9\u06D2 \u0648\u0642\u062A\u06D4",
+    "fert.maize.k": "{K} \u2014 \u062F\u0627\u0646\u06C1 \u0628\u06BE\u0631\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0627\u06C1\u0645\u06D4",
+    "fert.maize.wet": "\u0632\u06CC\u0627\u062F\u06C1 \u0628\u0627\u0631\u0634 \u06A9\u0627 \u062E\u0637\u0631\u06C1: \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0642\u0633\u0637\u0648\u06BA \u0645\u06CC\u06BA \u06CC\u0627 \u0622\u06C1\u0633\u062A\u06C1 \u06AF\u06BE\u0644\u0646\u06D2 \u0648\u0627\u0644\u06CC \u06A9\u06BE\u0627\u062F \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "fert.default.npk": "\u0645\u062A\u0648\u0627\u0632\u0646 \u0627\u06CC\u0646 \u067E\u06CC \u06A9\u06D2\u061B \u0636\u06CC\u0627\u0639 \u06A9\u0645 \u06A9\u0631\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0642\u0633\u0637\u0648\u06BA \u0645\u06CC\u06BA \u062F\u06CC\u06BA\u06D4",
+    "fert.default.wet": "\u062A\u06CC\u0632 \u0628\u0627\u0631\u0634 \u0633\u06D2 \u0639\u06CC\u0646 \u067E\u06C1\u0644\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u0645\u0642\u062F\u0627\u0631 \u0645\u06CC\u06BA \u06A9\u06BE\u0627\u062F \u0646\u06C1 \u0688\u0627\u0644\u06CC\u06BA\u06D4",
+    "water.et0Label": "\u0627\u0646\u062F\u0627\u0632\u0627\u064B \u0628\u062E\u0627\u0631\u0627\u062A (ET\u2080):",
+    "water.et0": "\u0627\u06AF\u0644\u06D2 {days} \u062F\u0646\u0648\u06BA \u0645\u06CC\u06BA {et0} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631 \u0631\u0648\u0632\u0627\u0646\u06C1\u06D4",
+    "water.rainLabel": "\u06A9\u0644 \u0645\u062A\u0648\u0642\u0639 \u0628\u0627\u0631\u0634:",
+    "water.rain": "{days} \u062F\u0646\u0648\u06BA \u0645\u06CC\u06BA {rain} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631\u06D4",
+    "water.reduced": "\u06A9\u0645 \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u0627\u0641\u06CC \u06C1\u06D2: \u0628\u0627\u0631\u0634 \u0641\u0635\u0644 \u06A9\u06CC \u067E\u0627\u0646\u06CC \u06A9\u06CC \u0632\u06CC\u0627\u062F\u06C1 \u062A\u0631 \u0636\u0631\u0648\u0631\u062A \u067E\u0648\u0631\u06CC \u06A9\u0631 \u062F\u06D2 \u06AF\u06CC\u06D4",
+    "water.monitor": "\u0632\u0645\u06CC\u0646 \u06A9\u06CC \u0646\u0645\u06CC \u062F\u06CC\u06A9\u06BE\u062A\u06D2 \u0631\u06C1\u06CC\u06BA\u061B \u0632\u0645\u06CC\u0646 \u062E\u0634\u06A9 \u06C1\u0648\u0646\u06D2 \u0644\u06AF\u06D2 \u062A\u0648 \u0622\u0628\u067E\u0627\u0634\u06CC \u062F\u0648\u0628\u0627\u0631\u06C1 \u0634\u0631\u0648\u0639 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "water.increased": "\u0632\u06CC\u0627\u062F\u06C1 \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u06CC \u0636\u0631\u0648\u0631\u062A: \u0628\u062E\u0627\u0631\u0627\u062A \u0632\u06CC\u0627\u062F\u06C1 \u0627\u0648\u0631 \u0628\u0627\u0631\u0634 \u06A9\u0645 \u06C1\u06D2\u06D4",
+    "water.timing": "\u0635\u0628\u062D \u0633\u0648\u06CC\u0631\u06D2 \u06CC\u0627 \u0634\u0627\u0645 \u06A9\u0648 \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u0631\u06CC\u06BA\u061B \u062C\u06C1\u0627\u06BA \u0645\u0645\u06A9\u0646 \u06C1\u0648 \u0688\u0631\u067E \u062C\u06CC\u0633\u0627 \u06A9\u0641\u0627\u06CC\u062A\u06CC \u0646\u0638\u0627\u0645 \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "water.regular": "\u0641\u0635\u0644 \u06A9\u06D2 \u0645\u0631\u062D\u0644\u06D2 \u0627\u0648\u0631 \u0632\u0645\u06CC\u0646 \u06A9\u06CC \u0646\u0645\u06CC \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u0628\u0627\u0642\u0627\u0639\u062F\u06C1 \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u0631\u06CC\u06BA\u06D4",
+    "water.rice": "\u062F\u06BE\u0627\u0646 \u0645\u06CC\u06BA \u0641\u0635\u0644 \u06A9\u06D2 \u0645\u0631\u062D\u0644\u06D2 \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u0645\u0646\u0627\u0633\u0628 \u06A9\u06BE\u0691\u0627 \u067E\u0627\u0646\u06CC \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "water.cotton": "\u06A9\u067E\u0627\u0633: \u067E\u06BE\u0648\u0644 \u0627\u0648\u0631 \u0679\u06CC\u0646\u0688\u06D2 \u0628\u0646\u0646\u06D2 \u06A9\u06D2 \u062F\u0648\u0631\u0627\u0646 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u0646\u06C1 \u06C1\u0648\u0646\u06D2 \u062F\u06CC\u06BA\u06D4",
+    "water.wheat": "\u06AF\u0646\u062F\u0645: \u062C\u0691\u06CC\u06BA \u0628\u0646\u0646\u06D2 \u0627\u0648\u0631 \u067E\u06BE\u0648\u0644 \u0622\u0646\u06D2 \u06A9\u06D2 \u0645\u0631\u0627\u062D\u0644 \u0645\u06CC\u06BA \u0646\u0645\u06CC \u06CC\u0642\u06CC\u0646\u06CC \u0628\u0646\u0627\u0626\u06CC\u06BA\u06D4",
+    "water.note": "\u06A9\u06BE\u06CC\u062A \u062F\u06CC\u06A9\u06BE \u06A9\u0631 \u0627\u0648\u0631 \u0645\u0642\u0627\u0645\u06CC \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u0645 \u06CC\u0627 \u0632\u06CC\u0627\u062F\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "pest.highLabel": "\u0632\u06CC\u0627\u062F\u06C1 \u062E\u0637\u0631\u06C1:",
+    "pest.high": "\u0645\u0639\u0627\u0626\u0646\u06C1 \u0628\u0691\u06BE\u0627\u0626\u06CC\u06BA \u0627\u0648\u0631 \u0636\u0631\u0648\u0631\u062A \u067E\u0691\u0646\u06D2 \u067E\u0631 \u0641\u0648\u0631\u06CC \u0627\u0646\u0633\u062F\u0627\u062F \u06A9\u06D2 \u0644\u06CC\u06D2 \u062A\u06CC\u0627\u0631 \u0631\u06C1\u06CC\u06BA\u06D4",
+    "pest.highFocus": "\u0641\u0635\u0644 \u06A9\u06D2 \u06A9\u0645\u0632\u0648\u0631 \u062D\u0635\u0648\u06BA \u0627\u0648\u0631 \u0646\u0634\u06CC\u0628\u06CC \u06AF\u06CC\u0644\u06D2 \u062D\u0635\u0648\u06BA \u067E\u0631 \u062E\u0627\u0635 \u0646\u0638\u0631 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "pest.moderateLabel": "\u062F\u0631\u0645\u06CC\u0627\u0646\u06C1 \u062E\u0637\u0631\u06C1:",
+    "pest.moderate": "\u0646\u06AF\u0631\u0627\u0646\u06CC \u0628\u0691\u06BE\u0627\u0626\u06CC\u06BA \u0627\u0648\u0631 \u0627\u0646\u0633\u062F\u0627\u062F \u06A9\u0627 \u0645\u0646\u0635\u0648\u0628\u06C1 \u062A\u06CC\u0627\u0631 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "pest.lowLabel": "\u06A9\u0645 \u062E\u0637\u0631\u06C1:",
+    "pest.low": "\u0645\u0639\u0645\u0648\u0644 \u06A9\u06CC \u0646\u06AF\u0631\u0627\u0646\u06CC \u0627\u0648\u0631 \u06A9\u0627\u0634\u062A\u06A9\u0627\u0631\u06CC \u06A9\u06D2 \u0637\u0631\u06CC\u0642\u06D2 \u062C\u0627\u0631\u06CC \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "pest.fungal": "\u06AF\u0631\u0645 \u0627\u0648\u0631 \u0645\u0631\u0637\u0648\u0628 \u0645\u0648\u0633\u0645 \u0633\u06D2 \u067E\u06BE\u067E\u06BE\u0648\u0646\u062F\u06CC \u06A9\u06CC \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u0627 \u062E\u0637\u0631\u06C1 \u0628\u0691\u06BE\u062A\u0627 \u06C1\u06D2\u061B \u06C1\u0648\u0627 \u06A9\u06CC \u0622\u0645\u062F \u0648 \u0631\u0641\u062A \u0628\u06C1\u062A\u0631 \u0628\u0646\u0627\u0626\u06CC\u06BA \u0627\u0648\u0631 \u06AF\u06BE\u0646\u06CC \u0641\u0635\u0644 \u0633\u06D2 \u0628\u0686\u06CC\u06BA\u06D4",
+    "pest.insects": "\u06AF\u0631\u0645 \u0627\u0648\u0631 \u062E\u0634\u06A9 \u0645\u0648\u0633\u0645 \u0645\u06CC\u06BA \u06A9\u06CC\u0691\u06D2 (\u062C\u06CC\u0633\u06D2 \u0633\u0641\u06CC\u062F \u0645\u06A9\u06BE\u06CC\u060C \u062C\u0648\u0626\u06CC\u06BA) \u0628\u0691\u06BE \u0633\u06A9\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4 \u067E\u062A\u0648\u06BA \u06A9\u06CC \u0646\u0686\u0644\u06CC \u0633\u0637\u062D \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "pest.stageRisk": "\u0645\u0631\u062D\u0644\u06D2 \u06A9\u0627 \u062E\u0637\u0631\u06C1:",
+    "pest.ipm": "\u0645\u0631\u0628\u0648\u0637 \u0627\u0646\u0633\u062F\u0627\u062F (IPM): \u0636\u0631\u0648\u0631\u062A \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u06A9\u0627\u0634\u062A\u06A9\u0627\u0631\u06CC\u060C \u062D\u06CC\u0627\u062A\u06CC\u0627\u062A\u06CC \u0627\u0648\u0631 \u06A9\u06CC\u0645\u06CC\u0627\u0626\u06CC \u0637\u0631\u06CC\u0642\u06D2 \u0645\u0644\u0627 \u06A9\u0631 \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "pest.heading": "\u06A9\u06CC\u0691\u0648\u06BA \u0627\u0648\u0631 \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u06CC \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC (\u0627\u06D2 \u0622\u0626\u06CC \u0645\u0634\u0648\u0631\u06D2 \u06A9\u06CC \u0628\u0646\u06CC\u0627\u062F \u067E\u0631):",
+    "pest.note": "\u0627\u0646\u06C1\u06CC\u06BA \u0645\u0642\u0627\u0645\u06CC \u0645\u0627\u06C1\u0631\u06CC\u0646 \u06A9\u06D2 \u0645\u0634\u0648\u0631\u06D2 \u0627\u0648\u0631 \u06A9\u06BE\u06CC\u062A \u06A9\u06D2 \u0645\u0634\u0627\u06C1\u062F\u06D2 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "pest.modelRisk": "{name} \u06A9\u0627 \u062E\u0637\u0631\u06C1 (\u06AF\u06BE\u0646\u0679\u06C1 \u0648\u0627\u0631 \u0645\u0627\u0688\u0644):",
+    "pest.modelPeak": "{date} \u06A9\u0648 {level}",
+    "irrigation.notSown": "\u0627\u0628\u06BE\u06CC \u0628\u0648\u0627\u0626\u06CC \u0646\u06C1\u06CC\u06BA \u06C1\u0648\u0626\u06CC \u2014 \u067E\u0627\u0646\u06CC \u06A9\u0627 \u062D\u0633\u0627\u0628 {date} \u0633\u06D2 \u0634\u0631\u0648\u0639 \u06C1\u0648\u06AF\u0627\u06D4",
+    "irrigation.ended": "\u0627\u0633 \u0645\u0631\u062D\u0644\u06D2 \u067E\u0631 \u0622\u0628\u067E\u0627\u0634\u06CC \u062E\u062A\u0645 \u2014 \u0645\u0632\u06CC\u062F \u0622\u0628\u067E\u0627\u0634\u06CC \u0637\u06D2 \u0646\u06C1\u06CC\u06BA\u06D4",
+    "irrigation.rootZoneLabel": "\u062C\u0691\u0648\u06BA \u06A9\u06CC \u06AF\u06C1\u0631\u0627\u0626\u06CC ({depth} \u0645\u06CC\u0679\u0631):",
+    "irrigation.rootZone": "{taw} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631 \u062F\u0633\u062A\u06CC\u0627\u0628 \u067E\u0627\u0646\u06CC \u0645\u06CC\u06BA \u0633\u06D2 {used} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631 \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06C1\u0648 \u0686\u06A9\u0627 ({pct}%)\u061B {raw} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631 \u067E\u0631 \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u0631\u06CC\u06BA\u06D4",
+    "irrigation.perAcre": "\u0641\u06CC \u0627\u06CC\u06A9\u0691",
+    "irrigation.forAcres": "{n} \u0627\u06CC\u06A9\u0691 \u06A9\u06D2 \u0644\u06CC\u06D2",
+    "irrigation.entry": "{net} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631 \u062E\u0627\u0644\u0635\u060C {gross} \u0645\u0644\u06CC \u0645\u06CC\u0679\u0631 \u0644\u06AF\u0627\u0626\u06CC\u06BA ({inches} \u0627\u0646\u0686\u061B {acreInches} \u0627\u06CC\u06A9\u0691 \u0627\u0646\u0686 {area})",
+    "irrigation.nextLabel": "\u0627\u06AF\u0644\u06CC \u0622\u0628\u067E\u0627\u0634\u06CC:",
+    "irrigation.noneNeeded": "\u0627\u06AF\u0631 \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u062F\u0631\u0633\u062A \u0631\u06C1\u06CC \u062A\u0648 \u0627\u06AF\u0644\u06D2 30 \u062F\u0646 \u0636\u0631\u0648\u0631\u062A \u0646\u06C1\u06CC\u06BA\u06D4",
+    "irrigation.nowLabel": "\u0627\u0628\u06BE\u06CC \u0622\u0628\u067E\u0627\u0634\u06CC \u06A9\u0631\u06CC\u06BA:",
+    "irrigation.overdue": " \u2014 \u0641\u0635\u0644 \u06A9\u0648 {date} \u0633\u06D2 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u06C1\u06D2",
+    "irrigation.then": "\u067E\u06BE\u0631: {list}\u06D4",
+    "irrigation.climate": "\u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u06A9\u06D2 \u0628\u0639\u062F \u06A9\u06CC \u062A\u0627\u0631\u06CC\u062E\u06CC\u06BA \u0639\u0627\u0645 \u0645\u0648\u0633\u0645 \u0627\u0648\u0631 \u0628\u0627\u0631\u0634 \u0646\u06C1 \u06C1\u0648\u0646\u06D2 \u06A9\u06D2 \u0627\u0646\u062F\u0627\u0632\u06D2 \u067E\u0631 \u06C1\u06CC\u06BA\u06D4",
+    "compare.title": "\u{1F33E} \u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u2014 \u0627\u0636\u0644\u0627\u0639 \u06A9\u0627 \u0645\u0648\u0627\u0632\u0646\u06C1",
+    "compare.heading": "\u0627\u0636\u0644\u0627\u0639 \u06A9\u0627 \u0645\u0648\u0627\u0632\u0646\u06C1",
+    "compare.province": "\u0635\u0648\u0628\u06C1",
+    "compare.district": "\u0636\u0644\u0639",
+    "compare.addDistrict": "\u0636\u0644\u0639 \u0634\u0627\u0645\u0644 \u06A9\u0631\u06CC\u06BA",
+    "compare.crop": "\u0641\u0635\u0644",
+    "compare.sowingDate": "\u0628\u0648\u0627\u0626\u06CC \u06A9\u06CC \u062A\u0627\u0631\u06CC\u062E",
+    "compare.sowingDateTitle": "\u0627\u062E\u062A\u06CC\u0627\u0631\u06CC: \u0645\u0648\u0632\u0648\u0646\u06CC\u062A \u0627\u0648\u0631 \u0628\u06CC\u0645\u0627\u0631\u06CC \u06A9\u0627 \u062E\u0637\u0631\u06C1 \u0641\u0635\u0644 \u06A9\u06D2 \u0645\u0631\u062D\u0644\u06D2 \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642",
+    "compare.compare": "\u0645\u0648\u0627\u0632\u0646\u06C1 \u06A9\u0631\u06CC\u06BA",
+    "compare.pick": "{min} \u0633\u06D2 {max} \u0627\u0636\u0644\u0627\u0639 \u0645\u0646\u062A\u062E\u0628 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "compare.selected": "{n} \u0627\u0636\u0644\u0627\u0639 \u0645\u0646\u062A\u062E\u0628\u06D4",
+    "compare.selectedMore": "{n} \u0627\u0636\u0644\u0627\u0639 \u0645\u0646\u062A\u062E\u0628 (\u0645\u0632\u06CC\u062F {remaining} \u062A\u06A9)\u06D4",
+    "compare.removeDistrict": "{name} \u06C1\u0679\u0627\u0626\u06CC\u06BA",
+    "compare.fetching": "\u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC\u0627\u06BA \u0644\u0627\u0626\u06CC \u062C\u0627 \u0631\u06C1\u06CC \u06C1\u06CC\u06BA\u2026",
+    "compare.results": "\u0645\u0648\u0632\u0648\u0646\u06CC\u062A \u0627\u0648\u0631 \u062E\u0637\u0631\u0627\u062A",
+    "compare.colDistrict": "\u0636\u0644\u0639",
+    "compare.colSuitability": "\u0645\u0648\u0632\u0648\u0646\u06CC\u062A",
+    "compare.colTemp": "\u0627\u0648\u0633\u0637 \u0632\u06CC\u0627\u062F\u06C1 / \u06A9\u0645 (\xB0C\u060C 5 \u062F\u0646)",
+    "compare.colRain": "\u0628\u0627\u0631\u0634 (\u0645\u0644\u06CC \u0645\u06CC\u0679\u0631\u060C 5 \u062F\u0646)",
+    "compare.colRisks": "\u062E\u0637\u0631\u0627\u062A",
+    "compare.tempChart": "\u0631\u0648\u0632\u0627\u0646\u06C1 \u0632\u06CC\u0627\u062F\u06C1 \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A (\xB0C)",
+    "compare.rainChart": "\u0631\u0648\u0632\u0627\u0646\u06C1 \u0628\u0627\u0631\u0634 (\u0645\u0644\u06CC \u0645\u06CC\u0679\u0631)",
+    "compare.failed": "\u0645\u0648\u0627\u0632\u0646\u06C1 \u0646\u0627\u06A9\u0627\u0645: {message}",
+    "diseases.heroTitle": "\u0645\u0635\u0646\u0648\u0639\u06CC \u0630\u06C1\u0627\u0646\u062A \u0633\u06D2 \u0627\u067E\u0646\u06D2 \u067E\u0648\u062F\u0648\u06BA \u06A9\u06CC \u0628\u06CC\u0645\u0627\u0631\u06CC \u067E\u06C1\u0686\u0627\u0646\u06CC\u06BA \u0627\u0648\u0631 \u0639\u0644\u0627\u062C \u06A9\u0631\u06CC\u06BA",
+    "diseases.heroText": "\u0627\u067E\u0646\u06D2 \u067E\u0648\u062F\u06D2 \u06A9\u06CC \u062A\u0635\u0648\u06CC\u0631 \u0627\u067E \u0644\u0648\u0688 \u06A9\u0631\u06CC\u06BA\u060C \u06C1\u0645\u0627\u0631\u0627 \u0627\u06D2 \u0622\u0626\u06CC \u0628\u06CC\u0645\u0627\u0631\u06CC\u060C \u063A\u0630\u0627\u0626\u06CC \u06A9\u0645\u06CC \u06CC\u0627 \u067E\u0627\u0646\u06CC \u06A9\u06D2 \u0645\u0633\u0627\u0626\u0644 \u067E\u06C1\u0686\u0627\u0646 \u06A9\u0631 \u0641\u0648\u0631\u06CC \u062D\u0644 \u0628\u062A\u0627\u0626\u06D2 \u06AF\u0627\u06D4",
+    "diseases.getStarted": "\u0627\u0628\u06BE\u06CC \u0634\u0631\u0648\u0639 \u06A9\u0631\u06CC\u06BA",
+    "diseases.whyTitle": "\u067E\u0644\u0627\u0646\u0679 \u0688\u0627\u06A9\u0679\u0631 \u0627\u06D2 \u0622\u0626\u06CC \u06A9\u06CC\u0648\u06BA\u061F",
+    "diseases.feature1Title": "\u0628\u06CC\u0645\u0627\u0631\u06CC \u06A9\u06CC \u062F\u0631\u0633\u062A \u067E\u06C1\u0686\u0627\u0646",
+    "diseases.feature1Text": "\u06C1\u0645\u0627\u0631\u0627 \u062C\u062F\u06CC\u062F \u0627\u06D2 \u0622\u0626\u06CC \u0622\u067E \u06A9\u06CC \u062A\u0635\u0627\u0648\u06CC\u0631 \u0633\u06D2 \u067E\u0648\u062F\u0648\u06BA \u06A9\u06CC \u0628\u06C1\u062A \u0633\u06CC \u0628\u06CC\u0645\u0627\u0631\u06CC\u0627\u06BA \u062C\u0644\u062F\u06CC \u067E\u06C1\u0686\u0627\u0646 \u0644\u06CC\u062A\u0627 \u06C1\u06D2\u06D4",
+    "diseases.feature2Title": "\u063A\u0630\u0627\u0626\u06CC\u062A \u0627\u0648\u0631 \u067E\u0627\u0646\u06CC \u06A9\u0627 \u062A\u062C\u0632\u06CC\u06C1",
+    "diseases.feature2Text": "\u067E\u0648\u062F\u0648\u06BA \u06A9\u0648 \u0645\u062A\u0627\u062B\u0631 \u06A9\u0631\u0646\u06D2 \u0648\u0627\u0644\u06CC \u063A\u0630\u0627\u0626\u06CC \u06A9\u0645\u06CC \u06CC\u0627 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u0628\u06CC\u0634\u06CC \u06A9\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA \u0627\u06C1\u0645 \u0645\u0639\u0644\u0648\u0645\u0627\u062A\u06D4",
+    "diseases.feature3Title": "\u0642\u0627\u0628\u0644 \u0639\u0645\u0644 \u0639\u0644\u0627\u062C",
+    "diseases.feature3Text": "\u067E\u0648\u062F\u0648\u06BA \u06A9\u06CC \u0635\u062D\u062A \u0628\u062D\u0627\u0644 \u06A9\u0631\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0648\u0627\u0636\u062D\u060C \u0642\u062F\u0645 \u0628\u06C1 \u0642\u062F\u0645 \u06C1\u062F\u0627\u06CC\u0627\u062A \u0627\u0648\u0631 \u0628\u06C1\u062A\u0631\u06CC\u0646 \u0637\u0631\u06CC\u0642\u06D2\u06D4",
+    "diseases.feature4Title": "\u0627\u06D2 \u0622\u0626\u06CC \u0686\u06CC\u0679 \u0645\u062F\u062F",
+    "diseases.feature4Text": "\u0633\u0648\u0627\u0644 \u06C1\u06D2 \u06CC\u0627 \u0645\u0632\u06CC\u062F \u062A\u0641\u0635\u06CC\u0644 \u0686\u0627\u06C1\u06CC\u06D2\u061F \u06C1\u0645\u0627\u0631\u0627 \u0686\u06CC\u0679 \u0628\u0648\u0679 \u0641\u0648\u0631\u06CC \u062C\u0648\u0627\u0628 \u0627\u0648\u0631 \u0645\u0627\u06C1\u0631\u0627\u0646\u06C1 \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC \u062F\u06CC\u062A\u0627 \u06C1\u06D2\u06D4",
+    "diseases.uploadTitle": "\u062A\u0634\u062E\u06CC\u0635 \u06A9\u06D2 \u0644\u06CC\u06D2 \u067E\u0648\u062F\u06D2 \u06A9\u06CC \u062A\u0635\u0648\u06CC\u0631 \u0627\u067E \u0644\u0648\u0688 \u06A9\u0631\u06CC\u06BA",
+    "diseases.dropText": "\u067E\u0648\u062F\u06D2 \u06A9\u06CC \u062A\u0635\u0648\u06CC\u0631 \u06CC\u06C1\u0627\u06BA \u06AF\u06BE\u0633\u06CC\u0679 \u06A9\u0631 \u0644\u0627\u0626\u06CC\u06BA\u060C \u06CC\u0627 \u0641\u0627\u0626\u0644 \u0645\u0646\u062A\u062E\u0628 \u06A9\u0631\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u06A9\u0644\u06A9 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "diseases.diagnose": "\u062A\u0634\u062E\u06CC\u0635 \u06A9\u0631\u06CC\u06BA",
+    "diseases.analyzing": "\u062A\u062C\u0632\u06CC\u06C1 \u06C1\u0648 \u0631\u06C1\u0627 \u06C1\u06D2...",
+    "diseases.resultsTitle": "\u062A\u0634\u062E\u06CC\u0635 \u06A9\u06D2 \u0646\u062A\u0627\u0626\u062C:",
+    "diseases.disease": "\u0628\u06CC\u0645\u0627\u0631\u06CC:",
+    "diseases.severity": "\u0634\u062F\u062A:",
+    "diseases.treatment": "\u062A\u062C\u0648\u06CC\u0632 \u06A9\u0631\u062F\u06C1 \u0639\u0644\u0627\u062C:",
+    "diseases.nutrients": "\u063A\u0630\u0627\u0626\u06CC\u062A \u0627\u0648\u0631 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u062D\u0627\u0644\u062A:",
+    "diseases.advice": "\u0645\u0632\u06CC\u062F \u0645\u0634\u0648\u0631\u06C1:",
+    "diseases.chatTitle": "\u067E\u0644\u0627\u0646\u0679 \u0688\u0627\u06A9\u0679\u0631 \u0627\u06D2 \u0622\u0626\u06CC \u0686\u06CC\u0679 \u0628\u0648\u0679",
+    "diseases.chatGreeting": "\u0627\u0644\u0633\u0644\u0627\u0645 \u0639\u0644\u06CC\u06A9\u0645! \u0622\u062C \u0645\u06CC\u06BA \u0622\u067E \u06A9\u06D2 \u067E\u0648\u062F\u0648\u06BA \u06A9\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA \u06A9\u06CC\u0627 \u0645\u062F\u062F \u06A9\u0631 \u0633\u06A9\u062A\u0627 \u06C1\u0648\u06BA\u061F",
+    "diseases.title": "\u067E\u0644\u0627\u0646\u0679 \u0688\u0627\u06A9\u0679\u0631 \u0627\u06D2 \u0622\u0626\u06CC \u2014 \u0627\u067E\u0646\u06D2 \u067E\u0648\u062F\u0648\u06BA \u06A9\u06CC \u062A\u0634\u062E\u06CC\u0635 \u0627\u0648\u0631 \u0639\u0644\u0627\u062C",
+    "diseases.chatPlaceholder": "\u0633\u0648\u0627\u0644 \u067E\u0648\u0686\u06BE\u06CC\u06BA...",
+    "diseases.typing": "\u0644\u06A9\u06BE\u0627 \u062C\u0627 \u0631\u06C1\u0627 \u06C1\u06D2...",
+    "diseases.chatError": "\u0645\u0639\u0630\u0631\u062A\u060C \u0627\u06D2 \u0622\u0626\u06CC \u0633\u06D2 \u062C\u0648\u0627\u0628 \u0646\u06C1\u06CC\u06BA \u0645\u0644\u0627\u06D4 API \u06A9\u0644\u06CC\u062F \u0686\u06CC\u06A9 \u06A9\u0631\u06CC\u06BA \u06CC\u0627 \u062F\u0648\u0628\u0627\u0631\u06C1 \u06A9\u0648\u0634\u0634 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "diseases.uploadImage": "\u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u062A\u0635\u0648\u06CC\u0631 \u06A9\u06CC \u0641\u0627\u0626\u0644 \u0627\u067E \u0644\u0648\u0688 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "diseases.uploadFirst": "\u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u067E\u06C1\u0644\u06D2 \u067E\u0648\u062F\u06D2 \u06A9\u06CC \u062A\u0635\u0648\u06CC\u0631 \u0627\u067E \u0644\u0648\u0688 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "diseases.unclear": "\u0646\u062A\u06CC\u062C\u06C1 \u0648\u0627\u0636\u062D \u0646\u06C1\u06CC\u06BA",
+    "diseases.unclearText": "\u0627\u06D2 \u0622\u0626\u06CC \u0627\u0633 \u062A\u0635\u0648\u06CC\u0631 \u0633\u06D2 \u0648\u0627\u0636\u062D \u062A\u0634\u062E\u06CC\u0635 \u0646\u06C1\u06CC\u06BA \u06A9\u0631 \u0633\u06A9\u0627\u06D4 \u0645\u062A\u0627\u062B\u0631\u06C1 \u067E\u062A\u06D2 \u06A9\u06CC \u0642\u0631\u06CC\u0628 \u0633\u06D2\u060C \u0627\u0686\u06BE\u06CC \u0631\u0648\u0634\u0646\u06CC \u0645\u06CC\u06BA \u0644\u06CC \u06AF\u0626\u06CC \u062A\u0635\u0648\u06CC\u0631 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u062F\u0648\u0628\u0627\u0631\u06C1 \u06A9\u0648\u0634\u0634 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "diseases.consultExpert": "\u0645\u0633\u0626\u0644\u06C1 \u0628\u0631\u0642\u0631\u0627\u0631 \u0631\u06C1\u06D2 \u062A\u0648 \u0645\u0642\u0627\u0645\u06CC \u0645\u0627\u06C1\u0631 \u0633\u06D2 \u0645\u0634\u0648\u0631\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "diseases.waiting": "\u06A9\u0646\u06A9\u0634\u0646 \u06A9\u0627 \u0627\u0646\u062A\u0638\u0627\u0631 \u06C1\u06D2",
+    "diseases.queuedText": "\u0622\u067E \u0622\u0641 \u0644\u0627\u0626\u0646 \u06C1\u06CC\u06BA\u060C \u0627\u0633 \u0644\u06CC\u06D2 \u062A\u0635\u0648\u06CC\u0631 \u0627\u0633\u06CC \u0688\u06CC\u0648\u0627\u0626\u0633 \u067E\u0631 \u0645\u062D\u0641\u0648\u0638 \u06A9\u0631 \u0644\u06CC \u06AF\u0626\u06CC \u06C1\u06D2\u06D4 \u06A9\u0646\u06A9\u0634\u0646 \u0628\u062D\u0627\u0644 \u06C1\u0648\u062A\u06D2 \u06C1\u06CC \u06CC\u06C1 \u062A\u0634\u062E\u06CC\u0635 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0628\u06BE\u06CC\u062C \u062F\u06CC \u062C\u0627\u0626\u06D2 \u06AF\u06CC \u0627\u0648\u0631 \u0646\u062A\u06CC\u062C\u06C1 \u06CC\u06C1\u06CC\u06BA (\u06CC\u0627 \u0627\u06AF\u0644\u06CC \u0628\u0627\u0631 \u06CC\u06C1 \u0635\u0641\u062D\u06C1 \u06A9\u06BE\u0648\u0644\u0646\u06D2 \u067E\u0631) \u0646\u0638\u0631 \u0622\u0626\u06D2 \u06AF\u0627\u06D4",
+    "diseases.error": "\u062E\u0631\u0627\u0628\u06CC",
+    "diseases.queuedResult": "{disease} (\u062A\u0635\u0648\u06CC\u0631 {age} \u0645\u062D\u0641\u0648\u0638 \u06A9\u06CC \u06AF\u0626\u06CC)",
+    "diseases.queuedFailed": "{age} \u0645\u062D\u0641\u0648\u0638 \u06A9\u06CC \u06AF\u0626\u06CC \u062A\u0635\u0648\u06CC\u0631 \u06A9\u06CC \u062A\u0634\u062E\u06CC\u0635 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06CC: {message}",
+    "assistant.title": "\u0627\u06CC\u06AF\u0631\u06CC \u06AF\u0627\u0626\u06CC\u0688 \u0627\u06D2 \u0622\u0626\u06CC \u2014 \u0622\u067E \u06A9\u0627 \u0632\u0631\u0639\u06CC \u0631\u06C1\u0646\u0645\u0627",
+    "assistant.loading": "\u0627\u06CC\u06AF\u0631\u06CC \u06AF\u0627\u0626\u06CC\u0688 \u0627\u06D2 \u0622\u0626\u06CC \u0644\u0648\u0688 \u06C1\u0648 \u0631\u06C1\u0627 \u06C1\u06D2...",
+    "assistant.ready": "\u0627\u06D2 \u0622\u0626\u06CC \u062A\u06CC\u0627\u0631 \u06C1\u06D2",
+    "assistant.processing": "\u0627\u06D2 \u0622\u0626\u06CC \u062C\u0648\u0627\u0628 \u062A\u06CC\u0627\u0631 \u06A9\u0631 \u0631\u06C1\u0627 \u06C1\u06D2...",
+    "assistant.standby": "\u0627\u06D2 \u0622\u0626\u06CC \u0645\u0646\u062A\u0638\u0631 \u06C1\u06D2",
+    "assistant.errorStatus": "\u0627\u06D2 \u0622\u0626\u06CC \u0645\u06CC\u06BA \u062E\u0631\u0627\u0628\u06CC",
+    "assistant.offlineStatus": "\u0622\u0641 \u0644\u0627\u0626\u0646 \u2014 \u0633\u0648\u0627\u0644 \u0645\u062D\u0641\u0648\u0638 \u06C1\u06D2",
+    "assistant.noFarm": "\u06A9\u0648\u0626\u06CC \u0641\u0627\u0631\u0645 \u0645\u0646\u062A\u062E\u0628 \u0646\u06C1\u06CC\u06BA",
+    "assistant.farmTitle": "\u0627\u067E\u0646\u06D2 \u0645\u062D\u0641\u0648\u0638 \u0641\u0627\u0631\u0645 \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u062C\u0648\u0627\u0628 \u0644\u06CC\u06BA",
+    "assistant.threadsTitle": "\u0622\u067E \u06A9\u06CC \u06AF\u0641\u062A\u06AF\u0648\u0626\u06CC\u06BA",
+    "assistant.newChat": "\u0646\u0626\u06CC \u06AF\u0641\u062A\u06AF\u0648",
+    "assistant.newChatTitle": "\u0646\u0626\u06CC \u06AF\u0641\u062A\u06AF\u0648 \u0634\u0631\u0648\u0639 \u06A9\u0631\u06CC\u06BA",
+    "assistant.renameChat": "\u0646\u0627\u0645 \u0628\u062F\u0644\u06CC\u06BA",
+    "assistant.renameChatTitle": "\u0627\u0633 \u06AF\u0641\u062A\u06AF\u0648 \u06A9\u0627 \u0646\u0627\u0645 \u0628\u062F\u0644\u06CC\u06BA",
+    "assistant.renamePrompt": "\u0627\u0633 \u06AF\u0641\u062A\u06AF\u0648 \u06A9\u0627 \u0646\u0627\u0645:",
+    "assistant.deleteChat": "\u06AF\u0641\u062A\u06AF\u0648 \u062D\u0630\u0641 \u06A9\u0631\u06CC\u06BA",
+    "assistant.deleteChatTitle": "\u06CC\u06C1 \u06AF\u0641\u062A\u06AF\u0648 \u062D\u0630\u0641 \u06A9\u0631\u06CC\u06BA",
+    "assistant.deleteConfirm": '"{title}" \u062D\u0630\u0641 \u06A9\u0631\u06CC\u06BA\u061F \u06CC\u06C1 \u0648\u0627\u067E\u0633 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06D2 \u06AF\u06CC\u06D4',
+    "assistant.untitled": "\u0646\u0626\u06CC \u06AF\u0641\u062A\u06AF\u0648",
+    "assistant.importedTitle": "\u067E\u0686\u06BE\u0644\u06CC \u06AF\u0641\u062A\u06AF\u0648",
+    "assistant.summarized": "\u0627\u0633 \u06AF\u0641\u062A\u06AF\u0648 \u06A9\u06D2 \u067E\u06C1\u0644\u06D2 {count} \u067E\u06CC\u063A\u0627\u0645\u0627\u062A \u0627\u0633\u0633\u0679\u0646\u0679 \u06A9\u0648 \u0627\u0646 \u06A9\u06D2 \u0627\u06C1\u0645 \u0646\u06A9\u0627\u062A \u06A9\u06D2 \u062E\u0644\u0627\u0635\u06D2 \u06A9\u06CC \u0635\u0648\u0631\u062A \u0645\u06CC\u06BA \u06CC\u0627\u062F \u06C1\u06CC\u06BA\u06D4",
+    "assistant.threadsFailed": "\u0622\u067E \u06A9\u06CC \u06AF\u0641\u062A\u06AF\u0648\u0626\u06CC\u06BA \u0644\u0648\u0688 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06CC\u06BA: {message}",
+    "assistant.threadFailed": "\u06AF\u0641\u062A\u06AF\u0648 \u0645\u06CC\u06BA \u062A\u0628\u062F\u06CC\u0644\u06CC \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06CC: {message}",
+    "assistant.toolsUsed": "\u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u06A9\u06D2 \u0688\u06CC\u0679\u0627 \u0633\u06D2 \u062F\u06CC\u06A9\u06BE\u0627 \u06AF\u06CC\u0627:",
+    "assistant.tool.getForecast": "{district} \u06A9\u06CC \u0645\u0648\u0633\u0645\u06CC \u067E\u06CC\u0634\u06AF\u0648\u0626\u06CC",
+    "assistant.tool.getSuitability": "{district} \u0645\u06CC\u06BA {crop} \u06A9\u06CC \u0645\u0648\u0632\u0648\u0646\u06CC\u062A",
+    "assistant.tool.getDistrict": "\u0636\u0644\u0639 \u06A9\u06CC \u062A\u0644\u0627\u0634: {name}",
+    "assistant.tool.other": "\u0679\u0648\u0644: {name}",
+    "assistant.toolRunning": "{label}\u2026",
+    "assistant.toolFailed": "{label} (\u062F\u0633\u062A\u06CC\u0627\u0628 \u0646\u06C1\u06CC\u06BA)",
+    "assistant.sources": "\u062D\u0648\u0627\u0644\u06C1 \u062C\u0627\u062A:",
+    "assistant.placeholder": "\u0627\u06CC\u06AF\u0631\u06CC \u06AF\u0627\u0626\u06CC\u0688 \u0633\u06D2 \u0641\u0635\u0644\u0648\u06BA\u060C \u0645\u0648\u0633\u0645 \u06CC\u0627 \u06A9\u06CC\u0691\u0648\u06BA \u06A9\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA \u067E\u0648\u0686\u06BE\u06CC\u06BA...",
+    "assistant.stopTitle": "\u06CC\u06C1 \u062C\u0648\u0627\u0628 \u0631\u0648\u06A9 \u062F\u06CC\u06BA",
+    "assistant.user": "\u0635\u0627\u0631\u0641",
+    "assistant.system": "\u0633\u0633\u0679\u0645",
+    "assistant.systemAlert": "\u0633\u0633\u0679\u0645 \u0627\u0646\u062A\u0628\u0627\u06C1",
+    "assistant.systemAdvisory": "\u0633\u0633\u0679\u0645 \u0627\u0637\u0644\u0627\u0639",
+    "assistant.thinking": "{ai} \u0633\u0648\u0686 \u0631\u06C1\u0627 \u06C1\u06D2",
+    "assistant.greeting": "\u0627\u0644\u0633\u0644\u0627\u0645 \u0639\u0644\u06CC\u06A9\u0645 {name}! \u0645\u06CC\u06BA {ai} \u06C1\u0648\u06BA\u06D4 \u0645\u06CC\u06BA \u0632\u0631\u0627\u0639\u062A \u0627\u0648\u0631 \u0632\u0631\u0639\u06CC \u0634\u0639\u0628\u06D2 \u0645\u06CC\u06BA \u0631\u0648\u0632\u06AF\u0627\u0631 \u06A9\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA \u0622\u067E \u06A9\u06D2 \u0633\u0648\u0627\u0644\u0648\u06BA \u0645\u06CC\u06BA \u0645\u062F\u062F \u06A9\u0631 \u0633\u06A9\u062A\u0627 \u06C1\u0648\u06BA\u06D4 \u0622\u062C \u0645\u06CC\u06BA \u0622\u067E \u06A9\u06CC \u06A9\u06CC\u0627 \u0645\u062F\u062F \u06A9\u0631\u0648\u06BA\u061F",
+    "assistant.busy": "\u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u0627\u0646\u062A\u0638\u0627\u0631 \u06A9\u0631\u06CC\u06BA\u060C \u0645\u06CC\u06BA \u0627\u0628\u06BE\u06CC \u0622\u067E \u06A9\u06D2 \u067E\u0686\u06BE\u0644\u06D2 \u0633\u0648\u0627\u0644 \u067E\u0631 \u06A9\u0627\u0645 \u06A9\u0631 \u0631\u06C1\u0627 \u06C1\u0648\u06BA\u06D4",
+    "assistant.blocked": "\u0622\u067E \u06A9\u06CC \u062F\u0631\u062E\u0648\u0627\u0633\u062A \u067E\u0631 \u06A9\u0627\u0631\u0631\u0648\u0627\u0626\u06CC \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u06CC: {reason}\u06D4 \u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u0633\u0648\u0627\u0644 \u062F\u0648\u0633\u0631\u06D2 \u0627\u0644\u0641\u0627\u0638 \u0645\u06CC\u06BA \u067E\u0648\u0686\u06BE\u06CC\u06BA\u06D4",
+    "assistant.safety": "\u062D\u0641\u0627\u0638\u062A\u06CC \u0627\u0635\u0648\u0644\u0648\u06BA \u06A9\u06CC \u0648\u062C\u06C1 \u0633\u06D2 \u0645\u06CC\u0631\u0627 \u062C\u0648\u0627\u0628 \u0631\u0648\u06A9 \u062F\u06CC\u0627 \u06AF\u06CC\u0627\u06D4 \u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u06A9\u0648\u0626\u06CC \u0627\u0648\u0631 \u0633\u0648\u0627\u0644 \u067E\u0648\u0686\u06BE\u06CC\u06BA\u06D4",
+    "assistant.empty": "\u0645\u0639\u0630\u0631\u062A\u060C \u0622\u067E \u06A9\u06D2 \u0633\u0648\u0627\u0644 \u067E\u0631 \u06A9\u0627\u0631\u0631\u0648\u0627\u0626\u06CC \u0645\u06CC\u06BA \u0645\u0633\u0626\u0644\u06C1 \u067E\u06CC\u0634 \u0622\u06CC\u0627\u06D4 \u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u062F\u0648\u0633\u0631\u06D2 \u0627\u0644\u0641\u0627\u0638 \u0645\u06CC\u06BA \u06CC\u0627 \u06A9\u0686\u06BE \u062F\u06CC\u0631 \u0628\u0639\u062F \u062F\u0648\u0628\u0627\u0631\u06C1 \u067E\u0648\u0686\u06BE\u06CC\u06BA\u06D4",
+    "assistant.altered": "\u0645\u06CC\u0631\u0627 \u062C\u0648\u0627\u0628 \u0634\u0627\u06CC\u062F \u0645\u06A9\u0645\u0644 \u0646\u06C1\u06CC\u06BA \u06C1\u0648\u0627: {reason}\u06D4",
+    "assistant.stopped": "\u062C\u0648\u0627\u0628 \u0631\u0648\u06A9 \u062F\u06CC\u0627 \u06AF\u06CC\u0627\u06D4",
+    "assistant.offline": "\u0622\u0641 \u0644\u0627\u0626\u0646",
+    "assistant.offlineQueued": "\u0622\u067E \u0622\u0641 \u0644\u0627\u0626\u0646 \u06C1\u06CC\u06BA\u06D4 \u0622\u067E \u06A9\u0627 \u0633\u0648\u0627\u0644 \u0645\u062D\u0641\u0648\u0638 \u06A9\u0631 \u0644\u06CC\u0627 \u06AF\u06CC\u0627 \u06C1\u06D2 \u0627\u0648\u0631 \u06A9\u0646\u06A9\u0634\u0646 \u0628\u062D\u0627\u0644 \u06C1\u0648\u062A\u06D2 \u06C1\u06CC \u0627\u0633 \u06A9\u0627 \u062C\u0648\u0627\u0628 \u062F\u06CC\u0627 \u062C\u0627\u0626\u06D2 \u06AF\u0627\u06D4",
+    "assistant.offlineNoThread": "\u0622\u067E \u0622\u0641 \u0644\u0627\u0626\u0646 \u06C1\u06CC\u06BA\u060C \u0627\u0648\u0631 \u0646\u0626\u06CC \u06AF\u0641\u062A\u06AF\u0648 \u0635\u0631\u0641 \u0622\u0646 \u0644\u0627\u0626\u0646 \u0634\u0631\u0648\u0639 \u06C1\u0648 \u0633\u06A9\u062A\u06CC \u06C1\u06D2\u06D4 \u0633\u0648\u0627\u0644 \u0628\u0639\u062F \u06A9\u06D2 \u0644\u06CC\u06D2 \u0645\u062D\u0641\u0648\u0638 \u06A9\u0631\u0646\u06D2 \u06A9\u0648 \u06A9\u0648\u0626\u06CC \u067E\u0686\u06BE\u0644\u06CC \u06AF\u0641\u062A\u06AF\u0648 \u06A9\u06BE\u0648\u0644\u06CC\u06BA\u060C \u06CC\u0627 \u0627\u0646\u0679\u0631\u0646\u06CC\u0679 \u0648\u0627\u067E\u0633 \u0622\u0646\u06D2 \u067E\u0631 \u062F\u0648\u0628\u0627\u0631\u06C1 \u067E\u0648\u0686\u06BE\u06CC\u06BA\u06D4",
+    "assistant.error": "\u062E\u0631\u0627\u0628\u06CC: {message}\u06D4 \u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u062F\u0648\u0628\u0627\u0631\u06C1 \u06A9\u0648\u0634\u0634 \u06A9\u0631\u06CC\u06BA\u06D4 \u0645\u0633\u0626\u0644\u06C1 \u0628\u0631\u0642\u0631\u0627\u0631 \u0631\u06C1\u06D2 \u062A\u0648 \u0634\u0627\u06CC\u062F \u0627\u06D2 \u0622\u0626\u06CC \u0633\u0631\u0648\u0633 \u0639\u0627\u0631\u0636\u06CC \u0637\u0648\u0631 \u067E\u0631 \u062F\u0633\u062A\u06CC\u0627\u0628 \u0646\u06C1\u06CC\u06BA\u06D4",
+    "assistant.yourQuestion": "\u0622\u067E \u06A9\u0627 \u0633\u0648\u0627\u0644",
+    "assistant.queuedAnswer": "{question} \u06A9\u0627 \u062C\u0648\u0627\u0628\u060C \u062C\u0648 {age} \u0622\u0641 \u0644\u0627\u0626\u0646 \u067E\u0648\u0686\u06BE\u0627 \u06AF\u06CC\u0627:",
+    "assistant.queuedFailed": "\u0622\u0641 \u0644\u0627\u0626\u0646 \u067E\u0648\u0686\u06BE\u06D2 \u06AF\u0626\u06D2 \u0633\u0648\u0627\u0644 {question} \u06A9\u0627 \u062C\u0648\u0627\u0628 \u0646\u06C1\u06CC\u06BA \u0645\u0644 \u0633\u06A9\u0627: {details}\u06D4 \u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u062F\u0648\u0628\u0627\u0631\u06C1 \u067E\u0648\u0686\u06BE\u06CC\u06BA\u06D4",
+    "assistant.queuedAnswerElsewhere": '{age} \u0622\u0641 \u0644\u0627\u0626\u0646 \u067E\u0648\u0686\u06BE\u06D2 \u06AF\u0626\u06D2 \u0633\u0648\u0627\u0644 {question} \u06A9\u0627 \u062C\u0648\u0627\u0628 "{title}" \u0645\u06CC\u06BA \u0622 \u06AF\u06CC\u0627 \u06C1\u06D2\u06D4',
+    "assistant.micTitle": "\u0622\u0648\u0627\u0632 \u0633\u06D2 \u067E\u0648\u0686\u06BE\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u062F\u0628\u0627\u0626\u06D2 \u0631\u06A9\u06BE\u06CC\u06BA",
+    "assistant.listening": "\u0633\u0646 \u0631\u06C1\u0627 \u06C1\u06D2... \u0628\u06BE\u06CC\u062C\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0686\u06BE\u0648\u0691 \u062F\u06CC\u06BA",
+    "assistant.transcribing": "\u0622\u0648\u0627\u0632 \u06A9\u0648 \u062A\u062D\u0631\u06CC\u0631 \u0645\u06CC\u06BA \u0628\u062F\u0644\u0627 \u062C\u0627 \u0631\u06C1\u0627 \u06C1\u06D2...",
+    "assistant.noSpeech": "\u0627\u0633 \u0631\u06CC\u06A9\u0627\u0631\u0688\u0646\u06AF \u0645\u06CC\u06BA \u06A9\u0648\u0626\u06CC \u0633\u0648\u0627\u0644 \u0633\u0646\u0627\u0626\u06CC \u0646\u06C1\u06CC\u06BA \u062F\u06CC\u0627\u06D4 \u0628\u0648\u0644\u062A\u06D2 \u0648\u0642\u062A \u0645\u0627\u0626\u06CC\u06A9 \u06A9\u0627 \u0628\u0679\u0646 \u062F\u0628\u0627\u0626\u06D2 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+    "assistant.micDenied": "\u0645\u0627\u0626\u06CC\u06A9 \u06A9\u06CC \u0627\u062C\u0627\u0632\u062A \u0646\u06C1\u06CC\u06BA \u0645\u0644\u06CC\u06D4 \u0622\u0648\u0627\u0632 \u0633\u06D2 \u067E\u0648\u0686\u06BE\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0628\u0631\u0627\u0624\u0632\u0631 \u06A9\u06CC \u0633\u06CC\u0679\u0646\u06AF\u0632 \u0645\u06CC\u06BA \u0627\u062C\u0627\u0632\u062A \u062F\u06CC\u06BA\u06D4",
+    "assistant.micFailed": "\u0645\u0627\u0626\u06CC\u06A9 \u0634\u0631\u0648\u0639 \u0646\u06C1\u06CC\u06BA \u06C1\u0648 \u0633\u06A9\u0627: {message}",
+    "assistant.transcribeFailed": "\u0631\u06CC\u06A9\u0627\u0631\u0688\u0646\u06AF \u0633\u0645\u062C\u06BE \u0646\u06C1\u06CC\u06BA \u0622 \u0633\u06A9\u06CC: {message}",
+    "assistant.voiceOffline": "\u0622\u0648\u0627\u0632 \u0633\u06D2 \u0633\u0648\u0627\u0644 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0627\u0646\u0679\u0631\u0646\u06CC\u0679 \u0636\u0631\u0648\u0631\u06CC \u06C1\u06D2\u06D4 \u0628\u0631\u0627\u06C1\u0650 \u06A9\u0631\u0645 \u0633\u0648\u0627\u0644 \u0644\u06A9\u06BE \u062F\u06CC\u06BA\u061B \u06A9\u0646\u06A9\u0634\u0646 \u0628\u062D\u0627\u0644 \u06C1\u0648\u0646\u06D2 \u067E\u0631 \u0627\u0633 \u06A9\u0627 \u062C\u0648\u0627\u0628 \u0645\u0644 \u062C\u0627\u0626\u06D2 \u06AF\u0627\u06D4",
+    "assistant.speakOn": "\u0628\u0648\u0644 \u06A9\u0631 \u0633\u0646\u0627\u0626\u06CC\u06BA: \u0622\u0646",
+    "assistant.speakOff": "\u0628\u0648\u0644 \u06A9\u0631 \u0633\u0646\u0627\u0626\u06CC\u06BA: \u0622\u0641",
+    "assistant.speakTitle": "\u062C\u0648\u0627\u0628 \u0628\u0648\u0644 \u06A9\u0631 \u0633\u0646\u0627\u0626\u06CC\u06BA",
+    "assistant.voiceTitle": "\u062C\u0648\u0627\u0628 \u0633\u0646\u0627\u0646\u06D2 \u0648\u0627\u0644\u06CC \u0622\u0648\u0627\u0632",
+    "assistant.listen": "\u0633\u0646\u06CC\u06BA",
+    "assistant.noVoice": "\u0627\u0633 \u0688\u06CC\u0648\u0627\u0626\u0633 \u067E\u0631 {language} \u0622\u0648\u0627\u0632 \u0627\u0646\u0633\u0679\u0627\u0644 \u0646\u06C1\u06CC\u06BA\u060C \u0627\u0633 \u0644\u06CC\u06D2 \u062C\u0648\u0627\u0628 \u0628\u0648\u0644 \u06A9\u0631 \u0646\u06C1\u06CC\u06BA \u0633\u0646\u0627\u0626\u06D2 \u062C\u0627 \u0633\u06A9\u062A\u06D2\u06D4 \u0641\u0648\u0646 \u06CC\u0627 \u06A9\u0645\u067E\u06CC\u0648\u0679\u0631 \u06A9\u06CC \u0633\u06CC\u0679\u0646\u06AF\u0632 \u0645\u06CC\u06BA \u0679\u06CC\u06A9\u0633\u0679 \u0679\u0648 \u0627\u0633\u067E\u06CC\u0686 \u06A9\u06D2 \u062A\u062D\u062A \u0622\u0648\u0627\u0632 \u0634\u0627\u0645\u0644 \u06A9\u0631\u06CC\u06BA\u060C \u06CC\u0627 \u062C\u0648\u0627\u0628 \u0627\u0633\u06A9\u0631\u06CC\u0646 \u067E\u0631 \u067E\u0691\u06BE\u06CC\u06BA\u06D4",
+    "about.title": "\u06C1\u0645\u0627\u0631\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA \u2014 \u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688",
+    "about.heroTitle": "\u06C1\u0645\u0627\u0631\u0627 \u0645\u0642\u0635\u062F",
+    "about.heroText": "\u062C\u062F\u06CC\u062F \u0679\u06CC\u06A9\u0646\u0627\u0644\u0648\u062C\u06CC \u06A9\u06D2 \u0630\u0631\u06CC\u0639\u06D2 \u06A9\u0633\u0627\u0646\u0648\u06BA \u06A9\u0648 \u0628\u0627\u0627\u062E\u062A\u06CC\u0627\u0631 \u0628\u0646\u0627\u0646\u0627 \u062A\u0627\u06A9\u06C1 \u0632\u0631\u0627\u0639\u062A \u06A9\u0627 \u0645\u0633\u062A\u0642\u0628\u0644 \u0632\u06CC\u0627\u062F\u06C1 \u0635\u062D\u062A \u0645\u0646\u062F \u0627\u0648\u0631 \u067E\u0627\u0626\u06CC\u062F\u0627\u0631 \u06C1\u0648\u06D4",
+    "about.role": "\u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u06A9\u06D2 \u0628\u0627\u0646\u06CC \u0627\u0648\u0631 \u0688\u0648\u06CC\u0644\u067E\u0631",
+    "about.bio": "\u0679\u06CC\u06A9\u0646\u0627\u0644\u0648\u062C\u06CC \u06A9\u06D2 \u0634\u0648\u0642 \u0627\u0648\u0631 \u0632\u0631\u0627\u0639\u062A \u06A9\u06D2 \u06AF\u06C1\u0631\u06D2 \u0627\u062D\u062A\u0631\u0627\u0645 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u0645\u06CC\u06BA \u0646\u06D2 \u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u0628\u0646\u0627\u06CC\u0627 \u062A\u0627\u06A9\u06C1 \u06A9\u0627\u0634\u062A\u06A9\u0627\u0631\u06CC \u06A9\u06CC \u0631\u0648\u0627\u06CC\u0627\u062A \u0627\u0648\u0631 \u0688\u06CC\u062C\u06CC\u0679\u0644 \u062F\u0648\u0631 \u06A9\u06D2 \u062F\u0631\u0645\u06CC\u0627\u0646 \u0641\u0627\u0635\u0644\u06C1 \u06A9\u0645 \u06C1\u0648\u06D4 \u0645\u06CC\u0631\u0627 \u0645\u0642\u0635\u062F \u0627\u06CC\u0633\u06D2 \u0622\u0633\u0627\u0646 \u0627\u0648\u0631 \u0633\u0645\u062C\u06BE\u062F\u0627\u0631 \u0627\u0648\u0632\u0627\u0631 \u0641\u0631\u0627\u06C1\u0645 \u06A9\u0631\u0646\u0627 \u06C1\u06D2 \u062C\u0648 \u06A9\u0633\u0627\u0646\u0648\u06BA \u06A9\u0648 \u0645\u0634\u06A9\u0644\u0627\u062A \u067E\u0631 \u0642\u0627\u0628\u0648 \u067E\u0627\u0646\u06D2\u060C \u067E\u06CC\u062F\u0627\u0648\u0627\u0631 \u0628\u0691\u06BE\u0627\u0646\u06D2 \u0627\u0648\u0631 \u062E\u0648\u0634\u062D\u0627\u0644 \u0645\u0633\u062A\u0642\u0628\u0644 \u06CC\u0642\u06CC\u0646\u06CC \u0628\u0646\u0627\u0646\u06D2 \u0645\u06CC\u06BA \u0645\u062F\u062F \u062F\u06CC\u06BA\u06D4",
+    "about.valuesTitle": "\u06C1\u0645\u0627\u0631\u06CC \u0628\u0646\u06CC\u0627\u062F\u06CC \u0627\u0642\u062F\u0627\u0631",
+    "about.innovation": "\u062C\u062F\u062A",
+    "about.innovationText": "\u06C1\u0645 \u062C\u062F\u06CC\u062F \u0627\u06D2 \u0622\u0626\u06CC \u0627\u0648\u0631 \u0688\u06CC\u0679\u0627 \u06A9\u06D2 \u062A\u062C\u0632\u06CC\u06D2 \u0633\u06D2 \u062C\u062F\u06CC\u062F \u06A9\u0627\u0634\u062A\u06A9\u0627\u0631\u06CC \u06A9\u06D2 \u0644\u06CC\u06D2 \u0633\u0645\u062C\u06BE\u062F\u0627\u0631 \u0627\u0648\u0631 \u0642\u0627\u0628\u0644 \u0639\u0645\u0644 \u0645\u0639\u0644\u0648\u0645\u0627\u062A \u0641\u0631\u0627\u06C1\u0645 \u06A9\u0631\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4",
+    "about.sustainability": "\u067E\u0627\u0626\u06CC\u062F\u0627\u0631\u06CC",
+    "about.sustainabilityText": "\u06C1\u0645\u0627\u0631\u06D2 \u0627\u0648\u0632\u0627\u0631 \u0645\u0627\u062D\u0648\u0644 \u062F\u0648\u0633\u062A \u0637\u0631\u06CC\u0642\u0648\u06BA \u06A9\u0648 \u0641\u0631\u0648\u063A \u062F\u06CC\u062A\u06D2 \u06C1\u06CC\u06BA \u062A\u0627\u06A9\u06C1 \u0648\u0633\u0627\u0626\u0644 \u0628\u0686\u06CC\u06BA \u0627\u0648\u0631 \u0622\u0646\u06D2 \u0648\u0627\u0644\u06CC \u0646\u0633\u0644\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u0645\u0627\u062D\u0648\u0644 \u0645\u062D\u0641\u0648\u0638 \u0631\u06C1\u06D2\u06D4",
+    "about.farmerCentric": "\u06A9\u0633\u0627\u0646 \u0627\u0648\u0644\u06CC\u0646",
+    "about.farmerCentricText": "\u06C1\u0645 \u062C\u0648 \u06A9\u0686\u06BE \u0628\u0646\u0627\u062A\u06D2 \u06C1\u06CC\u06BA \u06A9\u0633\u0627\u0646 \u06A9\u0648 \u0633\u0627\u0645\u0646\u06D2 \u0631\u06A9\u06BE \u06A9\u0631 \u0628\u0646\u0627\u062A\u06D2 \u06C1\u06CC\u06BA \u2014 \u0622\u0633\u0627\u0646\u060C \u0642\u0627\u0628\u0644 \u0627\u0639\u062A\u0645\u0627\u062F \u0627\u0648\u0631 \u0631\u0648\u0632\u0645\u0631\u06C1 \u0645\u0633\u0627\u0626\u0644 \u0645\u06CC\u06BA \u0648\u0627\u0642\u0639\u06CC \u0645\u062F\u062F\u06AF\u0627\u0631\u06D4",
+    "about.contactTitle": "\u0631\u0627\u0628\u0637\u06C1 \u06A9\u0631\u06CC\u06BA",
+    "about.contactText": "\u06A9\u0648\u0626\u06CC \u0633\u0648\u0627\u0644 \u06CC\u0627 \u0631\u0627\u0626\u06D2\u061F \u0645\u062C\u06BE\u06D2 \u0622\u067E \u0633\u06D2 \u0633\u0646 \u06A9\u0631 \u062E\u0648\u0634\u06CC \u06C1\u0648\u06AF\u06CC\u06D4",
+    "home.title": "\u{1F33E} \u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u2014 \u067E\u0627\u06A9\u0633\u062A\u0627\u0646",
+    "home.tagline": "\u06A9\u0633\u0627\u0646\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u0633\u0645\u0627\u0631\u0679 \u0645\u0648\u0633\u0645\u060C \u0641\u0635\u0644 \u06A9\u06CC \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC \u0627\u0648\u0631 \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u06D2 \u0645\u0634\u0648\u0631\u06D2",
+    "home.checkWeather": "\u0645\u0648\u0633\u0645 \u062F\u06CC\u06A9\u06BE\u06CC\u06BA",
+    "home.exploreCrops": "\u0641\u0635\u0644\u06CC\u06BA \u062F\u06CC\u06A9\u06BE\u06CC\u06BA",
+    "home.cropsTitle": "\u067E\u0627\u06A9\u0633\u062A\u0627\u0646 \u06A9\u06CC \u0628\u0691\u06CC \u0641\u0635\u0644\u06CC\u06BA",
+    "home.wheatText": "\u067E\u0627\u06A9\u0633\u062A\u0627\u0646 \u06A9\u06CC \u0628\u0646\u06CC\u0627\u062F\u06CC \u063A\u0630\u0627\u0626\u06CC \u0641\u0635\u0644\u060C \u0632\u06CC\u0627\u062F\u06C1 \u062A\u0631 \u067E\u0646\u062C\u0627\u0628 \u0627\u0648\u0631 \u0633\u0646\u062F\u06BE \u0645\u06CC\u06BA \u06A9\u0627\u0634\u062A \u06C1\u0648\u062A\u06CC \u06C1\u06D2\u06D4",
+    "home.riceText": "\u0628\u0627\u0633\u0645\u062A\u06CC \u0627\u0648\u0631 \u0686\u0627\u0648\u0644 \u06A9\u06CC \u062F\u0648\u0633\u0631\u06CC \u0627\u0642\u0633\u0627\u0645 \u067E\u0627\u06A9\u0633\u062A\u0627\u0646 \u06A9\u06CC \u0628\u0691\u06CC \u0628\u0631\u0622\u0645\u062F\u0627\u062A \u06C1\u06CC\u06BA\u06D4",
+    "home.cottonText": '"\u0633\u0641\u06CC\u062F \u0633\u0648\u0646\u0627" \u06A9\u06C1\u0644\u0627\u0646\u06D2 \u0648\u0627\u0644\u06CC \u06A9\u067E\u0627\u0633 \u0679\u06CC\u06A9\u0633\u0679\u0627\u0626\u0644 \u0635\u0646\u0639\u062A \u06A9\u06CC \u0631\u06CC\u0691\u06BE \u06A9\u06CC \u06C1\u0688\u06CC \u06C1\u06D2\u06D4',
+    "home.sugarcaneText": "\u0627\u06C1\u0645 \u0646\u0642\u062F \u0622\u0648\u0631 \u0641\u0635\u0644\u060C \u0686\u06CC\u0646\u06CC \u0627\u0648\u0631 \u0627\u06CC\u062A\u06BE\u0646\u0648\u0644 \u0628\u0646\u0627\u0646\u06D2 \u0645\u06CC\u06BA \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06C1\u0648\u062A\u06CC \u06C1\u06D2\u06D4",
+    "home.teaserTitle": "\u0645\u0648\u0633\u0645 \u0627\u0648\u0631 \u0641\u0635\u0644 \u06A9\u0627 \u0645\u0634\u0648\u0631\u06C1 \u062F\u06CC\u06A9\u06BE\u06CC\u06BA",
+    "home.teaserText": "\u0627\u067E\u0646\u06CC \u0641\u0635\u0644\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u0645\u0648\u0633\u0645 \u06A9\u06CC \u062A\u0627\u0632\u06C1 \u0645\u0639\u0644\u0648\u0645\u0627\u062A \u0627\u0648\u0631 \u0645\u0634\u0648\u0631\u06D2 \u062D\u0627\u0635\u0644 \u06A9\u0631\u06CC\u06BA \u{1F33E}",
+    "home.teaserButton": "\u0645\u0648\u0633\u0645 \u06A9\u06D2 \u0635\u0641\u062D\u06D2 \u067E\u0631 \u062C\u0627\u0626\u06CC\u06BA",
+    "app.homeTagline": "\u067E\u0627\u06A9\u0633\u062A\u0627\u0646\u06CC \u06A9\u0633\u0627\u0646\u0648\u06BA \u06A9\u06D2 \u0644\u06CC\u06D2 \u0633\u0645\u0627\u0631\u0679 \u0645\u0648\u0633\u0645\u060C \u0641\u0635\u0644 \u06A9\u06CC \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC \u0627\u0648\u0631 \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u06D2 \u0645\u0634\u0648\u0631\u06D2",
+    "app.aboutPage": "\u06C1\u0645\u0627\u0631\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA",
+    "app.aboutTitle": "\u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u06A9\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA",
+    "app.aboutText": "\u0641\u0627\u0631\u0645\u0631 \u0627\u06CC\u0688 \u0645\u0648\u0633\u0645 \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u0641\u0635\u0644 \u06A9\u06CC \u0631\u06C1\u0646\u0645\u0627\u0626\u06CC \u0627\u0648\u0631 \u0627\u06D2 \u0622\u0626\u06CC \u0633\u06D2 \u0628\u06CC\u0645\u0627\u0631\u06CC \u06A9\u06CC \u062A\u0634\u062E\u06CC\u0635 \u0641\u0631\u0627\u06C1\u0645 \u06A9\u0631\u062A\u0627 \u06C1\u06D2 \u062A\u0627\u06A9\u06C1 \u067E\u0627\u06A9\u0633\u062A\u0627\u0646\u06CC \u06A9\u0633\u0627\u0646 \u0628\u06C1\u062A\u0631 \u0641\u06CC\u0635\u0644\u06D2 \u06A9\u0631 \u0633\u06A9\u06CC\u06BA\u06D4",
+    "app.weatherPage": "\u0645\u0648\u0633\u0645 \u06A9\u0627 \u0635\u0641\u062D\u06C1",
+    "app.loading": "\u0644\u0648\u0688 \u06C1\u0648 \u0631\u06C1\u0627 \u06C1\u06D2\u2026",
+    "app.savedFarm": "\u0645\u062D\u0641\u0648\u0638 \u0641\u0627\u0631\u0645",
+    "app.locationNotFound": "\u0645\u0642\u0627\u0645 \u0646\u06C1\u06CC\u06BA \u0645\u0644\u0627",
+    "app.district": "\u0636\u0644\u0639 {district}\u060C ",
+    "app.offlineTitle": "\u06A9\u0646\u06A9\u0634\u0646 \u0646\u06C1\u06CC\u06BA: {time} \u06A9\u0648 \u0645\u062D\u0641\u0648\u0638 \u06A9\u06CC \u06AF\u0626\u06CC \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u062F\u06A9\u06BE\u0627\u0626\u06CC \u062C\u0627 \u0631\u06C1\u06CC \u06C1\u06D2",
+    "app.temperature": "\u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A: {value}\xB0C",
+    "app.condition": "\u0645\u0648\u0633\u0645: {condition}",
+    "app.trendTitle": "5 \u062F\u0646 \u06A9\u06D2 \u062F\u0631\u062C\u06C1 \u062D\u0631\u0627\u0631\u062A \u06A9\u0627 \u0631\u062C\u062D\u0627\u0646",
+    "app.gddTitle": "\u0628\u0648\u0627\u0626\u06CC ({date}) \u0633\u06D2 \u0627\u0628 \u062A\u06A9 \u06A9\u06D2 \u06AF\u0631\u0648\u0626\u0646\u06AF \u0688\u06AF\u0631\u06CC \u0688\u06CC\u0632",
+    "app.gddSoFar": "\u0627\u0628 \u062A\u06A9 {gdd} GDD\u060C \u067E\u06CC\u0634 \u06AF\u0648\u0626\u06CC \u06A9\u06D2 \u0622\u062E\u0631 \u062A\u06A9 \u062A\u0642\u0631\u06CC\u0628\u0627\u064B {total} (\u0628\u0646\u06CC\u0627\u062F {base}\xB0C)",
+    "app.target": "{name}: {date}",
+    "app.targetClimate": "{name}: {date} (\u0639\u0627\u0645 \u0645\u0648\u0633\u0645 \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642)",
+    "app.notWithinYear": "\u0627\u06CC\u06A9 \u0633\u0627\u0644 \u06A9\u06D2 \u0627\u0646\u062F\u0631 \u0646\u06C1\u06CC\u06BA",
+    "app.aiPage": "\u0627\u06D2 \u0622\u0626\u06CC \u06A9\u0627 \u0635\u0641\u062D\u06C1",
+    "app.chatIntro": "\u0641\u0635\u0644\u0648\u06BA\u060C \u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u0627\u0648\u0631 \u0645\u0648\u0633\u0645 \u06A9\u06D2 \u0645\u0637\u0627\u0628\u0642 \u0645\u0634\u0648\u0631\u0648\u06BA \u06A9\u06D2 \u0628\u0627\u0631\u06D2 \u0645\u06CC\u06BA \u067E\u0648\u0686\u06BE\u06CC\u06BA\u06D4",
+    "app.noMessages": "\u0627\u0628\u06BE\u06CC \u06A9\u0648\u0626\u06CC \u067E\u06CC\u063A\u0627\u0645 \u0646\u06C1\u06CC\u06BA \u2014 \u06A9\u0686\u06BE \u067E\u0648\u0686\u06BE\u06CC\u06BA!",
+    "app.chatInput": "\u0686\u06CC\u0679 \u0627\u0646 \u067E\u0679",
+    "app.chatPlaceholder": "\u0627\u06CC\u06AF\u0631\u06CC \u06AF\u0627\u0626\u06CC\u0688 \u0633\u06D2 \u067E\u0648\u0686\u06BE\u06CC\u06BA...",
+    "app.queuedAnswer": "{question} \u06A9\u0627 \u062C\u0648\u0627\u0628\u060C \u062C\u0648 {age} \u0622\u0641 \u0644\u0627\u0626\u0646 \u067E\u0648\u0686\u06BE\u0627 \u06AF\u06CC\u0627: {answer}",
+    "app.queuedFailed": "{question} \u062C\u0648 \u0622\u0641 \u0644\u0627\u0626\u0646 \u067E\u0648\u0686\u06BE\u0627 \u06AF\u06CC\u0627\u060C \u0627\u0633 \u06A9\u0627 \u062C\u0648\u0627\u0628 \u0646\u06C1\u06CC\u06BA \u0645\u0644 \u0633\u06A9\u0627: {details}",
+    "app.stoppedPartial": "{text} [\u0631\u0648\u06A9 \u062F\u06CC\u0627 \u06AF\u06CC\u0627]",
+    "app.stopped": "\u0631\u0648\u06A9 \u062F\u06CC\u0627 \u06AF\u06CC\u0627\u06D4",
+    "app.noAnswer": "\u06A9\u0648\u0626\u06CC \u062C\u0648\u0627\u0628 \u0646\u06C1\u06CC\u06BA \u0645\u0644\u0627\u06D4 \u0628\u0631\u0627\u06C1 \u06A9\u0631\u0645 \u0633\u0648\u0627\u0644 \u062F\u0648\u0633\u0631\u06D2 \u0627\u0644\u0641\u0627\u0638 \u0645\u06CC\u06BA \u067E\u0648\u0686\u06BE\u06CC\u06BA\u06D4",
+    "app.aiError": "\u0627\u06D2 \u0622\u0626\u06CC \u0633\u0631\u0648\u0633 \u0645\u06CC\u06BA \u062E\u0631\u0627\u0628\u06CC",
+    "app.diseasesPage": "\u0628\u06CC\u0645\u0627\u0631\u06CC\u0648\u06BA \u06A9\u0627 \u0635\u0641\u062D\u06C1",
+    "app.diseasesTitle": "\u067E\u0648\u062F\u0648\u06BA \u06A9\u06CC \u0628\u06CC\u0645\u0627\u0631\u06CC \u06A9\u06CC \u062A\u0634\u062E\u06CC\u0635",
+    "app.analyze": "\u062A\u062C\u0632\u06CC\u06C1 \u06A9\u0631\u06CC\u06BA",
+    "app.analyzing": "\u062A\u062C\u0632\u06CC\u06C1 \u06C1\u0648 \u0631\u06C1\u0627 \u06C1\u06D2...",
+    "app.queued": "\u0622\u067E \u0622\u0641 \u0644\u0627\u0626\u0646 \u06C1\u06CC\u06BA\u060C \u0627\u0633 \u0644\u06CC\u06D2 \u062A\u0635\u0648\u06CC\u0631 \u0627\u0633 \u0688\u06CC\u0648\u0627\u0626\u0633 \u067E\u0631 \u0645\u062D\u0641\u0648\u0638 \u06A9\u0631 \u0644\u06CC \u06AF\u0626\u06CC \u06C1\u06D2\u06D4 \u06A9\u0646\u06A9\u0634\u0646 \u0628\u062D\u0627\u0644 \u06C1\u0648\u062A\u06D2 \u06C1\u06CC \u0627\u0633 \u06A9\u06CC \u062A\u0634\u062E\u06CC\u0635 \u06C1\u0648 \u062C\u0627\u0626\u06D2 \u06AF\u06CC\u06D4",
+    "app.unclear": "\u0627\u06D2 \u0622\u0626\u06CC \u0627\u0633 \u062A\u0635\u0648\u06CC\u0631 \u0633\u06D2 \u0648\u0627\u0636\u062D \u062A\u0634\u062E\u06CC\u0635 \u0646\u06C1\u06CC\u06BA \u06A9\u0631 \u0633\u06A9\u0627\u06D4 \u0628\u0631\u0627\u06C1 \u06A9\u0631\u0645 \u0642\u0631\u06CC\u0628 \u0633\u06D2 \u0644\u06CC \u06AF\u0626\u06CC\u060C \u0627\u0686\u06BE\u06CC \u0631\u0648\u0634\u0646\u06CC \u0648\u0627\u0644\u06CC \u062A\u0635\u0648\u06CC\u0631 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u062F\u0648\u0628\u0627\u0631\u06C1 \u06A9\u0648\u0634\u0634 \u06A9\u0631\u06CC\u06BA\u06D4",
+    "app.photoQueued": "\u062A\u0635\u0648\u06CC\u0631 {age} \u0622\u0641 \u0644\u0627\u0626\u0646 \u0645\u062D\u0641\u0648\u0638 \u06A9\u06CC \u06AF\u0626\u06CC",
+    "app.disease": "\u0628\u06CC\u0645\u0627\u0631\u06CC:",
+    "app.severity": "\u0634\u062F\u062A:",
+    "app.treatment": "\u0639\u0644\u0627\u062C:",
+    "app.nutrientWater": "\u063A\u0630\u0627\u0626\u06CC\u062A/\u067E\u0627\u0646\u06CC:",
+    "app.advice": "\u0645\u0634\u0648\u0631\u06C1:"
+  };
+  var MESSAGES = { en, ur };
+
+  // src/i18n.js
+  var LANGUAGES = {
+    en: { code: "en", name: "English", nativeName: "English", dir: "ltr", locale: "en-US" },
+    ur: { code: "ur", name: "Urdu", nativeName: "\u0627\u0631\u062F\u0648", dir: "rtl", locale: "ur-PK" }
+  };
+  var DEFAULT_LANGUAGE = "en";
+  function isSupportedLanguage(lang) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+  }
+  function normalizeLanguage(lang) {
+    const primary = String(lang || "").trim().toLowerCase().split(/[-_]/)[0];
+    return isSupportedLanguage(primary) ? primary : DEFAULT_LANGUAGE;
+  }
+  function textDirection(lang) {
+    return LANGUAGES[normalizeLanguage(lang)].dir;
+  }
+  function languageLocale(lang) {
+    return LANGUAGES[normalizeLanguage(lang)].locale;
+  }
+  function interpolate(text, params) {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] === void 0 || params[name] === null ? match : String(params[name]));
+  }
+  function translate(lang, key, params) {
+    var _a, _b;
+    const code = normalizeLanguage(lang);
+    const text = (_b = (_a = MESSAGES[code][key]) != null ? _a : MESSAGES[DEFAULT_LANGUAGE][key]) != null ? _b : key;
+    return interpolate(text, params);
+  }
+  function describeWeatherCode(code, lang = DEFAULT_LANGUAGE) {
+    const key = `weatherCode.${Number(code)}`;
+    return translate(lang, MESSAGES[DEFAULT_LANGUAGE][key] ? key : "weatherCode.unknown");
+  }
+  function cropName(crop, lang = DEFAULT_LANGUAGE) {
+    const key = `crop.${String(crop || "").toLowerCase()}`;
+    if (normalizeLanguage(lang) === DEFAULT_LANGUAGE || !MESSAGES[DEFAULT_LANGUAGE][key]) return crop;
+    return translate(lang, key);
+  }
+  function describeAge(iso, lang = DEFAULT_LANGUAGE, now = Date.now()) {
+    const minutes = Math.max(0, Math.round((now - Date.parse(iso)) / 6e4));
+    if (!Number.isFinite(minutes)) return "";
+    if (minutes < 2) return translate(lang, "age.justNow");
+    if (minutes < 60) return translate(lang, "age.minutes", { n: minutes });
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return translate(lang, "age.hours", { n: hours });
+    return translate(lang, "age.days", { n: Math.round(hours / 24) });
+  }
+  var STAGE_TRANSLATIONS = {
+    ur: {
+      wheat: {
+        stages: {
+          sowing: {
+            name: "\u0628\u0648\u0627\u0626\u06CC \u0633\u06D2 \u0627\u06AF\u0627\u0624 \u062A\u06A9",
+            fertilizer: "\u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 \u0648\u0642\u062A \u0633\u0627\u0631\u06CC \u0688\u06CC \u0627\u06D2 \u067E\u06CC/\u0627\u06CC\u0633 \u0627\u06CC\u0633 \u067E\u06CC \u0627\u0648\u0631 \u067E\u0648\u0679\u0627\u0634 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u0627\u06CC\u06A9 \u062A\u06C1\u0627\u0626\u06CC \u06CC\u0648\u0631\u06CC\u0627 \u0688\u0627\u0644\u06CC\u06BA\u06D4",
+            watering: "\u0648\u062A\u0631 \u0645\u06CC\u06BA \u0628\u0648\u0627\u0626\u06CC \u06A9\u0631\u06CC\u06BA\u061B \u067E\u06C1\u0644\u0627 \u067E\u0627\u0646\u06CC \u062C\u0691\u06CC\u06BA \u0628\u0646\u0646\u06D2 \u067E\u0631\u060C \u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 \u062A\u0642\u0631\u06CC\u0628\u0627\u064B 20\u201325 \u062F\u0646 \u0628\u0639\u062F\u06D4",
+            pests: "\u06A9\u0627\u0646\u06AF\u06CC\u0627\u0631\u06CC \u0633\u06D2 \u0628\u0686\u0627\u0624 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0632\u06C1\u0631 \u0644\u06AF\u0627 \u0628\u06CC\u062C \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u0631\u06CC\u06BA\u061B \u06C1\u0644\u06A9\u06CC \u0632\u0645\u06CC\u0646 \u0645\u06CC\u06BA \u062F\u06CC\u0645\u06A9 \u067E\u0631 \u0646\u0638\u0631 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          emergence: {
+            name: "\u0627\u06AF\u0627\u0624",
+            watering: "\u06CC\u06A9\u0633\u0627\u06BA \u0627\u06AF\u0627\u0624 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0632\u0645\u06CC\u0646 \u0646\u0645 \u0631\u06A9\u06BE\u06CC\u06BA\u061B \u067E\u0627\u0646\u06CC \u06A9\u06BE\u0691\u0627 \u0646\u06C1 \u06C1\u0648\u0646\u06D2 \u062F\u06CC\u06BA\u06D4",
+            pests: "\u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 30\u201340 \u062F\u0646 \u062A\u06A9 \u062C\u0691\u06CC \u0628\u0648\u0679\u06CC\u0648\u06BA (\u062C\u0646\u06AF\u0644\u06CC \u062C\u0626\u06CC\u060C \u062F\u0645\u0628\u06CC \u0633\u0679\u06CC) \u06A9\u06CC \u062A\u0644\u0641\u06CC \u06A9\u0627 \u0645\u0646\u0635\u0648\u0628\u06C1 \u0628\u0646\u0627\u0626\u06CC\u06BA\u06D4"
+          },
+          tillering: {
+            name: "\u062C\u0691\u06CC\u06BA \u0628\u0646\u0646\u0627 \u0627\u0648\u0631 \u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u0627",
+            fertilizer: "\u067E\u06C1\u0644\u06D2 \u067E\u0627\u0646\u06CC \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u06CC\u0648\u0631\u06CC\u0627 \u0686\u06BE\u0679\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4",
+            watering: "\u0646\u0627\u0632\u06A9 \u0645\u0631\u062D\u0644\u06C1: \u062C\u0691\u06CC\u06BA \u0628\u0646\u0646\u06D2 \u067E\u0631 \u067E\u06C1\u0644\u0627 \u067E\u0627\u0646\u06CC \u06C1\u0631\u06AF\u0632 \u0646\u06C1 \u0686\u06BE\u0648\u0691\u06CC\u06BA\u06D4",
+            pests: "\u062C\u0691\u06CC \u0628\u0648\u0679\u06CC\u0648\u06BA \u06A9\u06CC \u062A\u0644\u0641\u06CC \u06A9\u0627 \u0648\u0642\u062A\u061B \u06AF\u0631\u0645 \u062F\u0646\u0648\u06BA \u0645\u06CC\u06BA \u0633\u0633\u062A \u062A\u06CC\u0644\u06D2 \u067E\u0631 \u0646\u0638\u0631 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          jointing: {
+            name: "\u06AF\u0627\u0646\u0679\u06BE\u06CC\u06BA \u0628\u0646\u0646\u0627 (\u062A\u0646\u06D2 \u06A9\u06CC \u0628\u0691\u06BE\u0648\u062A\u0631\u06CC)",
+            fertilizer: "\u062F\u0648\u0633\u0631\u06D2 \u067E\u0627\u0646\u06CC \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u0622\u062E\u0631\u06CC \u0642\u0633\u0637\u061B \u06AF\u0648\u0628\u06BE \u06A9\u06D2 \u0628\u0639\u062F \u06CC\u0648\u0631\u06CC\u0627 \u0646\u06C1\u06CC\u06BA\u06D4",
+            watering: "\u06AF\u0627\u0646\u0679\u06BE\u06CC\u06BA \u0628\u0646\u0646\u06D2 \u067E\u0631 \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u061B \u0627\u0633 \u0648\u0642\u062A \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u0633\u06D2 \u0633\u0679\u06D2 \u0645\u06CC\u06BA \u062F\u0627\u0646\u06D2 \u06A9\u0645 \u0628\u0646\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4",
+            pests: "\u0679\u06BE\u0646\u0688\u06D2 \u0645\u0631\u0637\u0648\u0628 \u0645\u0648\u0633\u0645 \u0645\u06CC\u06BA \u067E\u06CC\u0644\u06CC (\u062F\u06BE\u0627\u0631\u06CC \u062F\u0627\u0631) \u06A9\u0646\u06AF\u06CC \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          booting: {
+            name: "\u06AF\u0648\u0628\u06BE",
+            fertilizer: "\u0645\u0632\u06CC\u062F \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0646\u06C1\u06CC\u06BA\u061B \u062F\u06CC\u0631 \u0633\u06D2 \u06CC\u0648\u0631\u06CC\u0627 \u0635\u0631\u0641 \u0641\u0635\u0644 \u06AF\u0631\u0646\u06D2 \u0627\u0648\u0631 \u06A9\u0646\u06AF\u06CC \u06A9\u0648 \u0628\u0691\u06BE\u0627\u062A\u06CC \u06C1\u06D2\u06D4",
+            watering: "\u0646\u0627\u0632\u06A9 \u0645\u0631\u062D\u0644\u06C1: \u06AF\u0648\u0628\u06BE \u067E\u0631 \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u06D4",
+            pests: "\u06A9\u0646\u06AF\u06CC \u0627\u0648\u0631 \u0633\u0633\u062A \u062A\u06CC\u0644\u0627 \u2014 \u06C1\u0641\u062A\u06D2 \u0645\u06CC\u06BA \u062F\u0648 \u0628\u0627\u0631 \u0645\u0639\u0627\u0626\u0646\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4"
+          },
+          heading: {
+            name: "\u0633\u0679\u06D2 \u0646\u06A9\u0644\u0646\u0627 \u0627\u0648\u0631 \u067E\u06BE\u0648\u0644 \u0622\u0646\u0627",
+            watering: "\u0646\u0627\u0632\u06A9 \u0645\u0631\u062D\u0644\u06C1: \u067E\u06BE\u0648\u0644 \u0622\u0646\u06D2 \u067E\u0631 \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u060C \u0645\u06AF\u0631 \u062A\u06CC\u0632 \u06C1\u0648\u0627 \u0645\u06CC\u06BA \u0646\u06C1\u06CC\u06BA (\u0641\u0635\u0644 \u06AF\u0631 \u0633\u06A9\u062A\u06CC \u06C1\u06D2)\u06D4",
+            pests: "\u0627\u0633 \u0648\u0642\u062A \u0633\u0633\u062A \u062A\u06CC\u0644\u0627 \u0639\u0631\u0648\u062C \u067E\u0631 \u06C1\u0648\u062A\u0627 \u06C1\u06D2 \u0627\u0648\u0631 \u06A9\u0646\u06AF\u06CC \u062A\u06CC\u0632\u06CC \u0633\u06D2 \u067E\u06BE\u06CC\u0644\u062A\u06CC \u06C1\u06D2\u06D4"
+          },
+          grainFill: {
+            name: "\u062F\u0627\u0646\u06C1 \u0628\u0646\u0646\u0627",
+            watering: "\u0622\u062E\u0631\u06CC \u067E\u0627\u0646\u06CC \u062F\u0648\u062F\u06BE\u06CC\u0627 \u0645\u0631\u062D\u0644\u06D2 \u067E\u0631\u061B \u06C1\u0644\u06A9\u0627 \u067E\u0627\u0646\u06CC \u0622\u062E\u0631\u06CC \u06AF\u0631\u0645\u06CC \u06A9\u0627 \u0627\u062B\u0631 \u06A9\u0645 \u06A9\u0631\u062A\u0627 \u06C1\u06D2\u06D4",
+            pests: "32\xB0C \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u06AF\u0631\u0645 \u06C1\u0648\u0627\u0626\u06CC\u06BA \u062F\u0627\u0646\u06C1 \u0633\u06A9\u06CC\u0691 \u062F\u06CC\u062A\u06CC \u06C1\u06CC\u06BA\u061B \u0627\u0633 \u0645\u0631\u062D\u0644\u06D2 \u067E\u0631 \u0633\u067E\u0631\u06D2 \u0641\u0627\u0626\u062F\u06C1 \u0645\u0646\u062F \u0646\u06C1\u06CC\u06BA\u06D4"
+          },
+          maturity: {
+            name: "\u067E\u06A9\u0646\u0627",
+            watering: "\u0622\u0628\u067E\u0627\u0634\u06CC \u0628\u0646\u062F \u06A9\u0631\u06CC\u06BA\u06D4",
+            pests: "\u062F\u0627\u0646\u06C1 \u0633\u062E\u062A \u06C1\u0648\u062A\u06D2 \u06C1\u06CC \u06A9\u0679\u0627\u0626\u06CC \u06A9\u0631\u06CC\u06BA \u062A\u0627\u06A9\u06C1 \u062F\u0627\u0646\u06C1 \u062C\u06BE\u0691\u0646\u06D2 \u0627\u0648\u0631 \u0628\u0627\u0631\u0634 \u0633\u06D2 \u0646\u0642\u0635\u0627\u0646 \u0646\u06C1 \u06C1\u0648\u06D4"
+          }
+        },
+        tasks: {
+          urea2: { name: "\u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u062F\u0648\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u067E\u06C1\u0644\u06D2 \u067E\u0627\u0646\u06CC \u06A9\u06D2 \u0633\u0627\u062A\u06BE" },
+          urea3: { name: "\u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u062A\u06CC\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u062F\u0648\u0633\u0631\u06D2 \u067E\u0627\u0646\u06CC \u06A9\u06D2 \u0633\u0627\u062A\u06BE" }
+        }
+      },
+      rice: {
+        stages: {
+          establishment: {
+            name: "\u067E\u0646\u06CC\u0631\u06CC \u06A9\u06CC \u0645\u0646\u062A\u0642\u0644\u06CC \u0627\u0648\u0631 \u062C\u0691 \u067E\u06A9\u0691\u0646\u0627",
+            fertilizer: "\u0645\u0646\u062A\u0642\u0644\u06CC \u06A9\u06D2 \u0648\u0642\u062A \u0688\u06CC \u0627\u06D2 \u067E\u06CC/\u0627\u06CC\u0633 \u0627\u06CC\u0633 \u067E\u06CC\u060C \u067E\u0648\u0679\u0627\u0634\u060C \u0632\u0646\u06A9 \u0627\u0648\u0631 \u0627\u06CC\u06A9 \u062A\u06C1\u0627\u0626\u06CC \u06CC\u0648\u0631\u06CC\u0627 \u0688\u0627\u0644\u06CC\u06BA\u06D4",
+            watering: "\u0645\u0646\u062A\u0642\u0644\u06CC \u06A9\u06D2 \u0628\u0639\u062F 3\u20135 \u0633\u06CC\u0646\u0679\u06CC \u0645\u06CC\u0679\u0631 \u06A9\u06BE\u0691\u0627 \u067E\u0627\u0646\u06CC \u0631\u06A9\u06BE\u06CC\u06BA\u06D4",
+            pests: "\u062C\u0691\u06CC \u0628\u0648\u0679\u06CC\u0627\u06BA \u062C\u0644\u062F \u062A\u0644\u0641 \u06A9\u0631\u06CC\u06BA\u061B \u062A\u0646\u06D2 \u06A9\u06CC \u0633\u0646\u0688\u06CC \u06A9\u06D2 \u0627\u0646\u0688\u0648\u06BA \u06A9\u06D2 \u06AF\u0686\u06BE\u06D2 \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          tillering: {
+            name: "\u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u0627",
+            fertilizer: "\u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u06D2 \u06A9\u06D2 \u062F\u0648\u0631\u0627\u0646 \u06CC\u0648\u0631\u06CC\u0627 \u0686\u06BE\u0679\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4",
+            watering: "\u062A\u0642\u0631\u06CC\u0628\u0627\u064B 5 \u0633\u06CC\u0646\u0679\u06CC \u0645\u06CC\u0679\u0631 \u067E\u0627\u0646\u06CC \u0631\u06A9\u06BE\u06CC\u06BA\u061B \u0627\u0633 \u0645\u0631\u062D\u0644\u06D2 \u06A9\u06D2 \u0622\u062E\u0631 \u0645\u06CC\u06BA \u062A\u06BE\u0648\u0691\u06CC \u062F\u06CC\u0631 \u062E\u0634\u06A9 \u06C1\u0648\u0646\u0627 \u0679\u06BE\u06CC\u06A9 \u06C1\u06D2\u06D4",
+            pests: "\u062A\u0646\u06D2 \u06A9\u06CC \u0633\u0646\u0688\u06CC \u0627\u0648\u0631 \u067E\u062A\u06C1 \u0644\u067E\u06CC\u0679 \u0633\u0646\u0688\u06CC\u061B \u0628\u06A9\u0627\u0646\u06D2 \u0633\u06D2 \u0645\u062A\u0627\u062B\u0631\u06C1 \u067E\u0648\u062F\u06D2 \u0627\u06A9\u06BE\u0627\u0691 \u062F\u06CC\u06BA\u06D4"
+          },
+          panicleInitiation: {
+            name: "\u0633\u0679\u06C1 \u0628\u0646\u0646\u06D2 \u06A9\u0627 \u0622\u063A\u0627\u0632",
+            fertilizer: "\u0633\u0679\u06C1 \u0628\u0646\u0646\u06D2 \u06A9\u06D2 \u0622\u063A\u0627\u0632 \u067E\u0631 \u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u0622\u062E\u0631\u06CC \u0642\u0633\u0637\u06D4",
+            watering: "\u06A9\u06BE\u06CC\u062A \u0645\u06CC\u06BA \u067E\u0627\u0646\u06CC \u06A9\u06BE\u0691\u0627 \u0631\u06A9\u06BE\u06CC\u06BA\u061B \u0627\u0633 \u0648\u0642\u062A \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u0633\u06D2 \u062F\u0627\u0646\u06D2 \u06A9\u0645 \u0628\u0646\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4",
+            pests: "\u0628\u0627\u0631\u0634 \u06A9\u06D2 \u0628\u0639\u062F \u0628\u0644\u0627\u0633\u0679 \u0627\u0648\u0631 \u067E\u062A\u0648\u06BA \u06A9\u06D2 \u0628\u06CC\u06A9\u0679\u06CC\u0631\u06CC\u0627\u0626\u06CC \u062C\u06BE\u0644\u0633\u0627\u0624 \u067E\u0631 \u0646\u0638\u0631 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          booting: {
+            name: "\u06AF\u0648\u0628\u06BE",
+            watering: "\u0646\u0627\u0632\u06A9 \u0645\u0631\u062D\u0644\u06C1: \u06AF\u0648\u0628\u06BE \u067E\u0631 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u0646\u06C1 \u06C1\u0648\u06D4",
+            pests: "\u06AF\u06BE\u0646\u06CC \u0627\u0648\u0631 \u0645\u0631\u0637\u0648\u0628 \u0641\u0635\u0644 \u0645\u06CC\u06BA \u0634\u06CC\u062A\u06BE \u0628\u0644\u0627\u0626\u0679 \u067E\u06BE\u06CC\u0644\u062A\u06CC \u06C1\u06D2\u06D4"
+          },
+          flowering: {
+            name: "\u0633\u0679\u06D2 \u0646\u06A9\u0644\u0646\u0627 \u0627\u0648\u0631 \u067E\u06BE\u0648\u0644 \u0622\u0646\u0627",
+            watering: "\u06A9\u06BE\u0691\u0627 \u067E\u0627\u0646\u06CC \u0631\u06A9\u06BE\u06CC\u06BA\u061B \u067E\u06BE\u0648\u0644 \u067E\u0631 35\xB0C \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u06AF\u0631\u0645\u06CC \u0633\u06D2 \u062F\u0627\u0646\u06D2 \u062E\u0627\u0644\u06CC \u0631\u06C1 \u062C\u0627\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4",
+            pests: "\u0645\u0631\u0637\u0648\u0628 \u0645\u0648\u0633\u0645 \u0627\u0648\u0631 \u0679\u06BE\u0646\u0688\u06CC \u0631\u0627\u062A\u0648\u06BA \u0645\u06CC\u06BA \u06AF\u0631\u062F\u0646 \u062A\u0648\u0691 \u0628\u0644\u0627\u0633\u0679 \u06A9\u0627 \u062E\u0637\u0631\u06C1\u06D4"
+          },
+          grainFill: {
+            name: "\u062F\u0627\u0646\u06C1 \u0628\u0646\u0646\u0627",
+            watering: "\u062F\u0627\u0646\u06C1 \u0633\u062E\u062A \u06C1\u0648\u0646\u06D2 \u062A\u06A9 \u0632\u0645\u06CC\u0646 \u062A\u0631 \u0631\u06A9\u06BE\u06CC\u06BA\u061B \u06A9\u0679\u0627\u0626\u06CC \u0633\u06D2 7\u201310 \u062F\u0646 \u067E\u06C1\u0644\u06D2 \u067E\u0627\u0646\u06CC \u0646\u06A9\u0627\u0644 \u062F\u06CC\u06BA\u06D4",
+            pests: "\u067E\u0648\u062F\u0648\u06BA \u06A9\u06D2 \u0646\u0686\u0644\u06D2 \u062D\u0635\u06D2 \u067E\u0631 \u0628\u06BE\u0648\u0631\u06D2 \u062A\u06CC\u0644\u06D2 \u06A9\u0648 \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          maturity: {
+            name: "\u067E\u06A9\u0646\u0627",
+            watering: "\u06A9\u06BE\u06CC\u062A \u0633\u06D2 \u067E\u0627\u0646\u06CC \u0646\u06A9\u0627\u0644 \u062F\u06CC\u06BA\u06D4",
+            pests: "\u062F\u0627\u0646\u06D2 \u0645\u06CC\u06BA 20\u201322% \u0646\u0645\u06CC \u067E\u0631 \u06A9\u0679\u0627\u0626\u06CC \u06A9\u0631\u06CC\u06BA \u062A\u0627\u06A9\u06C1 \u062F\u0627\u0646\u06C1 \u06A9\u0645 \u062C\u06BE\u0691\u06D2\u06D4"
+          }
+        },
+        tasks: {
+          urea2: { name: "\u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u062F\u0648\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u06D2 \u06A9\u06D2 \u062F\u0648\u0631\u0627\u0646" },
+          urea3: { name: "\u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u062A\u06CC\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u0633\u0679\u06C1 \u0628\u0646\u0646\u06D2 \u06A9\u06D2 \u0622\u063A\u0627\u0632 \u067E\u0631" }
+        }
+      },
+      cotton: {
+        stages: {
+          sowing: {
+            name: "\u0628\u0648\u0627\u0626\u06CC \u0633\u06D2 \u0627\u06AF\u0627\u0624 \u062A\u06A9",
+            fertilizer: "\u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 \u0648\u0642\u062A \u0633\u0627\u0631\u06CC \u0641\u0627\u0633\u0641\u0648\u0631\u0633 \u0627\u0648\u0631 \u067E\u0648\u0679\u0627\u0634 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u0627\u06CC\u06A9 \u0686\u0648\u062A\u06BE\u0627\u0626\u06CC \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0688\u0627\u0644\u06CC\u06BA\u06D4",
+            watering: "\u0646\u0645 \u067E\u0679\u0691\u06CC\u0648\u06BA \u06CC\u0627 \u06A9\u06BE\u06CC\u0644\u06CC\u0648\u06BA \u067E\u0631 \u0628\u0648\u0627\u0626\u06CC \u06A9\u0631\u06CC\u06BA\u06D4",
+            pests: "\u0631\u0633 \u0686\u0648\u0633\u0646\u06D2 \u0648\u0627\u0644\u06D2 \u06A9\u06CC\u0691\u0648\u06BA \u0633\u06D2 \u0628\u0686\u0627\u0624 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0632\u06C1\u0631 \u0644\u06AF\u0627 \u0628\u06CC\u062C \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u0631\u06CC\u06BA\u061B \u0644\u0634\u06A9\u0631\u06CC \u0633\u0646\u0688\u06CC \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          emergence: {
+            name: "\u0627\u0628\u062A\u062F\u0627\u0626\u06CC \u067E\u0648\u062F\u0627",
+            watering: "\u067E\u06C1\u0644\u0627 \u067E\u0627\u0646\u06CC \u062F\u06CC\u0631 \u0633\u06D2 \u062F\u06CC\u06BA (\u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 \u062A\u0642\u0631\u06CC\u0628\u0627\u064B 30\u201340 \u062F\u0646 \u0628\u0639\u062F)\u061B \u062C\u0644\u062F \u067E\u0627\u0646\u06CC \u067E\u06BE\u0644 \u062F\u06CC\u0631 \u0633\u06D2 \u0644\u0627\u062A\u0627 \u06C1\u06D2\u06D4",
+            pests: "\u0686\u06BE\u0648\u0679\u06D2 \u067E\u0648\u062F\u0648\u06BA \u067E\u0631 \u062A\u06BE\u0631\u067E\u0633 \u0627\u0648\u0631 \u0633\u0628\u0632 \u062A\u06CC\u0644\u0627\u061B \u0686\u06BE\u062F\u0631\u0627\u0626\u06CC \u06A9\u0631 \u06A9\u06D2 \u0627\u06CC\u06A9 \u062C\u06AF\u06C1 \u0627\u06CC\u06A9 \u067E\u0648\u062F\u0627 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          squaring: {
+            name: "\u067E\u06BE\u0648\u0644 \u06A9\u06CC \u0688\u0648\u0688\u06CC\u0627\u06BA \u0628\u0646\u0646\u0627",
+            fertilizer: "\u067E\u06C1\u0644\u06CC \u0688\u0648\u0688\u06CC \u067E\u0631 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u0642\u0633\u0637\u06D4",
+            watering: "\u06AF\u0631\u0645 \u0645\u0648\u0633\u0645 \u0645\u06CC\u06BA \u06C1\u0631 10\u201314 \u062F\u0646 \u0628\u0639\u062F \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u06D4",
+            pests: "\u06AF\u0644\u0627\u0628\u06CC \u0633\u0646\u0688\u06CC \u06A9\u06D2 \u0644\u06CC\u06D2 \u062C\u0646\u0633\u06CC \u067E\u06BE\u0646\u062F\u06D2 \u0644\u06AF\u0627\u0626\u06CC\u06BA\u061B \u0633\u0641\u06CC\u062F \u0645\u06A9\u06BE\u06CC \u06A9\u06CC \u0646\u06AF\u0631\u0627\u0646\u06CC \u06A9\u0631\u06CC\u06BA\u06D4"
+          },
+          flowering: {
+            name: "\u067E\u06BE\u0648\u0644 \u0622\u0646\u0627",
+            fertilizer: "\u067E\u06C1\u0644\u06D2 \u067E\u06BE\u0648\u0644 \u067E\u0631 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u0642\u0633\u0637\u061B \u0628\u06BE\u0631\u067E\u0648\u0631 \u067E\u06BE\u0648\u0644 \u062A\u06A9 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0645\u06A9\u0645\u0644 \u06A9\u0631 \u0644\u06CC\u06BA\u06D4",
+            watering: "\u0646\u0627\u0632\u06A9 \u0645\u0631\u062D\u0644\u06C1: \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u06CC\u0627 40\xB0C \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u06AF\u0631\u0645\u06CC \u0633\u06D2 \u0688\u0648\u0688\u06CC\u0627\u06BA \u0627\u0648\u0631 \u067E\u06BE\u0648\u0644 \u06AF\u0631 \u062C\u0627\u062A\u06D2 \u06C1\u06CC\u06BA\u06D4",
+            pests: "\u0633\u0641\u06CC\u062F \u0645\u06A9\u06BE\u06CC \u0627\u0648\u0631 \u06AF\u0644\u0627\u0628\u06CC \u0633\u0646\u0688\u06CC (\u0628\u0646\u062F \u067E\u06BE\u0648\u0644) \u2014 \u06C1\u0641\u062A\u06D2 \u0645\u06CC\u06BA \u062F\u0648 \u0628\u0627\u0631 \u0645\u0639\u0627\u0626\u0646\u06C1 \u06A9\u0631\u06CC\u06BA\u06D4"
+          },
+          bollDevelopment: {
+            name: "\u0679\u06CC\u0646\u0688\u06D2 \u0628\u0646\u0646\u0627",
+            fertilizer: "\u0645\u0632\u06CC\u062F \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0646\u06C1\u06CC\u06BA\u061B \u06CC\u06C1 \u0641\u0635\u0644 \u062F\u06CC\u0631 \u0633\u06D2 \u067E\u06A9\u0627\u062A\u06CC \u06C1\u06D2 \u0627\u0648\u0631 \u06A9\u06CC\u0691\u0648\u06BA \u06A9\u0648 \u0628\u0691\u06BE\u0627\u062A\u06CC \u06C1\u06D2\u06D4",
+            watering: "\u0646\u0645\u06CC \u06CC\u06A9\u0633\u0627\u06BA \u0631\u06A9\u06BE\u06CC\u06BA\u061B \u067E\u06C1\u0644\u06D2 \u0679\u06CC\u0646\u0688\u06D2 \u06A9\u06BE\u0644\u0646\u06D2 \u067E\u0631 \u0622\u062E\u0631\u06CC \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u06D4",
+            pests: "\u06AF\u0644\u0627\u0628\u06CC \u0633\u0646\u0688\u06CC \u0627\u0648\u0631 \u0644\u0634\u06A9\u0631\u06CC \u0633\u0646\u0688\u06CC\u061B \u062A\u06CC\u0632 \u0628\u0627\u0631\u0634 \u06A9\u06D2 \u0628\u0639\u062F \u0679\u06CC\u0646\u0688\u0648\u06BA \u06A9\u0627 \u06AF\u0644\u0646\u0627\u06D4"
+          },
+          bollOpening: {
+            name: "\u0679\u06CC\u0646\u0688\u06D2 \u06A9\u06BE\u0644\u0646\u0627",
+            watering: "\u0679\u06CC\u0646\u0688\u06D2 \u062C\u0644\u062F \u06A9\u06BE\u0644\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0622\u0628\u067E\u0627\u0634\u06CC \u0628\u0646\u062F \u06A9\u0631\u06CC\u06BA\u06D4",
+            pests: "\u062E\u0634\u06A9 \u0645\u0648\u0633\u0645 \u0645\u06CC\u06BA \u0686\u0646\u0627\u0626\u06CC \u06A9\u0631\u06CC\u06BA \u0627\u0648\u0631 \u067E\u06BE\u0679\u06CC \u0635\u0627\u0641 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          maturity: {
+            name: "\u067E\u06A9\u0646\u0627",
+            pests: "\u0622\u062E\u0631\u06CC \u0686\u0646\u0627\u0626\u06CC \u06A9\u06D2 \u0628\u0639\u062F \u0686\u06BE\u0691\u06CC\u0627\u06BA \u062A\u0644\u0641 \u06A9\u0631\u06CC\u06BA \u062A\u0627\u06A9\u06C1 \u06AF\u0644\u0627\u0628\u06CC \u0633\u0646\u0688\u06CC \u06A9\u0627 \u0686\u06A9\u0631 \u0679\u0648\u0679\u06D2\u06D4"
+          }
+        },
+        tasks: {
+          nitrogen2: { name: "\u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u062F\u0648\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u067E\u06C1\u0644\u06CC \u0688\u0648\u0688\u06CC \u067E\u0631" },
+          nitrogen3: { name: "\u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u062A\u06CC\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u067E\u06C1\u0644\u06D2 \u067E\u06BE\u0648\u0644 \u067E\u0631" }
+        }
+      },
+      maize: {
+        stages: {
+          sowing: {
+            name: "\u0628\u0648\u0627\u0626\u06CC \u0633\u06D2 \u0627\u06AF\u0627\u0624 \u062A\u06A9",
+            fertilizer: "\u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 \u0648\u0642\u062A \u0633\u0627\u0631\u06CC \u0641\u0627\u0633\u0641\u0648\u0631\u0633 \u0627\u0648\u0631 \u067E\u0648\u0679\u0627\u0634 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u0627\u06CC\u06A9 \u062A\u06C1\u0627\u0626\u06CC \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0688\u0627\u0644\u06CC\u06BA\u06D4",
+            watering: "\u0632\u0645\u06CC\u0646 \u062E\u0634\u06A9 \u06C1\u0648 \u062A\u0648 \u0628\u0648\u0627\u0626\u06CC \u06A9\u06D2 3\u20134 \u062F\u0646 \u0628\u0639\u062F \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u06D4",
+            pests: "\u0632\u06C1\u0631 \u0644\u06AF\u0627 \u0628\u06CC\u062C \u0627\u0633\u062A\u0639\u0645\u0627\u0644 \u06A9\u0631\u06CC\u06BA\u061B \u0644\u0634\u06A9\u0631\u06CC \u0633\u0646\u0688\u06CC \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          emergence: {
+            name: "\u0627\u06AF\u0627\u0624",
+            watering: "\u06CC\u06A9\u0633\u0627\u06BA \u0627\u06AF\u0627\u0624 \u06A9\u06D2 \u0644\u06CC\u06D2 \u06C1\u0644\u06A9\u0627 \u0627\u0648\u0631 \u0628\u0627\u0631 \u0628\u0627\u0631 \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u06D4",
+            pests: "\u06AF\u0648\u0628\u06BE \u0645\u06CC\u06BA \u0641\u0627\u0644 \u0622\u0631\u0645\u06CC \u0648\u0631\u0645 \u06A9\u06CC \u062C\u0627\u0646\u0686 \u0634\u0631\u0648\u0639 \u06A9\u0631\u06CC\u06BA\u06D4"
+          },
+          vegetative: {
+            name: "\u0628\u0691\u06BE\u0648\u062A\u0631\u06CC (\u06AF\u06BE\u0679\u0646\u06D2 \u062A\u06A9)",
+            fertilizer: "\u06AF\u06BE\u0679\u0646\u06D2 \u06A9\u06D2 \u0628\u0631\u0627\u0628\u0631 \u0642\u062F \u067E\u0631 \u0642\u0637\u0627\u0631\u0648\u06BA \u0645\u06CC\u06BA \u06CC\u0648\u0631\u06CC\u0627 \u0688\u0627\u0644\u06CC\u06BA\u06D4",
+            watering: "\u06AF\u0631\u0645 \u0645\u0648\u0633\u0645 \u0645\u06CC\u06BA \u06C1\u0631 8\u201310 \u062F\u0646 \u0628\u0639\u062F \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u06D4",
+            pests: "\u06AF\u0648\u0628\u06BE \u0645\u06CC\u06BA \u0641\u0627\u0644 \u0622\u0631\u0645\u06CC \u0648\u0631\u0645 \u0627\u0648\u0631 \u062A\u0646\u06D2 \u06A9\u06CC \u0633\u0646\u0688\u06CC\u06D4"
+          },
+          tasseling: {
+            name: "\u0628\u0648\u0631 \u0627\u0648\u0631 \u0631\u06CC\u0634\u06D2 \u0646\u06A9\u0644\u0646\u0627",
+            fertilizer: "\u0628\u0648\u0631 \u0646\u06A9\u0644\u0646\u06D2 \u0633\u06D2 \u0630\u0631\u0627 \u067E\u06C1\u0644\u06D2 \u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u0622\u062E\u0631\u06CC \u0642\u0633\u0637\u06D4",
+            watering: "\u0646\u0627\u0632\u06A9 \u0645\u0631\u062D\u0644\u06C1: \u0628\u0648\u0631 \u0627\u0648\u0631 \u0631\u06CC\u0634\u06D2 \u0646\u06A9\u0644\u0646\u06D2 \u067E\u0631 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u0646\u06C1 \u06C1\u0648\u061B 35\xB0C \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u06AF\u0631\u0645\u06CC \u0632\u06CC\u0631\u06AF\u06CC \u06A9\u0648 \u0646\u0642\u0635\u0627\u0646 \u062F\u06CC\u062A\u06CC \u06C1\u06D2\u06D4",
+            pests: "\u0628\u0648\u0631 \u0627\u0648\u0631 \u0631\u06CC\u0634\u0648\u06BA \u06A9\u0648 \u06A9\u06BE\u0627\u0646\u06D2 \u0648\u0627\u0644\u06CC \u0644\u0634\u06A9\u0631\u06CC \u0633\u0646\u0688\u06CC\u06D4"
+          },
+          grainFill: {
+            name: "\u062F\u0627\u0646\u06C1 \u0628\u0646\u0646\u0627",
+            watering: "\u062F\u0627\u0646\u06D2 \u067E\u06A9\u0646\u06D2 \u062A\u06A9 \u0632\u0645\u06CC\u0646 \u0646\u0645 \u0631\u06A9\u06BE\u06CC\u06BA\u061B \u06A9\u0679\u0627\u0626\u06CC \u0633\u06D2 \u062F\u0648 \u06C1\u0641\u062A\u06D2 \u067E\u06C1\u0644\u06D2 \u067E\u0627\u0646\u06CC \u0628\u0646\u062F \u06A9\u0631\u06CC\u06BA\u06D4",
+            pests: "\u0628\u0627\u0631\u0634 \u06A9\u06D2 \u0628\u0639\u062F \u0686\u06BE\u0644\u06CC \u06A9\u0627 \u06AF\u0644\u0646\u0627\u061B \u0686\u06BE\u0644\u06CC\u0648\u06BA \u06A9\u0648 \u067E\u0631\u0646\u062F\u0648\u06BA \u0633\u06D2 \u0628\u0686\u0627\u0626\u06CC\u06BA\u06D4"
+          },
+          maturity: {
+            name: "\u067E\u06A9\u0646\u0627",
+            pests: "\u0627\u0641\u0644\u0627\u0679\u0648\u06A9\u0633\u0646 \u0633\u06D2 \u0628\u0686\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u0630\u062E\u06CC\u0631\u06C1 \u06A9\u0631\u0646\u06D2 \u0633\u06D2 \u067E\u06C1\u0644\u06D2 \u062F\u0627\u0646\u06C1 \u0627\u0686\u06BE\u06CC \u0637\u0631\u062D \u0633\u06A9\u06BE\u0627\u0626\u06CC\u06BA\u06D4"
+          }
+        },
+        tasks: {
+          urea2: { name: "\u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u062F\u0648\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u06AF\u06BE\u0679\u0646\u06D2 \u06A9\u06D2 \u0628\u0631\u0627\u0628\u0631 \u0642\u062F \u067E\u0631" },
+          urea3: { name: "\u06CC\u0648\u0631\u06CC\u0627 \u06A9\u06CC \u062A\u06CC\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u0628\u0648\u0631 \u0646\u06A9\u0644\u0646\u06D2 \u0633\u06D2 \u067E\u06C1\u0644\u06D2" }
+        }
+      },
+      sugarcane: {
+        stages: {
+          sowing: {
+            name: "\u06A9\u0627\u0634\u062A \u0627\u0648\u0631 \u0627\u06AF\u0627\u0624",
+            fertilizer: "\u06A9\u0627\u0634\u062A \u06A9\u06D2 \u0648\u0642\u062A \u0633\u0627\u0631\u06CC \u0641\u0627\u0633\u0641\u0648\u0631\u0633 \u0627\u0648\u0631 \u067E\u0648\u0679\u0627\u0634 \u06A9\u06D2 \u0633\u0627\u062A\u06BE \u06A9\u0686\u06BE \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0688\u0627\u0644\u06CC\u06BA\u06D4",
+            watering: "\u06A9\u0627\u0634\u062A \u06A9\u06D2 \u0641\u0648\u0631\u0627\u064B \u0628\u0639\u062F \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA\u060C \u067E\u06BE\u0631 \u0634\u06AF\u0648\u0641\u06D2 \u0646\u06A9\u0644\u0646\u06D2 \u062A\u06A9 \u06C1\u0631 7\u201310 \u062F\u0646 \u0628\u0639\u062F\u06D4",
+            pests: "\u0633\u0645\u0648\u06BA \u06A9\u0648 \u0632\u06C1\u0631 \u0644\u06AF\u0627\u0626\u06CC\u06BA \u0627\u0648\u0631 \u06A9\u06BE\u06CC\u0644\u06CC\u0648\u06BA \u0645\u06CC\u06BA \u062F\u06CC\u0645\u06A9 \u062A\u0644\u0641 \u06A9\u0631\u06CC\u06BA\u061B \u0633\u0648\u06A9\u06BE\u06CC \u06AF\u0648\u0628\u06BE (\u0627\u0628\u062A\u062F\u0627\u0626\u06CC \u06AF\u0691\u0648\u0626\u06CC\u06BA) \u06A9\u0627\u0679 \u062F\u06CC\u06BA\u06D4"
+          },
+          tillering: {
+            name: "\u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u0627",
+            fertilizer: "\u0645\u0679\u06CC \u0686\u0691\u06BE\u0627\u062A\u06D2 \u0648\u0642\u062A \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u0642\u0633\u0637\u06D4",
+            watering: "\u06A9\u06BE\u06CC\u062A \u062E\u0634\u06A9 \u0646\u06C1 \u06C1\u0648\u0646\u06D2 \u062F\u06CC\u06BA\u061B \u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u06D2 \u06A9\u0627 \u0645\u0631\u062D\u0644\u06C1 \u067E\u0627\u0646\u06CC \u06A9\u06CC \u06A9\u0645\u06CC \u0633\u06D2 \u0645\u062A\u0627\u062B\u0631 \u06C1\u0648\u062A\u0627 \u06C1\u06D2\u06D4",
+            pests: "\u062A\u0646\u06D2 \u0627\u0648\u0631 \u0686\u0648\u0679\u06CC \u06A9\u06CC \u06AF\u0691\u0648\u0626\u06CC\u06BA\u061B \u06A9\u06BE\u06CC\u062A \u062C\u0691\u06CC \u0628\u0648\u0679\u06CC\u0648\u06BA \u0633\u06D2 \u067E\u0627\u06A9 \u0631\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          grandGrowth: {
+            name: "\u062A\u06CC\u0632 \u0628\u0691\u06BE\u0648\u062A\u0631\u06CC",
+            fertilizer: "\u062A\u06CC\u0632 \u0628\u0691\u06BE\u0648\u062A\u0631\u06CC \u06A9\u06D2 \u0634\u0631\u0648\u0639 \u0645\u06CC\u06BA \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0645\u06A9\u0645\u0644 \u06A9\u0631 \u0644\u06CC\u06BA\u06D4",
+            watering: "\u067E\u0627\u0646\u06CC \u06A9\u06CC \u0633\u0628 \u0633\u06D2 \u0632\u06CC\u0627\u062F\u06C1 \u0636\u0631\u0648\u0631\u062A: \u0628\u0627\u0631 \u0628\u0627\u0631 \u067E\u0627\u0646\u06CC \u062F\u06CC\u06BA \u0627\u0648\u0631 \u0645\u0648\u0646 \u0633\u0648\u0646 \u06A9\u0627 \u0641\u0627\u0644\u062A\u0648 \u067E\u0627\u0646\u06CC \u0646\u06A9\u0627\u0644\u06CC\u06BA\u06D4",
+            pests: "\u067E\u0627\u0626\u0631\u06CC\u0644\u0627 \u0627\u0648\u0631 \u06AF\u0691\u0648\u0626\u06CC\u06BA\u061B \u0631\u062A\u0627 \u0631\u0648\u06AF (\u0631\u06CC\u0688 \u0631\u0627\u0679) \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4"
+          },
+          ripening: {
+            name: "\u067E\u06A9\u0646\u06D2 \u06A9\u0627 \u0639\u0645\u0644",
+            watering: "\u0645\u0679\u06BE\u0627\u0633 \u0628\u0691\u06BE\u0627\u0646\u06D2 \u06A9\u06D2 \u0644\u06CC\u06D2 \u067E\u0627\u0646\u06CC \u06A9\u0645 \u06A9\u0631\u06CC\u06BA\u061B \u06A9\u0679\u0627\u0626\u06CC \u0633\u06D2 3\u20134 \u06C1\u0641\u062A\u06D2 \u067E\u06C1\u0644\u06D2 \u0628\u0646\u062F \u06A9\u0631 \u062F\u06CC\u06BA\u06D4",
+            pests: "\u06A9\u0648\u0631\u06D2 \u0648\u0627\u0644\u06CC \u0631\u0627\u062A\u0648\u06BA \u0645\u06CC\u06BA \u06C1\u0644\u06A9\u0627 \u067E\u0627\u0646\u06CC \u06AF\u0646\u06D2 \u06A9\u0648 \u0628\u0686\u0627\u062A\u0627 \u06C1\u06D2\u06D4"
+          },
+          maturity: {
+            name: "\u067E\u06A9\u0646\u0627",
+            pests: "\u06A9\u0679\u0627\u0626\u06CC \u06A9\u06D2 \u0628\u0639\u062F \u062C\u0644\u062F \u067E\u06CC\u0644\u0627\u0626\u06CC \u06A9\u0631\u06CC\u06BA \u062A\u0627\u06A9\u06C1 \u0686\u06CC\u0646\u06CC \u0636\u0627\u0626\u0639 \u0646\u06C1 \u06C1\u0648\u06D4"
+          }
+        },
+        tasks: {
+          nitrogen2: { name: "\u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u062F\u0648\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u0634\u0627\u062E\u06CC\u06BA \u0646\u06A9\u0644\u0646\u06D2 \u06A9\u06D2 \u062F\u0648\u0631\u0627\u0646\u060C \u0645\u0679\u06CC \u0686\u0691\u06BE\u0627\u062A\u06D2 \u0648\u0642\u062A" },
+          nitrogen3: { name: "\u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u06A9\u06CC \u062A\u06CC\u0633\u0631\u06CC \u0642\u0633\u0637", note: "\u062A\u06CC\u0632 \u0628\u0691\u06BE\u0648\u062A\u0631\u06CC \u0633\u06D2 \u067E\u06C1\u0644\u06D2" }
+        }
+      }
+    }
+  };
+  var DISEASE_TRANSLATIONS = {
+    ur: {
+      wheatRust: {
+        name: "\u06AF\u0646\u062F\u0645 \u06A9\u06CC \u06A9\u0646\u06AF\u06CC (\u067E\u06CC\u0644\u06CC / \u0628\u06BE\u0648\u0631\u06CC)",
+        advice: "\u0646\u0686\u0644\u06D2 \u067E\u062A\u0648\u06BA \u067E\u0631 \u067E\u06CC\u0644\u06CC \u062F\u06BE\u0627\u0631\u06CC\u0627\u06BA \u06CC\u0627 \u0646\u0627\u0631\u0646\u062C\u06CC \u0628\u06BE\u0648\u0631\u06D2 \u062F\u0627\u0646\u06D2 \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u061B \u0646\u0638\u0631 \u0622\u0626\u06CC\u06BA \u062A\u0648 \u0633\u0641\u0627\u0631\u0634 \u06A9\u0631\u062F\u06C1 \u0679\u0631\u0627\u0626\u06CC\u0627\u0632\u0648\u0644 \u067E\u06BE\u067E\u06BE\u0648\u0646\u062F\u06CC \u06A9\u0634 \u0633\u067E\u0631\u06D2 \u06A9\u0631\u06CC\u06BA\u06D4"
+      },
+      riceBlast: {
+        name: "\u0686\u0627\u0648\u0644 \u06A9\u0627 \u0628\u0644\u0627\u0633\u0679",
+        advice: "\u062F\u06CC\u0631 \u0633\u06D2 \u06CC\u0627 \u0632\u06CC\u0627\u062F\u06C1 \u0646\u0627\u0626\u0679\u0631\u0648\u062C\u0646 \u0646\u06C1 \u062F\u06CC\u06BA\u060C \u06A9\u06BE\u06CC\u062A \u0645\u06CC\u06BA \u067E\u0627\u0646\u06CC \u06A9\u06BE\u0691\u0627 \u0631\u06A9\u06BE\u06CC\u06BA\u060C \u0627\u0648\u0631 \u067E\u062A\u0648\u06BA \u0627\u0648\u0631 \u0633\u0679\u06D2 \u06A9\u06CC \u06AF\u0631\u062F\u0646 \u067E\u0631 \u062A\u06A9\u0644\u06D2 \u0646\u0645\u0627 \u062F\u06BE\u0628\u06D2 \u062F\u06CC\u06A9\u06BE\u06CC\u06BA\u06D4"
+      },
+      cottonBollRot: {
+        name: "\u06A9\u067E\u0627\u0633 \u06A9\u06D2 \u0679\u06CC\u0646\u0688\u0648\u06BA \u06A9\u0627 \u06AF\u0644\u0646\u0627",
+        advice: "\u06AF\u06BE\u0646\u06CC \u0641\u0635\u0644 \u06A9\u0648 \u06A9\u06BE\u0648\u0644\u06CC\u06BA\u060C \u0645\u062A\u0648\u0642\u0639 \u0628\u0627\u0631\u0634 \u0633\u06D2 \u067E\u06C1\u0644\u06D2 \u067E\u0627\u0646\u06CC \u0646\u06C1 \u062F\u06CC\u06BA\u060C \u0627\u0648\u0631 \u0628\u0627\u0631\u0634 \u06A9\u06D2 \u0628\u0639\u062F \u06A9\u06BE\u0644\u06D2 \u0679\u06CC\u0646\u0688\u06D2 \u062C\u0644\u062F \u0686\u0646\u06CC\u06BA\u06D4"
+      },
+      potatoLateBlight: {
+        name: "\u0622\u0644\u0648 \u06A9\u0627 \u067E\u0686\u06BE\u06CC\u062A\u0627 \u062C\u06BE\u0644\u0633\u0627\u0624",
+        advice: "\u0627\u06AF\u0644\u06D2 \u0645\u0631\u0637\u0648\u0628 \u062F\u0646\u0648\u06BA \u0633\u06D2 \u067E\u06C1\u0644\u06D2 \u062D\u0641\u0627\u0638\u062A\u06CC \u067E\u06BE\u067E\u06BE\u0648\u0646\u062F\u06CC \u06A9\u0634 \u0633\u067E\u0631\u06D2 \u06A9\u0631\u06CC\u06BA \u0627\u0648\u0631 \u0645\u062A\u0627\u062B\u0631\u06C1 \u0628\u06CC\u0644\u06CC\u06BA \u0627\u0648\u0631 \u0688\u06BE\u06CC\u0631 \u062A\u0644\u0641 \u06A9\u0631\u06CC\u06BA\u06D4"
+      }
+    }
+  };
+  function localizeStage(stage, table) {
+    if (!stage) return stage;
+    const t = table && table.stages[stage.key];
+    if (!t) return stage;
+    const localized = { ...stage, name: t.name || stage.name };
+    if (stage.care) {
+      localized.care = {};
+      Object.keys(stage.care).forEach((k) => {
+        localized.care[k] = t[k] || stage.care[k];
+      });
+    }
+    return localized;
+  }
+  function localizePhenology(phenology, lang = DEFAULT_LANGUAGE) {
+    var _a;
+    const table = (_a = STAGE_TRANSLATIONS[normalizeLanguage(lang)]) == null ? void 0 : _a[String((phenology == null ? void 0 : phenology.crop) || "").toLowerCase()];
+    if (!phenology || !table) return phenology;
+    return {
+      ...phenology,
+      stage: localizeStage(phenology.stage, table),
+      nextStage: localizeStage(phenology.nextStage, table),
+      stages: (phenology.stages || []).map((s) => localizeStage(s, table)),
+      tasks: (phenology.tasks || []).map((task) => {
+        const t = table.tasks[task.key];
+        return t ? { ...task, name: t.name, note: t.note } : task;
+      })
+    };
+  }
+  function localizeDiseaseRisk(risk, lang = DEFAULT_LANGUAGE) {
+    const table = DISEASE_TRANSLATIONS[normalizeLanguage(lang)];
+    if (!risk || !table) return risk;
+    return {
+      ...risk,
+      models: risk.models.map((m) => table[m.key] ? { ...m, ...table[m.key] } : m)
+    };
+  }
+  function describeStageRisk(risk, lang = DEFAULT_LANGUAGE) {
+    const english = normalizeLanguage(lang) === DEFAULT_LANGUAGE;
+    return translate(lang, risk.type === "heat" ? "stageRisk.heat" : "stageRisk.frost", {
+      value: risk.value.toFixed(1),
+      days: risk.days,
+      date: risk.date,
+      stage: english ? risk.stageName.toLowerCase() : risk.stageName,
+      limit: risk.limit
+    });
+  }
+  function aiLanguageInstruction(lang) {
+    const code = normalizeLanguage(lang);
+    if (code === DEFAULT_LANGUAGE) return "";
+    const { name } = LANGUAGES[code];
+    return `Always answer in ${name} (${name} script), in simple words a farmer can follow. Keep numbers, units, dates and product or variety names as they are. When asked for JSON, keep every key and every fixed value (such as riskLevel or severity) in English and write only the free text in ${name}.`;
+  }
+
+  // src/phenology.js
+  var PLAINS_CLIMATE = [
+    [20, 5],
+    [23, 8],
+    [28, 14],
+    [35, 20],
+    [40, 25],
+    [41, 28],
+    [38, 28],
+    [36, 27],
+    [36, 24],
+    [33, 18],
+    [27, 11],
+    [22, 6]
+  ];
+  var PHENOLOGY_MODELS = {
+    wheat: {
+      baseTemp: 0,
+      upperTemp: 30,
+      stages: [
+        {
+          key: "sowing",
+          name: "Sowing to emergence",
+          gdd: 0,
+          care: {
+            fertilizer: "Apply all DAP/SSP and potash with one third of the urea at sowing.",
+            watering: "Sow in moist soil; the first irrigation is due at crown root initiation, about 20\u201325 days after sowing.",
+            pests: "Use treated seed against smuts; watch for termites in light soils."
+          }
+        },
+        {
+          key: "emergence",
+          name: "Emergence",
+          gdd: 150,
+          care: {
+            watering: "Keep soil moist for an even stand; avoid waterlogging.",
+            pests: "Plan weed control (wild oat, dumbi sitti) for 30\u201340 days after sowing."
+          }
+        },
+        {
+          key: "tillering",
+          name: "Crown root initiation & tillering",
+          gdd: 350,
+          care: {
+            fertilizer: "Top-dress urea with the first irrigation.",
+            watering: "Critical stage: do not skip the first irrigation at crown root initiation.",
+            pests: "Weed control window; look for aphids on warm days."
+          }
+        },
+        {
+          key: "jointing",
+          name: "Jointing (stem elongation)",
+          gdd: 1e3,
+          care: {
+            fertilizer: "Last urea split with the second irrigation; no urea after booting.",
+            watering: "Irrigate at jointing; stress now reduces grains per spike.",
+            pests: "Scout for yellow (stripe) rust in cool, humid weather."
+          }
+        },
+        {
+          key: "booting",
+          name: "Booting",
+          gdd: 1250,
+          frostMin: 0,
+          care: {
+            fertilizer: "No more nitrogen; late urea only increases lodging and rust.",
+            watering: "Critical stage: irrigate at booting.",
+            pests: "Rust and aphids \u2014 scout twice a week."
+          }
+        },
+        {
+          key: "heading",
+          name: "Heading & flowering",
+          gdd: 1450,
+          heatMax: 30,
+          frostMin: 0,
+          care: {
+            watering: "Critical stage: irrigate at flowering, but not in strong wind (lodging).",
+            pests: "Aphids peak now and rusts spread quickly."
+          }
+        },
+        {
+          key: "grainFill",
+          name: "Grain filling",
+          gdd: 1700,
+          heatMax: 32,
+          care: {
+            watering: "Last irrigation at the milk stage; a light irrigation softens terminal heat.",
+            pests: "Hot winds above 32\xB0C shrivel grain; no spraying is useful this late."
+          }
+        },
+        {
+          key: "maturity",
+          name: "Maturity",
+          gdd: 2500,
+          care: {
+            watering: "Stop irrigation.",
+            pests: "Harvest promptly once grain is hard to avoid shattering and rain damage."
+          }
+        }
+      ],
+      tasks: [
+        { key: "urea2", name: "Second urea split", note: "with the first irrigation", gdd: 400 },
+        { key: "urea3", name: "Third urea split", note: "with the second irrigation", gdd: 850 }
+      ]
+    },
+    rice: {
+      baseTemp: 10,
+      upperTemp: 35,
+      stages: [
+        {
+          key: "establishment",
+          name: "Transplanting & establishment",
+          gdd: 0,
+          care: {
+            fertilizer: "Apply DAP/SSP, potash, zinc and one third of the urea at transplanting.",
+            watering: "Keep 3\u20135 cm of standing water after transplanting.",
+            pests: "Control weeds early; look for stem borer egg masses."
+          }
+        },
+        {
+          key: "tillering",
+          name: "Tillering",
+          gdd: 250,
+          care: {
+            fertilizer: "Top-dress urea at active tillering.",
+            watering: "Keep about 5 cm of water; short drying spells are fine late in tillering.",
+            pests: "Stem borer and leaf folder; pull out bakanae-infected plants."
+          }
+        },
+        {
+          key: "panicleInitiation",
+          name: "Panicle initiation",
+          gdd: 1100,
+          care: {
+            fertilizer: "Last urea split at panicle initiation.",
+            watering: "Keep the field flooded; water stress now cuts grain number.",
+            pests: "Watch for blast and bacterial leaf blight after rain."
+          }
+        },
+        {
+          key: "booting",
+          name: "Booting",
+          gdd: 1400,
+          care: {
+            watering: "Critical stage: no water stress at booting.",
+            pests: "Sheath blight spreads in dense, humid canopies."
+          }
+        },
+        {
+          key: "flowering",
+          name: "Heading & flowering",
+          gdd: 1600,
+          heatMax: 35,
+          care: {
+            watering: "Keep standing water; heat above 35\xB0C at flowering causes empty grains.",
+            pests: "Neck blast risk with humid weather and cool nights."
+          }
+        },
+        {
+          key: "grainFill",
+          name: "Grain filling",
+          gdd: 1800,
+          care: {
+            watering: "Keep soil saturated until the dough stage; drain 7\u201310 days before harvest.",
+            pests: "Check the base of plants for brown plant hopper."
+          }
+        },
+        {
+          key: "maturity",
+          name: "Maturity",
+          gdd: 2250,
+          care: {
+            watering: "Drain the field.",
+            pests: "Harvest at 20\u201322% grain moisture to limit shattering."
+          }
+        }
+      ],
+      tasks: [
+        { key: "urea2", name: "Second urea split", note: "at active tillering", gdd: 300 },
+        { key: "urea3", name: "Third urea split", note: "at panicle initiation", gdd: 1100 }
+      ]
+    },
+    cotton: {
+      baseTemp: 15,
+      upperTemp: 38,
+      stages: [
+        {
+          key: "sowing",
+          name: "Sowing to emergence",
+          gdd: 0,
+          care: {
+            fertilizer: "Apply all phosphorus and potash with a quarter of the nitrogen at sowing.",
+            watering: "Sow on moist beds or ridges.",
+            pests: "Use treated seed against sucking pests; check for cutworms."
+          }
+        },
+        {
+          key: "emergence",
+          name: "Seedling",
+          gdd: 80,
+          care: {
+            watering: "Delay the first irrigation (about 30\u201340 days after sowing); early watering delays fruiting.",
+            pests: "Thrips and jassid on seedlings; thin to one plant per hill."
+          }
+        },
+        {
+          key: "squaring",
+          name: "Squaring",
+          gdd: 650,
+          care: {
+            fertilizer: "Nitrogen split at first square.",
+            watering: "Irrigate every 10\u201314 days in hot weather.",
+            pests: "Start pheromone traps for pink bollworm; monitor whitefly."
+          }
+        },
+        {
+          key: "flowering",
+          name: "Flowering",
+          gdd: 1050,
+          heatMax: 40,
+          care: {
+            fertilizer: "Nitrogen split at first flower; finish nitrogen by peak flowering.",
+            watering: "Critical stage: water stress or heat above 40\xB0C sheds squares and flowers.",
+            pests: "Whitefly and pink bollworm (rosette flowers) \u2014 scout twice a week."
+          }
+        },
+        {
+          key: "bollDevelopment",
+          name: "Boll development",
+          gdd: 1400,
+          heatMax: 42,
+          care: {
+            fertilizer: "No more nitrogen; it delays maturity and favors pests.",
+            watering: "Keep moisture steady; give the last irrigation as the first bolls open.",
+            pests: "Pink bollworm and armyworm; boll rot after heavy rain."
+          }
+        },
+        {
+          key: "bollOpening",
+          name: "Boll opening",
+          gdd: 2050,
+          care: {
+            watering: "Stop irrigation to hasten boll opening.",
+            pests: "Pick in dry weather and keep seed cotton clean."
+          }
+        },
+        {
+          key: "maturity",
+          name: "Maturity",
+          gdd: 2650,
+          care: {
+            pests: "Destroy stalks after the last picking to break the pink bollworm cycle."
+          }
+        }
+      ],
+      tasks: [
+        { key: "nitrogen2", name: "Second nitrogen split", note: "at first square", gdd: 650 },
+        { key: "nitrogen3", name: "Third nitrogen split", note: "at first flower", gdd: 1050 }
+      ]
+    },
+    maize: {
+      baseTemp: 10,
+      upperTemp: 30,
+      stages: [
+        {
+          key: "sowing",
+          name: "Sowing to emergence",
+          gdd: 0,
+          care: {
+            fertilizer: "Apply all phosphorus and potash with one third of the nitrogen at sowing.",
+            watering: "Irrigate 3\u20134 days after sowing if the soil is dry.",
+            pests: "Use treated seed; watch for cutworms."
+          }
+        },
+        {
+          key: "emergence",
+          name: "Emergence",
+          gdd: 100,
+          care: {
+            watering: "Light, frequent irrigation for an even stand.",
+            pests: "Start checking whorls for fall armyworm."
+          }
+        },
+        {
+          key: "vegetative",
+          name: "Vegetative (knee high)",
+          gdd: 400,
+          care: {
+            fertilizer: "Side-dress urea at knee height.",
+            watering: "Irrigate every 8\u201310 days in hot weather.",
+            pests: "Fall armyworm and stem borer in the whorls."
+          }
+        },
+        {
+          key: "tasseling",
+          name: "Tasseling & silking",
+          gdd: 1e3,
+          heatMax: 35,
+          care: {
+            fertilizer: "Last urea split just before tasseling.",
+            watering: "Critical stage: no water stress at tasseling and silking; heat above 35\xB0C hurts pollination.",
+            pests: "Armyworm feeding on tassels and silks."
+          }
+        },
+        {
+          key: "grainFill",
+          name: "Grain filling",
+          gdd: 1200,
+          care: {
+            watering: "Keep soil moist until black layer; stop two weeks before harvest.",
+            pests: "Ear rots after rain; protect cobs from birds."
+          }
+        },
+        {
+          key: "maturity",
+          name: "Maturity",
+          gdd: 1650,
+          care: {
+            pests: "Dry grain well before storage to prevent aflatoxin."
+          }
+        }
+      ],
+      tasks: [
+        { key: "urea2", name: "Second urea split", note: "at knee height", gdd: 400 },
+        { key: "urea3", name: "Third urea split", note: "before tasseling", gdd: 900 }
+      ]
+    },
+    sugarcane: {
+      baseTemp: 12,
+      upperTemp: 38,
+      stages: [
+        {
+          key: "sowing",
+          name: "Planting & germination",
+          gdd: 0,
+          care: {
+            fertilizer: "Apply all phosphorus and potash with part of the nitrogen at planting.",
+            watering: "Irrigate right after planting, then every 7\u201310 days until shoots are up.",
+            pests: "Treat setts and control termites in the furrows; cut out dead hearts (early shoot borer)."
+          }
+        },
+        {
+          key: "tillering",
+          name: "Tillering",
+          gdd: 500,
+          care: {
+            fertilizer: "Nitrogen split with earthing up.",
+            watering: "Do not let the field dry out; tillering is sensitive to water stress.",
+            pests: "Shoot and top borers; keep the field weed-free."
+          }
+        },
+        {
+          key: "grandGrowth",
+          name: "Grand growth",
+          gdd: 1800,
+          care: {
+            fertilizer: "Finish nitrogen early in grand growth.",
+            watering: "Highest water use: irrigate often and drain monsoon excess.",
+            pests: "Pyrilla and borers; look for red rot."
+          }
+        },
+        {
+          key: "ripening",
+          name: "Ripening",
+          gdd: 3800,
+          frostMin: 0,
+          care: {
+            watering: "Reduce irrigation to raise sugar; stop 3\u20134 weeks before harvest.",
+            pests: "Light irrigation on frosty nights protects the cane."
+          }
+        },
+        {
+          key: "maturity",
+          name: "Maturity",
+          gdd: 4400,
+          frostMin: 0,
+          care: {
+            pests: "Crush soon after cutting to avoid sugar loss."
+          }
+        }
+      ],
+      tasks: [
+        { key: "nitrogen2", name: "Second nitrogen split", note: "during tillering, with earthing up", gdd: 500 },
+        { key: "nitrogen3", name: "Third nitrogen split", note: "before grand growth", gdd: 1600 }
+      ]
+    }
+  };
+  var MAX_PROJECTION_DAYS = 500;
+  var TASK_DUE_AFTER_GDD = 150;
+  function climateGdd(dayNumber, model, climate) {
+    const [tMax, tMin] = climate[new Date(dayNumber * DAY_MS).getUTCMonth()];
+    return dailyGdd(tMax, tMin, model);
+  }
+  function getPhenologyModel(crop) {
+    return PHENOLOGY_MODELS[String(crop || "").toLowerCase()] || null;
+  }
+  function dailyGdd(tMax, tMin, { baseTemp, upperTemp = Infinity }) {
+    if (typeof tMax !== "number" || typeof tMin !== "number") return null;
+    const hi = Math.max(Math.min(tMax, upperTemp), baseTemp);
+    const lo = Math.min(Math.max(tMin, baseTemp), hi);
+    return Math.max(0, (hi + lo) / 2 - baseTemp);
+  }
+  function publicStage(stage) {
+    if (!stage) return null;
+    const { care, ...rest } = stage;
+    return { ...rest, care: care || {} };
+  }
+  function estimatePhenology(crop, sowingDate, { daily = {}, today, climate = PLAINS_CLIMATE } = {}) {
+    var _a;
+    const model = getPhenologyModel(crop);
+    const sowDay = toDayNumber(sowingDate);
+    if (!model || Number.isNaN(sowDay)) return null;
+    const todayIso = today || daily.time && daily.time[0] || localIsoDate(/* @__PURE__ */ new Date());
+    const todayDay = toDayNumber(todayIso);
+    const byDate = {};
+    (daily.time || []).forEach((t, i) => {
+      var _a2, _b;
+      const gdd2 = dailyGdd((_a2 = daily.temperatureMax) == null ? void 0 : _a2[i], (_b = daily.temperatureMin) == null ? void 0 : _b[i], model);
+      if (gdd2 !== null) byDate[toDayNumber(t)] = gdd2;
+    });
+    const gddOn = (day) => byDate[day] !== void 0 ? byDate[day] : null;
+    const stages = model.stages.map((s) => ({ ...s, startDate: null }));
+    stages[0].startDate = toIsoDate(sowDay);
+    const tasks = (model.tasks || []).map((t) => ({ ...t, expectedDate: null }));
+    let gdd = 0;
+    let estimatedDays = 0;
+    const markCrossings = (before, after, day) => {
+      stages.forEach((s) => {
+        if (!s.startDate && s.gdd > before && s.gdd <= after) s.startDate = toIsoDate(day);
+      });
+      tasks.forEach((t) => {
+        if (!t.expectedDate && t.gdd > before && t.gdd <= after) t.expectedDate = toIsoDate(day);
+      });
+    };
+    for (let day = sowDay; day < todayDay; day++) {
+      let g = gddOn(day);
+      if (g === null) {
+        g = climateGdd(day, model, climate);
+        estimatedDays++;
+      }
+      markCrossings(gdd, gdd + g, day + 1);
+      gdd += g;
+    }
+    let projected = gdd;
+    const maturityGdd = stages[stages.length - 1].gdd;
+    for (let day = Math.max(sowDay, todayDay), n = 0; projected < maturityGdd && n < MAX_PROJECTION_DAYS; day++, n++) {
+      const g = (_a = gddOn(day)) != null ? _a : climateGdd(day, model, climate);
+      markCrossings(projected, projected + g, day + 1);
+      projected += g;
+    }
+    const sown = todayDay >= sowDay;
+    let index = 0;
+    if (sown) stages.forEach((s, i) => {
+      if (s.gdd <= gdd) index = i;
+    });
+    const stage = sown ? stages[index] : null;
+    const next = sown ? stages[index + 1] || null : stages[0];
+    const daysUntil = (iso) => iso ? toDayNumber(iso) - todayDay : null;
+    const typicalWeekGdd = climateGdd(todayDay, model, climate) * 7;
+    return {
+      crop: String(crop).toLowerCase(),
+      sowingDate: toIsoDate(sowDay),
+      today: toIsoDate(todayDay),
+      sown,
+      daysAfterSowing: todayDay - sowDay,
+      gdd: Math.round(gdd),
+      estimatedDays,
+      progress: Math.min(1, gdd / maturityGdd),
+      stage: publicStage(stage),
+      nextStage: next ? { ...publicStage(next), gddRemaining: Math.max(0, Math.round(next.gdd - gdd)), daysUntil: daysUntil(next.startDate), expectedDate: next.startDate } : null,
+      stages: stages.map(({ care, ...s }) => s),
+      tasks: tasks.map((t) => {
+        let status = "upcoming";
+        if (sown && gdd >= t.gdd + TASK_DUE_AFTER_GDD) status = "done";
+        else if (sown && gdd >= t.gdd - typicalWeekGdd) status = "due";
+        return { ...t, status, daysUntil: daysUntil(t.expectedDate) };
+      })
+    };
+  }
+  function stageOn(phenology, date) {
+    if (!phenology) return null;
+    const day = toDayNumber(date);
+    let found = null;
+    phenology.stages.forEach((s) => {
+      if (s.startDate && toDayNumber(s.startDate) <= day) found = s;
+    });
+    return found;
+  }
+  function checkStageWeather(phenology, daily = {}) {
+    if (!phenology || !phenology.sown) return [];
+    const risks = {};
+    (daily.time || []).forEach((date, i) => {
+      var _a, _b;
+      const stage = stageOn(phenology, date);
+      if (!stage) return;
+      const tMax = (_a = daily.temperatureMax) == null ? void 0 : _a[i];
+      const tMin = (_b = daily.temperatureMin) == null ? void 0 : _b[i];
+      const hit = (type, value, limit, worse) => {
+        const key = `${type}:${stage.key}`;
+        const r = risks[key];
+        if (!r) risks[key] = { type, stageKey: stage.key, stageName: stage.name, limit, value, date, days: 1 };
+        else {
+          r.days++;
+          if (worse(value, r.value)) r.value = value;
+        }
+      };
+      if (stage.heatMax !== void 0 && typeof tMax === "number" && tMax > stage.heatMax) hit("heat", tMax, stage.heatMax, (a, b) => a > b);
+      if (stage.frostMin !== void 0 && typeof tMin === "number" && tMin <= stage.frostMin) hit("frost", tMin, stage.frostMin, (a, b) => a < b);
+    });
+    return Object.values(risks).map((r) => ({ ...r, message: describeStageRisk(r) }));
+  }
+
+  // src/thermal.js
+  var CHILL_MODELS = ["hours", "utah"];
+  var GDD_BASES = {
+    barley: { baseTemp: 0, upperTemp: 30 },
+    pulses: { baseTemp: 5, upperTemp: 30 },
+    oilseeds: { baseTemp: 5, upperTemp: 30 },
+    vegetables: { baseTemp: 10, upperTemp: 30 },
+    fruits: { baseTemp: 10, upperTemp: 35 }
+  };
+  var MAX_PROJECTION_DAYS2 = 366;
+  function getGddBase(crop) {
+    const key = String(crop || "").toLowerCase();
+    const model = getPhenologyModel(key);
+    if (model) return { baseTemp: model.baseTemp, upperTemp: model.upperTemp };
+    return GDD_BASES[key] ? { ...GDD_BASES[key] } : null;
+  }
+  function hourlyGdd(temp, { baseTemp, upperTemp = Infinity }) {
+    if (typeof temp !== "number") return null;
+    return Math.max(0, Math.min(temp, upperTemp) - baseTemp) / 24;
+  }
+  function hourlyChill(temp, model = "hours") {
+    if (typeof temp !== "number") return null;
+    if (model === "utah") {
+      if (temp <= 1.4) return 0;
+      if (temp <= 2.4) return 0.5;
+      if (temp <= 9.1) return 1;
+      if (temp <= 12.4) return 0.5;
+      if (temp <= 15.9) return 0;
+      if (temp <= 18) return -0.5;
+      return -1;
+    }
+    return temp >= 0 && temp <= 7.2 ? 1 : 0;
+  }
+  function idealizedDay(tMax, tMin) {
+    const temps = [];
+    for (let h = 0; h < 24; h++) {
+      const rising = h >= 6 && h < 15;
+      const phase = rising ? (h - 6) / 9 : (h - 15 + 24) % 24 / 15;
+      const frac = rising ? (1 - Math.cos(Math.PI * phase)) / 2 : (1 + Math.cos(Math.PI * phase)) / 2;
+      temps.push(tMin + (tMax - tMin) * frac);
+    }
+    return temps;
+  }
+  function typicalThermalDay(date, { baseTemp, upperTemp, chillModel = "hours", climate = PLAINS_CLIMATE }) {
+    const [tMax, tMin] = climate[new Date(toDayNumber(date) * DAY_MS).getUTCMonth()];
+    let gdd = 0;
+    let chill = 0;
+    idealizedDay(tMax, tMin).forEach((t) => {
+      gdd += hourlyGdd(t, { baseTemp, upperTemp });
+      chill += hourlyChill(t, chillModel);
+    });
+    return { gdd, chill };
+  }
+  function accumulateThermalTime(hourly, { startDate, baseTemp, upperTemp, chillModel = "hours", forecastFrom } = {}) {
+    const times = hourly.time || [];
+    const temps = hourly.temperature || [];
+    const byDate = /* @__PURE__ */ new Map();
+    times.forEach((t, i) => {
+      const date = String(t).slice(0, 10);
+      if (startDate && date < startDate) return;
+      const g = hourlyGdd(temps[i], { baseTemp, upperTemp });
+      if (g === null) return;
+      const day = byDate.get(date) || { date, hours: 0, degreeHours: 0, chill: 0 };
+      day.hours++;
+      day.degreeHours += g * 24;
+      day.chill += hourlyChill(temps[i], chillModel);
+      byDate.set(date, day);
+    });
+    let gddTotal = 0;
+    let chillTotal = 0;
+    return [...byDate.values()].sort((a, b) => a.date < b.date ? -1 : 1).map(({ date, hours, degreeHours, chill }) => {
+      const gdd = degreeHours / hours;
+      gddTotal += gdd;
+      chillTotal = Math.max(0, chillTotal + chill);
+      return {
+        date,
+        hours,
+        gdd: round2(gdd),
+        gddTotal: round2(gddTotal),
+        chill: round2(chill),
+        chillTotal: round2(chillTotal),
+        source: forecastFrom && date >= forecastFrom ? "forecast" : "observed"
+      };
+    });
+  }
+  function projectThermalTargets(days, targets, { baseTemp, upperTemp, chillModel = "hours", climate = PLAINS_CLIMATE, today } = {}) {
+    const last = days[days.length - 1];
+    return targets.map((target) => {
+      const totalKey = target.kind === "chill" ? "chillTotal" : "gddTotal";
+      const hit = days.find((d) => d[totalKey] >= target.value);
+      if (hit) {
+        return { ...target, date: hit.date, source: hit.source, reached: !today || hit.date < today };
+      }
+      let total = last ? last[totalKey] : 0;
+      let day = last ? toDayNumber(last.date) + 1 : toDayNumber(today);
+      for (let n = 0; n < MAX_PROJECTION_DAYS2 && !Number.isNaN(day); n++, day++) {
+        const typical = typicalThermalDay(toIsoDate(day), { baseTemp, upperTemp, chillModel, climate });
+        total = Math.max(0, total + (target.kind === "chill" ? typical.chill : typical.gdd));
+        if (total >= target.value) return { ...target, date: toIsoDate(day), source: "climate", reached: false };
+      }
+      return { ...target, date: null, source: "climate", reached: false };
+    });
+  }
+  function cropThermalTargets(crop) {
+    const model = PHENOLOGY_MODELS[String(crop || "").toLowerCase()];
+    if (!model) return [];
+    const stages = model.stages.filter((s) => s.gdd > 0).map((s) => ({ kind: "gdd", key: s.key, name: s.name, value: s.gdd }));
+    const tasks = (model.tasks || []).map((t) => ({ kind: "gdd", key: t.key, name: t.name, value: t.gdd }));
+    return [...stages, ...tasks].sort((a, b) => a.value - b.value);
+  }
+  function round2(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // src/waterBalance.js
+  var SOIL_TYPES = {
+    sand: { name: "Sand", awc: 80 },
+    loamySand: { name: "Loamy sand", awc: 90 },
+    sandyLoam: { name: "Sandy loam", awc: 130 },
+    loam: { name: "Loam", awc: 155 },
+    siltLoam: { name: "Silt loam", awc: 160 },
+    clayLoam: { name: "Clay loam", awc: 155 },
+    clay: { name: "Clay", awc: 160 }
+  };
+  var PLAINS_ET0 = [1.5, 2.3, 3.5, 5.2, 6.8, 7.2, 5.8, 5, 4.5, 3.5, 2.2, 1.5];
+  var CROP_WATER = {
+    wheat: {
+      rootMin: 0.3,
+      rootMax: 1.4,
+      p: 0.55,
+      kc: { sowing: 0.4, emergence: 0.4, tillering: 0.7, jointing: 1.15, booting: 1.15, heading: 1.15, grainFill: 1.15, maturity: 0.3 }
+    },
+    rice: {
+      rootMin: 0.3,
+      rootMax: 0.6,
+      p: 0.2,
+      kc: { establishment: 1.05, tillering: 1.05, panicleInitiation: 1.2, booting: 1.2, flowering: 1.2, grainFill: 1.2, maturity: 0.75 }
+    },
+    cotton: {
+      rootMin: 0.3,
+      rootMax: 1.4,
+      p: 0.65,
+      stopAt: "bollOpening",
+      kc: { sowing: 0.35, emergence: 0.35, squaring: 0.75, flowering: 1.18, bollDevelopment: 1.18, bollOpening: 1.18, maturity: 0.6 }
+    },
+    maize: {
+      rootMin: 0.3,
+      rootMax: 1.3,
+      p: 0.55,
+      kc: { sowing: 0.3, emergence: 0.3, vegetative: 0.7, tasseling: 1.2, grainFill: 1.2, maturity: 0.5 }
+    },
+    sugarcane: {
+      rootMin: 0.3,
+      rootMax: 1.6,
+      p: 0.65,
+      stopAt: "ripening",
+      kc: { sowing: 0.4, tillering: 0.8, grandGrowth: 1.25, ripening: 1.25, maturity: 0.75 }
+    }
+  };
+  var MM_PER_INCH = 25.4;
+  var RAIN_THRESHOLD_MM = 5;
+  var RAIN_EFFECTIVE_FRACTION = 0.8;
+  var DEFAULT_MAX_DEPTH_MM = 100;
+  function getCropWater(crop) {
+    return CROP_WATER[String(crop || "").toLowerCase()] || null;
+  }
+  function effectiveRain(rainMm) {
+    const rain = rainMm === null || rainMm === void 0 || rainMm === "" ? 0 : Number(rainMm);
+    if (!Number.isFinite(rain) || rain <= RAIN_THRESHOLD_MM) return 0;
+    return (rain - RAIN_THRESHOLD_MM) * RAIN_EFFECTIVE_FRACTION;
+  }
+  function toAcreInches(depthMm, areaAcres = 1) {
+    return depthMm / MM_PER_INCH * areaAcres;
+  }
+  function dailyEt0(hourly = {}) {
+    const sums = {};
+    (hourly.time || []).forEach((t, i) => {
+      const v = hourly.et0 ? hourly.et0[i] : null;
+      if (typeof v !== "number") return;
+      const date = String(t).slice(0, 10);
+      sums[date] = sums[date] || { total: 0, hours: 0 };
+      sums[date].total += v;
+      sums[date].hours++;
+    });
+    const out = {};
+    Object.keys(sums).forEach((d) => {
+      if (sums[d].hours >= 20) out[d] = sums[d].total;
+    });
+    return out;
+  }
+  function cropWaterOn(day, phenology, water) {
+    const stages = phenology.stages.filter((s) => s.startDate && water.kc[s.key] !== void 0);
+    const kcMax = Math.max(...stages.map((s) => water.kc[s.key]));
+    const midStart = stages.find((s) => water.kc[s.key] === kcMax) || stages[stages.length - 1];
+    const sowDay = toDayNumber(phenology.sowingDate);
+    let kc = water.kc[stages[0].key];
+    for (let i = 0; i < stages.length; i++) {
+      const start = toDayNumber(stages[i].startDate);
+      const next = stages[i + 1];
+      if (day < start) break;
+      if (!next) {
+        kc = water.kc[stages[i].key];
+        break;
+      }
+      const end = toDayNumber(next.startDate);
+      const f = end > start ? Math.min(1, (day - start) / (end - start)) : 1;
+      kc = water.kc[stages[i].key] + (water.kc[next.key] - water.kc[stages[i].key]) * f;
+    }
+    const midDay = toDayNumber(midStart.startDate);
+    const growth = midDay > sowDay ? Math.min(1, Math.max(0, (day - sowDay) / (midDay - sowDay))) : 1;
+    return { kc, rootDepth: water.rootMin + (water.rootMax - water.rootMin) * growth };
+  }
+  function scheduleIrrigation(crop, {
+    sowingDate,
+    daily = {},
+    hourly = {},
+    today,
+    soil = "loam",
+    awc,
+    rootDepth,
+    efficiency = 0.6,
+    maxDepthMm = DEFAULT_MAX_DEPTH_MM,
+    areaAcres = 1,
+    irrigations = [],
+    initialDepletion = 0,
+    horizonDays = 30,
+    et0Climate = PLAINS_ET0
+  } = {}) {
+    const baseWater = getCropWater(crop);
+    if (!baseWater) return null;
+    const phenology = estimatePhenology(crop, sowingDate, { daily, today });
+    if (!phenology) return null;
+    const water = rootDepth ? { ...baseWater, rootMax: Math.max(rootDepth, baseWater.rootMin) } : baseWater;
+    const soilAwc = awc || (SOIL_TYPES[soil] || SOIL_TYPES.loam).awc;
+    const todayDay = toDayNumber(phenology.today);
+    const sowDay = toDayNumber(phenology.sowingDate);
+    const stop = phenology.stages.find((s) => s.key === water.stopAt) || phenology.stages[phenology.stages.length - 1];
+    const endDay = Math.min(todayDay + horizonDays, stop.startDate ? toDayNumber(stop.startDate) : Infinity);
+    const et0ByDate = dailyEt0(hourly);
+    const rainByDate = {};
+    (daily.time || []).forEach((t, i) => {
+      const r = daily.precipitation ? daily.precipitation[i] : null;
+      if (typeof r === "number") rainByDate[t] = r;
+    });
+    const applied = {};
+    irrigations.forEach(({ date, depthMm }) => {
+      const d = toDayNumber(date);
+      if (!Number.isNaN(d) && d >= sowDay && d <= todayDay && depthMm > 0) applied[d] = (applied[d] || 0) + depthMm;
+    });
+    let depletion = Math.min(1, Math.max(0, initialDepletion)) * soilAwc * cropWaterOn(sowDay, phenology, water).rootDepth;
+    const days = [];
+    const schedule = [];
+    let stressSince = null;
+    let status = null;
+    for (let day = sowDay; day <= endDay; day++) {
+      const date = toIsoDate(day);
+      const { kc, rootDepth: zr } = cropWaterOn(day, phenology, water);
+      const taw = soilAwc * zr;
+      const raw = water.p * taw;
+      depletion = Math.min(depletion, taw);
+      if (day === todayDay) {
+        status = { depletion, taw, raw, kc, rootDepth: zr, stage: phenology.stage ? phenology.stage.name : null };
+      }
+      let irrigation = applied[day] ? Math.min(depletion, applied[day] * efficiency) : 0;
+      if (day >= todayDay && depletion - irrigation >= raw && day < endDay) {
+        const netMm = Math.min(depletion - irrigation, maxDepthMm * efficiency);
+        const grossMm = netMm / efficiency;
+        const stageNow = phenology.stages.filter((s) => s.startDate && toDayNumber(s.startDate) <= day).pop();
+        schedule.push({
+          date,
+          netMm: round1(netMm),
+          grossMm: round1(grossMm),
+          grossInches: round22(grossMm / MM_PER_INCH),
+          acreInches: round22(toAcreInches(grossMm, areaAcres)),
+          stage: stageNow ? stageNow.name : null,
+          overdueSince: day === todayDay && stressSince !== null && stressSince < todayDay ? toIsoDate(stressSince) : null,
+          source: et0ByDate[date] !== void 0 ? "forecast" : "climate"
+        });
+        irrigation += netMm;
+      }
+      const et0 = et0ByDate[date] !== void 0 ? et0ByDate[date] : et0Climate[new Date(day * DAY_MS).getUTCMonth()];
+      const rain = rainByDate[date] !== void 0 ? rainByDate[date] : 0;
+      const pe = effectiveRain(rain);
+      const current = Math.max(0, depletion - irrigation);
+      const ks = current > raw ? Math.max(0, (taw - current) / ((1 - water.p) * taw)) : 1;
+      const etc = ks * kc * et0;
+      depletion = Math.min(taw, Math.max(0, current - pe + etc));
+      if (depletion >= raw) {
+        if (stressSince === null) stressSince = day + 1;
+      } else stressSince = null;
+      days.push({
+        date,
+        et0: round1(et0),
+        kc: round22(kc),
+        etc: round1(etc),
+        rain: round1(rain),
+        effectiveRain: round1(pe),
+        irrigation: round1(irrigation),
+        depletion: round1(depletion),
+        taw: round1(taw),
+        raw: round1(raw),
+        ks: round22(ks),
+        source: day < todayDay ? "estimated" : et0ByDate[date] !== void 0 ? "forecast" : "climate"
+      });
+    }
+    return {
+      crop: String(crop).toLowerCase(),
+      soil: awc ? null : SOIL_TYPES[soil] ? soil : "loam",
+      awc: soilAwc,
+      efficiency,
+      areaAcres,
+      sowingDate: phenology.sowingDate,
+      today: phenology.today,
+      sown: phenology.sown,
+      status: status && {
+        depletion: round1(status.depletion),
+        taw: round1(status.taw),
+        raw: round1(status.raw),
+        kc: round22(status.kc),
+        rootDepth: round22(status.rootDepth),
+        stage: status.stage
+      },
+      days,
+      schedule
+    };
+  }
+  function round1(n) {
+    return Math.round(n * 10) / 10;
+  }
+  function round22(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // src/disease.js
+  var WET_RH = 90;
+  var WET_RAIN_MM = 0.1;
+  var RISK_LEVELS = [
+    { level: "Low", min: 0 },
+    { level: "Moderate", min: 35 },
+    { level: "High", min: 65 }
+  ];
+  function riskLevel(index) {
+    let level = RISK_LEVELS[0].level;
+    RISK_LEVELS.forEach((l) => {
+      if (index >= l.min) level = l.level;
+    });
+    return level;
+  }
+  function toHours(hourly = {}) {
+    const hours = [];
+    (hourly.time || []).forEach((time, i) => {
+      const temp = hourly.temperature ? hourly.temperature[i] : null;
+      const rh = hourly.humidity ? hourly.humidity[i] : null;
+      if (typeof temp !== "number" || typeof rh !== "number") return;
+      const rain = hourly.rain && typeof hourly.rain[i] === "number" ? hourly.rain[i] : 0;
+      hours.push({ time, date: String(time).slice(0, 10), temp, rh, rain, wet: rh >= WET_RH || rain >= WET_RAIN_MM });
+    });
+    return hours;
+  }
+  function findSpells(hours, test) {
+    const spells = [];
+    let current = null;
+    hours.forEach((h, i) => {
+      const prev = hours[i - 1];
+      const contiguous = prev && Date.parse(h.time) - Date.parse(prev.time) <= 60 * 60 * 1e3;
+      if (test(h)) {
+        if (!current || !contiguous) {
+          current = { start: h.time, date: h.date, readings: [] };
+          spells.push(current);
+        }
+        current.readings.push(h);
+      } else {
+        current = null;
+      }
+    });
+    return spells.map((s) => ({
+      ...s,
+      hours: s.readings.length,
+      meanTemp: s.readings.reduce((sum, h) => sum + h.temp, 0) / s.readings.length
+    }));
+  }
+  function summarizeHours(hours) {
+    const days = /* @__PURE__ */ new Map();
+    hours.forEach((h) => {
+      const day = days.get(h.date) || { date: h.date, hours: 0, wetHours: 0, rainHours: 0, rainMm: 0, rainEvents: 0, minTemp: Infinity, maxTemp: -Infinity, spells: [], readings: [] };
+      day.hours++;
+      if (h.wet) day.wetHours++;
+      if (h.rain >= WET_RAIN_MM) day.rainHours++;
+      day.rainMm += h.rain;
+      day.minTemp = Math.min(day.minTemp, h.temp);
+      day.maxTemp = Math.max(day.maxTemp, h.temp);
+      day.readings.push(h);
+      days.set(h.date, day);
+    });
+    findSpells(hours, (h) => h.wet).forEach((s) => {
+      if (days.has(s.date)) days.get(s.date).spells.push(s);
+    });
+    findSpells(hours, (h) => h.rain >= WET_RAIN_MM).forEach((s) => {
+      if (days.has(s.date)) days.get(s.date).rainEvents++;
+    });
+    return [...days.values()].sort((a, b) => a.date < b.date ? -1 : 1);
+  }
+  function humidHoursInBand(day, rh, [lo, hi]) {
+    return day.readings.filter((h) => h.rh >= rh && h.temp >= lo && h.temp <= hi).length;
+  }
+  function longestWetInBand(day, [lo, hi]) {
+    let best = { hours: 0, meanTemp: null };
+    day.spells.forEach((s) => {
+      const inBand = s.readings.filter((h) => h.temp >= lo && h.temp <= hi);
+      if (inBand.length > best.hours) {
+        best = { hours: inBand.length, meanTemp: inBand.reduce((sum, h) => sum + h.temp, 0) / inBand.length };
+      }
+    });
+    return best;
+  }
+  function band([lo, hi]) {
+    return `${lo}\u2013${hi}\xB0C`;
+  }
+  var DISEASE_MODELS = {
+    // Stripe (yellow) rust infects at 7–15°C and leaf (brown) rust at 15–25°C, each after about
+    // 6 hours of continuous leaf wetness (Rapilly; de Vallavieille-Pope et al.)
+    wheatRust: {
+      name: "Wheat rust (yellow / brown)",
+      pathogen: "Puccinia striiformis, P. triticina",
+      crops: ["wheat"],
+      stages: ["tillering", "jointing", "booting", "heading", "grainFill"],
+      advice: "Scout the lower leaves for yellow stripes or orange-brown pustules; if they appear, spray a recommended triazole fungicide.",
+      evaluate(day) {
+        const yellow = longestWetInBand(day, [7, 15]);
+        const brown = longestWetInBand(day, [15, 25]);
+        const [worst, name, range] = yellow.hours >= brown.hours ? [yellow, "yellow rust", [7, 15]] : [brown, "brown rust", [15, 25]];
+        let index = 0;
+        if (worst.hours >= 12) index = 90;
+        else if (worst.hours >= 8) index = 75;
+        else if (worst.hours >= 6) index = 60;
+        else if (worst.hours >= 3) index = 30;
+        else if (humidHoursInBand(day, 80, [7, 25]) >= 6) index = 15;
+        const explanation = worst.hours ? `${worst.hours} h of continuous leaf wetness at ${band(range)} (mean ${worst.meanTemp.toFixed(1)}\xB0C); ${name} needs about 6 h.` : `No leaf-wetness spell at rust temperatures (${band([7, 25])}).`;
+        return { index, explanation };
+      }
+    },
+    // BLASTAM-style: infection when leaves stay wet for 10+ hours at a mean of 16–28°C, fastest
+    // around 24–28°C; shorter wet periods give partial risk
+    riceBlast: {
+      name: "Rice blast",
+      pathogen: "Magnaporthe oryzae",
+      crops: ["rice"],
+      stages: ["establishment", "tillering", "panicleInitiation", "booting", "flowering", "grainFill"],
+      advice: "Avoid late or heavy nitrogen, keep the field flooded, and check leaves and panicle necks for spindle-shaped lesions.",
+      evaluate(day) {
+        const wet = longestWetInBand(day, [16, 28]);
+        const optimal = wet.hours && wet.meanTemp >= 24;
+        let index = 0;
+        if (wet.hours >= 10) index = optimal ? 95 : 80;
+        else if (wet.hours >= 8) index = optimal ? 65 : 50;
+        else if (wet.hours >= 5) index = 35;
+        else if (humidHoursInBand(day, 85, [16, 28]) >= 8) index = 20;
+        const explanation = wet.hours ? `${wet.hours} h of leaf wetness at ${band([16, 28])} (mean ${wet.meanTemp.toFixed(1)}\xB0C); blast infects after about 10 h, fastest at 24\u201328\xB0C.` : `No leaf-wetness spell at blast temperatures (${band([16, 28])}).`;
+        return { index, explanation };
+      }
+    },
+    // Boll rots follow rain on open or opening bolls and long humid spells at 25–35°C
+    cottonBollRot: {
+      name: "Cotton boll rot",
+      pathogen: "Fungal and bacterial boll rots",
+      crops: ["cotton"],
+      stages: ["bollDevelopment", "bollOpening", "maturity"],
+      advice: "Open up dense canopies, avoid irrigating before forecast rain, and pick open bolls promptly after rain.",
+      evaluate(day, { previous }) {
+        const humid = humidHoursInBand(day, 85, [25, 35]);
+        const rainyYesterday = previous.length > 0 && previous[previous.length - 1].rainMm >= 5;
+        let index = Math.min(60, humid * 4);
+        if (day.rainEvents) index += day.rainMm >= 10 ? 30 : 15;
+        if (day.rainMm >= 5 && rainyYesterday) index += 15;
+        index = Math.min(100, index);
+        const parts = [`${humid} humid hour(s) (RH \u2265 85%) at ${band([25, 35])}`];
+        parts.push(day.rainEvents ? `${day.rainEvents} rain event(s), ${day.rainMm.toFixed(1)} mm` : "no rain");
+        if (day.rainMm >= 5 && rainyYesterday) parts.push("second wet day in a row");
+        return { index, explanation: `${parts.join("; ")}.` };
+      }
+    },
+    // Hutton criteria (AHDB): a day with a minimum of 10°C or more and at least 6 hours at RH ≥ 90%;
+    // two such days in a row make a Hutton period. 11+ humid hours is the older Smith criterion.
+    potatoLateBlight: {
+      name: "Potato late blight",
+      pathogen: "Phytophthora infestans",
+      crops: ["potato", "vegetables"],
+      advice: "Protect the crop with a preventive blight fungicide before the next humid spell and destroy infected haulms or cull piles.",
+      evaluate(day, { previous }) {
+        const humid = day.readings.filter((h) => h.rh >= WET_RH).length;
+        const qualifies = (d) => d.minTemp >= 10 && d.readings.filter((h) => h.rh >= WET_RH).length >= 6;
+        const today = qualifies(day);
+        const yesterday = previous.length > 0 && qualifies(previous[previous.length - 1]);
+        let index = 0;
+        if (today && yesterday) index = humid >= 11 ? 95 : 85;
+        else if (today) index = humid >= 11 ? 55 : 45;
+        else if (day.minTemp >= 10 && humid >= 3) index = 20;
+        const explanation = today ? `Minimum ${day.minTemp.toFixed(1)}\xB0C with ${humid} h at RH \u2265 90%${yesterday ? " \u2014 second such day in a row (Hutton period)" : " (a Hutton period needs two in a row)"}.` : `${day.minTemp < 10 ? `Minimum ${day.minTemp.toFixed(1)}\xB0C is below 10\xB0C` : `Only ${humid} h at RH \u2265 90%`} \u2014 no Hutton criteria day.`;
+        return { index, explanation };
+      }
+    }
+  };
+  function diseaseModelsFor(crop) {
+    const key = String(crop || "").toLowerCase();
+    return Object.keys(DISEASE_MODELS).filter((k) => DISEASE_MODELS[k].crops.includes(key));
+  }
+  function assessDiseaseRisk(crop, hourly, { phenology = null, minHours = 18 } = {}) {
+    const keys = diseaseModelsFor(crop);
+    if (!keys.length) return null;
+    const summaries = summarizeHours(toHours(hourly));
+    const models = keys.map((key) => {
+      const model = DISEASE_MODELS[key];
+      const days = [];
+      summaries.forEach((day, i) => {
+        if (day.hours < minHours) return;
+        const stage = phenology ? stageOn(phenology, day.date) : null;
+        if (phenology && model.stages && (!stage || !model.stages.includes(stage.key))) {
+          days.push({
+            date: day.date,
+            index: 0,
+            level: "Low",
+            explanation: `Not a susceptible stage (${stage ? stage.name : "before sowing"}).`
+          });
+          return;
+        }
+        const { index, explanation } = model.evaluate(day, { previous: summaries.slice(Math.max(0, i - 3), i) });
+        days.push({ date: day.date, index, level: riskLevel(index), explanation });
+      });
+      const peak = days.reduce((worst, d) => !worst || d.index > worst.index ? d : worst, null);
+      return { key, name: model.name, pathogen: model.pathogen, advice: model.advice, days, peak };
+    });
+    const byDate = /* @__PURE__ */ new Map();
+    models.forEach((m) => m.days.forEach((d) => {
+      const current = byDate.get(d.date);
+      if (!current || d.index > current.index) byDate.set(d.date, { ...d, model: m.key });
+    }));
+    return {
+      crop: String(crop).toLowerCase(),
+      models,
+      days: [...byDate.values()].sort((a, b) => a.date < b.date ? -1 : 1)
+    };
+  }
+
+  // src/climate.js
+  var NORMAL_PERIOD = { startYear: 1991, endYear: 2020 };
+  var NORMAL_WINDOW_DAYS = 7;
+  var SLOTS = 366;
+  var DAY_MS2 = 24 * 60 * 60 * 1e3;
+  var LEAP_START = Date.UTC(2e3, 0, 1);
+  function slotOf(date) {
+    const md = String(date).slice(5, 10);
+    return Math.round((Date.parse(`2000-${md}T00:00:00Z`) - LEAP_START) / DAY_MS2);
+  }
+  function monthDay(slot) {
+    return new Date(LEAP_START + slot * DAY_MS2).toISOString().slice(5, 10);
+  }
+  function mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+  }
+  function stdDev(values, avg) {
+    if (values.length < 2) return null;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+  }
+  function dailyNormals(history, { window: window2 = NORMAL_WINDOW_DAYS } = {}) {
+    const bySlot = Array.from({ length: SLOTS }, () => ({ tMax: [], tMin: [], rain: [] }));
+    (history.time || []).forEach((date, i) => {
+      const slot = bySlot[slotOf(date)];
+      if (!slot) return;
+      const tMax = history.temperatureMax ? history.temperatureMax[i] : null;
+      const tMin = history.temperatureMin ? history.temperatureMin[i] : null;
+      const rain = history.precipitation ? history.precipitation[i] : null;
+      if (typeof tMax === "number") slot.tMax.push(tMax);
+      if (typeof tMin === "number") slot.tMin.push(tMin);
+      if (typeof rain === "number") slot.rain.push(rain);
+    });
+    const normals = {};
+    for (let s = 0; s < SLOTS; s++) {
+      const span = { tMax: [], tMin: [], rain: [] };
+      for (let d = -window2; d <= window2; d++) {
+        const src = bySlot[(s + d + SLOTS) % SLOTS];
+        span.tMax.push(...src.tMax);
+        span.tMin.push(...src.tMin);
+        span.rain.push(...src.rain);
+      }
+      const tMax = mean(span.tMax);
+      const tMin = mean(span.tMin);
+      const rain = mean(span.rain);
+      normals[monthDay(s)] = {
+        temperatureMax: round12(tMax),
+        temperatureMin: round12(tMin),
+        precipitation: round12(rain),
+        temperatureMaxSd: round12(stdDev(span.tMax, tMax)),
+        temperatureMinSd: round12(stdDev(span.tMin, tMin)),
+        samples: span.tMax.length
+      };
+    }
+    return normals;
+  }
+  function normalsFor(normals, dates) {
+    return (dates || []).map((date) => ({ date, ...normals[String(date).slice(5, 10)] || {} }));
+  }
+  function describeTemperatureAnomaly(anomaly) {
+    if (anomaly === null || anomaly === void 0) return null;
+    if (anomaly >= 3) return "much warmer";
+    if (anomaly >= 1.5) return "warmer";
+    if (anomaly <= -3) return "much cooler";
+    if (anomaly <= -1.5) return "cooler";
+    return "near normal";
+  }
+  function forecastAnomalies(daily = {}, normals) {
+    const diff = (value, normal) => typeof value === "number" && typeof normal === "number" ? round12(value - normal) : null;
+    const days = (daily.time || []).map((date, i) => {
+      var _a, _b, _c;
+      const normal = normals[String(date).slice(5, 10)] || {};
+      const tMax = daily.temperatureMax ? daily.temperatureMax[i] : null;
+      const tMin = daily.temperatureMin ? daily.temperatureMin[i] : null;
+      const rain2 = daily.precipitation ? daily.precipitation[i] : null;
+      return {
+        date,
+        temperatureMax: tMax != null ? tMax : null,
+        temperatureMaxNormal: (_a = normal.temperatureMax) != null ? _a : null,
+        temperatureMaxAnomaly: diff(tMax, normal.temperatureMax),
+        temperatureMin: tMin != null ? tMin : null,
+        temperatureMinNormal: (_b = normal.temperatureMin) != null ? _b : null,
+        temperatureMinAnomaly: diff(tMin, normal.temperatureMin),
+        precipitation: rain2 != null ? rain2 : null,
+        precipitationNormal: (_c = normal.precipitation) != null ? _c : null,
+        precipitationAnomaly: diff(rain2, normal.precipitation)
+      };
+    });
+    const valid = (key) => days.map((d) => d[key]).filter((v) => typeof v === "number");
+    const maxAnomaly = mean(valid("temperatureMaxAnomaly"));
+    const minAnomaly = mean(valid("temperatureMinAnomaly"));
+    const rainDays = days.filter((d) => typeof d.precipitation === "number" && typeof d.precipitationNormal === "number");
+    const rain = rainDays.reduce((sum, d) => sum + d.precipitation, 0);
+    const rainNormal = rainDays.reduce((sum, d) => sum + d.precipitationNormal, 0);
+    const overall = maxAnomaly === null || minAnomaly === null ? maxAnomaly != null ? maxAnomaly : minAnomaly : (maxAnomaly + minAnomaly) / 2;
+    return {
+      days,
+      summary: {
+        days: days.length,
+        temperatureMaxAnomaly: round12(maxAnomaly),
+        temperatureMinAnomaly: round12(minAnomaly),
+        temperatureTrend: describeTemperatureAnomaly(overall),
+        precipitation: round12(rain),
+        precipitationNormal: round12(rainNormal),
+        precipitationPercent: rainNormal >= 1 ? Math.round(rain / rainNormal * 100) : null
+      }
+    };
+  }
+  function round12(n) {
+    return typeof n === "number" ? Math.round(n * 10) / 10 : null;
+  }
+
+  // src/browser.js
+  window.FarmerAgronomy = index_exports;
+  window.PROVINCE_DISTRICTS = PROVINCE_DISTRICTS;
+  window.PUNJAB_DISTRICT_THRESHOLDS = PUNJAB_DISTRICT_THRESHOLDS;
+  window.getZoneFromDistrictMap = getZoneFromDistrictMap;
+  window.getDistrictFromName = getDistrictFromName;
+  window.getPunjabDistrictThreshold = getPunjabDistrictThreshold;
+})();
@@ -0,0 +1,91 @@
+// ai-stream.js
+// Client for the streaming AI routes (POST /api/gemini/stream and /api/conversations/:id/messages,
+// Server-Sent Events).
+// EventSource cannot POST, so the response body is read and parsed here instead.
+// Shared by ai-assistant.html (as an ES module) and the React app (src/services/api.js).
+
+/**
+ * Streams an AI answer, calling onText(chunk, fullTextSoFar) as text arrives and onTool(call) when
+ * the server runs a tool for the model ({ id, name, args, status: 'running' | 'done' | 'error' },
+ * sent once when it starts and again when it finishes).
+ * @param {string} url - Stream endpoint, e.g. '/api/gemini/stream'.
+ * @param {object} body - Same body accepted by /api/gemini (full Gemini body or { prompt }).
+ * @param {{ onText?: Function, onTool?: Function, signal?: AbortSignal, headers?: object }} [options]
+ * @returns {Promise<{ text: string, finishReason: string }>} Resolves when the model is done, with
+ *   any other fields of the `done` event (e.g. the saved message of a conversation).
+ *   Rejects with an Error on HTTP/stream errors, or with an AbortError when `signal` aborts
+ *   (err.partialText then holds what had arrived so far).
+ */
+export async function streamGemini(url, body, { onText, onTool, signal, headers = {} } = {}) {
+    let text = '';
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (err) {
+        err.partialText = text;
+        throw err;
+    }
+
+    if (!response.ok) {
+        let detail = `API Error (${response.status}): ${response.statusText}`;
+        try {
+            const errBody = await response.json();
+            detail = `API Error (${response.status}): ${errBody.details || errBody.error?.message || errBody.error || response.statusText}`;
+        } catch (e) { /* not JSON */ }
+        throw new Error(detail);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    const handleEvent = (raw) => {
+        let event = 'message';
+        const dataLines = [];
+        raw.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+        });
+        if (!dataLines.length) return; // comment / heartbeat
+        const data = JSON.parse(dataLines.join('\n'));
+        if (event === 'token') {
+            text += data.text || '';
+            if (onText) onText(data.text || '', text);
+        } else if (event === 'tool') {
+            if (onTool) onTool(data);
+        } else if (event === 'done') {
+            result = { ...data, text: data.text ?? text, finishReason: data.finishReason || 'STOP' };
+        } else if (event === 'error') {
+            const err = new Error(data.details || data.error || 'AI generation failed');
+            err.partialText = text;
+            throw err;
+        }
+    };
+
+    try {
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            let match;
+            while ((match = /\r?\n\r?\n/.exec(buffer))) {
+                const raw = buffer.slice(0, match.index);
+                buffer = buffer.slice(match.index + match[0].length);
+                handleEvent(raw);
+            }
+        }
+        if (buffer.trim()) handleEvent(buffer);
+    } catch (err) {
+        err.partialText = text;
+        throw err;
+    }
+
+    // Connection closed without a `done` event: treat what arrived as the answer
+    return result || { text, finishReason: 'INCOMPLETE' };
+}
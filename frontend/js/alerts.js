@@ -0,0 +1,122 @@
+// alerts.js
+// Weather alert notifications for weather.html: subscribes the shown location and crop to
+// /api/alerts/subscriptions with a webpush sink. The browser's PushSubscription is made with the
+// server's VAPID key (GET /api/alerts/push-key) through the service worker, which shows the alerts
+// (sw.js). Subscriptions belong to this browser's X-User-Id (js/conversations.js).
+
+import { userHeaders } from './conversations.js';
+
+// { id, latitude, longitude, crop, name, createdAt } of the subscription this browser made
+const ALERT_SUBSCRIPTION_KEY = 'farmerAid.alertSubscription';
+
+function readSaved() {
+    try {
+        return JSON.parse(localStorage.getItem(ALERT_SUBSCRIPTION_KEY)) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeSaved(value) {
+    try {
+        if (value === null) localStorage.removeItem(ALERT_SUBSCRIPTION_KEY);
+        else localStorage.setItem(ALERT_SUBSCRIPTION_KEY, JSON.stringify(value));
+    } catch (e) {
+        console.error('Failed to save the alert subscription to storage', e);
+    }
+}
+
+async function request(url, { method = 'GET', json } = {}) {
+    const headers = { ...userHeaders() };
+    if (json) headers['Content-Type'] = 'application/json';
+    const response = await fetch(url, { method, headers, body: json ? JSON.stringify(json) : undefined });
+    if (response.status === 204) return {};
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const err = new Error(data.error || `Request failed (${response.status})`);
+        err.status = response.status;
+        err.details = data.details || [];
+        throw err;
+    }
+    return data;
+}
+
+// VAPID keys are URL-safe base64; PushManager.subscribe() wants the raw bytes
+function keyBytes(base64) {
+    const padded = `${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+async function pushRegistration() {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) throw Object.assign(new Error('The service worker is not installed'), { code: 'unsupported' });
+    return navigator.serviceWorker.ready;
+}
+
+/** Whether this browser can receive push notifications at all. */
+export function pushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+/** The alert subscription this browser made, or null. */
+export function getAlertSubscription() {
+    return readSaved();
+}
+
+/**
+ * Asks for notification permission and subscribes `place` to weather alerts, replacing an earlier
+ * subscription of this browser. Rejects with `err.code` 'unsupported' (no push in this browser),
+ * 'denied' (permission refused) or 'unavailable' (the server has no VAPID keys).
+ * @param {{ latitude: number, longitude: number, crop: string, name?: string }} place
+ * @returns {Promise<object>} The stored subscription ({ id, latitude, longitude, crop, name, createdAt }).
+ */
+export async function subscribeToAlerts({ latitude, longitude, crop, name }, base = '/api') {
+    if (!pushSupported()) throw Object.assign(new Error('Push notifications are not supported'), { code: 'unsupported' });
+    if (await Notification.requestPermission() !== 'granted') {
+        throw Object.assign(new Error('Notifications are blocked for this site'), { code: 'denied' });
+    }
+    let publicKey;
+    try {
+        ({ publicKey } = await request(`${base}/alerts/push-key`));
+    } catch (err) {
+        if (err.status === 404) err.code = 'unavailable';
+        throw err;
+    }
+
+    const registration = await pushRegistration();
+    const push = (await registration.pushManager.getSubscription())
+        || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(publicKey) });
+    const body = {
+        latitude,
+        longitude,
+        crop: String(crop).toLowerCase(),
+        name: name || null,
+        sinks: [{ type: 'webpush', subscription: push.toJSON() }]
+    };
+    const { subscription } = await request(`${base}/alerts/subscriptions`, { method: 'POST', json: body });
+
+    const previous = readSaved();
+    if (previous && previous.id !== subscription.id) {
+        await request(`${base}/alerts/subscriptions/${encodeURIComponent(previous.id)}`, { method: 'DELETE' })
+            .catch(err => console.warn('Could not remove the previous alert subscription:', err.message));
+    }
+    const saved = { id: subscription.id, latitude, longitude, crop: body.crop, name: body.name, createdAt: subscription.createdAt };
+    writeSaved(saved);
+    return saved;
+}
+
+/** Removes this browser's alert subscription on the server and stops push notifications. */
+export async function unsubscribeFromAlerts(base = '/api') {
+    const current = readSaved();
+    if (current) {
+        try {
+            await request(`${base}/alerts/subscriptions/${encodeURIComponent(current.id)}`, { method: 'DELETE' });
+        } catch (err) {
+            if (err.status !== 404) throw err;
+        }
+    }
+    writeSaved(null);
+    const registration = pushSupported() && await navigator.serviceWorker.getRegistration();
+    const push = registration && await registration.pushManager.getSubscription();
+    if (push) await push.unsubscribe();
+}
@@ -0,0 +1,223 @@
+/**
+ * compare.js
+ * District comparison page (compare.html): pick several districts from
+ * PROVINCE_DISTRICTS (js/agronomy.js) and one crop, then show the backend's
+ * /api/compare result — forecasts, suitability and risk flags per district —
+ * as a side-by-side table and temperature / rain charts. Text goes through
+ * t() (js/i18n.js); the server writes suitability reasons in the page language.
+ */
+
+// ---- Constants ----
+const COMPARE_PROXY = '/api/compare'; // forecasts for several districts, fetched in parallel by the backend
+const COMPARE_SELECTION_KEY = 'farmerAid.compareSelection'; // { districts: [...], crop, sowingDate }
+const MIN_DISTRICTS = 2;
+const MAX_DISTRICTS = 8;
+// One line colour per district, in pick order
+const DISTRICT_COLORS = ['#2e7d32', '#1e88e5', '#f9a825', '#c62828', '#6a1b9a', '#00897b', '#ef6c00', '#5d4037'];
+const STATUS_BADGES = { Suitable: 'bg-success', Marginal: 'bg-warning text-dark', Unsuitable: 'bg-danger' };
+
+// ---- State ----
+let selectedDistricts = [];
+let compareTempChart = null;
+let compareRainChart = null;
+let provinceSelect, districtSelect, addDistrictBtn, cropSelect, sowingDateInput, compareBtn, districtChips, compareHint;
+
+// ---- Helpers ----
+
+// Message in the page language; keys are listed in packages/agronomy/src/messages.js
+function t(key, params) {
+    return window.FarmerI18n.t(key, params);
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatShortDate(iso) {
+    return window.FarmerI18n.formatDate(iso);
+}
+
+function loadSelection() {
+    try {
+        return JSON.parse(localStorage.getItem(COMPARE_SELECTION_KEY)) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveSelection() {
+    try {
+        localStorage.setItem(COMPARE_SELECTION_KEY, JSON.stringify({
+            districts: selectedDistricts,
+            crop: cropSelect.value,
+            sowingDate: sowingDateInput.value
+        }));
+    } catch (e) { /* storage may be unavailable */ }
+}
+
+// ---- District picker ----
+
+function fillDistrictOptions() {
+    const districts = window.FarmerAgronomy.PROVINCE_DISTRICTS[provinceSelect.value] || [];
+    districtSelect.innerHTML = '';
+    [...districts].sort().forEach(d => districtSelect.add(new Option(d, d)));
+}
+
+function renderChips() {
+    districtChips.innerHTML = selectedDistricts.map((d, i) => `
+        <span class="district-chip">
+            <span style="color:${DISTRICT_COLORS[i % DISTRICT_COLORS.length]}">●</span> ${escapeHtml(d)}
+            <button type="button" class="btn-close" data-district="${escapeHtml(d)}" aria-label="${escapeHtml(t('compare.removeDistrict', { name: d }))}"></button>
+        </span>
+    `).join('');
+    const remaining = MAX_DISTRICTS - selectedDistricts.length;
+    compareHint.textContent = selectedDistricts.length < MIN_DISTRICTS
+        ? t('compare.pick', { min: MIN_DISTRICTS, max: MAX_DISTRICTS })
+        : t(remaining ? 'compare.selectedMore' : 'compare.selected', { n: selectedDistricts.length, remaining });
+    addDistrictBtn.disabled = remaining <= 0;
+    compareBtn.disabled = selectedDistricts.length < MIN_DISTRICTS;
+}
+
+function addDistrict(name) {
+    if (!name || selectedDistricts.includes(name) || selectedDistricts.length >= MAX_DISTRICTS) return;
+    selectedDistricts.push(name);
+    renderChips();
+    saveSelection();
+}
+
+function removeDistrict(name) {
+    selectedDistricts = selectedDistricts.filter(d => d !== name);
+    renderChips();
+    saveSelection();
+}
+
+// ---- Comparison ----
+
+function showCompareError(message) {
+    const el = document.getElementById('compareError');
+    el.textContent = message;
+    el.style.display = message ? 'block' : 'none';
+}
+
+async function runComparison() {
+    if (selectedDistricts.length < MIN_DISTRICTS) return;
+    const spinner = document.getElementById('compareSpinner');
+    showCompareError('');
+    spinner.style.display = 'block';
+    compareBtn.disabled = true;
+    try {
+        const params = new URLSearchParams({ districts: selectedDistricts.join(','), crop: cropSelect.value, lang: window.FarmerI18n.language });
+        if (sowingDateInput.value) params.set('sowingDate', sowingDateInput.value);
+        const response = await fetch(`${COMPARE_PROXY}?${params}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const details = Array.isArray(data.details) ? data.details.join('; ') : '';
+            throw new Error(details || data.error || t('common.requestFailed', { status: response.status }));
+        }
+        renderComparison(data);
+    } catch (err) {
+        console.error('Comparison failed:', err);
+        document.getElementById('compareResults').style.display = 'none';
+        showCompareError(t('compare.failed', { message: err.message || err }));
+    } finally {
+        spinner.style.display = 'none';
+        compareBtn.disabled = selectedDistricts.length < MIN_DISTRICTS;
+    }
+}
+
+function describeRiskBadges(risks) {
+    if (!risks.length) return `<span class="text-muted">${t('common.none')}</span>`;
+    return risks.map(r => {
+        const cls = r.severity === 'severe' ? 'bg-danger' : 'bg-warning text-dark';
+        return `<span class="badge ${cls} me-1 mb-1" title="${escapeHtml(r.message)}">${escapeHtml(r.label || r.type)} · ${formatShortDate(r.date)}</span>`;
+    }).join('');
+}
+
+/** Renders the /api/compare response: one table row and one chart series per district. */
+function renderComparison(data) {
+    const rows = data.districts;
+    document.getElementById('compareTableBody').innerHTML = rows.map(row => {
+        const name = `<strong>${escapeHtml(row.district)}</strong><div class="small text-muted">${escapeHtml(row.province || '')}</div>`;
+        if (row.error) return `<tr><td>${name}</td><td colspan="4" class="text-muted">${escapeHtml(row.error)}</td></tr>`;
+        const s = row.suitability;
+        const stage = s.stage ? `<div class="small text-muted">${escapeHtml(s.stage)}</div>` : '';
+        return `
+            <tr>
+                <td>${name}</td>
+                <td><span class="badge ${STATUS_BADGES[s.status] || 'bg-secondary'}" title="${escapeHtml(s.reasons.join(' '))}">${escapeHtml(t(`suitability.status.${s.status}`))}</span>${stage}</td>
+                <td>${s.metrics.avgMaxTemp} / ${s.metrics.avgMinTemp}</td>
+                <td>${s.metrics.totalRain5d}</td>
+                <td>${describeRiskBadges(row.risks)}</td>
+            </tr>
+        `;
+    }).join('');
+    document.getElementById('compareResults').style.display = 'block';
+    renderComparisonCharts(rows);
+}
+
+function renderComparisonCharts(rows) {
+    if (!window.Chart) return;
+    // Colours follow the district's position in the request, like the chips
+    const series = rows
+        .map((row, i) => ({ row, color: DISTRICT_COLORS[i % DISTRICT_COLORS.length] }))
+        .filter(s => !s.row.error);
+    if (!series.length) return;
+    const labels = series[0].row.forecast.time.map(formatShortDate);
+
+    if (compareTempChart) compareTempChart.destroy();
+    compareTempChart = new window.Chart(document.getElementById('compareTempChart'), {
+        type: 'line',
+        data: {
+            labels,
+            datasets: series.map(s => ({ label: s.row.district, data: s.row.forecast.temperatureMax, borderColor: s.color, backgroundColor: s.color, tension: 0.2 }))
+        },
+        options: { responsive: true, maintainAspectRatio: false, interaction: { mode: 'index', intersect: false } }
+    });
+
+    if (compareRainChart) compareRainChart.destroy();
+    compareRainChart = new window.Chart(document.getElementById('compareRainChart'), {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: series.map(s => ({ label: s.row.district, data: s.row.forecast.precipitation, backgroundColor: s.color }))
+        },
+        options: { responsive: true, maintainAspectRatio: false, scales: { y: { beginAtZero: true } } }
+    });
+}
+
+// ---- Init ----
+
+document.addEventListener('DOMContentLoaded', () => {
+    provinceSelect = document.getElementById('provinceSelect');
+    districtSelect = document.getElementById('districtSelect');
+    addDistrictBtn = document.getElementById('addDistrictBtn');
+    cropSelect = document.getElementById('compareCropSelect');
+    sowingDateInput = document.getElementById('compareSowingDate');
+    compareBtn = document.getElementById('compareBtn');
+    districtChips = document.getElementById('districtChips');
+    compareHint = document.getElementById('compareHint');
+
+    const copyYear = document.getElementById('copyYear');
+    if (copyYear) copyYear.textContent = new Date().getFullYear();
+
+    Object.keys(window.FarmerAgronomy.PROVINCE_DISTRICTS).forEach(p => provinceSelect.add(new Option(p, p)));
+    fillDistrictOptions();
+
+    const saved = loadSelection();
+    if (saved) {
+        selectedDistricts = (saved.districts || []).filter(d => window.FarmerAgronomy.resolveDistrict(d)).slice(0, MAX_DISTRICTS);
+        if (saved.crop) cropSelect.value = saved.crop;
+        if (saved.sowingDate) sowingDateInput.value = saved.sowingDate;
+    }
+    renderChips();
+
+    provinceSelect.addEventListener('change', fillDistrictOptions);
+    addDistrictBtn.addEventListener('click', () => addDistrict(districtSelect.value));
+    districtChips.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-district]');
+        if (btn) removeDistrict(btn.dataset.district);
+    });
+    cropSelect.addEventListener('change', saveSelection);
+    sowingDateInput.addEventListener('change', saveSelection);
+    compareBtn.addEventListener('click', runComparison);
+});
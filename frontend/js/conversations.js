@@ -0,0 +1,130 @@
+// conversations.js
+// Client for the AI assistant's conversation threads (/api/conversations). The server keeps each
+// thread's messages and a running summary of the older ones, and builds the model's context itself.
+// There are no accounts: this browser is a random id kept in localStorage and sent as X-User-Id.
+// Shared by ai-assistant.html (as an ES module) and the React app (src/services/api.js, src/pages/AIChat.jsx).
+import { streamGemini } from './ai-stream.js';
+
+const USER_ID_KEY = 'farmerAid.userId';
+const CURRENT_KEY = 'farmerAid.conversation'; // id of the thread open last, shared by all pages
+
+function randomId() {
+    if (window.crypto?.randomUUID) return crypto.randomUUID();
+    return `u${Date.now().toString(36)}${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/** This browser's user id, generated on first use. Without storage it lasts as long as the page. */
+export function getUserId() {
+    try {
+        let id = localStorage.getItem(USER_ID_KEY);
+        if (!id) {
+            id = randomId();
+            localStorage.setItem(USER_ID_KEY, id);
+        }
+        return id;
+    } catch (e) {
+        window.farmerAidUserId = window.farmerAidUserId || randomId();
+        return window.farmerAidUserId;
+    }
+}
+
+/** Headers every /api/conversations request needs. */
+export function userHeaders() {
+    return { 'X-User-Id': getUserId() };
+}
+
+export function getCurrentConversationId() {
+    try {
+        return localStorage.getItem(CURRENT_KEY);
+    } catch (e) {
+        return null;
+    }
+}
+
+export function saveCurrentConversationId(id) {
+    try {
+        if (id) localStorage.setItem(CURRENT_KEY, id);
+        else localStorage.removeItem(CURRENT_KEY);
+    } catch (e) { /* storage may be unavailable */ }
+}
+
+// JSON request with the user header; resolves to the parsed body (null for 204), rejects on HTTP errors
+async function request(url, { method = 'GET', json } = {}) {
+    const headers = userHeaders();
+    if (json !== undefined) headers['Content-Type'] = 'application/json';
+    const response = await fetch(url, { method, headers, body: json === undefined ? undefined : JSON.stringify(json) });
+    if (response.status === 204) return null;
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const err = new Error(`API Error (${response.status}): ${body.error || response.statusText}`);
+        err.status = response.status;
+        throw err;
+    }
+    return body;
+}
+
+/**
+ * Lists this browser's threads, most recently used first.
+ * @param {string} [base] - API base, '/api' for the static pages.
+ * @returns {Promise<{ id, title, messageCount, summarizedCount, createdAt, updatedAt }[]>}
+ */
+export async function listConversations(base = '/api') {
+    return (await request(`${base}/conversations`)).conversations || [];
+}
+
+/** One thread: { id, title, summary, summarizedCount, messages: [{ role, text, at }], ... }. */
+export async function getConversation(id, base = '/api') {
+    return (await request(`${base}/conversations/${encodeURIComponent(id)}`)).conversation;
+}
+
+/** Creates a thread; `messages` ([{ role: 'user' | 'model', text, at? }]) imports an existing transcript. */
+export async function createConversation({ title, messages } = {}, base = '/api') {
+    return (await request(`${base}/conversations`, { method: 'POST', json: { title, messages } })).conversation;
+}
+
+export async function renameConversation(id, title, base = '/api') {
+    return (await request(`${base}/conversations/${encodeURIComponent(id)}`, { method: 'PATCH', json: { title } })).conversation;
+}
+
+export async function deleteConversation(id, base = '/api') {
+    await request(`${base}/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+/** Where questions are posted; also the URL to queue in the offline outbox (with userHeaders()). */
+export function messagesUrl(id, base = '/api') {
+    return `${base}/conversations/${encodeURIComponent(id)}/messages`;
+}
+
+/**
+ * Asks a question in a thread and streams the answer (see ai-stream.js); the server saves both.
+ * The assistant may look up forecasts and crop suitability first: onTool(call) reports each lookup.
+ * @param {{ text: string, system?: string, lang?: string }} question - `system` replaces the
+ *   server's default instructions; `lang` is the language of the answer.
+ * The answer may cite passages of the server's knowledge library as [1], [2]...; `sources` lists them.
+ * @returns {Promise<{ text, finishReason, toolCalls, sources, message, conversation }>} `conversation`
+ *   is the thread's updated list entry (its title is set from the first question).
+ */
+export function askInConversation(id, question, { onText, onTool, signal, base = '/api' } = {}) {
+    return streamGemini(messagesUrl(id, base), question, { onText, onTool, signal, headers: userHeaders() });
+}
+
+/**
+ * Label for a tool call the assistant made ({ name, args, status, error? }, from the `tool` event or
+ * a saved message's toolCalls), e.g. "Forecast for Multan…" while it runs. `t` is the page's translator.
+ */
+export function describeToolCall(call, t) {
+    const args = call.args || {};
+    const cropKey = `crop.${String(args.crop || '').toLowerCase()}`;
+    const crop = t(cropKey) === cropKey ? args.crop : t(cropKey);
+    const key = `assistant.tool.${call.name}`;
+    const label = t(key) === key
+        ? t('assistant.tool.other', { name: call.name })
+        : t(key, { district: args.district || '', crop: crop || '', name: args.name || '' });
+    if (call.status === 'running') return t('assistant.toolRunning', { label });
+    return call.status === 'error' ? t('assistant.toolFailed', { label }) : label;
+}
+
+/** Citation line for a source an answer cites ({ n, title, section?, source? }): "[1] Guide — Section (Publisher)". */
+export function describeSource(source) {
+    return `[${source.n}] ${source.title}${source.section ? ` — ${source.section}` : ''}${source.source ? ` (${source.source})` : ''}`;
+}
@@ -0,0 +1,75 @@
+// farms.js
+// Client for saved farm profiles (GET /api/farms) and the farm the user last picked.
+// Shared by weather.html and ai-assistant.html (as ES modules) and the React app. Farms belong to the
+// browser that saved them, so requests carry its X-User-Id (js/conversations.js).
+
+import { userHeaders } from './conversations.js';
+
+const SELECTED_FARM_KEY = 'farmerAid.selectedFarm'; // { farmId, fieldId } shared by all pages
+
+/**
+ * Loads this browser's farm profiles.
+ * @param {string} [base] - API base, '/api' for the static pages.
+ * @returns {Promise<object[]>} Farms ({ id, name, district, fields: [...] }); rejects on HTTP errors.
+ */
+export async function listFarms(base = '/api') {
+    const response = await fetch(`${base}/farms`, { headers: userHeaders() });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Failed to load farms (${response.status})`);
+    return data.farms || [];
+}
+
+/**
+ * Flattens farms into one entry per field for a picker.
+ * @returns {{ value: string, label: string, farm: object, field: object }[]} value is `${farmId}:${fieldId}`.
+ */
+export function farmFieldOptions(farms) {
+    const options = [];
+    (farms || []).forEach((farm) => {
+        (farm.fields || []).forEach((field) => {
+            const crop = field.crop ? ` (${field.crop}${field.variety ? `, ${field.variety}` : ''})` : '';
+            options.push({
+                value: `${farm.id}:${field.id}`,
+                label: farm.fields.length > 1 ? `${farm.name} – ${field.name}${crop}` : `${farm.name}${crop}`,
+                farm,
+                field
+            });
+        });
+    });
+    return options;
+}
+
+export function getSelectedFarm() {
+    try {
+        return JSON.parse(localStorage.getItem(SELECTED_FARM_KEY)) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+export function saveSelectedFarm(selection) {
+    try {
+        if (selection) localStorage.setItem(SELECTED_FARM_KEY, JSON.stringify(selection));
+        else localStorage.removeItem(SELECTED_FARM_KEY);
+    } catch (e) { /* storage may be unavailable */ }
+}
+
+/**
+ * Plain-text farm summary for AI prompts; the selected field (if any) is listed first.
+ */
+export function describeFarm(farm, fieldId = null) {
+    if (!farm) return '';
+    const fields = [...(farm.fields || [])].sort((a, b) => (a.id === fieldId ? -1 : b.id === fieldId ? 1 : 0));
+    const lines = [`Farm: ${farm.name}${farm.district ? `, ${farm.district} district` : ''}`];
+    fields.forEach((f) => {
+        const parts = [
+            `${f.crop}${f.variety ? ` (variety ${f.variety})` : ''}`,
+            `${f.areaAcres} acres`,
+            f.sowingDate ? `sown ${f.sowingDate}` : null,
+            f.irrigationSource ? `irrigation: ${f.irrigationSource}` : null,
+            `location ${Number(f.latitude).toFixed(3)}, ${Number(f.longitude).toFixed(3)}`
+        ].filter(Boolean);
+        lines.push(`- Field "${f.name}"${f.id === fieldId ? ' [selected]' : ''}: ${parts.join('; ')}`);
+    });
+    return lines.join('\n');
+}
@@ -0,0 +1,96 @@
+/**
+ * i18n.js
+ * Language layer for the static pages. The message catalog and the translation helpers live in
+ * packages/agronomy (window.FarmerAgronomy, js/agronomy.js) so the React app and the backend use
+ * the same text; this script picks the language, sets the page direction and translates markup:
+ *   data-i18n="key"             -> element text
+ *   data-i18n-placeholder="key" -> placeholder (also -title, -aria-label)
+ * Load it in <head> right after js/agronomy.js: the direction and the RTL Bootstrap stylesheet are
+ * switched before the page renders, and page scripts can call FarmerI18n.t() from the start.
+ */
+(function () {
+    const LANGUAGE_KEY = 'farmerAid.language'; // shared with the React app (src/i18n.jsx)
+    const RTL_FONT_URL = 'https://fonts.googleapis.com/css2?family=Noto+Nastaliq+Urdu:wght@400;600;700&display=swap';
+    const A = window.FarmerAgronomy;
+
+    function storedLanguage() {
+        try {
+            return localStorage.getItem(LANGUAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    const language = A.normalizeLanguage(storedLanguage());
+    const direction = A.textDirection(language);
+    const locale = A.languageLocale(language);
+
+    function t(key, params) {
+        return A.translate(language, key, params);
+    }
+
+    /** Saves the choice and reloads, so page scripts render everything in the new language. */
+    function setLanguage(lang) {
+        try {
+            localStorage.setItem(LANGUAGE_KEY, A.normalizeLanguage(lang));
+        } catch (e) { /* storage may be unavailable */ }
+        window.location.reload();
+    }
+
+    // Short local date ("Oct 20" / "20 اکتوبر") for an ISO date
+    function formatDate(iso, options = { month: 'short', day: 'numeric' }) {
+        return iso ? new Date(`${iso.length === 10 ? `${iso}T00:00:00` : iso}`).toLocaleDateString(locale, options) : '';
+    }
+
+    // The markup is written in English, so only other languages touch it (keeps nested markup such as the brand's spans)
+    function applyTranslations(root = document) {
+        if (language === A.DEFAULT_LANGUAGE) return;
+        root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+        [['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title'], ['i18nAriaLabel', 'aria-label']].forEach(([data, attr]) => {
+            const selector = `[data-${data.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}]`;
+            root.querySelectorAll(selector).forEach(el => el.setAttribute(attr, t(el.dataset[data])));
+        });
+    }
+
+    // ---- Direction (runs while <head> is parsed) ----
+
+    document.documentElement.lang = language;
+    document.documentElement.dir = direction;
+    if (direction === 'rtl') {
+        document.querySelectorAll('link[rel="stylesheet"][href*="/bootstrap@"]').forEach(link => {
+            link.href = link.href.replace('bootstrap.min.css', 'bootstrap.rtl.min.css');
+        });
+        document.head.insertAdjacentHTML('beforeend', `
+            <link rel="stylesheet" href="${RTL_FONT_URL}" />
+            <style>
+                /* Nastaliq needs more line height; numbers and Latin text fall back to the page font */
+                html[dir="rtl"] body { font-family: 'Noto Nastaliq Urdu', 'Poppins', system-ui, sans-serif; line-height: 2; }
+                html[dir="rtl"] .navbar-nav .nav-link { margin-right: 0; margin-left: 12px; }
+                html[dir="rtl"] input[type="date"], html[dir="rtl"] input[type="number"] { direction: ltr; text-align: right; }
+            </style>`);
+    }
+
+    // ---- Markup and the language switcher ----
+
+    function addLanguageSwitcher() {
+        const nav = document.querySelector('.navbar-nav');
+        if (!nav || document.getElementById('languageSelect')) return;
+        const item = document.createElement('li');
+        item.className = 'nav-item d-flex align-items-center ms-lg-2';
+        const select = document.createElement('select');
+        select.id = 'languageSelect';
+        select.className = 'form-select form-select-sm';
+        select.setAttribute('aria-label', t('nav.language'));
+        Object.values(A.LANGUAGES).forEach(l => select.add(new Option(l.nativeName, l.code, false, l.code === language)));
+        select.addEventListener('change', () => setLanguage(select.value));
+        item.appendChild(select);
+        nav.appendChild(item);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        applyTranslations();
+        addLanguageSwitcher();
+    });
+
+    window.FarmerI18n = { LANGUAGE_KEY, language, direction, locale, t, setLanguage, formatDate, applyTranslations };
+})();
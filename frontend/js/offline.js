@@ -0,0 +1,114 @@
+// offline.js
+// Page side of the service worker (/sw.js): registration, the outbox for requests made while
+// offline (diagnosis uploads, chat messages) and the age of responses served from its cache.
+// Shared by the static pages (as an ES module) and the React app (src/main.jsx, src/pages).
+
+const SW_URL = '/sw.js';
+const SYNC_TAG = 'farmer-aid-outbox'; // must match sw.js
+export const CACHED_AT_HEADER = 'X-SW-Cached-At'; // set by sw.js on responses it stored
+
+/**
+ * Registers the service worker (once per page) and replays the outbox whenever the browser
+ * comes back online. Resolves to the registration, or null where service workers are unavailable.
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+    window.addEventListener('online', () => { flushOutbox(); });
+    return navigator.serviceWorker.register(SW_URL)
+        .then((registration) => {
+            flushOutbox(); // anything left over from an earlier visit
+            return registration;
+        })
+        .catch((err) => {
+            console.warn('Service worker registration failed:', err.message || err);
+            return null;
+        });
+}
+
+// Posts a message to the active service worker and resolves with its reply
+function askWorker(message) {
+    const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (!worker) return Promise.reject(new Error('Offline support is not active on this page yet'));
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => (event.data && event.data.error ? reject(new Error(event.data.error)) : resolve(event.data));
+        worker.postMessage(message, [channel.port2]);
+    });
+}
+
+/** True when requests can be queued (a service worker controls this page). */
+export function canQueue() {
+    return Boolean(navigator.serviceWorker && navigator.serviceWorker.controller);
+}
+
+/**
+ * True for errors that mean "no connection" rather than a server answer: fetch rejects with a
+ * TypeError ("Failed to fetch", "NetworkError ...", "Load failed"), axios with code ERR_NETWORK.
+ */
+export function isOfflineError(err) {
+    if (!navigator.onLine) return true;
+    if (!err) return false;
+    if (err.code === 'ERR_NETWORK') return true;
+    return err.name === 'TypeError' && /fetch|network|load failed/i.test(err.message || '');
+}
+
+/**
+ * Queues a request to be sent when the connection returns.
+ * @param {string} kind - Who picks up the answer, e.g. 'diagnosis' or 'chat' (see onQueuedResults).
+ * @param {string} url - Endpoint, e.g. '/api/diagnose'.
+ * @param {{ method?: string, headers?: object, json?: any, formData?: FormData, meta?: object }} request -
+ *   Either a JSON body or form data (files included); meta is handed back with the result. `headers` are
+ *   the ones the live request sends (e.g. userHeaders()): the outbox replays with exactly these, and no
+ *   x-api-key, so writes queued against a server with FRONTEND_API_KEY set come back as 401 results.
+ * @returns {Promise<{ id: number }>} Rejects when the page has no active service worker.
+ */
+export async function queueRequest(kind, url, { method = 'POST', headers = {}, json, formData, meta = null } = {}) {
+    const entry = { kind, url, method, headers, meta };
+    if (formData) {
+        entry.fields = [...formData.entries()].map(([name, value]) => (
+            value instanceof Blob ? { name, value, filename: value.name || 'upload' } : { name, value }
+        ));
+    } else if (json !== undefined) {
+        entry.json = json;
+    }
+    const queued = await askWorker({ type: 'enqueue', entry });
+
+    // Background Sync sends it even if this page is closed first; elsewhere the 'online' listener does
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) await registration.sync.register(SYNC_TAG).catch(() => {});
+    return queued;
+}
+
+/** Asks the service worker to send queued requests now (no-op without one). */
+export function flushOutbox() {
+    if (!canQueue()) return Promise.resolve(false);
+    return askWorker({ type: 'flush-outbox' }).then(() => true, () => false);
+}
+
+/**
+ * Calls handler(result) for each answered request of `kind`, including answers that arrived while
+ * no page was open. result is { id, kind, ok, status, body, meta, queuedAt, completedAt }, where body
+ * is the parsed JSON answer. Each result is delivered to one page only. Returns an unsubscribe function.
+ */
+export function onQueuedResults(kind, handler) {
+    if (!('serviceWorker' in navigator)) return () => {};
+    const deliver = () => askWorker({ type: 'take-results', kind })
+        .then(({ results }) => results.forEach(handler))
+        .catch(() => {});
+    const listener = (event) => {
+        if (event.data && event.data.type === 'outbox-result' && event.data.kind === kind) deliver();
+    };
+    navigator.serviceWorker.addEventListener('message', listener);
+    navigator.serviceWorker.ready.then(deliver);
+    return () => navigator.serviceWorker.removeEventListener('message', listener);
+}
+
+/**
+ * When a response was served from the service worker's cache, the ISO time it was stored; null for
+ * fresh responses. Accepts fetch Headers or axios response headers.
+ */
+export function cachedAtFrom(headers) {
+    if (!headers) return null;
+    if (typeof headers.get === 'function') return headers.get(CACHED_AT_HEADER) || null;
+    return headers[CACHED_AT_HEADER.toLowerCase()] || null;
+}
@@ -6,69 +6,43 @@
 /* ====== Utilities & Config ====== */
 // Removed Open-Meteo API URLs as weather fetching is no longer needed on this page
 
-// weather code mapping (kept for potential future use or if weather.html references it)
-const weatherCodeMap = {
-    0: "Clear sky",
-    1: "Mainly clear",
-    2: "Partly cloudy",
-    3: "Overcast",
-    45: "Fog",
-    48: "Depositing rime fog",
-    51: "Light drizzle",
-    53: "Moderate drizzle",
-    55: "Dense drizzle",
-    61: "Slight rain",
-    63: "Moderate rain",
-    65: "Heavy rain",
-    71: "Slight snow",
-    73: "Moderate snow",
-    75: "Heavy snow",
-    80: "Rain showers",
-    81: "Moderate showers",
-    82: "Violent showers"
-};
+// Weather code descriptions live in the shared message catalog: FarmerAgronomy.describeWeatherCode(code, lang)
 
 /* ====== Mocked crop rules (kept for potential future use or if weather.html references it) ====== */
+// Disease risk comes from the hourly models in FarmerAgronomy.DISEASE_MODELS (js/agronomy.js), run on
+// leaf-wetness hours, humid hours and rain events; `diseaseModels` names the ones for each crop.
 const cropDatabase = {
     "Wheat": {
         fertilizers: ["Urea (N)", "DAP (P) — if soil low in P", "SOP (K) if K deficient"],
-        diseaseRules: [
-            { when: (t, h) => h > 85 && t >= 20 && t <= 30, warn: "Rust & Blight risk — high humidity favors fungal growth." },
-            { when: (t, h) => t < 5, warn: "Frost risk — protect seedlings." }
-        ]
+        diseaseModels: ["wheatRust"]
     },
     "Rice": {
         fertilizers: ["N-P-K balance; apply basal P & K, split N"],
-        diseaseRules: [{ when: (t, h) => h > 80 && t >= 25, warn: "Blast & Sheath Blight risk." }]
+        diseaseModels: ["riceBlast"]
     },
     "Cotton": {
         fertilizers: ["Nitrogen split-application", "Phosphorus at sowing", "Potassium as needed"],
-        diseaseRules: [{ when: (t, h) => t >= 28 && h > 70, warn: "Bacterial blight & boll rot risk." }]
+        diseaseModels: ["cottonBollRot"]
     },
     "Sugarcane": {
-        fertilizers: ["High N application, P & K based on soil test"],
-        diseaseRules: [{ when: (t, h) => h > 85 && t >= 25, warn: "Fungal diseases like red rot risk." }]
+        fertilizers: ["High N application, P & K based on soil test"]
     },
     "Maize": {
-        fertilizers: ["Starter P; topdress Nitrogen at V6-V8"],
-        diseaseRules: [{ when: (t, h) => t > 30 && h < 40, warn: "Drought stress at silking — yield risk." }]
+        fertilizers: ["Starter P; topdress Nitrogen at V6-V8"]
     },
-    "Barley": { fertilizers: ["Moderate N, apply P if needed"], diseaseRules: [] },
+    "Barley": { fertilizers: ["Moderate N, apply P if needed"] },
     "Pulses": {
-        fertilizers: ["Rhizobia inoculation; modest N if nodulation poor", "P & K as per soil test"],
-        diseaseRules: [{ when: (t, h) => h > 80, warn: "Anthracnose & rust risk." }]
+        fertilizers: ["Rhizobia inoculation; modest N if nodulation poor", "P & K as per soil test"]
     },
     "Oilseeds": {
-        fertilizers: ["Balanced NPK; micronutrients as needed"],
-        diseaseRules: [{ when: (t, h) => h > 80 && t >= 22, warn: "Sclerotinia and fungal problems." }]
+        fertilizers: ["Balanced NPK; micronutrients as needed"]
     },
     "Vegetables": {
         fertilizers: ["Frequent light N applications; P & K as required"],
-        diseaseRules: [{ when: (t, h) => h > 85, warn: "Fungal leaf spots risk — improve ventilation." }]
+        diseaseModels: ["potatoLateBlight"]
     },
     "Fruits": {
-        fertilizers: ["Soil test driven; base P & K, regular N"],
-        diseaseRules: [{ when: (t, h) => h > 80, warn: "Fruit rots & fungal infections risk." }]
+        fertilizers: ["Soil test driven; base P & K, regular N"]
     }
 };
 
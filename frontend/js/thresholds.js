@@ -0,0 +1,169 @@
+// thresholds.js
+// Threshold profiles for the threshold editor on weather.html: export and import of the saved
+// overrides as JSON or CSV, and the tehsil profiles extension officers publish through
+// /api/threshold-profiles, which farmers subscribe to. The document format, its validation and the
+// migration of older versions live in js/agronomy.js (FarmerAgronomy.parseThresholdProfile); weather.js
+// applies the saved overrides first, then the subscribed profile, then the built-in registry.
+
+import { userHeaders } from './conversations.js';
+
+export const THRESHOLD_KEY = 'farmerAid_thresholds_v1'; // saved overrides { 'Punjab::wheat': {...} }, read by weather.js
+// { id, name, district, tehsil, publisher, revision, updatedAt, thresholds, checkedAt, withdrawn? }, read by weather.js
+export const SUBSCRIPTION_KEY = 'farmerAid.thresholdProfile';
+
+function agronomy() {
+    return window.FarmerAgronomy;
+}
+
+function readJson(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function writeJson(key, value) {
+    try {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.error('Failed to save thresholds to storage', e);
+    }
+}
+
+async function request(url, { method = 'GET', json, publisherKey } = {}) {
+    const headers = { ...userHeaders() };
+    if (json) headers['Content-Type'] = 'application/json';
+    if (publisherKey) headers['X-Publisher-Key'] = publisherKey;
+    const response = await fetch(url, { method, headers, body: json ? JSON.stringify(json) : undefined });
+    if (response.status === 204) return {};
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const err = new Error(data.error || `Request failed (${response.status})`);
+        err.status = response.status;
+        err.details = data.details || [];
+        throw err;
+    }
+    return data;
+}
+
+/** The overrides saved through the threshold editor, { 'zone::crop': thresholds }. */
+export function loadSavedThresholds() {
+    return readJson(THRESHOLD_KEY, {}) || {};
+}
+
+/**
+ * The saved overrides as a downloadable profile document.
+ * @param {'json'|'csv'} format
+ * @param {object} [details] - { name, district, tehsil, publisher, notes } written into the file.
+ * @returns {{ filename: string, type: string, text: string, count: number }}
+ */
+export function exportThresholds(format, details = {}) {
+    const thresholds = loadSavedThresholds();
+    const profile = agronomy().createThresholdProfile(thresholds, details);
+    const stamp = profile.updatedAt.slice(0, 10);
+    const count = Object.keys(thresholds).length;
+    if (format === 'csv') {
+        return { filename: `farmer-aid-thresholds-${stamp}.csv`, type: 'text/csv', text: agronomy().thresholdProfileToCsv(profile), count };
+    }
+    return { filename: `farmer-aid-thresholds-${stamp}.json`, type: 'application/json', text: `${JSON.stringify(profile, null, 2)}\n`, count };
+}
+
+/** Saves `text` as a file through a temporary download link. */
+export function downloadText({ filename, type, text }) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Imports a JSON or CSV profile (any version) into the saved overrides. Entries for the same zone and
+ * crop are replaced; others are kept unless `replace` is set. Nothing is saved when the file has issues.
+ * @returns {{ count: number, issues: string[], profile: object|null }}
+ */
+export function importThresholds(text, { replace = false } = {}) {
+    const { profile, issues } = agronomy().parseThresholdProfile(String(text || ''));
+    if (!profile) return { count: 0, issues, profile: null };
+    writeJson(THRESHOLD_KEY, { ...(replace ? {} : loadSavedThresholds()), ...profile.thresholds });
+    return { count: Object.keys(profile.thresholds).length, issues: [], profile };
+}
+
+/**
+ * Published profiles for a district (and tehsil), newest first, without their thresholds; `mine` marks
+ * the ones this browser published.
+ */
+export async function listThresholdProfiles({ district, tehsil } = {}, base = '/api') {
+    const params = new URLSearchParams();
+    if (district) params.set('district', district);
+    if (tehsil) params.set('tehsil', tehsil);
+    return (await request(`${base}/threshold-profiles?${params}`)).profiles || [];
+}
+
+/**
+ * Publishes the saved overrides as the profile for `details.district` / `details.tehsil`. A profile this
+ * browser already published for that tehsil is revised rather than duplicated.
+ * @param {object} details - { district, tehsil, name?, publisher?, notes? }
+ * @param {{ publisherKey: string }} options - the extension office's key (the server's THRESHOLD_PUBLISHER_KEY)
+ * @returns {Promise<object>} The published profile; rejects with `err.details` listing validation issues.
+ */
+export async function publishThresholds(details, { publisherKey, base = '/api' } = {}) {
+    const body = agronomy().createThresholdProfile(loadSavedThresholds(), details);
+    const existing = (await listThresholdProfiles(details, base)).find((p) => p.mine);
+    const data = existing
+        ? await request(`${base}/threshold-profiles/${encodeURIComponent(existing.id)}`, { method: 'PUT', json: body, publisherKey })
+        : await request(`${base}/threshold-profiles`, { method: 'POST', json: body, publisherKey });
+    return data.profile;
+}
+
+/** Withdraws a profile this browser published; subscribers keep their last copy. */
+export async function withdrawThresholdProfile(id, { publisherKey, base = '/api' } = {}) {
+    await request(`${base}/threshold-profiles/${encodeURIComponent(id)}`, { method: 'DELETE', publisherKey });
+}
+
+/** The subscribed tehsil profile as last fetched, or null. */
+export function getSubscription() {
+    return readJson(SUBSCRIPTION_KEY, null);
+}
+
+function saveSubscription(profile) {
+    const { id, name, district, tehsil, publisher, revision, updatedAt, thresholds } = profile;
+    const subscription = { id, name, district, tehsil, publisher, revision, updatedAt, thresholds, checkedAt: new Date().toISOString() };
+    writeJson(SUBSCRIPTION_KEY, subscription);
+    return subscription;
+}
+
+/** Subscribes to a published profile; resolves to the stored subscription. */
+export async function subscribe(id, base = '/api') {
+    const { profile } = await request(`${base}/threshold-profiles/${encodeURIComponent(id)}`);
+    return saveSubscription(profile);
+}
+
+export function unsubscribe() {
+    writeJson(SUBSCRIPTION_KEY, null);
+}
+
+/**
+ * Fetches the subscribed profile again. Resolves to { subscription, updated } (`updated` when the
+ * officer published a new revision), or null without a subscription. A withdrawn profile stays applied
+ * with `withdrawn: true`; network errors reject and leave the stored copy alone.
+ */
+export async function refreshSubscription(base = '/api') {
+    const current = getSubscription();
+    if (!current) return null;
+    try {
+        const { profile } = await request(`${base}/threshold-profiles/${encodeURIComponent(current.id)}`);
+        return { subscription: saveSubscription(profile), updated: profile.revision !== current.revision };
+    } catch (err) {
+        if (err.status !== 404) throw err;
+        const withdrawn = { ...current, withdrawn: true, checkedAt: new Date().toISOString() };
+        writeJson(SUBSCRIPTION_KEY, withdrawn);
+        return { subscription: withdrawn, updated: !current.withdrawn };
+    }
+}
@@ -0,0 +1,179 @@
+// voice.js
+// Voice for the AI assistant: push-to-talk recording (MediaRecorder), transcription through
+// POST /api/transcribe, and reading answers aloud with the browser's speech synthesis.
+// Shared by ai-assistant.html (as an ES module) and the React app (src/pages/AIChat.jsx).
+
+const VOICE_KEY_PREFIX = 'farmerAid.voice.'; // + language: name of the voice picked for it
+const SPEAK_KEY = 'farmerAid.speakAnswers'; // '1' when answers are read aloud
+const MIN_RECORDING_MS = 400; // a tap on the button, not a question
+// Recording formats in order of preference; the first the browser supports is used
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+// Chrome stops long utterances after ~15 s, so answers are spoken a few sentences at a time
+const MAX_UTTERANCE_CHARS = 220;
+
+// ---- Recording ----
+
+export function canRecord() {
+    return Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+}
+
+/**
+ * Starts recording from the microphone (asks for permission the first time).
+ * Resolves to { stop, cancel }: stop() resolves to the recording as a Blob, or null when it was
+ * too short to hold a question; cancel() discards it. Either releases the microphone.
+ */
+export async function startRecording() {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    const startedAt = Date.now();
+    recorder.addEventListener('dataavailable', (e) => { if (e.data.size) chunks.push(e.data); });
+    const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+    recorder.start();
+
+    const finish = async () => {
+        if (recorder.state !== 'inactive') recorder.stop();
+        await stopped;
+        stream.getTracks().forEach(track => track.stop());
+    };
+    return {
+        async stop() {
+            await finish();
+            if (Date.now() - startedAt < MIN_RECORDING_MS || !chunks.length) return null;
+            return new Blob(chunks, { type: recorder.mimeType || chunks[0].type || 'audio/webm' });
+        },
+        cancel() {
+            finish();
+        }
+    };
+}
+
+/**
+ * Sends a recording to the transcription route and resolves to the transcript ('' when no speech
+ * was recognized). `lang` is the page language, a hint for the model. Rejects with an Error on
+ * HTTP errors; a TypeError from fetch means there is no connection.
+ */
+export async function transcribeAudio(audio, { lang, url = '/api/transcribe', headers = {} } = {}) {
+    const form = new FormData();
+    const extension = (audio.type.split('/')[1] || 'webm').split(';')[0];
+    form.append('audio', audio, `question.${extension}`);
+    if (lang) form.append('lang', lang);
+    const response = await fetch(url, { method: 'POST', body: form, headers });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(`API Error (${response.status}): ${body.details || body.error || response.statusText}`);
+    return body.text || '';
+}
+
+// ---- Speech ----
+
+export function canSpeak() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+}
+
+/** The browser's voices; they load asynchronously in Chrome, so this waits briefly for them. */
+export function loadVoices() {
+    if (!canSpeak()) return Promise.resolve([]);
+    const voices = speechSynthesis.getVoices();
+    if (voices.length) return Promise.resolve(voices);
+    return new Promise((resolve) => {
+        const done = () => resolve(speechSynthesis.getVoices());
+        speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+        setTimeout(done, 1500);
+    });
+}
+
+/** Voices that speak `lang` ('ur' matches ur-PK and ur-IN), Pakistani and local voices first. */
+export function voicesFor(voices, lang) {
+    const code = String(lang || 'en').toLowerCase();
+    const tag = v => v.lang.toLowerCase().replace('_', '-'); // Android reports 'ur_PK'
+    const rank = v => (tag(v).endsWith('-pk') ? 0 : 2) + (v.localService ? 0 : 1);
+    return voices
+        .filter(v => tag(v).split('-')[0] === code)
+        .sort((a, b) => rank(a) - rank(b));
+}
+
+/** The voice saved for `lang` if it is still installed, else the best match; null when there is none. */
+export function pickVoice(voices, lang) {
+    const matching = voicesFor(voices, lang);
+    const saved = readSetting(VOICE_KEY_PREFIX + lang);
+    return matching.find(v => v.name === saved) || matching[0] || null;
+}
+
+export function saveVoiceChoice(lang, voiceName) {
+    writeSetting(VOICE_KEY_PREFIX + lang, voiceName || null);
+}
+
+export function speakAnswersEnabled() {
+    return readSetting(SPEAK_KEY) === '1';
+}
+
+export function setSpeakAnswers(enabled) {
+    writeSetting(SPEAK_KEY, enabled ? '1' : null);
+}
+
+/** Markdown answer -> plain text worth hearing (no asterisks, headings, links or code fences). */
+export function toSpeechText(markdown) {
+    return String(markdown || '')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/^\s{0,3}(#{1,6}|[-*+]|\d+\.)\s+/gm, '')
+        .replace(/[*_`~>#|]/g, '')
+        .replace(/[ \t]+/g, ' ')
+        .trim();
+}
+
+// Sentence-sized pieces (Latin and Urdu full stops), merged up to MAX_UTTERANCE_CHARS
+function splitForSpeech(text) {
+    const sentences = text.match(/[^.!?؟۔\n]+[.!?؟۔]*\s*/g) || [text];
+    const pieces = [];
+    sentences.forEach((sentence) => {
+        const last = pieces[pieces.length - 1];
+        if (last && last.length + sentence.length <= MAX_UTTERANCE_CHARS) pieces[pieces.length - 1] = last + sentence;
+        else pieces.push(sentence);
+    });
+    return pieces.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Reads `text` (markdown is stripped) aloud with `voice`, replacing anything being read. `locale`
+ * ('ur-PK') is set on each utterance. Returns false without speaking when there is no voice for the
+ * language: the caller shows the fallback instead of letting another language's voice mangle it.
+ */
+export function speak(text, { voice, locale, onEnd } = {}) {
+    stopSpeaking();
+    if (!canSpeak() || !voice) return false;
+    const pieces = splitForSpeech(toSpeechText(text));
+    pieces.forEach((piece, i) => {
+        const utterance = new SpeechSynthesisUtterance(piece);
+        utterance.voice = voice;
+        utterance.lang = locale || voice.lang;
+        if (onEnd && i === pieces.length - 1) {
+            utterance.addEventListener('end', onEnd);
+            utterance.addEventListener('error', onEnd);
+        }
+        speechSynthesis.speak(utterance);
+    });
+    return true;
+}
+
+export function stopSpeaking() {
+    if (canSpeak()) speechSynthesis.cancel();
+}
+
+// ---- Settings ----
+
+function readSetting(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (e) {
+        return null;
+    }
+}
+
+function writeSetting(key, value) {
+    try {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+    } catch (e) { /* storage may be unavailable */ }
+}
@@ -1,19 +1,30 @@
 /**
  * weather.js
- * Handles fetching weather data from Open-Meteo and
+ * Handles fetching the normalized forecast from the backend weather proxy and
  * displaying it on the weather.html page.
- * Integrates a Generative AI model (via placeholder API key)
- * to provide real-time, dynamic crop fertilization, watering,
- * and pest/disease risk advisories based on weather and crop type.
+ * Asks the AI model (through the backend /api/gemini proxy) for a structured
+ * pest/disease risk advisory, falling back to built-in weather rules when the AI
+ * is unavailable, and shows fertilization, watering and prevention cards.
+ * A saved farm field (picked in weather.html, see js/farms.js) can be loaded
+ * with loadFarmField() instead of searching a city.
+ * Offline, the service worker (sw.js) serves the last forecast for the location;
+ * the page then shows its age and the last AI advisory saved for that location.
+ * Text is looked up with t() in the language picked in the navbar (js/i18n.js);
+ * the AI advisory is requested in that language too.
  */
 
 // ---- Constants ----
 // Backend proxy endpoints
 const GEOCODE_PROXY = '/api/geocode';
 const WEATHER_PROXY = '/api/weather';
+const GEMINI_JSON_PROXY = '/api/gemini/json'; // schema-validated JSON from the AI model
+const GDD_PROXY = '/api/gdd'; // growing degree days / chill since a start date
+const NORMALS_PROXY = '/api/normals'; // daily climate normals and forecast anomalies
+const AI_ADVISORY_TIMEOUT_MS = 25000; // fall back to the built-in rules if the model is slower than this
+const CACHED_AT_HEADER = 'X-SW-Cached-At'; // set by sw.js on API responses served from its cache
 
 // ---- DOM Elements (declared; assigned on DOMContentLoaded to be robust) ----
-let searchBtn, locBtn, refreshBtn, cityInput, cropSelect, zoneSelect, loadingSpinner, errorMessage;
+let searchBtn, locBtn, refreshBtn, cityInput, cropSelect, zoneSelect, sowingDateInput, loadingSpinner, errorMessage;
 let currentWeatherDiv, currentCitySpan, currentWeatherIcon, currentTemperature, currentDescription, currentFeelsLike, currentHumidity, currentWindSpeed, currentSunrise, currentSunset;
 let forecastDiv, forecastGrid;
 let aiAdvisoryDiv, aiAdvisoryContent;
@@ -22,8 +33,38 @@ let copyYear;
 
 // ---- State Variables ----
 let lastQuery = null; // Stores {lat, lon, name} of the last successful location lookup
-let lastWeatherData = null; // Stores the full Open-Meteo response
+let lastWeatherData = null; // Stores the full normalized forecast response
+let lastForecastCachedAt = null; // ISO time the service worker stored the shown forecast; null when fresh
 let currentAdvisoryRisk = 'Low'; // Stores the calculated risk level for AI advisory
+let currentFarmField = null; // { farm, field } while a saved farm field is loaded, else null
+let thermalTimeChart = null; // Chart.js instance for the GDD curve
+const SOWING_DATES_KEY = 'farmerAid.sowingDates'; // { [crop]: 'YYYY-MM-DD' } entered on this page
+const IRRIGATION_SETTINGS_KEY = 'farmerAid.irrigationSettings'; // { soil, method } for the water balance
+const IRRIGATION_LOG_KEY = 'farmerAid.irrigationLog'; // { [farmId:fieldId | crop]: [{ date, depthMm }] }
+const SAVED_ADVISORIES_KEY = 'farmerAid.savedAdvisories'; // { ['lat,lon:crop']: { advisory, savedAt } }, newest last
+const MAX_SAVED_ADVISORIES = 20;
+// Application efficiency of each irrigation method (share of applied water that reaches the root zone)
+const IRRIGATION_METHODS = {
+    flood: { name: 'Flood / basin', efficiency: 0.6 },
+    furrow: { name: 'Furrow', efficiency: 0.7 },
+    drip: { name: 'Drip', efficiency: 0.9 }
+};
+
+// ---- Language (js/i18n.js) ----
+
+// Message in the page language; keys are listed in packages/agronomy/src/messages.js
+function t(key, params) {
+    return window.FarmerI18n.t(key, params);
+}
+
+function pageLanguage() {
+    return window.FarmerI18n.language;
+}
+
+// "گندم" for 'Wheat' in Urdu; English and crops without a translation are shown as selected
+function localCropName(crop) {
+    return window.FarmerAgronomy.cropName(crop, pageLanguage());
+}
 
 // ---- Utility Functions ----
 
@@ -152,14 +193,14 @@ function showLoading(show) {
  */
 function showError(message) {
     errorMessage.style.display = 'block';
-    errorMessage.innerHTML = `<strong>Error:</strong> ${message}`;
+    errorMessage.innerHTML = `<strong>${t('common.error')}</strong> ${message}`;
     // Also hide other content if an error occurs
     [currentWeatherDiv, forecastDiv, aiAdvisoryDiv, cropCareCardsDiv].forEach(el => el.style.display = 'none');
 }
 
 /**
- * Maps Open-Meteo weather codes to Font Awesome icons.
- * @param {number} code - The Open-Meteo weather code.
+ * Maps WMO weather codes (used by the normalized forecast) to Font Awesome icons.
+ * @param {number} code - The WMO weather code.
  * @returns {string} - Font Awesome icon class.
  */
 function mapWeatherCodeToIcon(code) {
@@ -211,42 +252,12 @@ function mapWeatherCodeToIcon(code) {
 }
 
 /**
- * Returns a human-readable description for an Open-Meteo weather code.
- * @param {number} code - The Open-Meteo weather code.
+ * Returns a human-readable description for a WMO weather code in the page language.
+ * @param {number} code - The WMO weather code.
  * @returns {string} - Weather condition description.
  */
-function getWeatherCondition(code) {
-    const map = {
-        0: "Clear sky",
-        1: "Mainly clear",
-        2: "Partly cloudy",
-        3: "Overcast",
-        45: "Fog",
-        48: "Depositing rime fog",
-        51: "Light drizzle",
-        53: "Moderate drizzle",
-        55: "Dense drizzle",
-        56: "Freezing drizzle",
-        57: "Dense freezing drizzle",
-        61: "Light rain",
-        63: "Moderate rain",
-        65: "Heavy rain",
-        66: "Light freezing rain",
-        67: "Heavy freezing rain",
-        71: "Light snow",
-        73: "Moderate snow",
-        75: "Heavy snow",
-        77: "Snow grains",
-        80: "Light rain showers",
-        81: "Moderate rain showers",
-        82: "Violent rain showers",
-        85: "Slight snow showers",
-        86: "Heavy snow showers",
-        95: "Thunderstorm",
-        96: "Thunderstorm with slight hail",
-        99: "Thunderstorm with heavy hail"
-    };
-    return map[Number(code)] || "Unknown";
+function getWeatherCondition(code, lang = pageLanguage()) {
+    return window.FarmerAgronomy.describeWeatherCode(code, lang);
 }
 
 // ---- Geocoding and Weather Fetching ----
@@ -292,12 +303,12 @@ async function geocodeCity(city) {
         let response = await fetch(geocodeUrl);
         let data = await response.json();
         if (!response.ok) {
-            const errMsg = data?.error || data?.message || 'Failed to lookup location.';
+            const errMsg = data?.error || data?.message || t('weather.lookupFailed');
             showError(errMsg);
             return null;
         }
         if (!data.results || data.results.length === 0) {
-            showError('City not found. Please try different spelling or a nearby city.');
+            showError(t('weather.cityNotFound'));
             return null;
         }
         let primary = data.results[0];
@@ -327,51 +338,40 @@ async function geocodeCity(city) {
         return { latitude, longitude, name: locationDisplayName, rawCountry: country };
     } catch (error) {
         console.error('Geocoding API error:', error);
-        showError('Failed to get location coordinates. Please try again later.');
+        showError(t('weather.geocodeFailed'));
         return null;
     }
 }
 
 /**
- * Fetches weather data from Open-Meteo for specified coordinates.
+ * Fetches the normalized forecast for specified coordinates from the backend.
+ * The backend hides which weather provider is in use; field names follow its normalized
+ * schema (daily.temperatureMax, hourly.humidity, current.weatherCode, ...).
  * @param {number} lat - Latitude.
  * @param {number} lon - Longitude.
- * @returns {Promise<object|null>} - A promise that resolves to the weather data or null on error.
+ * @returns {Promise<object|null>} - A promise that resolves to the forecast or null on error.
  */
-async function fetchOpenMeteoData(lat, lon) {
-    // Parameters for daily forecast
-    const dailyParams = [
-        'temperature_2m_max', 'temperature_2m_min', 'weathercode',
-        'relative_humidity_2m_max', 'relative_humidity_2m_min',
-        'sunrise', 'sunset', 'precipitation_sum', 'rain_sum'
-    ].join(',');
-
-    // Parameters for hourly forecast (up to 7 days for AI, but we'll summarize)
-    const hourlyParams = [
-        'temperature_2m', 'relative_humidity_2m', 'rain', 'weathercode',
-        'soil_temperature_0cm', 'et0_fao_evapotranspiration'
-    ].join(',');
-
-    // Construct the full URL
+async function fetchForecast(lat, lon) {
     const url = `${WEATHER_PROXY}?latitude=${lat}&longitude=${lon}`;
 
     try {
         const response = await fetch(url);
         const data = await response.json();
+        lastForecastCachedAt = response.headers.get(CACHED_AT_HEADER);
         if (!response.ok) {
-            const errorMsg = data?.error || data?.message || 'Failed to fetch weather data from server.';
+            const errorMsg = data?.error || data?.message || t('weather.fetchFailed');
             showError(errorMsg);
             return null;
         }
-        if (!data || !data.daily || !data.current_weather || !data.hourly) {
-            const errorMsg = data?.reason || 'Unexpected weather response. Please try again.';
+        if (!data || !data.daily || !data.current || !data.hourly) {
+            const errorMsg = data?.reason || t('weather.unexpectedResponse');
             showError(errorMsg);
             return null;
         }
         return data;
     } catch (error) {
         console.error('Weather API error:', error);
-        showError(`Failed to fetch weather data. Check your internet connection or try again.`);
+        showError(t('weather.connectionFailed'));
         return null;
     }
 }
@@ -387,11 +387,13 @@ async function getWeatherAndAdvisory(lat, lon, locationName) {
     errorMessage.style.display = 'none';
 
     try {
-        const weatherData = await fetchOpenMeteoData(lat, lon);
-        if (!weatherData) return; // Error was already shown by fetchOpenMeteoData
+        const weatherData = await fetchForecast(lat, lon);
+        if (!weatherData) return; // Error was already shown by fetchForecast
 
         lastWeatherData = weatherData; // Store for AI advisory and refresh
         lastQuery = { lat, lon, name: locationName }; // Store for refresh
+        // The alert bell (js/alerts.js, weather.html) subscribes whatever location is shown
+        document.dispatchEvent(new CustomEvent('farmerAid:locationLoaded', { detail: { ...lastQuery } }));
 
         // Determine detected zone and district for UI badges
         try {
@@ -412,8 +414,8 @@ async function getWeatherAndAdvisory(lat, lon, locationName) {
             if (zoneEl) {
                 if (detectedZone) {
                     zoneEl.style.display = 'inline-block';
-                    zoneEl.textContent = detectedZone;
-                    zoneEl.title = `Detected province/zone: ${detectedZone}`;
+                    zoneEl.textContent = t(`zone.${detectedZone}`);
+                    zoneEl.title = t('weather.detectedZone', { zone: t(`zone.${detectedZone}`) });
                     // Punjab-specific styling
                     if (detectedZone === 'Punjab') zoneEl.classList.add('badge-punjab');
                     else zoneEl.classList.remove('badge-punjab');
@@ -427,7 +429,7 @@ async function getWeatherAndAdvisory(lat, lon, locationName) {
                 if (detectedDistrict) {
                     distEl.style.display = 'inline-block';
                     distEl.textContent = detectedDistrict;
-                    distEl.title = `Inferred district: ${detectedDistrict} (from district mapping)`;
+                    distEl.title = t('weather.detectedDistrict', { district: detectedDistrict });
                 } else {
                     distEl.style.display = 'none';
                     distEl.title = '';
@@ -437,8 +439,10 @@ async function getWeatherAndAdvisory(lat, lon, locationName) {
             // ignore UI badge errors
         }
 
-        displayCurrentWeather(weatherData.current_weather, weatherData.daily, locationName);
+        displayCurrentWeather(weatherData.current, weatherData.daily, locationName);
+        renderForecastAge();
         displayForecast(weatherData.daily);
+        loadClimateAnomalies(lat, lon); // not awaited: a cold normals cache pulls decades of archive data
 
         // Evaluate crop suitability for the selected crop and location
         if (cropSelect.value && cropSelect.value !== 'select-crop') {
@@ -454,6 +458,7 @@ async function getWeatherAndAdvisory(lat, lon, locationName) {
         if (cropSelect.value !== 'select-crop') {
             await generateAIAdvisory(weatherData, cropSelect.value, locationName);
             await generateCropCareCards(weatherData, cropSelect.value);
+            await loadThermalTime(lat, lon, cropSelect.value);
         } else {
             aiAdvisoryDiv.style.display = 'none';
             cropCareCardsDiv.style.display = 'none';
@@ -461,33 +466,515 @@ async function getWeatherAndAdvisory(lat, lon, locationName) {
 
     } catch (error) {
         console.error("Overall process failed:", error);
-        showError(`An unexpected error occurred: ${error.message}`);
+        showError(t('weather.unexpectedError', { message: error.message }));
     } finally {
         showLoading(false); // Hide spinner
     }
 }
 
+/**
+ * Selects `crop` in cropSelect (case-insensitive) and syncs the custom select UI without
+ * firing `change`, so no advisory is generated for the previous location.
+ * @returns {boolean} False when the crop is not one of the options.
+ */
+function selectCropOption(crop) {
+    const option = Array.from(cropSelect.options).find(o => o.value.toLowerCase() === String(crop || '').toLowerCase());
+    if (!option) return false;
+    cropSelect.value = option.value;
+    const wrapper = cropSelect.nextElementSibling;
+    if (wrapper && wrapper.classList.contains('custom-select-wrapper')) {
+        const label = wrapper.querySelector('.custom-select-button span');
+        if (label) label.textContent = option.textContent;
+        wrapper.querySelectorAll('.custom-option').forEach(o => o.classList.toggle('active', o.dataset.value === option.value));
+    }
+    return true;
+}
+
+/**
+ * Loads a saved farm field: selects its crop and shows weather and advisories for its coordinates.
+ * @param {object} farm - Farm profile from /api/farms.
+ * @param {object} field - One of farm.fields.
+ */
+async function loadFarmField(farm, field) {
+    currentFarmField = { farm, field };
+    if (!selectCropOption(field.crop)) console.warn(`Crop "${field.crop}" of ${field.name} is not in the crop list`);
+    if (sowingDateInput) sowingDateInput.value = field.sowingDate || '';
+    // The district (when known) keeps zone/district detection working for custom farm names
+    const name = farm.fields.length > 1 ? `${farm.name} – ${field.name}` : farm.name;
+    await getWeatherAndAdvisory(field.latitude, field.longitude, farm.district ? `${name}, ${farm.district}` : name);
+}
+
+/**
+ * Prompt lines about the loaded farm field (variety, sowing date, area, irrigation), or '' when
+ * no farm is loaded or a different crop is selected.
+ */
+function describeFarmFieldForPrompt(crop) {
+    if (!currentFarmField) return '';
+    const { field } = currentFarmField;
+    if (String(field.crop).toLowerCase() !== String(crop).toLowerCase()) return '';
+    const details = [
+        field.variety ? `variety ${field.variety}` : null,
+        field.sowingDate ? `sown on ${field.sowingDate}` : null,
+        field.areaAcres ? `${field.areaAcres} acres` : null,
+        field.irrigationSource ? `irrigated from ${field.irrigationSource}` : null
+    ].filter(Boolean);
+    return details.length ? `Farmer's field: ${details.join(', ')}.` : '';
+}
+
+// ---- Growth stage ----
+
+/** Prompt line with the estimated growth stage, or '' without a sowing date. */
+function describePhenologyForPrompt(weatherData, crop) {
+    const phenology = getCurrentPhenology(weatherData, crop);
+    if (!phenology || !phenology.sown) return '';
+    return `Estimated growth stage: ${describePhenology(phenology)} Tailor the advice to this stage.`;
+}
+
+function loadSowingDates() {
+    try {
+        return JSON.parse(localStorage.getItem(SOWING_DATES_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveSowingDate(crop, date) {
+    try {
+        const dates = loadSowingDates();
+        if (date) dates[String(crop).toLowerCase()] = date;
+        else delete dates[String(crop).toLowerCase()];
+        localStorage.setItem(SOWING_DATES_KEY, JSON.stringify(dates));
+    } catch (e) { /* storage may be unavailable */ }
+}
+
+/** Shows the sowing date last entered for `crop` (or clears the input). */
+function restoreSowingDate(crop) {
+    if (sowingDateInput) sowingDateInput.value = loadSowingDates()[String(crop).toLowerCase()] || '';
+}
+
+/**
+ * Growth stage of `crop` from the sowing date input and the forecast temperatures
+ * (see FarmerAgronomy.estimatePhenology), or null without a sowing date or a phenology model.
+ */
+function getCurrentPhenology(weatherData, crop) {
+    const sowingDate = sowingDateInput ? sowingDateInput.value : '';
+    if (!sowingDate || !weatherData) return null;
+    return window.FarmerAgronomy.estimatePhenology(crop, sowingDate, { daily: weatherData.daily || {} });
+}
+
+function formatShortDate(iso) {
+    return window.FarmerI18n.formatDate(iso);
+}
+
+/** "in 5 days (around Nov 3)", "today" or "3 days ago" for a task/stage date. */
+function describeDaysUntil(daysUntil, iso) {
+    if (daysUntil === null || daysUntil === undefined) return t('when.later');
+    if (daysUntil === 0) return t('when.today');
+    if (daysUntil < 0) return t('when.ago', { n: -daysUntil });
+    return t('when.in', { n: daysUntil, date: formatShortDate(iso) });
+}
+
+/** One-line stage summary, e.g. "Tillering — day 24 after sowing, 594 GDD; next: Jointing in 18 day(s) (around Nov 6)". */
+function describePhenology(phenology) {
+    if (!phenology.sown) return t('phenology.notSown', { date: formatShortDate(phenology.sowingDate) });
+    const next = phenology.nextStage
+        ? t('phenology.next', { stage: phenology.nextStage.name, when: describeDaysUntil(phenology.nextStage.daysUntil, phenology.nextStage.expectedDate) })
+        : '';
+    return t('phenology.summary', { stage: phenology.stage.name, days: phenology.daysAfterSowing, gdd: phenology.gdd, next });
+}
+
+/** Fertilizer task lines (e.g. "Second urea split (with the first irrigation) is due now"). */
+function describePhenologyTasks(phenology) {
+    return phenology.tasks
+        .filter(task => task.status !== 'done')
+        .map(task => task.status === 'due'
+            ? t('task.due', { name: `<strong>${task.name}</strong>`, note: task.note })
+            : t('task.upcoming', { name: task.name, note: task.note, when: describeDaysUntil(task.daysUntil, task.expectedDate) }));
+}
+
+// ---- Thermal time (GDD / chill) ----
+
+/**
+ * Loads growing degree days and chill since the sowing date for the location and renders the
+ * accumulation curve. Hides the section when there is no sowing date; never throws.
+ */
+async function loadThermalTime(lat, lon, crop) {
+    const section = document.getElementById('thermalTimeSection');
+    const summary = document.getElementById('thermalTimeSummary');
+    if (!section || !summary) return;
+    const sowingDate = sowingDateInput ? sowingDateInput.value : '';
+    if (!sowingDate) {
+        section.style.display = 'none';
+        return;
+    }
+
+    section.style.display = 'block';
+    summary.innerHTML = `<div class="spinner-border spinner-border-sm text-success" role="status"><span class="visually-hidden">${t('common.loading')}</span></div>`;
+    try {
+        const params = new URLSearchParams({ lat, lon, crop: String(crop).toLowerCase(), start: sowingDate });
+        const response = await fetch(`${GDD_PROXY}?${params}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const details = Array.isArray(data.details) ? data.details.join('; ') : '';
+            throw new Error(details || data.error || `Request failed (${response.status})`);
+        }
+        renderThermalTime(data, crop);
+    } catch (err) {
+        console.warn('Thermal time unavailable:', err.message || err);
+        summary.innerHTML = `<p class="text-muted">Growing degree days are unavailable: ${escapeHtml(err.message || String(err))}</p>`;
+        document.getElementById('thermalTimeTargets').innerHTML = '';
+        if (thermalTimeChart) { thermalTimeChart.destroy(); thermalTimeChart = null; }
+    }
+}
+
+/** Renders the /api/gdd response: totals, the cumulative GDD curve and projected thresholds. */
+function renderThermalTime(data, crop) {
+    const summary = document.getElementById('thermalTimeSummary');
+    const targetsEl = document.getElementById('thermalTimeTargets');
+    const canvas = document.getElementById('thermalTimeChart');
+    const chillUnit = data.chillModel === 'utah' ? 'chill units' : 'chill hours';
+    const upper = data.upperTemp !== null ? `, capped at ${data.upperTemp}°C` : '';
+
+    summary.innerHTML = `
+        <p><strong>${Math.round(data.totals.gddToDate)} GDD</strong> since ${formatShortDate(data.startDate)} (base ${data.baseTemp}°C${upper}),
+        about <strong>${Math.round(data.totals.gdd)}</strong> by the end of the forecast.
+        ${data.totals.chill > 0 ? `Chill: ${Math.round(data.totals.chill)} ${chillUnit}.` : ''}</p>
+    `;
+
+    const upcoming = (data.targets || []).filter(t => !t.reached);
+    targetsEl.innerHTML = upcoming.length
+        ? `<p class="mb-1"><strong>Projected for ${escapeHtml(crop)}:</strong></p>
+           <ul>${upcoming.slice(0, 5).map(t => `<li>${escapeHtml(t.name)} (${t.value} ${t.kind === 'chill' ? chillUnit : 'GDD'}) — ${t.date ? describeDaysUntil(t.daysUntil, t.date) : 'not within a year'}${t.source === 'climate' ? ' <span class="text-muted">(typical weather)</span>' : ''}</li>`).join('')}</ul>`
+        : '';
+
+    const wrap = document.getElementById('thermalTimeChartWrap');
+    if (!window.Chart || !canvas) {
+        if (wrap) wrap.style.display = 'none';
+        return;
+    }
+    if (wrap) wrap.style.display = '';
+
+    const labels = data.days.map(d => formatShortDate(d.date));
+    // Observed and forecast as two series that meet at the last observed day
+    const lastObserved = data.days.map(d => d.source).lastIndexOf('observed');
+    const observed = data.days.map((d, i) => (i <= lastObserved ? d.gddTotal : null));
+    const forecast = data.days.map((d, i) => (i >= Math.max(lastObserved, 0) && (d.source === 'forecast' || i === lastObserved) ? d.gddTotal : null));
+    const datasets = [
+        { label: 'GDD (observed)', data: observed, borderColor: '#2e7d32', backgroundColor: 'rgba(46,125,50,0.08)', fill: true, pointRadius: 0, tension: 0.2 },
+        { label: 'GDD (forecast)', data: forecast, borderColor: '#2e7d32', borderDash: [6, 4], pointRadius: 0, tension: 0.2 }
+    ];
+    if (data.totals.chill > 0) {
+        datasets.push({ label: chillUnit, data: data.days.map(d => d.chillTotal), borderColor: '#1e88e5', pointRadius: 0, tension: 0.2, yAxisID: 'chill' });
+    }
+
+    if (thermalTimeChart) thermalTimeChart.destroy();
+    thermalTimeChart = new window.Chart(canvas, {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: { legend: { position: 'top' } },
+            scales: {
+                y: { beginAtZero: true, title: { display: true, text: 'Cumulative GDD (°C·days)' } },
+                ...(data.totals.chill > 0 ? { chill: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false } } } : {})
+            }
+        }
+    });
+}
+
+// ---- Climate normals (forecast anomalies) ----
+
+/** "+2.4" / "-1.1" / "±0" for an anomaly, '' when unknown. */
+function formatAnomaly(value) {
+    if (value === null || value === undefined) return '';
+    if (value === 0) return '±0';
+    return value > 0 ? `+${value}` : String(value);
+}
+
+/**
+ * Loads the forecast's anomalies against the daily climate normals for the location and renders
+ * the comparison card. Hides the card when the normals are unavailable; never throws.
+ */
+async function loadClimateAnomalies(lat, lon) {
+    const section = document.getElementById('climateAnomalySection');
+    if (!section) return;
+    try {
+        const response = await fetch(`${NORMALS_PROXY}?${new URLSearchParams({ lat, lon })}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.anomalies) throw new Error(data.error || `Request failed (${response.status})`);
+        // A newer search may have replaced the location while the normals loaded
+        if (lastQuery && (lastQuery.lat !== lat || lastQuery.lon !== lon)) return;
+        renderClimateAnomalies(data);
+        section.style.display = 'block';
+    } catch (err) {
+        console.warn('Climate normals unavailable:', err.message || err);
+        section.style.display = 'none';
+    }
+}
+
+/** Renders the /api/normals response: the forecast-period summary and a per-day table. */
+function renderClimateAnomalies(data) {
+    const { days, summary } = data.anomalies;
+    const period = `${data.period.startYear}–${data.period.endYear}`;
+    const meanAnomaly = [summary.temperatureMaxAnomaly, summary.temperatureMinAnomaly].filter(v => typeof v === 'number');
+    const overall = meanAnomaly.length ? Math.round((meanAnomaly.reduce((a, b) => a + b, 0) / meanAnomaly.length) * 10) / 10 : null;
+    const trend = summary.temperatureTrend === 'near normal' || overall === null
+        ? `Temperatures are <strong>near normal</strong> for the ${period} period`
+        : `The next ${summary.days} days are <strong>${summary.temperatureTrend}</strong> than the ${period} normal (${formatAnomaly(overall)}°C on average)`;
+    const rainPercent = summary.precipitationPercent !== null ? ` (${summary.precipitationPercent}% of normal)` : '';
+    document.getElementById('climateAnomalySummary').innerHTML = `
+        <p>${trend}: days ${formatAnomaly(summary.temperatureMaxAnomaly)}°C, nights ${formatAnomaly(summary.temperatureMinAnomaly)}°C.
+        Rain: ${summary.precipitation} mm forecast vs ${summary.precipitationNormal} mm normal${rainPercent}.</p>
+    `;
+
+    // Red/blue once a day is more than 2°C off normal; rain anomalies stay neutral
+    const tempCell = (value, anomaly) => {
+        if (value === null) return '<td>—</td>';
+        const cls = anomaly >= 2 ? 'text-danger' : anomaly <= -2 ? 'text-primary' : 'text-muted';
+        return `<td>${Math.round(value)} <small class="${cls}">${formatAnomaly(anomaly)}</small></td>`;
+    };
+    document.getElementById('climateAnomalyRows').innerHTML = days.map(d => `
+        <tr>
+            <td>${formatWeekday(d.date)}</td>
+            ${tempCell(d.temperatureMax, d.temperatureMaxAnomaly)}
+            ${tempCell(d.temperatureMin, d.temperatureMinAnomaly)}
+            <td>${d.precipitation ?? '—'} <small class="text-muted">(normal ${d.precipitationNormal ?? '—'})</small></td>
+        </tr>
+    `).join('');
+}
+
+// ---- Disease risk (hourly models) ----
+
+/**
+ * Daily disease risk for `crop` from the hourly forecast (see FarmerAgronomy.assessDiseaseRisk),
+ * keyed to the growth stage when a sowing date is set; null for crops without a disease model.
+ */
+function getDiseaseRisk(weatherData, crop) {
+    if (!weatherData) return null;
+    const phenology = getCurrentPhenology(weatherData, crop);
+    return window.FarmerAgronomy.assessDiseaseRisk(crop, weatherData.hourly || {}, { phenology });
+}
+
+// "Mon, Oct 20" in the page language; the prompts pass 'en-US'
+function formatWeekday(iso, locale = window.FarmerI18n.locale) {
+    return new Date(`${iso}T00:00:00`).toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+/** Prompt lines with each model's daily index and the explanation of its worst day, or ''. */
+function describeDiseaseRiskForPrompt(risk) {
+    if (!risk) return '';
+    const lines = risk.models.map(m => {
+        const days = m.days.map(d => `${formatWeekday(d.date, 'en-US')} ${d.index} (${d.level})`).join(', ');
+        const peak = m.peak ? ` Worst day: ${m.peak.explanation}` : '';
+        return `- ${m.name}: ${days}.${peak}`;
+    });
+    return `**Hourly Disease Model Risk Index** (0-100, from leaf-wetness hours, humid hours and rain events):\n${lines.join('\n')}\nUse these model results for the disease threats.`;
+}
+
+/** Pest card lines: per model, the daily index as coloured badges and the worst day's explanation. */
+function describeDiseaseRiskLines(risk) {
+    const badge = { Low: 'bg-success', Moderate: 'bg-warning text-dark', High: 'bg-danger' };
+    // Model names and advice in the page language; the explanations stay English
+    return window.FarmerAgronomy.localizeDiseaseRisk(risk, pageLanguage()).models.map(m => {
+        const days = m.days
+            .map(d => `<span class="badge ${badge[d.level]} me-1" title="${escapeHtml(d.explanation)}">${formatShortDate(d.date)}: ${d.index}</span>`)
+            .join('');
+        const peak = m.peak && m.peak.level !== 'Low'
+            ? `<div class="small">${t('pest.modelPeak', { level: t(`level.${m.peak.level}`), date: formatWeekday(m.peak.date) })} — ${escapeHtml(m.peak.explanation)} ${escapeHtml(m.advice)}</div>`
+            : '';
+        return `<strong>${t('pest.modelRisk', { name: m.name })}</strong><div>${days}</div>${peak}`;
+    });
+}
+
+// ---- Irrigation scheduling (FAO-56 water balance) ----
+
+function loadIrrigationSettings() {
+    try {
+        return { soil: 'loam', method: 'flood', ...(JSON.parse(localStorage.getItem(IRRIGATION_SETTINGS_KEY)) || {}) };
+    } catch (e) {
+        return { soil: 'loam', method: 'flood' };
+    }
+}
+
+function saveIrrigationSettings(settings) {
+    try {
+        localStorage.setItem(IRRIGATION_SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) { /* storage may be unavailable */ }
+}
+
+/** Shows the saved soil type and irrigation method in the watering card controls. */
+function restoreIrrigationSettings() {
+    const { soil, method } = loadIrrigationSettings();
+    const soilSelect = document.getElementById('soilTypeSelect');
+    const methodSelect = document.getElementById('irrigationMethodSelect');
+    if (soilSelect) soilSelect.value = soil;
+    if (methodSelect) methodSelect.value = method;
+}
+
+// Irrigations are logged per farm field while one is loaded, otherwise per crop
+function irrigationLogKey(crop) {
+    if (currentFarmField && String(currentFarmField.field.crop).toLowerCase() === String(crop).toLowerCase()) {
+        return `${currentFarmField.farm.id}:${currentFarmField.field.id}`;
+    }
+    return String(crop).toLowerCase();
+}
+
+function loadIrrigationLog(crop) {
+    try {
+        return (JSON.parse(localStorage.getItem(IRRIGATION_LOG_KEY)) || {})[irrigationLogKey(crop)] || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveIrrigationLog(crop, entries) {
+    try {
+        const logs = JSON.parse(localStorage.getItem(IRRIGATION_LOG_KEY)) || {};
+        if (entries.length) logs[irrigationLogKey(crop)] = entries;
+        else delete logs[irrigationLogKey(crop)];
+        localStorage.setItem(IRRIGATION_LOG_KEY, JSON.stringify(logs));
+    } catch (e) { /* storage may be unavailable */ }
+}
+
+/** Lists the logged irrigations for `crop` with a remove button each. */
+function renderIrrigationLog(crop) {
+    const list = document.getElementById('irrigationLogList');
+    if (!list) return;
+    const entries = loadIrrigationLog(crop);
+    list.innerHTML = entries.map((e, i) => `
+        <li>${t('irrigationLog.entry', { date: formatShortDate(e.date), mm: e.depthMm })}
+            <button type="button" class="btn btn-link btn-sm p-0 ms-1" data-remove-irrigation="${i}" title="${t('common.remove')}">&times;</button>
+        </li>`).join('');
+}
+
+/**
+ * Irrigation schedule for `crop` from the sowing date, soil/method settings, logged irrigations
+ * and the forecast (see FarmerAgronomy.scheduleIrrigation), or null without a sowing date or
+ * a crop water model.
+ */
+function getIrrigationPlan(weatherData, crop) {
+    const sowingDate = sowingDateInput ? sowingDateInput.value : '';
+    if (!sowingDate || !weatherData) return null;
+    const { soil, method } = loadIrrigationSettings();
+    const field = currentFarmField && String(currentFarmField.field.crop).toLowerCase() === String(crop).toLowerCase()
+        ? currentFarmField.field
+        : null;
+    return window.FarmerAgronomy.scheduleIrrigation(crop, {
+        sowingDate,
+        daily: weatherData.daily || {},
+        hourly: weatherData.hourly || {},
+        soil,
+        efficiency: (IRRIGATION_METHODS[method] || IRRIGATION_METHODS.flood).efficiency,
+        areaAcres: field && field.areaAcres ? field.areaAcres : 1,
+        irrigations: loadIrrigationLog(crop)
+    });
+}
+
+/** Watering card lines for an irrigation plan: root-zone status and the next scheduled irrigations. */
+function describeIrrigationPlan(plan) {
+    if (!plan.sown) return [t('irrigation.notSown', { date: formatShortDate(plan.sowingDate) })];
+    if (!plan.status) return [t('irrigation.ended')];
+    const { status } = plan;
+    const lines = [];
+    const pct = status.taw ? Math.round((status.depletion / status.taw) * 100) : 0;
+    lines.push(`<strong>${t('irrigation.rootZoneLabel', { depth: status.rootDepth })}</strong> ${t('irrigation.rootZone', { used: status.depletion, taw: status.taw, pct, raw: status.raw })}`);
+
+    const area = plan.areaAcres === 1 ? t('irrigation.perAcre') : t('irrigation.forAcres', { n: plan.areaAcres });
+    const describeEntry = (s) => t('irrigation.entry', { net: s.netMm, gross: s.grossMm, inches: s.grossInches, acreInches: s.acreInches, area });
+    const [next, ...later] = plan.schedule;
+    if (!next) {
+        lines.push(`<strong>${t('irrigation.nextLabel')}</strong> ${t('irrigation.noneNeeded')}`);
+    } else if (next.date === plan.today) {
+        const overdue = next.overdueSince ? t('irrigation.overdue', { date: formatShortDate(next.overdueSince) }) : '';
+        lines.push(`<strong>${t('irrigation.nowLabel')}</strong> ${describeEntry(next)}${overdue}.`);
+    } else {
+        const daysUntil = Math.round((Date.parse(next.date) - Date.parse(plan.today)) / 86400000);
+        lines.push(`<strong>${t('irrigation.nextLabel')}</strong> ${describeDaysUntil(daysUntil, next.date)} — ${describeEntry(next)}.`);
+    }
+    if (later.length) {
+        lines.push(t('irrigation.then', { list: later.map(s => `${formatShortDate(s.date)} (${s.grossMm} mm)`).join(', ') }));
+    }
+    if (plan.schedule.some(s => s.source === 'climate')) {
+        lines.push(`<span class="text-muted">${t('irrigation.climate')}</span>`);
+    }
+    return lines;
+}
+
+// ---- Offline data (service worker cache) ----
+
+/** "just now", "25 min ago", "3 h ago", "2 days ago" in the page language. */
+function describeCacheAge(iso) {
+    return window.FarmerAgronomy.describeAge(iso, pageLanguage());
+}
+
+/** Shows how old the forecast is when the service worker answered from its cache. */
+function renderForecastAge() {
+    const badge = document.getElementById('forecastAgeBadge');
+    if (!badge) return;
+    if (!lastForecastCachedAt) {
+        badge.style.display = 'none';
+        return;
+    }
+    const saved = new Date(lastForecastCachedAt);
+    badge.textContent = t('weather.forecastAge', { age: describeCacheAge(lastForecastCachedAt) });
+    badge.title = t('weather.forecastAgeTitle', { date: saved.toLocaleString(window.FarmerI18n.locale) });
+    badge.style.display = 'inline-block';
+}
+
+// One saved advisory per location (rounded like the backend's forecast cache) and crop
+function advisoryKey(crop) {
+    return lastQuery ? `${Number(lastQuery.lat).toFixed(2)},${Number(lastQuery.lon).toFixed(2)}:${crop}` : null;
+}
+
+function loadSavedAdvisories() {
+    try {
+        return JSON.parse(localStorage.getItem(SAVED_ADVISORIES_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function loadSavedAdvisory(crop) {
+    const key = advisoryKey(crop);
+    return key ? loadSavedAdvisories()[key] || null : null;
+}
+
+function saveAdvisory(crop, advisory) {
+    const key = advisoryKey(crop);
+    if (!key) return;
+    try {
+        const saved = loadSavedAdvisories();
+        delete saved[key]; // re-insert so the newest stays last
+        saved[key] = { advisory, savedAt: new Date().toISOString() };
+        const keys = Object.keys(saved);
+        keys.slice(0, Math.max(0, keys.length - MAX_SAVED_ADVISORIES)).forEach(k => delete saved[k]);
+        localStorage.setItem(SAVED_ADVISORIES_KEY, JSON.stringify(saved));
+    } catch (e) { /* storage may be unavailable */ }
+}
+
 // ---- Display Functions ----
 
 /**
  * Displays current weather data.
- * @param {object} current - The current_weather object from Open-Meteo.
- * @param {object} daily - The daily data object from Open-Meteo.
+ * @param {object} current - The `current` object of the normalized forecast.
+ * @param {object} daily - The `daily` object of the normalized forecast.
  * @param {string} locationName - The human-readable location name.
  */
 function displayCurrentWeather(current, daily, locationName) {
     currentCitySpan.textContent = locationName;
     if (current) {
         currentTemperature.textContent = `${Math.round(current.temperature)}°C`;
-        currentDescription.textContent = getWeatherCondition(current.weathercode);
-        // Open-Meteo lacks direct feels_like in current_weather, so use current temperature
+        currentDescription.textContent = getWeatherCondition(current.weatherCode);
+        // The forecast has no feels-like value, so use current temperature
         currentFeelsLike.textContent = `${Math.round(current.temperature)}°C`;
-        currentWindSpeed.textContent = `${current.windspeed} m/s`;
-        currentWeatherIcon.innerHTML = `<i class="${mapWeatherCodeToIcon(current.weathercode)}"></i>`;
+        currentWindSpeed.textContent = `${current.windSpeed} km/h`;
+        currentWeatherIcon.innerHTML = `<i class="${mapWeatherCodeToIcon(current.weatherCode)}"></i>`;
     } else {
         // Fallback if current weather data is somehow missing
         currentTemperature.textContent = 'N/A';
-        currentDescription.textContent = 'Unavailable';
+        currentDescription.textContent = t('weather.unavailable');
         currentFeelsLike.textContent = 'N/A';
         currentWindSpeed.textContent = 'N/A';
         currentWeatherIcon.innerHTML = `<i class="fas fa-question-circle"></i>`;
@@ -502,12 +989,12 @@ function displayCurrentWeather(current, daily, locationName) {
 
         // Check if dates are valid before formatting
         if (!isNaN(sunriseDate.getTime())) {
-            currentSunrise.textContent = sunriseDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            currentSunrise.textContent = sunriseDate.toLocaleTimeString(window.FarmerI18n.locale, { hour: '2-digit', minute: '2-digit' });
         } else {
             currentSunrise.textContent = '—';
         }
         if (!isNaN(sunsetDate.getTime())) {
-            currentSunset.textContent = sunsetDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            currentSunset.textContent = sunsetDate.toLocaleTimeString(window.FarmerI18n.locale, { hour: '2-digit', minute: '2-digit' });
         } else {
             currentSunset.textContent = '—';
         }
@@ -516,9 +1003,9 @@ function displayCurrentWeather(current, daily, locationName) {
         currentSunset.textContent = '—';
     }
 
-    if (daily.relative_humidity_2m_max && daily.relative_humidity_2m_max.length > todayIdx &&
-        daily.relative_humidity_2m_min && daily.relative_humidity_2m_min.length > todayIdx) {
-        currentHumidity.textContent = `${daily.relative_humidity_2m_min[todayIdx]}% - ${daily.relative_humidity_2m_max[todayIdx]}%`;
+    if (daily.humidityMax && daily.humidityMax.length > todayIdx &&
+        daily.humidityMin && daily.humidityMin.length > todayIdx) {
+        currentHumidity.textContent = `${daily.humidityMin[todayIdx]}% - ${daily.humidityMax[todayIdx]}%`;
     } else {
         currentHumidity.textContent = '—';
     }
@@ -535,7 +1022,7 @@ function displayCurrentWeather(current, daily, locationName) {
 
 /**
  * Displays the 5-day weather forecast.
- * @param {object} daily - The daily data object from Open-Meteo.
+ * @param {object} daily - The `daily` object of the normalized forecast.
  */
 function displayForecast(daily) {
     forecastGrid.innerHTML = ''; // Clear previous forecast cards
@@ -543,7 +1030,7 @@ function displayForecast(daily) {
 
     for (let i = 0; i < daysToShow; i++) {
         const dateStr = daily.time[i];
-        // Open-Meteo daily time is YYYY-MM-DD, parsing it as such.
+        // Daily time is YYYY-MM-DD, parsing it as such.
         const dt = new Date(dateStr + 'T00:00:00'); // Append T00:00:00 to ensure consistent parsing
 
         // Check if dt is a valid date
@@ -552,13 +1039,13 @@ function displayForecast(daily) {
             continue; // Skip this day if date is invalid
         }
 
-        const dayName = dt.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-        const tMax = Math.round(daily.temperature_2m_max[i]);
-        const tMin = Math.round(daily.temperature_2m_min[i]);
-        const wCode = daily.weathercode[i];
-        const humMax = daily.relative_humidity_2m_max && daily.relative_humidity_2m_max.length > i ? daily.relative_humidity_2m_max[i] : '—';
-        const humMin = daily.relative_humidity_2m_min && daily.relative_humidity_2m_min.length > i ? daily.relative_humidity_2m_min[i] : '—';
-        const rainSum = daily.precipitation_sum && daily.precipitation_sum.length > i ? daily.precipitation_sum[i] : 0;
+        const dayName = formatWeekday(dateStr);
+        const tMax = Math.round(daily.temperatureMax[i]);
+        const tMin = Math.round(daily.temperatureMin[i]);
+        const wCode = daily.weatherCode[i];
+        const humMax = daily.humidityMax && daily.humidityMax.length > i ? daily.humidityMax[i] : '—';
+        const humMin = daily.humidityMin && daily.humidityMin.length > i ? daily.humidityMin[i] : '—';
+        const rainSum = daily.precipitation && daily.precipitation.length > i ? daily.precipitation[i] : 0;
 
         const card = document.createElement('div');
         card.className = 'forecast-card animate__animated animate__fadeInUp';
@@ -567,8 +1054,8 @@ function displayForecast(daily) {
             <h5>${dayName}</h5>
             <p class="mb-1"><strong>${tMax}°C</strong> / ${tMin}°C</p>
             <p class="text-muted small mb-1">${getWeatherCondition(wCode)}</p>
-            <small>Humidity: ${humMin}% - ${humMax}%</small><br/>
-            <small>${rainSum > 0 ? `Rain: ${rainSum.toFixed(1)} mm` : 'No Rain'}</small>
+            <small>${t('weather.humidity', { min: humMin, max: humMax })}</small><br/>
+            <small>${rainSum > 0 ? t('weather.rain', { mm: rainSum.toFixed(1) }) : t('weather.noRain')}</small>
         `;
         forecastGrid.appendChild(card);
     }
@@ -581,32 +1068,36 @@ function displayForecast(daily) {
     forecastDiv.style.display = 'block';
 }
 
-// ---- AI Advisory & Crop Care Cards (Simulated Generative AI) ----
+// ---- AI Advisory & Crop Care Cards (AI proxy, with a rule-based fallback) ----
 
 /**
- * Generates an AI-driven crop advisory using weather data and crop type.
- * This simulates a call to a Generative AI model like Google Gemini.
- * @param {object} weatherData - The full Open-Meteo weather response.
+ * Builds the crop advisory for the forecast: the prompt goes to the AI proxy (/api/gemini/json) through
+ * requestAIAdvisory. When the model is unavailable the last saved advisory is shown offline, and otherwise
+ * buildRuleBasedAdvisory answers from the disease and stress models.
+ * @param {object} weatherData - The full normalized forecast.
  * @param {string} crop - The selected crop type.
  * @param {string} locationName - The name of the location.
  */
 async function generateAIAdvisory(weatherData, crop, locationName) {
     aiAdvisoryDiv.style.display = 'block';
-    aiAdvisoryContent.innerHTML = '<div class="spinner-border text-success" role="status"><span class="visually-hidden">Loading AI Advisory...</span></div><p class="mt-2 text-muted">Generating crop insights...</p>';
+    aiAdvisoryContent.innerHTML = `<div class="spinner-border text-success" role="status"><span class="visually-hidden">${t('common.loading')}</span></div><p class="mt-2 text-muted">${t('advisory.generating')}</p>`;
 
     // --- Prepare prompt for AI ---
+    // The prompt is always English; requestAIAdvisory asks the model to answer in the page language.
     // Extract key weather parameters for the next 5 days
     const dailyForecast = weatherData.daily;
     const hourlyForecast = weatherData.hourly;
-    const current = weatherData.current_weather;
+    const current = weatherData.current;
 
     let promptContext = `
         You are an AI agricultural expert providing advice to a farmer in ${locationName} for their ${crop} crop.
+        ${describeFarmFieldForPrompt(crop)}
+        ${describePhenologyForPrompt(weatherData, crop)}
         Based on the following 5-day weather forecast, provide a concise, actionable advisory on potential crop risks (pests, diseases, environmental stress) and general protective measures.
         Assume the current date is ${new Date().toLocaleDateString('en-US')}.
 
         **Current Weather:**
-        Temperature: ${current.temperature}°C, Condition: ${getWeatherCondition(current.weathercode)}, Wind: ${current.windspeed} m/s
+        Temperature: ${current.temperature}°C, Condition: ${getWeatherCondition(current.weatherCode, 'en')}, Wind: ${current.windSpeed} km/h
 
         **5-Day Daily Forecast:**
     `;
@@ -616,12 +1107,12 @@ async function generateAIAdvisory(weatherData, crop, locationName) {
     for (let i = 0; i < advisoryDays; i++) {
         const date = new Date(dailyForecast.time[i]);
         const day = date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
-        const tempMax = dailyForecast.temperature_2m_max[i];
-        const tempMin = dailyForecast.temperature_2m_min[i];
-        const humidityMax = dailyForecast.relative_humidity_2m_max[i];
-        const humidityMin = dailyForecast.relative_humidity_2m_min[i];
-        const rain = dailyForecast.precipitation_sum[i] || 0;
-        const weatherDesc = getWeatherCondition(dailyForecast.weathercode[i]);
+        const tempMax = dailyForecast.temperatureMax[i];
+        const tempMin = dailyForecast.temperatureMin[i];
+        const humidityMax = dailyForecast.humidityMax[i];
+        const humidityMin = dailyForecast.humidityMin[i];
+        const rain = dailyForecast.precipitation[i] || 0;
+        const weatherDesc = getWeatherCondition(dailyForecast.weatherCode[i], 'en');
 
         promptContext += `
             ${day}: Max Temp ${tempMax}°C, Min Temp ${tempMin}°C, Humidity ${humidityMin}%-${humidityMax}%, Rain ${rain.toFixed(1)}mm, Condition: ${weatherDesc}.
@@ -633,209 +1124,248 @@ async function generateAIAdvisory(weatherData, crop, locationName) {
     promptContext += "\n**Hourly Forecast Summary (next 48 hours):**\n";
     for (let i = 0; i < Math.min(48, hourlyForecast.time.length); i += 6) { // Summarize every 6 hours
         const hourDate = new Date(hourlyForecast.time[i]);
-        const hourTemp = hourlyForecast.temperature_2m[i];
-        const hourHumidity = hourlyForecast.relative_humidity_2m[i];
+        const hourTemp = hourlyForecast.temperature[i];
+        const hourHumidity = hourlyForecast.humidity[i];
         const hourRain = hourlyForecast.rain[i] || 0;
         promptContext += `  ${hourDate.toLocaleString('en-US', {weekday: 'short', hour: '2-digit', minute:'2-digit'})}: Temp ${hourTemp}°C, Hum ${hourHumidity}%, Rain ${hourRain.toFixed(1)}mm.\n`;
     }
 
+    const diseaseRisk = getDiseaseRisk(weatherData, crop);
+    const diseasePrompt = describeDiseaseRiskForPrompt(diseaseRisk);
+    if (diseasePrompt) promptContext += `\n${diseasePrompt}\n`;
+
     promptContext += `
         Based on this, identify the **overall risk level** (Low, Moderate, High) for pests, diseases, or environmental stress for the ${crop} crop.
-        Then, provide:
-        1. A brief summary of the weather trend.
-        2. Specific potential threats (pests/diseases) with conditions favoring them.
-        3. Actionable preventative recommendations.
-        4. Include a general disclaimer about local conditions.
-        Format the output clearly with headings and bullet points. Indicate the risk level with an appropriate color class (alert-risk-low, alert-risk-moderate, alert-risk-high).
+        Respond ONLY with a JSON object with these keys:
+        - "riskLevel": "Low" | "Moderate" | "High"
+        - "weatherSummary": a brief summary of the weather trend (2-3 sentences)
+        - "threats": specific potential threats (pests/diseases/stress), each naming the conditions that favor it
+        - "recommendations": actionable preventative recommendations
+        Keep every item to one short sentence and avoid brand names or chemical dosages.
     `;
 
+    // Ask the model first; the built-in weather rules are a deterministic fallback when it is unavailable.
+    // Offline, the last AI advisory saved for this location and crop comes before the rules.
+    let advisory = null;
+    let source = 'ai';
+    let savedAt = null;
+    if (navigator.onLine) {
+        try {
+            advisory = await requestAIAdvisory(promptContext);
+            if (advisory) saveAdvisory(crop, advisory);
+        } catch (error) {
+            console.warn('AI advisory unavailable, using built-in rules:', error.message || error);
+        }
+    }
+    if (!advisory && (!navigator.onLine || lastForecastCachedAt)) {
+        const saved = loadSavedAdvisory(crop);
+        if (saved) {
+            advisory = saved.advisory;
+            savedAt = saved.savedAt;
+        }
+    }
+    if (!advisory) {
+        advisory = buildRuleBasedAdvisory(weatherData, crop, diseaseRisk);
+        source = 'rules';
+    }
+
     try {
-        // --- Simulate AI Call (replace with actual Generative AI SDK call) ---
-        // This is where you would integrate with your AI model (e.g., Google's Gemini API).
-        // For this frontend-only demo, we'll provide a hardcoded AI-like response based on some simple rules
-        // derived from the weather data.
-        // A real implementation would involve:
-        // 1. Sending `promptContext` to your Generative AI backend/API.
-        // 2. Receiving a generated text response.
-        // 3. Parsing that response if it's structured, or directly displaying it.
-
-        await new Promise(resolve => setTimeout(resolve, 2500)); // Simulate API call delay
-
-        let generatedAdvisoryText = '';
-        let detectedRisk = 'Low'; // Default
-
-        // Simple rules for simulated AI advisory
-        // Calculate averages/sums for the first 5 days for advisory logic
-        const daysForCalculation = Math.min(5, dailyForecast.time.length);
-        const maxTempAvg = dailyForecast.temperature_2m_max.slice(0, daysForCalculation).reduce((a, b) => a + b, 0) / daysForCalculation;
-        const minTempAvg = dailyForecast.temperature_2m_min.slice(0, daysForCalculation).reduce((a, b) => a + b, 0) / daysForCalculation;
-        const totalRain5Days = dailyForecast.precipitation_sum.slice(0, daysForCalculation).reduce((a, b) => a + b, 0);
-        const avgHumidityMax = dailyForecast.relative_humidity_2m_max.slice(0, daysForCalculation).reduce((a, b) => a + b, 0) / daysForCalculation;
-        const avgHumidityMin = dailyForecast.relative_humidity_2m_min.slice(0, daysForCalculation).reduce((a, b) => a + b, 0) / daysForCalculation;
-        const avgHumidity = (avgHumidityMax + avgHumidityMin) / 2; // Average of min/max humidity
-
-        let threats = [];
-        let recommendations = [];
-        let weatherSummary = `The next five days show average temperatures between ${minTempAvg.toFixed(1)}°C and ${maxTempAvg.toFixed(1)}°C, with total rainfall of ${totalRain5Days.toFixed(1)}mm. Average relative humidity is around ${avgHumidity.toFixed(1)}%.`;
-
-        // Crop-specific simulated logic
-        switch (crop.toLowerCase()) {
-            case 'wheat':
-                if (maxTempAvg > 25 && totalRain5Days > 10 && avgHumidity > 70) {
-                    threats.push('High risk of Wheat Rust (Puccinia spp.) due to warm, humid, and rainy conditions.');
-                    recommendations.push('Monitor for rust symptoms (orange/brown pustules). Consider preventative fungicide application if previous history of rust in your area.');
-                    detectedRisk = 'High';
-                } else if (maxTempAvg > 20 && avgHumidity > 60 && totalRain5Days > 0) {
-                    threats.push('Moderate risk of powdery mildew or general fungal infections.');
-                    recommendations.push('Ensure good air circulation, avoid excessive nitrogen, and scout fields regularly.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                } else if (minTempAvg < 5 && totalRain5Days === 0) {
-                     threats.push('Potential for cold stress, affecting early growth. Low risk of frost if temperatures dip below 0°C.');
-                     recommendations.push('Monitor minimum temperatures closely. Ensure adequate soil moisture to buffer against temperature changes.');
-                     if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                }
-                break;
-            case 'rice':
-                if (maxTempAvg > 30 && totalRain5Days > 20 && avgHumidity > 85) {
-                    threats.push('High risk of Bacterial Blight and Rice Blast. Favorable for rapid spread.');
-                    recommendations.push('Ensure proper drainage, avoid broad-spectrum insecticides (can flare blight), and use resistant varieties.');
-                    detectedRisk = 'High';
-                } else if (minTempAvg > 20 && avgHumidity > 80 && totalRain5Days > 5) {
-                    threats.push('Moderate risk of fungal diseases like sheath blight and blast.');
-                    recommendations.push('Maintain optimal water levels, avoid very dense planting, and scout for early symptoms.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                } else if (minTempAvg < 18 && dailyForecast.time.length > 0 && totalRain5Days > 10) {
-                    threats.push('Risk of cold-related stress or reduced growth, especially if combined with wet conditions.');
-                    recommendations.push('Ensure good water management to prevent prolonged cold water stress. Consider drainage during cold spells.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                }
-                break;
-            case 'sugarcane':
-                if (maxTempAvg > 32 && avgHumidity > 75) {
-                    threats.push('High risk of Red Rot and Top Borer activity due to hot and humid conditions.');
-                    recommendations.push('Inspect stalks for lesions/borer holes. Roguing infected plants is crucial. Maintain field hygiene.');
-                    detectedRisk = 'High';
-                } else if (maxTempAvg > 28 && avgHumidity > 60) {
-                    threats.push('Moderate risk of general pest activity like mealybugs and early Red Rot symptoms.');
-                    recommendations.push('Regular scouting, especially on leaf sheaths. Ensure balanced fertilization for strong plant health.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                } else if (minTempAvg < 15 && totalRain5Days > 0) {
-                    threats.push('Slower growth and potential for ratoon stunting disease to become more prominent under cooler, wet conditions.');
-                    recommendations.push('Avoid waterlogging. Ensure proper drainage to prevent fungal issues associated with cooler soil.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                }
-                break;
-            case 'cotton':
-                if (maxTempAvg > 35 && minTempAvg > 25 && avgHumidity < 60 && totalRain5Days < 5) { // Hot and relatively dry for whiteflies
-                    threats.push('High risk of Whitefly infestation and associated Cotton Leaf Curl Virus (CLCuV).');
-                    recommendations.push('Intensify whitefly monitoring. Consider yellow sticky traps. Use recommended insecticides judiciously and only if threshold is met.');
-                    detectedRisk = 'High';
-                } else if (maxTempAvg > 30 && avgHumidity > 70 && totalRain5Days > 15) { // Warm, humid, rainy for bacterial blight
-                    threats.push('Moderate risk of Bacterial Blight and boll rot if weather persists.');
-                    recommendations.push('Ensure good drainage. Avoid waterlogging. Use copper-based fungicides if blight is detected.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                } else if (minTempAvg < 18) {
-                    threats.push('Cooler night temperatures might slow boll development or contribute to square/boll shedding.');
-                    recommendations.push('Maintain optimal nutrient balance to support plant growth during cooler periods. Ensure adequate soil moisture.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                }
-                break;
-            case 'maize':
-                if (maxTempAvg > 30 && avgHumidity > 70 && totalRain5Days > 10) {
-                    threats.push('High risk of Southern Corn Leaf Blight and Maize Stem Borer. Favorable for fungal growth and insect activity.');
-                    recommendations.push('Scout for leaf lesions and stem damage. Consider appropriate fungicides/insecticides if symptoms or pest counts are high.');
-                    detectedRisk = 'High';
-                } else if (maxTempAvg > 25 && avgHumidity > 60) {
-                    threats.push('Moderate risk of general fungal diseases and armyworms.');
-                    recommendations.push('Maintain good field sanitation. Monitor for early signs of disease or insect damage.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                } else if (minTempAvg < 10) {
-                    threats.push('Cool soil temperatures can hinder early seedling emergence and establishment. Risk of chilling injury.');
-                    recommendations.push('Delay planting until soil temperatures are consistently above 10-12°C. Ensure good seedbed preparation.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                }
-                break;
-            default: // General crop advisory
-                if (totalRain5Days > 25 && avgHumidity > 80 && maxTempAvg > 25) {
-                    threats.push('High risk of general fungal diseases (e.g., blights, mildews) and root rot due to very wet and warm conditions.');
-                    recommendations.push('Improve drainage. Avoid over-irrigation. Apply preventative fungicides if applicable.');
-                    detectedRisk = 'High';
-                } else if (totalRain5Days > 10 && avgHumidity > 70) {
-                    threats.push('Moderate risk of fungal diseases and increased pest activity.');
-                    recommendations.push('Increase field monitoring. Ensure good plant spacing for air circulation.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                } else if (maxTempAvg > 35 && totalRain5Days < 5) {
-                    threats.push('Risk of heat stress and increased water demand. Potential for spider mites in dry conditions.');
-                    recommendations.push('Ensure adequate irrigation. Provide shade if possible for sensitive crops. Monitor for mites.');
-                    if (detectedRisk === 'Low') detectedRisk = 'Moderate';
-                }
-                break;
+        currentAdvisoryRisk = advisory.riskLevel; // Update global state for crop care cards
+        aiAdvisoryContent.innerHTML = renderAdvisory(advisory, crop, locationName, source, savedAt);
+    } catch (error) {
+        console.error('Error generating AI advisory:', error);
+        aiAdvisoryContent.innerHTML = `<p class="text-danger">${t('advisory.failed')}</p>`;
+    }
+}
+
+/**
+ * Sends the advisory prompt to the AI proxy's JSON mode with the `advisory` schema; the server validates
+ * (and if needed repairs) the reply, so the result is { riskLevel, weatherSummary, threats, recommendations }.
+ * The free text comes back in the page language (`lang` on the request).
+ * Throws on network/proxy errors, timeouts, or when the model never produced a valid advisory.
+ */
+async function requestAIAdvisory(promptText) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), AI_ADVISORY_TIMEOUT_MS);
+    try {
+        const response = await fetch(GEMINI_JSON_PROXY, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                schema: 'advisory',
+                systemInstruction: { parts: [{ text: 'You are AgriGuide, an agricultural expert advising farmers in Pakistan. Reply with JSON only.' }] },
+                contents: [{ parts: [{ text: promptText }] }],
+                generationConfig: { temperature: 0.3, maxOutputTokens: 1200 },
+                lang: pageLanguage()
+            }),
+            signal: controller.signal
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok) {
+            const details = Array.isArray(result?.details) ? result.details.join('; ') : result?.details;
+            throw new Error(details || result?.error || `AI proxy returned ${response.status}`);
         }
+        return result.data;
+    } finally {
+        clearTimeout(timer);
+    }
+}
 
-        if (threats.length === 0) {
-            threats.push('No significant pest or disease activity is currently indicated by the weather forecast.');
-            recommendations.push('Continue routine crop management, field monitoring, and good agricultural practices.');
-            weatherSummary = `The weather for the next five days appears largely favorable for your ${crop} crop. ${weatherSummary}`;
-        } else {
-            weatherSummary = `The weather for the next five days presents some challenges for your ${crop} crop. ${weatherSummary}`;
+/**
+ * Deterministic advisory (used when the AI is unavailable): disease threats from the hourly disease
+ * models, plus heat / cold / dry-spell stress from the daily extremes. Returns the same shape as the
+ * AI advisory, in the page language.
+ */
+function buildRuleBasedAdvisory(weatherData, crop, diseaseRisk = getDiseaseRisk(weatherData, crop)) {
+    const dailyForecast = weatherData.daily;
+    const levels = ['Low', 'Moderate', 'High'];
+    let detectedRisk = 'Low'; // Default
+    const raise = (level) => { if (levels.indexOf(level) > levels.indexOf(detectedRisk)) detectedRisk = level; };
+
+    const daysForCalculation = Math.min(5, dailyForecast.time.length);
+    const tMax = dailyForecast.temperatureMax.slice(0, daysForCalculation);
+    const tMin = dailyForecast.temperatureMin.slice(0, daysForCalculation);
+    const rain = dailyForecast.precipitation.slice(0, daysForCalculation).map(r => r || 0);
+    const humidityMin = (dailyForecast.humidityMin || []).slice(0, daysForCalculation);
+    const totalRain5Days = rain.reduce((a, b) => a + b, 0);
+    const hotDays = tMax.filter(v => v >= 38).length;
+    const coldNights = tMin.filter(v => v <= 4).length;
+    const dryHotDays = tMax.filter((v, i) => v >= 35 && rain[i] < 1 && (humidityMin[i] ?? 100) < 40).length;
+
+    let threats = [];
+    let recommendations = [];
+    let weatherSummary = t('rules.summary', { min: Math.min(...tMin).toFixed(1), max: Math.max(...tMax).toFixed(1), rain: totalRain5Days.toFixed(1) });
+
+    // Diseases: hourly leaf-wetness / humidity models for the crop
+    if (diseaseRisk) {
+        const summaries = window.FarmerAgronomy.summarizeHours(window.FarmerAgronomy.toHours(weatherData.hourly || {}));
+        const wetHours = summaries.slice(0, daysForCalculation).reduce((sum, d) => sum + d.wetHours, 0);
+        weatherSummary += t('rules.wetHours', { hours: wetHours });
+        window.FarmerAgronomy.localizeDiseaseRisk(diseaseRisk, pageLanguage()).models.forEach(m => {
+            if (!m.peak || m.peak.level === 'Low') return;
+            threats.push(t('rules.diseaseThreat', { name: m.name, level: t(`levelPhrase.${m.peak.level}`), date: formatWeekday(m.peak.date), explanation: m.peak.explanation }));
+            recommendations.push(m.advice);
+            raise(m.peak.level);
+        });
+    } else {
+        // No crop model: flag long wet spells at mild-to-warm temperatures for fungal diseases in general
+        const spells = window.FarmerAgronomy.findSpells(window.FarmerAgronomy.toHours(weatherData.hourly || {}), h => h.wet)
+            .filter(s => s.meanTemp >= 15 && s.meanTemp <= 30);
+        const longest = spells.reduce((best, s) => (s.hours > best ? s.hours : best), 0);
+        if (longest >= 10) {
+            threats.push(t('rules.fungalHigh', { hours: longest }));
+            recommendations.push(t('rules.fungalHighAdvice'));
+            raise('High');
+        } else if (longest >= 6) {
+            threats.push(t('rules.fungalModerate', { hours: longest }));
+            recommendations.push(t('rules.fungalModerateAdvice'));
+            raise('Moderate');
         }
+    }
 
+    // Environmental stress and insect pests from the daily extremes
+    if (hotDays) {
+        threats.push(t('rules.heat', { days: hotDays }));
+        recommendations.push(t('rules.heatAdvice'));
+        raise(hotDays >= 3 ? 'High' : 'Moderate');
+    }
+    if (coldNights) {
+        threats.push(t('rules.cold', { nights: coldNights }));
+        recommendations.push(t('rules.coldAdvice'));
+        raise('Moderate');
+    }
+    if (crop.toLowerCase() === 'cotton' && dryHotDays >= 3) {
+        threats.push(t('rules.whitefly'));
+        recommendations.push(t('rules.whiteflyAdvice'));
+        raise('High');
+    } else if (dryHotDays >= 3) {
+        threats.push(t('rules.mites'));
+        recommendations.push(t('rules.mitesAdvice'));
+        raise('Moderate');
+    }
 
-        const riskClass = `alert-risk-${detectedRisk.toLowerCase()}`;
-        currentAdvisoryRisk = detectedRisk; // Update global state for crop care cards
-
-        generatedAdvisoryText = `
-            <p>For your <strong>${crop}</strong> crop in <strong>${locationName}</strong>, our AI analysis indicates an
-            <span class="${riskClass}"><strong>${detectedRisk} Risk</strong></span> for potential issues.</p>
-            <p><strong>Weather Trend Summary:</strong> ${weatherSummary}</p>
-            <p><strong>Potential Threats:</strong></p>
-            <ul>
-                ${threats.map(t => `<li>${t}</li>`).join('')}
-            </ul>
-            <p><strong>Preventative Recommendations:</strong></p>
-            <ul>
-                ${recommendations.map(r => `<li>${r}</li>`).join('')}
-                <li>Regularly scout your fields (at least twice a week) for early detection of any symptoms or pest presence.</li>
-                <li>Ensure proper field sanitation by removing weeds and crop residues, which can act as hosts.</li>
-                <li>Consult your local agricultural extension officer for specific, localized advice tailored to your farm.</li>
-            </ul>
-            <p class="small text-muted"><em>Disclaimer: This advisory is based on current weather forecasts and generalized agricultural models. Always cross-reference with actual field observations and local expert guidance.</em></p>
-        `;
+    if (threats.length === 0) {
+        threats.push(t('rules.none'));
+        recommendations.push(t('rules.noneAdvice'));
+        weatherSummary = `${t('rules.favorable', { crop: localCropName(crop) })} ${weatherSummary}`;
+    } else {
+        weatherSummary = `${t('rules.challenging', { crop: localCropName(crop) })} ${weatherSummary}`;
+    }
 
-        aiAdvisoryContent.innerHTML = generatedAdvisoryText;
+    return { riskLevel: detectedRisk, weatherSummary, threats, recommendations };
+}
 
-    } catch (error) {
-        console.error('Error generating AI advisory:', error);
-        aiAdvisoryContent.innerHTML = `<p class="text-danger">Failed to generate crop advisory. Please try again later.</p>`;
+// Minimal HTML escaping for model-generated text
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Builds the advisory markup, labelled with the source that produced it ('ai' or 'rules'); `savedAt`
+ * is set when a saved AI advisory is shown offline.
+ */
+function renderAdvisory(advisory, crop, locationName, source, savedAt = null) {
+    const riskClass = `alert-risk-${advisory.riskLevel.toLowerCase()}`;
+    let sourceBadge = source === 'ai'
+        ? `<span class="badge bg-success mb-2" title="${t('advisory.sourceAiTitle')}">${t('advisory.sourceAi')}</span>`
+        : `<span class="badge bg-secondary mb-2" title="${t('advisory.sourceRulesTitle')}">${t('advisory.sourceRules')}</span>`;
+    if (savedAt) {
+        const savedOn = escapeHtml(new Date(savedAt).toLocaleString(window.FarmerI18n.locale));
+        sourceBadge += ` <span class="badge bg-warning text-dark mb-2" title="${t('advisory.savedTitle', { date: savedOn })}">${t('advisory.saved', { age: describeCacheAge(savedAt) })}</span>`;
     }
+    const risk = `<span class="${riskClass}"><strong>${t('advisory.riskLabel', { level: t(`level.${advisory.riskLevel}`) })}</strong></span>`;
+    const intro = t(source === 'ai' ? 'advisory.introAi' : 'advisory.introRules', {
+        crop: `<strong>${escapeHtml(localCropName(crop))}</strong>`,
+        location: `<strong>${escapeHtml(locationName)}</strong>`,
+        risk
+    });
+
+    return `
+        ${sourceBadge}
+        <p>${intro}</p>
+        <p><strong>${t('advisory.weatherTrend')}</strong> ${escapeHtml(advisory.weatherSummary)}</p>
+        <p><strong>${t('advisory.threats')}</strong></p>
+        <ul>
+            ${advisory.threats.map(threat => `<li>${escapeHtml(threat)}</li>`).join('')}
+        </ul>
+        <p><strong>${t('advisory.recommendations')}</strong></p>
+        <ul>
+            ${advisory.recommendations.map(r => `<li>${escapeHtml(r)}</li>`).join('')}
+            <li>${t('advisory.scout')}</li>
+            <li>${t('advisory.sanitation')}</li>
+            <li>${t('advisory.extension')}</li>
+        </ul>
+        <p class="small text-muted"><em>${t('advisory.disclaimer')}</em></p>
+    `;
 }
 
 /**
  * Generates and displays dynamic content for Fertilizer, Watering, and Pest Prevention cards.
- * Accepts the Open-Meteo `weatherData` object and the selected `crop` string.
+ * Accepts the normalized forecast `weatherData` object and the selected `crop` string.
  */
 async function generateCropCareCards(weatherData, crop) {
     try {
         // Show the cards container and set small loading placeholders
         cropCareCardsDiv.style.display = 'grid';
-        fertilizerAdvisoryContent.innerHTML = '<div class="spinner-border spinner-border-sm text-success" role="status"><span class="visually-hidden">Loading...</span></div>';
-        wateringAdvisoryContent.innerHTML = '<div class="spinner-border spinner-border-sm text-success" role="status"><span class="visually-hidden">Loading...</span></div>';
-        pestPreventionContent.innerHTML = '<div class="spinner-border spinner-border-sm text-success" role="status"><span class="visually-hidden">Loading...</span></div>';
+        const spinner = `<div class="spinner-border spinner-border-sm text-success" role="status"><span class="visually-hidden">${t('common.loading')}</span></div>`;
+        fertilizerAdvisoryContent.innerHTML = spinner;
+        wateringAdvisoryContent.innerHTML = spinner;
+        pestPreventionContent.innerHTML = spinner;
 
         // Safely extract arrays with fallbacks
         const daily = weatherData.daily || {};
         const hourly = weatherData.hourly || {};
-        const dailyMax = daily.temperature_2m_max || [];
-        const dailyMin = daily.temperature_2m_min || [];
-        const precipitation = daily.precipitation_sum || daily.rain_sum || [];
-        const et0Hourly = hourly.et0_fao_evapotranspiration || [];
-        const soilTempHourly = hourly.soil_temperature_0cm || [];
+        const dailyMax = daily.temperatureMax || [];
+        const dailyMin = daily.temperatureMin || [];
+        const precipitation = daily.precipitation || daily.rain || [];
+        const et0Hourly = hourly.et0 || [];
+        const soilTempHourly = hourly.soilTemperature || [];
 
         const forecastDaysCount = Math.min(5, dailyMax.length || 0);
         if (!forecastDaysCount) {
-            fertilizerAdvisoryContent.innerHTML = '<p class="text-muted">Insufficient forecast data to compute recommendations.</p>';
-            wateringAdvisoryContent.innerHTML = '<p class="text-muted">Insufficient forecast data to compute watering schedule.</p>';
-            pestPreventionContent.innerHTML = '<p class="text-muted">Insufficient forecast data to compute pest & disease guidance.</p>';
+            fertilizerAdvisoryContent.innerHTML = `<p class="text-muted">${t('care.insufficientFertilizer')}</p>`;
+            wateringAdvisoryContent.innerHTML = `<p class="text-muted">${t('care.insufficientWatering')}</p>`;
+            pestPreventionContent.innerHTML = `<p class="text-muted">${t('care.insufficientPests')}</p>`;
             return;
         }
 
@@ -865,8 +1395,15 @@ async function generateCropCareCards(weatherData, crop) {
 
         const avgDailyRain = totalRain / forecastDaysCount;
 
+        // Growth stage (needs a sowing date); stage notes replace the season-wide generic ones.
+        // Stage names and notes are shown in the page language.
+        const phenology = window.FarmerAgronomy.localizePhenology(getCurrentPhenology(weatherData, crop), pageLanguage());
+        const stage = phenology && phenology.sown ? phenology.stage : null;
+        const upcoming = phenology ? phenology.nextStage : null;
+        const stageHtml = phenology ? `<p><strong>${t('phenology.growthStage')}</strong> ${describePhenology(phenology)}</p>` : '';
+
         // --- Fertilizer recommendations (concrete guidance per crop) ---
-        const FERT = { N: 'Urea (Nitrogen)', P: 'DAP / SSP (Phosphorus)', K: 'MOP (Potassium)', Zn: 'Zinc Sulfate' };
+        const FERT = { N: t('fert.N'), P: t('fert.P'), K: t('fert.K'), Zn: t('fert.Zn') };
         let fertItems = [];
         const hotDry = (avgMaxTemp > 28 && avgDailyRain < 5);
         const wet = (avgDailyRain > 20);
@@ -874,93 +1411,123 @@ async function generateCropCareCards(weatherData, crop) {
 
         switch ((crop || '').toLowerCase()) {
             case 'sugarcane':
-                fertItems.push(`${FERT.N} — split application: basal + top dress during grand growth.`);
-                fertItems.push(`${FERT.P} — at planting/transplanting for roots.`);
-                fertItems.push(`${FERT.K} — ensure K for stalk strength.`);
-                if (wet) fertItems.push('High rainfall risk: prefer split N or foliar micro-nutrient top-ups after rain.');
-                if (hotDry) fertItems.push('Hot/dry — maintain soil moisture pre-application to improve uptake.');
+                fertItems.push(t('fert.sugarcane.n', FERT));
+                fertItems.push(t('fert.sugarcane.p', FERT));
+                fertItems.push(t('fert.sugarcane.k', FERT));
+                if (wet) fertItems.push(t('fert.sugarcane.wet'));
+                if (hotDry) fertItems.push(t('fert.sugarcane.hotDry'));
                 break;
             case 'wheat':
-                fertItems.push(`${FERT.N} — basal at sowing + top-dressing at tillering/jointing.`);
-                fertItems.push(`${FERT.P} — at sowing if soil P is low.`);
-                fertItems.push(`${FERT.Zn} — consider if soil tests indicate zinc deficiency.`);
-                if (wet) fertItems.push('Delay heavy N applications until soil is workable post-rain.');
-                if (cool) fertItems.push('Cool soils — prefer smaller split N doses.');
+                fertItems.push(t('fert.wheat.n', FERT));
+                fertItems.push(t('fert.wheat.p', FERT));
+                fertItems.push(t('fert.wheat.zn', FERT));
+                if (wet) fertItems.push(t('fert.wheat.wet'));
+                if (cool) fertItems.push(t('fert.wheat.cool'));
                 break;
             case 'rice':
-                fertItems.push(`${FERT.N} — time around tillering and panicle initiation; avoid large N before heavy rain.`);
-                fertItems.push(`${FERT.P} — early application for establishment.`);
-                if (wet) fertItems.push('Heavy rain: consider a small N top-up after rains clear to recover lost N.');
+                fertItems.push(t('fert.rice.n', FERT));
+                fertItems.push(t('fert.rice.p', FERT));
+                if (wet) fertItems.push(t('fert.rice.wet'));
                 break;
             case 'cotton':
-                fertItems.push(`${FERT.N} — split doses; avoid excessive N close to boll opening.`);
-                fertItems.push(`${FERT.P} & ${FERT.K} — ensure adequate P and K early in the season.`);
-                if (hotDry) fertItems.push('Hot/dry forecast: ensure irrigation when applying N to promote uptake.');
+                fertItems.push(t('fert.cotton.n', FERT));
+                fertItems.push(t('fert.cotton.pk', FERT));
+                if (hotDry) fertItems.push(t('fert.cotton.hotDry'));
                 break;
             case 'maize':
-                fertItems.push(`${FERT.N} — large N demand; split planting + sidedress.`);
-                fertItems.push(`${FERT.P} — at planting for early vigor.`);
-                fertItems.push(`${FERT.K} — important for grain fill.`);
-                if (wet) fertItems.push('High rainfall risk: consider split N or slow-release formulations if available.');
+                fertItems.push(t('fert.maize.n', FERT));
+                fertItems.push(t('fert.maize.p', FERT));
+                fertItems.push(t('fert.maize.k', FERT));
+                if (wet) fertItems.push(t('fert.maize.wet'));
                 break;
             default:
-                fertItems.push('Balanced N-P-K program; prefer split N applications to reduce leaching.');
-                if (wet) fertItems.push('Avoid applying large quantities right before heavy rains.');
+                fertItems.push(t('fert.default.npk'));
+                if (wet) fertItems.push(t('fert.default.wet'));
                 break;
         }
 
+        if (phenology) {
+            const stageItems = [];
+            if (stage && stage.care.fertilizer) stageItems.push(`<strong>${stage.name}:</strong> ${stage.care.fertilizer}`);
+            stageItems.push(...describePhenologyTasks(phenology));
+            if (upcoming && upcoming.care.fertilizer) stageItems.push(t('care.comingUp', { stage: upcoming.name, note: upcoming.care.fertilizer }));
+            fertItems = stageItems.concat(fertItems);
+        }
+
         fertilizerAdvisoryContent.innerHTML = `
-            <p><strong>Summary:</strong> Avg Tmax ${avgMaxTemp.toFixed(1)}°C, Avg daily rain ${avgDailyRain.toFixed(1)} mm, Soil temp: ${avgSoilTemp ? avgSoilTemp.toFixed(1) + '°C' : '—'}.</p>
-            <p><strong>Fertilizer recommendations for ${crop}:</strong></p>
+            ${stageHtml}
+            <p><strong>${t('care.summaryLabel')}</strong> ${t('care.summary', { tmax: avgMaxTemp.toFixed(1), rain: avgDailyRain.toFixed(1), soil: avgSoilTemp ? avgSoilTemp.toFixed(1) + '°C' : '—' })}</p>
+            <p><strong>${t('care.fertilizerFor', { crop: escapeHtml(localCropName(crop)) })}</strong></p>
             <ul>${fertItems.map(i => `<li>${i}</li>`).join('')}</ul>
-            <p class="small text-muted"><em>These are general recommendations. Use soil tests for exact rates and local extension advice.</em></p>
+            <p class="small text-muted"><em>${t('care.fertilizerNote')}</em></p>
         `;
 
         // --- Watering schedule ---
         let waterLines = [];
-        waterLines.push(`<strong>Estimated ET₀:</strong> ${avgET0 ? avgET0.toFixed(1) : '—'} mm/day over the next ${forecastDaysCount} days.`);
-        waterLines.push(`<strong>Total forecast rainfall:</strong> ${totalRain.toFixed(1)} mm over ${forecastDaysCount} days.`);
-
-        if (totalRain > (avgET0 * forecastDaysCount * 0.7)) {
-            waterLines.push('Reduced irrigation needed: rainfall likely meets much of crop water need.');
-            waterLines.push('Monitor soil moisture; resume irrigation when soil begins to dry.');
+        waterLines.push(`<strong>${t('water.et0Label')}</strong> ${t('water.et0', { et0: avgET0 ? avgET0.toFixed(1) : '—', days: forecastDaysCount })}`);
+        waterLines.push(`<strong>${t('water.rainLabel')}</strong> ${t('water.rain', { rain: totalRain.toFixed(1), days: forecastDaysCount })}`);
+
+        // With a sowing date the water balance gives dates and depths; otherwise fall back to rain vs ET₀
+        const irrigationPlan = getIrrigationPlan(weatherData, crop);
+        if (irrigationPlan) {
+            waterLines.push(...describeIrrigationPlan(irrigationPlan));
+        } else if (totalRain > (avgET0 * forecastDaysCount * 0.7)) {
+            waterLines.push(t('water.reduced'));
+            waterLines.push(t('water.monitor'));
         } else if (totalRain < (avgET0 * forecastDaysCount * 0.3) && avgMaxTemp > 28) {
-            waterLines.push('Increased irrigation likely required: high evaporative demand with low rainfall.');
-            waterLines.push('Irrigate early morning or late evening; consider efficient systems (drip) where possible.');
+            waterLines.push(t('water.increased'));
+            waterLines.push(t('water.timing'));
         } else {
-            waterLines.push('Regular irrigation recommended based on crop stage and soil moisture checks.');
+            waterLines.push(t('water.regular'));
         }
 
         // Crop-specific watering notes
-        if ((crop || '').toLowerCase() === 'rice') waterLines.push('Maintain appropriate standing water depth for rice paddies based on crop stage.');
-        if ((crop || '').toLowerCase() === 'cotton') waterLines.push('Cotton: avoid water stress during flowering and boll formation.');
-        if ((crop || '').toLowerCase() === 'wheat') waterLines.push('Wheat: ensure moisture during crown root initiation and flowering stages.');
+        if (stage && stage.care.watering) {
+            waterLines.push(`<strong>${stage.name}:</strong> ${stage.care.watering}`);
+            if (upcoming && upcoming.care.watering) waterLines.push(t('care.comingUpWhen', { stage: upcoming.name, when: describeDaysUntil(upcoming.daysUntil, upcoming.expectedDate), note: upcoming.care.watering }));
+        } else {
+            if ((crop || '').toLowerCase() === 'rice') waterLines.push(t('water.rice'));
+            if ((crop || '').toLowerCase() === 'cotton') waterLines.push(t('water.cotton'));
+            if ((crop || '').toLowerCase() === 'wheat') waterLines.push(t('water.wheat'));
+        }
 
         wateringAdvisoryContent.innerHTML = `
             <p>${waterLines.map(l => `<div>${l}</div>`).join('')}</p>
-            <p class="small text-muted"><em>Adjust irrigation using field checks and local guidance.</em></p>
+            <p class="small text-muted"><em>${t('water.note')}</em></p>
         `;
+        renderIrrigationLog(crop);
 
         // --- Pest & Disease Prevention ---
         let pestLines = [];
         if (currentAdvisoryRisk === 'High') {
-            pestLines.push('<strong>High Alert:</strong> Intensify scouting and be prepared for targeted control measures.');
-            pestLines.push('Focus surveillance on known vulnerable crop parts and low-lying wet areas.');
+            pestLines.push(`<strong>${t('pest.highLabel')}</strong> ${t('pest.high')}`);
+            pestLines.push(t('pest.highFocus'));
         } else if (currentAdvisoryRisk === 'Moderate') {
-            pestLines.push('<strong>Moderate Alert:</strong> Increase monitoring frequency and prepare intervention plans.');
+            pestLines.push(`<strong>${t('pest.moderateLabel')}</strong> ${t('pest.moderate')}`);
         } else {
-            pestLines.push('<strong>Low Risk:</strong> Continue routine monitoring and cultural practices.');
+            pestLines.push(`<strong>${t('pest.lowLabel')}</strong> ${t('pest.low')}`);
         }
 
-        if (avgDailyRain > 10 && avgMaxTemp > 25) pestLines.push('Warm, humid conditions elevate fungal disease risk; improve air circulation and avoid dense canopies.');
-        if (avgMaxTemp > 30 && avgDailyRain < 5) pestLines.push('Hot, dry spells can favor insect pests (e.g., whiteflies, mites). Monitor leaf undersides.');
+        const diseaseRisk = getDiseaseRisk(weatherData, crop);
+        if (diseaseRisk) pestLines.push(...describeDiseaseRiskLines(diseaseRisk));
+        else if (avgDailyRain > 10 && avgMaxTemp > 25) pestLines.push(t('pest.fungal'));
+        if (avgMaxTemp > 30 && avgDailyRain < 5) pestLines.push(t('pest.insects'));
 
-        pestLines.push('Integrated Pest Management (IPM): combine cultural, biological, and chemical controls as needed.');
+        if (stage && stage.care.pests) pestLines.push(`<strong>${stage.name}:</strong> ${stage.care.pests}`);
+        if (upcoming && upcoming.care.pests && upcoming.daysUntil !== null && upcoming.daysUntil <= 14) {
+            pestLines.push(t('care.comingUp', { stage: upcoming.name, note: upcoming.care.pests }));
+        }
+        if (phenology) {
+            window.FarmerAgronomy.checkStageWeather(phenology, weatherData.daily || {})
+                .forEach(risk => pestLines.push(`<strong>${t('pest.stageRisk')}</strong> ${window.FarmerAgronomy.describeStageRisk(risk, pageLanguage())}`));
+        }
+
+        pestLines.push(t('pest.ipm'));
 
         pestPreventionContent.innerHTML = `
-            <p><strong>Pest & Disease guidance (based on AI advisory):</strong></p>
+            <p><strong>${t('pest.heading')}</strong></p>
             <ul>${pestLines.map(p => `<li>${p}</li>`).join('')}</ul>
-            <p class="small text-muted"><em>Combine these with local expert advice and field observations.</em></p>
+            <p class="small text-muted"><em>${t('pest.note')}</em></p>
         `;
 
         // Apply entrance/stagger and tilt to crop cards
@@ -972,9 +1539,9 @@ async function generateCropCareCards(weatherData, crop) {
 
     } catch (error) {
         console.error('Error generating crop care cards:', error);
-        fertilizerAdvisoryContent.innerHTML = `<p class="text-danger">Failed to load fertilizer recommendations.</p>`;
-        wateringAdvisoryContent.innerHTML = `<p class="text-danger">Failed to load watering schedule.</p>`;
-        pestPreventionContent.innerHTML = `<p class="text-danger">Failed to load pest & disease prevention tips.</p>`;
+        fertilizerAdvisoryContent.innerHTML = `<p class="text-danger">${t('care.failedFertilizer')}</p>`;
+        wateringAdvisoryContent.innerHTML = `<p class="text-danger">${t('care.failedWatering')}</p>`;
+        pestPreventionContent.innerHTML = `<p class="text-danger">${t('care.failedPests')}</p>`;
     }
 }
 
@@ -985,42 +1552,15 @@ async function generateCropCareCards(weatherData, crop) {
 /**
  * Returns crop-specific threshold guidance. Values are approximate agronomic ranges
  * intended for a quick rule-based suitability check (for Pakistan regions).
+ * The registry lives in the shared agronomy package (js/agronomy.js).
  */
 function getCropThresholds(crop) {
-    const c = (crop || '').toLowerCase();
-    const thresholds = {
-        wheat: { // winter crop
-            idealMax: [15, 25], // °C
-            idealMin: [5, 15],
-            minSoilTemp: 5,
-            minTotalRain5d: 0
-        },
-        rice: { // Kharif, warm wet
-            idealMax: [25, 32],
-            idealMin: [20, 26],
-            minSoilTemp: 18,
-            minTotalRain5d: 20
-        },
-        cotton: {
-            idealMax: [28, 36],
-            idealMin: [18, 26],
-            minSoilTemp: 16,
-            minTotalRain5d: 0
-        },
-        sugarcane: {
-            idealMax: [25, 34],
-            idealMin: [18, 26],
-            minSoilTemp: 18,
-            minTotalRain5d: 10
-        },
-        maize: {
-            idealMax: [20, 30],
-            idealMin: [12, 22],
-            minSoilTemp: 12,
-            minTotalRain5d: 5
-        }
-    };
-    return thresholds[c] || null;
+    return window.FarmerAgronomy.getCropThresholds(crop);
+}
+
+// Suitability reason in the page language (same wording as /api/suitability)
+function suitabilityReason(key, crop, params = {}) {
+    return t(`suitability.reason.${key}`, { crop: localCropName(crop), ...params });
 }
 
 /**
@@ -1033,9 +1573,9 @@ function evaluateCropSuitability(weatherData, crop) {
     const days = Math.min(5, (daily.time || []).length);
     if (days === 0) throw new Error('Insufficient forecast data for suitability evaluation.');
 
-    const maxArr = daily.temperature_2m_max || [];
-    const minArr = daily.temperature_2m_min || [];
-    const rainArr = daily.precipitation_sum || daily.rain_sum || [];
+    const maxArr = daily.temperatureMax || [];
+    const minArr = daily.temperatureMin || [];
+    const rainArr = daily.precipitation || daily.rain || [];
 
     let avgMax = 0, avgMin = 0, totalRain = 0;
     for (let i = 0; i < days; i++) {
@@ -1048,7 +1588,7 @@ function evaluateCropSuitability(weatherData, crop) {
 
     // average soil temp if hourly soil data exists
     let avgSoilTemp = null;
-    const soil = hourly.soil_temperature_0cm || [];
+    const soil = hourly.soilTemperature || [];
     if (soil.length >= days * 24) {
         let sum = 0, count = 0;
         for (let i = 0; i < days * 24; i++) {
@@ -1064,28 +1604,28 @@ function evaluateCropSuitability(weatherData, crop) {
     if (!thr) {
         // Generic: unsuitable if avgMax > 40 or avgMin < -5 or total rain extremely low and very hot
         const reasons = [];
-        if (avgMax > 40) reasons.push('Extreme daytime heat (avg max > 40°C) likely unsuitable.');
-        if (avgMin < -5) reasons.push('Very low night temperatures (avg min < -5°C) likely unsuitable.');
-        if (avgMax > 35 && totalRain5d < 5) reasons.push('Very hot and dry conditions — high water demand and heat stress risk.');
+        if (avgMax > 40) reasons.push(suitabilityReason('extremeHeat', crop));
+        if (avgMin < -5) reasons.push(suitabilityReason('extremeCold', crop));
+        if (avgMax > 35 && totalRain < 5) reasons.push(suitabilityReason('hotDry', crop));
         const status = reasons.length === 0 ? 'Suitable' : reasons.length === 1 ? 'Marginal' : 'Unsuitable';
         return { status, reasons, metrics };
     }
 
     const reasons = [];
     // Check temperature
-    if (avgMax > thr.idealMax[1]) reasons.push(`Average daytime temperature (${avgMax.toFixed(1)}°C) is above the recommended upper bound for ${crop}.`);
-    if (avgMax < thr.idealMax[0]) reasons.push(`Average daytime temperature (${avgMax.toFixed(1)}°C) is below the typical lower expected range for ${crop}.`);
-    if (avgMin > thr.idealMin[1]) reasons.push(`Average night temperature (${avgMin.toFixed(1)}°C) is higher than ideal upper bound for ${crop}.`);
-    if (avgMin < thr.idealMin[0]) reasons.push(`Average night temperature (${avgMin.toFixed(1)}°C) is lower than ideal lower bound for ${crop}.`);
+    if (avgMax > thr.idealMax[1]) reasons.push(suitabilityReason('dayAbove', crop, { value: avgMax.toFixed(1) }));
+    if (avgMax < thr.idealMax[0]) reasons.push(suitabilityReason('dayBelow', crop, { value: avgMax.toFixed(1) }));
+    if (avgMin > thr.idealMin[1]) reasons.push(suitabilityReason('nightAbove', crop, { value: avgMin.toFixed(1) }));
+    if (avgMin < thr.idealMin[0]) reasons.push(suitabilityReason('nightBelow', crop, { value: avgMin.toFixed(1) }));
 
     // Soil temp check
     if (thr.minSoilTemp && avgSoilTemp !== null && avgSoilTemp < thr.minSoilTemp) {
-        reasons.push(`Soil temperature (~${avgSoilTemp.toFixed(1)}°C) is below recommended minimum (${thr.minSoilTemp}°C) for ${crop} establishment.`);
+        reasons.push(suitabilityReason('soilCold', crop, { value: avgSoilTemp.toFixed(1), limit: thr.minSoilTemp }));
     }
 
     // Rainfall/water availability
     if (thr.minTotalRain5d && metrics.totalRain5d < thr.minTotalRain5d) {
-        reasons.push(`Forecast rainfall (${metrics.totalRain5d.toFixed(1)} mm over ${days} days) may be insufficient for ${crop} without irrigation.`);
+        reasons.push(suitabilityReason('lowRain', crop, { value: metrics.totalRain5d.toFixed(1), days }));
     }
 
     // Heuristic: classify
@@ -1106,25 +1646,32 @@ function renderSuitabilityUI(result, crop, locationName) {
     if (!section || !container) return;
     section.style.display = 'block';
 
-    const metricLines = `Avg Max: ${result.metrics.avgMaxTemp.toFixed(1)}°C, Avg Min: ${result.metrics.avgMinTemp.toFixed(1)}°C, Rain(5d): ${result.metrics.totalRain5d.toFixed(1)} mm${result.metrics.avgSoilTemp ? ', Soil: ' + result.metrics.avgSoilTemp.toFixed(1) + '°C' : ''}`;
+    const { metrics } = result;
+    const metricLines = t('suitability.metrics', { max: metrics.avgMaxTemp.toFixed(1), min: metrics.avgMinTemp.toFixed(1), rain: metrics.totalRain5d.toFixed(1) })
+        + (metrics.avgSoilTemp ? t('suitability.soilMetric', { soil: metrics.avgSoilTemp.toFixed(1) }) : '');
 
     let statusHtml = '';
-    const zoneText = result.zone ? ` (${result.zone})` : '';
-    const customBadge = result.isCustom ? `<span class="badge bg-warning text-dark ms-2" title="Custom thresholds active">Custom</span>` : '';
-    if (result.status === 'Suitable') statusHtml = `<div class="alert-risk-low"><strong>Suitable</strong> — conditions look generally favorable for <strong>${crop}</strong> in ${locationName}${zoneText}.</div>${customBadge}`;
+    const zoneText = result.zone ? t('suitability.zone', { zone: t(`zone.${result.zone}`) }) : '';
+    const place = { crop: `<strong>${escapeHtml(localCropName(crop))}</strong>`, location: escapeHtml(locationName), zone: zoneText };
+    const statusLabel = `<strong>${t(`suitability.status.${result.status}`)}</strong>`;
+    let customBadge = result.isCustom ? `<span class="badge bg-warning text-dark ms-2" title="${t('suitability.customTitle')}">${t('suitability.custom')}</span>` : '';
+    if (result.profileName) customBadge = `<span class="badge bg-info text-dark ms-2" title="${t('suitability.profileTitle')}">${t('suitability.profile', { name: escapeHtml(result.profileName) })}</span>`;
+    if (result.status === 'Suitable') statusHtml = `<div class="alert-risk-low">${statusLabel} ${t('suitability.suitableText', place)}</div>${customBadge}`;
     else if (result.status === 'Marginal') {
         const cls = result.zone === 'Punjab' ? 'punjab-alert-moderate' : 'alert-risk-moderate';
-        statusHtml = `<div class="${cls}"><strong>Marginal</strong> — some conditions may limit <strong>${crop}</strong> production in ${locationName}${zoneText}. See reasons below.</div>${customBadge}`;
+        statusHtml = `<div class="${cls}">${statusLabel} ${t('suitability.marginalText', place)}</div>${customBadge}`;
     } else {
         const cls = result.zone === 'Punjab' ? 'punjab-alert-high' : 'alert-risk-high';
-        statusHtml = `<div class="${cls}"><strong>Unsuitable</strong> — weather/soil indicated is likely to limit successful <strong>${crop}</strong> production in ${locationName}${zoneText}.</div>${customBadge}`;
+        statusHtml = `<div class="${cls}">${statusLabel} ${t('suitability.unsuitableText', place)}</div>${customBadge}`;
     }
 
+    const forecastDays = Math.min(5, (lastWeatherData && lastWeatherData.daily && lastWeatherData.daily.time) ? lastWeatherData.daily.time.length : 5);
     container.innerHTML = `
         ${statusHtml}
-        <p><strong>Key metrics:</strong> ${metricLines}</p>
-        ${result.reasons && result.reasons.length ? `<p><strong>Reasons / concerns:</strong></p><ul>${result.reasons.map(r => `<li>${r}</li>`).join('')}</ul>` : `<p>No major concerns detected for the next ${Math.min(5, (lastWeatherData && lastWeatherData.daily && lastWeatherData.daily.time) ? lastWeatherData.daily.time.length : 5)} days.</p>`}
-        <p class="small text-muted"><em>These assessments are rule-based and approximate. For farm-level decisions, consult local extension services and use soil tests.</em></p>
+        <p><strong>${t('suitability.keyMetrics')}</strong> ${metricLines}</p>
+        ${result.phenology ? `<p><strong>${t('phenology.growthStage')}</strong> ${describePhenology(result.phenology)}</p>` : ''}
+        ${result.reasons && result.reasons.length ? `<p><strong>${t('suitability.reasons')}</strong></p><ul>${result.reasons.map(r => `<li>${r}</li>`).join('')}</ul>` : `<p>${t('suitability.noConcerns', { days: forecastDays })}</p>`}
+        <p class="small text-muted"><em>${t('suitability.note')}</em></p>
     `;
 
     // Prepend alert to AI advisory if Unsuitable or Marginal
@@ -1135,7 +1682,7 @@ function renderSuitabilityUI(result, crop, locationName) {
             const bannerCls = (result.zone === 'Punjab') ? (result.status === 'Unsuitable' ? 'punjab-alert-high' : 'punjab-alert-moderate') : (result.status === 'Unsuitable' ? 'alert-risk-high' : 'alert-risk-moderate');
             banner.className = bannerCls;
             banner.style.marginBottom = '10px';
-            banner.innerHTML = `<strong>Suitability Alert:</strong> ${result.status} for ${crop} at ${locationName}${result.zone ? ' (' + result.zone + ')' : ''}.`;
+            banner.innerHTML = `<strong>${t('suitability.alertLabel')}</strong> ${t('suitability.alert', { status: t(`suitability.status.${result.status}`), crop: escapeHtml(localCropName(crop)), location: escapeHtml(locationName), zone: zoneText })}`;
             // Remove previous top-banner if exists
             const existing = advisory.querySelector('.suitability-alert-banner');
             if (existing) existing.remove();
@@ -1148,7 +1695,7 @@ if (searchBtn) {
     searchBtn.addEventListener('click', async () => {
         const city = cityInput && cityInput.value ? cityInput.value.trim() : '';
         if (!city) {
-            showError('Please enter a city name.');
+            showError(t('weather.enterCity'));
             return;
         }
         showLoading(true);
@@ -1164,17 +1711,17 @@ if (searchBtn) {
 if (locBtn) {
     locBtn.addEventListener('click', () => {
         if (!navigator.geolocation) {
-            showError('Geolocation is not supported by your browser.');
+            showError(t('weather.noGeolocation'));
             return;
         }
         showLoading(true);
         // visual pulse while locating
         try { toggleLocPulse(true); } catch (e) {}
         navigator.geolocation.getCurrentPosition(async (pos) => {
-            try { await getWeatherAndAdvisory(pos.coords.latitude, pos.coords.longitude, 'Your Location'); } finally { try { toggleLocPulse(false); } catch (e) {} }
+            try { await getWeatherAndAdvisory(pos.coords.latitude, pos.coords.longitude, t('weather.yourLocation')); } finally { try { toggleLocPulse(false); } catch (e) {} }
         }, (err) => {
             console.error('Geolocation error', err);
-            showError('Unable to retrieve your location. Please search by city.');
+            showError(t('weather.locationFailed'));
             try { toggleLocPulse(false); } catch (e) {}
             showLoading(false);
         }, { timeout: 12000 });
@@ -1184,7 +1731,7 @@ if (locBtn) {
 if (refreshBtn) {
     refreshBtn.addEventListener('click', async () => {
         if (!lastQuery) {
-            showError('No previous location to refresh.');
+            showError(t('weather.noPreviousLocation'));
             return;
         }
         await getWeatherAndAdvisory(lastQuery.lat, lastQuery.lon, lastQuery.name);
@@ -1206,6 +1753,16 @@ if (cropSelect) {
     });
 }
 
+// Imported thresholds or a new tehsil profile revision (js/thresholds.js): re-check the shown forecast
+document.addEventListener('farmerAid:thresholdsChanged', () => {
+    if (!lastWeatherData || !lastQuery || !cropSelect) return;
+    try {
+        renderSuitabilityUI(evaluateCropSuitability(lastWeatherData, cropSelect.value), cropSelect.value, lastQuery.name);
+    } catch (err) {
+        console.error('Suitability evaluation after a threshold change failed:', err);
+    }
+});
+
 if (cityInput) {
     cityInput.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
@@ -1220,55 +1777,18 @@ if (cityInput) {
  * This is approximate and intended only for defaults; users can override via UI.
  */
 function detectZoneFromCoords(lat, lon) {
-    // Simple bounding checks (approximate)
-    // Punjab roughly: lat 27.5-33.5, lon 69.5-75.5
-    if (lat >= 27.5 && lat <= 33.5 && lon >= 69.5 && lon <= 75.5) return 'Punjab';
-    // Sindh roughly: lat 23.5-28.0, lon 67.0-71.5
-    if (lat >= 23.5 && lat <= 28.0 && lon >= 67.0 && lon <= 71.5) return 'Sindh';
-    // KPK roughly: lat 31.0-36.5, lon 69.0-74.5
-    if (lat >= 31.0 && lat <= 36.5 && lon >= 69.0 && lon <= 74.5) return 'KPK';
-    // Balochistan roughly: lat 24.0-30.5, lon 61.0-70.5
-    if (lat >= 24.0 && lat <= 30.5 && lon >= 61.0 && lon <= 70.5) return 'Balochistan';
-    // Gilgit-Baltistan / North: lat > 35
-    if (lat > 35) return 'Gilgit';
-    return 'Punjab'; // default fallback
+    return window.FarmerAgronomy.detectZoneFromCoords(lat, lon);
 }
 
 /**
- * Detect zone from a location name (city/admin) using known city lists.
+ * Detect zone from a location name (city/admin) using the district map and known town lists.
  */
 function detectZoneFromName(name) {
-    if (!name || typeof name !== 'string') return null;
-    const n = name.toLowerCase();
-    // Prefer district map if available
-    if (window.getZoneFromDistrictMap) {
-        const mapped = window.getZoneFromDistrictMap(n);
-        if (mapped) {
-            // If the raw name contains 'india' or 'uttar pradesh' but the district map maps to a Pakistan province,
-            // prefer the district map (handles ambiguous place names like 'Sanawan').
-            return mapped;
-        }
-    }
-    const punjabCities = [
-        'lahore','faisalabad','rawalpindi','gujranwala','sialkot','sargodha','multan','bahawalpur','dera ghazi khan','dg khan','dgkhan',
-        'muzaffargarh','muzaffar garh','muzaffar', 'muzaffargar', 'rahim yar khan','ry khan','rahim yar', 'kasur','sheikhupura','okara','sahiwal',
-        'pakpattan','toba tek singh','toba','jhang','chiniot','hafizabad','gujrat','mandi bahauddin','narowal','khushab','bhakkar','mianwali',
-        'bahawalnagar','lodhran','vehari','daska','kot addu','kot-addu','kot addu','sanawan','sangla hill','nankana','nankana sahib','chiaot',
-        'pakpattan','chishtian','shujabad','jalalpur peerzaman','dera','dera sahib'
-    ];
-    for (const c of punjabCities) {
-        if (n.includes(c)) return 'Punjab';
-    }
-    // fallback: check province names
-    if (n.includes('punjab')) return 'Punjab';
-    if (n.includes('sindh')) return 'Sindh';
-    if (n.includes('khyber') || n.includes('kpk') || n.includes('pakhtunkhwa')) return 'KPK';
-    if (n.includes('baloch') || n.includes('balochistan')) return 'Balochistan';
-    if (n.includes('gilgit') || n.includes('skardu') || n.includes('hunza')) return 'Gilgit';
-    return null;
+    return window.FarmerAgronomy.detectZoneFromName(name);
 }
 
 const THRESHOLD_KEY = 'farmerAid_thresholds_v1';
+const THRESHOLD_SUBSCRIPTION_KEY = 'farmerAid.thresholdProfile'; // tehsil profile subscribed to (js/thresholds.js)
 
 function loadCustomThresholds() {
     try {
@@ -1289,36 +1809,28 @@ function saveCustomThresholds(obj) {
     }
 }
 
+// Subscribed tehsil profile ({ name, thresholds, ... }) or null
+function loadSubscribedProfile() {
+    try {
+        const raw = localStorage.getItem(THRESHOLD_SUBSCRIPTION_KEY);
+        return raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
 /**
- * When evaluating thresholds, prefer custom saved thresholds for zone+crop if present.
+ * When evaluating thresholds, prefer custom saved thresholds for zone+crop if present,
+ * then the subscribed tehsil profile, then the shared registry (Punjab district -> zone default -> crop default).
  */
 function getEffectiveThresholds(crop, zone, district) {
     const custom = loadCustomThresholds();
-    const key = `${zone || 'default'}::${crop.toLowerCase()}`;
+    const key = window.FarmerAgronomy.thresholdKey(zone, crop);
     if (custom && custom[key]) return custom[key];
-    // Zone-specific built-in defaults (Punjab tuned)
-    const zoneDefaults = {
-        Punjab: {
-            wheat: { idealMax: [12, 24], idealMin: [4, 14], minSoilTemp: 5, minTotalRain5d: 0 },
-            rice: { idealMax: [28, 34], idealMin: [22, 28], minSoilTemp: 20, minTotalRain5d: 25 },
-            cotton: { idealMax: [30, 38], idealMin: [20, 28], minSoilTemp: 18, minTotalRain5d: 0 },
-            sugarcane: { idealMax: [26, 34], idealMin: [20, 28], minSoilTemp: 20, minTotalRain5d: 15 },
-            maize: { idealMax: [22, 32], idealMin: [14, 24], minSoilTemp: 14, minTotalRain5d: 5 }
-        }
-        // Additional zone defaults can be added here
-    };
-    // If district-level thresholds for Punjab are available, prefer those
-    try {
-        if (zone === 'Punjab' && district && window.getPunjabDistrictThreshold) {
-            const dt = window.getPunjabDistrictThreshold(district, crop);
-            if (dt) return dt;
-        }
-    } catch (e) {
-        // ignore and continue
-    }
-
-    if (zone && zoneDefaults[zone] && zoneDefaults[zone][crop.toLowerCase()]) return zoneDefaults[zone][crop.toLowerCase()];
-    return getCropThresholds(crop);
+    const profile = loadSubscribedProfile();
+    if (profile && profile.thresholds && profile.thresholds[key]) return profile.thresholds[key];
+    const eff = window.FarmerAgronomy.getEffectiveThresholds(crop, { zone, district });
+    return eff ? eff.thresholds : null;
 }
 
 // Monkey-patch evaluateCropSuitability to use getEffectiveThresholds
@@ -1348,8 +1860,10 @@ function evaluateCropSuitability(weatherData, crop) {
 
     // Get thresholds: saved custom for zone+crop first, otherwise default
     const customObj = loadCustomThresholds();
-    const customKey = `${zone || 'default'}::${(crop || '').toLowerCase()}`;
+    const customKey = window.FarmerAgronomy.thresholdKey(zone, crop);
     const isCustom = !!(customObj && customObj[customKey]);
+    const subscribed = loadSubscribedProfile();
+    const profileName = !isCustom && subscribed && subscribed.thresholds && subscribed.thresholds[customKey] ? subscribed.name : null;
     const eff = getEffectiveThresholds(crop, zone, district);
     if (!eff) return __origEvaluate(weatherData, crop); // fall back to original logic
 
@@ -1359,9 +1873,9 @@ function evaluateCropSuitability(weatherData, crop) {
     const days = Math.min(5, (daily.time || []).length);
     if (days === 0) throw new Error('Insufficient forecast data for suitability evaluation.');
 
-    const maxArr = daily.temperature_2m_max || [];
-    const minArr = daily.temperature_2m_min || [];
-    const rainArr = daily.precipitation_sum || daily.rain_sum || [];
+    const maxArr = daily.temperatureMax || [];
+    const minArr = daily.temperatureMin || [];
+    const rainArr = daily.precipitation || daily.rain || [];
 
     let avgMax = 0, avgMin = 0, totalRain = 0;
     for (let i = 0; i < days; i++) {
@@ -1373,7 +1887,7 @@ function evaluateCropSuitability(weatherData, crop) {
     avgMin = avgMin / days;
 
     let avgSoilTemp = null;
-    const soil = hourly.soil_temperature_0cm || [];
+    const soil = hourly.soilTemperature || [];
     if (soil.length >= days * 24) {
         let sum = 0, count = 0;
         for (let i = 0; i < days * 24; i++) {
@@ -1386,17 +1900,26 @@ function evaluateCropSuitability(weatherData, crop) {
 
     const thr = eff; // use effective thresholds
     const reasons = [];
-    if (avgMax > thr.idealMax[1]) reasons.push(`Average daytime temperature (${avgMax.toFixed(1)}°C) is above the recommended upper bound for ${crop}.`);
-    if (avgMax < thr.idealMax[0]) reasons.push(`Average daytime temperature (${avgMax.toFixed(1)}°C) is below the typical lower expected range for ${crop}.`);
-    if (avgMin > thr.idealMin[1]) reasons.push(`Average night temperature (${avgMin.toFixed(1)}°C) is higher than ideal upper bound for ${crop}.`);
-    if (avgMin < thr.idealMin[0]) reasons.push(`Average night temperature (${avgMin.toFixed(1)}°C) is lower than ideal lower bound for ${crop}.`);
-
-    if (thr.minSoilTemp && avgSoilTemp !== null && avgSoilTemp < thr.minSoilTemp) {
-        reasons.push(`Soil temperature (~${avgSoilTemp.toFixed(1)}°C) is below recommended minimum (${thr.minSoilTemp}°C) for ${crop} establishment.`);
+    if (avgMax > thr.idealMax[1]) reasons.push(suitabilityReason('dayAbove', crop, { value: avgMax.toFixed(1) }));
+    if (avgMax < thr.idealMax[0]) reasons.push(suitabilityReason('dayBelow', crop, { value: avgMax.toFixed(1) }));
+    if (avgMin > thr.idealMin[1]) reasons.push(suitabilityReason('nightAbove', crop, { value: avgMin.toFixed(1) }));
+    if (avgMin < thr.idealMin[0]) reasons.push(suitabilityReason('nightBelow', crop, { value: avgMin.toFixed(1) }));
+
+    // Soil temperature only matters until the crop is established (same as /api/suitability)
+    const phenology = window.FarmerAgronomy.localizePhenology(getCurrentPhenology(weatherData, crop), pageLanguage());
+    const establishing = !phenology || !phenology.sown || phenology.stage.key === phenology.stages[0].key;
+    if (establishing && thr.minSoilTemp && avgSoilTemp !== null && avgSoilTemp < thr.minSoilTemp) {
+        reasons.push(suitabilityReason('soilCold', crop, { value: avgSoilTemp.toFixed(1), limit: thr.minSoilTemp }));
     }
 
     if (thr.minTotalRain5d && metrics.totalRain5d < thr.minTotalRain5d) {
-        reasons.push(`Forecast rainfall (${metrics.totalRain5d.toFixed(1)} mm over ${days} days) may be insufficient for ${crop} without irrigation.`);
+        reasons.push(suitabilityReason('lowRain', crop, { value: metrics.totalRain5d.toFixed(1), days }));
+    }
+
+    // Heat/frost beyond the limits of the current growth stage within the evaluation window
+    if (phenology) {
+        const windowDaily = { time: (daily.time || []).slice(0, days), temperatureMax: maxArr.slice(0, days), temperatureMin: minArr.slice(0, days) };
+        window.FarmerAgronomy.checkStageWeather(phenology, windowDaily).forEach(risk => reasons.push(window.FarmerAgronomy.describeStageRisk(risk, pageLanguage())));
     }
 
     let status = 'Suitable';
@@ -1404,7 +1927,7 @@ function evaluateCropSuitability(weatherData, crop) {
     else if (reasons.length === 1) status = 'Marginal';
     else status = 'Unsuitable';
 
-    return { status, reasons, metrics, zone, isCustom };
+    return { status, reasons, metrics, zone, isCustom, profileName, phenology };
 }
 
 // Modal and threshold editor wiring
@@ -1416,6 +1939,7 @@ document.addEventListener('DOMContentLoaded', () => {
     cityInput = document.getElementById('cityInput');
     cropSelect = document.getElementById('cropSelect');
     zoneSelect = document.getElementById('zoneSelect');
+    sowingDateInput = document.getElementById('sowingDateInput');
     const heroCheckBtn = document.getElementById('heroCheckBtn');
     const heroForecastBtn = document.getElementById('heroForecastBtn');
     loadingSpinner = document.getElementById('loadingSpinner');
@@ -1516,7 +2040,7 @@ document.addEventListener('DOMContentLoaded', () => {
         saveBtn.addEventListener('click', () => {
             const crop = (document.getElementById('modalCropSelect').value || 'Other');
             const zone = (document.getElementById('modalZoneSelect').value || 'default');
-            const key = `${zone}::${crop.toLowerCase()}`;
+            const key = window.FarmerAgronomy.thresholdKey(zone, crop);
             const obj = loadCustomThresholds();
             obj[key] = {
                 idealMax: [Number(document.getElementById('idealMaxLower').value || 0), Number(document.getElementById('idealMaxUpper').value || 0)],
@@ -1533,10 +2057,10 @@ document.addEventListener('DOMContentLoaded', () => {
                     toastEl.classList.remove('text-bg-danger');
                     toastEl.classList.add('text-bg-success');
                 }
-                if (toastBody) toastBody.innerHTML = `Thresholds saved for <strong>${crop}</strong> (${zone}).`;
+                if (toastBody) toastBody.innerHTML = t('thresholds.saved', { crop: `<strong>${escapeHtml(localCropName(crop))}</strong>`, zone: t(`zone.${zone}`) });
                 if (toastEl) {
-                    const t = new bootstrap.Toast(toastEl, { delay: 3000 });
-                    t.show();
+                    const toast = new bootstrap.Toast(toastEl, { delay: 3000 });
+                    toast.show();
                 }
             } catch (e) { /* ignore toast errors */ }
             // close modal
@@ -1554,14 +2078,14 @@ document.addEventListener('DOMContentLoaded', () => {
             resetBtn.id = 'resetThresholdsBtn';
             resetBtn.type = 'button';
             resetBtn.className = 'btn btn-outline-danger me-auto';
-            resetBtn.textContent = 'Reset to Defaults';
+            resetBtn.textContent = t('thresholds.reset');
             modalFooter.insertBefore(resetBtn, modalFooter.firstChild);
             resetBtn.addEventListener('click', () => {
                 try {
                     // Remove all custom keys for this zone+crop if present
                     const crop = (document.getElementById('modalCropSelect').value || 'Other');
                     const zone = (document.getElementById('modalZoneSelect').value || 'default');
-                    const key = `${zone}::${crop.toLowerCase()}`;
+                    const key = window.FarmerAgronomy.thresholdKey(zone, crop);
                     const obj = loadCustomThresholds();
                     if (obj && obj[key]) {
                         // Cache deleted entry for potential undo
@@ -1585,10 +2109,10 @@ document.addEventListener('DOMContentLoaded', () => {
                             toastEl.classList.remove('text-bg-success');
                             toastEl.classList.add('text-bg-danger');
                         }
-                        if (toastBody) toastBody.innerHTML = `Custom thresholds reset for <strong>${crop}</strong> (${zone}). <a href="#" id="undoThresholdsLink">Undo</a>`;
+                        if (toastBody) toastBody.innerHTML = `${t('thresholds.resetDone', { crop: `<strong>${escapeHtml(localCropName(crop))}</strong>`, zone: t(`zone.${zone}`) })} <a href="#" id="undoThresholdsLink">${t('thresholds.undo')}</a>`;
                         if (toastEl) {
-                            const t = new bootstrap.Toast(toastEl, { delay: 6000 });
-                            t.show();
+                            const toast = new bootstrap.Toast(toastEl, { delay: 6000 });
+                            toast.show();
                             // Attach Undo handler
                             setTimeout(() => {
                                 const undo = document.getElementById('undoThresholdsLink');
@@ -1605,7 +2129,7 @@ document.addEventListener('DOMContentLoaded', () => {
                                                     toastEl.classList.remove('text-bg-danger');
                                                     toastEl.classList.add('text-bg-success');
                                                 }
-                                                if (toastBody) toastBody.innerHTML = `Restored custom thresholds for <strong>${crop}</strong> (${zone}).`;
+                                                if (toastBody) toastBody.innerHTML = t('thresholds.restored', { crop: `<strong>${escapeHtml(localCropName(crop))}</strong>`, zone: t(`zone.${zone}`) });
                                                 const t2 = new bootstrap.Toast(toastEl, { delay: 3000 });
                                                 t2.show();
                                                 _lastDeletedThreshold = null;
@@ -1626,12 +2150,13 @@ document.addEventListener('DOMContentLoaded', () => {
         searchBtn.addEventListener('click', async () => {
             const city = cityInput && cityInput.value ? cityInput.value.trim() : '';
             if (!city) {
-                showError('Please enter a city name.');
+                showError(t('weather.enterCity'));
                 return;
             }
             showLoading(true);
             const loc = await geocodeCity(city);
             if (loc) {
+                currentFarmField = null;
                 await getWeatherAndAdvisory(loc.latitude, loc.longitude, loc.name);
             } else {
                 showLoading(false);
@@ -1642,15 +2167,16 @@ document.addEventListener('DOMContentLoaded', () => {
     if (locBtn) {
         locBtn.addEventListener('click', () => {
             if (!navigator.geolocation) {
-                showError('Geolocation is not supported by your browser.');
+                showError(t('weather.noGeolocation'));
                 return;
             }
             showLoading(true);
             navigator.geolocation.getCurrentPosition(async (pos) => {
-                await getWeatherAndAdvisory(pos.coords.latitude, pos.coords.longitude, 'Your Location');
+                currentFarmField = null;
+                await getWeatherAndAdvisory(pos.coords.latitude, pos.coords.longitude, t('weather.yourLocation'));
             }, (err) => {
                 console.error('Geolocation error', err);
-                showError('Unable to retrieve your location. Please search by city.');
+                showError(t('weather.locationFailed'));
                 showLoading(false);
             }, { timeout: 12000 });
         });
@@ -1659,7 +2185,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (refreshBtn) {
         refreshBtn.addEventListener('click', async () => {
             if (!lastQuery) {
-                showError('No previous location to refresh.');
+                showError(t('weather.noPreviousLocation'));
                 return;
             }
             await getWeatherAndAdvisory(lastQuery.lat, lastQuery.lon, lastQuery.name);
@@ -1667,7 +2193,9 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     if (cropSelect) {
+        if (sowingDateInput) restoreSowingDate(cropSelect.value);
         cropSelect.addEventListener('change', async () => {
+            restoreSowingDate(cropSelect.value);
             if (lastWeatherData && lastQuery) {
                 await generateAIAdvisory(lastWeatherData, cropSelect.value, lastQuery.name);
                 await generateCropCareCards(lastWeatherData, cropSelect.value);
@@ -1677,10 +2205,80 @@ document.addEventListener('DOMContentLoaded', () => {
                 } catch (err) {
                     console.error('Suitability evaluation on crop change failed:', err);
                 }
+                await loadThermalTime(lastQuery.lat, lastQuery.lon, cropSelect.value);
+            }
+        });
+    }
+
+    if (sowingDateInput) {
+        // A new sowing date re-keys the care cards and suitability to the crop's growth stage
+        sowingDateInput.addEventListener('change', async () => {
+            saveSowingDate(cropSelect.value, sowingDateInput.value);
+            if (lastWeatherData && lastQuery) {
+                await generateCropCareCards(lastWeatherData, cropSelect.value);
+                try {
+                    const suitability = evaluateCropSuitability(lastWeatherData, cropSelect.value);
+                    renderSuitabilityUI(suitability, cropSelect.value, lastQuery.name);
+                } catch (err) {
+                    console.error('Suitability evaluation on sowing date change failed:', err);
+                }
+                await loadThermalTime(lastQuery.lat, lastQuery.lon, cropSelect.value);
             }
         });
     }
 
+    // Water balance settings and the irrigation log re-run the watering schedule
+    restoreIrrigationSettings();
+    const soilTypeSelect = document.getElementById('soilTypeSelect');
+    const irrigationMethodSelect = document.getElementById('irrigationMethodSelect');
+    const refreshWatering = async () => {
+        if (lastWeatherData && lastQuery) await generateCropCareCards(lastWeatherData, cropSelect.value);
+        else renderIrrigationLog(cropSelect.value);
+    };
+    [soilTypeSelect, irrigationMethodSelect].filter(Boolean).forEach(select => {
+        select.addEventListener('change', async () => {
+            saveIrrigationSettings({
+                soil: soilTypeSelect ? soilTypeSelect.value : 'loam',
+                method: irrigationMethodSelect ? irrigationMethodSelect.value : 'flood'
+            });
+            await refreshWatering();
+        });
+    });
+
+    const logIrrigationBtn = document.getElementById('logIrrigationBtn');
+    if (logIrrigationBtn) {
+        logIrrigationBtn.addEventListener('click', async () => {
+            const dateInput = document.getElementById('irrigationLogDate');
+            const depthInput = document.getElementById('irrigationLogDepth');
+            const date = dateInput ? dateInput.value : '';
+            const depthMm = depthInput ? Number(depthInput.value) : NaN;
+            if (!date || !(depthMm > 0)) {
+                // Shows the browser's required / min hint on the first missing input
+                const invalid = !date ? dateInput : depthInput;
+                if (invalid) invalid.reportValidity();
+                return;
+            }
+            const entries = loadIrrigationLog(cropSelect.value).filter(e => e.date !== date);
+            entries.push({ date, depthMm });
+            entries.sort((a, b) => (a.date < b.date ? -1 : 1));
+            saveIrrigationLog(cropSelect.value, entries);
+            if (depthInput) depthInput.value = '';
+            await refreshWatering();
+        });
+    }
+
+    const irrigationLogList = document.getElementById('irrigationLogList');
+    if (irrigationLogList) {
+        irrigationLogList.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-remove-irrigation]');
+            if (!button) return;
+            const entries = loadIrrigationLog(cropSelect.value);
+            entries.splice(Number(button.dataset.removeIrrigation), 1);
+            saveIrrigationLog(cropSelect.value, entries);
+            await refreshWatering();
+        });
+    }
+
     if (cityInput) {
         cityInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
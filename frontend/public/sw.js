@@ -0,0 +1,327 @@
+// sw.js
+// Service worker for the static pages and the React build (served from the site root, so it
+// controls every page). Connectivity in the field is patchy, so:
+// - the app shell (pages, styles, scripts, the threshold tables in js/agronomy.js) is precached;
+// - pages and scripts are network-first with a short timeout, falling back to the cache;
+// - forecast and agronomy API responses are network-first and the last copy per URL (i.e. per
+//   location) is kept, stamped with X-SW-Cached-At so pages can show how old it is when offline;
+//   so are the assistant's conversation threads, which can be read (and asked in) offline;
+// - diagnosis uploads and chat messages queued while offline (the outbox, see js/offline.js) are
+//   replayed on Background Sync, or when a page asks after coming back online;
+// - weather alerts pushed by the backend's webpush sink (subscribed in js/alerts.js) are shown as
+//   notifications that open the weather page.
+
+const SHELL_CACHE = 'farmer-aid-shell-v9';
+const ASSET_CACHE = 'farmer-aid-assets-v1';
+const DATA_CACHE = 'farmer-aid-data'; // not versioned: the last forecasts survive an app update
+const DATA_CACHE_MAX_ENTRIES = 60;
+const CACHED_AT_HEADER = 'X-SW-Cached-At';
+const SYNC_TAG = 'farmer-aid-outbox';
+const SHELL_TIMEOUT_MS = 4000;
+const DATA_TIMEOUT_MS = 8000; // a cold forecast cache on the backend can take a few seconds
+
+const SHELL_URLS = [
+    '/',
+    '/index.html',
+    '/weather.html',
+    '/compare.html',
+    '/diseases.html',
+    '/ai-assistant.html',
+    '/about.html',
+    '/css/style.css',
+    '/js/agronomy.js',
+    '/js/i18n.js',
+    '/js/weather.js',
+    '/js/compare.js',
+    '/js/farms.js',
+    '/js/ai-stream.js',
+    '/js/conversations.js',
+    '/js/thresholds.js',
+    '/js/alerts.js',
+    '/js/offline.js',
+    '/js/voice.js',
+    '/js/script.js',
+    '/images/weather-hero.jpg',
+    '/images/plant-foreground.svg',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png'
+];
+
+// GET endpoints whose last response is kept for offline use
+const CACHED_API_RE = /^\/api\/(weather|geocode|suitability|gdd|irrigation|disease-risk|history|normals|compare|farms|conversations)(\/|$)/;
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// ---- Install / activate ----
+
+// The React build's hashed bundles, read from the built index.html so the SPA works offline too
+async function buildAssetUrls() {
+    try {
+        const html = await (await fetch('/index.html', { cache: 'reload' })).text();
+        return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(m => m[1]);
+    } catch (e) {
+        return [];
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        const urls = [...SHELL_URLS, ...(await buildAssetUrls())];
+        // One by one: a page missing from this deployment must not fail the whole install
+        await Promise.allSettled(urls.map(url => cache.add(new Request(url, { cache: 'reload' }))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, ASSET_CACHE, DATA_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(n => n.startsWith('farmer-aid-') && !keep.includes(n)).map(n => caches.delete(n)));
+        await self.clients.claim();
+    })());
+});
+
+// ---- Fetch strategies ----
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Copy of `response` with the time it was stored, read back by pages as the data's age
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    // keys() is in insertion order and entries are re-inserted on update, so the oldest go first
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/**
+ * Network first; the cached copy is used when the network fails, answers with a server error, or
+ * (when a copy exists) takes longer than `timeoutMs`. Successful responses refresh the cache, also
+ * after the timeout has already served the cached copy.
+ */
+async function networkFirst(event, cacheName, { timeoutMs, stamp = false, maxEntries = 0, matchOptions } = {}) {
+    const { request } = event;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, matchOptions);
+
+    const network = fetch(request).then(async (response) => {
+        if (response.ok) {
+            const copy = stamp ? await stampResponse(response.clone()) : response.clone();
+            await cache.delete(request);
+            await cache.put(request, copy);
+            if (maxEntries) await trimCache(cache, maxEntries);
+        }
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+
+    if (!cached) return network;
+    return Promise.race([
+        network.then(response => (response.status >= 500 ? cached : response)).catch(() => cached),
+        delay(timeoutMs).then(() => cached)
+    ]);
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    // Opaque (no-cors) CDN responses report status 0 but are still usable
+    if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+    return response;
+}
+
+async function handleNavigation(event) {
+    try {
+        return await networkFirst(event, SHELL_CACHE, { timeoutMs: SHELL_TIMEOUT_MS, matchOptions: { ignoreSearch: true } });
+    } catch (err) {
+        // Offline and never visited: client-side routes of the React app all render from index.html
+        return (await caches.match('/index.html')) || Response.error();
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) {
+            if (CACHED_API_RE.test(url.pathname)) {
+                event.respondWith(networkFirst(event, DATA_CACHE, { timeoutMs: DATA_TIMEOUT_MS, stamp: true, maxEntries: DATA_CACHE_MAX_ENTRIES }));
+            }
+            return;
+        }
+        if (request.mode === 'navigate') {
+            event.respondWith(handleNavigation(event));
+        } else if (url.pathname.startsWith('/assets/')) {
+            event.respondWith(cacheFirst(request, ASSET_CACHE)); // hashed file names never change
+        } else if (/^\/(css|js|images|icons)\//.test(url.pathname) || url.pathname === '/manifest.webmanifest') {
+            event.respondWith(networkFirst(event, SHELL_CACHE, { timeoutMs: SHELL_TIMEOUT_MS }));
+        }
+        // Anything else (e.g. the Vite dev server's /src and /@vite modules) goes straight to the network
+        return;
+    }
+
+    if (CDN_HOSTS.includes(url.hostname)) event.respondWith(cacheFirst(request, ASSET_CACHE));
+});
+
+// ---- Outbox (IndexedDB) ----
+// outbox: { id, kind, url, method, headers, json?, fields?, meta, queuedAt } waiting to be sent
+// results: { id, kind, ok, status, body, meta, queuedAt, completedAt } until a page picks them up
+
+const DB_NAME = 'farmer-aid-offline';
+const DB_VERSION = 1;
+
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            req.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+            req.result.createObjectStore('results', { keyPath: 'id' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Runs fn(stores) in one transaction and resolves with its return value once committed
+async function withStores(names, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(names, mode);
+        const stores = Object.fromEntries(names.map(n => [n, tx.objectStore(n)]));
+        let value;
+        Promise.resolve(fn(stores)).then(v => { value = v; }, err => { tx.abort(); reject(err); });
+        tx.oncomplete = () => { db.close(); resolve(value); };
+        tx.onerror = tx.onabort = () => { db.close(); reject(tx.error); };
+    });
+}
+
+function requestValue(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function buildRequestInit(entry) {
+    const init = { method: entry.method || 'POST', headers: { ...(entry.headers || {}) } };
+    if (entry.fields) {
+        const form = new FormData();
+        entry.fields.forEach(f => (f.filename ? form.append(f.name, f.value, f.filename) : form.append(f.name, f.value)));
+        init.body = form;
+    } else if (entry.json !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(entry.json);
+    }
+    return init;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true, type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Sends queued requests in order. Rejects (so Background Sync retries later) when the network is
+ * still down or the server is rate limiting / unavailable; any other answer, error or not, becomes
+ * a result for the page that queued it.
+ */
+async function replayOutbox() {
+    const entries = await withStores(['outbox'], 'readonly', ({ outbox }) => requestValue(outbox.getAll()));
+    for (const entry of entries) {
+        const response = await fetch(entry.url, buildRequestInit(entry));
+        if (response.status === 429 || response.status === 503) throw new Error(`Server busy (${response.status})`);
+        const body = await response.json().catch(() => null);
+        const result = {
+            id: entry.id,
+            kind: entry.kind,
+            ok: response.ok,
+            status: response.status,
+            body,
+            meta: entry.meta || null,
+            queuedAt: entry.queuedAt,
+            completedAt: new Date().toISOString()
+        };
+        await withStores(['outbox', 'results'], 'readwrite', ({ outbox, results }) => {
+            results.put(result);
+            outbox.delete(entry.id);
+        });
+        await notifyClients({ type: 'outbox-result', kind: entry.kind, id: entry.id });
+    }
+}
+
+let flushing = null;
+
+// One replay at a time; sync events and page messages can arrive together when the network returns
+function flushOutbox() {
+    if (!flushing) flushing = replayOutbox().finally(() => { flushing = null; });
+    return flushing;
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) event.waitUntil(flushOutbox());
+});
+
+// Page requests (js/offline.js); replies go to the MessageChannel port sent with the message
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    const port = event.ports[0];
+    const reply = (promise) => event.waitUntil(promise
+        .then(value => port && port.postMessage(value))
+        .catch(err => port && port.postMessage({ error: err.message || String(err) })));
+
+    if (data.type === 'enqueue') {
+        reply(withStores(['outbox'], 'readwrite', ({ outbox }) => requestValue(outbox.add({ ...data.entry, queuedAt: new Date().toISOString() })))
+            .then(id => ({ id })));
+    } else if (data.type === 'take-results') {
+        reply(withStores(['results'], 'readwrite', async ({ results }) => {
+            const all = await requestValue(results.getAll());
+            const taken = all.filter(r => r.kind === data.kind);
+            taken.forEach(r => results.delete(r.id));
+            return { results: taken };
+        }));
+    } else if (data.type === 'flush-outbox') {
+        reply(flushOutbox().then(() => ({ flushed: true })));
+    }
+});
+
+// ---- Weather alert notifications ----
+// The webpush sink (backend/services/alerts/sinks/webpush.js) sends { title, body, tag, data: { alert } }
+
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch (e) {
+        payload = { body: event.data.text() };
+    }
+    event.waitUntil(self.registration.showNotification(payload.title || 'Weather alert', {
+        body: payload.body || '',
+        tag: payload.tag, // one notification per alert; an escalation replaces the earlier one
+        data: payload.data || {},
+        icon: '/icons/icon-192.png',
+        badge: '/icons/icon-192.png'
+    }));
+});
+
+// Tapping an alert focuses an open weather page, or opens one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil((async () => {
+        const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const page = clients.find(client => new URL(client.url).pathname === '/weather.html');
+        if (page) return page.focus();
+        return self.clients.openWindow('/weather.html');
+    })());
+});
@@ -6,23 +6,26 @@ import Weather from './pages/Weather'
 import Diseases from './pages/Diseases'
 import About from './pages/About'
 import AIChat from './pages/AIChat'
+import { useI18n, LanguageSelect } from './i18n'
 
 function NavBar() {
+  const { t } = useI18n()
   return (
     <nav className="navbar navbar-expand-lg navbar-light bg-white shadow-sm fixed-top">
       <div className="container">
         <Link className="navbar-brand d-flex align-items-center gap-2" to="/">
           <span className="logo-emoji">🌾</span>
-          <span className="brand-text">Farmer Aid</span>
+          <span className="brand-text">{t('brand.name')}</span>
         </Link>
 
         <div className="navbar-collapse">
           <ul className="navbar-nav ms-auto">
-            <li className="nav-item"><Link className="nav-link" to="/">Home</Link></li>
-            <li className="nav-item"><Link className="nav-link" to="/weather">Weather</Link></li>
-            <li className="nav-item"><Link className="nav-link" to="/diseases">Diseases</Link></li>
-            <li className="nav-item"><Link className="nav-link" to="/ai">AI Assistant</Link></li>
-            <li className="nav-item"><Link className="nav-link" to="/about">About</Link></li>
+            <li className="nav-item"><Link className="nav-link" to="/">{t('nav.home')}</Link></li>
+            <li className="nav-item"><Link className="nav-link" to="/weather">{t('nav.weather')}</Link></li>
+            <li className="nav-item"><Link className="nav-link" to="/diseases">{t('nav.diseases')}</Link></li>
+            <li className="nav-item"><Link className="nav-link" to="/ai">{t('nav.assistant')}</Link></li>
+            <li className="nav-item"><Link className="nav-link" to="/about">{t('nav.about')}</Link></li>
+            <li className="nav-item d-flex align-items-center ms-lg-2"><LanguageSelect /></li>
           </ul>
         </div>
       </div>
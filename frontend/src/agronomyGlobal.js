@@ -0,0 +1,6 @@
+// index.html's own markup (navbar, footer) is translated by the static pages' language layer, js/i18n.js,
+// which reads the shared package from window.FarmerAgronomy. The static pages get the whole package from
+// the js/agronomy.js script; here only what js/i18n.js calls is exposed, from the copy the app bundles.
+import { DEFAULT_LANGUAGE, LANGUAGES, normalizeLanguage, textDirection, languageLocale, translate } from '@farmer-aid/agronomy'
+
+window.FarmerAgronomy = { DEFAULT_LANGUAGE, LANGUAGES, normalizeLanguage, textDirection, languageLocale, translate }
@@ -0,0 +1,23 @@
+import React from 'react'
+import { Line } from 'react-chartjs-2'
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend } from 'chart.js'
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend)
+
+// Cumulative GDD from a GET /api/gdd response: observed solid, forecast dashed
+export default function GddChart({ days = [] }){
+  const lastObserved = days.map(d => d.source).lastIndexOf('observed')
+  const data = {
+    labels: days.map(d => d.date),
+    datasets: [
+      { label: 'GDD (observed)', data: days.map((d, i) => i <= lastObserved ? d.gddTotal : null), borderColor: '#2e7d32', backgroundColor: 'rgba(46,125,50,0.08)', fill: true, pointRadius: 0, tension: 0.2 },
+      { label: 'GDD (forecast)', data: days.map((d, i) => i >= lastObserved && (d.source === 'forecast' || i === lastObserved) ? d.gddTotal : null), borderColor: '#2e7d32', borderDash: [6, 4], pointRadius: 0, tension: 0.2 }
+    ]
+  }
+  const options = { responsive:true, maintainAspectRatio:false, plugins:{legend:{position:'top'}}, scales:{ y:{ beginAtZero:true } } }
+  return (
+    <div style={{height: '260px'}}>
+      <Line data={data} options={options} />
+    </div>
+  )
+}
@@ -0,0 +1,55 @@
+import React, { createContext, useContext, useEffect, useMemo } from 'react'
+import { LANGUAGES, normalizeLanguage, textDirection, languageLocale, translate } from '@farmer-aid/agronomy'
+
+// Same storage key as the static pages (js/i18n.js), so a choice made on one side holds on the other.
+// src/main.jsx also loads js/i18n.js, which switches the Bootstrap stylesheet and font for RTL.
+export const LANGUAGE_KEY = 'farmerAid.language'
+
+function storedLanguage(){
+  try {
+    return localStorage.getItem(LANGUAGE_KEY)
+  } catch (e) {
+    return null
+  }
+}
+
+function createI18n(language){
+  return {
+    language,
+    direction: textDirection(language),
+    locale: languageLocale(language),
+    t: (key, params) => translate(language, key, params),
+    // Reloads like the static pages do: index.html's own markup is translated once, on load
+    setLanguage: (lang) => {
+      try {
+        localStorage.setItem(LANGUAGE_KEY, normalizeLanguage(lang))
+      } catch (e) { /* storage may be unavailable */ }
+      window.location.reload()
+    }
+  }
+}
+
+const I18nContext = createContext(createI18n(normalizeLanguage(null)))
+
+export function LanguageProvider({ children }){
+  const value = useMemo(() => createI18n(normalizeLanguage(storedLanguage())), [])
+
+  useEffect(() => {
+    document.documentElement.lang = value.language
+    document.documentElement.dir = value.direction
+  }, [value])
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>
+}
+
+// { language, direction, locale, t(key, params), setLanguage(lang) }; keys are in packages/agronomy/src/messages.js
+export const useI18n = () => useContext(I18nContext)
+
+export function LanguageSelect(){
+  const { language, t, setLanguage } = useI18n()
+  return (
+    <select className="form-select form-select-sm" value={language} onChange={e => setLanguage(e.target.value)} aria-label={t('nav.language')}>
+      {Object.values(LANGUAGES).map(l => <option key={l.code} value={l.code}>{l.nativeName}</option>)}
+    </select>
+  )
+}
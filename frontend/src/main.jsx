@@ -1,8 +1,16 @@
+// Language layer first: it sets the page direction (and the RTL stylesheet) before the app renders
+import './agronomyGlobal'
+import '../js/i18n.js'
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App'
+import { LanguageProvider } from './i18n'
+import { registerServiceWorker } from '../js/offline.js'
 import './styles.css'
 
 const container = document.getElementById('root')
 const root = createRoot(container)
-root.render(<App />)
+root.render(<LanguageProvider><App /></LanguageProvider>)
+
+// Offline shell, cached forecasts and the outbox (public/sw.js)
+registerServiceWorker()
@@ -1,59 +1,347 @@
-import React, { useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import api from '../services/api'
+import { describeFarm, farmFieldOptions, getSelectedFarm, saveSelectedFarm } from '../../js/farms.js'
+import { describeAge, LANGUAGES } from '@farmer-aid/agronomy'
+import { canRecord, startRecording, canSpeak, loadVoices, voicesFor, pickVoice, saveVoiceChoice, speakAnswersEnabled, setSpeakAnswers, speak, stopSpeaking } from '../../js/voice.js'
+import { getCurrentConversationId, saveCurrentConversationId, describeToolCall, describeSource } from '../../js/conversations.js'
+import { useI18n } from '../i18n'
+
+// Sent as the thread's instructions only when a farm is selected; otherwise the server's default applies
+const FARM_PROMPT = 'You are AgriGuide, a concise agricultural expert. The farmer has shared this farm profile; use it (crop, variety, sowing date, irrigation source, location) when relevant:'
+
+// A thread's saved messages as chat bubbles, after a note when older ones live on only as the summary
+const toMessages = (conversation, t) => [
+  ...(conversation.summarizedCount ? [{ id: `${conversation.id}-summary`, from: 'note', text: t('assistant.summarized', { count: conversation.summarizedCount }) }] : []),
+  ...conversation.messages.map((m, i) => ({ id: `${conversation.id}-${i}`, from: m.role === 'model' ? 'ai' : 'user', text: m.text, toolCalls: m.toolCalls, sources: m.sources }))
+]
 
 const AIChat = () => {
+  const { t, language, locale } = useI18n()
   const [messages, setMessages] = useState([])
+  const [threads, setThreads] = useState([]) // this browser's threads (list entries), most recently used first
+  const [thread, setThread] = useState(null) // the open thread; null for a new conversation until its first question
+  const threadRef = useRef(null) // the open thread for handlers registered once
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
+  const [farmOptions, setFarmOptions] = useState([])
+  const [farm, setFarm] = useState(null) // selected farm option, added to the prompt as context
+  const abortRef = useRef(null)
+  const recordingRef = useRef(null) // resolves to { stop, cancel } while the mic button is held
+  const [voiceStatus, setVoiceStatus] = useState(null) // 'listening' | 'transcribing'
+  const [voices, setVoices] = useState([]) // speech synthesis voices for the page language, best first
+  const [voiceName, setVoiceName] = useState('')
+  const [speakOn, setSpeakOn] = useState(speakAnswersEnabled)
+
+  // Cancel any in-flight answer, recording or speech when leaving the page
+  useEffect(() => () => {
+    abortRef.current?.abort()
+    recordingRef.current?.then(r => r?.cancel())
+    stopSpeaking()
+  }, [])
+
+  useEffect(() => {
+    if (!canSpeak()) return
+    loadVoices().then(all => {
+      const matching = voicesFor(all, language)
+      setVoices(matching)
+      setVoiceName(pickVoice(all, language)?.name || '')
+    })
+  }, [language])
+
+  useEffect(() => { threadRef.current = thread }, [thread])
+
+  const updateMessage = (id, patch) => setMessages(prev => prev.map(m => m.id === id ? { ...m, ...patch } : m))
+  const notice = (text) => setMessages(prev => [...prev, { id: Date.now() + Math.random(), from: 'error', text }])
+
+  // Moves a thread's list entry (from the server's reply) to the top of the picker
+  const updateThreadEntry = (entry) => {
+    if (!entry) return
+    setThreads(prev => [entry, ...prev.filter(other => other.id !== entry.id)])
+    setThread(prev => prev && prev.id === entry.id ? { ...prev, ...entry } : prev)
+  }
+
+  const newThread = () => {
+    stopSpeaking()
+    setThread(null)
+    setMessages([])
+    saveCurrentConversationId(null)
+  }
+
+  const openThread = async (id) => {
+    stopSpeaking()
+    const { data, error } = await api.getConversation(id)
+    if (error) {
+      notice(t('assistant.threadsFailed', { message: typeof error === 'string' ? error : JSON.stringify(error) }))
+      return
+    }
+    setThread(data.conversation)
+    setMessages(toMessages(data.conversation, t))
+    saveCurrentConversationId(id)
+  }
+
+  useEffect(() => {
+    api.listConversations().then(({ data, error }) => {
+      if (error) return notice(t('assistant.threadsFailed', { message: typeof error === 'string' ? error : JSON.stringify(error) }))
+      setThreads(data.conversations)
+      const saved = getCurrentConversationId()
+      if (saved && data.conversations.some(c => c.id === saved)) openThread(saved)
+    })
+  }, [])
+
+  const renameThread = async () => {
+    const title = (window.prompt(t('assistant.renamePrompt'), thread.title || '') || '').trim()
+    if (!title || title === thread.title) return
+    const { data, error } = await api.renameConversation(thread.id, title)
+    if (error) return notice(t('assistant.threadFailed', { message: typeof error === 'string' ? error : JSON.stringify(error) }))
+    const entry = threads.find(c => c.id === thread.id)
+    updateThreadEntry({ ...entry, title: data.conversation.title, updatedAt: data.conversation.updatedAt })
+  }
+
+  const deleteThread = async () => {
+    if (!window.confirm(t('assistant.deleteConfirm', { title: thread.title || t('assistant.untitled') }))) return
+    const { error } = await api.deleteConversation(thread.id)
+    if (error) return notice(t('assistant.threadFailed', { message: typeof error === 'string' ? error : JSON.stringify(error) }))
+    setThreads(prev => prev.filter(c => c.id !== thread.id))
+    newThread()
+  }
 
-  const send = async () => {
-    if (!input.trim()) return
-    const msg = { id: Date.now(), from: 'user', text: input }
-    setMessages(prev => [...prev, msg])
+  // Answers to questions queued while offline, also those answered while this page was closed;
+  // the server has saved them in their thread
+  useEffect(() => api.onQueuedAnswers((res) => {
+    const question = res.meta?.question ? `"${res.meta.question}"` : t('assistant.yourQuestion')
+    const answer = res.ok && res.body?.message?.text
+    const id = Date.now() + Math.random()
+    if (answer) updateThreadEntry(res.body.conversation)
+    setMessages(prev => [...prev, !answer
+      ? { id, from: 'error', text: t('app.queuedFailed', { question, details: res.body?.details || res.body?.error || t('common.apiError', { status: res.status }) }) }
+      : threadRef.current?.id === res.meta?.conversationId
+        ? { id, from: 'ai', text: t('app.queuedAnswer', { question, age: describeAge(res.queuedAt, language), answer: answer.trim() }), toolCalls: res.body.message.toolCalls, sources: res.body.message.sources }
+        : { id, from: 'note', text: t('assistant.queuedAnswerElsewhere', { question, age: describeAge(res.queuedAt, language), title: res.body.conversation?.title || t('assistant.untitled') }) }])
+  }), [])
+
+  useEffect(() => {
+    api.listFarms().then(({ data }) => {
+      const options = farmFieldOptions(data?.farms)
+      setFarmOptions(options)
+      const saved = getSelectedFarm()
+      setFarm((saved && options.find(o => o.value === `${saved.farmId}:${saved.fieldId}`)) || null)
+    })
+  }, [])
+
+  const selectFarm = (value) => {
+    const option = farmOptions.find(o => o.value === value) || null
+    setFarm(option)
+    saveSelectedFarm(option ? { farmId: option.farm.id, fieldId: option.field.id } : null)
+  }
+
+
+  // Without a voice for the page language the answer stays on screen only
+  const speakText = (text) => {
+    const voice = voices.find(v => v.name === voiceName) || voices[0]
+    if (!speak(text, { voice, locale })) notice(t('assistant.noVoice', { language: LANGUAGES[language].nativeName }))
+  }
+
+  const toggleSpeak = () => {
+    const on = !speakOn
+    setSpeakAnswers(on)
+    setSpeakOn(on)
+    if (!on) stopSpeaking()
+    else if (!voices.length) notice(t('assistant.noVoice', { language: LANGUAGES[language].nativeName }))
+  }
+
+  const chooseVoice = (name) => {
+    setVoiceName(name)
+    saveVoiceChoice(language, name)
+  }
+
+  const send = async (text = input) => {
+    if (!text.trim() || loading) return
+    stopSpeaking()
+    const msg = { id: Date.now(), from: 'user', text }
+    const aiId = msg.id + 1
+    setMessages(prev => [...prev, msg, { id: aiId, from: 'ai', text: '...' }])
     setInput('')
     setLoading(true)
 
+    const controller = new AbortController()
+    abortRef.current = controller
     try {
-      const { data, error } = await api.gemini({ prompt: input })
-      if (error) throw new Error(typeof error === 'string' ? error : JSON.stringify(error))
-      const aiText = (data?.candidates?.[0]?.content?.parts?.[0]?.text) || JSON.stringify(data).slice(0, 300)
-      setMessages(prev => [...prev, { id: Date.now()+1, from: 'ai', text: aiText }])
+      // A new conversation is created on the server with its first question
+      let current = thread
+      if (!current) {
+        const created = await api.createConversation()
+        if (created.errorCode === 'NETWORK_ERROR') return updateMessage(aiId, { from: 'error', text: t('assistant.offlineNoThread') })
+        if (created.error) throw new Error(typeof created.error === 'string' ? created.error : JSON.stringify(created.error))
+        current = created.data.conversation
+        setThread(current)
+        saveCurrentConversationId(current.id)
+        updateThreadEntry({ id: current.id, title: null, messageCount: 0, summarizedCount: 0, createdAt: current.createdAt, updatedAt: current.updatedAt })
+      }
+      // The instructions stay English; `lang` makes the backend ask for the answer in the page language.
+      // The server adds the thread's summary and recent messages.
+      const question = { text: msg.text, system: farm ? `${FARM_PROMPT}\n${describeFarm(farm.farm, farm.field.id)}` : undefined, lang: language }
+      // Forecast and suitability lookups the assistant makes are listed above its answer as they run
+      const toolCalls = []
+      const { data, error, errorCode } = await api.askInConversation(current.id, question, {
+        signal: controller.signal,
+        onText: (chunk, textSoFar) => updateMessage(aiId, { text: textSoFar }),
+        onTool: (call) => {
+          toolCalls[call.id] = call
+          updateMessage(aiId, { toolCalls: [...toolCalls] })
+        }
+      })
+      const queued = errorCode === 'NETWORK_ERROR' && await api.queueQuestion(current.id, question, { question: msg.text, conversationId: current.id }).then(() => true, () => false)
+      if (queued) {
+        updateMessage(aiId, { from: 'error', text: t('assistant.offlineQueued') })
+      } else if (error === 'aborted') {
+        // The server keeps what arrived; re-read the list for the thread's title
+        updateMessage(aiId, { text: data.text ? t('app.stoppedPartial', { text: data.text }) : t('app.stopped'), from: data.text ? 'ai' : 'error' })
+        api.listConversations().then(({ data: list }) => list && setThreads(list.conversations))
+      } else if (error) {
+        throw new Error(typeof error === 'string' ? error : JSON.stringify(error))
+      } else {
+        updateThreadEntry(data.conversation)
+        updateMessage(aiId, { text: data.text.trim() || t('app.noAnswer'), toolCalls: data.toolCalls, sources: data.sources })
+        if (speakOn && data.text.trim()) speakText(data.text)
+      }
     } catch (e) {
-      setMessages(prev => [...prev, { id: Date.now()+1, from: 'error', text: e.message || 'AI service error' }])
+      updateMessage(aiId, { from: 'error', text: e.message || t('app.aiError') })
     } finally {
+      abortRef.current = null
       setLoading(false)
     }
   }
 
+  const stop = () => abortRef.current?.abort()
+
+  // Push-to-talk: record while the mic button is held, then transcribe and send the question
+  const startVoice = () => {
+    if (recordingRef.current || loading) return
+    stopSpeaking()
+    setVoiceStatus('listening')
+    recordingRef.current = startRecording().catch(err => {
+      const denied = err.name === 'NotAllowedError' || err.name === 'SecurityError'
+      notice(denied ? t('assistant.micDenied') : t('assistant.micFailed', { message: err.message || err.name }))
+      return null
+    })
+  }
+
+  const finishVoice = async () => {
+    const pending = recordingRef.current
+    if (!pending) return
+    recordingRef.current = null
+    // The button may be released while the microphone is still starting
+    const recording = await pending
+    const audio = recording && await recording.stop()
+    if (!audio) return setVoiceStatus(null)
+    setVoiceStatus('transcribing')
+    const { data, error, errorCode } = await api.transcribe(audio, { lang: language })
+    setVoiceStatus(null)
+    if (errorCode === 'NETWORK_ERROR') notice(t('assistant.voiceOffline'))
+    else if (error) notice(t('assistant.transcribeFailed', { message: typeof error === 'string' ? error : JSON.stringify(error) }))
+    else if (!data.text) notice(t('assistant.noSpeech'))
+    else send(data.text)
+  }
+
   return (
     <section id="ai" className="py-5">
       <div className="container">
-        <h1>AI Page</h1>
-        <h2 className="mb-4">AI Assistant</h2>
+        <h1>{t('app.aiPage')}</h1>
+        <h2 className="mb-4">{t('nav.assistant')}</h2>
         <div className="chat-wrap d-flex flex-column flex-lg-row gap-3">
           <aside className="chat-sidebar col-lg-4 p-3 bg-light rounded">
             <h5 className="mb-3">AgriGuide</h5>
-            <p className="small text-muted">Ask about crops, diseases, and weather-driven advice.</p>
+            <p className="small text-muted">{t('app.chatIntro')}</p>
+            {farmOptions.length > 0 && (
+              <select className="form-select form-select-sm" value={farm?.value || ''} onChange={e => selectFarm(e.target.value)} aria-label={t('app.savedFarm')}>
+                <option value="">{t('assistant.noFarm')}</option>
+                {farmOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+              </select>
+            )}
+            {canSpeak() && (
+              <div className="mt-3">
+                <button className={`btn btn-sm w-100 mb-2 ${speakOn ? 'btn-success' : 'btn-outline-success'}`} onClick={toggleSpeak} title={t('assistant.speakTitle')}>
+                  {t(speakOn ? 'assistant.speakOn' : 'assistant.speakOff')}
+                </button>
+                {speakOn && voices.length > 1 && (
+                  <select className="form-select form-select-sm" value={voiceName} onChange={e => chooseVoice(e.target.value)} aria-label={t('assistant.voiceTitle')}>
+                    {voices.map(v => <option key={v.name} value={v.name}>{v.name} ({v.lang})</option>)}
+                  </select>
+                )}
+              </div>
+            )}
             <div className="mt-3">
-              <button className="btn btn-outline-secondary w-100 mb-2" onClick={() => { setMessages([]) }}>Clear</button>
+              {threads.length > 0 && (
+                <select className="form-select form-select-sm mb-2" value={thread?.id || ''} disabled={loading} onChange={e => e.target.value ? openThread(e.target.value) : newThread()} aria-label={t('assistant.threadsTitle')}>
+                  {!thread && <option value="">{t('assistant.untitled')}</option>}
+                  {threads.map(c => <option key={c.id} value={c.id}>{c.title || t('assistant.untitled')}</option>)}
+                </select>
+              )}
+              <button className="btn btn-outline-success w-100 mb-2" disabled={loading || !thread} onClick={newThread} title={t('assistant.newChatTitle')}>{t('assistant.newChat')}</button>
+              {thread && (
+                <div className="d-flex gap-2">
+                  <button className="btn btn-outline-secondary btn-sm flex-fill" disabled={loading} onClick={renameThread} title={t('assistant.renameChatTitle')}>{t('assistant.renameChat')}</button>
+                  <button className="btn btn-outline-danger btn-sm flex-fill" disabled={loading} onClick={deleteThread} title={t('assistant.deleteChatTitle')}>{t('assistant.deleteChat')}</button>
+                </div>
+              )}
             </div>
           </aside>
 
           <div className="chat-main flex-fill d-flex flex-column p-3 bg-white rounded shadow-sm">
             <div className="messages flex-fill overflow-auto mb-3" style={{minHeight: '220px'}}>
-              {messages.length === 0 && <div className="text-muted">No messages yet — ask something!</div>}
+              {messages.length === 0 && <div className="text-muted">{t('app.noMessages')}</div>}
               {messages.map(m => (
                 <div key={m.id} className={`mb-2 d-flex ${m.from==='user' ? 'justify-content-end' : 'justify-content-start'}`}>
-                  <div className={`p-2 rounded ${m.from==='user' ? 'bg-success text-white' : m.from==='ai' ? 'bg-light text-dark' : 'bg-warning text-dark'}`} style={{maxWidth:'78%'}}>
+                  <div className={`p-2 rounded ${m.from==='user' ? 'bg-success text-white' : m.from==='ai' ? 'bg-light text-dark' : m.from==='note' ? 'small text-muted' : 'bg-warning text-dark'}`} style={{maxWidth:'78%'}}>
+                    {m.toolCalls?.length > 0 && (
+                      <div className="small text-muted border-bottom pb-1 mb-1">
+                        {t('assistant.toolsUsed')}
+                        <ul className="mb-0 ps-3">
+                          {m.toolCalls.filter(Boolean).map((call, i) => (
+                            <li key={i} className={call.status === 'error' ? 'text-danger' : undefined} title={call.error}>{describeToolCall(call, t)}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                     {m.text}
+                    {m.from === 'ai' && m.text !== '...' && canSpeak() && (
+                      <button className="btn btn-link btn-sm p-0 ms-2 align-baseline" onClick={() => speakText(m.text)} aria-label={t('assistant.listen')} title={t('assistant.listen')}>🔊</button>
+                    )}
+                    {m.sources?.length > 0 && (
+                      <div className="small text-muted border-top pt-1 mt-1">
+                        {t('assistant.sources')}
+                        <ol className="list-unstyled mb-0">
+                          {m.sources.map(source => (
+                            <li key={source.n} title={source.excerpt}>
+                              {source.url ? <a href={source.url} target="_blank" rel="noopener noreferrer">{describeSource(source)}</a> : describeSource(source)}
+                            </li>
+                          ))}
+                        </ol>
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
             </div>
 
+            {voiceStatus && <div className="small text-muted mb-2">{t(voiceStatus === 'listening' ? 'assistant.listening' : 'assistant.transcribing')}</div>}
             <div className="input-row d-flex gap-2">
-              <input aria-label="Chat input" className="form-control" value={input} onChange={e => setInput(e.target.value)} onKeyDown={e => { if (e.key==='Enter') send() }} placeholder="Ask AgriGuide..." />
-              <button className="btn btn-success" onClick={send} disabled={loading}>{loading ? '...' : 'Send'}</button>
+              <input aria-label={t('app.chatInput')} className="form-control" value={input} onChange={e => setInput(e.target.value)} onKeyDown={e => { if (e.key==='Enter') send() }} placeholder={t('app.chatPlaceholder')} />
+              {canRecord() && (
+                <button
+                  className={`btn ${voiceStatus === 'listening' ? 'btn-danger' : 'btn-outline-success'}`}
+                  style={{touchAction: 'none'}}
+                  disabled={loading || voiceStatus === 'transcribing'}
+                  onPointerDown={e => { e.preventDefault(); e.currentTarget.setPointerCapture(e.pointerId); startVoice() }}
+                  onPointerUp={finishVoice}
+                  onPointerCancel={finishVoice}
+                  aria-label={t('assistant.micTitle')}
+                  title={t('assistant.micTitle')}
+                >🎤</button>
+              )}
+              {loading
+                ? <button className="btn btn-outline-danger" onClick={stop}>{t('common.stop')}</button>
+                : <button className="btn btn-success" onClick={() => send()}>{t('common.send')}</button>}
             </div>
           </div>
         </div>
@@ -1,12 +1,14 @@
 import React from 'react'
+import { useI18n } from '../i18n'
 
 export default function About(){
+  const { t } = useI18n()
   return (
     <section id="about" className="py-5">
       <div className="container">
-        <h1>About Page</h1>
-        <h2>About Farmer Aid</h2>
-        <p>Farmer Aid provides weather-aware crop guidance and AI-driven disease diagnostics to help Pakistani farmers make better decisions.</p>
+        <h1>{t('app.aboutPage')}</h1>
+        <h2>{t('app.aboutTitle')}</h2>
+        <p>{t('app.aboutText')}</p>
       </div>
     </section>
   )
@@ -1,20 +1,26 @@
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import api from '../services/api'
+import { describeAge } from '@farmer-aid/agronomy'
+import { useI18n } from '../i18n'
 
 export default function Diseases(){
+  const { t, language } = useI18n()
   const [fileData, setFileData] = useState(null)
   const [result, setResult] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [queued, setQueued] = useState(null) // notice while a photo waits in the offline outbox
 
-  function toDataURL(file){
-    return new Promise((res, rej)=>{
-      const reader = new FileReader()
-      reader.onload = ()=>res(reader.result)
-      reader.onerror = rej
-      reader.readAsDataURL(file)
-    })
-  }
+  // Diagnoses of photos queued while offline, also those answered while this page was closed
+  useEffect(() => api.onQueuedDiagnoses((res) => {
+    setQueued(null)
+    if (res.ok && res.body?.diagnosis) {
+      setError(null)
+      setResult({ ...res.body.diagnosis, queuedAt: res.queuedAt })
+    } else {
+      setError(t('diseases.queuedFailed', { age: describeAge(res.queuedAt, language), message: res.body?.details || res.body?.error || t('common.apiError', { status: res.status }) }))
+    }
+  }), [])
 
   const handleFile = async (e) => {
     const f = e.target.files && e.target.files[0]
@@ -24,43 +30,44 @@ export default function Diseases(){
   }
 
   const send = async () => {
-    setError(null); setLoading(true); setResult(null)
+    setError(null); setLoading(true); setResult(null); setQueued(null)
     try{
-      let dataUrl = typeof fileData === 'string' ? fileData : await toDataURL(fileData)
-      const prompt = `Analyze this plant image. Respond with JSON: {\n  \"disease\": ...,\n  \"severity\": ...,\n  \"treatment\": ...,\n  \"nutrientWater\": ...,\n  \"additionalAdvice\": ...\n}\n\nImage:\n${dataUrl}`
-      const { data: body, error } = await api.gemini({ prompt })
+      const { data, error, errorCode } = await api.diagnose(fileData, { lang: language })
+      if (errorCode === 'NETWORK_ERROR') {
+        const saved = await api.queueDiagnose(fileData, { lang: language }).then(() => true, () => false)
+        if (saved) {
+          setQueued(t('app.queued'))
+          return
+        }
+      }
+      if (errorCode === 'DIAGNOSIS_SCHEMA_MISMATCH') throw new Error(t('app.unclear'))
       if (error) throw new Error(typeof error === 'string' ? error : JSON.stringify(error))
-      const text = body?.candidates?.[0]?.content?.parts?.[0]?.text || JSON.stringify(body)
-      // attempt parse
-      try{
-        const m = text.match(/\{[\s\S]*\}/)
-        if(m) setResult(JSON.parse(m[0]))
-        else setResult({ raw: text })
-      }catch(e){ setResult({ raw: text }) }
+      setResult(data.diagnosis)
     }catch(e){ setError(e.message) }
-    setLoading(false)
+    finally{ setLoading(false) }
   }
 
   return (
     <section id="diseases" className="py-5">
       <div className="container">
-        <h1>Diseases Page</h1>
-        <h2 className="mb-4">Plant Disease Diagnosis</h2>
+        <h1>{t('app.diseasesPage')}</h1>
+        <h2 className="mb-4">{t('app.diseasesTitle')}</h2>
         <div className="mb-3">
           <input type="file" accept="image/*" onChange={handleFile} />
         </div>
         <div className="mb-3">
-          <button className="btn btn-success" onClick={send} disabled={!fileData || loading}>{loading ? 'Analyzing...' : 'Analyze'}</button>
+          <button className="btn btn-success" onClick={send} disabled={!fileData || loading}>{loading ? t('app.analyzing') : t('app.analyze')}</button>
         </div>
         {error && <div className="alert alert-danger">{error}</div>}
+        {queued && <div className="alert alert-warning">{queued}</div>}
         {result && (
           <div className="card p-3">
-            {result.disease && <div><strong>Disease:</strong> {result.disease}</div>}
-            {result.severity && <div><strong>Severity:</strong> {result.severity}</div>}
-            {result.treatment && <div><strong>Treatment:</strong> {result.treatment}</div>}
-            {result.nutrientWater && <div><strong>Nutrient/Water:</strong> {result.nutrientWater}</div>}
-            {result.additionalAdvice && <div><strong>Advice:</strong> {result.additionalAdvice}</div>}
-            {result.raw && <pre className="mt-2 small">{result.raw}</pre>}
+            {result.queuedAt && <div className="text-muted small mb-2">{t('app.photoQueued', { age: describeAge(result.queuedAt, language) })}</div>}
+            {result.disease && <div><strong>{t('app.disease')}</strong> {result.disease}</div>}
+            {result.severity && <div><strong>{t('app.severity')}</strong> {t(`severity.${result.severity}`)}</div>}
+            {result.treatment && <div><strong>{t('app.treatment')}</strong> {result.treatment}</div>}
+            {result.nutrientWater && <div><strong>{t('app.nutrientWater')}</strong> {result.nutrientWater}</div>}
+            {result.additionalAdvice && <div><strong>{t('app.advice')}</strong> {result.additionalAdvice}</div>}
           </div>
         )}
       </div>
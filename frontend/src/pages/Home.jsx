@@ -1,6 +1,8 @@
 import React, { useEffect, useRef } from 'react'
+import { useI18n } from '../i18n'
 
 export default function Home(){
+  const { t } = useI18n()
   const heroRef = useRef(null)
 
   // Add lightweight parallax and subtle motion (mobile-first: gentle or disabled on low-motion)
@@ -45,11 +47,11 @@ export default function Home(){
   return (
     <header ref={heroRef} className="hero-section text-center">
       <div className="container">
-        <h1 className="hero-title">Farmer Aid</h1>
-        <p className="hero-tagline">Smart weather, crop guidance & disease suggestions for Pakistani farmers</p>
+        <h1 className="hero-title">{t('brand.name')}</h1>
+        <p className="hero-tagline">{t('app.homeTagline')}</p>
         <div className="hero-ctas mt-3">
-          <a className="btn btn-success btn-lg me-2 hero-cta-animated" href="/weather">Check Weather</a>
-          <a className="btn btn-outline-success btn-lg hero-cta-animated" href="/ai">AI Assistant</a>
+          <a className="btn btn-success btn-lg me-2 hero-cta-animated" href="/weather">{t('home.checkWeather')}</a>
+          <a className="btn btn-outline-success btn-lg hero-cta-animated" href="/ai">{t('nav.assistant')}</a>
         </div>
       </div>
     </header>
@@ -1,42 +1,86 @@
-import React, { useState } from 'react'
+import React, { useEffect, useState } from 'react'
 import api from '../services/api'
 import TempChart from '../components/TempChart'
-
-function mapWeather(code){
-  const map = {0:'Clear',1:'Mainly clear',2:'Partly cloudy',3:'Overcast'}
-  return map[code] || 'Unknown'
-}
+import GddChart from '../components/GddChart'
+import { resolveDistrict, detectZoneFromCoords, describeWeatherCode, describeAge } from '@farmer-aid/agronomy'
+import { farmFieldOptions, getSelectedFarm, saveSelectedFarm } from '../../js/farms.js'
+import { useI18n } from '../i18n'
 
 export default function Weather(){
+  const { t, language, locale } = useI18n()
   const [city, setCity] = useState('Lahore')
   const [loading, setLoading] = useState(false)
   const [weather, setWeather] = useState(null)
   const [error, setError] = useState(null)
+  const [farmOptions, setFarmOptions] = useState([])
+  const [farmValue, setFarmValue] = useState('')
+  const [thermal, setThermal] = useState(null)
+
+  const showForecast = async (lat, lon, location, districtName) => {
+    const { data: wd, error: wError, cachedAt } = await api.weather({ latitude: lat, longitude: lon })
+    if (wError) throw new Error(typeof wError === 'string' ? wError : JSON.stringify(wError))
+    const place = resolveDistrict(districtName || location)
+    setWeather({location, district: place?.district, zone: place?.province || detectZoneFromCoords(lat, lon), current: wd.current, daily: wd.daily, cachedAt})
+  }
 
   const lookup = async () => {
     setError(null); setLoading(true)
+    setFarmValue(''); saveSelectedFarm(null); setThermal(null)
     try{
       const { data: gd, error: gError } = await api.geocode({ name: city, count: 1, language: 'en' })
       if (gError) throw new Error(typeof gError === 'string' ? gError : JSON.stringify(gError))
       const r = gd.results && gd.results[0]
-      if(!r) throw new Error('Location not found')
-      const lat = r.latitude; const lon = r.longitude
-      const { data: wd, error: wError } = await api.weather({ latitude: lat, longitude: lon })
-      if (wError) throw new Error(typeof wError === 'string' ? wError : JSON.stringify(wError))
-      setWeather({location: r.name, current: wd.current_weather, daily: wd.daily})
+      if(!r) throw new Error(t('app.locationNotFound'))
+      await showForecast(r.latitude, r.longitude, r.name)
     }catch(e){
       setError(e.message)
     }finally{ setLoading(false) }
   }
 
+  const loadFarm = async (option) => {
+    setFarmValue(option ? option.value : '')
+    saveSelectedFarm(option ? { farmId: option.farm.id, fieldId: option.field.id } : null)
+    setThermal(null)
+    if (!option) return
+    setError(null); setLoading(true)
+    try{
+      const { field } = option
+      await showForecast(field.latitude, field.longitude, option.label, option.farm.district)
+      // Degree days since sowing; a failure only hides the chart
+      if (field.sowingDate) {
+        const { data } = await api.gdd({ lat: field.latitude, lon: field.longitude, crop: field.crop, start: field.sowingDate })
+        if (data) setThermal(data)
+      }
+    }catch(e){
+      setError(e.message)
+    }finally{ setLoading(false) }
+  }
+
+  // Saved farms; reopen the one picked last time (on this page or the static pages)
+  useEffect(() => {
+    api.listFarms().then(({ data }) => {
+      const options = farmFieldOptions(data?.farms)
+      setFarmOptions(options)
+      const saved = getSelectedFarm()
+      const remembered = saved && options.find(o => o.value === `${saved.farmId}:${saved.fieldId}`)
+      if (remembered) loadFarm(remembered)
+    })
+  }, [])
+
   return (
     <section id="weather" className="py-5">
       <div className="container">
-        <h1>Weather Page</h1>
-        <h2 className="mb-4">Weather</h2>
+        <h1>{t('app.weatherPage')}</h1>
+        <h2 className="mb-4">{t('nav.weather')}</h2>
         <div className="mb-3 d-flex gap-2">
           <input className="form-control" value={city} onChange={e=>setCity(e.target.value)} />
-          <button className="btn btn-success" onClick={lookup} disabled={loading}>{loading ? 'Loading…' : 'Search'}</button>
+          <button className="btn btn-success" onClick={lookup} disabled={loading}>{loading ? t('app.loading') : t('weather.search')}</button>
+          {farmOptions.length > 0 && (
+            <select className="form-select" style={{maxWidth:260}} value={farmValue} onChange={e => loadFarm(farmOptions.find(o => o.value === e.target.value))} aria-label={t('app.savedFarm')}>
+              <option value="">{t('weather.myFarms')}</option>
+              {farmOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          )}
         </div>
         {error && <div className="alert alert-danger">{error}</div>}
 
@@ -53,20 +97,41 @@ export default function Weather(){
           <>
             <div className="card p-3 mb-3">
               <h5>{weather.location}</h5>
-              <div>Temperature: {Math.round(weather.current.temperature)}°C</div>
-              <div>Condition: {mapWeather(weather.current.weathercode)}</div>
+              <div className="text-muted small mb-2">{weather.district ? t('app.district', { district: weather.district }) : ''}{weather.zone}</div>
+              {weather.cachedAt && (
+                <div className="mb-2">
+                  <span className="badge bg-warning text-dark" title={t('app.offlineTitle', { time: new Date(weather.cachedAt).toLocaleString(locale) })}>
+                    {t('weather.forecastAge', { age: describeAge(weather.cachedAt, language) })}
+                  </span>
+                </div>
+              )}
+              <div>{t('app.temperature', { value: Math.round(weather.current.temperature) })}</div>
+              <div>{t('app.condition', { condition: describeWeatherCode(weather.current.weatherCode, language) })}</div>
             </div>
 
             {weather.daily && (
               <div className="card p-3">
-                <h6 className="mb-3">5-day Temperature Trend</h6>
+                <h6 className="mb-3">{t('app.trendTitle')}</h6>
                 <TempChart
                   labels={weather.daily.time || []}
-                  max={weather.daily.temperature_2m_max || []}
-                  min={weather.daily.temperature_2m_min || []}
+                  max={weather.daily.temperatureMax || []}
+                  min={weather.daily.temperatureMin || []}
                 />
               </div>
             )}
+
+            {thermal && (
+              <div className="card p-3 mt-3">
+                <h6 className="mb-1">{t('app.gddTitle', { date: thermal.startDate })}</h6>
+                <div className="text-muted small mb-3">
+                  {t('app.gddSoFar', { gdd: Math.round(thermal.totals.gddToDate), total: Math.round(thermal.totals.gdd), base: thermal.baseTemp })}
+                </div>
+                <GddChart days={thermal.days} />
+                {thermal.targets.filter(target => !target.reached).slice(0, 3).map(target => (
+                  <div key={target.key} className="small mt-1">{t(target.source === 'climate' ? 'app.targetClimate' : 'app.target', { name: target.name, date: target.date || t('app.notWithinYear') })}</div>
+                ))}
+              </div>
+            )}
           </>
         )}
       </div>
@@ -1,16 +1,22 @@
 import axios from 'axios'
+import { streamGemini } from '../../js/ai-stream.js'
+import { cachedAtFrom, isOfflineError, queueRequest, onQueuedResults } from '../../js/offline.js'
+import { userHeaders, messagesUrl, askInConversation as askInThread } from '../../js/conversations.js'
+
+const API_BASE = import.meta.env.VITE_API_BASE || '/api'
 
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE || '/api',
+  baseURL: API_BASE,
   timeout: 20000,
   headers: { 'Content-Type': 'application/json' }
 })
 
-// Response wrapper to normalize errors
+// Response wrapper to normalize errors. cachedAt is set (ISO time) when the service worker answered
+// from its offline cache instead of the network
 const handleResponse = async (promise) => {
   try {
     const res = await promise
-    return { data: res.data, error: null }
+    return { data: res.data, error: null, cachedAt: cachedAtFrom(res.headers) }
   } catch (err) {
     const message = err?.response?.data?.error || err?.response?.data || err.message || 'Network error'
     return { data: null, error: message }
@@ -21,16 +27,232 @@ export const geocode = async (params) => {
   return handleResponse(api.get('/geocode', { params }))
 }
 
+// params: { latitude, longitude, days?, bundles? } -> normalized forecast; days is 1-16 (default 7),
+// bundles a comma-separated subset of basic, agronomy (default), spray, irrigation
 export const weather = async (params) => {
   return handleResponse(api.get('/weather', { params }))
 }
 
+// params: { lat, lon, crop, district?, zone?, thresholds?, sowingDate? } (thresholds is sent as JSON)
+export const suitability = async ({ thresholds, ...params }) => {
+  if (thresholds) params.thresholds = JSON.stringify(thresholds)
+  return handleResponse(api.get('/suitability', { params }))
+}
+
+// params: { lat, lon, start, crop?, base?, upper?, chill?, targets?, chillTargets? } -> growing degree days / chill since `start`
+export const gdd = async (params) => {
+  return handleResponse(api.get('/gdd', { params }))
+}
+
+// params: { lat, lon, crop, sowingDate, soil?, awc?, rootDepth?, efficiency?, maxDepth?, areaAcres?, irrigations?, horizon? }
+// -> FAO-56 water balance and irrigation schedule; irrigations is "YYYY-MM-DD:mm,..."
+export const irrigation = async (params) => {
+  return handleResponse(api.get('/irrigation', { params }))
+}
+
+// params: { lat, lon, crop, sowingDate? } -> daily disease risk index per model from the hourly forecast
+export const diseaseRisk = async (params) => {
+  return handleResponse(api.get('/disease-risk', { params }))
+}
+
+// params: { lat, lon, start, end } (YYYY-MM-DD, at most 366 days) -> observed daily weather from the archive
+export const history = async (params) => {
+  return handleResponse(api.get('/history', { params }))
+}
+
+// params: { lat, lon, years?, start?, end? } -> daily normals (default 1991-2020); without
+// start/end, anomalies compares the forecast with them
+export const normals = async (params) => {
+  return handleResponse(api.get('/normals', { params }))
+}
+
+// params: { districts: 'Multan,Lahore,...', crop, sowingDate? } -> per-district forecast, suitability
+// and risk flags (2-8 districts, fetched in parallel by the backend)
+export const compare = async (params) => {
+  return handleResponse(api.get('/compare', { params }))
+}
+
+// Farm profiles: data is { farms } / { farm }; farm bodies are { name, owner?, district?, fields: [...] }.
+// Farms belong to this browser's X-User-Id (js/conversations.js), like conversation threads.
+const asUser = () => ({ headers: userHeaders() })
+
+export const listFarms = async () => {
+  return handleResponse(api.get('/farms', asUser()))
+}
+
+export const getFarm = async (id) => {
+  return handleResponse(api.get(`/farms/${encodeURIComponent(id)}`, asUser()))
+}
+
+export const createFarm = async (farm) => {
+  return handleResponse(api.post('/farms', farm, asUser()))
+}
+
+export const updateFarm = async (id, farm) => {
+  return handleResponse(api.put(`/farms/${encodeURIComponent(id)}`, farm, asUser()))
+}
+
+export const deleteFarm = async (id) => {
+  return handleResponse(api.delete(`/farms/${encodeURIComponent(id)}`, asUser()))
+}
+
+// Assistant conversation threads. Every call carries this browser's X-User-Id (js/conversations.js);
+// the server keeps the messages and folds older ones into a running summary for the model's context.
+
+export const listConversations = async () => {
+  return handleResponse(api.get('/conversations', asUser()))
+}
+
+export const getConversation = async (id) => {
+  return handleResponse(api.get(`/conversations/${encodeURIComponent(id)}`, asUser()))
+}
+
+// body is { title?, messages? }; without a connection errorCode is NETWORK_ERROR (a new thread
+// cannot be queued, questions in an existing one can)
+export const createConversation = async (body = {}) => {
+  try {
+    const res = await api.post('/conversations', body, asUser())
+    return { data: res.data, error: null }
+  } catch (err) {
+    return { data: null, error: err?.response?.data?.error || err.message || 'Network error', errorCode: isOfflineError(err) ? 'NETWORK_ERROR' : null }
+  }
+}
+
+export const renameConversation = async (id, title) => {
+  return handleResponse(api.patch(`/conversations/${encodeURIComponent(id)}`, { title }, asUser()))
+}
+
+export const deleteConversation = async (id) => {
+  return handleResponse(api.delete(`/conversations/${encodeURIComponent(id)}`, asUser()))
+}
+
+// Asks a question ({ text, system?, lang? }) in a thread and streams the answer; same contract as
+// geminiStream, and data also holds the saved `message` and the thread's list entry (`conversation`)
+export const askInConversation = async (id, question, { onText, onTool, signal } = {}) => {
+  try {
+    const data = await askInThread(id, question, { onText, onTool, signal, base: API_BASE })
+    return { data, error: null }
+  } catch (err) {
+    if (err.name === 'AbortError') return { data: { text: err.partialText || '', finishReason: 'ABORTED' }, error: 'aborted' }
+    return { data: null, error: err.message || 'Network error', errorCode: isOfflineError(err) ? 'NETWORK_ERROR' : null }
+  }
+}
+
 export const gemini = async (body) => {
   return handleResponse(api.post('/gemini', body))
 }
 
+// Uploads a plant photo (File/Blob) for diagnosis; options are { crop?, notes?, lang? }, lang ('en' | 'ur')
+// being the language of the returned text. data is { diagnosis }; a schema mismatch from the
+// model comes back as an error with code DIAGNOSIS_SCHEMA_MISMATCH in `errorCode`, no connection as
+// NETWORK_ERROR (the upload can then be queued, see js/offline.js).
+const diagnoseForm = (image, { crop, notes, lang } = {}) => {
+  const form = new FormData()
+  form.append('image', image, image.name || 'plant.jpg')
+  if (crop) form.append('crop', crop)
+  if (notes) form.append('notes', notes)
+  if (lang) form.append('lang', lang)
+  return form
+}
+
+export const diagnose = async (image, options) => {
+  const form = diagnoseForm(image, options)
+  try {
+    // multipart header keeps axios from serializing the FormData as JSON (the instance default)
+    const res = await api.post('/diagnose', form, { headers: { 'Content-Type': 'multipart/form-data' }, timeout: 60000 })
+    return { data: res.data, error: null }
+  } catch (err) {
+    const body = err?.response?.data
+    return { data: null, error: body?.details && !Array.isArray(body.details) ? body.details : (body?.error || err.message || 'Network error'), errorCode: body?.code || (isOfflineError(err) ? 'NETWORK_ERROR' : null) }
+  }
+}
+
+// Push-to-talk: sends a recording (Blob from js/voice.js) for transcription. data is { text }, '' when
+// no speech was recognized; lang ('en' | 'ur') is the page language, a hint for the model.
+export const transcribe = async (audio, { lang } = {}) => {
+  const form = new FormData()
+  form.append('audio', audio, `question.${(audio.type.split('/')[1] || 'webm').split(';')[0]}`)
+  if (lang) form.append('lang', lang)
+  try {
+    const res = await api.post('/transcribe', form, { headers: { 'Content-Type': 'multipart/form-data' }, timeout: 60000 })
+    return { data: res.data, error: null }
+  } catch (err) {
+    const body = err?.response?.data
+    return { data: null, error: body?.details || body?.error || err.message || 'Network error', errorCode: isOfflineError(err) ? 'NETWORK_ERROR' : null }
+  }
+}
+
+// JSON mode: body is { schema, prompt | contents, ... }. data is { schema, data, attempts }; when the
+// model never matched the schema, error is the message and errorCode is SCHEMA_VALIDATION_FAILED.
+export const geminiJson = async (schema, body) => {
+  try {
+    const res = await api.post('/gemini/json', { ...body, schema }, { timeout: 60000 })
+    return { data: res.data, error: null }
+  } catch (err) {
+    const resBody = err?.response?.data
+    return { data: null, error: resBody?.error || err.message || 'Network error', errorCode: resBody?.code || null }
+  }
+}
+
+// Streams an answer over SSE (axios cannot read a streaming body in the browser). body is
+// { prompt | contents, ..., lang? }; lang ('en' | 'ur') is the language the answer is written in.
+// onText(chunk, textSoFar) fires per chunk; abort `signal` to cancel. Resolves to { data, error }
+// like the other helpers, where data is { text, finishReason }. On abort, error is 'aborted'
+// and data.text holds the partial answer; without a connection errorCode is NETWORK_ERROR.
+export const geminiStream = async (body, { onText, onTool, signal } = {}) => {
+  try {
+    const data = await streamGemini(`${API_BASE}/gemini/stream`, body, { onText, onTool, signal })
+    return { data, error: null }
+  } catch (err) {
+    if (err.name === 'AbortError') return { data: { text: err.partialText || '', finishReason: 'ABORTED' }, error: 'aborted' }
+    return { data: null, error: err.message || 'Network error', errorCode: isOfflineError(err) ? 'NETWORK_ERROR' : null }
+  }
+}
+
+// Offline outbox (js/offline.js): requests queued without a connection are sent by the service worker
+// when it returns. Queueing rejects when no service worker controls the page. Handlers receive
+// { ok, status, body, meta, queuedAt, completedAt }, body being what diagnose / the conversation
+// messages route would return ({ message, conversation }).
+export const queueDiagnose = (image, options) => {
+  return queueRequest('app-diagnosis', `${API_BASE}/diagnose`, { formData: diagnoseForm(image, options) })
+}
+
+export const onQueuedDiagnoses = (handler) => onQueuedResults('app-diagnosis', handler)
+
+export const queueQuestion = (conversationId, question, meta) => {
+  return queueRequest('app-chat', messagesUrl(conversationId, API_BASE), { json: question, headers: userHeaders(), meta })
+}
+
+export const onQueuedAnswers = (handler) => onQueuedResults('app-chat', handler)
+
 export default {
   geocode,
   weather,
+  suitability,
+  gdd,
+  irrigation,
+  diseaseRisk,
+  history,
+  normals,
+  compare,
+  listFarms,
+  getFarm,
+  createFarm,
+  updateFarm,
+  deleteFarm,
+  listConversations,
+  getConversation,
+  createConversation,
+  renameConversation,
+  deleteConversation,
+  askInConversation,
   gemini,
+  geminiJson,
+  geminiStream,
+  diagnose,
+  transcribe,
+  queueDiagnose,
+  onQueuedDiagnoses,
+  queueQuestion,
+  onQueuedAnswers,
 }
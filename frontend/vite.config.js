@@ -1,9 +1,13 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 
 // Vite dev server proxy to avoid CORS while developing
 export default defineConfig({
   server: {
     port: 5173,
+    // Allow serving the linked shared package (../packages/agronomy) in dev
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), '../packages']
+    },
     proxy: {
       '/api': {
         target: 'http://localhost:5000',
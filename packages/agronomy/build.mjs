@@ -0,0 +1,19 @@
+// Builds the package for every consumer:
+//   lib/index.mjs         ES module (Vite / React app)
+//   lib/index.cjs         CommonJS (backend and the api/ serverless copy)
+//   frontend/js/agronomy.js  classic script for the static pages (window.FarmerAgronomy + legacy globals)
+// Outputs are committed so the backend, serverless functions and static pages work without a build step;
+// run `npm run build` after editing src/.
+import { build } from 'esbuild';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const root = path.dirname(fileURLToPath(import.meta.url));
+const banner = { js: '// Generated from packages/agronomy/src by `npm run build`. Do not edit by hand.' };
+const common = { bundle: true, platform: 'neutral', target: 'es2019', banner, logLevel: 'info' };
+
+await Promise.all([
+  build({ ...common, entryPoints: [path.join(root, 'src/index.js')], format: 'esm', outfile: path.join(root, 'lib/index.mjs') }),
+  build({ ...common, entryPoints: [path.join(root, 'src/index.js')], format: 'cjs', outfile: path.join(root, 'lib/index.cjs') }),
+  build({ ...common, entryPoints: [path.join(root, 'src/browser.js')], format: 'iife', outfile: path.join(root, '../../frontend/js/agronomy.js') })
+]);
@@ -0,0 +1,10 @@
+// Entry for the classic <script> build used by the static pages: exposes the package as
+// window.FarmerAgronomy and keeps the globals the old district_zones.js / punjab_thresholds.js provided.
+import * as agronomy from './index.js';
+
+window.FarmerAgronomy = agronomy;
+window.PROVINCE_DISTRICTS = agronomy.PROVINCE_DISTRICTS;
+window.PUNJAB_DISTRICT_THRESHOLDS = agronomy.PUNJAB_DISTRICT_THRESHOLDS;
+window.getZoneFromDistrictMap = agronomy.getZoneFromDistrictMap;
+window.getDistrictFromName = agronomy.getDistrictFromName;
+window.getPunjabDistrictThreshold = agronomy.getPunjabDistrictThreshold;
@@ -0,0 +1,141 @@
+// Daily climate normals and forecast anomalies. Normals are built from a multi-year daily history
+// (e.g. the 1991–2020 archive): every calendar day averages all years over a ±window-day span,
+// which smooths out single-year noise. Feb 29 has its own slot and borrows from its neighbours.
+
+export const NORMAL_PERIOD = { startYear: 1991, endYear: 2020 };
+export const NORMAL_WINDOW_DAYS = 7;
+
+const SLOTS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEAP_START = Date.UTC(2000, 0, 1);
+
+// 0..365 calendar slot of a YYYY-MM-DD date (Feb 29 = 59)
+function slotOf(date) {
+  const md = String(date).slice(5, 10);
+  return Math.round((Date.parse(`2000-${md}T00:00:00Z`) - LEAP_START) / DAY_MS);
+}
+
+function monthDay(slot) {
+  return new Date(LEAP_START + slot * DAY_MS).toISOString().slice(5, 10);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function stdDev(values, avg) {
+  if (values.length < 2) return null;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Daily normals from a daily history ({ time[], temperatureMax[], temperatureMin[], precipitation[] }).
+ * Returns { 'MM-DD': { temperatureMax, temperatureMin, precipitation, temperatureMaxSd, temperatureMinSd,
+ * samples } } for all 366 calendar days; values are null when the history has no data near that day.
+ */
+export function dailyNormals(history, { window = NORMAL_WINDOW_DAYS } = {}) {
+  const bySlot = Array.from({ length: SLOTS }, () => ({ tMax: [], tMin: [], rain: [] }));
+  (history.time || []).forEach((date, i) => {
+    const slot = bySlot[slotOf(date)];
+    if (!slot) return;
+    const tMax = history.temperatureMax ? history.temperatureMax[i] : null;
+    const tMin = history.temperatureMin ? history.temperatureMin[i] : null;
+    const rain = history.precipitation ? history.precipitation[i] : null;
+    if (typeof tMax === 'number') slot.tMax.push(tMax);
+    if (typeof tMin === 'number') slot.tMin.push(tMin);
+    if (typeof rain === 'number') slot.rain.push(rain);
+  });
+
+  const normals = {};
+  for (let s = 0; s < SLOTS; s++) {
+    const span = { tMax: [], tMin: [], rain: [] };
+    for (let d = -window; d <= window; d++) {
+      const src = bySlot[(s + d + SLOTS) % SLOTS];
+      span.tMax.push(...src.tMax);
+      span.tMin.push(...src.tMin);
+      span.rain.push(...src.rain);
+    }
+    const tMax = mean(span.tMax);
+    const tMin = mean(span.tMin);
+    const rain = mean(span.rain);
+    normals[monthDay(s)] = {
+      temperatureMax: round1(tMax),
+      temperatureMin: round1(tMin),
+      precipitation: round1(rain),
+      temperatureMaxSd: round1(stdDev(span.tMax, tMax)),
+      temperatureMinSd: round1(stdDev(span.tMin, tMin)),
+      samples: span.tMax.length
+    };
+  }
+  return normals;
+}
+
+/** Normals for each YYYY-MM-DD in `dates`: [{ date, temperatureMax, temperatureMin, precipitation, ... }]. */
+export function normalsFor(normals, dates) {
+  return (dates || []).map((date) => ({ date, ...(normals[String(date).slice(5, 10)] || {}) }));
+}
+
+/** 'much warmer' | 'warmer' | 'near normal' | 'cooler' | 'much cooler' for a temperature anomaly (°C). */
+export function describeTemperatureAnomaly(anomaly) {
+  if (anomaly === null || anomaly === undefined) return null;
+  if (anomaly >= 3) return 'much warmer';
+  if (anomaly >= 1.5) return 'warmer';
+  if (anomaly <= -3) return 'much cooler';
+  if (anomaly <= -1.5) return 'cooler';
+  return 'near normal';
+}
+
+/**
+ * Forecast minus normal for every forecast day (normalized `daily` block). Returns
+ * { days: [{ date, temperatureMax, temperatureMaxNormal, temperatureMaxAnomaly, temperatureMin,
+ * temperatureMinNormal, temperatureMinAnomaly, precipitation, precipitationNormal, precipitationAnomaly }],
+ * summary: { days, temperatureMaxAnomaly, temperatureMinAnomaly, temperatureTrend, precipitation,
+ * precipitationNormal, precipitationPercent } } with mean temperature anomalies and rain totals;
+ * precipitationPercent is null when the normal total is under 1 mm.
+ */
+export function forecastAnomalies(daily = {}, normals) {
+  const diff = (value, normal) => (typeof value === 'number' && typeof normal === 'number' ? round1(value - normal) : null);
+  const days = (daily.time || []).map((date, i) => {
+    const normal = normals[String(date).slice(5, 10)] || {};
+    const tMax = daily.temperatureMax ? daily.temperatureMax[i] : null;
+    const tMin = daily.temperatureMin ? daily.temperatureMin[i] : null;
+    const rain = daily.precipitation ? daily.precipitation[i] : null;
+    return {
+      date,
+      temperatureMax: tMax ?? null,
+      temperatureMaxNormal: normal.temperatureMax ?? null,
+      temperatureMaxAnomaly: diff(tMax, normal.temperatureMax),
+      temperatureMin: tMin ?? null,
+      temperatureMinNormal: normal.temperatureMin ?? null,
+      temperatureMinAnomaly: diff(tMin, normal.temperatureMin),
+      precipitation: rain ?? null,
+      precipitationNormal: normal.precipitation ?? null,
+      precipitationAnomaly: diff(rain, normal.precipitation)
+    };
+  });
+
+  const valid = (key) => days.map((d) => d[key]).filter((v) => typeof v === 'number');
+  const maxAnomaly = mean(valid('temperatureMaxAnomaly'));
+  const minAnomaly = mean(valid('temperatureMinAnomaly'));
+  const rainDays = days.filter((d) => typeof d.precipitation === 'number' && typeof d.precipitationNormal === 'number');
+  const rain = rainDays.reduce((sum, d) => sum + d.precipitation, 0);
+  const rainNormal = rainDays.reduce((sum, d) => sum + d.precipitationNormal, 0);
+  const overall = maxAnomaly === null || minAnomaly === null ? (maxAnomaly ?? minAnomaly) : (maxAnomaly + minAnomaly) / 2;
+
+  return {
+    days,
+    summary: {
+      days: days.length,
+      temperatureMaxAnomaly: round1(maxAnomaly),
+      temperatureMinAnomaly: round1(minAnomaly),
+      temperatureTrend: describeTemperatureAnomaly(overall),
+      precipitation: round1(rain),
+      precipitationNormal: round1(rainNormal),
+      precipitationPercent: rainNormal >= 1 ? Math.round((rain / rainNormal) * 100) : null
+    }
+  };
+}
+
+function round1(n) {
+  return typeof n === 'number' ? Math.round(n * 10) / 10 : null;
+}
@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { dailyNormals, normalsFor, describeTemperatureAnomaly, forecastAnomalies } from './climate.js';
+
+// Daily history for `years`, with `value(date, year)` returning [tMax, tMin, rain]
+function history(years, value) {
+  const block = { time: [], temperatureMax: [], temperatureMin: [], precipitation: [] };
+  years.forEach((year) => {
+    for (let t = Date.UTC(year, 0, 1); t < Date.UTC(year + 1, 0, 1); t += 24 * 60 * 60 * 1000) {
+      const date = new Date(t).toISOString().slice(0, 10);
+      const [tMax, tMin, rain] = value(date, year);
+      block.time.push(date);
+      block.temperatureMax.push(tMax);
+      block.temperatureMin.push(tMin);
+      block.precipitation.push(rain);
+    }
+  });
+  return block;
+}
+
+test('dailyNormals averages every year over the window around each calendar day', () => {
+  // one year 2 °C warmer than the other; rain only in July
+  const normals = dailyNormals(history([2019, 2020], (date, year) => [year === 2020 ? 32 : 30, 20, date.slice(5, 7) === '07' ? 4 : 0]));
+  assert.equal(Object.keys(normals).length, 366);
+  assert.deepEqual(normals['06-01'], {
+    temperatureMax: 31, temperatureMin: 20, precipitation: 0, temperatureMaxSd: 1, temperatureMinSd: 0, samples: 30
+  });
+  assert.equal(normals['07-15'].precipitation, 4);
+  // seven days either side: 06-27..07-11 holds 11 July days out of 15
+  assert.equal(normals['07-04'].precipitation, 2.9);
+  // Feb 29 only exists in 2020 but borrows its neighbours from both years
+  assert.equal(normals['02-29'].samples, 29);
+  // the window wraps around the new year: 12-25..01-08, two years each
+  assert.equal(normals['01-01'].samples, 30);
+});
+
+test('dailyNormals leaves days without nearby data null and skips missing values', () => {
+  const sparse = { time: ['2020-03-10', '2020-03-11'], temperatureMax: [25, null], temperatureMin: [12, 14] };
+  const normals = dailyNormals(sparse, { window: 1 });
+  assert.deepEqual(normals['03-10'], {
+    temperatureMax: 25, temperatureMin: 13, precipitation: null, temperatureMaxSd: null, temperatureMinSd: 1.4, samples: 1
+  });
+  assert.equal(normals['06-01'].temperatureMax, null);
+  assert.equal(normals['06-01'].samples, 0);
+});
+
+test('normalsFor looks up each date by month and day', () => {
+  const normals = { '11-20': { temperatureMax: 24 } };
+  assert.deepEqual(normalsFor(normals, ['2025-11-20', '2025-11-21']), [{ date: '2025-11-20', temperatureMax: 24 }, { date: '2025-11-21' }]);
+  assert.deepEqual(normalsFor(normals, undefined), []);
+});
+
+test('describeTemperatureAnomaly names the size of an anomaly', () => {
+  assert.deepEqual([3, 1.5, 1.4, -1.5, -3].map(describeTemperatureAnomaly), ['much warmer', 'warmer', 'near normal', 'cooler', 'much cooler']);
+  assert.equal(describeTemperatureAnomaly(null), null);
+});
+
+test('forecastAnomalies compares each forecast day with its normal and summarizes the week', () => {
+  const normals = {
+    '11-20': { temperatureMax: 24, temperatureMin: 10, precipitation: 0.5 },
+    '11-21': { temperatureMax: 23.5, temperatureMin: 9.5, precipitation: 0.5 }
+  };
+  const daily = { time: ['2025-11-20', '2025-11-21', '2025-11-22'], temperatureMax: [28, 27], temperatureMin: [12, null], precipitation: [3, 0] };
+  const { days, summary } = forecastAnomalies(daily, normals);
+  assert.deepEqual(days[0], {
+    date: '2025-11-20',
+    temperatureMax: 28,
+    temperatureMaxNormal: 24,
+    temperatureMaxAnomaly: 4,
+    temperatureMin: 12,
+    temperatureMinNormal: 10,
+    temperatureMinAnomaly: 2,
+    precipitation: 3,
+    precipitationNormal: 0.5,
+    precipitationAnomaly: 2.5
+  });
+  assert.equal(days[1].temperatureMinAnomaly, null);
+  // a day without normals or readings has no anomalies
+  assert.equal(days[2].temperatureMaxAnomaly, null);
+  assert.deepEqual(summary, {
+    days: 3,
+    temperatureMaxAnomaly: 3.8,
+    temperatureMinAnomaly: 2,
+    temperatureTrend: 'warmer',
+    precipitation: 3,
+    precipitationNormal: 1,
+    precipitationPercent: 300
+  });
+});
+
+test('forecastAnomalies leaves the rain percentage out when the normal is under 1 mm', () => {
+  const { summary } = forecastAnomalies({ time: ['2025-11-20'], temperatureMax: [24], precipitation: [2] }, { '11-20': { temperatureMax: 24, precipitation: 0.2 } });
+  assert.equal(summary.precipitationPercent, null);
+  assert.equal(summary.temperatureMinAnomaly, null);
+  assert.equal(summary.temperatureTrend, 'near normal');
+  assert.equal(forecastAnomalies(undefined, {}).summary.days, 0);
+});
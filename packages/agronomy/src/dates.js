@@ -0,0 +1,16 @@
+// Calendar-day arithmetic on 'YYYY-MM-DD' strings (UTC day numbers, so DST never shifts a date).
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function toDayNumber(isoDate) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(isoDate || ''));
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / DAY_MS : NaN;
+}
+
+export function toIsoDate(dayNumber) {
+  return new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function localIsoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,268 @@
+// Hourly weather-driven disease risk. Infection depends on how long leaves stay wet at a suitable
+// temperature, not on daily averages, so the models work on the hourly series: leaf-wetness hours
+// (RH >= 90% or rain, the usual proxy without a wetness sensor), humid hours within a temperature
+// band, and rain events. Each model turns one day's counts into a 0–100 index with an explanation.
+//
+// Wet spells that run past midnight (the usual night-dew pattern) count towards the day they
+// started on.
+
+import { stageOn } from './phenology.js';
+
+export const WET_RH = 90;
+// At least this much rain in an hour wets the canopy
+const WET_RAIN_MM = 0.1;
+
+export const RISK_LEVELS = [
+  { level: 'Low', min: 0 },
+  { level: 'Moderate', min: 35 },
+  { level: 'High', min: 65 }
+];
+
+/** 'Low' | 'Moderate' | 'High' for a 0–100 risk index. */
+export function riskLevel(index) {
+  let level = RISK_LEVELS[0].level;
+  RISK_LEVELS.forEach((l) => { if (index >= l.min) level = l.level; });
+  return level;
+}
+
+/**
+ * Hourly readings as [{ time, date, temp, rh, rain, wet }] from a normalized hourly block
+ * ({ time[], temperature[], humidity[], rain[] }); hours without temperature or humidity are skipped.
+ */
+export function toHours(hourly = {}) {
+  const hours = [];
+  (hourly.time || []).forEach((time, i) => {
+    const temp = hourly.temperature ? hourly.temperature[i] : null;
+    const rh = hourly.humidity ? hourly.humidity[i] : null;
+    if (typeof temp !== 'number' || typeof rh !== 'number') return;
+    const rain = hourly.rain && typeof hourly.rain[i] === 'number' ? hourly.rain[i] : 0;
+    hours.push({ time, date: String(time).slice(0, 10), temp, rh, rain, wet: rh >= WET_RH || rain >= WET_RAIN_MM });
+  });
+  return hours;
+}
+
+/**
+ * Runs of consecutive hours matching `test`, as [{ start, date, hours, meanTemp, readings }]
+ * (`date` is the day the run started). A missing hour ends a run.
+ */
+export function findSpells(hours, test) {
+  const spells = [];
+  let current = null;
+  hours.forEach((h, i) => {
+    const prev = hours[i - 1];
+    const contiguous = prev && Date.parse(h.time) - Date.parse(prev.time) <= 60 * 60 * 1000;
+    if (test(h)) {
+      if (!current || !contiguous) {
+        current = { start: h.time, date: h.date, readings: [] };
+        spells.push(current);
+      }
+      current.readings.push(h);
+    } else {
+      current = null;
+    }
+  });
+  return spells.map((s) => ({
+    ...s,
+    hours: s.readings.length,
+    meanTemp: s.readings.reduce((sum, h) => sum + h.temp, 0) / s.readings.length
+  }));
+}
+
+/**
+ * Per-day counts from hourly readings: { date, hours, wetHours, rainHours, rainMm, rainEvents,
+ * minTemp, maxTemp, spells, readings } where `spells` are the leaf-wetness spells that started that
+ * day and `readings` its hours.
+ * A rain event is a run of hours with rain (>= 0.1 mm).
+ */
+export function summarizeHours(hours) {
+  const days = new Map();
+  hours.forEach((h) => {
+    const day = days.get(h.date) || { date: h.date, hours: 0, wetHours: 0, rainHours: 0, rainMm: 0, rainEvents: 0, minTemp: Infinity, maxTemp: -Infinity, spells: [], readings: [] };
+    day.hours++;
+    if (h.wet) day.wetHours++;
+    if (h.rain >= WET_RAIN_MM) day.rainHours++;
+    day.rainMm += h.rain;
+    day.minTemp = Math.min(day.minTemp, h.temp);
+    day.maxTemp = Math.max(day.maxTemp, h.temp);
+    day.readings.push(h);
+    days.set(h.date, day);
+  });
+  findSpells(hours, (h) => h.wet).forEach((s) => { if (days.has(s.date)) days.get(s.date).spells.push(s); });
+  findSpells(hours, (h) => h.rain >= WET_RAIN_MM).forEach((s) => { if (days.has(s.date)) days.get(s.date).rainEvents++; });
+  return [...days.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+// Hours of the day's readings that are humid (>= rh) with the temperature in [lo, hi]
+function humidHoursInBand(day, rh, [lo, hi]) {
+  return day.readings.filter((h) => h.rh >= rh && h.temp >= lo && h.temp <= hi).length;
+}
+
+// Longest wet spell of the day counting only the hours within the temperature band
+function longestWetInBand(day, [lo, hi]) {
+  let best = { hours: 0, meanTemp: null };
+  day.spells.forEach((s) => {
+    const inBand = s.readings.filter((h) => h.temp >= lo && h.temp <= hi);
+    if (inBand.length > best.hours) {
+      best = { hours: inBand.length, meanTemp: inBand.reduce((sum, h) => sum + h.temp, 0) / inBand.length };
+    }
+  });
+  return best;
+}
+
+function band([lo, hi]) {
+  return `${lo}–${hi}°C`;
+}
+
+/*
+ * Models. evaluate(day, context) -> { index, explanation }, where context holds the previous days'
+ * summaries (`previous`, most recent last). `stages` limits a model to susceptible growth stages
+ * when the crop's phenology is known.
+ */
+export const DISEASE_MODELS = {
+  // Stripe (yellow) rust infects at 7–15°C and leaf (brown) rust at 15–25°C, each after about
+  // 6 hours of continuous leaf wetness (Rapilly; de Vallavieille-Pope et al.)
+  wheatRust: {
+    name: 'Wheat rust (yellow / brown)',
+    pathogen: 'Puccinia striiformis, P. triticina',
+    crops: ['wheat'],
+    stages: ['tillering', 'jointing', 'booting', 'heading', 'grainFill'],
+    advice: 'Scout the lower leaves for yellow stripes or orange-brown pustules; if they appear, spray a recommended triazole fungicide.',
+    evaluate(day) {
+      const yellow = longestWetInBand(day, [7, 15]);
+      const brown = longestWetInBand(day, [15, 25]);
+      const [worst, name, range] = yellow.hours >= brown.hours
+        ? [yellow, 'yellow rust', [7, 15]]
+        : [brown, 'brown rust', [15, 25]];
+      let index = 0;
+      if (worst.hours >= 12) index = 90;
+      else if (worst.hours >= 8) index = 75;
+      else if (worst.hours >= 6) index = 60;
+      else if (worst.hours >= 3) index = 30;
+      else if (humidHoursInBand(day, 80, [7, 25]) >= 6) index = 15;
+      const explanation = worst.hours
+        ? `${worst.hours} h of continuous leaf wetness at ${band(range)} (mean ${worst.meanTemp.toFixed(1)}°C); ${name} needs about 6 h.`
+        : `No leaf-wetness spell at rust temperatures (${band([7, 25])}).`;
+      return { index, explanation };
+    }
+  },
+  // BLASTAM-style: infection when leaves stay wet for 10+ hours at a mean of 16–28°C, fastest
+  // around 24–28°C; shorter wet periods give partial risk
+  riceBlast: {
+    name: 'Rice blast',
+    pathogen: 'Magnaporthe oryzae',
+    crops: ['rice'],
+    stages: ['establishment', 'tillering', 'panicleInitiation', 'booting', 'flowering', 'grainFill'],
+    advice: 'Avoid late or heavy nitrogen, keep the field flooded, and check leaves and panicle necks for spindle-shaped lesions.',
+    evaluate(day) {
+      const wet = longestWetInBand(day, [16, 28]);
+      const optimal = wet.hours && wet.meanTemp >= 24;
+      let index = 0;
+      if (wet.hours >= 10) index = optimal ? 95 : 80;
+      else if (wet.hours >= 8) index = optimal ? 65 : 50;
+      else if (wet.hours >= 5) index = 35;
+      else if (humidHoursInBand(day, 85, [16, 28]) >= 8) index = 20;
+      const explanation = wet.hours
+        ? `${wet.hours} h of leaf wetness at ${band([16, 28])} (mean ${wet.meanTemp.toFixed(1)}°C); blast infects after about 10 h, fastest at 24–28°C.`
+        : `No leaf-wetness spell at blast temperatures (${band([16, 28])}).`;
+      return { index, explanation };
+    }
+  },
+  // Boll rots follow rain on open or opening bolls and long humid spells at 25–35°C
+  cottonBollRot: {
+    name: 'Cotton boll rot',
+    pathogen: 'Fungal and bacterial boll rots',
+    crops: ['cotton'],
+    stages: ['bollDevelopment', 'bollOpening', 'maturity'],
+    advice: 'Open up dense canopies, avoid irrigating before forecast rain, and pick open bolls promptly after rain.',
+    evaluate(day, { previous }) {
+      const humid = humidHoursInBand(day, 85, [25, 35]);
+      const rainyYesterday = previous.length > 0 && previous[previous.length - 1].rainMm >= 5;
+      let index = Math.min(60, humid * 4);
+      if (day.rainEvents) index += day.rainMm >= 10 ? 30 : 15;
+      if (day.rainMm >= 5 && rainyYesterday) index += 15;
+      index = Math.min(100, index);
+      const parts = [`${humid} humid hour(s) (RH ≥ 85%) at ${band([25, 35])}`];
+      parts.push(day.rainEvents ? `${day.rainEvents} rain event(s), ${day.rainMm.toFixed(1)} mm` : 'no rain');
+      if (day.rainMm >= 5 && rainyYesterday) parts.push('second wet day in a row');
+      return { index, explanation: `${parts.join('; ')}.` };
+    }
+  },
+  // Hutton criteria (AHDB): a day with a minimum of 10°C or more and at least 6 hours at RH ≥ 90%;
+  // two such days in a row make a Hutton period. 11+ humid hours is the older Smith criterion.
+  potatoLateBlight: {
+    name: 'Potato late blight',
+    pathogen: 'Phytophthora infestans',
+    crops: ['potato', 'vegetables'],
+    advice: 'Protect the crop with a preventive blight fungicide before the next humid spell and destroy infected haulms or cull piles.',
+    evaluate(day, { previous }) {
+      const humid = day.readings.filter((h) => h.rh >= WET_RH).length;
+      const qualifies = (d) => d.minTemp >= 10 && d.readings.filter((h) => h.rh >= WET_RH).length >= 6;
+      const today = qualifies(day);
+      const yesterday = previous.length > 0 && qualifies(previous[previous.length - 1]);
+      let index = 0;
+      if (today && yesterday) index = humid >= 11 ? 95 : 85;
+      else if (today) index = humid >= 11 ? 55 : 45;
+      else if (day.minTemp >= 10 && humid >= 3) index = 20;
+      const explanation = today
+        ? `Minimum ${day.minTemp.toFixed(1)}°C with ${humid} h at RH ≥ 90%${yesterday ? ' — second such day in a row (Hutton period)' : ' (a Hutton period needs two in a row)'}.`
+        : `${day.minTemp < 10 ? `Minimum ${day.minTemp.toFixed(1)}°C is below 10°C` : `Only ${humid} h at RH ≥ 90%`} — no Hutton criteria day.`;
+      return { index, explanation };
+    }
+  }
+};
+
+/** Disease model keys for `crop` (e.g. ['wheatRust']). */
+export function diseaseModelsFor(crop) {
+  const key = String(crop || '').toLowerCase();
+  return Object.keys(DISEASE_MODELS).filter((k) => DISEASE_MODELS[k].crops.includes(key));
+}
+
+/**
+ * Daily disease risk for `crop` from hourly weather (normalized hourly block). Days with fewer than
+ * 18 hourly readings are left out. With `phenology` (from estimatePhenology) a model reports no risk
+ * on days the crop is outside its susceptible stages.
+ *
+ * Returns null for crops without a disease model, otherwise
+ * { crop, models: [{ key, name, pathogen, advice, days: [{ date, index, level, explanation }], peak }],
+ *   days: [{ date, index, level, model, explanation }] } where `days` holds the worst model per day and
+ * `peak` is a model's worst day.
+ */
+export function assessDiseaseRisk(crop, hourly, { phenology = null, minHours = 18 } = {}) {
+  const keys = diseaseModelsFor(crop);
+  if (!keys.length) return null;
+  const summaries = summarizeHours(toHours(hourly));
+
+  const models = keys.map((key) => {
+    const model = DISEASE_MODELS[key];
+    const days = [];
+    summaries.forEach((day, i) => {
+      if (day.hours < minHours) return;
+      const stage = phenology ? stageOn(phenology, day.date) : null;
+      if (phenology && model.stages && (!stage || !model.stages.includes(stage.key))) {
+        days.push({
+          date: day.date,
+          index: 0,
+          level: 'Low',
+          explanation: `Not a susceptible stage (${stage ? stage.name : 'before sowing'}).`
+        });
+        return;
+      }
+      const { index, explanation } = model.evaluate(day, { previous: summaries.slice(Math.max(0, i - 3), i) });
+      days.push({ date: day.date, index, level: riskLevel(index), explanation });
+    });
+    const peak = days.reduce((worst, d) => (!worst || d.index > worst.index ? d : worst), null);
+    return { key, name: model.name, pathogen: model.pathogen, advice: model.advice, days, peak };
+  });
+
+  const byDate = new Map();
+  models.forEach((m) => m.days.forEach((d) => {
+    const current = byDate.get(d.date);
+    if (!current || d.index > current.index) byDate.set(d.date, { ...d, model: m.key });
+  }));
+
+  return {
+    crop: String(crop).toLowerCase(),
+    models,
+    days: [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : 1))
+  };
+}
@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { riskLevel, toHours, findSpells, summarizeHours, diseaseModelsFor, assessDiseaseRisk } from './disease.js';
+import { estimatePhenology } from './phenology.js';
+
+// A normalized hourly block for consecutive days; `reading(date, hour)` returns [temp, rh, rain]
+function hourlyFor(dates, reading) {
+  const block = { time: [], temperature: [], humidity: [], rain: [] };
+  dates.forEach((date) => {
+    for (let h = 0; h < 24; h++) {
+      const [temp, rh, rain = 0] = reading(date, h);
+      block.time.push(`${date}T${String(h).padStart(2, '0')}:00`);
+      block.temperature.push(temp);
+      block.humidity.push(rh);
+      block.rain.push(rain);
+    }
+  });
+  return block;
+}
+
+// Days with a wet spell from 20:00 lasting `wetHours` hours at `temp` (the first day also starts wet)
+function wetNights(dates, wetHours, temp) {
+  return hourlyFor(dates, (date, h) => (h >= 20 || h < wetHours - 4 ? [temp, 95] : [temp + 8, 50]));
+}
+
+test('riskLevel maps the index onto Low, Moderate and High', () => {
+  assert.deepEqual([0, 34, 35, 64, 65, 100].map(riskLevel), ['Low', 'Low', 'Moderate', 'Moderate', 'High', 'High']);
+});
+
+test('toHours marks humid or rainy hours wet and skips incomplete readings', () => {
+  const hours = toHours({
+    time: ['2025-02-01T00:00', '2025-02-01T01:00', '2025-02-01T02:00', '2025-02-01T03:00'],
+    temperature: [10, 10, null, 10],
+    humidity: [92, 60, 95, 70],
+    rain: [0, 0.2, 0, null]
+  });
+  assert.deepEqual(hours.map((h) => h.wet), [true, true, false]);
+  assert.equal(hours[2].rain, 0);
+  assert.equal(hours[0].date, '2025-02-01');
+});
+
+test('findSpells joins hours across midnight and breaks on a missing hour', () => {
+  const hours = toHours({
+    time: ['2025-02-01T22:00', '2025-02-01T23:00', '2025-02-02T00:00', '2025-02-02T02:00'],
+    temperature: [8, 10, 12, 12],
+    humidity: [95, 95, 95, 95]
+  });
+  const spells = findSpells(hours, (h) => h.wet);
+  assert.deepEqual(spells.map((s) => [s.date, s.hours]), [['2025-02-01', 3], ['2025-02-02', 1]]);
+  assert.equal(spells[0].meanTemp, 10);
+});
+
+test('summarizeHours counts a night wet spell towards the day it started', () => {
+  const days = summarizeHours(toHours(wetNights(['2025-02-01', '2025-02-02'], 10, 10)));
+  assert.equal(days.length, 2);
+  // 00:00–05:00 and 20:00 on the 1st to 05:00 on the 2nd, then 20:00–23:00 on the 2nd
+  assert.deepEqual(days.map((d) => d.spells.map((s) => s.hours)), [[6, 10], [4]]);
+  assert.equal(days[0].wetHours, 10);
+  assert.equal(days[0].minTemp, 10);
+  assert.equal(days[0].maxTemp, 18);
+  assert.equal(days[0].rainEvents, 0);
+});
+
+test('diseaseModelsFor lists the models for a crop', () => {
+  assert.deepEqual(diseaseModelsFor('Wheat'), ['wheatRust']);
+  assert.deepEqual(diseaseModelsFor('vegetables'), ['potatoLateBlight']);
+  assert.deepEqual(diseaseModelsFor('mango'), []);
+  assert.equal(assessDiseaseRisk('mango', {}), null);
+});
+
+test('assessDiseaseRisk scores wheat rust by the longest wet spell in its temperature band', () => {
+  const result = assessDiseaseRisk('wheat', wetNights(['2025-02-01', '2025-02-02'], 8, 10));
+  const [rust] = result.models;
+  assert.equal(rust.key, 'wheatRust');
+  // the spell that started on the 1st holds all 8 hours; the 2nd's runs past the forecast
+  assert.deepEqual(rust.days.map((d) => d.index), [75, 30]);
+  assert.equal(rust.peak.date, '2025-02-01');
+  assert.equal(rust.days[0].level, 'High');
+  assert.match(rust.days[0].explanation, /8 h of continuous leaf wetness at 7–15°C .*yellow rust/);
+  assert.deepEqual(result.days.map((d) => d.model), ['wheatRust', 'wheatRust']);
+});
+
+test('assessDiseaseRisk rates rice blast higher at the optimal temperature', () => {
+  const nights = ['2025-08-01', '2025-08-02'];
+  const warm = assessDiseaseRisk('rice', wetNights(nights, 12, 25)).models[0].days[0];
+  const cool = assessDiseaseRisk('rice', wetNights(nights, 12, 18)).models[0].days[0];
+  assert.equal(warm.index, 95);
+  assert.equal(cool.index, 80);
+});
+
+test('assessDiseaseRisk finds a Hutton period for late blight on the second qualifying day', () => {
+  const days = assessDiseaseRisk('potato', wetNights(['2025-01-10', '2025-01-11'], 8, 12)).models[0].days;
+  assert.deepEqual(days.map((d) => d.index), [45, 85]);
+  assert.match(days[1].explanation, /Hutton period/);
+  const cold = assessDiseaseRisk('potato', wetNights(['2025-01-10'], 8, 6)).models[0].days[0];
+  assert.equal(cold.index, 0);
+  assert.match(cold.explanation, /below 10°C/);
+});
+
+test('assessDiseaseRisk adds rain events and wet days in a row for cotton boll rot', () => {
+  const hourly = hourlyFor(['2025-09-01', '2025-09-02'], (date, h) => (h >= 10 && h < 13 ? [28, 95, 4] : [32, 60]));
+  const days = assessDiseaseRisk('cotton', hourly).models[0].days;
+  // 3 humid hours (12) plus 12 mm of rain (30); the 2nd adds 15 for the second wet day
+  assert.deepEqual(days.map((d) => d.index), [42, 57]);
+  assert.match(days[1].explanation, /second wet day in a row/);
+});
+
+test('assessDiseaseRisk skips short days and reports no risk outside susceptible stages', () => {
+  const hourly = wetNights(['2025-11-20', '2025-11-21'], 12, 10);
+  hourly.time.length = 24 + 12;
+  assert.deepEqual(assessDiseaseRisk('wheat', hourly).models[0].days.map((d) => d.date), ['2025-11-20']);
+
+  const phenology = estimatePhenology('wheat', '2025-11-10', { today: '2025-11-20' });
+  const [day] = assessDiseaseRisk('wheat', wetNights(['2025-11-20'], 12, 10), { phenology }).models[0].days;
+  assert.equal(day.index, 0);
+  assert.match(day.explanation, /^Not a susceptible stage \(/);
+});
@@ -0,0 +1,98 @@
+// District -> province lookup for Pakistan, built from authoritative district lists plus
+// common alternative spellings, so callers can resolve whatever a geocoder or farmer typed.
+import { normalizeName } from './text.js';
+
+export const PROVINCE_DISTRICTS = {
+  'Punjab': [
+    'Attock', 'Bahawalnagar', 'Bahawalpur', 'Barki', 'Bhakkar', 'Chakwal', 'Chiniot', 'Dera Ghazi Khan', 'Faisalabad', 'Gujranwala',
+    'Gujrat', 'Hafizabad', 'Jhang', 'Jhelum', 'Khanewal', 'Kasur', 'Khushab', 'Lahore', 'Layyah', 'Lodhran', 'Mandi Bahauddin',
+    'Mianwali', 'Multan', 'Muzaffargarh', 'Nankana Sahib', 'Narowal', 'Okara', 'Pakpattan', 'Rahim Yar Khan', 'Rajanpur', 'Rawalpindi',
+    'Sahiwal', 'Sargodha', 'Sheikhupura', 'Sialkot', 'Toba Tek Singh', 'Vehari', 'Kot Addu', 'Taunsa', 'Liaqatpur'
+  ],
+  'Sindh': [
+    'Badin', 'Dadu', 'Ghotki', 'Hyderabad', 'Jacobabad', 'Jamshoro', 'Kamber Shahdadkot', 'Karachi', 'Kashmore', 'Khairpur', 'Larkana',
+    'Mirpur Khas', 'Naushahro Feroze', 'Qambar Shahdadkot', 'Sanghar', 'Shaheed Benazirabad', 'Shikarpur', 'Sukkur', 'Thatta', 'Tharparkar', 'Tando Allahyar', 'Tando Muhammad Khan', 'Umerkot', 'Keamari', 'Malir'
+  ],
+  'Khyber Pakhtunkhwa': [
+    'Abbottabad', 'Bannu', 'Battagram', 'Bajaur', 'Charsadda', 'Chitral', 'Dera Ismail Khan', 'Hangu', 'Haripur', 'Karak', 'Kohat', 'Lakki Marwat',
+    'Lower Dir', 'Lower Kohistan', 'Mansehra', 'Mardan', 'Nowshera', 'Peshawar', 'Shangla', 'Swabi', 'Swat', 'Tank', 'Torghar', 'Upper Dir', 'Upper Kohistan', 'Khyber', 'Kurram', 'Orakzai', 'Mohmand'
+  ],
+  'Balochistan': [
+    'Awaran', 'Barkhan', 'Chagai', 'Dera Bugti', 'Gwadar', 'Harnai', 'Jafarabad', 'Jhal Magsi', 'Kachhi', 'Kalat', 'Kech', 'Kharan', 'Khuzdar', 'Killa Saifullah',
+    'Kohlu', 'Lasbela', 'Loralai', 'Mastung', 'Nushki', 'Panjgur', 'Pishin', 'Quetta', 'Sibi', 'Washuk', 'Zhob', 'Ziarat', 'Sohbatpur'
+  ],
+  'Gilgit-Baltistan': [
+    'Gilgit', 'Skardu', 'Hunza', 'Nagar', 'Ghizer', 'Ghanche', 'Astore', 'Diamer', 'Shigar', 'Kharmang'
+  ],
+  'Azad Jammu and Kashmir': [
+    'Muzaffarabad', 'Mirpur', 'Kotli', 'Poonch', 'Bhimber', 'Bagh', 'Neelum', 'Hattian Bala', 'Sudhanoti', 'Haveli'
+  ],
+  'Islamabad': ['Islamabad']
+};
+
+// Common city/district aliases not captured above
+export const ALIASES = {
+  'dg khan': 'Dera Ghazi Khan',
+  'kot addu': 'Kot Addu',
+  'kot addu city': 'Kot Addu',
+  'shaheed benazirabad': 'Shaheed Benazirabad',
+  'nawabshah': 'Shaheed Benazirabad',
+  'keamari': 'Karachi',
+  'karachi east': 'Karachi',
+  'karachi west': 'Karachi',
+  'karachi south': 'Karachi',
+  'karachi central': 'Karachi',
+  'multan city': 'Multan',
+  'muzaffar garh': 'Muzaffargarh',
+  'muzaffargarh': 'Muzaffargarh',
+  // Sanawan is a small town near Kot Addu; geocoders sometimes resolve it to India
+  'sanawan': 'Kot Addu',
+  'sanawan uttar pradesh': 'Kot Addu',
+  'sanawan india': 'Kot Addu',
+  'sanawan uttar pradesh india': 'Kot Addu'
+};
+
+// normalized key -> { district, province }
+const DISTRICT_INDEX = {};
+
+// Province containing a canonical district name, or null
+export function provinceOf(district) {
+  return Object.keys(PROVINCE_DISTRICTS).find((p) => PROVINCE_DISTRICTS[p].includes(district)) || null;
+}
+
+Object.keys(PROVINCE_DISTRICTS).forEach((province) => {
+  PROVINCE_DISTRICTS[province].forEach((district) => {
+    DISTRICT_INDEX[normalizeName(district)] = { district, province };
+  });
+});
+Object.keys(ALIASES).forEach((alias) => {
+  DISTRICT_INDEX[normalizeName(alias)] = { district: ALIASES[alias], province: provinceOf(ALIASES[alias]) };
+});
+
+/**
+ * Resolves a free-text place ("Kot Addu", "Multan City, Punjab") to { district, province }.
+ * Tries an exact match, then each word, then any known district inside the string; null if none.
+ */
+export function resolveDistrict(name) {
+  if (!name || typeof name !== 'string') return null;
+  const norm = normalizeName(name);
+  if (DISTRICT_INDEX[norm]) return DISTRICT_INDEX[norm];
+
+  for (const token of norm.split(' ')) {
+    if (DISTRICT_INDEX[token]) return DISTRICT_INDEX[token];
+  }
+  const key = Object.keys(DISTRICT_INDEX).find((k) => norm.indexOf(k) !== -1);
+  return key ? DISTRICT_INDEX[key] : null;
+}
+
+// Province for a place name ('Sanawan' -> 'Punjab'), or null
+export function getZoneFromDistrictMap(name) {
+  const resolved = resolveDistrict(name);
+  return resolved ? resolved.province : null;
+}
+
+// Canonical district for a place name ('kot-addu' -> 'Kot Addu'), or null
+export function getDistrictFromName(name) {
+  const resolved = resolveDistrict(name);
+  return resolved ? resolved.district : null;
+}
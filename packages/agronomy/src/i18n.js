@@ -0,0 +1,388 @@
+// Languages, message lookup and translations of the agronomy tables (growth stages, care notes,
+// disease models) for the UI, the backend's suitability reasons and the AI prompts. English is the
+// source language: the tables themselves are English and other languages fall back to it.
+
+import { MESSAGES } from './messages.js';
+
+export const LANGUAGES = {
+  en: { code: 'en', name: 'English', nativeName: 'English', dir: 'ltr', locale: 'en-US' },
+  ur: { code: 'ur', name: 'Urdu', nativeName: 'اردو', dir: 'rtl', locale: 'ur-PK' }
+};
+export const DEFAULT_LANGUAGE = 'en';
+
+export function isSupportedLanguage(lang) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+}
+
+/** A supported language code for `lang` ('ur', 'ur-PK', 'UR'), else DEFAULT_LANGUAGE. */
+export function normalizeLanguage(lang) {
+  const primary = String(lang || '').trim().toLowerCase().split(/[-_]/)[0];
+  return isSupportedLanguage(primary) ? primary : DEFAULT_LANGUAGE;
+}
+
+/** 'rtl' | 'ltr' */
+export function textDirection(lang) {
+  return LANGUAGES[normalizeLanguage(lang)].dir;
+}
+
+/** BCP 47 locale for dates and numbers, e.g. 'ur-PK'. */
+export function languageLocale(lang) {
+  return LANGUAGES[normalizeLanguage(lang)].locale;
+}
+
+function interpolate(text, params) {
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined || params[name] === null ? match : String(params[name])));
+}
+
+/**
+ * The message `key` in `lang` with {name} placeholders filled from `params`. Falls back to English,
+ * then to the key itself, so a missing translation never breaks a page.
+ */
+export function translate(lang, key, params) {
+  const code = normalizeLanguage(lang);
+  const text = MESSAGES[code][key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return interpolate(text, params);
+}
+
+/** Description of a WMO weather code ('Light rain'), 'Unknown' for codes outside the table. */
+export function describeWeatherCode(code, lang = DEFAULT_LANGUAGE) {
+  const key = `weatherCode.${Number(code)}`;
+  return translate(lang, MESSAGES[DEFAULT_LANGUAGE][key] ? key : 'weatherCode.unknown');
+}
+
+/** Crop name in `lang`; crops without a translation (and English) come back unchanged. */
+export function cropName(crop, lang = DEFAULT_LANGUAGE) {
+  const key = `crop.${String(crop || '').toLowerCase()}`;
+  if (normalizeLanguage(lang) === DEFAULT_LANGUAGE || !MESSAGES[DEFAULT_LANGUAGE][key]) return crop;
+  return translate(lang, key);
+}
+
+/** "just now", "25 min ago", "3 h ago", "2 days ago" for an ISO timestamp. */
+export function describeAge(iso, lang = DEFAULT_LANGUAGE, now = Date.now()) {
+  const minutes = Math.max(0, Math.round((now - Date.parse(iso)) / 60000));
+  if (!Number.isFinite(minutes)) return '';
+  if (minutes < 2) return translate(lang, 'age.justNow');
+  if (minutes < 60) return translate(lang, 'age.minutes', { n: minutes });
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return translate(lang, 'age.hours', { n: hours });
+  return translate(lang, 'age.days', { n: Math.round(hours / 24) });
+}
+
+// Stage names, care notes and field tasks by language and crop. Stage keys repeat across crops with
+// different names ("Sowing to emergence" vs "Planting & germination"), so they are keyed per crop.
+export const STAGE_TRANSLATIONS = {
+  ur: {
+    wheat: {
+      stages: {
+        sowing: {
+          name: 'بوائی سے اگاؤ تک',
+          fertilizer: 'بوائی کے وقت ساری ڈی اے پی/ایس ایس پی اور پوٹاش کے ساتھ ایک تہائی یوریا ڈالیں۔',
+          watering: 'وتر میں بوائی کریں؛ پہلا پانی جڑیں بننے پر، بوائی کے تقریباً 20–25 دن بعد۔',
+          pests: 'کانگیاری سے بچاؤ کے لیے زہر لگا بیج استعمال کریں؛ ہلکی زمین میں دیمک پر نظر رکھیں۔'
+        },
+        emergence: {
+          name: 'اگاؤ',
+          watering: 'یکساں اگاؤ کے لیے زمین نم رکھیں؛ پانی کھڑا نہ ہونے دیں۔',
+          pests: 'بوائی کے 30–40 دن تک جڑی بوٹیوں (جنگلی جئی، دمبی سٹی) کی تلفی کا منصوبہ بنائیں۔'
+        },
+        tillering: {
+          name: 'جڑیں بننا اور شاخیں نکلنا',
+          fertilizer: 'پہلے پانی کے ساتھ یوریا چھٹہ کریں۔',
+          watering: 'نازک مرحلہ: جڑیں بننے پر پہلا پانی ہرگز نہ چھوڑیں۔',
+          pests: 'جڑی بوٹیوں کی تلفی کا وقت؛ گرم دنوں میں سست تیلے پر نظر رکھیں۔'
+        },
+        jointing: {
+          name: 'گانٹھیں بننا (تنے کی بڑھوتری)',
+          fertilizer: 'دوسرے پانی کے ساتھ یوریا کی آخری قسط؛ گوبھ کے بعد یوریا نہیں۔',
+          watering: 'گانٹھیں بننے پر پانی دیں؛ اس وقت پانی کی کمی سے سٹے میں دانے کم بنتے ہیں۔',
+          pests: 'ٹھنڈے مرطوب موسم میں پیلی (دھاری دار) کنگی دیکھیں۔'
+        },
+        booting: {
+          name: 'گوبھ',
+          fertilizer: 'مزید نائٹروجن نہیں؛ دیر سے یوریا صرف فصل گرنے اور کنگی کو بڑھاتی ہے۔',
+          watering: 'نازک مرحلہ: گوبھ پر پانی دیں۔',
+          pests: 'کنگی اور سست تیلا — ہفتے میں دو بار معائنہ کریں۔'
+        },
+        heading: {
+          name: 'سٹے نکلنا اور پھول آنا',
+          watering: 'نازک مرحلہ: پھول آنے پر پانی دیں، مگر تیز ہوا میں نہیں (فصل گر سکتی ہے)۔',
+          pests: 'اس وقت سست تیلا عروج پر ہوتا ہے اور کنگی تیزی سے پھیلتی ہے۔'
+        },
+        grainFill: {
+          name: 'دانہ بننا',
+          watering: 'آخری پانی دودھیا مرحلے پر؛ ہلکا پانی آخری گرمی کا اثر کم کرتا ہے۔',
+          pests: '32°C سے زیادہ گرم ہوائیں دانہ سکیڑ دیتی ہیں؛ اس مرحلے پر سپرے فائدہ مند نہیں۔'
+        },
+        maturity: {
+          name: 'پکنا',
+          watering: 'آبپاشی بند کریں۔',
+          pests: 'دانہ سخت ہوتے ہی کٹائی کریں تاکہ دانہ جھڑنے اور بارش سے نقصان نہ ہو۔'
+        }
+      },
+      tasks: {
+        urea2: { name: 'یوریا کی دوسری قسط', note: 'پہلے پانی کے ساتھ' },
+        urea3: { name: 'یوریا کی تیسری قسط', note: 'دوسرے پانی کے ساتھ' }
+      }
+    },
+    rice: {
+      stages: {
+        establishment: {
+          name: 'پنیری کی منتقلی اور جڑ پکڑنا',
+          fertilizer: 'منتقلی کے وقت ڈی اے پی/ایس ایس پی، پوٹاش، زنک اور ایک تہائی یوریا ڈالیں۔',
+          watering: 'منتقلی کے بعد 3–5 سینٹی میٹر کھڑا پانی رکھیں۔',
+          pests: 'جڑی بوٹیاں جلد تلف کریں؛ تنے کی سنڈی کے انڈوں کے گچھے دیکھیں۔'
+        },
+        tillering: {
+          name: 'شاخیں نکلنا',
+          fertilizer: 'شاخیں نکلنے کے دوران یوریا چھٹہ کریں۔',
+          watering: 'تقریباً 5 سینٹی میٹر پانی رکھیں؛ اس مرحلے کے آخر میں تھوڑی دیر خشک ہونا ٹھیک ہے۔',
+          pests: 'تنے کی سنڈی اور پتہ لپیٹ سنڈی؛ بکانے سے متاثرہ پودے اکھاڑ دیں۔'
+        },
+        panicleInitiation: {
+          name: 'سٹہ بننے کا آغاز',
+          fertilizer: 'سٹہ بننے کے آغاز پر یوریا کی آخری قسط۔',
+          watering: 'کھیت میں پانی کھڑا رکھیں؛ اس وقت پانی کی کمی سے دانے کم بنتے ہیں۔',
+          pests: 'بارش کے بعد بلاسٹ اور پتوں کے بیکٹیریائی جھلساؤ پر نظر رکھیں۔'
+        },
+        booting: {
+          name: 'گوبھ',
+          watering: 'نازک مرحلہ: گوبھ پر پانی کی کمی نہ ہو۔',
+          pests: 'گھنی اور مرطوب فصل میں شیتھ بلائٹ پھیلتی ہے۔'
+        },
+        flowering: {
+          name: 'سٹے نکلنا اور پھول آنا',
+          watering: 'کھڑا پانی رکھیں؛ پھول پر 35°C سے زیادہ گرمی سے دانے خالی رہ جاتے ہیں۔',
+          pests: 'مرطوب موسم اور ٹھنڈی راتوں میں گردن توڑ بلاسٹ کا خطرہ۔'
+        },
+        grainFill: {
+          name: 'دانہ بننا',
+          watering: 'دانہ سخت ہونے تک زمین تر رکھیں؛ کٹائی سے 7–10 دن پہلے پانی نکال دیں۔',
+          pests: 'پودوں کے نچلے حصے پر بھورے تیلے کو دیکھیں۔'
+        },
+        maturity: {
+          name: 'پکنا',
+          watering: 'کھیت سے پانی نکال دیں۔',
+          pests: 'دانے میں 20–22% نمی پر کٹائی کریں تاکہ دانہ کم جھڑے۔'
+        }
+      },
+      tasks: {
+        urea2: { name: 'یوریا کی دوسری قسط', note: 'شاخیں نکلنے کے دوران' },
+        urea3: { name: 'یوریا کی تیسری قسط', note: 'سٹہ بننے کے آغاز پر' }
+      }
+    },
+    cotton: {
+      stages: {
+        sowing: {
+          name: 'بوائی سے اگاؤ تک',
+          fertilizer: 'بوائی کے وقت ساری فاسفورس اور پوٹاش کے ساتھ ایک چوتھائی نائٹروجن ڈالیں۔',
+          watering: 'نم پٹڑیوں یا کھیلیوں پر بوائی کریں۔',
+          pests: 'رس چوسنے والے کیڑوں سے بچاؤ کے لیے زہر لگا بیج استعمال کریں؛ لشکری سنڈی دیکھیں۔'
+        },
+        emergence: {
+          name: 'ابتدائی پودا',
+          watering: 'پہلا پانی دیر سے دیں (بوائی کے تقریباً 30–40 دن بعد)؛ جلد پانی پھل دیر سے لاتا ہے۔',
+          pests: 'چھوٹے پودوں پر تھرپس اور سبز تیلا؛ چھدرائی کر کے ایک جگہ ایک پودا رکھیں۔'
+        },
+        squaring: {
+          name: 'پھول کی ڈوڈیاں بننا',
+          fertilizer: 'پہلی ڈوڈی پر نائٹروجن کی قسط۔',
+          watering: 'گرم موسم میں ہر 10–14 دن بعد پانی دیں۔',
+          pests: 'گلابی سنڈی کے لیے جنسی پھندے لگائیں؛ سفید مکھی کی نگرانی کریں۔'
+        },
+        flowering: {
+          name: 'پھول آنا',
+          fertilizer: 'پہلے پھول پر نائٹروجن کی قسط؛ بھرپور پھول تک نائٹروجن مکمل کر لیں۔',
+          watering: 'نازک مرحلہ: پانی کی کمی یا 40°C سے زیادہ گرمی سے ڈوڈیاں اور پھول گر جاتے ہیں۔',
+          pests: 'سفید مکھی اور گلابی سنڈی (بند پھول) — ہفتے میں دو بار معائنہ کریں۔'
+        },
+        bollDevelopment: {
+          name: 'ٹینڈے بننا',
+          fertilizer: 'مزید نائٹروجن نہیں؛ یہ فصل دیر سے پکاتی ہے اور کیڑوں کو بڑھاتی ہے۔',
+          watering: 'نمی یکساں رکھیں؛ پہلے ٹینڈے کھلنے پر آخری پانی دیں۔',
+          pests: 'گلابی سنڈی اور لشکری سنڈی؛ تیز بارش کے بعد ٹینڈوں کا گلنا۔'
+        },
+        bollOpening: {
+          name: 'ٹینڈے کھلنا',
+          watering: 'ٹینڈے جلد کھلنے کے لیے آبپاشی بند کریں۔',
+          pests: 'خشک موسم میں چنائی کریں اور پھٹی صاف رکھیں۔'
+        },
+        maturity: {
+          name: 'پکنا',
+          pests: 'آخری چنائی کے بعد چھڑیاں تلف کریں تاکہ گلابی سنڈی کا چکر ٹوٹے۔'
+        }
+      },
+      tasks: {
+        nitrogen2: { name: 'نائٹروجن کی دوسری قسط', note: 'پہلی ڈوڈی پر' },
+        nitrogen3: { name: 'نائٹروجن کی تیسری قسط', note: 'پہلے پھول پر' }
+      }
+    },
+    maize: {
+      stages: {
+        sowing: {
+          name: 'بوائی سے اگاؤ تک',
+          fertilizer: 'بوائی کے وقت ساری فاسفورس اور پوٹاش کے ساتھ ایک تہائی نائٹروجن ڈالیں۔',
+          watering: 'زمین خشک ہو تو بوائی کے 3–4 دن بعد پانی دیں۔',
+          pests: 'زہر لگا بیج استعمال کریں؛ لشکری سنڈی دیکھیں۔'
+        },
+        emergence: {
+          name: 'اگاؤ',
+          watering: 'یکساں اگاؤ کے لیے ہلکا اور بار بار پانی دیں۔',
+          pests: 'گوبھ میں فال آرمی ورم کی جانچ شروع کریں۔'
+        },
+        vegetative: {
+          name: 'بڑھوتری (گھٹنے تک)',
+          fertilizer: 'گھٹنے کے برابر قد پر قطاروں میں یوریا ڈالیں۔',
+          watering: 'گرم موسم میں ہر 8–10 دن بعد پانی دیں۔',
+          pests: 'گوبھ میں فال آرمی ورم اور تنے کی سنڈی۔'
+        },
+        tasseling: {
+          name: 'بور اور ریشے نکلنا',
+          fertilizer: 'بور نکلنے سے ذرا پہلے یوریا کی آخری قسط۔',
+          watering: 'نازک مرحلہ: بور اور ریشے نکلنے پر پانی کی کمی نہ ہو؛ 35°C سے زیادہ گرمی زیرگی کو نقصان دیتی ہے۔',
+          pests: 'بور اور ریشوں کو کھانے والی لشکری سنڈی۔'
+        },
+        grainFill: {
+          name: 'دانہ بننا',
+          watering: 'دانے پکنے تک زمین نم رکھیں؛ کٹائی سے دو ہفتے پہلے پانی بند کریں۔',
+          pests: 'بارش کے بعد چھلی کا گلنا؛ چھلیوں کو پرندوں سے بچائیں۔'
+        },
+        maturity: {
+          name: 'پکنا',
+          pests: 'افلاٹوکسن سے بچنے کے لیے ذخیرہ کرنے سے پہلے دانہ اچھی طرح سکھائیں۔'
+        }
+      },
+      tasks: {
+        urea2: { name: 'یوریا کی دوسری قسط', note: 'گھٹنے کے برابر قد پر' },
+        urea3: { name: 'یوریا کی تیسری قسط', note: 'بور نکلنے سے پہلے' }
+      }
+    },
+    sugarcane: {
+      stages: {
+        sowing: {
+          name: 'کاشت اور اگاؤ',
+          fertilizer: 'کاشت کے وقت ساری فاسفورس اور پوٹاش کے ساتھ کچھ نائٹروجن ڈالیں۔',
+          watering: 'کاشت کے فوراً بعد پانی دیں، پھر شگوفے نکلنے تک ہر 7–10 دن بعد۔',
+          pests: 'سموں کو زہر لگائیں اور کھیلیوں میں دیمک تلف کریں؛ سوکھی گوبھ (ابتدائی گڑوئیں) کاٹ دیں۔'
+        },
+        tillering: {
+          name: 'شاخیں نکلنا',
+          fertilizer: 'مٹی چڑھاتے وقت نائٹروجن کی قسط۔',
+          watering: 'کھیت خشک نہ ہونے دیں؛ شاخیں نکلنے کا مرحلہ پانی کی کمی سے متاثر ہوتا ہے۔',
+          pests: 'تنے اور چوٹی کی گڑوئیں؛ کھیت جڑی بوٹیوں سے پاک رکھیں۔'
+        },
+        grandGrowth: {
+          name: 'تیز بڑھوتری',
+          fertilizer: 'تیز بڑھوتری کے شروع میں نائٹروجن مکمل کر لیں۔',
+          watering: 'پانی کی سب سے زیادہ ضرورت: بار بار پانی دیں اور مون سون کا فالتو پانی نکالیں۔',
+          pests: 'پائریلا اور گڑوئیں؛ رتا روگ (ریڈ راٹ) دیکھیں۔'
+        },
+        ripening: {
+          name: 'پکنے کا عمل',
+          watering: 'مٹھاس بڑھانے کے لیے پانی کم کریں؛ کٹائی سے 3–4 ہفتے پہلے بند کر دیں۔',
+          pests: 'کورے والی راتوں میں ہلکا پانی گنے کو بچاتا ہے۔'
+        },
+        maturity: {
+          name: 'پکنا',
+          pests: 'کٹائی کے بعد جلد پیلائی کریں تاکہ چینی ضائع نہ ہو۔'
+        }
+      },
+      tasks: {
+        nitrogen2: { name: 'نائٹروجن کی دوسری قسط', note: 'شاخیں نکلنے کے دوران، مٹی چڑھاتے وقت' },
+        nitrogen3: { name: 'نائٹروجن کی تیسری قسط', note: 'تیز بڑھوتری سے پہلے' }
+      }
+    }
+  }
+};
+
+// Disease model names and advice by language (DISEASE_MODELS keys)
+export const DISEASE_TRANSLATIONS = {
+  ur: {
+    wheatRust: {
+      name: 'گندم کی کنگی (پیلی / بھوری)',
+      advice: 'نچلے پتوں پر پیلی دھاریاں یا نارنجی بھورے دانے دیکھیں؛ نظر آئیں تو سفارش کردہ ٹرائیازول پھپھوندی کش سپرے کریں۔'
+    },
+    riceBlast: {
+      name: 'چاول کا بلاسٹ',
+      advice: 'دیر سے یا زیادہ نائٹروجن نہ دیں، کھیت میں پانی کھڑا رکھیں، اور پتوں اور سٹے کی گردن پر تکلے نما دھبے دیکھیں۔'
+    },
+    cottonBollRot: {
+      name: 'کپاس کے ٹینڈوں کا گلنا',
+      advice: 'گھنی فصل کو کھولیں، متوقع بارش سے پہلے پانی نہ دیں، اور بارش کے بعد کھلے ٹینڈے جلد چنیں۔'
+    },
+    potatoLateBlight: {
+      name: 'آلو کا پچھیتا جھلساؤ',
+      advice: 'اگلے مرطوب دنوں سے پہلے حفاظتی پھپھوندی کش سپرے کریں اور متاثرہ بیلیں اور ڈھیر تلف کریں۔'
+    }
+  }
+};
+
+function localizeStage(stage, table) {
+  if (!stage) return stage;
+  const t = table && table.stages[stage.key];
+  if (!t) return stage;
+  const localized = { ...stage, name: t.name || stage.name };
+  if (stage.care) {
+    localized.care = {};
+    Object.keys(stage.care).forEach((k) => { localized.care[k] = t[k] || stage.care[k]; });
+  }
+  return localized;
+}
+
+/**
+ * Copy of an estimatePhenology() result with stage names, care notes and task names / notes in
+ * `lang`. Dates, GDD and keys are unchanged; untranslated entries stay English.
+ */
+export function localizePhenology(phenology, lang = DEFAULT_LANGUAGE) {
+  const table = STAGE_TRANSLATIONS[normalizeLanguage(lang)]?.[String(phenology?.crop || '').toLowerCase()];
+  if (!phenology || !table) return phenology;
+  return {
+    ...phenology,
+    stage: localizeStage(phenology.stage, table),
+    nextStage: localizeStage(phenology.nextStage, table),
+    stages: (phenology.stages || []).map((s) => localizeStage(s, table)),
+    tasks: (phenology.tasks || []).map((task) => {
+      const t = table.tasks[task.key];
+      return t ? { ...task, name: t.name, note: t.note } : task;
+    })
+  };
+}
+
+/**
+ * Copy of an assessDiseaseRisk() result with model names and advice in `lang`. The per-day
+ * explanations are computed from the hourly counts and stay English.
+ */
+export function localizeDiseaseRisk(risk, lang = DEFAULT_LANGUAGE) {
+  const table = DISEASE_TRANSLATIONS[normalizeLanguage(lang)];
+  if (!risk || !table) return risk;
+  return {
+    ...risk,
+    models: risk.models.map((m) => (table[m.key] ? { ...m, ...table[m.key] } : m))
+  };
+}
+
+/**
+ * Message for a checkStageWeather() risk ({ type, stageName, limit, value, date, days }) in `lang`.
+ * Pass the stage name already translated (localizePhenology) for languages other than English.
+ */
+export function describeStageRisk(risk, lang = DEFAULT_LANGUAGE) {
+  const english = normalizeLanguage(lang) === DEFAULT_LANGUAGE;
+  return translate(lang, risk.type === 'heat' ? 'stageRisk.heat' : 'stageRisk.frost', {
+    value: risk.value.toFixed(1),
+    days: risk.days,
+    date: risk.date,
+    stage: english ? risk.stageName.toLowerCase() : risk.stageName,
+    limit: risk.limit
+  });
+}
+
+/**
+ * Sentence appended to AI system prompts so answers come back in `lang`; '' for English. JSON keys
+ * and enum values (riskLevel, severity) stay English because the backend validates them.
+ */
+export function aiLanguageInstruction(lang) {
+  const code = normalizeLanguage(lang);
+  if (code === DEFAULT_LANGUAGE) return '';
+  const { name } = LANGUAGES[code];
+  return `Always answer in ${name} (${name} script), in simple words a farmer can follow. Keep numbers, units, dates and product or variety names as they are. When asked for JSON, keep every key and every fixed value (such as riskLevel or severity) in English and write only the free text in ${name}.`;
+}
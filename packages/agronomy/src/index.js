@@ -0,0 +1,101 @@
+// @farmer-aid/agronomy: district resolution, zone lookup, the crop threshold registry and shareable
+// threshold profiles, crop phenology, thermal time (GDD / chill), the FAO-56 irrigation water balance,
+// hourly disease risk models, daily climate normals and the UI / advisory translations (English, Urdu).
+export { normalizeName } from './text.js';
+export {
+  PROVINCE_DISTRICTS,
+  ALIASES,
+  provinceOf,
+  resolveDistrict,
+  getZoneFromDistrictMap,
+  getDistrictFromName
+} from './districts.js';
+export { ZONES, detectZoneFromCoords, detectZoneFromName } from './zones.js';
+export {
+  CROPS,
+  CROP_DEFAULTS,
+  ZONE_DEFAULTS,
+  PUNJAB_DISTRICT_THRESHOLDS,
+  getCropThresholds,
+  getPunjabDistrictThreshold,
+  thresholdKey,
+  validateThresholds,
+  getEffectiveThresholds
+} from './thresholds.js';
+export {
+  THRESHOLD_PROFILE_FORMAT,
+  THRESHOLD_PROFILE_VERSION,
+  THRESHOLD_CSV_COLUMNS,
+  THRESHOLD_PROFILE_DETAILS,
+  createThresholdProfile,
+  parseThresholdProfile,
+  thresholdProfileToCsv
+} from './thresholdProfiles.js';
+export {
+  PLAINS_CLIMATE,
+  PHENOLOGY_MODELS,
+  getPhenologyModel,
+  dailyGdd,
+  estimatePhenology,
+  stageOn,
+  checkStageWeather
+} from './phenology.js';
+export {
+  CHILL_MODELS,
+  GDD_BASES,
+  getGddBase,
+  hourlyGdd,
+  hourlyChill,
+  typicalThermalDay,
+  accumulateThermalTime,
+  projectThermalTargets,
+  cropThermalTargets
+} from './thermal.js';
+export {
+  SOIL_TYPES,
+  PLAINS_ET0,
+  CROP_WATER,
+  MM_PER_INCH,
+  getCropWater,
+  effectiveRain,
+  toAcreInches,
+  scheduleIrrigation
+} from './waterBalance.js';
+export {
+  WET_RH,
+  RISK_LEVELS,
+  DISEASE_MODELS,
+  riskLevel,
+  toHours,
+  findSpells,
+  summarizeHours,
+  diseaseModelsFor,
+  assessDiseaseRisk
+} from './disease.js';
+export {
+  NORMAL_PERIOD,
+  NORMAL_WINDOW_DAYS,
+  dailyNormals,
+  normalsFor,
+  describeTemperatureAnomaly,
+  forecastAnomalies
+} from './climate.js';
+export { MESSAGES } from './messages.js';
+export {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  STAGE_TRANSLATIONS,
+  DISEASE_TRANSLATIONS,
+  isSupportedLanguage,
+  normalizeLanguage,
+  textDirection,
+  languageLocale,
+  translate,
+  describeWeatherCode,
+  cropName,
+  describeAge,
+  localizePhenology,
+  localizeDiseaseRisk,
+  describeStageRisk,
+  aiLanguageInstruction
+} from './i18n.js';
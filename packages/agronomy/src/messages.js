@@ -0,0 +1,1193 @@
+// UI and advisory text by language, looked up with translate() (i18n.js). Keys are flat and dotted
+// ('nav.weather', 'suitability.reason.heatAbove'); values may hold {name} placeholders. English is
+// the complete catalog and the fallback for anything another language lacks. Crop stage names and
+// care notes are translated separately (STAGE_TRANSLATIONS in i18n.js), keyed by crop.
+
+const en = {
+  // Shared chrome: navbar, footer, language switcher
+  'nav.home': 'Home',
+  'nav.weather': 'Weather',
+  'nav.compare': 'Compare',
+  'nav.diseases': 'Diseases',
+  'nav.assistant': 'AI Assistant',
+  'nav.about': 'About',
+  'nav.language': 'Language',
+  'brand.name': 'Farmer Aid',
+  'brand.assistant': 'AgriGuide AI',
+  'footer.rights': 'Farmer Aid — All rights reserved.',
+  'footer.rightsAssistant': 'AgriGuide AI — All rights reserved.',
+  'footer.builtFor': 'Built with ❤ for farmers',
+  'footer.builtForPakistan': 'Built with ❤ for farmers in Pakistan',
+  'footer.builtBy': 'Built by Muhammad Saad',
+
+  'common.loading': 'Loading...',
+  'common.error': 'Error:',
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+  'common.close': 'Close',
+  'common.remove': 'Remove',
+  'common.none': 'None',
+  'common.send': 'Send',
+  'common.stop': 'Stop',
+  'common.requestFailed': 'Request failed ({status})',
+  'common.apiError': 'API Error {status}',
+
+  // Ages of data served from the offline cache
+  'age.justNow': 'just now',
+  'age.minutes': '{n} min ago',
+  'age.hours': '{n} h ago',
+  'age.days': '{n} days ago',
+
+  // Crops, zones, levels
+  'crop.wheat': 'Wheat',
+  'crop.rice': 'Rice',
+  'crop.cotton': 'Cotton',
+  'crop.sugarcane': 'Sugarcane',
+  'crop.maize': 'Maize',
+  'crop.barley': 'Barley',
+  'crop.pulses': 'Pulses',
+  'crop.oilseeds': 'Oilseeds',
+  'crop.vegetables': 'Vegetables',
+  'crop.fruits': 'Fruits',
+  'crop.potato': 'Potato',
+  'crop.other': 'Other',
+  'zone.auto': 'Auto',
+  'zone.default': 'Auto / Default',
+  'zone.Punjab': 'Punjab',
+  'zone.Sindh': 'Sindh',
+  'zone.KPK': 'KPK',
+  'zone.Balochistan': 'Balochistan',
+  'zone.Gilgit': 'Gilgit',
+  'zone.Islamabad': 'Islamabad',
+  'level.Low': 'Low',
+  'level.Moderate': 'Moderate',
+  'level.High': 'High',
+  'levelPhrase.Low': 'low',
+  'levelPhrase.Moderate': 'moderate',
+  'levelPhrase.High': 'high',
+  'severity.mild': 'Mild',
+  'severity.moderate': 'Moderate',
+  'severity.severe': 'Severe',
+  'severity.unknown': 'Unknown',
+
+  // WMO weather codes
+  'weatherCode.0': 'Clear sky',
+  'weatherCode.1': 'Mainly clear',
+  'weatherCode.2': 'Partly cloudy',
+  'weatherCode.3': 'Overcast',
+  'weatherCode.45': 'Fog',
+  'weatherCode.48': 'Depositing rime fog',
+  'weatherCode.51': 'Light drizzle',
+  'weatherCode.53': 'Moderate drizzle',
+  'weatherCode.55': 'Dense drizzle',
+  'weatherCode.56': 'Freezing drizzle',
+  'weatherCode.57': 'Dense freezing drizzle',
+  'weatherCode.61': 'Light rain',
+  'weatherCode.63': 'Moderate rain',
+  'weatherCode.65': 'Heavy rain',
+  'weatherCode.66': 'Light freezing rain',
+  'weatherCode.67': 'Heavy freezing rain',
+  'weatherCode.71': 'Light snow',
+  'weatherCode.73': 'Moderate snow',
+  'weatherCode.75': 'Heavy snow',
+  'weatherCode.77': 'Snow grains',
+  'weatherCode.80': 'Light rain showers',
+  'weatherCode.81': 'Moderate rain showers',
+  'weatherCode.82': 'Violent rain showers',
+  'weatherCode.85': 'Slight snow showers',
+  'weatherCode.86': 'Heavy snow showers',
+  'weatherCode.95': 'Thunderstorm',
+  'weatherCode.96': 'Thunderstorm with slight hail',
+  'weatherCode.99': 'Thunderstorm with heavy hail',
+  'weatherCode.unknown': 'Unknown',
+
+  // Suitability (backend/services/suitability.js and the weather page's local copy)
+  'suitability.status.Suitable': 'Suitable',
+  'suitability.status.Marginal': 'Marginal',
+  'suitability.status.Unsuitable': 'Unsuitable',
+  'suitability.reason.extremeHeat': 'Extreme daytime heat (avg max > 40°C) likely unsuitable.',
+  'suitability.reason.extremeCold': 'Very low night temperatures (avg min < -5°C) likely unsuitable.',
+  'suitability.reason.hotDry': 'Very hot and dry conditions — high water demand and heat stress risk.',
+  'suitability.reason.dayAbove': 'Average daytime temperature ({value}°C) is above the recommended upper bound for {crop}.',
+  'suitability.reason.dayBelow': 'Average daytime temperature ({value}°C) is below the typical lower expected range for {crop}.',
+  'suitability.reason.nightAbove': 'Average night temperature ({value}°C) is higher than ideal upper bound for {crop}.',
+  'suitability.reason.nightBelow': 'Average night temperature ({value}°C) is lower than ideal lower bound for {crop}.',
+  'suitability.reason.soilCold': 'Soil temperature (~{value}°C) is below recommended minimum ({limit}°C) for {crop} establishment.',
+  'suitability.reason.lowRain': 'Forecast rainfall ({value} mm over {days} days) may be insufficient for {crop} without irrigation.',
+  'stageRisk.heat': 'Heat up to {value}°C on {days} day(s) from {date} during {stage} (critical above {limit}°C).',
+  'stageRisk.frost': 'Frost down to {value}°C on {days} day(s) from {date} during {stage} (critical at {limit}°C or below).',
+
+  // Weather page: hero, controls, sections
+  'weather.title': '🌾 Farmer Aid — Weather & Crop Insights',
+  'weather.heroTitle': 'Advanced Weather & Crop Insights',
+  'weather.heroTagline': 'Get accurate 5-day forecasts and practical recommendations tailored for your crops in Pakistan. Make informed decisions for healthier crops and higher yields.',
+  'weather.checkWeather': 'Check Weather',
+  'weather.viewForecast': 'View Forecast',
+  'weather.cityPlaceholder': 'Enter city (e.g., Lahore, Multan)',
+  'weather.search': 'Search',
+  'weather.useLocation': 'Use my location',
+  'weather.loadFarm': 'Load a saved farm',
+  'weather.myFarms': 'My farms…',
+  'weather.sowingDate': 'Sowing (or transplanting) date',
+  'weather.zoneSelect': 'Select province/zone or Auto-detect',
+  'weather.editThresholds': 'Edit thresholds',
+  'weather.refresh': 'Refresh last location/search',
+  'weather.alertsOn': 'Get weather alerts for this place',
+  'weather.alertsOff': 'Turn off weather alerts for {place}',
+  'weather.alertsSubscribed': 'Weather alerts on for {place} ({crop}): frost, heat and heavy rain warnings arrive as notifications.',
+  'weather.alertsUnsubscribed': 'Weather alerts turned off.',
+  'weather.alertsDenied': 'Notifications are blocked for this site. Allow them in the browser settings to get alerts.',
+  'weather.alertsUnavailable': 'Weather alerts are not set up on this server.',
+  'weather.alertsUnsupported': 'This browser cannot show notifications.',
+  'weather.alertsFailed': 'Could not change weather alerts: {error}',
+  'weather.fetching': 'Fetching weather...',
+  'weather.currentWeather': 'Current Weather',
+  'weather.feelsLike': 'Feels like:',
+  'weather.humidityMaxMin': 'Humidity (max/min):',
+  'weather.windSpeed': 'Wind speed:',
+  'weather.sunriseSunset': 'Sunrise / Sunset:',
+  'weather.forecastTitle': '5-Day Forecast',
+  'weather.normalTitle': 'Compared With Normal',
+  'weather.normalDay': 'Day',
+  'weather.normalMax': 'Max °C',
+  'weather.normalMin': 'Min °C',
+  'weather.normalRain': 'Rain mm',
+  'weather.suitabilityTitle': 'Crop Suitability',
+  'weather.advisoryTitle': 'AI Crop Advisory',
+  'weather.careTitle': 'Crop Care',
+  'weather.fertilizer': 'Fertilizer',
+  'weather.watering': 'Watering',
+  'weather.pests': 'Pest & Disease Prevention',
+  'weather.gddTitle': 'Growing Degree Days',
+  'weather.unavailable': 'Unavailable',
+  'weather.yourLocation': 'Your Location',
+  'weather.enterCity': 'Please enter a city name.',
+  'weather.noGeolocation': 'Geolocation is not supported by your browser.',
+  'weather.locationFailed': 'Unable to retrieve your location. Please search by city.',
+  'weather.noPreviousLocation': 'No previous location to refresh.',
+  'weather.lookupFailed': 'Failed to lookup location.',
+  'weather.cityNotFound': 'City not found. Please try different spelling or a nearby city.',
+  'weather.geocodeFailed': 'Failed to get location coordinates. Please try again later.',
+  'weather.fetchFailed': 'Failed to fetch weather data from server.',
+  'weather.unexpectedResponse': 'Unexpected weather response. Please try again.',
+  'weather.connectionFailed': 'Failed to fetch weather data. Check your internet connection or try again.',
+  'weather.unexpectedError': 'An unexpected error occurred: {message}',
+  'weather.detectedZone': 'Detected province/zone: {zone}',
+  'weather.detectedDistrict': 'Inferred district: {district} (from district mapping)',
+  'weather.humidity': 'Humidity: {min}% - {max}%',
+  'weather.rain': 'Rain: {mm} mm',
+  'weather.noRain': 'No Rain',
+  'weather.forecastAge': 'Offline · forecast from {age}',
+  'weather.forecastAgeTitle': 'No connection: showing the forecast saved on {date}. Use refresh when you are back online.',
+
+  // Soil, irrigation method and log
+  'soil.sand': 'Sand',
+  'soil.loamySand': 'Loamy sand',
+  'soil.sandyLoam': 'Sandy loam',
+  'soil.loam': 'Loam',
+  'soil.siltLoam': 'Silt loam',
+  'soil.clayLoam': 'Clay loam',
+  'soil.clay': 'Clay',
+  'soil.title': 'Soil texture',
+  'irrigationMethod.flood': 'Flood / basin',
+  'irrigationMethod.furrow': 'Furrow',
+  'irrigationMethod.drip': 'Drip',
+  'irrigationMethod.title': 'Irrigation method',
+  'irrigationLog.date': 'Date irrigated',
+  'irrigationLog.depth': 'Water applied (mm; 1 inch = 25.4 mm)',
+  'irrigationLog.log': 'Log',
+  'irrigationLog.entry': 'Irrigated {date}: {mm} mm',
+
+  // Threshold editor
+  'thresholds.title': 'Edit Thresholds',
+  'thresholds.crop': 'Crop',
+  'thresholds.zone': 'Zone',
+  'thresholds.idealMaxLower': 'Ideal Max Lower',
+  'thresholds.idealMaxUpper': 'Ideal Max Upper',
+  'thresholds.idealMinLower': 'Ideal Min Lower',
+  'thresholds.idealMinUpper': 'Ideal Min Upper',
+  'thresholds.minSoilTemp': 'Min Soil Temp (°C)',
+  'thresholds.minTotalRain5d': 'Min Total Rain (5d mm)',
+  'thresholds.reset': 'Reset to Defaults',
+  'thresholds.saved': 'Thresholds saved for {crop} ({zone}).',
+  'thresholds.resetDone': 'Custom thresholds reset for {crop} ({zone}).',
+  'thresholds.undo': 'Undo',
+  'thresholds.restored': 'Restored custom thresholds for {crop} ({zone}).',
+  'thresholds.shareTitle': 'Share and sync',
+  'thresholds.exportJson': 'Export JSON',
+  'thresholds.exportCsv': 'Export CSV',
+  'thresholds.import': 'Import…',
+  'thresholds.nothingToExport': 'There are no saved thresholds to export yet.',
+  'thresholds.exported': 'Exported {count} saved thresholds.',
+  'thresholds.imported': 'Imported {count} thresholds from {file}.',
+  'thresholds.importInvalid': '{file} could not be imported:',
+  'thresholds.tehsilProfile': 'Tehsil profile',
+  'thresholds.district': 'District',
+  'thresholds.tehsil': 'Tehsil',
+  'thresholds.tehsilOptional': 'Tehsil (optional)',
+  'thresholds.findProfiles': 'Find',
+  'thresholds.enterDistrict': 'Enter a district to see its published profiles.',
+  'thresholds.noProfiles': 'No profiles have been published here yet.',
+  'thresholds.profilesFailed': 'Could not load the published profiles.',
+  'thresholds.notSubscribed': 'Not subscribed to a tehsil profile.',
+  'thresholds.subscribedTo': 'Using {name} (revision {revision}, {date}) where you have not set your own.',
+  'thresholds.withdrawn': 'Withdrawn',
+  'thresholds.unsubscribe': 'Unsubscribe',
+  'thresholds.subscribe': 'Subscribe',
+  'thresholds.subscribed': 'Subscribed',
+  'thresholds.withdraw': 'Withdraw',
+  'thresholds.revision': 'revision {revision}, {date}',
+  'thresholds.publishTitle': 'Publish my thresholds for a tehsil (extension officers)',
+  'thresholds.profileName': 'Profile name',
+  'thresholds.publisher': 'Office / officer',
+  'thresholds.notes': 'Notes (calibration season, source)',
+  'thresholds.publisherKey': 'Publisher key',
+  'thresholds.publish': 'Publish',
+  'thresholds.published': 'Published {name} (revision {revision}).',
+  'thresholds.publishInvalid': 'The profile could not be published:',
+
+  // Suitability card
+  'suitability.suitableText': '— conditions look generally favorable for {crop} in {location}{zone}.',
+  'suitability.marginalText': '— some conditions may limit {crop} production in {location}{zone}. See reasons below.',
+  'suitability.unsuitableText': '— weather/soil indicated is likely to limit successful {crop} production in {location}{zone}.',
+  'suitability.zone': ' ({zone})',
+  'suitability.custom': 'Custom',
+  'suitability.customTitle': 'Custom thresholds active',
+  'suitability.profile': 'Tehsil profile: {name}',
+  'suitability.profileTitle': 'Thresholds from the tehsil profile you subscribed to',
+  'suitability.keyMetrics': 'Key metrics:',
+  'suitability.metrics': 'Avg Max: {max}°C, Avg Min: {min}°C, Rain(5d): {rain} mm',
+  'suitability.soilMetric': ', Soil: {soil}°C',
+  'suitability.reasons': 'Reasons / concerns:',
+  'suitability.noConcerns': 'No major concerns detected for the next {days} days.',
+  'suitability.note': 'These assessments are rule-based and approximate. For farm-level decisions, consult local extension services and use soil tests.',
+  'suitability.alertLabel': 'Suitability Alert:',
+  'suitability.alert': '{status} for {crop} at {location}{zone}.',
+
+  // Growth stage and field tasks
+  'phenology.growthStage': 'Growth stage:',
+  'phenology.notSown': 'Not sown yet — sowing on {date}.',
+  'phenology.summary': '{stage} — day {days} after sowing, {gdd} GDD{next}.',
+  'phenology.next': '; next: {stage} {when}',
+  'when.later': 'later this season',
+  'when.today': 'today',
+  'when.ago': '{n} day(s) ago',
+  'when.in': 'in {n} day(s) (around {date})',
+  'task.due': '{name} ({note}) is due now.',
+  'task.upcoming': '{name} ({note}) is due {when}.',
+  'care.comingUp': 'Coming up — {stage}: {note}',
+  'care.comingUpWhen': 'Coming up — {stage} {when}: {note}',
+
+  // Advisory (AI and rule-based)
+  'advisory.generating': 'Generating crop insights...',
+  'advisory.failed': 'Failed to generate crop advisory. Please try again later.',
+  'advisory.sourceAi': 'Source: AI model',
+  'advisory.sourceAiTitle': 'Generated by the AI model from the forecast',
+  'advisory.sourceRules': 'Source: Built-in weather rules',
+  'advisory.sourceRulesTitle': 'The AI service was unavailable, so built-in weather rules were used',
+  'advisory.saved': 'Offline · saved {age}',
+  'advisory.savedTitle': 'No connection: this advisory was saved on {date}',
+  'advisory.riskLabel': '{level} Risk',
+  'advisory.introAi': 'For your {crop} crop in {location}, our AI analysis indicates a {risk} for potential issues.',
+  'advisory.introRules': 'For your {crop} crop in {location}, our weather rules indicate a {risk} for potential issues.',
+  'advisory.weatherTrend': 'Weather Trend Summary:',
+  'advisory.threats': 'Potential Threats:',
+  'advisory.recommendations': 'Preventative Recommendations:',
+  'advisory.scout': 'Regularly scout your fields (at least twice a week) for early detection of any symptoms or pest presence.',
+  'advisory.sanitation': 'Ensure proper field sanitation by removing weeds and crop residues, which can act as hosts.',
+  'advisory.extension': 'Consult your local agricultural extension officer for specific, localized advice tailored to your farm.',
+  'advisory.disclaimer': 'Disclaimer: This advisory is based on current weather forecasts and generalized agricultural models. Always cross-reference with actual field observations and local expert guidance.',
+  'rules.summary': 'The next five days range from {min}°C to {max}°C, with total rainfall of {rain}mm.',
+  'rules.wetHours': ' The hourly forecast has {hours} leaf-wetness hour(s) (RH ≥ 90% or rain).',
+  'rules.diseaseThreat': '{name}: {level} risk on {date} — {explanation}',
+  'rules.fungalHigh': 'High risk of fungal diseases (e.g., blights, mildews): leaves stay wet for up to {hours} hours at mild temperatures.',
+  'rules.fungalHighAdvice': 'Improve drainage, avoid over-irrigation and evening irrigation, and apply preventative fungicides if applicable.',
+  'rules.fungalModerate': 'Moderate risk of fungal diseases: wet spells of up to {hours} hours at mild temperatures.',
+  'rules.fungalModerateAdvice': 'Increase field monitoring. Ensure good plant spacing for air circulation.',
+  'rules.heat': 'Heat stress on {days} day(s) with maximum temperatures of 38°C or more, with high water demand.',
+  'rules.heatAdvice': 'Irrigate in the early morning or evening and avoid moisture stress on the hottest days.',
+  'rules.cold': 'Cold stress on {nights} night(s) at 4°C or below; frost is possible if temperatures drop below 0°C.',
+  'rules.coldAdvice': 'Monitor minimum temperatures closely and keep soil moist to buffer against frost.',
+  'rules.whitefly': 'Hot, dry days favour whitefly build-up and the spread of Cotton Leaf Curl Virus (CLCuV).',
+  'rules.whiteflyAdvice': 'Intensify whitefly monitoring with yellow sticky traps; spray only when the economic threshold is reached.',
+  'rules.mites': 'Hot, dry spells can favour mites and sucking pests.',
+  'rules.mitesAdvice': 'Monitor leaf undersides for mites and sucking pests.',
+  'rules.none': 'No significant pest or disease activity is currently indicated by the weather forecast.',
+  'rules.noneAdvice': 'Continue routine crop management, field monitoring, and good agricultural practices.',
+  'rules.favorable': 'The weather for the next five days appears largely favorable for your {crop} crop.',
+  'rules.challenging': 'The weather for the next five days presents some challenges for your {crop} crop.',
+
+  // Crop care cards
+  'care.insufficientFertilizer': 'Insufficient forecast data to compute recommendations.',
+  'care.insufficientWatering': 'Insufficient forecast data to compute watering schedule.',
+  'care.insufficientPests': 'Insufficient forecast data to compute pest & disease guidance.',
+  'care.failedFertilizer': 'Failed to load fertilizer recommendations.',
+  'care.failedWatering': 'Failed to load watering schedule.',
+  'care.failedPests': 'Failed to load pest & disease prevention tips.',
+  'care.summaryLabel': 'Summary:',
+  'care.summary': 'Avg Tmax {tmax}°C, Avg daily rain {rain} mm, Soil temp: {soil}.',
+  'care.fertilizerFor': 'Fertilizer recommendations for {crop}:',
+  'care.fertilizerNote': 'These are general recommendations. Use soil tests for exact rates and local extension advice.',
+  'fert.N': 'Urea (Nitrogen)',
+  'fert.P': 'DAP / SSP (Phosphorus)',
+  'fert.K': 'MOP (Potassium)',
+  'fert.Zn': 'Zinc Sulfate',
+  'fert.sugarcane.n': '{N} — split application: basal + top dress during grand growth.',
+  'fert.sugarcane.p': '{P} — at planting/transplanting for roots.',
+  'fert.sugarcane.k': '{K} — ensure K for stalk strength.',
+  'fert.sugarcane.wet': 'High rainfall risk: prefer split N or foliar micro-nutrient top-ups after rain.',
+  'fert.sugarcane.hotDry': 'Hot/dry — maintain soil moisture pre-application to improve uptake.',
+  'fert.wheat.n': '{N} — basal at sowing + top-dressing at tillering/jointing.',
+  'fert.wheat.p': '{P} — at sowing if soil P is low.',
+  'fert.wheat.zn': '{Zn} — consider if soil tests indicate zinc deficiency.',
+  'fert.wheat.wet': 'Delay heavy N applications until soil is workable post-rain.',
+  'fert.wheat.cool': 'Cool soils — prefer smaller split N doses.',
+  'fert.rice.n': '{N} — time around tillering and panicle initiation; avoid large N before heavy rain.',
+  'fert.rice.p': '{P} — early application for establishment.',
+  'fert.rice.wet': 'Heavy rain: consider a small N top-up after rains clear to recover lost N.',
+  'fert.cotton.n': '{N} — split doses; avoid excessive N close to boll opening.',
+  'fert.cotton.pk': '{P} & {K} — ensure adequate P and K early in the season.',
+  'fert.cotton.hotDry': 'Hot/dry forecast: ensure irrigation when applying N to promote uptake.',
+  'fert.maize.n': '{N} — large N demand; split planting + sidedress.',
+  'fert.maize.p': '{P} — at planting for early vigor.',
+  'fert.maize.k': '{K} — important for grain fill.',
+  'fert.maize.wet': 'High rainfall risk: consider split N or slow-release formulations if available.',
+  'fert.default.npk': 'Balanced N-P-K program; prefer split N applications to reduce leaching.',
+  'fert.default.wet': 'Avoid applying large quantities right before heavy rains.',
+  'water.et0Label': 'Estimated ET₀:',
+  'water.et0': '{et0} mm/day over the next {days} days.',
+  'water.rainLabel': 'Total forecast rainfall:',
+  'water.rain': '{rain} mm over {days} days.',
+  'water.reduced': 'Reduced irrigation needed: rainfall likely meets much of crop water need.',
+  'water.monitor': 'Monitor soil moisture; resume irrigation when soil begins to dry.',
+  'water.increased': 'Increased irrigation likely required: high evaporative demand with low rainfall.',
+  'water.timing': 'Irrigate early morning or late evening; consider efficient systems (drip) where possible.',
+  'water.regular': 'Regular irrigation recommended based on crop stage and soil moisture checks.',
+  'water.rice': 'Maintain appropriate standing water depth for rice paddies based on crop stage.',
+  'water.cotton': 'Cotton: avoid water stress during flowering and boll formation.',
+  'water.wheat': 'Wheat: ensure moisture during crown root initiation and flowering stages.',
+  'water.note': 'Adjust irrigation using field checks and local guidance.',
+  'pest.highLabel': 'High Alert:',
+  'pest.high': 'Intensify scouting and be prepared for targeted control measures.',
+  'pest.highFocus': 'Focus surveillance on known vulnerable crop parts and low-lying wet areas.',
+  'pest.moderateLabel': 'Moderate Alert:',
+  'pest.moderate': 'Increase monitoring frequency and prepare intervention plans.',
+  'pest.lowLabel': 'Low Risk:',
+  'pest.low': 'Continue routine monitoring and cultural practices.',
+  'pest.fungal': 'Warm, humid conditions elevate fungal disease risk; improve air circulation and avoid dense canopies.',
+  'pest.insects': 'Hot, dry spells can favor insect pests (e.g., whiteflies, mites). Monitor leaf undersides.',
+  'pest.stageRisk': 'Stage risk:',
+  'pest.ipm': 'Integrated Pest Management (IPM): combine cultural, biological, and chemical controls as needed.',
+  'pest.heading': 'Pest & Disease guidance (based on AI advisory):',
+  'pest.note': 'Combine these with local expert advice and field observations.',
+  'pest.modelRisk': '{name} risk (hourly model):',
+  'pest.modelPeak': '{level} on {date}',
+
+  // Irrigation schedule (water balance)
+  'irrigation.notSown': 'Not sown yet — the water balance starts on {date}.',
+  'irrigation.ended': 'Irrigation has ended for this crop stage — no further irrigation is scheduled.',
+  'irrigation.rootZoneLabel': 'Root zone ({depth} m):',
+  'irrigation.rootZone': '{used} mm used of {taw} mm available ({pct}%); irrigate at {raw} mm.',
+  'irrigation.perAcre': 'per acre',
+  'irrigation.forAcres': 'for {n} acres',
+  'irrigation.entry': '{net} mm net, apply {gross} mm ({inches} in; {acreInches} acre-inches {area})',
+  'irrigation.nextLabel': 'Next irrigation:',
+  'irrigation.noneNeeded': 'none needed in the next 30 days if the forecast holds.',
+  'irrigation.nowLabel': 'Irrigate now:',
+  'irrigation.overdue': ' — the crop has been short of water since {date}',
+  'irrigation.then': 'Then: {list}.',
+  'irrigation.climate': 'Dates past the forecast assume typical weather and no rain.',
+
+  // Compare page
+  'compare.title': '🌾 Farmer Aid — Compare Districts',
+  'compare.heading': 'Compare Districts',
+  'compare.province': 'Province',
+  'compare.district': 'District',
+  'compare.addDistrict': 'Add district',
+  'compare.crop': 'Crop',
+  'compare.sowingDate': 'Sowing date',
+  'compare.sowingDateTitle': 'Optional: keys suitability and disease risk to the growth stage',
+  'compare.compare': 'Compare',
+  'compare.pick': 'Pick {min} to {max} districts.',
+  'compare.selected': '{n} districts selected.',
+  'compare.selectedMore': '{n} districts selected (up to {remaining} more).',
+  'compare.removeDistrict': 'Remove {name}',
+  'compare.fetching': 'Fetching forecasts…',
+  'compare.results': 'Suitability and risks',
+  'compare.colDistrict': 'District',
+  'compare.colSuitability': 'Suitability',
+  'compare.colTemp': 'Avg max / min (°C, 5 days)',
+  'compare.colRain': 'Rain (mm, 5 days)',
+  'compare.colRisks': 'Risk flags',
+  'compare.tempChart': 'Daily maximum temperature (°C)',
+  'compare.rainChart': 'Daily precipitation (mm)',
+  'compare.failed': 'Comparison failed: {message}',
+
+  // Diseases page
+  'diseases.heroTitle': 'Diagnose & Cure Your Plants with Artificial Intelligence',
+  'diseases.heroText': 'Upload a picture of your plant, and our AI will identify diseases, nutrient deficiencies, or water issues, providing immediate solutions.',
+  'diseases.getStarted': 'Get Started Now',
+  'diseases.whyTitle': 'Why Choose Plant Doctor AI?',
+  'diseases.feature1Title': 'Accurate Disease Detection',
+  'diseases.feature1Text': 'Our advanced AI swiftly identifies a wide range of plant diseases from your uploaded images.',
+  'diseases.feature2Title': 'Nutrient & Water Analysis',
+  'diseases.feature2Text': 'Gain vital insights into nutrient deficiencies or watering imbalances affecting your plants.',
+  'diseases.feature3Title': 'Actionable Cure Recommendations',
+  'diseases.feature3Text': 'Receive clear, step-by-step instructions and best practices to restore your plants\' health.',
+  'diseases.feature4Title': 'AI Chat Support',
+  'diseases.feature4Text': 'Have questions or need more details? Our integrated chatbot offers instant answers and expert guidance.',
+  'diseases.uploadTitle': 'Upload Your Plant Image for Diagnosis',
+  'diseases.dropText': 'Drag & Drop your plant image here, or click to select a file.',
+  'diseases.diagnose': 'Diagnose Plant',
+  'diseases.analyzing': 'Analyzing...',
+  'diseases.resultsTitle': 'Diagnosis Results:',
+  'diseases.disease': 'Disease Detected:',
+  'diseases.severity': 'Severity:',
+  'diseases.treatment': 'Recommended Treatment:',
+  'diseases.nutrients': 'Nutrient & Water Status:',
+  'diseases.advice': 'Additional Advice:',
+  'diseases.chatTitle': 'Plant Doctor AI Chatbot',
+  'diseases.chatGreeting': 'Hello! How can I help you with your plants today?',
+  'diseases.title': 'Plant Doctor AI - Diagnose & Cure Your Plants',
+  'diseases.chatPlaceholder': 'Ask a question...',
+  'diseases.typing': 'Typing...',
+  'diseases.chatError': 'Sorry, the AI did not return an answer. Check API key or try again.',
+  'diseases.uploadImage': 'Please upload an image file.',
+  'diseases.uploadFirst': 'Please upload a plant image first.',
+  'diseases.unclear': 'Unclear result',
+  'diseases.unclearText': 'The AI could not produce a clear diagnosis for this photo. Please try again with a closer, well-lit image of the affected leaf.',
+  'diseases.consultExpert': 'Consult a local expert if problem persists.',
+  'diseases.waiting': 'Waiting for connection',
+  'diseases.queuedText': 'You are offline, so the photo has been saved on this device. It will be sent for diagnosis as soon as the connection returns, and the result will appear here (or the next time you open this page).',
+  'diseases.error': 'Error',
+  'diseases.queuedResult': '{disease} (photo queued {age})',
+  'diseases.queuedFailed': 'The photo queued {age} could not be diagnosed: {message}',
+
+  // AI assistant page
+  'assistant.title': 'AgriGuide AI - Your Education & Career Guide',
+  'assistant.loading': 'Loading AgriGuide AI...',
+  'assistant.ready': 'AI Ready',
+  'assistant.processing': 'AI Processing...',
+  'assistant.standby': 'AI Standby',
+  'assistant.errorStatus': 'AI Error',
+  'assistant.offlineStatus': 'Offline - question queued',
+  'assistant.noFarm': 'No farm selected',
+  'assistant.farmTitle': 'Answer for one of your saved farms',
+  'assistant.threadsTitle': 'Your conversations',
+  'assistant.newChat': 'New Chat',
+  'assistant.newChatTitle': 'Start a new conversation',
+  'assistant.renameChat': 'Rename',
+  'assistant.renameChatTitle': 'Rename this conversation',
+  'assistant.renamePrompt': 'Name for this conversation:',
+  'assistant.deleteChat': 'Delete Chat',
+  'assistant.deleteChatTitle': 'Delete this conversation',
+  'assistant.deleteConfirm': 'Delete "{title}"? This cannot be undone.',
+  'assistant.untitled': 'New conversation',
+  'assistant.importedTitle': 'Earlier chat',
+  'assistant.summarized': 'The assistant remembers the {count} earlier messages of this conversation as a summary of their key facts.',
+  'assistant.threadsFailed': 'Could not load your conversations: {message}',
+  'assistant.threadFailed': 'Could not update the conversation: {message}',
+  'assistant.toolsUsed': 'Checked in Farmer Aid data:',
+  'assistant.tool.getForecast': 'Forecast for {district}',
+  'assistant.tool.getSuitability': '{crop} suitability in {district}',
+  'assistant.tool.getDistrict': 'District lookup: {name}',
+  'assistant.tool.other': 'Tool: {name}',
+  'assistant.toolRunning': '{label}…',
+  'assistant.toolFailed': '{label} (not available)',
+  'assistant.sources': 'Sources:',
+  'assistant.placeholder': 'Ask AgriGuide about courses, careers, or online work...',
+  'assistant.stopTitle': 'Stop generating this answer',
+  'assistant.user': 'Learner',
+  'assistant.system': 'System',
+  'assistant.systemAlert': 'System Alert',
+  'assistant.systemAdvisory': 'System Advisory',
+  'assistant.thinking': '{ai} is thinking',
+  'assistant.greeting': 'Hello {name}! I\'m {ai}. I can help you with questions about agriculture, and agriculture career paths. How can I assist you today?',
+  'assistant.busy': 'Please wait, I\'m still processing your previous request.',
+  'assistant.blocked': 'Your request could not be processed: {reason}. Please try rephrasing.',
+  'assistant.safety': 'My response was blocked due to safety guidelines. Please try a different query.',
+  'assistant.empty': 'I\'m sorry, I encountered an issue processing your request. Could you please rephrase or try again later?',
+  'assistant.altered': 'My response generation was potentially altered: {reason}.',
+  'assistant.stopped': 'Response stopped.',
+  'assistant.offline': 'Offline',
+  'assistant.offlineQueued': 'You\'re offline. Your question has been saved and will be answered as soon as the connection returns.',
+  'assistant.offlineNoThread': 'You\'re offline, and a new conversation can only be started online. Open an earlier conversation to save a question for later, or ask again when you are back online.',
+  'assistant.error': 'Error: {message}. Please try again. If the issue persists, the AI service might be temporarily unavailable.',
+  'assistant.yourQuestion': 'your question',
+  'assistant.queuedAnswer': 'Answer to {question}, asked offline {age}:',
+  'assistant.queuedFailed': 'The question {question} asked offline could not be answered: {details}. Please ask again.',
+  'assistant.queuedAnswerElsewhere': 'Your question {question}, asked offline {age}, has been answered in "{title}".',
+  'assistant.micTitle': 'Hold to ask by voice',
+  'assistant.listening': 'Listening... release to send',
+  'assistant.transcribing': 'Transcribing...',
+  'assistant.noSpeech': 'I could not hear a question in that recording. Hold the microphone button while you speak.',
+  'assistant.micDenied': 'Microphone access was denied. Allow it in the browser settings to ask by voice.',
+  'assistant.micFailed': 'Could not start the microphone: {message}',
+  'assistant.transcribeFailed': 'Could not understand the recording: {message}',
+  'assistant.voiceOffline': 'Voice questions need a connection. Please type your question instead; it will be answered when you are back online.',
+  'assistant.speakOn': 'Read aloud: on',
+  'assistant.speakOff': 'Read aloud: off',
+  'assistant.speakTitle': 'Read answers aloud',
+  'assistant.voiceTitle': 'Voice used to read answers',
+  'assistant.listen': 'Listen',
+  'assistant.noVoice': 'No {language} voice is installed on this device, so answers cannot be read aloud. Add one under text-to-speech in your phone or computer settings, or read the answer on screen.',
+
+  // About page
+  'about.title': 'About Us - Farmer Aid',
+  'about.heroTitle': 'About Our Mission',
+  'about.heroText': 'Empowering farmers with modern technology to cultivate a healthier, more sustainable future for agriculture.',
+  'about.role': 'Founder & Developer of Farmer Aid',
+  'about.bio': 'With a passion for technology and a deep respect for agriculture, I created Farmer Aid to bridge the gap between farming traditions and the digital age. My goal is to provide accessible, intelligent tools that help farmers overcome challenges, increase yield, and ensure a prosperous future.',
+  'about.valuesTitle': 'Our Core Values',
+  'about.innovation': 'Innovation',
+  'about.innovationText': 'We leverage cutting-edge AI and data analytics to provide smart, actionable insights for modern farming.',
+  'about.sustainability': 'Sustainability',
+  'about.sustainabilityText': 'Our tools promote eco-friendly practices, helping to conserve resources and protect the environment for future generations.',
+  'about.farmerCentric': 'Farmer-Centric',
+  'about.farmerCentricText': 'Everything we build is designed with the farmer in mind—intuitive, reliable, and genuinely helpful for daily challenges.',
+  'about.contactTitle': 'Get In Touch',
+  'about.contactText': 'Have questions or feedback? I\'d love to hear from you.',
+
+  // Home page
+  'home.title': '🌾 Farmer Aid — Pakistan',
+  'home.tagline': 'Smart weather, crop guidance & disease suggestions for farmers',
+  'home.checkWeather': 'Check Weather',
+  'home.exploreCrops': 'Explore Crops',
+  'home.cropsTitle': 'Major Crops of Pakistan',
+  'home.wheatText': 'The staple food crop of Pakistan, grown mainly in Punjab and Sindh.',
+  'home.riceText': 'Basmati and other rice varieties are major exports of Pakistan.',
+  'home.cottonText': 'Known as "white gold", cotton is a backbone of the textile industry.',
+  'home.sugarcaneText': 'Important cash crop used for sugar and ethanol production.',
+  'home.teaserTitle': 'Check Weather & Crop Advisory',
+  'home.teaserText': 'Get real-time weather updates and suggestions for your crops 🌾',
+  'home.teaserButton': 'Go to Weather Tool',
+
+  // React app (src/pages)
+  'app.homeTagline': 'Smart weather, crop guidance & disease suggestions for Pakistani farmers',
+  'app.aboutPage': 'About Page',
+  'app.aboutTitle': 'About Farmer Aid',
+  'app.aboutText': 'Farmer Aid provides weather-aware crop guidance and AI-driven disease diagnostics to help Pakistani farmers make better decisions.',
+  'app.weatherPage': 'Weather Page',
+  'app.loading': 'Loading…',
+  'app.savedFarm': 'Saved farm',
+  'app.locationNotFound': 'Location not found',
+  'app.district': '{district} district, ',
+  'app.offlineTitle': 'No connection: showing the forecast saved on {time}',
+  'app.temperature': 'Temperature: {value}°C',
+  'app.condition': 'Condition: {condition}',
+  'app.trendTitle': '5-day Temperature Trend',
+  'app.gddTitle': 'Growing degree days since sowing ({date})',
+  'app.gddSoFar': '{gdd} GDD so far, about {total} by the end of the forecast (base {base}°C)',
+  'app.target': '{name}: {date}',
+  'app.targetClimate': '{name}: {date} (typical weather)',
+  'app.notWithinYear': 'not within a year',
+  'app.aiPage': 'AI Page',
+  'app.chatIntro': 'Ask about crops, diseases, and weather-driven advice.',
+  'app.noMessages': 'No messages yet — ask something!',
+  'app.chatInput': 'Chat input',
+  'app.chatPlaceholder': 'Ask AgriGuide...',
+  'app.queuedAnswer': 'Answer to {question}, asked offline {age}: {answer}',
+  'app.queuedFailed': 'The question {question} asked offline could not be answered: {details}',
+  'app.stoppedPartial': '{text} [stopped]',
+  'app.stopped': 'Stopped.',
+  'app.noAnswer': 'No answer returned. Please try rephrasing.',
+  'app.aiError': 'AI service error',
+  'app.diseasesPage': 'Diseases Page',
+  'app.diseasesTitle': 'Plant Disease Diagnosis',
+  'app.analyze': 'Analyze',
+  'app.analyzing': 'Analyzing...',
+  'app.queued': 'You are offline, so the photo has been saved on this device. It will be diagnosed as soon as the connection returns.',
+  'app.unclear': 'The AI could not produce a clear diagnosis for this photo. Please try again with a closer, well-lit image.',
+  'app.photoQueued': 'Photo queued offline {age}',
+  'app.disease': 'Disease:',
+  'app.severity': 'Severity:',
+  'app.treatment': 'Treatment:',
+  'app.nutrientWater': 'Nutrient/Water:',
+  'app.advice': 'Advice:'
+};
+
+const ur = {
+  'nav.home': 'ہوم',
+  'nav.weather': 'موسم',
+  'nav.compare': 'موازنہ',
+  'nav.diseases': 'بیماریاں',
+  'nav.assistant': 'اے آئی معاون',
+  'nav.about': 'ہمارے بارے میں',
+  'nav.language': 'زبان',
+  'brand.name': 'فارمر ایڈ',
+  'brand.assistant': 'ایگری گائیڈ اے آئی',
+  'footer.rights': 'فارمر ایڈ — جملہ حقوق محفوظ ہیں۔',
+  'footer.rightsAssistant': 'ایگری گائیڈ اے آئی — جملہ حقوق محفوظ ہیں۔',
+  'footer.builtFor': 'کسانوں کے لیے ❤ سے تیار کیا گیا',
+  'footer.builtForPakistan': 'پاکستان کے کسانوں کے لیے ❤ سے تیار کیا گیا',
+  'footer.builtBy': 'تیار کردہ: محمد سعد',
+
+  'common.loading': 'لوڈ ہو رہا ہے...',
+  'common.error': 'خرابی:',
+  'common.cancel': 'منسوخ',
+  'common.save': 'محفوظ کریں',
+  'common.close': 'بند کریں',
+  'common.remove': 'ہٹائیں',
+  'common.none': 'کوئی نہیں',
+  'common.send': 'بھیجیں',
+  'common.stop': 'روکیں',
+  'common.requestFailed': 'درخواست ناکام ({status})',
+  'common.apiError': 'API خرابی {status}',
+
+  'age.justNow': 'ابھی ابھی',
+  'age.minutes': '{n} منٹ پہلے',
+  'age.hours': '{n} گھنٹے پہلے',
+  'age.days': '{n} دن پہلے',
+
+  'crop.wheat': 'گندم',
+  'crop.rice': 'چاول',
+  'crop.cotton': 'کپاس',
+  'crop.sugarcane': 'گنا',
+  'crop.maize': 'مکئی',
+  'crop.barley': 'جو',
+  'crop.pulses': 'دالیں',
+  'crop.oilseeds': 'تیل کے بیج',
+  'crop.vegetables': 'سبزیاں',
+  'crop.fruits': 'پھل',
+  'crop.potato': 'آلو',
+  'crop.other': 'دیگر',
+  'zone.auto': 'خودکار',
+  'zone.default': 'خودکار / طے شدہ',
+  'zone.Punjab': 'پنجاب',
+  'zone.Sindh': 'سندھ',
+  'zone.KPK': 'خیبر پختونخوا',
+  'zone.Balochistan': 'بلوچستان',
+  'zone.Gilgit': 'گلگت',
+  'zone.Islamabad': 'اسلام آباد',
+  'level.Low': 'کم',
+  'level.Moderate': 'درمیانہ',
+  'level.High': 'زیادہ',
+  'levelPhrase.Low': 'کم',
+  'levelPhrase.Moderate': 'درمیانہ',
+  'levelPhrase.High': 'زیادہ',
+  'severity.mild': 'معمولی',
+  'severity.moderate': 'درمیانی',
+  'severity.severe': 'شدید',
+  'severity.unknown': 'نامعلوم',
+
+  'weatherCode.0': 'صاف آسمان',
+  'weatherCode.1': 'زیادہ تر صاف',
+  'weatherCode.2': 'جزوی ابر آلود',
+  'weatherCode.3': 'مکمل ابر آلود',
+  'weatherCode.45': 'دھند',
+  'weatherCode.48': 'کہر والی دھند',
+  'weatherCode.51': 'ہلکی بوندا باندی',
+  'weatherCode.53': 'درمیانی بوندا باندی',
+  'weatherCode.55': 'تیز بوندا باندی',
+  'weatherCode.56': 'جمنے والی بوندا باندی',
+  'weatherCode.57': 'تیز جمنے والی بوندا باندی',
+  'weatherCode.61': 'ہلکی بارش',
+  'weatherCode.63': 'درمیانی بارش',
+  'weatherCode.65': 'تیز بارش',
+  'weatherCode.66': 'ہلکی جمنے والی بارش',
+  'weatherCode.67': 'تیز جمنے والی بارش',
+  'weatherCode.71': 'ہلکی برف باری',
+  'weatherCode.73': 'درمیانی برف باری',
+  'weatherCode.75': 'شدید برف باری',
+  'weatherCode.77': 'برف کے دانے',
+  'weatherCode.80': 'ہلکی بوچھاڑ',
+  'weatherCode.81': 'درمیانی بوچھاڑ',
+  'weatherCode.82': 'شدید بوچھاڑ',
+  'weatherCode.85': 'ہلکی برفانی بوچھاڑ',
+  'weatherCode.86': 'شدید برفانی بوچھاڑ',
+  'weatherCode.95': 'گرج چمک کے ساتھ طوفان',
+  'weatherCode.96': 'طوفان اور ہلکی ژالہ باری',
+  'weatherCode.99': 'طوفان اور شدید ژالہ باری',
+  'weatherCode.unknown': 'نامعلوم',
+
+  'suitability.status.Suitable': 'موزوں',
+  'suitability.status.Marginal': 'جزوی موزوں',
+  'suitability.status.Unsuitable': 'غیر موزوں',
+  'suitability.reason.extremeHeat': 'دن میں شدید گرمی (اوسط زیادہ سے زیادہ > 40°C)، غالباً غیر موزوں۔',
+  'suitability.reason.extremeCold': 'رات کا درجہ حرارت بہت کم (اوسط کم از کم < -5°C)، غالباً غیر موزوں۔',
+  'suitability.reason.hotDry': 'بہت گرم اور خشک موسم — پانی کی زیادہ ضرورت اور گرمی کے دباؤ کا خطرہ۔',
+  'suitability.reason.dayAbove': 'دن کا اوسط درجہ حرارت ({value}°C) {crop} کے لیے تجویز کردہ بالائی حد سے زیادہ ہے۔',
+  'suitability.reason.dayBelow': 'دن کا اوسط درجہ حرارت ({value}°C) {crop} کی عام نچلی حد سے کم ہے۔',
+  'suitability.reason.nightAbove': 'رات کا اوسط درجہ حرارت ({value}°C) {crop} کی مثالی بالائی حد سے زیادہ ہے۔',
+  'suitability.reason.nightBelow': 'رات کا اوسط درجہ حرارت ({value}°C) {crop} کی مثالی نچلی حد سے کم ہے۔',
+  'suitability.reason.soilCold': 'زمین کا درجہ حرارت (~{value}°C) {crop} کے اگاؤ کے لیے تجویز کردہ کم از کم ({limit}°C) سے کم ہے۔',
+  'suitability.reason.lowRain': 'متوقع بارش ({days} دنوں میں {value} ملی میٹر) آبپاشی کے بغیر {crop} کے لیے ناکافی ہو سکتی ہے۔',
+  'stageRisk.heat': '{stage} کے دوران {date} سے {days} دن گرمی {value}°C تک (نازک حد {limit}°C سے اوپر)۔',
+  'stageRisk.frost': '{stage} کے دوران {date} سے {days} دن کورا {value}°C تک (نازک حد {limit}°C یا اس سے کم)۔',
+
+  'weather.title': '🌾 فارمر ایڈ — موسم اور فصل کی معلومات',
+  'weather.heroTitle': 'موسم اور فصل کی جدید معلومات',
+  'weather.heroTagline': 'پاکستان میں اپنی فصلوں کے لیے 5 دن کی درست پیش گوئی اور عملی مشورے حاصل کریں۔ صحت مند فصل اور بہتر پیداوار کے لیے سوچ سمجھ کر فیصلے کریں۔',
+  'weather.checkWeather': 'موسم دیکھیں',
+  'weather.viewForecast': 'پیش گوئی دیکھیں',
+  'weather.cityPlaceholder': 'شہر کا نام لکھیں (مثلاً لاہور، ملتان)',
+  'weather.search': 'تلاش کریں',
+  'weather.useLocation': 'میرا مقام استعمال کریں',
+  'weather.loadFarm': 'محفوظ کھیت کھولیں',
+  'weather.myFarms': 'میرے کھیت…',
+  'weather.sowingDate': 'بوائی (یا پنیری کی منتقلی) کی تاریخ',
+  'weather.zoneSelect': 'صوبہ/علاقہ منتخب کریں یا خودکار',
+  'weather.editThresholds': 'حدود میں ترمیم کریں',
+  'weather.refresh': 'پچھلا مقام/تلاش دوبارہ لوڈ کریں',
+  'weather.alertsOn': 'اس جگہ کے موسمی انتباہات حاصل کریں',
+  'weather.alertsOff': '{place} کے موسمی انتباہات بند کریں',
+  'weather.alertsSubscribed': '{place} ({crop}) کے موسمی انتباہات چالو ہیں: کہر، گرمی اور شدید بارش کی وارننگ اطلاع کے طور پر آئے گی۔',
+  'weather.alertsUnsubscribed': 'موسمی انتباہات بند کر دیے گئے۔',
+  'weather.alertsDenied': 'اس سائٹ کے لیے اطلاعات بند ہیں۔ انتباہات کے لیے براؤزر کی ترتیبات میں اجازت دیں۔',
+  'weather.alertsUnavailable': 'اس سرور پر موسمی انتباہات ترتیب نہیں دیے گئے۔',
+  'weather.alertsUnsupported': 'یہ براؤزر اطلاعات نہیں دکھا سکتا۔',
+  'weather.alertsFailed': 'موسمی انتباہات تبدیل نہیں ہو سکے: {error}',
+  'weather.fetching': 'موسم کی معلومات لائی جا رہی ہیں...',
+  'weather.currentWeather': 'موجودہ موسم',
+  'weather.feelsLike': 'محسوس درجہ حرارت:',
+  'weather.humidityMaxMin': 'نمی (زیادہ/کم):',
+  'weather.windSpeed': 'ہوا کی رفتار:',
+  'weather.sunriseSunset': 'طلوع / غروب آفتاب:',
+  'weather.forecastTitle': '5 دن کی پیش گوئی',
+  'weather.normalTitle': 'معمول سے موازنہ',
+  'weather.normalDay': 'دن',
+  'weather.normalMax': 'زیادہ °C',
+  'weather.normalMin': 'کم °C',
+  'weather.normalRain': 'بارش ملی میٹر',
+  'weather.suitabilityTitle': 'فصل کی موزونیت',
+  'weather.advisoryTitle': 'اے آئی فصل مشورہ',
+  'weather.careTitle': 'فصل کی دیکھ بھال',
+  'weather.fertilizer': 'کھاد',
+  'weather.watering': 'آبپاشی',
+  'weather.pests': 'کیڑوں اور بیماریوں سے بچاؤ',
+  'weather.gddTitle': 'حرارتی اکائیاں (GDD)',
+  'weather.unavailable': 'دستیاب نہیں',
+  'weather.yourLocation': 'آپ کا مقام',
+  'weather.enterCity': 'براہ کرم شہر کا نام لکھیں۔',
+  'weather.noGeolocation': 'آپ کا براؤزر مقام معلوم کرنے کی سہولت نہیں رکھتا۔',
+  'weather.locationFailed': 'آپ کا مقام معلوم نہیں ہو سکا۔ براہ کرم شہر کے نام سے تلاش کریں۔',
+  'weather.noPreviousLocation': 'دوبارہ لوڈ کرنے کے لیے کوئی پچھلا مقام نہیں۔',
+  'weather.lookupFailed': 'مقام تلاش نہیں ہو سکا۔',
+  'weather.cityNotFound': 'شہر نہیں ملا۔ دوسرا ہجا یا قریبی شہر آزمائیں۔',
+  'weather.geocodeFailed': 'مقام کے کوآرڈینیٹس نہیں مل سکے۔ براہ کرم بعد میں کوشش کریں۔',
+  'weather.fetchFailed': 'سرور سے موسم کی معلومات نہیں مل سکیں۔',
+  'weather.unexpectedResponse': 'موسم کا غیر متوقع جواب۔ براہ کرم دوبارہ کوشش کریں۔',
+  'weather.connectionFailed': 'موسم کی معلومات نہیں مل سکیں۔ انٹرنیٹ کنکشن چیک کریں یا دوبارہ کوشش کریں۔',
+  'weather.unexpectedError': 'ایک غیر متوقع خرابی پیش آئی: {message}',
+  'weather.detectedZone': 'شناخت شدہ صوبہ/علاقہ: {zone}',
+  'weather.detectedDistrict': 'اندازاً ضلع: {district} (اضلاع کی فہرست سے)',
+  'weather.humidity': 'نمی: {min}% - {max}%',
+  'weather.rain': 'بارش: {mm} ملی میٹر',
+  'weather.noRain': 'بارش نہیں',
+  'weather.forecastAge': 'آف لائن · پیش گوئی {age}',
+  'weather.forecastAgeTitle': 'کنکشن نہیں: {date} کو محفوظ کی گئی پیش گوئی دکھائی جا رہی ہے۔ آن لائن ہونے پر دوبارہ لوڈ کریں۔',
+
+  'soil.sand': 'ریتلی',
+  'soil.loamySand': 'میرا ریتلی',
+  'soil.sandyLoam': 'ریتلی میرا',
+  'soil.loam': 'میرا',
+  'soil.siltLoam': 'بھل دار میرا',
+  'soil.clayLoam': 'چکنی میرا',
+  'soil.clay': 'چکنی',
+  'soil.title': 'زمین کی قسم',
+  'irrigationMethod.flood': 'کھلا پانی / کیاری',
+  'irrigationMethod.furrow': 'کھیلیاں',
+  'irrigationMethod.drip': 'ڈرپ',
+  'irrigationMethod.title': 'آبپاشی کا طریقہ',
+  'irrigationLog.date': 'آبپاشی کی تاریخ',
+  'irrigationLog.depth': 'دیا گیا پانی (ملی میٹر؛ 1 انچ = 25.4 ملی میٹر)',
+  'irrigationLog.log': 'درج کریں',
+  'irrigationLog.entry': 'آبپاشی {date}: {mm} ملی میٹر',
+
+  'thresholds.title': 'حدود میں ترمیم',
+  'thresholds.crop': 'فصل',
+  'thresholds.zone': 'علاقہ',
+  'thresholds.idealMaxLower': 'مثالی زیادہ سے زیادہ — نچلی حد',
+  'thresholds.idealMaxUpper': 'مثالی زیادہ سے زیادہ — بالائی حد',
+  'thresholds.idealMinLower': 'مثالی کم از کم — نچلی حد',
+  'thresholds.idealMinUpper': 'مثالی کم از کم — بالائی حد',
+  'thresholds.minSoilTemp': 'زمین کا کم از کم درجہ حرارت (°C)',
+  'thresholds.minTotalRain5d': 'کم از کم کل بارش (5 دن، ملی میٹر)',
+  'thresholds.reset': 'طے شدہ حدود بحال کریں',
+  'thresholds.saved': '{crop} ({zone}) کے لیے حدود محفوظ ہو گئیں۔',
+  'thresholds.resetDone': '{crop} ({zone}) کی اپنی حدود ختم کر دی گئیں۔',
+  'thresholds.undo': 'واپس لیں',
+  'thresholds.restored': '{crop} ({zone}) کی اپنی حدود بحال ہو گئیں۔',
+  'thresholds.shareTitle': 'شیئر اور ہم آہنگی',
+  'thresholds.exportJson': 'JSON برآمد کریں',
+  'thresholds.exportCsv': 'CSV برآمد کریں',
+  'thresholds.import': 'درآمد کریں…',
+  'thresholds.nothingToExport': 'ابھی برآمد کرنے کے لیے کوئی محفوظ حدود نہیں ہیں۔',
+  'thresholds.exported': '{count} محفوظ حدود برآمد ہو گئیں۔',
+  'thresholds.imported': '{file} سے {count} حدود درآمد ہو گئیں۔',
+  'thresholds.importInvalid': '{file} درآمد نہیں ہو سکی:',
+  'thresholds.tehsilProfile': 'تحصیل پروفائل',
+  'thresholds.district': 'ضلع',
+  'thresholds.tehsil': 'تحصیل',
+  'thresholds.tehsilOptional': 'تحصیل (اختیاری)',
+  'thresholds.findProfiles': 'تلاش کریں',
+  'thresholds.enterDistrict': 'شائع شدہ پروفائل دیکھنے کے لیے ضلع درج کریں۔',
+  'thresholds.noProfiles': 'یہاں ابھی کوئی پروفائل شائع نہیں ہوا۔',
+  'thresholds.profilesFailed': 'شائع شدہ پروفائل لوڈ نہیں ہو سکے۔',
+  'thresholds.notSubscribed': 'کسی تحصیل پروفائل کی رکنیت نہیں لی گئی۔',
+  'thresholds.subscribedTo': 'جہاں آپ نے اپنی حدود مقرر نہیں کیں وہاں {name} (نظرِ ثانی {revision}، {date}) استعمال ہو رہا ہے۔',
+  'thresholds.withdrawn': 'واپس لیا گیا',
+  'thresholds.unsubscribe': 'رکنیت ختم کریں',
+  'thresholds.subscribe': 'رکنیت لیں',
+  'thresholds.subscribed': 'رکنیت لی ہوئی ہے',
+  'thresholds.withdraw': 'واپس لیں',
+  'thresholds.revision': 'نظرِ ثانی {revision}، {date}',
+  'thresholds.publishTitle': 'اپنی حدود کسی تحصیل کے لیے شائع کریں (توسیعی افسران)',
+  'thresholds.profileName': 'پروفائل کا نام',
+  'thresholds.publisher': 'دفتر / افسر',
+  'thresholds.notes': 'نوٹس (موسم، ماخذ)',
+  'thresholds.publisherKey': 'ناشر کی کلید',
+  'thresholds.publish': 'شائع کریں',
+  'thresholds.published': '{name} شائع ہو گیا (نظرِ ثانی {revision})۔',
+  'thresholds.publishInvalid': 'پروفائل شائع نہیں ہو سکا:',
+
+  'suitability.suitableText': '— {location}{zone} میں {crop} کے لیے حالات عموماً سازگار ہیں۔',
+  'suitability.marginalText': '— {location}{zone} میں کچھ حالات {crop} کی پیداوار کو محدود کر سکتے ہیں۔ وجوہات نیچے دیکھیں۔',
+  'suitability.unsuitableText': '— {location}{zone} میں موسم/زمین کے حالات {crop} کی کامیاب پیداوار کو محدود کر سکتے ہیں۔',
+  'suitability.zone': ' ({zone})',
+  'suitability.custom': 'اپنی حدود',
+  'suitability.customTitle': 'آپ کی اپنی حدود لاگو ہیں',
+  'suitability.profile': 'تحصیل پروفائل: {name}',
+  'suitability.profileTitle': 'آپ کے منتخب کردہ تحصیل پروفائل کی حدود لاگو ہیں',
+  'suitability.keyMetrics': 'اہم اعداد و شمار:',
+  'suitability.metrics': 'اوسط زیادہ: {max}°C، اوسط کم: {min}°C، بارش (5 دن): {rain} ملی میٹر',
+  'suitability.soilMetric': '، زمین: {soil}°C',
+  'suitability.reasons': 'وجوہات / خدشات:',
+  'suitability.noConcerns': 'اگلے {days} دنوں کے لیے کوئی بڑا خدشہ نہیں۔',
+  'suitability.note': 'یہ جائزے اصولوں پر مبنی اور اندازاً ہیں۔ کھیت کی سطح کے فیصلوں کے لیے مقامی محکمہ زراعت (توسیع) سے مشورہ کریں اور مٹی کا تجزیہ کروائیں۔',
+  'suitability.alertLabel': 'موزونیت کی تنبیہ:',
+  'suitability.alert': '{location}{zone} میں {crop} کے لیے: {status}۔',
+
+  'phenology.growthStage': 'نشوونما کا مرحلہ:',
+  'phenology.notSown': 'ابھی بوائی نہیں ہوئی — بوائی {date} کو۔',
+  'phenology.summary': '{stage} — بوائی کے بعد {days}واں دن، {gdd} GDD{next}۔',
+  'phenology.next': '؛ اگلا: {stage} {when}',
+  'when.later': 'اس سیزن میں بعد میں',
+  'when.today': 'آج',
+  'when.ago': '{n} دن پہلے',
+  'when.in': '{n} دن میں (تقریباً {date})',
+  'task.due': '{name} ({note}) کا وقت ہو گیا ہے۔',
+  'task.upcoming': '{name} ({note}) — {when}۔',
+  'care.comingUp': 'آگے — {stage}: {note}',
+  'care.comingUpWhen': 'آگے — {stage} {when}: {note}',
+
+  'advisory.generating': 'فصل کا مشورہ تیار ہو رہا ہے...',
+  'advisory.failed': 'فصل کا مشورہ تیار نہیں ہو سکا۔ براہ کرم بعد میں کوشش کریں۔',
+  'advisory.sourceAi': 'ذریعہ: اے آئی ماڈل',
+  'advisory.sourceAiTitle': 'پیش گوئی کی بنیاد پر اے آئی ماڈل نے تیار کیا',
+  'advisory.sourceRules': 'ذریعہ: موسم کے طے شدہ اصول',
+  'advisory.sourceRulesTitle': 'اے آئی سروس دستیاب نہیں تھی، اس لیے موسم کے طے شدہ اصول استعمال کیے گئے',
+  'advisory.saved': 'آف لائن · محفوظ شدہ {age}',
+  'advisory.savedTitle': 'کنکشن نہیں: یہ مشورہ {date} کو محفوظ کیا گیا تھا',
+  'advisory.riskLabel': '{level} خطرہ',
+  'advisory.introAi': '{location} میں آپ کی {crop} کی فصل کے لیے ہمارا اے آئی تجزیہ ممکنہ مسائل کا {risk} ظاہر کرتا ہے۔',
+  'advisory.introRules': '{location} میں آپ کی {crop} کی فصل کے لیے موسم کے اصول ممکنہ مسائل کا {risk} ظاہر کرتے ہیں۔',
+  'advisory.weatherTrend': 'موسم کا خلاصہ:',
+  'advisory.threats': 'ممکنہ خطرات:',
+  'advisory.recommendations': 'احتیاطی تدابیر:',
+  'advisory.scout': 'کسی بھی علامت یا کیڑے کی بروقت پہچان کے لیے کھیت کا باقاعدگی سے (ہفتے میں کم از کم دو بار) معائنہ کریں۔',
+  'advisory.sanitation': 'جڑی بوٹیاں اور فصل کی باقیات نکال کر کھیت صاف رکھیں، کیونکہ ان میں کیڑے اور بیماریاں پلتی ہیں۔',
+  'advisory.extension': 'اپنے کھیت کے مطابق مخصوص مشورے کے لیے مقامی زرعی توسیعی افسر سے رابطہ کریں۔',
+  'advisory.disclaimer': 'اعلانِ دستبرداری: یہ مشورہ موجودہ موسمی پیش گوئی اور عمومی زرعی ماڈلز پر مبنی ہے۔ ہمیشہ کھیت کے اصل مشاہدے اور مقامی ماہرین کی رہنمائی سے تصدیق کریں۔',
+  'rules.summary': 'اگلے پانچ دنوں میں درجہ حرارت {min}°C سے {max}°C تک اور کل بارش {rain} ملی میٹر رہے گی۔',
+  'rules.wetHours': ' گھنٹہ وار پیش گوئی میں پتوں کے گیلے رہنے کے {hours} گھنٹے ہیں (نمی ≥ 90% یا بارش)۔',
+  'rules.diseaseThreat': '{name}: {date} کو {level} خطرہ — {explanation}',
+  'rules.fungalHigh': 'پھپھوندی کی بیماریوں (جیسے جھلساؤ، پھپھوندی) کا زیادہ خطرہ: معتدل درجہ حرارت پر پتے {hours} گھنٹے تک گیلے رہتے ہیں۔',
+  'rules.fungalHighAdvice': 'نکاسی بہتر بنائیں، زیادہ اور شام کی آبپاشی سے بچیں، اور ضرورت ہو تو حفاظتی پھپھوندی کش دوا لگائیں۔',
+  'rules.fungalModerate': 'پھپھوندی کی بیماریوں کا درمیانہ خطرہ: معتدل درجہ حرارت پر {hours} گھنٹے تک نمی۔',
+  'rules.fungalModerateAdvice': 'کھیت کی نگرانی بڑھائیں۔ ہوا کی آمد و رفت کے لیے پودوں میں مناسب فاصلہ رکھیں۔',
+  'rules.heat': '{days} دن زیادہ سے زیادہ درجہ حرارت 38°C یا اس سے زیادہ، گرمی کا دباؤ اور پانی کی زیادہ ضرورت۔',
+  'rules.heatAdvice': 'صبح سویرے یا شام کو آبپاشی کریں اور سب سے گرم دنوں میں پانی کی کمی نہ ہونے دیں۔',
+  'rules.cold': '{nights} راتیں 4°C یا اس سے کم، سردی کا دباؤ؛ درجہ حرارت 0°C سے نیچے گیا تو کورا پڑ سکتا ہے۔',
+  'rules.coldAdvice': 'کم از کم درجہ حرارت پر نظر رکھیں اور کورے سے بچاؤ کے لیے زمین نم رکھیں۔',
+  'rules.whitefly': 'گرم اور خشک دن سفید مکھی اور پتہ مروڑ وائرس (CLCuV) کے پھیلاؤ کے لیے سازگار ہیں۔',
+  'rules.whiteflyAdvice': 'پیلے چپکنے والے کارڈز سے سفید مکھی کی نگرانی بڑھائیں؛ معاشی حد پر پہنچنے پر ہی سپرے کریں۔',
+  'rules.mites': 'گرم اور خشک موسم جوؤں اور رس چوسنے والے کیڑوں کے لیے سازگار ہو سکتا ہے۔',
+  'rules.mitesAdvice': 'پتوں کی نچلی سطح پر جوؤں اور رس چوسنے والے کیڑوں کو دیکھتے رہیں۔',
+  'rules.none': 'موسم کی پیش گوئی کے مطابق اس وقت کیڑوں یا بیماریوں کا کوئی خاص خطرہ نہیں۔',
+  'rules.noneAdvice': 'فصل کی معمول کی دیکھ بھال، کھیت کی نگرانی اور اچھے زرعی طریقے جاری رکھیں۔',
+  'rules.favorable': 'اگلے پانچ دنوں کا موسم آپ کی {crop} کی فصل کے لیے زیادہ تر سازگار ہے۔',
+  'rules.challenging': 'اگلے پانچ دنوں کا موسم آپ کی {crop} کی فصل کے لیے کچھ مشکلات پیدا کر سکتا ہے۔',
+
+  'care.insufficientFertilizer': 'سفارشات کے لیے پیش گوئی کی معلومات ناکافی ہیں۔',
+  'care.insufficientWatering': 'آبپاشی کے شیڈول کے لیے پیش گوئی کی معلومات ناکافی ہیں۔',
+  'care.insufficientPests': 'کیڑوں اور بیماریوں کی رہنمائی کے لیے پیش گوئی کی معلومات ناکافی ہیں۔',
+  'care.failedFertilizer': 'کھاد کی سفارشات لوڈ نہیں ہو سکیں۔',
+  'care.failedWatering': 'آبپاشی کی سفارشات لوڈ نہیں ہو سکیں۔',
+  'care.failedPests': 'کیڑوں اور بیماریوں کی رہنمائی لوڈ نہیں ہو سکی۔',
+  'care.summaryLabel': 'خلاصہ:',
+  'care.summary': 'اوسط زیادہ سے زیادہ درجہ حرارت {tmax}°C، اوسط روزانہ بارش {rain} ملی میٹر، زمین کا درجہ حرارت: {soil}۔',
+  'care.fertilizerFor': '{crop} کے لیے کھاد کی سفارشات:',
+  'care.fertilizerNote': 'یہ عمومی سفارشات ہیں۔ درست مقدار کے لیے مٹی کا تجزیہ کروائیں اور مقامی محکمہ زراعت سے مشورہ کریں۔',
+  'fert.N': 'یوریا (نائٹروجن)',
+  'fert.P': 'ڈی اے پی / ایس ایس پی (فاسفورس)',
+  'fert.K': 'ایم او پی (پوٹاش)',
+  'fert.Zn': 'زنک سلفیٹ',
+  'fert.sugarcane.n': '{N} — قسطوں میں: بنیادی خوراک + بڑھوتری کے دوران اوپر سے۔',
+  'fert.sugarcane.p': '{P} — جڑوں کے لیے کاشت کے وقت۔',
+  'fert.sugarcane.k': '{K} — گنے کی مضبوطی کے لیے پوٹاش ضرور دیں۔',
+  'fert.sugarcane.wet': 'زیادہ بارش کا خطرہ: نائٹروجن قسطوں میں دیں یا بارش کے بعد پتوں پر اجزائے صغیرہ کا سپرے کریں۔',
+  'fert.sugarcane.hotDry': 'گرم/خشک — کھاد ڈالنے سے پہلے زمین میں نمی رکھیں تاکہ پودا بہتر جذب کرے۔',
+  'fert.wheat.n': '{N} — بوائی پر بنیادی خوراک + شاخیں نکلنے/گانٹھ بننے پر اوپر سے۔',
+  'fert.wheat.p': '{P} — مٹی میں فاسفورس کم ہو تو بوائی کے وقت۔',
+  'fert.wheat.zn': '{Zn} — اگر مٹی کے تجزیے میں زنک کی کمی ہو۔',
+  'fert.wheat.wet': 'بارش کے بعد زمین وتر پر آنے تک نائٹروجن کی بھاری خوراک مؤخر کریں۔',
+  'fert.wheat.cool': 'ٹھنڈی زمین — نائٹروجن چھوٹی قسطوں میں دیں۔',
+  'fert.rice.n': '{N} — شاخیں نکلنے اور سٹہ بننے کے آغاز پر؛ تیز بارش سے پہلے زیادہ نائٹروجن نہ دیں۔',
+  'fert.rice.p': '{P} — پودے جمنے کے لیے شروع میں۔',
+  'fert.rice.wet': 'تیز بارش: بارش رکنے کے بعد ضائع شدہ نائٹروجن کے لیے تھوڑی یوریا دیں۔',
+  'fert.cotton.n': '{N} — قسطوں میں؛ ٹینڈے کھلنے کے قریب زیادہ نائٹروجن نہ دیں۔',
+  'fert.cotton.pk': '{P} اور {K} — سیزن کے شروع میں فاسفورس اور پوٹاش پوری دیں۔',
+  'fert.cotton.hotDry': 'گرم/خشک پیش گوئی: نائٹروجن کے ساتھ آبپاشی ضرور کریں تاکہ پودا جذب کرے۔',
+  'fert.maize.n': '{N} — نائٹروجن کی زیادہ ضرورت؛ کاشت پر اور پھر قطاروں میں قسطوں میں۔',
+  'fert.maize.p': '{P} — ابتدائی بڑھوتری کے لیے کاشت کے وقت۔',
+  'fert.maize.k': '{K} — دانہ بھرنے کے لیے اہم۔',
+  'fert.maize.wet': 'زیادہ بارش کا خطرہ: نائٹروجن قسطوں میں یا آہستہ گھلنے والی کھاد استعمال کریں۔',
+  'fert.default.npk': 'متوازن این پی کے؛ ضیاع کم کرنے کے لیے نائٹروجن قسطوں میں دیں۔',
+  'fert.default.wet': 'تیز بارش سے عین پہلے زیادہ مقدار میں کھاد نہ ڈالیں۔',
+  'water.et0Label': 'اندازاً بخارات (ET₀):',
+  'water.et0': 'اگلے {days} دنوں میں {et0} ملی میٹر روزانہ۔',
+  'water.rainLabel': 'کل متوقع بارش:',
+  'water.rain': '{days} دنوں میں {rain} ملی میٹر۔',
+  'water.reduced': 'کم آبپاشی کافی ہے: بارش فصل کی پانی کی زیادہ تر ضرورت پوری کر دے گی۔',
+  'water.monitor': 'زمین کی نمی دیکھتے رہیں؛ زمین خشک ہونے لگے تو آبپاشی دوبارہ شروع کریں۔',
+  'water.increased': 'زیادہ آبپاشی کی ضرورت: بخارات زیادہ اور بارش کم ہے۔',
+  'water.timing': 'صبح سویرے یا شام کو آبپاشی کریں؛ جہاں ممکن ہو ڈرپ جیسا کفایتی نظام استعمال کریں۔',
+  'water.regular': 'فصل کے مرحلے اور زمین کی نمی کے مطابق باقاعدہ آبپاشی کریں۔',
+  'water.rice': 'دھان میں فصل کے مرحلے کے مطابق مناسب کھڑا پانی رکھیں۔',
+  'water.cotton': 'کپاس: پھول اور ٹینڈے بننے کے دوران پانی کی کمی نہ ہونے دیں۔',
+  'water.wheat': 'گندم: جڑیں بننے اور پھول آنے کے مراحل میں نمی یقینی بنائیں۔',
+  'water.note': 'کھیت دیکھ کر اور مقامی رہنمائی کے مطابق آبپاشی کم یا زیادہ کریں۔',
+  'pest.highLabel': 'زیادہ خطرہ:',
+  'pest.high': 'معائنہ بڑھائیں اور ضرورت پڑنے پر فوری انسداد کے لیے تیار رہیں۔',
+  'pest.highFocus': 'فصل کے کمزور حصوں اور نشیبی گیلے حصوں پر خاص نظر رکھیں۔',
+  'pest.moderateLabel': 'درمیانہ خطرہ:',
+  'pest.moderate': 'نگرانی بڑھائیں اور انسداد کا منصوبہ تیار رکھیں۔',
+  'pest.lowLabel': 'کم خطرہ:',
+  'pest.low': 'معمول کی نگرانی اور کاشتکاری کے طریقے جاری رکھیں۔',
+  'pest.fungal': 'گرم اور مرطوب موسم سے پھپھوندی کی بیماریوں کا خطرہ بڑھتا ہے؛ ہوا کی آمد و رفت بہتر بنائیں اور گھنی فصل سے بچیں۔',
+  'pest.insects': 'گرم اور خشک موسم میں کیڑے (جیسے سفید مکھی، جوئیں) بڑھ سکتے ہیں۔ پتوں کی نچلی سطح دیکھیں۔',
+  'pest.stageRisk': 'مرحلے کا خطرہ:',
+  'pest.ipm': 'مربوط انسداد (IPM): ضرورت کے مطابق کاشتکاری، حیاتیاتی اور کیمیائی طریقے ملا کر استعمال کریں۔',
+  'pest.heading': 'کیڑوں اور بیماریوں کی رہنمائی (اے آئی مشورے کی بنیاد پر):',
+  'pest.note': 'انہیں مقامی ماہرین کے مشورے اور کھیت کے مشاہدے کے ساتھ استعمال کریں۔',
+  'pest.modelRisk': '{name} کا خطرہ (گھنٹہ وار ماڈل):',
+  'pest.modelPeak': '{date} کو {level}',
+
+  'irrigation.notSown': 'ابھی بوائی نہیں ہوئی — پانی کا حساب {date} سے شروع ہوگا۔',
+  'irrigation.ended': 'اس مرحلے پر آبپاشی ختم — مزید آبپاشی طے نہیں۔',
+  'irrigation.rootZoneLabel': 'جڑوں کی گہرائی ({depth} میٹر):',
+  'irrigation.rootZone': '{taw} ملی میٹر دستیاب پانی میں سے {used} ملی میٹر استعمال ہو چکا ({pct}%)؛ {raw} ملی میٹر پر آبپاشی کریں۔',
+  'irrigation.perAcre': 'فی ایکڑ',
+  'irrigation.forAcres': '{n} ایکڑ کے لیے',
+  'irrigation.entry': '{net} ملی میٹر خالص، {gross} ملی میٹر لگائیں ({inches} انچ؛ {acreInches} ایکڑ انچ {area})',
+  'irrigation.nextLabel': 'اگلی آبپاشی:',
+  'irrigation.noneNeeded': 'اگر پیش گوئی درست رہی تو اگلے 30 دن ضرورت نہیں۔',
+  'irrigation.nowLabel': 'ابھی آبپاشی کریں:',
+  'irrigation.overdue': ' — فصل کو {date} سے پانی کی کمی ہے',
+  'irrigation.then': 'پھر: {list}۔',
+  'irrigation.climate': 'پیش گوئی کے بعد کی تاریخیں عام موسم اور بارش نہ ہونے کے اندازے پر ہیں۔',
+
+  'compare.title': '🌾 فارمر ایڈ — اضلاع کا موازنہ',
+  'compare.heading': 'اضلاع کا موازنہ',
+  'compare.province': 'صوبہ',
+  'compare.district': 'ضلع',
+  'compare.addDistrict': 'ضلع شامل کریں',
+  'compare.crop': 'فصل',
+  'compare.sowingDate': 'بوائی کی تاریخ',
+  'compare.sowingDateTitle': 'اختیاری: موزونیت اور بیماری کا خطرہ فصل کے مرحلے کے مطابق',
+  'compare.compare': 'موازنہ کریں',
+  'compare.pick': '{min} سے {max} اضلاع منتخب کریں۔',
+  'compare.selected': '{n} اضلاع منتخب۔',
+  'compare.selectedMore': '{n} اضلاع منتخب (مزید {remaining} تک)۔',
+  'compare.removeDistrict': '{name} ہٹائیں',
+  'compare.fetching': 'پیش گوئیاں لائی جا رہی ہیں…',
+  'compare.results': 'موزونیت اور خطرات',
+  'compare.colDistrict': 'ضلع',
+  'compare.colSuitability': 'موزونیت',
+  'compare.colTemp': 'اوسط زیادہ / کم (°C، 5 دن)',
+  'compare.colRain': 'بارش (ملی میٹر، 5 دن)',
+  'compare.colRisks': 'خطرات',
+  'compare.tempChart': 'روزانہ زیادہ سے زیادہ درجہ حرارت (°C)',
+  'compare.rainChart': 'روزانہ بارش (ملی میٹر)',
+  'compare.failed': 'موازنہ ناکام: {message}',
+
+  'diseases.heroTitle': 'مصنوعی ذہانت سے اپنے پودوں کی بیماری پہچانیں اور علاج کریں',
+  'diseases.heroText': 'اپنے پودے کی تصویر اپ لوڈ کریں، ہمارا اے آئی بیماری، غذائی کمی یا پانی کے مسائل پہچان کر فوری حل بتائے گا۔',
+  'diseases.getStarted': 'ابھی شروع کریں',
+  'diseases.whyTitle': 'پلانٹ ڈاکٹر اے آئی کیوں؟',
+  'diseases.feature1Title': 'بیماری کی درست پہچان',
+  'diseases.feature1Text': 'ہمارا جدید اے آئی آپ کی تصاویر سے پودوں کی بہت سی بیماریاں جلدی پہچان لیتا ہے۔',
+  'diseases.feature2Title': 'غذائیت اور پانی کا تجزیہ',
+  'diseases.feature2Text': 'پودوں کو متاثر کرنے والی غذائی کمی یا پانی کی کمی بیشی کے بارے میں اہم معلومات۔',
+  'diseases.feature3Title': 'قابل عمل علاج',
+  'diseases.feature3Text': 'پودوں کی صحت بحال کرنے کے لیے واضح، قدم بہ قدم ہدایات اور بہترین طریقے۔',
+  'diseases.feature4Title': 'اے آئی چیٹ مدد',
+  'diseases.feature4Text': 'سوال ہے یا مزید تفصیل چاہیے؟ ہمارا چیٹ بوٹ فوری جواب اور ماہرانہ رہنمائی دیتا ہے۔',
+  'diseases.uploadTitle': 'تشخیص کے لیے پودے کی تصویر اپ لوڈ کریں',
+  'diseases.dropText': 'پودے کی تصویر یہاں گھسیٹ کر لائیں، یا فائل منتخب کرنے کے لیے کلک کریں۔',
+  'diseases.diagnose': 'تشخیص کریں',
+  'diseases.analyzing': 'تجزیہ ہو رہا ہے...',
+  'diseases.resultsTitle': 'تشخیص کے نتائج:',
+  'diseases.disease': 'بیماری:',
+  'diseases.severity': 'شدت:',
+  'diseases.treatment': 'تجویز کردہ علاج:',
+  'diseases.nutrients': 'غذائیت اور پانی کی حالت:',
+  'diseases.advice': 'مزید مشورہ:',
+  'diseases.chatTitle': 'پلانٹ ڈاکٹر اے آئی چیٹ بوٹ',
+  'diseases.chatGreeting': 'السلام علیکم! آج میں آپ کے پودوں کے بارے میں کیا مدد کر سکتا ہوں؟',
+  'diseases.title': 'پلانٹ ڈاکٹر اے آئی — اپنے پودوں کی تشخیص اور علاج',
+  'diseases.chatPlaceholder': 'سوال پوچھیں...',
+  'diseases.typing': 'لکھا جا رہا ہے...',
+  'diseases.chatError': 'معذرت، اے آئی سے جواب نہیں ملا۔ API کلید چیک کریں یا دوبارہ کوشش کریں۔',
+  'diseases.uploadImage': 'براہِ کرم تصویر کی فائل اپ لوڈ کریں۔',
+  'diseases.uploadFirst': 'براہِ کرم پہلے پودے کی تصویر اپ لوڈ کریں۔',
+  'diseases.unclear': 'نتیجہ واضح نہیں',
+  'diseases.unclearText': 'اے آئی اس تصویر سے واضح تشخیص نہیں کر سکا۔ متاثرہ پتے کی قریب سے، اچھی روشنی میں لی گئی تصویر کے ساتھ دوبارہ کوشش کریں۔',
+  'diseases.consultExpert': 'مسئلہ برقرار رہے تو مقامی ماہر سے مشورہ کریں۔',
+  'diseases.waiting': 'کنکشن کا انتظار ہے',
+  'diseases.queuedText': 'آپ آف لائن ہیں، اس لیے تصویر اسی ڈیوائس پر محفوظ کر لی گئی ہے۔ کنکشن بحال ہوتے ہی یہ تشخیص کے لیے بھیج دی جائے گی اور نتیجہ یہیں (یا اگلی بار یہ صفحہ کھولنے پر) نظر آئے گا۔',
+  'diseases.error': 'خرابی',
+  'diseases.queuedResult': '{disease} (تصویر {age} محفوظ کی گئی)',
+  'diseases.queuedFailed': '{age} محفوظ کی گئی تصویر کی تشخیص نہیں ہو سکی: {message}',
+
+  'assistant.title': 'ایگری گائیڈ اے آئی — آپ کا زرعی رہنما',
+  'assistant.loading': 'ایگری گائیڈ اے آئی لوڈ ہو رہا ہے...',
+  'assistant.ready': 'اے آئی تیار ہے',
+  'assistant.processing': 'اے آئی جواب تیار کر رہا ہے...',
+  'assistant.standby': 'اے آئی منتظر ہے',
+  'assistant.errorStatus': 'اے آئی میں خرابی',
+  'assistant.offlineStatus': 'آف لائن — سوال محفوظ ہے',
+  'assistant.noFarm': 'کوئی فارم منتخب نہیں',
+  'assistant.farmTitle': 'اپنے محفوظ فارم کے مطابق جواب لیں',
+  'assistant.threadsTitle': 'آپ کی گفتگوئیں',
+  'assistant.newChat': 'نئی گفتگو',
+  'assistant.newChatTitle': 'نئی گفتگو شروع کریں',
+  'assistant.renameChat': 'نام بدلیں',
+  'assistant.renameChatTitle': 'اس گفتگو کا نام بدلیں',
+  'assistant.renamePrompt': 'اس گفتگو کا نام:',
+  'assistant.deleteChat': 'گفتگو حذف کریں',
+  'assistant.deleteChatTitle': 'یہ گفتگو حذف کریں',
+  'assistant.deleteConfirm': '"{title}" حذف کریں؟ یہ واپس نہیں ہو سکے گی۔',
+  'assistant.untitled': 'نئی گفتگو',
+  'assistant.importedTitle': 'پچھلی گفتگو',
+  'assistant.summarized': 'اس گفتگو کے پہلے {count} پیغامات اسسٹنٹ کو ان کے اہم نکات کے خلاصے کی صورت میں یاد ہیں۔',
+  'assistant.threadsFailed': 'آپ کی گفتگوئیں لوڈ نہیں ہو سکیں: {message}',
+  'assistant.threadFailed': 'گفتگو میں تبدیلی نہیں ہو سکی: {message}',
+  'assistant.toolsUsed': 'فارمر ایڈ کے ڈیٹا سے دیکھا گیا:',
+  'assistant.tool.getForecast': '{district} کی موسمی پیشگوئی',
+  'assistant.tool.getSuitability': '{district} میں {crop} کی موزونیت',
+  'assistant.tool.getDistrict': 'ضلع کی تلاش: {name}',
+  'assistant.tool.other': 'ٹول: {name}',
+  'assistant.toolRunning': '{label}…',
+  'assistant.toolFailed': '{label} (دستیاب نہیں)',
+  'assistant.sources': 'حوالہ جات:',
+  'assistant.placeholder': 'ایگری گائیڈ سے فصلوں، موسم یا کیڑوں کے بارے میں پوچھیں...',
+  'assistant.stopTitle': 'یہ جواب روک دیں',
+  'assistant.user': 'صارف',
+  'assistant.system': 'سسٹم',
+  'assistant.systemAlert': 'سسٹم انتباہ',
+  'assistant.systemAdvisory': 'سسٹم اطلاع',
+  'assistant.thinking': '{ai} سوچ رہا ہے',
+  'assistant.greeting': 'السلام علیکم {name}! میں {ai} ہوں۔ میں زراعت اور زرعی شعبے میں روزگار کے بارے میں آپ کے سوالوں میں مدد کر سکتا ہوں۔ آج میں آپ کی کیا مدد کروں؟',
+  'assistant.busy': 'براہِ کرم انتظار کریں، میں ابھی آپ کے پچھلے سوال پر کام کر رہا ہوں۔',
+  'assistant.blocked': 'آپ کی درخواست پر کارروائی نہیں ہو سکی: {reason}۔ براہِ کرم سوال دوسرے الفاظ میں پوچھیں۔',
+  'assistant.safety': 'حفاظتی اصولوں کی وجہ سے میرا جواب روک دیا گیا۔ براہِ کرم کوئی اور سوال پوچھیں۔',
+  'assistant.empty': 'معذرت، آپ کے سوال پر کارروائی میں مسئلہ پیش آیا۔ براہِ کرم دوسرے الفاظ میں یا کچھ دیر بعد دوبارہ پوچھیں۔',
+  'assistant.altered': 'میرا جواب شاید مکمل نہیں ہوا: {reason}۔',
+  'assistant.stopped': 'جواب روک دیا گیا۔',
+  'assistant.offline': 'آف لائن',
+  'assistant.offlineQueued': 'آپ آف لائن ہیں۔ آپ کا سوال محفوظ کر لیا گیا ہے اور کنکشن بحال ہوتے ہی اس کا جواب دیا جائے گا۔',
+  'assistant.offlineNoThread': 'آپ آف لائن ہیں، اور نئی گفتگو صرف آن لائن شروع ہو سکتی ہے۔ سوال بعد کے لیے محفوظ کرنے کو کوئی پچھلی گفتگو کھولیں، یا انٹرنیٹ واپس آنے پر دوبارہ پوچھیں۔',
+  'assistant.error': 'خرابی: {message}۔ براہِ کرم دوبارہ کوشش کریں۔ مسئلہ برقرار رہے تو شاید اے آئی سروس عارضی طور پر دستیاب نہیں۔',
+  'assistant.yourQuestion': 'آپ کا سوال',
+  'assistant.queuedAnswer': '{question} کا جواب، جو {age} آف لائن پوچھا گیا:',
+  'assistant.queuedFailed': 'آف لائن پوچھے گئے سوال {question} کا جواب نہیں مل سکا: {details}۔ براہِ کرم دوبارہ پوچھیں۔',
+  'assistant.queuedAnswerElsewhere': '{age} آف لائن پوچھے گئے سوال {question} کا جواب "{title}" میں آ گیا ہے۔',
+  'assistant.micTitle': 'آواز سے پوچھنے کے لیے دبائے رکھیں',
+  'assistant.listening': 'سن رہا ہے... بھیجنے کے لیے چھوڑ دیں',
+  'assistant.transcribing': 'آواز کو تحریر میں بدلا جا رہا ہے...',
+  'assistant.noSpeech': 'اس ریکارڈنگ میں کوئی سوال سنائی نہیں دیا۔ بولتے وقت مائیک کا بٹن دبائے رکھیں۔',
+  'assistant.micDenied': 'مائیک کی اجازت نہیں ملی۔ آواز سے پوچھنے کے لیے براؤزر کی سیٹنگز میں اجازت دیں۔',
+  'assistant.micFailed': 'مائیک شروع نہیں ہو سکا: {message}',
+  'assistant.transcribeFailed': 'ریکارڈنگ سمجھ نہیں آ سکی: {message}',
+  'assistant.voiceOffline': 'آواز سے سوال کے لیے انٹرنیٹ ضروری ہے۔ براہِ کرم سوال لکھ دیں؛ کنکشن بحال ہونے پر اس کا جواب مل جائے گا۔',
+  'assistant.speakOn': 'بول کر سنائیں: آن',
+  'assistant.speakOff': 'بول کر سنائیں: آف',
+  'assistant.speakTitle': 'جواب بول کر سنائیں',
+  'assistant.voiceTitle': 'جواب سنانے والی آواز',
+  'assistant.listen': 'سنیں',
+  'assistant.noVoice': 'اس ڈیوائس پر {language} آواز انسٹال نہیں، اس لیے جواب بول کر نہیں سنائے جا سکتے۔ فون یا کمپیوٹر کی سیٹنگز میں ٹیکسٹ ٹو اسپیچ کے تحت آواز شامل کریں، یا جواب اسکرین پر پڑھیں۔',
+
+  'about.title': 'ہمارے بارے میں — فارمر ایڈ',
+  'about.heroTitle': 'ہمارا مقصد',
+  'about.heroText': 'جدید ٹیکنالوجی کے ذریعے کسانوں کو بااختیار بنانا تاکہ زراعت کا مستقبل زیادہ صحت مند اور پائیدار ہو۔',
+  'about.role': 'فارمر ایڈ کے بانی اور ڈویلپر',
+  'about.bio': 'ٹیکنالوجی کے شوق اور زراعت کے گہرے احترام کے ساتھ میں نے فارمر ایڈ بنایا تاکہ کاشتکاری کی روایات اور ڈیجیٹل دور کے درمیان فاصلہ کم ہو۔ میرا مقصد ایسے آسان اور سمجھدار اوزار فراہم کرنا ہے جو کسانوں کو مشکلات پر قابو پانے، پیداوار بڑھانے اور خوشحال مستقبل یقینی بنانے میں مدد دیں۔',
+  'about.valuesTitle': 'ہماری بنیادی اقدار',
+  'about.innovation': 'جدت',
+  'about.innovationText': 'ہم جدید اے آئی اور ڈیٹا کے تجزیے سے جدید کاشتکاری کے لیے سمجھدار اور قابل عمل معلومات فراہم کرتے ہیں۔',
+  'about.sustainability': 'پائیداری',
+  'about.sustainabilityText': 'ہمارے اوزار ماحول دوست طریقوں کو فروغ دیتے ہیں تاکہ وسائل بچیں اور آنے والی نسلوں کے لیے ماحول محفوظ رہے۔',
+  'about.farmerCentric': 'کسان اولین',
+  'about.farmerCentricText': 'ہم جو کچھ بناتے ہیں کسان کو سامنے رکھ کر بناتے ہیں — آسان، قابل اعتماد اور روزمرہ مسائل میں واقعی مددگار۔',
+  'about.contactTitle': 'رابطہ کریں',
+  'about.contactText': 'کوئی سوال یا رائے؟ مجھے آپ سے سن کر خوشی ہوگی۔',
+
+  'home.title': '🌾 فارمر ایڈ — پاکستان',
+  'home.tagline': 'کسانوں کے لیے سمارٹ موسم، فصل کی رہنمائی اور بیماریوں کے مشورے',
+  'home.checkWeather': 'موسم دیکھیں',
+  'home.exploreCrops': 'فصلیں دیکھیں',
+  'home.cropsTitle': 'پاکستان کی بڑی فصلیں',
+  'home.wheatText': 'پاکستان کی بنیادی غذائی فصل، زیادہ تر پنجاب اور سندھ میں کاشت ہوتی ہے۔',
+  'home.riceText': 'باسمتی اور چاول کی دوسری اقسام پاکستان کی بڑی برآمدات ہیں۔',
+  'home.cottonText': '"سفید سونا" کہلانے والی کپاس ٹیکسٹائل صنعت کی ریڑھ کی ہڈی ہے۔',
+  'home.sugarcaneText': 'اہم نقد آور فصل، چینی اور ایتھنول بنانے میں استعمال ہوتی ہے۔',
+  'home.teaserTitle': 'موسم اور فصل کا مشورہ دیکھیں',
+  'home.teaserText': 'اپنی فصلوں کے لیے موسم کی تازہ معلومات اور مشورے حاصل کریں 🌾',
+  'home.teaserButton': 'موسم کے صفحے پر جائیں',
+
+  'app.homeTagline': 'پاکستانی کسانوں کے لیے سمارٹ موسم، فصل کی رہنمائی اور بیماریوں کے مشورے',
+  'app.aboutPage': 'ہمارے بارے میں',
+  'app.aboutTitle': 'فارمر ایڈ کے بارے میں',
+  'app.aboutText': 'فارمر ایڈ موسم کے مطابق فصل کی رہنمائی اور اے آئی سے بیماری کی تشخیص فراہم کرتا ہے تاکہ پاکستانی کسان بہتر فیصلے کر سکیں۔',
+  'app.weatherPage': 'موسم کا صفحہ',
+  'app.loading': 'لوڈ ہو رہا ہے…',
+  'app.savedFarm': 'محفوظ فارم',
+  'app.locationNotFound': 'مقام نہیں ملا',
+  'app.district': 'ضلع {district}، ',
+  'app.offlineTitle': 'کنکشن نہیں: {time} کو محفوظ کی گئی پیش گوئی دکھائی جا رہی ہے',
+  'app.temperature': 'درجہ حرارت: {value}°C',
+  'app.condition': 'موسم: {condition}',
+  'app.trendTitle': '5 دن کے درجہ حرارت کا رجحان',
+  'app.gddTitle': 'بوائی ({date}) سے اب تک کے گروئنگ ڈگری ڈیز',
+  'app.gddSoFar': 'اب تک {gdd} GDD، پیش گوئی کے آخر تک تقریباً {total} (بنیاد {base}°C)',
+  'app.target': '{name}: {date}',
+  'app.targetClimate': '{name}: {date} (عام موسم کے مطابق)',
+  'app.notWithinYear': 'ایک سال کے اندر نہیں',
+  'app.aiPage': 'اے آئی کا صفحہ',
+  'app.chatIntro': 'فصلوں، بیماریوں اور موسم کے مطابق مشوروں کے بارے میں پوچھیں۔',
+  'app.noMessages': 'ابھی کوئی پیغام نہیں — کچھ پوچھیں!',
+  'app.chatInput': 'چیٹ ان پٹ',
+  'app.chatPlaceholder': 'ایگری گائیڈ سے پوچھیں...',
+  'app.queuedAnswer': '{question} کا جواب، جو {age} آف لائن پوچھا گیا: {answer}',
+  'app.queuedFailed': '{question} جو آف لائن پوچھا گیا، اس کا جواب نہیں مل سکا: {details}',
+  'app.stoppedPartial': '{text} [روک دیا گیا]',
+  'app.stopped': 'روک دیا گیا۔',
+  'app.noAnswer': 'کوئی جواب نہیں ملا۔ براہ کرم سوال دوسرے الفاظ میں پوچھیں۔',
+  'app.aiError': 'اے آئی سروس میں خرابی',
+  'app.diseasesPage': 'بیماریوں کا صفحہ',
+  'app.diseasesTitle': 'پودوں کی بیماری کی تشخیص',
+  'app.analyze': 'تجزیہ کریں',
+  'app.analyzing': 'تجزیہ ہو رہا ہے...',
+  'app.queued': 'آپ آف لائن ہیں، اس لیے تصویر اس ڈیوائس پر محفوظ کر لی گئی ہے۔ کنکشن بحال ہوتے ہی اس کی تشخیص ہو جائے گی۔',
+  'app.unclear': 'اے آئی اس تصویر سے واضح تشخیص نہیں کر سکا۔ براہ کرم قریب سے لی گئی، اچھی روشنی والی تصویر کے ساتھ دوبارہ کوشش کریں۔',
+  'app.photoQueued': 'تصویر {age} آف لائن محفوظ کی گئی',
+  'app.disease': 'بیماری:',
+  'app.severity': 'شدت:',
+  'app.treatment': 'علاج:',
+  'app.nutrientWater': 'غذائیت/پانی:',
+  'app.advice': 'مشورہ:'
+};
+
+export const MESSAGES = { en, ur };
@@ -0,0 +1,463 @@
+// Crop phenology: growth stage from the sowing date and accumulated thermal time (growing degree days).
+// Daily GDD uses the clamped average method: temperatures are capped at `upperTemp`, raised to
+// `baseTemp`, and GDD = (Tmax + Tmin) / 2 - baseTemp. Each stage starts at a cumulative GDD since
+// sowing (transplanting for rice). Values are approximate for Pakistani varieties and sowing windows.
+// Days without a forecast (the past, and beyond the forecast horizon) use PLAINS_CLIMATE.
+//
+// Stages may carry `heatMax` / `frostMin` (°C): daily extremes that hurt the crop most while it is in
+// that stage. `care` holds short stage-specific notes for the fertilizer, watering and pest cards, and
+// `tasks` are field operations due at a given GDD (e.g. nitrogen splits).
+
+import { DAY_MS, toDayNumber, toIsoDate, localIsoDate } from './dates.js';
+import { describeStageRisk } from './i18n.js';
+
+// Typical monthly [mean max, mean min] °C for the Punjab / Sindh plains (Jan..Dec)
+export const PLAINS_CLIMATE = [
+  [20, 5], [23, 8], [28, 14], [35, 20], [40, 25], [41, 28],
+  [38, 28], [36, 27], [36, 24], [33, 18], [27, 11], [22, 6]
+];
+
+export const PHENOLOGY_MODELS = {
+  wheat: {
+    baseTemp: 0,
+    upperTemp: 30,
+    stages: [
+      {
+        key: 'sowing', name: 'Sowing to emergence', gdd: 0,
+        care: {
+          fertilizer: 'Apply all DAP/SSP and potash with one third of the urea at sowing.',
+          watering: 'Sow in moist soil; the first irrigation is due at crown root initiation, about 20–25 days after sowing.',
+          pests: 'Use treated seed against smuts; watch for termites in light soils.'
+        }
+      },
+      {
+        key: 'emergence', name: 'Emergence', gdd: 150,
+        care: {
+          watering: 'Keep soil moist for an even stand; avoid waterlogging.',
+          pests: 'Plan weed control (wild oat, dumbi sitti) for 30–40 days after sowing.'
+        }
+      },
+      {
+        key: 'tillering', name: 'Crown root initiation & tillering', gdd: 350,
+        care: {
+          fertilizer: 'Top-dress urea with the first irrigation.',
+          watering: 'Critical stage: do not skip the first irrigation at crown root initiation.',
+          pests: 'Weed control window; look for aphids on warm days.'
+        }
+      },
+      {
+        key: 'jointing', name: 'Jointing (stem elongation)', gdd: 1000,
+        care: {
+          fertilizer: 'Last urea split with the second irrigation; no urea after booting.',
+          watering: 'Irrigate at jointing; stress now reduces grains per spike.',
+          pests: 'Scout for yellow (stripe) rust in cool, humid weather.'
+        }
+      },
+      {
+        key: 'booting', name: 'Booting', gdd: 1250, frostMin: 0,
+        care: {
+          fertilizer: 'No more nitrogen; late urea only increases lodging and rust.',
+          watering: 'Critical stage: irrigate at booting.',
+          pests: 'Rust and aphids — scout twice a week.'
+        }
+      },
+      {
+        key: 'heading', name: 'Heading & flowering', gdd: 1450, heatMax: 30, frostMin: 0,
+        care: {
+          watering: 'Critical stage: irrigate at flowering, but not in strong wind (lodging).',
+          pests: 'Aphids peak now and rusts spread quickly.'
+        }
+      },
+      {
+        key: 'grainFill', name: 'Grain filling', gdd: 1700, heatMax: 32,
+        care: {
+          watering: 'Last irrigation at the milk stage; a light irrigation softens terminal heat.',
+          pests: 'Hot winds above 32°C shrivel grain; no spraying is useful this late.'
+        }
+      },
+      {
+        key: 'maturity', name: 'Maturity', gdd: 2500,
+        care: {
+          watering: 'Stop irrigation.',
+          pests: 'Harvest promptly once grain is hard to avoid shattering and rain damage.'
+        }
+      }
+    ],
+    tasks: [
+      { key: 'urea2', name: 'Second urea split', note: 'with the first irrigation', gdd: 400 },
+      { key: 'urea3', name: 'Third urea split', note: 'with the second irrigation', gdd: 850 }
+    ]
+  },
+  rice: {
+    baseTemp: 10,
+    upperTemp: 35,
+    stages: [
+      {
+        key: 'establishment', name: 'Transplanting & establishment', gdd: 0,
+        care: {
+          fertilizer: 'Apply DAP/SSP, potash, zinc and one third of the urea at transplanting.',
+          watering: 'Keep 3–5 cm of standing water after transplanting.',
+          pests: 'Control weeds early; look for stem borer egg masses.'
+        }
+      },
+      {
+        key: 'tillering', name: 'Tillering', gdd: 250,
+        care: {
+          fertilizer: 'Top-dress urea at active tillering.',
+          watering: 'Keep about 5 cm of water; short drying spells are fine late in tillering.',
+          pests: 'Stem borer and leaf folder; pull out bakanae-infected plants.'
+        }
+      },
+      {
+        key: 'panicleInitiation', name: 'Panicle initiation', gdd: 1100,
+        care: {
+          fertilizer: 'Last urea split at panicle initiation.',
+          watering: 'Keep the field flooded; water stress now cuts grain number.',
+          pests: 'Watch for blast and bacterial leaf blight after rain.'
+        }
+      },
+      {
+        key: 'booting', name: 'Booting', gdd: 1400,
+        care: {
+          watering: 'Critical stage: no water stress at booting.',
+          pests: 'Sheath blight spreads in dense, humid canopies.'
+        }
+      },
+      {
+        key: 'flowering', name: 'Heading & flowering', gdd: 1600, heatMax: 35,
+        care: {
+          watering: 'Keep standing water; heat above 35°C at flowering causes empty grains.',
+          pests: 'Neck blast risk with humid weather and cool nights.'
+        }
+      },
+      {
+        key: 'grainFill', name: 'Grain filling', gdd: 1800,
+        care: {
+          watering: 'Keep soil saturated until the dough stage; drain 7–10 days before harvest.',
+          pests: 'Check the base of plants for brown plant hopper.'
+        }
+      },
+      {
+        key: 'maturity', name: 'Maturity', gdd: 2250,
+        care: {
+          watering: 'Drain the field.',
+          pests: 'Harvest at 20–22% grain moisture to limit shattering.'
+        }
+      }
+    ],
+    tasks: [
+      { key: 'urea2', name: 'Second urea split', note: 'at active tillering', gdd: 300 },
+      { key: 'urea3', name: 'Third urea split', note: 'at panicle initiation', gdd: 1100 }
+    ]
+  },
+  cotton: {
+    baseTemp: 15,
+    upperTemp: 38,
+    stages: [
+      {
+        key: 'sowing', name: 'Sowing to emergence', gdd: 0,
+        care: {
+          fertilizer: 'Apply all phosphorus and potash with a quarter of the nitrogen at sowing.',
+          watering: 'Sow on moist beds or ridges.',
+          pests: 'Use treated seed against sucking pests; check for cutworms.'
+        }
+      },
+      {
+        key: 'emergence', name: 'Seedling', gdd: 80,
+        care: {
+          watering: 'Delay the first irrigation (about 30–40 days after sowing); early watering delays fruiting.',
+          pests: 'Thrips and jassid on seedlings; thin to one plant per hill.'
+        }
+      },
+      {
+        key: 'squaring', name: 'Squaring', gdd: 650,
+        care: {
+          fertilizer: 'Nitrogen split at first square.',
+          watering: 'Irrigate every 10–14 days in hot weather.',
+          pests: 'Start pheromone traps for pink bollworm; monitor whitefly.'
+        }
+      },
+      {
+        key: 'flowering', name: 'Flowering', gdd: 1050, heatMax: 40,
+        care: {
+          fertilizer: 'Nitrogen split at first flower; finish nitrogen by peak flowering.',
+          watering: 'Critical stage: water stress or heat above 40°C sheds squares and flowers.',
+          pests: 'Whitefly and pink bollworm (rosette flowers) — scout twice a week.'
+        }
+      },
+      {
+        key: 'bollDevelopment', name: 'Boll development', gdd: 1400, heatMax: 42,
+        care: {
+          fertilizer: 'No more nitrogen; it delays maturity and favors pests.',
+          watering: 'Keep moisture steady; give the last irrigation as the first bolls open.',
+          pests: 'Pink bollworm and armyworm; boll rot after heavy rain.'
+        }
+      },
+      {
+        key: 'bollOpening', name: 'Boll opening', gdd: 2050,
+        care: {
+          watering: 'Stop irrigation to hasten boll opening.',
+          pests: 'Pick in dry weather and keep seed cotton clean.'
+        }
+      },
+      {
+        key: 'maturity', name: 'Maturity', gdd: 2650,
+        care: {
+          pests: 'Destroy stalks after the last picking to break the pink bollworm cycle.'
+        }
+      }
+    ],
+    tasks: [
+      { key: 'nitrogen2', name: 'Second nitrogen split', note: 'at first square', gdd: 650 },
+      { key: 'nitrogen3', name: 'Third nitrogen split', note: 'at first flower', gdd: 1050 }
+    ]
+  },
+  maize: {
+    baseTemp: 10,
+    upperTemp: 30,
+    stages: [
+      {
+        key: 'sowing', name: 'Sowing to emergence', gdd: 0,
+        care: {
+          fertilizer: 'Apply all phosphorus and potash with one third of the nitrogen at sowing.',
+          watering: 'Irrigate 3–4 days after sowing if the soil is dry.',
+          pests: 'Use treated seed; watch for cutworms.'
+        }
+      },
+      {
+        key: 'emergence', name: 'Emergence', gdd: 100,
+        care: {
+          watering: 'Light, frequent irrigation for an even stand.',
+          pests: 'Start checking whorls for fall armyworm.'
+        }
+      },
+      {
+        key: 'vegetative', name: 'Vegetative (knee high)', gdd: 400,
+        care: {
+          fertilizer: 'Side-dress urea at knee height.',
+          watering: 'Irrigate every 8–10 days in hot weather.',
+          pests: 'Fall armyworm and stem borer in the whorls.'
+        }
+      },
+      {
+        key: 'tasseling', name: 'Tasseling & silking', gdd: 1000, heatMax: 35,
+        care: {
+          fertilizer: 'Last urea split just before tasseling.',
+          watering: 'Critical stage: no water stress at tasseling and silking; heat above 35°C hurts pollination.',
+          pests: 'Armyworm feeding on tassels and silks.'
+        }
+      },
+      {
+        key: 'grainFill', name: 'Grain filling', gdd: 1200,
+        care: {
+          watering: 'Keep soil moist until black layer; stop two weeks before harvest.',
+          pests: 'Ear rots after rain; protect cobs from birds.'
+        }
+      },
+      {
+        key: 'maturity', name: 'Maturity', gdd: 1650,
+        care: {
+          pests: 'Dry grain well before storage to prevent aflatoxin.'
+        }
+      }
+    ],
+    tasks: [
+      { key: 'urea2', name: 'Second urea split', note: 'at knee height', gdd: 400 },
+      { key: 'urea3', name: 'Third urea split', note: 'before tasseling', gdd: 900 }
+    ]
+  },
+  sugarcane: {
+    baseTemp: 12,
+    upperTemp: 38,
+    stages: [
+      {
+        key: 'sowing', name: 'Planting & germination', gdd: 0,
+        care: {
+          fertilizer: 'Apply all phosphorus and potash with part of the nitrogen at planting.',
+          watering: 'Irrigate right after planting, then every 7–10 days until shoots are up.',
+          pests: 'Treat setts and control termites in the furrows; cut out dead hearts (early shoot borer).'
+        }
+      },
+      {
+        key: 'tillering', name: 'Tillering', gdd: 500,
+        care: {
+          fertilizer: 'Nitrogen split with earthing up.',
+          watering: 'Do not let the field dry out; tillering is sensitive to water stress.',
+          pests: 'Shoot and top borers; keep the field weed-free.'
+        }
+      },
+      {
+        key: 'grandGrowth', name: 'Grand growth', gdd: 1800,
+        care: {
+          fertilizer: 'Finish nitrogen early in grand growth.',
+          watering: 'Highest water use: irrigate often and drain monsoon excess.',
+          pests: 'Pyrilla and borers; look for red rot.'
+        }
+      },
+      {
+        key: 'ripening', name: 'Ripening', gdd: 3800, frostMin: 0,
+        care: {
+          watering: 'Reduce irrigation to raise sugar; stop 3–4 weeks before harvest.',
+          pests: 'Light irrigation on frosty nights protects the cane.'
+        }
+      },
+      {
+        key: 'maturity', name: 'Maturity', gdd: 4400, frostMin: 0,
+        care: {
+          pests: 'Crush soon after cutting to avoid sugar loss.'
+        }
+      }
+    ],
+    tasks: [
+      { key: 'nitrogen2', name: 'Second nitrogen split', note: 'during tillering, with earthing up', gdd: 500 },
+      { key: 'nitrogen3', name: 'Third nitrogen split', note: 'before grand growth', gdd: 1600 }
+    ]
+  }
+};
+
+const MAX_PROJECTION_DAYS = 500;
+// A task counts as "due" from about a week before its GDD until this much thermal time after it
+const TASK_DUE_AFTER_GDD = 150;
+
+// Typical GDD for a day from the monthly climate table
+function climateGdd(dayNumber, model, climate) {
+  const [tMax, tMin] = climate[new Date(dayNumber * DAY_MS).getUTCMonth()];
+  return dailyGdd(tMax, tMin, model);
+}
+
+export function getPhenologyModel(crop) {
+  return PHENOLOGY_MODELS[String(crop || '').toLowerCase()] || null;
+}
+
+/**
+ * Growing degree days for one day (clamped average method).
+ */
+export function dailyGdd(tMax, tMin, { baseTemp, upperTemp = Infinity }) {
+  if (typeof tMax !== 'number' || typeof tMin !== 'number') return null;
+  const hi = Math.max(Math.min(tMax, upperTemp), baseTemp);
+  const lo = Math.min(Math.max(tMin, baseTemp), hi);
+  return Math.max(0, (hi + lo) / 2 - baseTemp);
+}
+
+function publicStage(stage) {
+  if (!stage) return null;
+  const { care, ...rest } = stage;
+  return { ...rest, care: care || {} };
+}
+
+/**
+ * Estimates the growth stage of `crop` sown on `sowingDate` (YYYY-MM-DD).
+ * `daily` is the normalized forecast's daily block (time, temperatureMax, temperatureMin); days
+ * without temperatures (e.g. before the forecast window) use `climate` (12 monthly [max, min] pairs,
+ * default PLAINS_CLIMATE), and `estimatedDays` counts them.
+ * Returns null for crops without a model or an invalid date, otherwise:
+ * { crop, sowingDate, today, sown, daysAfterSowing, gdd, estimatedDays, progress,
+ *   stage, nextStage: { ...stage, gddRemaining, expectedDate, daysUntil } | null,
+ *   stages: [{ key, name, gdd, startDate, heatMax?, frostMin? }],
+ *   tasks: [{ key, name, note, gdd, status: 'done' | 'due' | 'upcoming', expectedDate, daysUntil }] }
+ */
+export function estimatePhenology(crop, sowingDate, { daily = {}, today, climate = PLAINS_CLIMATE } = {}) {
+  const model = getPhenologyModel(crop);
+  const sowDay = toDayNumber(sowingDate);
+  if (!model || Number.isNaN(sowDay)) return null;
+
+  const todayIso = today || (daily.time && daily.time[0]) || localIsoDate(new Date());
+  const todayDay = toDayNumber(todayIso);
+  const byDate = {};
+  (daily.time || []).forEach((t, i) => {
+    const gdd = dailyGdd(daily.temperatureMax?.[i], daily.temperatureMin?.[i], model);
+    if (gdd !== null) byDate[toDayNumber(t)] = gdd;
+  });
+  const gddOn = (day) => (byDate[day] !== undefined ? byDate[day] : null);
+
+  const stages = model.stages.map((s) => ({ ...s, startDate: null }));
+  stages[0].startDate = toIsoDate(sowDay);
+  const tasks = (model.tasks || []).map((t) => ({ ...t, expectedDate: null }));
+
+  // Thermal time accumulated up to (not including) today
+  let gdd = 0;
+  let estimatedDays = 0;
+  const markCrossings = (before, after, day) => {
+    stages.forEach((s) => { if (!s.startDate && s.gdd > before && s.gdd <= after) s.startDate = toIsoDate(day); });
+    tasks.forEach((t) => { if (!t.expectedDate && t.gdd > before && t.gdd <= after) t.expectedDate = toIsoDate(day); });
+  };
+  for (let day = sowDay; day < todayDay; day++) {
+    let g = gddOn(day);
+    if (g === null) { g = climateGdd(day, model, climate); estimatedDays++; }
+    markCrossings(gdd, gdd + g, day + 1);
+    gdd += g;
+  }
+
+  // Project forward through the forecast, then at the typical rate, to date upcoming stages and tasks
+  let projected = gdd;
+  const maturityGdd = stages[stages.length - 1].gdd;
+  for (let day = Math.max(sowDay, todayDay), n = 0; projected < maturityGdd && n < MAX_PROJECTION_DAYS; day++, n++) {
+    const g = gddOn(day) ?? climateGdd(day, model, climate);
+    markCrossings(projected, projected + g, day + 1);
+    projected += g;
+  }
+
+  const sown = todayDay >= sowDay;
+  let index = 0;
+  if (sown) stages.forEach((s, i) => { if (s.gdd <= gdd) index = i; });
+  const stage = sown ? stages[index] : null;
+  const next = sown ? stages[index + 1] || null : stages[0];
+  const daysUntil = (iso) => (iso ? toDayNumber(iso) - todayDay : null);
+  const typicalWeekGdd = climateGdd(todayDay, model, climate) * 7;
+
+  return {
+    crop: String(crop).toLowerCase(),
+    sowingDate: toIsoDate(sowDay),
+    today: toIsoDate(todayDay),
+    sown,
+    daysAfterSowing: todayDay - sowDay,
+    gdd: Math.round(gdd),
+    estimatedDays,
+    progress: Math.min(1, gdd / maturityGdd),
+    stage: publicStage(stage),
+    nextStage: next ? { ...publicStage(next), gddRemaining: Math.max(0, Math.round(next.gdd - gdd)), daysUntil: daysUntil(next.startDate), expectedDate: next.startDate } : null,
+    stages: stages.map(({ care, ...s }) => s),
+    tasks: tasks.map((t) => {
+      let status = 'upcoming';
+      if (sown && gdd >= t.gdd + TASK_DUE_AFTER_GDD) status = 'done';
+      else if (sown && gdd >= t.gdd - typicalWeekGdd) status = 'due';
+      return { ...t, status, daysUntil: daysUntil(t.expectedDate) };
+    })
+  };
+}
+
+/**
+ * Stage the crop is in (or is expected to be in) on `date`, from an estimatePhenology() result.
+ */
+export function stageOn(phenology, date) {
+  if (!phenology) return null;
+  const day = toDayNumber(date);
+  let found = null;
+  phenology.stages.forEach((s) => { if (s.startDate && toDayNumber(s.startDate) <= day) found = s; });
+  return found;
+}
+
+/**
+ * Forecast days whose extremes break the heat/frost limit of the stage the crop will be in that day.
+ * Returns one entry per stage and risk type: { type: 'heat' | 'frost', stageKey, stageName, limit,
+ * value (worst day), date (first day), days, message }.
+ */
+export function checkStageWeather(phenology, daily = {}) {
+  if (!phenology || !phenology.sown) return [];
+  const risks = {};
+  (daily.time || []).forEach((date, i) => {
+    const stage = stageOn(phenology, date);
+    if (!stage) return;
+    const tMax = daily.temperatureMax?.[i];
+    const tMin = daily.temperatureMin?.[i];
+    const hit = (type, value, limit, worse) => {
+      const key = `${type}:${stage.key}`;
+      const r = risks[key];
+      if (!r) risks[key] = { type, stageKey: stage.key, stageName: stage.name, limit, value, date, days: 1 };
+      else { r.days++; if (worse(value, r.value)) r.value = value; }
+    };
+    if (stage.heatMax !== undefined && typeof tMax === 'number' && tMax > stage.heatMax) hit('heat', tMax, stage.heatMax, (a, b) => a > b);
+    if (stage.frostMin !== undefined && typeof tMin === 'number' && tMin <= stage.frostMin) hit('frost', tMin, stage.frostMin, (a, b) => a < b);
+  });
+  return Object.values(risks).map((r) => ({ ...r, message: describeStageRisk(r) }));
+}
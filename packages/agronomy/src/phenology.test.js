@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { dailyGdd, estimatePhenology, stageOn, checkStageWeather } from './phenology.js';
+
+// Every month 20 / 10 °C: 15 GDD a day for wheat (base 0 °C), so crossings are easy to date
+const mild = Array.from({ length: 12 }, () => [20, 10]);
+const wheat = { today: '2025-11-21', climate: mild };
+
+test('dailyGdd clamps to the base and upper temperatures', () => {
+  const model = { baseTemp: 10, upperTemp: 30 };
+  assert.equal(dailyGdd(24, 16, model), 10);
+  assert.equal(dailyGdd(40, 20, model), 15); // Tmax capped at 30
+  assert.equal(dailyGdd(16, 4, model), 3); // Tmin raised to 10
+  assert.equal(dailyGdd(8, 2, model), 0);
+  assert.equal(dailyGdd(null, 10, model), null);
+});
+
+test('estimatePhenology returns null for crops without a model or a bad sowing date', () => {
+  assert.equal(estimatePhenology('mango', '2025-11-01', wheat), null);
+  assert.equal(estimatePhenology('wheat', 'not a date', wheat), null);
+});
+
+test('estimatePhenology accumulates climate GDD since sowing and dates the next stage and tasks', () => {
+  const result = estimatePhenology('Wheat', '2025-11-01', wheat);
+  assert.equal(result.crop, 'wheat');
+  assert.equal(result.daysAfterSowing, 20);
+  assert.equal(result.estimatedDays, 20);
+  assert.equal(result.gdd, 300);
+  assert.equal(result.stage.key, 'emergence');
+  assert.ok(result.stage.care.watering);
+  assert.equal(result.stages[1].startDate, '2025-11-11'); // 150 GDD after ten days
+  assert.equal(result.stages[1].care, undefined);
+
+  // 50 GDD to tillering at 15 a day: crossed during the fourth day
+  assert.equal(result.nextStage.key, 'tillering');
+  assert.equal(result.nextStage.gddRemaining, 50);
+  assert.equal(result.nextStage.expectedDate, '2025-11-25');
+  assert.equal(result.nextStage.daysUntil, 4);
+  assert.equal(result.progress, 300 / 2500);
+
+  // the second urea split (400 GDD) is within a typical week (105 GDD), the third is not
+  assert.deepEqual(result.tasks.map((t) => t.status), ['due', 'upcoming']);
+});
+
+test('estimatePhenology uses forecast temperatures where the daily block has them', () => {
+  const daily = { time: ['2025-11-19', '2025-11-20'], temperatureMax: [40, 28], temperatureMin: [20, 12] };
+  const result = estimatePhenology('wheat', '2025-11-01', { ...wheat, daily });
+  assert.equal(result.estimatedDays, 18);
+  // 25 (Tmax capped at 30) + 20 in place of two climate days of 15
+  assert.equal(result.gdd, 315);
+});
+
+test('estimatePhenology before sowing points at the first stage', () => {
+  const result = estimatePhenology('wheat', '2025-12-01', wheat);
+  assert.equal(result.sown, false);
+  assert.equal(result.stage, null);
+  assert.equal(result.nextStage.key, 'sowing');
+  assert.equal(result.nextStage.daysUntil, 10);
+  assert.ok(result.tasks.every((t) => t.status === 'upcoming'));
+});
+
+test('stageOn and checkStageWeather judge each forecast day against the stage of that day', () => {
+  const phenology = estimatePhenology('wheat', '2025-11-01', { today: '2026-02-20', climate: mild });
+  const heading = phenology.stages.find((s) => s.key === 'heading');
+  assert.equal(heading.startDate, '2026-02-06');
+  assert.equal(stageOn(phenology, heading.startDate).key, 'heading');
+  assert.equal(stageOn(phenology, '2025-10-01'), null);
+
+  // two hot heading days make one risk; grain filling allows 32 °C and has no frost limit
+  const daily = { time: ['2026-02-06', '2026-02-10', '2026-02-25'], temperatureMax: [33, 35, 31], temperatureMin: [12, 14, -1] };
+  const risks = checkStageWeather(phenology, daily);
+  assert.equal(risks.length, 1);
+  const [heat] = risks;
+  assert.equal(heat.type, 'heat');
+  assert.equal(heat.stageKey, 'heading');
+  assert.equal(heat.limit, 30);
+  assert.equal(heat.date, '2026-02-06');
+  assert.equal(heat.days, 2);
+  assert.equal(heat.value, 35);
+  assert.match(heat.message, /35\.0/);
+
+  // nothing to check before sowing
+  assert.deepEqual(checkStageWeather(estimatePhenology('wheat', '2026-03-01', wheat), daily), []);
+});
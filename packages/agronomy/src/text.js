@@ -0,0 +1,8 @@
+// Normalize free-text place names: case, punctuation and repeated whitespace do not matter.
+export function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[\.\-,'/]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
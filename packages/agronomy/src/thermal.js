@@ -0,0 +1,154 @@
+// Thermal time from hourly temperatures: growing degree days (GDD) and winter chill.
+// Hourly GDD is the clamped excess over the base temperature, max(0, min(T, upperTemp) - baseTemp),
+// averaged over the day, so a full day of hourly readings gives one day's GDD. Chill uses either
+// chill hours (0–7.2°C) or Utah chill units. Days past the last reading are projected from a monthly
+// climate table with a sine-shaped day (minimum at dawn, maximum mid-afternoon).
+
+import { DAY_MS, toDayNumber, toIsoDate } from './dates.js';
+import { PLAINS_CLIMATE, PHENOLOGY_MODELS, getPhenologyModel } from './phenology.js';
+
+export const CHILL_MODELS = ['hours', 'utah'];
+
+// Base / upper temperatures (°C) for crops without a phenology model
+export const GDD_BASES = {
+  barley: { baseTemp: 0, upperTemp: 30 },
+  pulses: { baseTemp: 5, upperTemp: 30 },
+  oilseeds: { baseTemp: 5, upperTemp: 30 },
+  vegetables: { baseTemp: 10, upperTemp: 30 },
+  fruits: { baseTemp: 10, upperTemp: 35 }
+};
+
+const MAX_PROJECTION_DAYS = 366;
+
+/** { baseTemp, upperTemp } for `crop`, or null for unknown crops. */
+export function getGddBase(crop) {
+  const key = String(crop || '').toLowerCase();
+  const model = getPhenologyModel(key);
+  if (model) return { baseTemp: model.baseTemp, upperTemp: model.upperTemp };
+  return GDD_BASES[key] ? { ...GDD_BASES[key] } : null;
+}
+
+/** Degree-hours (in days) contributed by one hourly reading. */
+export function hourlyGdd(temp, { baseTemp, upperTemp = Infinity }) {
+  if (typeof temp !== 'number') return null;
+  return Math.max(0, Math.min(temp, upperTemp) - baseTemp) / 24;
+}
+
+/** Chill contributed by one hourly reading (chill hours or Utah units). */
+export function hourlyChill(temp, model = 'hours') {
+  if (typeof temp !== 'number') return null;
+  if (model === 'utah') {
+    if (temp <= 1.4) return 0;
+    if (temp <= 2.4) return 0.5;
+    if (temp <= 9.1) return 1;
+    if (temp <= 12.4) return 0.5;
+    if (temp <= 15.9) return 0;
+    if (temp <= 18) return -0.5;
+    return -1;
+  }
+  return temp >= 0 && temp <= 7.2 ? 1 : 0;
+}
+
+// 24 hourly temperatures for a day with the given extremes (minimum at 06:00, maximum at 15:00)
+function idealizedDay(tMax, tMin) {
+  const temps = [];
+  for (let h = 0; h < 24; h++) {
+    const rising = h >= 6 && h < 15;
+    const phase = rising ? (h - 6) / 9 : ((h - 15 + 24) % 24) / 15;
+    const frac = rising ? (1 - Math.cos(Math.PI * phase)) / 2 : (1 + Math.cos(Math.PI * phase)) / 2;
+    temps.push(tMin + (tMax - tMin) * frac);
+  }
+  return temps;
+}
+
+/** Typical { gdd, chill } for `date` from a monthly [max, min] climate table. */
+export function typicalThermalDay(date, { baseTemp, upperTemp, chillModel = 'hours', climate = PLAINS_CLIMATE }) {
+  const [tMax, tMin] = climate[new Date(toDayNumber(date) * DAY_MS).getUTCMonth()];
+  let gdd = 0;
+  let chill = 0;
+  idealizedDay(tMax, tMin).forEach((t) => {
+    gdd += hourlyGdd(t, { baseTemp, upperTemp });
+    chill += hourlyChill(t, chillModel);
+  });
+  return { gdd, chill };
+}
+
+/**
+ * Daily GDD and chill accumulated from `startDate` over hourly readings ({ time[], temperature[] },
+ * local ISO times). Days before `forecastFrom` (YYYY-MM-DD) are 'observed', the rest 'forecast'.
+ * Returns [{ date, hours, gdd, gddTotal, chill, chillTotal, source }]; Utah totals never drop below 0.
+ */
+export function accumulateThermalTime(hourly, { startDate, baseTemp, upperTemp, chillModel = 'hours', forecastFrom } = {}) {
+  const times = hourly.time || [];
+  const temps = hourly.temperature || [];
+  const byDate = new Map();
+  times.forEach((t, i) => {
+    const date = String(t).slice(0, 10);
+    if (startDate && date < startDate) return;
+    const g = hourlyGdd(temps[i], { baseTemp, upperTemp });
+    if (g === null) return;
+    const day = byDate.get(date) || { date, hours: 0, degreeHours: 0, chill: 0 };
+    day.hours++;
+    day.degreeHours += g * 24;
+    day.chill += hourlyChill(temps[i], chillModel);
+    byDate.set(date, day);
+  });
+
+  let gddTotal = 0;
+  let chillTotal = 0;
+  return [...byDate.values()]
+    .sort((a, b) => (a.date < b.date ? -1 : 1))
+    .map(({ date, hours, degreeHours, chill }) => {
+      // Scale partial days (e.g. the first forecast day) up to a whole day's GDD
+      const gdd = degreeHours / hours;
+      gddTotal += gdd;
+      chillTotal = Math.max(0, chillTotal + chill);
+      return {
+        date,
+        hours,
+        gdd: round2(gdd),
+        gddTotal: round2(gddTotal),
+        chill: round2(chill),
+        chillTotal: round2(chillTotal),
+        source: forecastFrom && date >= forecastFrom ? 'forecast' : 'observed'
+      };
+    });
+}
+
+/**
+ * Dates when cumulative GDD / chill targets are (or will be) reached. `targets` are
+ * [{ kind: 'gdd' | 'chill', key, name, value }]; past the end of `days` the totals grow at the
+ * climate table's typical rate. Returns the targets with { date, source: 'observed' | 'forecast' |
+ * 'climate', reached } (date null when not reached within a year).
+ */
+export function projectThermalTargets(days, targets, { baseTemp, upperTemp, chillModel = 'hours', climate = PLAINS_CLIMATE, today } = {}) {
+  const last = days[days.length - 1];
+  return targets.map((target) => {
+    const totalKey = target.kind === 'chill' ? 'chillTotal' : 'gddTotal';
+    const hit = days.find((d) => d[totalKey] >= target.value);
+    if (hit) {
+      return { ...target, date: hit.date, source: hit.source, reached: !today || hit.date < today };
+    }
+    let total = last ? last[totalKey] : 0;
+    let day = last ? toDayNumber(last.date) + 1 : toDayNumber(today);
+    for (let n = 0; n < MAX_PROJECTION_DAYS && !Number.isNaN(day); n++, day++) {
+      const typical = typicalThermalDay(toIsoDate(day), { baseTemp, upperTemp, chillModel, climate });
+      total = Math.max(0, total + (target.kind === 'chill' ? typical.chill : typical.gdd));
+      if (total >= target.value) return { ...target, date: toIsoDate(day), source: 'climate', reached: false };
+    }
+    return { ...target, date: null, source: 'climate', reached: false };
+  });
+}
+
+/** Default GDD targets for `crop`: the start of each growth stage after sowing, and field tasks. */
+export function cropThermalTargets(crop) {
+  const model = PHENOLOGY_MODELS[String(crop || '').toLowerCase()];
+  if (!model) return [];
+  const stages = model.stages.filter((s) => s.gdd > 0).map((s) => ({ kind: 'gdd', key: s.key, name: s.name, value: s.gdd }));
+  const tasks = (model.tasks || []).map((t) => ({ kind: 'gdd', key: t.key, name: t.name, value: t.gdd }));
+  return [...stages, ...tasks].sort((a, b) => a.value - b.value);
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getGddBase, hourlyGdd, hourlyChill, typicalThermalDay, accumulateThermalTime, projectThermalTargets, cropThermalTargets
+} from './thermal.js';
+
+// Hourly readings for `date` at a steady `temp` over `hours` hours from midnight
+function steadyHours(date, temp, hours = 24) {
+  const time = [];
+  for (let h = 0; h < hours; h++) time.push(`${date}T${String(h).padStart(2, '0')}:00`);
+  return { time, temperature: time.map(() => temp) };
+}
+
+function joinHours(...blocks) {
+  return { time: blocks.flatMap((b) => b.time), temperature: blocks.flatMap((b) => b.temperature) };
+}
+
+const maize = { baseTemp: 10, upperTemp: 30 };
+// Every month a steady 20 °C: 10 maize GDD a day
+const steady = Array.from({ length: 12 }, () => [20, 20]);
+
+test('getGddBase reads phenology models first, then the extra crop bases', () => {
+  assert.deepEqual(getGddBase('Maize'), maize);
+  assert.deepEqual(getGddBase('pulses'), { baseTemp: 5, upperTemp: 30 });
+  assert.equal(getGddBase('mango'), null);
+});
+
+test('hourlyGdd and hourlyChill score one reading', () => {
+  assert.equal(hourlyGdd(22, maize), 0.5);
+  assert.equal(hourlyGdd(40, maize), 20 / 24); // capped at upperTemp
+  assert.equal(hourlyGdd(5, maize), 0);
+  assert.equal(hourlyGdd(undefined, maize), null);
+
+  assert.equal(hourlyChill(5), 1);
+  assert.equal(hourlyChill(-1), 0);
+  assert.equal(hourlyChill(8), 0);
+  assert.deepEqual([1, 2, 5, 10, 14, 17, 25].map((t) => hourlyChill(t, 'utah')), [0, 0.5, 1, 0.5, 0, -0.5, -1]);
+});
+
+test('typicalThermalDay follows the climate table for the month', () => {
+  assert.deepEqual(typicalThermalDay('2025-06-15', { ...maize, climate: steady }), { gdd: 10, chill: 0 });
+  const winter = typicalThermalDay('2025-01-15', { ...maize, chillModel: 'hours' });
+  // a Jan day on the plains (20 / 5 °C) is cool: some GDD and a few chill hours
+  assert.ok(winter.gdd > 0 && winter.gdd < 5);
+  assert.ok(winter.chill > 0 && winter.chill < 24);
+});
+
+test('accumulateThermalTime totals whole days and scales partial ones', () => {
+  const hourly = joinHours(steadyHours('2025-03-01', 4), steadyHours('2025-03-02', 22), steadyHours('2025-03-03', 20, 6), steadyHours('2025-03-04', 16));
+  const days = accumulateThermalTime(hourly, { ...maize, startDate: '2025-03-02', forecastFrom: '2025-03-03' });
+  assert.deepEqual(days.map((d) => d.date), ['2025-03-02', '2025-03-03', '2025-03-04']);
+  assert.deepEqual(days.map((d) => d.gdd), [12, 10, 6]);
+  assert.deepEqual(days.map((d) => d.gddTotal), [12, 22, 28]);
+  assert.equal(days[1].hours, 6);
+  assert.deepEqual(days.map((d) => d.source), ['observed', 'forecast', 'forecast']);
+});
+
+test('accumulateThermalTime keeps Utah chill totals at or above zero', () => {
+  const hourly = joinHours(steadyHours('2025-01-01', 25), steadyHours('2025-01-02', 5, 10), steadyHours('2025-01-03', 17, 4));
+  const days = accumulateThermalTime(hourly, { ...maize, chillModel: 'utah' });
+  assert.deepEqual(days.map((d) => d.chill), [-24, 10, -2]);
+  assert.deepEqual(days.map((d) => d.chillTotal), [0, 10, 8]);
+});
+
+test('projectThermalTargets dates targets from the readings, then from the climate table', () => {
+  const days = accumulateThermalTime(joinHours(steadyHours('2025-03-01', 22), steadyHours('2025-03-02', 22)), { ...maize, forecastFrom: '2025-03-02' });
+  const targets = [
+    { kind: 'gdd', key: 'a', value: 10 },
+    { kind: 'gdd', key: 'b', value: 20 },
+    { kind: 'gdd', key: 'c', value: 54 },
+    { kind: 'chill', key: 'd', value: 1 }
+  ];
+  const [a, b, c, d] = projectThermalTargets(days, targets, { ...maize, climate: steady, today: '2025-03-02' });
+  assert.deepEqual([a.date, a.source, a.reached], ['2025-03-01', 'observed', true]);
+  assert.deepEqual([b.date, b.source, b.reached], ['2025-03-02', 'forecast', false]);
+  // 24 after two days, then 10 a day at 20 °C: 54 three days later
+  assert.deepEqual([c.date, c.source, c.reached], ['2025-03-05', 'climate', false]);
+  // a steady 20 °C never chills
+  assert.equal(d.date, null);
+});
+
+test('cropThermalTargets lists stages after sowing and tasks in GDD order', () => {
+  const targets = cropThermalTargets('maize');
+  assert.equal(targets[0].key, 'emergence');
+  assert.ok(targets.every((t) => t.kind === 'gdd' && t.value > 0));
+  assert.deepEqual(targets.map((t) => t.value), [...targets.map((t) => t.value)].sort((x, y) => x - y));
+  assert.ok(targets.some((t) => t.key === 'urea3'));
+  assert.deepEqual(cropThermalTargets('mango'), []);
+});
@@ -0,0 +1,237 @@
+// Threshold profiles: the threshold editor's saved overrides ({ 'Punjab::wheat': thresholds, ... }) as a
+// shareable document, exported as JSON or CSV and published per tehsil by extension officers
+// (/api/threshold-profiles). Documents written by older versions are migrated when they are read.
+import { ZONES } from './zones.js';
+import { thresholdKey, validateThresholds } from './thresholds.js';
+
+export const THRESHOLD_PROFILE_FORMAT = 'farmer-aid-thresholds';
+// 1: the bare object the browser keeps under farmerAid_thresholds_v1, { 'zone::crop': thresholds }
+// 2: { format, version, name, district, tehsil, publisher, notes, updatedAt, thresholds }
+export const THRESHOLD_PROFILE_VERSION = 2;
+export const THRESHOLD_CSV_COLUMNS = [
+  'zone', 'crop', 'idealMaxLow', 'idealMaxHigh', 'idealMinLow', 'idealMinHigh', 'minSoilTemp', 'minTotalRain5d'
+];
+export const THRESHOLD_PROFILE_DETAILS = ['name', 'district', 'tehsil', 'publisher', 'notes'];
+
+const PROFILE_ZONES = ['default', ...ZONES];
+const MAX_ENTRIES = 200;
+const MAX_DETAIL = 200;
+const TEMPERATURE_RANGE = [-30, 60]; // °C; anything outside is a typo or a Fahrenheit value
+const MAX_RAIN_5D = 1000; // mm
+
+// Each step takes a document of version n and returns version n + 1
+const MIGRATIONS = {
+  // Detail fields sent alongside a bare object (e.g. { district, tehsil, 'Punjab::wheat': ... }) move out of the thresholds
+  1: (doc) => {
+    const details = {};
+    const thresholds = {};
+    Object.entries(doc).forEach(([key, value]) => {
+      if ([...THRESHOLD_PROFILE_DETAILS, 'updatedAt'].includes(key)) details[key] = value;
+      else thresholds[key] = value;
+    });
+    return { ...details, format: THRESHOLD_PROFILE_FORMAT, version: 2, thresholds };
+  }
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function detailText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, MAX_DETAIL) : null;
+}
+
+// 'punjab::Wheat' -> ['Punjab', 'wheat']; null when the zone is not one the editor offers
+function splitKey(key) {
+  const [zone, crop, extra] = String(key).split('::');
+  if (extra !== undefined || !crop || !/^[a-z][a-z ]{0,39}$/i.test(crop.trim())) return null;
+  const z = String(zone).trim().toLowerCase() === 'auto' ? 'default' : PROFILE_ZONES.find((name) => name.toLowerCase() === String(zone).trim().toLowerCase());
+  return z ? [z, crop.trim().toLowerCase()] : null;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// One saved override with numbers parsed; blank soil / rain limits become 0 like the editor saves them
+function normalizeEntry(thr) {
+  if (!isPlainObject(thr)) return thr;
+  const pair = (range) => (Array.isArray(range) ? range.map(toNumber) : range);
+  return {
+    idealMax: pair(thr.idealMax),
+    idealMin: pair(thr.idealMin),
+    minSoilTemp: toNumber(thr.minSoilTemp) ?? 0,
+    minTotalRain5d: toNumber(thr.minTotalRain5d) ?? 0
+  };
+}
+
+function rangeIssues(thr, label) {
+  const issues = [];
+  const [lo, hi] = TEMPERATURE_RANGE;
+  [...thr.idealMax, ...thr.idealMin, thr.minSoilTemp].forEach((value) => {
+    if (value < lo || value > hi) issues.push(`${label}: temperatures must be between ${lo} and ${hi} °C`);
+  });
+  if (thr.minTotalRain5d < 0 || thr.minTotalRain5d > MAX_RAIN_5D) issues.push(`${label}: minTotalRain5d must be between 0 and ${MAX_RAIN_5D} mm`);
+  return [...new Set(issues)];
+}
+
+// Brings a parsed document up to THRESHOLD_PROFILE_VERSION; returns { doc, issues }. Without `format`,
+// a document with a `thresholds` object (an API body such as { district, tehsil, thresholds }) is read as
+// the current version and anything else as a version 1 bare object.
+function migrate(input) {
+  if (!isPlainObject(input)) return { doc: null, issues: ['a threshold profile must be a JSON object'] };
+  let doc = input;
+  let version;
+  if (doc.format === undefined && !isPlainObject(doc.thresholds)) {
+    version = 1;
+  } else if (doc.format !== undefined && doc.format !== THRESHOLD_PROFILE_FORMAT) {
+    return { doc: null, issues: [`format must be "${THRESHOLD_PROFILE_FORMAT}"`] };
+  } else {
+    version = doc.version === undefined ? THRESHOLD_PROFILE_VERSION : Number(doc.version);
+  }
+  if (!Number.isInteger(version) || version < 1) return { doc: null, issues: ['version must be a positive whole number'] };
+  if (version > THRESHOLD_PROFILE_VERSION) {
+    return { doc: null, issues: [`version ${version} was written by a newer Farmer Aid; this one reads up to version ${THRESHOLD_PROFILE_VERSION}`] };
+  }
+  for (let v = version; v < THRESHOLD_PROFILE_VERSION; v += 1) doc = MIGRATIONS[v](doc);
+  return { doc, issues: [] };
+}
+
+/**
+ * A current-version profile document for `thresholds` (the editor's { 'zone::crop': thresholds } object)
+ * and optional `details` ({ name, district, tehsil, publisher, notes }).
+ */
+export function createThresholdProfile(thresholds, details = {}) {
+  const profile = { format: THRESHOLD_PROFILE_FORMAT, version: THRESHOLD_PROFILE_VERSION };
+  THRESHOLD_PROFILE_DETAILS.forEach((key) => { profile[key] = detailText(details[key]); });
+  profile.updatedAt = details.updatedAt || new Date().toISOString();
+  profile.thresholds = { ...thresholds };
+  return profile;
+}
+
+// Splits a CSV line on `delimiter`, honouring double quotes ("a, b" and "" escapes)
+function splitCsvLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cell += '"'; i += 1; } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === delimiter) { cells.push(cell.trim()); cell = ''; } else cell += c;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// CSV text -> an unvalidated profile document; `# key: value` lines carry the format, version and details
+function csvToDocument(text) {
+  const issues = [];
+  const details = {};
+  const thresholds = {};
+  let columns = null;
+  let delimiter = ',';
+  text.replace(/^﻿/, '').split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || issues.length >= 20) return;
+    const row = `row ${i + 1}`;
+    if (line.trimStart().startsWith('#')) {
+      const kv = /^\s*#\s*(\w+)\s*:\s*(.*)$/.exec(line);
+      if (kv) details[kv[1]] = kv[2].trim();
+      return;
+    }
+    if (!columns) {
+      delimiter = [',', ';', '\t'].find((d) => line.includes(d)) || ',';
+      const names = splitCsvLine(line, delimiter).map((name) => name.toLowerCase());
+      columns = THRESHOLD_CSV_COLUMNS.map((name) => names.indexOf(name.toLowerCase()));
+      const missing = THRESHOLD_CSV_COLUMNS.filter((name, k) => columns[k] < 0 && !['minSoilTemp', 'minTotalRain5d'].includes(name));
+      if (missing.length) issues.push(`the header row is missing ${missing.join(', ')}`);
+      return;
+    }
+    const cells = splitCsvLine(line, delimiter);
+    const cell = (name) => {
+      const k = columns[THRESHOLD_CSV_COLUMNS.indexOf(name)];
+      return k < 0 ? '' : cells[k] ?? '';
+    };
+    const key = `${cell('zone') || 'default'}::${cell('crop')}`;
+    if (thresholds[key]) issues.push(`${row}: ${key} is listed twice`);
+    thresholds[key] = {
+      idealMax: [cell('idealMaxLow'), cell('idealMaxHigh')],
+      idealMin: [cell('idealMinLow'), cell('idealMinHigh')],
+      minSoilTemp: cell('minSoilTemp'),
+      minTotalRain5d: cell('minTotalRain5d')
+    };
+  });
+  if (!columns) issues.push('the CSV has no header row');
+  const doc = { ...details, format: details.format || THRESHOLD_PROFILE_FORMAT, version: details.version || THRESHOLD_PROFILE_VERSION, thresholds };
+  return { doc, issues };
+}
+
+/**
+ * Reads a threshold profile: a parsed object, JSON text or CSV text (anything not starting with { or [).
+ * Older versions are migrated, zones / crops normalized (thresholdKey) and every entry validated.
+ * Returns { profile, issues }; `profile` is the current-version document, null when `issues` is not empty.
+ */
+export function parseThresholdProfile(input) {
+  let parsed = input;
+  if (typeof input === 'string') {
+    if (/^[[{]/.test(input.trim())) {
+      try {
+        parsed = JSON.parse(input);
+      } catch (err) {
+        return { profile: null, issues: ['the file is not valid JSON'] };
+      }
+    } else {
+      const csv = csvToDocument(input);
+      if (csv.issues.length) return { profile: null, issues: csv.issues };
+      parsed = csv.doc;
+    }
+  }
+
+  const { doc, issues } = migrate(parsed);
+  if (!doc) return { profile: null, issues };
+  if (!isPlainObject(doc.thresholds)) return { profile: null, issues: ['thresholds must be an object of "zone::crop" entries'] };
+
+  const thresholds = {};
+  const entries = Object.entries(doc.thresholds);
+  if (!entries.length) issues.push('the profile has no thresholds');
+  if (entries.length > MAX_ENTRIES) issues.push(`a profile can have at most ${MAX_ENTRIES} thresholds`);
+  entries.slice(0, MAX_ENTRIES).forEach(([key, value]) => {
+    const parts = splitKey(key);
+    if (!parts) {
+      issues.push(`${key}: keys are "zone::crop" with zone one of ${PROFILE_ZONES.join(', ')}`);
+      return;
+    }
+    const normalizedKey = thresholdKey(...parts);
+    const thr = normalizeEntry(value);
+    const entryIssues = validateThresholds(thr).map((issue) => `${normalizedKey}: ${issue}`);
+    if (thresholds[normalizedKey]) entryIssues.push(`${normalizedKey} is listed twice`);
+    issues.push(...(entryIssues.length ? entryIssues : rangeIssues(thr, normalizedKey)));
+    thresholds[normalizedKey] = thr;
+  });
+  if (issues.length) return { profile: null, issues };
+
+  const updatedAt = typeof doc.updatedAt === 'string' && !Number.isNaN(Date.parse(doc.updatedAt)) ? doc.updatedAt : undefined;
+  return { profile: createThresholdProfile(thresholds, { ...doc, updatedAt }), issues: [] };
+}
+
+/** CSV text for a profile: `# key: value` lines for the format and details, then one row per zone and crop. */
+export function thresholdProfileToCsv(profile) {
+  const lines = [`# format: ${THRESHOLD_PROFILE_FORMAT}`, `# version: ${THRESHOLD_PROFILE_VERSION}`];
+  [...THRESHOLD_PROFILE_DETAILS, 'updatedAt'].forEach((key) => {
+    const value = detailText(profile[key]);
+    if (value) lines.push(`# ${key}: ${value}`);
+  });
+  lines.push(THRESHOLD_CSV_COLUMNS.join(','));
+  Object.keys(profile.thresholds || {}).sort().forEach((key) => {
+    const [zone, crop] = key.split('::');
+    const thr = profile.thresholds[key];
+    lines.push([zone, crop, ...thr.idealMax, ...thr.idealMin, thr.minSoilTemp ?? '', thr.minTotalRain5d ?? ''].join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
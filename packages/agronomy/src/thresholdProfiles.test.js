@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  THRESHOLD_PROFILE_FORMAT, THRESHOLD_PROFILE_VERSION, THRESHOLD_CSV_COLUMNS,
+  createThresholdProfile, parseThresholdProfile, thresholdProfileToCsv
+} from './thresholdProfiles.js';
+
+const wheat = { idealMax: [15, 25], idealMin: [5, 12], minSoilTemp: 4, minTotalRain5d: 0 };
+const rice = { idealMax: [28, 35], idealMin: [20, 25], minSoilTemp: 12, minTotalRain5d: 10 };
+
+test('parseThresholdProfile reads a current JSON document and normalizes keys', () => {
+  const text = JSON.stringify({
+    format: THRESHOLD_PROFILE_FORMAT,
+    version: THRESHOLD_PROFILE_VERSION,
+    name: '  Multan   wheat ',
+    updatedAt: '2025-11-01T00:00:00.000Z',
+    thresholds: { 'punjab::Wheat': wheat, 'auto::rice': rice }
+  });
+  const { profile, issues } = parseThresholdProfile(text);
+  assert.deepEqual(issues, []);
+  assert.equal(profile.name, 'Multan wheat');
+  assert.equal(profile.district, null);
+  assert.equal(profile.updatedAt, '2025-11-01T00:00:00.000Z');
+  assert.deepEqual(profile.thresholds, { 'Punjab::wheat': wheat, 'default::rice': rice });
+});
+
+test('parseThresholdProfile reports invalid JSON, unknown zones and bad ranges', () => {
+  assert.deepEqual(parseThresholdProfile('{ "thresholds": ').issues, ['the file is not valid JSON']);
+  const { profile, issues } = parseThresholdProfile({
+    'Mars::wheat': wheat,
+    'Sindh::rice': { ...rice, idealMax: [35, 28] },
+    'KPK::maize': { ...wheat, minTotalRain5d: 5000 }
+  });
+  assert.equal(profile, null);
+  assert.equal(issues.length, 3);
+  assert.match(issues[0], /^Mars::wheat: keys are "zone::crop"/);
+  assert.equal(issues[1], 'Sindh::rice: idealMax must be a [low, high] pair of numbers');
+  assert.equal(issues[2], 'KPK::maize: minTotalRain5d must be between 0 and 1000 mm');
+});
+
+test('parseThresholdProfile migrates a version 1 object and moves its details out', () => {
+  const { profile, issues } = parseThresholdProfile({
+    district: 'Multan',
+    tehsil: 'Shujabad',
+    updatedAt: '2025-10-15T08:00:00.000Z',
+    'Punjab::wheat': { ...wheat, minSoilTemp: '', minTotalRain5d: null }
+  });
+  assert.deepEqual(issues, []);
+  assert.equal(profile.format, THRESHOLD_PROFILE_FORMAT);
+  assert.equal(profile.version, THRESHOLD_PROFILE_VERSION);
+  assert.equal(profile.district, 'Multan');
+  assert.equal(profile.tehsil, 'Shujabad');
+  assert.equal(profile.updatedAt, '2025-10-15T08:00:00.000Z');
+  // blank limits become 0, as the editor saves them
+  assert.deepEqual(profile.thresholds, { 'Punjab::wheat': { ...wheat, minSoilTemp: 0, minTotalRain5d: 0 } });
+});
+
+test('parseThresholdProfile reads a document with thresholds but no format as the current version', () => {
+  const { profile, issues } = parseThresholdProfile({ district: 'Multan', tehsil: 'Shujabad', thresholds: { 'Punjab::wheat': wheat } });
+  assert.deepEqual(issues, []);
+  assert.equal(profile.format, THRESHOLD_PROFILE_FORMAT);
+  assert.equal(profile.version, THRESHOLD_PROFILE_VERSION);
+  assert.equal(profile.tehsil, 'Shujabad');
+  assert.deepEqual(profile.thresholds, { 'Punjab::wheat': wheat });
+  // an explicit version is still checked
+  assert.match(parseThresholdProfile({ version: THRESHOLD_PROFILE_VERSION + 1, thresholds: {} }).issues[0], /newer Farmer Aid/);
+});
+
+test('parseThresholdProfile refuses a version newer than it reads, and other formats', () => {
+  const newer = parseThresholdProfile({ format: THRESHOLD_PROFILE_FORMAT, version: THRESHOLD_PROFILE_VERSION + 1, thresholds: {} });
+  assert.equal(newer.profile, null);
+  assert.match(newer.issues[0], /written by a newer Farmer Aid/);
+  assert.deepEqual(parseThresholdProfile({ format: 'other', thresholds: {} }).issues, [`format must be "${THRESHOLD_PROFILE_FORMAT}"`]);
+});
+
+test('parseThresholdProfile reads CSV with quoted cells, escaped quotes and other delimiters', () => {
+  const csv = [
+    '# name: Shujabad, early sowing',
+    'Zone;Crop;idealMaxLow;idealMaxHigh;idealMinLow;idealMinHigh;minSoilTemp;minTotalRain5d',
+    '"Punjab";"wheat";15;25;5;12;4;0',
+    'Sindh;"rice";"28";35;20;25;;10'
+  ].join('\r\n');
+  const { profile, issues } = parseThresholdProfile(csv);
+  assert.deepEqual(issues, []);
+  assert.equal(profile.name, 'Shujabad, early sowing');
+  assert.deepEqual(profile.thresholds, { 'Punjab::wheat': wheat, 'Sindh::rice': { ...rice, minSoilTemp: 0 } });
+
+  // a quoted comma stays in its cell and "" is a quote, so these crop names come through whole (and are refused)
+  const quoted = parseThresholdProfile([
+    THRESHOLD_CSV_COLUMNS.join(','),
+    '"Punjab","wheat, late","15","25","5","12","4","0"',
+    '"KPK","maize ""white""",20,30,10,18,,'
+  ].join('\n'));
+  assert.equal(quoted.profile, null);
+  assert.deepEqual(quoted.issues.map((issue) => issue.split(': ')[0]), ['Punjab::wheat, late', 'KPK::maize "white"']);
+});
+
+test('parseThresholdProfile reports CSV header and duplicate-row problems', () => {
+  assert.deepEqual(parseThresholdProfile('# name: empty\n').issues, ['the CSV has no header row']);
+  assert.deepEqual(parseThresholdProfile('zone,crop,idealMaxLow\nPunjab,wheat,15\n').issues, [
+    'the header row is missing idealMaxHigh, idealMinLow, idealMinHigh'
+  ]);
+  const duplicate = parseThresholdProfile([
+    THRESHOLD_CSV_COLUMNS.join(','),
+    'Punjab,wheat,15,25,5,12,4,0',
+    'Punjab,wheat,16,26,5,12,4,0'
+  ].join('\n'));
+  assert.deepEqual(duplicate.issues, ['row 3: Punjab::wheat is listed twice']);
+  // keys that only match after normalization are caught too
+  const normalized = parseThresholdProfile({ 'Punjab::wheat': wheat, 'punjab::WHEAT': wheat });
+  assert.deepEqual(normalized.issues, ['Punjab::wheat is listed twice']);
+});
+
+test('thresholdProfileToCsv output parses back to the same profile', () => {
+  const original = createThresholdProfile(
+    { 'Punjab::wheat': wheat, 'default::rice': rice },
+    { name: 'Shujabad', district: 'Multan', tehsil: 'Shujabad', publisher: 'Extension office', updatedAt: '2025-11-01T00:00:00.000Z' }
+  );
+  const csv = thresholdProfileToCsv(original);
+  assert.ok(csv.startsWith(`# format: ${THRESHOLD_PROFILE_FORMAT}\n# version: ${THRESHOLD_PROFILE_VERSION}\n`));
+  const { profile, issues } = parseThresholdProfile(csv);
+  assert.deepEqual(issues, []);
+  assert.deepEqual(profile, { ...original, notes: null });
+});
@@ -0,0 +1,254 @@
+// FAO-56 root-zone soil water balance (single crop coefficient) and irrigation scheduling.
+//
+// Each day: depletion Dr = Dr(prev) - effective rain - irrigation + ETc, with ETc = Ks * Kc * ET0,
+// bounded to [0, TAW]. TAW = available water capacity (mm per m of soil) * rooting depth and
+// RAW = p * TAW; Ks drops below 1 once Dr exceeds RAW (water stress). An irrigation is due when Dr
+// reaches RAW and refills the root zone to field capacity, up to what one basin/furrow irrigation
+// can apply (maxDepthMm gross). Kc and rooting depth follow the crop's
+// growth stages from the phenology model, interpolated linearly between stage start dates.
+//
+// ET0 and rain come from the forecast; days outside it use PLAINS_ET0 and no rain. Rice is run
+// with the FAO-56 p of 0.2, i.e. the field is kept close to saturation rather than ponded.
+
+import { toDayNumber, toIsoDate, DAY_MS } from './dates.js';
+import { estimatePhenology } from './phenology.js';
+
+// Available water capacity (θFC - θWP) in mm per metre of soil, mid-range of FAO-56 table 19
+export const SOIL_TYPES = {
+  sand: { name: 'Sand', awc: 80 },
+  loamySand: { name: 'Loamy sand', awc: 90 },
+  sandyLoam: { name: 'Sandy loam', awc: 130 },
+  loam: { name: 'Loam', awc: 155 },
+  siltLoam: { name: 'Silt loam', awc: 160 },
+  clayLoam: { name: 'Clay loam', awc: 155 },
+  clay: { name: 'Clay', awc: 160 }
+};
+
+// Typical daily reference ET0 (mm/day) for the Punjab / Sindh plains (Jan..Dec)
+export const PLAINS_ET0 = [1.5, 2.3, 3.5, 5.2, 6.8, 7.2, 5.8, 5.0, 4.5, 3.5, 2.2, 1.5];
+
+// Kc at the start of each phenology stage (FAO-56 table 12), rooting depth range (m), the
+// depletion fraction p (table 22) and the stage at which irrigation stops (default: maturity)
+export const CROP_WATER = {
+  wheat: {
+    rootMin: 0.3, rootMax: 1.4, p: 0.55,
+    kc: { sowing: 0.4, emergence: 0.4, tillering: 0.7, jointing: 1.15, booting: 1.15, heading: 1.15, grainFill: 1.15, maturity: 0.3 }
+  },
+  rice: {
+    rootMin: 0.3, rootMax: 0.6, p: 0.2,
+    kc: { establishment: 1.05, tillering: 1.05, panicleInitiation: 1.2, booting: 1.2, flowering: 1.2, grainFill: 1.2, maturity: 0.75 }
+  },
+  cotton: {
+    rootMin: 0.3, rootMax: 1.4, p: 0.65, stopAt: 'bollOpening',
+    kc: { sowing: 0.35, emergence: 0.35, squaring: 0.75, flowering: 1.18, bollDevelopment: 1.18, bollOpening: 1.18, maturity: 0.6 }
+  },
+  maize: {
+    rootMin: 0.3, rootMax: 1.3, p: 0.55,
+    kc: { sowing: 0.3, emergence: 0.3, vegetative: 0.7, tasseling: 1.2, grainFill: 1.2, maturity: 0.5 }
+  },
+  sugarcane: {
+    rootMin: 0.3, rootMax: 1.6, p: 0.65, stopAt: 'ripening',
+    kc: { sowing: 0.4, tillering: 0.8, grandGrowth: 1.25, ripening: 1.25, maturity: 0.75 }
+  }
+};
+
+export const MM_PER_INCH = 25.4;
+// Rain below this (mm/day) is assumed to evaporate from the surface
+const RAIN_THRESHOLD_MM = 5;
+const RAIN_EFFECTIVE_FRACTION = 0.8;
+// About 4 inches: more than one flood irrigation usually puts on
+const DEFAULT_MAX_DEPTH_MM = 100;
+
+export function getCropWater(crop) {
+  return CROP_WATER[String(crop || '').toLowerCase()] || null;
+}
+
+/**
+ * Effective rainfall (mm) from one day's rain: the part above 5 mm, 80% of it. Numeric strings
+ * ('12.5' from a CSV or form) are read as numbers; missing or non-numeric values count as no rain.
+ */
+export function effectiveRain(rainMm) {
+  const rain = rainMm === null || rainMm === undefined || rainMm === '' ? 0 : Number(rainMm);
+  if (!Number.isFinite(rain) || rain <= RAIN_THRESHOLD_MM) return 0;
+  return (rain - RAIN_THRESHOLD_MM) * RAIN_EFFECTIVE_FRACTION;
+}
+
+/** Acre-inches of water for `depthMm` applied over `areaAcres` (1 acre-inch = 1 inch over 1 acre). */
+export function toAcreInches(depthMm, areaAcres = 1) {
+  return (depthMm / MM_PER_INCH) * areaAcres;
+}
+
+// Daily ET0 totals (mm) from the hourly series; days with fewer than 20 hours are left out
+function dailyEt0(hourly = {}) {
+  const sums = {};
+  (hourly.time || []).forEach((t, i) => {
+    const v = hourly.et0 ? hourly.et0[i] : null;
+    if (typeof v !== 'number') return;
+    const date = String(t).slice(0, 10);
+    sums[date] = sums[date] || { total: 0, hours: 0 };
+    sums[date].total += v;
+    sums[date].hours++;
+  });
+  const out = {};
+  Object.keys(sums).forEach((d) => { if (sums[d].hours >= 20) out[d] = sums[d].total; });
+  return out;
+}
+
+// Kc and rooting depth on `day` from the stage start dates
+function cropWaterOn(day, phenology, water) {
+  const stages = phenology.stages.filter((s) => s.startDate && water.kc[s.key] !== undefined);
+  const kcMax = Math.max(...stages.map((s) => water.kc[s.key]));
+  const midStart = stages.find((s) => water.kc[s.key] === kcMax) || stages[stages.length - 1];
+  const sowDay = toDayNumber(phenology.sowingDate);
+
+  let kc = water.kc[stages[0].key];
+  for (let i = 0; i < stages.length; i++) {
+    const start = toDayNumber(stages[i].startDate);
+    const next = stages[i + 1];
+    if (day < start) break;
+    if (!next) { kc = water.kc[stages[i].key]; break; }
+    const end = toDayNumber(next.startDate);
+    const f = end > start ? Math.min(1, (day - start) / (end - start)) : 1;
+    kc = water.kc[stages[i].key] + (water.kc[next.key] - water.kc[stages[i].key]) * f;
+  }
+
+  const midDay = toDayNumber(midStart.startDate);
+  const growth = midDay > sowDay ? Math.min(1, Math.max(0, (day - sowDay) / (midDay - sowDay))) : 1;
+  return { kc, rootDepth: water.rootMin + (water.rootMax - water.rootMin) * growth };
+}
+
+/**
+ * Runs the daily water balance from sowing, with the logged irrigations, through the forecast and
+ * `horizonDays` beyond today, and schedules irrigations until the crop's last irrigated stage.
+ *
+ * Options: { sowingDate, daily, hourly (normalized forecast blocks), today, soil (SOIL_TYPES key),
+ * awc (mm/m, overrides soil), rootDepth (max m, overrides the crop's), efficiency (application,
+ * 0-1, default 0.6 for flood/basin), maxDepthMm (largest gross application, default 100),
+ * areaAcres (default 1), irrigations: [{ date, depthMm }] (gross, as applied), initialDepletion
+ * (fraction of TAW at sowing, default 0), horizonDays (default 30) }.
+ *
+ * Returns null for crops without a water model or an invalid sowing date, otherwise
+ * { crop, soil, awc, efficiency, areaAcres, sowingDate, today, sown, status, days: [...], schedule: [...] }.
+ * status holds today's { depletion, taw, raw, kc, rootDepth, stage }; days are
+ * { date, et0, kc, etc, rain, effectiveRain, irrigation, depletion, taw, raw, ks, source } with source
+ * 'estimated' (before today), 'forecast' or 'climate'; schedule entries are
+ * { date, netMm, grossMm, grossInches, acreInches, stage, overdueSince, source }.
+ */
+export function scheduleIrrigation(crop, {
+  sowingDate, daily = {}, hourly = {}, today, soil = 'loam', awc, rootDepth, efficiency = 0.6,
+  maxDepthMm = DEFAULT_MAX_DEPTH_MM, areaAcres = 1, irrigations = [], initialDepletion = 0, horizonDays = 30, et0Climate = PLAINS_ET0
+} = {}) {
+  const baseWater = getCropWater(crop);
+  if (!baseWater) return null;
+  const phenology = estimatePhenology(crop, sowingDate, { daily, today });
+  if (!phenology) return null;
+  const water = rootDepth ? { ...baseWater, rootMax: Math.max(rootDepth, baseWater.rootMin) } : baseWater;
+  const soilAwc = awc || (SOIL_TYPES[soil] || SOIL_TYPES.loam).awc;
+
+  const todayDay = toDayNumber(phenology.today);
+  const sowDay = toDayNumber(phenology.sowingDate);
+  const stop = phenology.stages.find((s) => s.key === water.stopAt) || phenology.stages[phenology.stages.length - 1];
+  const endDay = Math.min(todayDay + horizonDays, stop.startDate ? toDayNumber(stop.startDate) : Infinity);
+
+  const et0ByDate = dailyEt0(hourly);
+  const rainByDate = {};
+  (daily.time || []).forEach((t, i) => {
+    const r = daily.precipitation ? daily.precipitation[i] : null;
+    if (typeof r === 'number') rainByDate[t] = r;
+  });
+  const applied = {};
+  irrigations.forEach(({ date, depthMm }) => {
+    const d = toDayNumber(date);
+    if (!Number.isNaN(d) && d >= sowDay && d <= todayDay && depthMm > 0) applied[d] = (applied[d] || 0) + depthMm;
+  });
+
+  let depletion = Math.min(1, Math.max(0, initialDepletion)) * soilAwc * cropWaterOn(sowDay, phenology, water).rootDepth;
+
+  const days = [];
+  const schedule = [];
+  let stressSince = null;
+  let status = null;
+  for (let day = sowDay; day <= endDay; day++) {
+    const date = toIsoDate(day);
+    const { kc, rootDepth: zr } = cropWaterOn(day, phenology, water);
+    const taw = soilAwc * zr;
+    const raw = water.p * taw;
+    depletion = Math.min(depletion, taw);
+
+    if (day === todayDay) {
+      status = { depletion, taw, raw, kc, rootDepth: zr, stage: phenology.stage ? phenology.stage.name : null };
+    }
+
+    // Logged irrigations (net of application losses), then a scheduled one from today on
+    let irrigation = applied[day] ? Math.min(depletion, applied[day] * efficiency) : 0;
+    if (day >= todayDay && depletion - irrigation >= raw && day < endDay) {
+      const netMm = Math.min(depletion - irrigation, maxDepthMm * efficiency);
+      const grossMm = netMm / efficiency;
+      const stageNow = phenology.stages.filter((s) => s.startDate && toDayNumber(s.startDate) <= day).pop();
+      schedule.push({
+        date,
+        netMm: round1(netMm),
+        grossMm: round1(grossMm),
+        grossInches: round2(grossMm / MM_PER_INCH),
+        acreInches: round2(toAcreInches(grossMm, areaAcres)),
+        stage: stageNow ? stageNow.name : null,
+        overdueSince: day === todayDay && stressSince !== null && stressSince < todayDay ? toIsoDate(stressSince) : null,
+        source: et0ByDate[date] !== undefined ? 'forecast' : 'climate'
+      });
+      irrigation += netMm;
+    }
+
+    const et0 = et0ByDate[date] !== undefined ? et0ByDate[date] : et0Climate[new Date(day * DAY_MS).getUTCMonth()];
+    const rain = rainByDate[date] !== undefined ? rainByDate[date] : 0;
+    const pe = effectiveRain(rain);
+    const current = Math.max(0, depletion - irrigation);
+    const ks = current > raw ? Math.max(0, (taw - current) / ((1 - water.p) * taw)) : 1;
+    const etc = ks * kc * et0;
+    depletion = Math.min(taw, Math.max(0, current - pe + etc));
+    if (depletion >= raw) { if (stressSince === null) stressSince = day + 1; } else stressSince = null;
+
+    days.push({
+      date,
+      et0: round1(et0),
+      kc: round2(kc),
+      etc: round1(etc),
+      rain: round1(rain),
+      effectiveRain: round1(pe),
+      irrigation: round1(irrigation),
+      depletion: round1(depletion),
+      taw: round1(taw),
+      raw: round1(raw),
+      ks: round2(ks),
+      source: day < todayDay ? 'estimated' : et0ByDate[date] !== undefined ? 'forecast' : 'climate'
+    });
+  }
+
+  return {
+    crop: String(crop).toLowerCase(),
+    soil: awc ? null : (SOIL_TYPES[soil] ? soil : 'loam'),
+    awc: soilAwc,
+    efficiency,
+    areaAcres,
+    sowingDate: phenology.sowingDate,
+    today: phenology.today,
+    sown: phenology.sown,
+    status: status && {
+      depletion: round1(status.depletion),
+      taw: round1(status.taw),
+      raw: round1(status.raw),
+      kc: round2(status.kc),
+      rootDepth: round2(status.rootDepth),
+      stage: status.stage
+    },
+    days,
+    schedule
+  };
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MM_PER_INCH, effectiveRain, toAcreInches, scheduleIrrigation } from './waterBalance.js';
+
+// A forecast day with `et0` mm spread over 24 hours, in the normalized hourly block
+function hourlyEt0(date, et0) {
+  const time = [];
+  for (let h = 0; h < 24; h++) time.push(`${date}T${String(h).padStart(2, '0')}:00`);
+  return { time, et0: time.map(() => et0 / 24) };
+}
+
+const cotton = { sowingDate: '2025-05-01', today: '2025-06-10', soil: 'sand' };
+
+test('effectiveRain ignores light rain and counts 80% of the rest', () => {
+  assert.equal(effectiveRain(0), 0);
+  assert.equal(effectiveRain(5), 0);
+  assert.equal(effectiveRain(15), 8);
+});
+
+test('effectiveRain reads numeric strings and treats missing or non-numeric rain as none', () => {
+  assert.equal(effectiveRain('15'), 8);
+  assert.equal(effectiveRain(' 25 '), 16);
+  assert.equal(effectiveRain(null), 0);
+  assert.equal(effectiveRain(undefined), 0);
+  assert.equal(effectiveRain(''), 0);
+  assert.equal(effectiveRain('heavy'), 0);
+  assert.equal(effectiveRain(NaN), 0);
+});
+
+test('toAcreInches converts millimetres over an area', () => {
+  assert.equal(toAcreInches(MM_PER_INCH), 1);
+  const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+  close(toAcreInches(MM_PER_INCH * 3, 2), 6);
+  close(toAcreInches(100, 2), 200 / MM_PER_INCH);
+  assert.equal(toAcreInches(0, 10), 0);
+});
+
+test('scheduleIrrigation returns null for crops without a water model or a bad sowing date', () => {
+  assert.equal(scheduleIrrigation('mango', cotton), null);
+  assert.equal(scheduleIrrigation('cotton', { ...cotton, sowingDate: 'not a date' }), null);
+});
+
+test('scheduleIrrigation keeps depletion within the root zone and schedules at RAW', () => {
+  const result = scheduleIrrigation('cotton', { ...cotton, areaAcres: 2 });
+  assert.equal(result.days[0].date, cotton.sowingDate);
+  result.days.forEach((day) => {
+    assert.ok(day.depletion >= 0 && day.depletion <= day.taw, `${day.date}: depletion ${day.depletion} outside [0, ${day.taw}]`);
+    assert.equal(day.source, day.date < cotton.today ? 'estimated' : 'climate');
+  });
+
+  // Sand dries out by today: the first irrigation is due now and flags how long the crop has been stressed
+  assert.ok(result.status.depletion >= result.status.raw);
+  const [first] = result.schedule;
+  assert.equal(first.date, cotton.today);
+  assert.ok(first.overdueSince < cotton.today);
+  // One irrigation puts on at most maxDepthMm gross; net is gross times the 0.6 efficiency
+  assert.equal(first.grossMm, 100);
+  assert.equal(first.netMm, 60);
+  assert.equal(first.grossInches, 3.94);
+  assert.equal(first.acreInches, 7.87);
+  result.schedule.slice(1).forEach((entry) => assert.equal(entry.overdueSince, null));
+});
+
+test('scheduleIrrigation applies logged irrigations net of application losses', () => {
+  const dry = scheduleIrrigation('wheat', { sowingDate: '2025-11-10', today: '2025-12-20' });
+  const watered = scheduleIrrigation('wheat', { sowingDate: '2025-11-10', today: '2025-12-20', irrigations: [{ date: '2025-12-10', depthMm: 75 }] });
+  const before = dry.days.find((d) => d.date === '2025-12-09').depletion;
+  const day = watered.days.find((d) => d.date === '2025-12-10');
+  // 75 mm gross at 0.6 efficiency is 45 mm net, capped at what the root zone can take
+  assert.equal(day.irrigation, Math.min(45, before));
+  assert.ok(watered.status.depletion < dry.status.depletion);
+  // irrigations outside sowing..today are ignored
+  const ignored = scheduleIrrigation('wheat', { sowingDate: '2025-11-10', today: '2025-12-20', irrigations: [{ date: '2025-12-25', depthMm: 75 }] });
+  assert.deepEqual(ignored.days, dry.days);
+});
+
+test('scheduleIrrigation uses forecast ET0 and effective rain where the forecast has them', () => {
+  const daily = { time: ['2025-06-10', '2025-06-11'], precipitation: [0, 40] };
+  const result = scheduleIrrigation('cotton', { ...cotton, daily, hourly: hourlyEt0('2025-06-10', 12) });
+  const [today, tomorrow] = result.days.filter((d) => d.date >= cotton.today);
+  assert.equal(today.et0, 12);
+  assert.equal(today.source, 'forecast');
+  assert.equal(result.schedule[0].source, 'forecast');
+  assert.equal(tomorrow.source, 'climate'); // rain alone does not make a forecast day: ET0 comes from PLAINS_ET0
+  assert.equal(tomorrow.et0, 7.2);
+  assert.equal(tomorrow.effectiveRain, 28);
+  assert.ok(tomorrow.depletion < today.depletion);
+});
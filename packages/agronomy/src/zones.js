@@ -0,0 +1,41 @@
+// Broad Pakistan zone detection, used to pick threshold defaults when no district is known.
+import { normalizeName } from './text.js';
+import { getZoneFromDistrictMap } from './districts.js';
+
+export const ZONES = ['Punjab', 'Sindh', 'KPK', 'Balochistan', 'Gilgit'];
+
+// Towns and spellings seen from geocoders that are not district names themselves
+const PUNJAB_TOWNS = [
+  'dera ghazi khan', 'dg khan', 'dgkhan', 'muzaffar', 'muzaffargar', 'ry khan', 'rahim yar', 'toba', 'daska', 'kot addu',
+  'sanawan', 'sangla hill', 'nankana', 'chiaot', 'chishtian', 'shujabad', 'jalalpur peerzaman', 'dera sahib'
+];
+
+/**
+ * Approximate zone from coordinates (bounding boxes). Intended only for defaults; Punjab is the fallback.
+ */
+export function detectZoneFromCoords(lat, lon) {
+  if (lat >= 27.5 && lat <= 33.5 && lon >= 69.5 && lon <= 75.5) return 'Punjab';
+  if (lat >= 23.5 && lat <= 28.0 && lon >= 67.0 && lon <= 71.5) return 'Sindh';
+  if (lat >= 31.0 && lat <= 36.5 && lon >= 69.0 && lon <= 74.5) return 'KPK';
+  if (lat >= 24.0 && lat <= 30.5 && lon >= 61.0 && lon <= 70.5) return 'Balochistan';
+  if (lat > 35) return 'Gilgit';
+  return 'Punjab';
+}
+
+/**
+ * Zone from a location name: the district map first, then known Punjab towns, then province names.
+ */
+export function detectZoneFromName(name) {
+  if (!name || typeof name !== 'string') return null;
+  const mapped = getZoneFromDistrictMap(name);
+  if (mapped) return mapped;
+
+  const n = normalizeName(name);
+  if (PUNJAB_TOWNS.some((town) => n.includes(town))) return 'Punjab';
+  if (n.includes('punjab')) return 'Punjab';
+  if (n.includes('sindh')) return 'Sindh';
+  if (n.includes('khyber') || n.includes('kpk') || n.includes('pakhtunkhwa')) return 'KPK';
+  if (n.includes('baloch')) return 'Balochistan';
+  if (n.includes('gilgit') || n.includes('skardu') || n.includes('hunza')) return 'Gilgit';
+  return null;
+}